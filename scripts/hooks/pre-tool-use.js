@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+/**
+ * PreToolUse Hook - Claude Code Event-Driven Hooks
+ *
+ * Triggered before each tool execution in Claude Code.
+ *
+ * Features (Prevention):
+ * - Reads the pending tool call from stdin
+ * - Builds the session context (recent tools, files read / modified) from
+ *   current-session.json, which post-tool-use.js keeps up to date
+ * - Checks the call against MeMesh prevention rules in this process, with
+ *   the compiled MeMesh modules (no CLI process per tool call)
+ * - Denies the call (block rules), asks the user (require-confirmation rules)
+ *   or shows a warning (warn rules)
+ * - Never blocks on its own failure: errors are logged and the call proceeds
+ */
+
+import {
+  STATE_DIR,
+  readJSONFile,
+  readStdin,
+  logError,
+} from './hook-utils.js';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const CURRENT_SESSION_FILE = path.join(STATE_DIR, 'current-session.json');
+
+/**
+ * Compiled MeMesh (dist/) holding the prevention check (override with
+ * MEMESH_DIST). Defaults to the plugin / repository layout, where this
+ * script lives in scripts/hooks/.
+ */
+const MEMESH_DIST = process.env.MEMESH_DIST ||
+  path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'dist');
+
+/** Maximum time for the rule check before the call proceeds unchecked */
+const CHECK_TIMEOUT = 10_000;
+
+/** Number of recent tool calls passed as context */
+const RECENT_TOOLS_LIMIT = 10;
+
+const READ_TOOLS = ['Read'];
+const MODIFYING_TOOLS = ['Edit', 'MultiEdit', 'Write', 'NotebookEdit'];
+
+// ============================================================================
+// Operation Building
+// ============================================================================
+
+/**
+ * Get the target file of a tool call
+ * @param {Object} args - Tool arguments
+ * @returns {string|undefined} File path
+ */
+function getFilePath(args) {
+  return args?.file_path || args?.notebook_path;
+}
+
+/**
+ * Build a PreventionHook Operation from the tool call and session state
+ * @param {Object} raw - Raw PreToolUse data from stdin
+ * @returns {Object} Operation
+ */
+function buildOperation(raw) {
+  const currentSession = readJSONFile(CURRENT_SESSION_FILE, { toolCalls: [] });
+  const toolCalls = currentSession.toolCalls || [];
+
+  const filesOf = (tools) => [
+    ...new Set(
+      toolCalls
+        .filter(tc => tools.includes(tc.toolName))
+        .map(tc => getFilePath(tc.arguments))
+        .filter(Boolean)
+    ),
+  ];
+
+  return {
+    tool: raw.tool_name || raw.toolName || 'unknown',
+    args: raw.tool_input || raw.arguments || {},
+    context: {
+      recentTools: toolCalls.slice(-RECENT_TOOLS_LIMIT).map(tc => tc.toolName),
+      currentTask: '',
+      filesRead: filesOf(READ_TOOLS),
+      filesModified: filesOf(MODIFYING_TOOLS),
+    },
+  };
+}
+
+// ============================================================================
+// Rule Check
+// ============================================================================
+
+/**
+ * Check an operation against the prevention rules (see runPreventionCheck)
+ * @param {Object} operation - Operation to check
+ * @param {string} cwd - Project directory (file patterns are relative to it)
+ * @returns {Promise<Object>} HookResult
+ */
+async function checkOperation(operation, cwd) {
+  if (cwd) {
+    process.chdir(cwd);
+  }
+  // Keeps MeMesh logs off stdout, which carries the hook output
+  process.env.MCP_SERVER_MODE = 'true';
+
+  const check = async () => {
+    const { runPreventionCheck, parseOperation } = await import(
+      pathToFileURL(path.join(MEMESH_DIST, 'cli', 'prevention.js')).href
+    );
+    return runPreventionCheck(parseOperation(operation));
+  };
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Prevention check timed out after ${CHECK_TIMEOUT}ms`)), CHECK_TIMEOUT);
+  });
+
+  try {
+    return await Promise.race([check(), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Convert a HookResult into Claude Code PreToolUse hook output
+ * @param {Object} result - HookResult from PreventionHook
+ * @returns {Object|null} Hook output, or null to let the call proceed silently
+ */
+function toHookOutput(result) {
+  const suggestions = (result.suggestions || []).join('\n');
+  const explain = (message) => [message, suggestions].filter(Boolean).join('\n\n');
+
+  if (result.proceed === false) {
+    return {
+      hookSpecificOutput: {
+        hookEventName: 'PreToolUse',
+        permissionDecision: 'deny',
+        permissionDecisionReason: explain(result.reason),
+      },
+    };
+  }
+
+  if (result.proceed === 'pending' || result.requireUserConfirmation) {
+    return {
+      hookSpecificOutput: {
+        hookEventName: 'PreToolUse',
+        permissionDecision: 'ask',
+        permissionDecisionReason: explain(result.reason),
+      },
+    };
+  }
+
+  if (result.warnings?.length > 0) {
+    return { systemMessage: result.warnings.join('\n') };
+  }
+
+  return null;
+}
+
+// ============================================================================
+// Main PreToolUse Logic
+// ============================================================================
+
+async function preToolUse() {
+  try {
+    const input = await readStdin(3000);
+
+    if (!input || input.trim() === '') {
+      process.exit(0);
+    }
+
+    const rawData = JSON.parse(input);
+    const operation = buildOperation(rawData);
+    const result = await checkOperation(operation, rawData.cwd);
+    const output = toHookOutput(result);
+
+    if (output) {
+      process.stdout.write(JSON.stringify(output));
+    }
+
+    process.exit(0);
+  } catch (error) {
+    // Fail open: a broken check must not stop the session
+    logError('PreToolUse', error);
+    process.exit(0);
+  }
+}
+
+// ============================================================================
+// Execute
+// ============================================================================
+
+preToolUse();
@@ -9,6 +9,8 @@
  * │   └── plugin.json       ← Plugin metadata
  * ├── dist/                 ← Build output
  * ├── node_modules/         ← Dependencies
+ * ├── hooks/
+ * │   └── hooks.json        ← Claude Code hook registrations
  * ├── package.json
  * └── scripts/
  */
@@ -165,6 +167,26 @@ try {
   console.log('   You may need to manually add MEMESH_A2A_TOKEN to .mcp.json');
 }
 
+// Step 5.7: Copy hooks.json to plugin hooks/ directory
+console.log('\n5.7️⃣ Copying hooks.json to plugin hooks/ directory...');
+const sourceHooksJson = join(projectRoot, 'hooks.json');
+const targetHooksDir = join(pluginRootDir, 'hooks');
+const targetHooksJson = join(targetHooksDir, 'hooks.json');
+
+if (!existsSync(sourceHooksJson)) {
+  console.error('   ❌ Error: hooks.json not found. Please create it at project root.');
+  process.exit(1);
+}
+
+try {
+  mkdirSync(targetHooksDir, { recursive: true });
+  copyFileSync(sourceHooksJson, targetHooksJson);
+  console.log('   ✅ Copied hooks.json → .claude-plugin/memesh/hooks/hooks.json');
+} catch (error) {
+  console.error('   ❌ Error copying hooks.json:', error.message);
+  process.exit(1);
+}
+
 // Step 6: Install production dependencies
 console.log('\n6️⃣ Installing production dependencies in plugin directory...');
 console.log('   (This may take a minute...)');
@@ -189,6 +211,7 @@ const requiredFiles = [
   join(pluginRootDir, 'node_modules'),
   join(pluginMetadataDir, 'plugin.json'),  // In .claude-plugin/ subdirectory
   join(pluginRootDir, '.mcp.json'),         // MCP server configuration
+  targetHooksJson,                          // Hook registrations
 ];
 
 let allFilesExist = true;
@@ -9,6 +9,7 @@
  * - Bearer token authentication
  * - Error handling with proper status codes
  * - Type-safe request/response handling
+ * - Task event subscriptions (SSE) and webhook registration
  *
  * @module a2a/client
  */
@@ -19,6 +20,9 @@ import type {
   ServiceResponse,
   Task,
   TaskStatus,
+  TaskEvent,
+  TaskEventType,
+  TaskWebhook,
   AgentCard,
 } from '../types/index.js';
 import { AgentRegistry } from '../storage/AgentRegistry.js';
@@ -27,7 +31,10 @@ import { retryWithBackoff, type RetryOptions } from '../../utils/retry.js';
 import {
   getTraceContext,
   injectTraceContext,
+  createChildSpan,
+  endSpan,
 } from '../../utils/tracing/index.js';
+import { hasSpanProcessors } from '../../utils/tracing/export/pipeline.js';
 import { logger } from '../../utils/logger.js';
 
 /**
@@ -80,6 +87,84 @@ function clampRetryValue(
   return raw;
 }
 
+/**
+ * Raw Server-Sent Event
+ */
+interface SseMessage {
+  event: string;
+  data: string;
+}
+
+/**
+ * Parse a Server-Sent Events stream into events
+ *
+ * Supports the subset of the SSE format used by A2A servers: `event:` and
+ * `data:` fields (multi-line data is joined with newlines), comment lines
+ * and blank-line dispatch. `id:` and `retry:` fields are ignored.
+ */
+async function* parseSseStream(body: ReadableStream<Uint8Array>): AsyncGenerator<SseMessage> {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = 'message';
+  let data: string[] = [];
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) {
+        return;
+      }
+      buffer += decoder.decode(value, { stream: true });
+
+      let newline: number;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).replace(/\r$/, '');
+        buffer = buffer.slice(newline + 1);
+
+        if (line === '') {
+          if (data.length > 0) {
+            yield { event, data: data.join('\n') };
+          }
+          event = 'message';
+          data = [];
+        } else if (!line.startsWith(':')) {
+          const colon = line.indexOf(':');
+          const field = colon === -1 ? line : line.slice(0, colon);
+          const fieldValue = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+          if (field === 'event') {
+            event = fieldValue;
+          } else if (field === 'data') {
+            data.push(fieldValue);
+          }
+        }
+      }
+    }
+  } finally {
+    await reader.cancel().catch(() => undefined);
+  }
+}
+
+/**
+ * Task event subscription options
+ */
+export interface SubscribeToTaskOptions {
+  /** Abort the subscription; the iterator then ends without error */
+  signal?: AbortSignal;
+}
+
+/**
+ * Webhook registration options
+ */
+export interface RegisterWebhookOptions {
+  /** Callback URL receiving signed POST requests */
+  url: string;
+  /** HMAC-SHA256 signing secret (min 16 characters, generated by the server if omitted) */
+  secret?: string;
+  /** Event types to deliver (default: ['status']) */
+  events?: TaskEventType[];
+}
+
 /**
  * A2AClient class
  *
@@ -102,6 +187,11 @@ function clampRetryValue(
  * const task = await client.getTask('agent-2', response.taskId);
  * console.log(task.state); // COMPLETED, PENDING, etc.
  *
+ * // Follow task progress until it reaches a terminal state
+ * for await (const event of client.subscribeToTask('agent-2', response.taskId)) {
+ *   if (event.type === 'status') console.log(event.state);
+ * }
+ *
  * // List available agents
  * const agents = client.listAvailableAgents();
  * ```
@@ -181,6 +271,9 @@ export class A2AClient {
    * This prevents individual fetch calls from hanging indefinitely if the server
    * never responds, even when retryWithBackoff has its own timeout logic.
    *
+   * Inside a trace with span export configured, each attempt is recorded as a
+   * client span and becomes the parent of the remote agent's server span.
+   *
    * @param url - The URL to fetch
    * @param options - Standard fetch RequestInit options
    * @returns The fetch Response
@@ -190,15 +283,42 @@ export class A2AClient {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), this.retryConfig.timeout);
 
+    const method = options.method ?? 'GET';
+    const spanContext = getTraceContext() && hasSpanProcessors() ? createChildSpan() : undefined;
+    const span = {
+      name: `a2a.client ${method} ${new URL(url).pathname}`,
+      kind: 'client' as const,
+      startTime: Date.now(),
+      attributes: { 'http.request.method': method, 'url.full': url } as Record<string, unknown>,
+    };
+    if (spanContext) {
+      options = {
+        ...options,
+        headers: injectTraceContext(options.headers as Record<string, string>, spanContext),
+      };
+    }
+
     try {
-      return await fetch(url, {
+      const response = await fetch(url, {
         ...options,
         signal: controller.signal,
       });
+      if (spanContext) {
+        span.attributes['http.response.status_code'] = response.status;
+        endSpan(spanContext, { ...span, error: response.ok ? undefined : `HTTP ${response.status}` });
+      }
+      return response;
     } catch (error) {
       // Handle AbortError specifically and convert to REQUEST_TIMEOUT
       if (error instanceof Error && error.name === 'AbortError') {
-        throw createError(ErrorCodes.REQUEST_TIMEOUT, url, this.retryConfig.timeout);
+        const timeoutError = createError(ErrorCodes.REQUEST_TIMEOUT, url, this.retryConfig.timeout);
+        if (spanContext) {
+          endSpan(spanContext, { ...span, error: timeoutError });
+        }
+        throw timeoutError;
+      }
+      if (spanContext) {
+        endSpan(spanContext, { ...span, error });
       }
       throw error;
     } finally {
@@ -436,6 +556,214 @@ export class A2AClient {
     }
   }
 
+  /**
+   * Subscribe to a task's events over Server-Sent Events
+   *
+   * Yields the current task status first, then state transitions, new
+   * messages and artifacts. The iterator ends when the task reaches a
+   * terminal state, the server closes the stream or `options.signal` aborts.
+   * Connecting is not retried; callers can resubscribe, since every new
+   * subscription starts with the current status.
+   *
+   * @throws Error with TASK_SUBSCRIBE_FAILED code if the stream cannot be opened or breaks
+   */
+  async *subscribeToTask(
+    targetAgentId: string,
+    taskId: string,
+    options: SubscribeToTaskOptions = {}
+  ): AsyncGenerator<TaskEvent> {
+    const { signal } = options;
+    if (signal?.aborted) {
+      return;
+    }
+
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort, { once: true });
+
+    try {
+      let response: Response;
+      // Only the connection is bounded by the request timeout; the stream itself is long-lived
+      const connectTimeoutId = setTimeout(abort, this.retryConfig.timeout);
+      try {
+        const agent = this.registry.get(targetAgentId);
+        if (!agent) {
+          throw createError(ErrorCodes.AGENT_NOT_FOUND, targetAgentId);
+        }
+
+        // ✅ FIX MINOR-2: URI-encode taskId to handle special characters
+        const url = `${agent.baseUrl}/a2a/tasks/${encodeURIComponent(taskId)}/events`;
+
+        response = await fetch(url, {
+          method: 'GET',
+          headers: { ...this.getAuthHeaders(), Accept: 'text/event-stream' },
+          signal: controller.signal,
+        });
+      } finally {
+        clearTimeout(connectTimeoutId);
+      }
+
+      if (!response.ok) {
+        // Throws the same errors as the request/response methods
+        await this.handleResponse<never>(response);
+      }
+
+      const contentType = response.headers.get('content-type') ?? '';
+      if (!contentType.includes('text/event-stream') || !response.body) {
+        throw createError(
+          ErrorCodes.HTTP_ERROR,
+          response.status,
+          `Expected text/event-stream, got ${contentType || 'no Content-Type'}`
+        );
+      }
+
+      for await (const message of parseSseStream(response.body)) {
+        try {
+          yield JSON.parse(message.data) as TaskEvent;
+        } catch (error) {
+          if (error instanceof SyntaxError) {
+            logger.warn('[A2AClient] Ignoring malformed task event', {
+              taskId,
+              event: message.event,
+            });
+            continue;
+          }
+          throw error;
+        }
+      }
+    } catch (error) {
+      if (signal?.aborted) {
+        return;
+      }
+      throw createError(
+        ErrorCodes.TASK_SUBSCRIBE_FAILED,
+        taskId,
+        targetAgentId,
+        getErrorMessage(error)
+      );
+    } finally {
+      signal?.removeEventListener('abort', abort);
+      controller.abort();
+    }
+  }
+
+  /**
+   * Register a webhook that receives signed POSTs for a task's events
+   *
+   * @returns The webhook including its signing secret (only returned here)
+   */
+  async registerWebhook(
+    targetAgentId: string,
+    taskId: string,
+    options: RegisterWebhookOptions
+  ): Promise<TaskWebhook & { secret: string }> {
+    try {
+      return await retryWithBackoff(
+        async () => {
+          const agent = this.registry.get(targetAgentId);
+          if (!agent) {
+            throw createError(ErrorCodes.AGENT_NOT_FOUND, targetAgentId);
+          }
+
+          const url = `${agent.baseUrl}/a2a/tasks/${encodeURIComponent(taskId)}/webhooks`;
+
+          const response = await this.fetchWithTimeout(url, {
+            method: 'POST',
+            headers: this.getAuthHeaders(),
+            body: JSON.stringify(options),
+          });
+
+          return await this.handleResponse<TaskWebhook & { secret: string }>(response);
+        },
+        {
+          ...this.retryConfig,
+          operationName: `A2A registerWebhook for ${taskId} on ${targetAgentId}`,
+          isRetryable: this.isRetryableHttpError.bind(this),
+        }
+      );
+    } catch (error) {
+      throw createError(
+        ErrorCodes.WEBHOOK_OPERATION_FAILED,
+        'register',
+        taskId,
+        targetAgentId,
+        getErrorMessage(error)
+      );
+    }
+  }
+
+  async listWebhooks(targetAgentId: string, taskId: string): Promise<TaskWebhook[]> {
+    try {
+      return await retryWithBackoff(
+        async () => {
+          const agent = this.registry.get(targetAgentId);
+          if (!agent) {
+            throw createError(ErrorCodes.AGENT_NOT_FOUND, targetAgentId);
+          }
+
+          const url = `${agent.baseUrl}/a2a/tasks/${encodeURIComponent(taskId)}/webhooks`;
+
+          const response = await this.fetchWithTimeout(url, {
+            method: 'GET',
+            headers: this.getAuthHeaders(),
+          });
+
+          return await this.handleResponse<TaskWebhook[]>(response);
+        },
+        {
+          ...this.retryConfig,
+          operationName: `A2A listWebhooks for ${taskId} on ${targetAgentId}`,
+          isRetryable: this.isRetryableHttpError.bind(this),
+        }
+      );
+    } catch (error) {
+      throw createError(
+        ErrorCodes.WEBHOOK_OPERATION_FAILED,
+        'list',
+        taskId,
+        targetAgentId,
+        getErrorMessage(error)
+      );
+    }
+  }
+
+  async deleteWebhook(targetAgentId: string, taskId: string, webhookId: string): Promise<void> {
+    try {
+      await retryWithBackoff(
+        async () => {
+          const agent = this.registry.get(targetAgentId);
+          if (!agent) {
+            throw createError(ErrorCodes.AGENT_NOT_FOUND, targetAgentId);
+          }
+
+          const url =
+            `${agent.baseUrl}/a2a/tasks/${encodeURIComponent(taskId)}` +
+            `/webhooks/${encodeURIComponent(webhookId)}`;
+
+          const response = await this.fetchWithTimeout(url, {
+            method: 'DELETE',
+            headers: this.getAuthHeaders(),
+          });
+
+          return await this.handleResponse<{ taskId: string; webhookId: string }>(response);
+        },
+        {
+          ...this.retryConfig,
+          operationName: `A2A deleteWebhook ${webhookId} on ${targetAgentId}`,
+          isRetryable: this.isRetryableHttpError.bind(this),
+        }
+      );
+    } catch (error) {
+      throw createError(
+        ErrorCodes.WEBHOOK_OPERATION_FAILED,
+        'delete',
+        taskId,
+        targetAgentId,
+        getErrorMessage(error)
+      );
+    }
+  }
+
   /**
    * Validate Content-Type header before parsing JSON
    *
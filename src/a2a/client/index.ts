@@ -3,4 +3,8 @@
  * Exports HTTP client for calling other agents
  */
 
-export { A2AClient } from './A2AClient.js';
+export {
+  A2AClient,
+  type SubscribeToTaskOptions,
+  type RegisterWebhookOptions,
+} from './A2AClient.js';
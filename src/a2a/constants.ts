@@ -13,7 +13,7 @@
 export const TIME = {
   /**
    * Default task timeout duration (5 minutes)
-   * Used by MCPTaskDelegator to detect stalled tasks
+   * Used by MCPTaskDelegator as the lease duration of picked-up tasks
    */
   TASK_TIMEOUT_MS: 300_000, // 5 minutes
 
@@ -37,14 +37,26 @@ export const TIME = {
 } as const;
 
 /**
- * Phase 1.0 limitations
+ * Delegation queue limits (MCPTaskDelegator)
  */
 export const LIMITS = {
   /**
-   * Maximum concurrent tasks per agent in Phase 1.0
-   * Phase 2.0+ will support multiple concurrent tasks
+   * Default number of tasks an agent may hold leases on at the same time
+   * Further tasks wait in the agent's queue
    */
-  MAX_CONCURRENT_TASKS_PHASE_1: 1,
+  MAX_CONCURRENT_TASKS_PER_AGENT: 1,
+
+  /**
+   * Default number of queued tasks (pending and in progress) per agent
+   * addTask rejects with AGENT_QUEUE_FULL beyond this
+   */
+  MAX_QUEUED_TASKS_PER_AGENT: 100,
+
+  /**
+   * Default number of lease expirations before a task is dead-lettered
+   * Each expiration requeues the task; the last one marks it TIMEOUT
+   */
+  MAX_LEASE_EXPIRATIONS: 3,
 } as const;
 
 /**
@@ -65,6 +77,120 @@ export const NETWORK = {
   MAX_REQUEST_BODY_SIZE: '10mb',
 } as const;
 
+/**
+ * Agent discovery beyond the shared registry file (see AgentDiscovery)
+ */
+export const DISCOVERY = {
+  /**
+   * Administratively scoped multicast group and port for announcements
+   */
+  MULTICAST_GROUP: '239.255.77.77',
+  MULTICAST_PORT: 41_234,
+
+  /**
+   * Multicast hop limit (1 = stay on the local network segment)
+   */
+  MULTICAST_TTL: 1,
+
+  /**
+   * Interval between announcements and static peer polls (30 seconds)
+   */
+  ANNOUNCE_INTERVAL_MS: 30_000,
+
+  /**
+   * Missed announcements before a discovered agent is marked stale
+   */
+  STALE_AFTER_MISSED_ANNOUNCEMENTS: 3,
+
+  /**
+   * Timeout for fetching a static peer's agent card (5 seconds)
+   */
+  PEER_FETCH_TIMEOUT_MS: 5_000,
+
+  /**
+   * Announcements larger than this are dropped (fits a single UDP datagram)
+   */
+  MAX_MESSAGE_BYTES: 60_000,
+} as const;
+
+/**
+ * Capability-based routing of a2a-send-task (see CapabilityRouter)
+ */
+export const ROUTING = {
+  /**
+   * Weights of skill match, current load and historical success in the
+   * candidate score (sum to 1)
+   */
+  SKILL_WEIGHT: 0.6,
+  LOAD_WEIGHT: 0.25,
+  SUCCESS_WEIGHT: 0.15,
+
+  /**
+   * Score used for load or success rate when it cannot be determined
+   */
+  UNKNOWN_FACTOR_SCORE: 0.5,
+
+  /**
+   * Number of task words a skill must cover for a full skill score
+   */
+  FULL_MATCH_TERMS: 3,
+
+  /**
+   * Default number of candidates tried before giving up
+   */
+  MAX_ATTEMPTS: 3,
+
+  /**
+   * Tasks whose outcome is remembered to avoid counting it twice
+   */
+  MAX_TRACKED_OUTCOMES: 1_000,
+} as const;
+
+/**
+ * Task event streaming (SSE) configuration
+ */
+export const STREAMING = {
+  /**
+   * Interval between keep-alive comments on idle event streams (15 seconds)
+   * Keeps proxies and clients from closing long-lived connections
+   */
+  KEEP_ALIVE_INTERVAL_MS: 15_000,
+} as const;
+
+/**
+ * Webhook push notification configuration
+ */
+export const PUSH_NOTIFICATIONS = {
+  /**
+   * Maximum webhooks registered per task
+   */
+  MAX_WEBHOOKS_PER_TASK: 10,
+
+  /**
+   * Timeout for a single delivery attempt (10 seconds)
+   */
+  DELIVERY_TIMEOUT_MS: 10_000,
+
+  /**
+   * Retries after a failed delivery (network error, 429 or 5xx)
+   */
+  MAX_DELIVERY_RETRIES: 3,
+
+  /**
+   * Base delay for exponential backoff between delivery attempts (1 second)
+   */
+  RETRY_BASE_DELAY_MS: 1_000,
+
+  /**
+   * Headers sent with every delivery
+   * Signature = "sha256=" + hex(HMAC-SHA256(secret, `${timestamp}.${body}`))
+   */
+  SIGNATURE_HEADER: 'X-MeMesh-Signature',
+  TIMESTAMP_HEADER: 'X-MeMesh-Timestamp',
+  EVENT_HEADER: 'X-MeMesh-Event',
+  DELIVERY_HEADER: 'X-MeMesh-Delivery',
+} as const;
+
 /**
  * Rate limiting configuration
  */
@@ -114,6 +240,13 @@ export const ENV_KEYS = {
    */
   TASK_TIMEOUT: 'MEMESH_A2A_TASK_TIMEOUT',
 
+  /**
+   * Delegation queue limit overrides (see LIMITS)
+   */
+  MAX_CONCURRENT_TASKS: 'MEMESH_A2A_MAX_CONCURRENT_TASKS',
+  MAX_QUEUED_TASKS: 'MEMESH_A2A_MAX_QUEUED_TASKS',
+  MAX_LEASE_EXPIRATIONS: 'MEMESH_A2A_MAX_LEASE_EXPIRATIONS',
+
   /**
    * Rate limit overrides (requests per minute)
    */
@@ -122,4 +255,14 @@ export const ENV_KEYS = {
   RATE_LIMIT_GET_TASK: 'MEMESH_A2A_RATE_LIMIT_GET_TASK',
   RATE_LIMIT_LIST_TASKS: 'MEMESH_A2A_RATE_LIMIT_LIST_TASKS',
   RATE_LIMIT_CANCEL_TASK: 'MEMESH_A2A_RATE_LIMIT_CANCEL_TASK',
+
+  /**
+   * Agent discovery (see DISCOVERY)
+   * DISCOVERY=true enables multicast announcements; PEERS is a comma-separated list of agent base URLs
+   */
+  DISCOVERY: 'MEMESH_A2A_DISCOVERY',
+  DISCOVERY_GROUP: 'MEMESH_A2A_DISCOVERY_GROUP',
+  DISCOVERY_PORT: 'MEMESH_A2A_DISCOVERY_PORT',
+  DISCOVERY_INTERFACE: 'MEMESH_A2A_DISCOVERY_INTERFACE',
+  PEERS: 'MEMESH_A2A_PEERS',
 } as const;
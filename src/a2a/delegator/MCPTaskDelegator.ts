@@ -2,83 +2,148 @@
  * MCP Task Delegator
  *
  * Manages task delegation from A2A agents to MCP clients.
- * Maintains a pending task queue and handles task lifecycle (add, mark in-progress, remove).
- * Implements timeout detection for tasks that exceed the configured timeout threshold.
+ * Maintains a per-agent delegation queue stored in the agent's task database,
+ * so delegated work survives restarts, and handles the task lifecycle
+ * (add, claim, remove, lease expiry).
  *
- * Phase 1.0: Supports one concurrent task per agent.
- * Future: Will support multiple concurrent tasks.
+ * Queue semantics:
+ * - Tasks are ordered by priority (high, medium, low), then by age
+ * - An agent holds leases on at most `maxConcurrentTasks` tasks at a time;
+ *   further tasks wait in its queue
+ * - A claimed task is leased for the task timeout. If it is not reported
+ *   before the lease expires, TimeoutChecker puts it back in the queue
+ * - After `maxLeaseExpirations` expirations the task is dead-lettered and
+ *   marked TIMEOUT in the TaskQueue
  *
  * @module a2a/delegator
  */
 
 import type { TaskQueue } from '../storage/TaskQueue.js';
 import type { ILogger } from '../../utils/ILogger.js';
-import type { TaskInfo } from './types.js';
+import type { TaskInfo, MCPTaskDelegatorOptions } from './types.js';
 import { TIME, LIMITS, ENV_KEYS } from '../constants.js';
 import { A2AMetrics, METRIC_NAMES } from '../metrics/index.js';
 import { ErrorCodes, createError, formatErrorMessage } from '../errors/index.js';
+import { MinHeap } from '../../utils/MinHeap.js';
+
+/**
+ * Queue position of each priority (lower is served first)
+ */
+const PRIORITY_RANK: Record<TaskInfo['priority'], number> = {
+  high: 0,
+  medium: 1,
+  low: 2,
+};
+
+/**
+ * Pending task in an agent's heap
+ *
+ * Heaps cannot remove arbitrary entries, so removed or claimed tasks are
+ * dropped lazily: an entry is live only while it still points to the
+ * current TaskInfo of a PENDING task.
+ */
+interface QueueEntry {
+  info: TaskInfo;
+  /** Insertion order, breaks ties between tasks created in the same millisecond */
+  sequence: number;
+}
+
+function compareEntries(a: QueueEntry, b: QueueEntry): number {
+  return (
+    PRIORITY_RANK[a.info.priority] - PRIORITY_RANK[b.info.priority] ||
+    a.info.createdAt - b.info.createdAt ||
+    a.sequence - b.sequence
+  );
+}
 
 /**
  * MCPTaskDelegator class
  *
  * Manages the delegation of tasks from A2A agents to MCP clients.
- * Tracks pending tasks and detects timeouts.
+ * Queues tasks per agent, leases them to the MCP client and detects
+ * expired leases.
  *
  * @example
  * ```typescript
- * const delegator = new MCPTaskDelegator(taskQueue, logger);
+ * const delegator = new MCPTaskDelegator(taskQueue, logger, { maxConcurrentTasks: 2 });
  *
  * // Add a task
  * await delegator.addTask('task-123', 'Calculate 2+2', 'high', 'agent-1');
  *
- * // Get pending tasks for an agent
- * const tasks = await delegator.getPendingTasks('agent-1');
- *
- * // Mark task as in-progress
- * await delegator.markTaskInProgress('task-123');
+ * // Lease the next tasks for an agent (MCP client poll)
+ * const tasks = await delegator.claimTasks('agent-1');
  *
  * // Remove completed task
  * await delegator.removeTask('task-123');
  *
- * // Check for timeouts (called periodically by TimeoutChecker)
+ * // Expire leases (called periodically by TimeoutChecker)
  * await delegator.checkTimeouts();
  * ```
  */
 export class MCPTaskDelegator {
-  private pendingTasks: Map<string, TaskInfo>;
+  /** Live tasks (PENDING and IN_PROGRESS); dead letters stay in the database only */
+  private tasks: Map<string, TaskInfo>;
   // PERFORMANCE OPTIMIZATION: O(1) lookup by agentId
   // Maps agentId -> Set of taskIds for that agent
-  private pendingTasksByAgent: Map<string, Set<string>>;
+  private tasksByAgent: Map<string, Set<string>>;
+  /** Pending tasks per agent in claim order */
+  private queues: Map<string, MinHeap<QueueEntry>>;
+  private sequence = 0;
   private taskQueue: TaskQueue;
   private logger: ILogger;
   private metrics: A2AMetrics;
+  private readonly maxConcurrentTasks: number;
+  private readonly maxQueuedTasks: number;
+  private readonly maxLeaseExpirations: number;
 
   /**
    * Create a new MCPTaskDelegator
    *
+   * Restores the delegation queue from the TaskQueue database. Leases taken
+   * before a restart are kept and expire normally.
+   *
    * @param taskQueue - TaskQueue instance for persistent task storage
    * @param logger - Logger instance for logging
+   * @param options - Queue limits (defaults: LIMITS, overridable by environment variables)
    */
-  constructor(taskQueue: TaskQueue, logger: ILogger) {
-    this.pendingTasks = new Map();
-    this.pendingTasksByAgent = new Map();
+  constructor(taskQueue: TaskQueue, logger: ILogger, options: MCPTaskDelegatorOptions = {}) {
+    this.tasks = new Map();
+    this.tasksByAgent = new Map();
+    this.queues = new Map();
     this.taskQueue = taskQueue;
     this.logger = logger;
     this.metrics = A2AMetrics.getInstance();
+
+    this.maxConcurrentTasks =
+      options.maxConcurrentTasks ??
+      this.getLimit(ENV_KEYS.MAX_CONCURRENT_TASKS, LIMITS.MAX_CONCURRENT_TASKS_PER_AGENT);
+    this.maxQueuedTasks =
+      options.maxQueuedTasks ??
+      this.getLimit(ENV_KEYS.MAX_QUEUED_TASKS, LIMITS.MAX_QUEUED_TASKS_PER_AGENT);
+    this.maxLeaseExpirations =
+      options.maxLeaseExpirations ??
+      this.getLimit(ENV_KEYS.MAX_LEASE_EXPIRATIONS, LIMITS.MAX_LEASE_EXPIRATIONS);
+
+    const restored = this.taskQueue.getDelegatedTasks().filter((info) => info.status !== 'DEAD_LETTER');
+    for (const info of restored) {
+      this.track(info);
+    }
+    if (restored.length > 0) {
+      this.logger.info('[MCPTaskDelegator] Restored delegation queue', { taskCount: restored.length });
+    }
   }
 
   /**
    * Add a task to the delegation queue
    *
-   * Phase 1.0: Enforces one concurrent task per agent limit.
-   * The task is added to the in-memory pending queue and will be picked up
-   * by the MCP client via polling.
+   * The task is stored in the agent's queue and will be leased to the MCP
+   * client via polling once the agent has a free concurrency slot.
    *
    * @param taskId - Unique task identifier
    * @param task - Task description/content
    * @param priority - Task priority (high, medium, low)
    * @param agentId - Agent that owns this task
-   * @throws Error if agent already has a pending task (Phase 1.0 limitation)
+   * @throws Error with code AGENT_QUEUE_FULL if the agent's queue is full
    *
    * @example
    * ```typescript
@@ -91,14 +156,10 @@ export class MCPTaskDelegator {
     priority: 'high' | 'medium' | 'low',
     agentId: string
   ): Promise<void> {
-    // PERFORMANCE OPTIMIZATION: O(1) lookup using index
-    // OLD: O(n) - Array.from(this.pendingTasks.values()).filter(task => task.agentId === agentId).length
-    // NEW: O(1) - this.pendingTasksByAgent.get(agentId)?.size || 0
-    const agentTaskSet = this.pendingTasksByAgent.get(agentId);
-    const agentTaskCount = agentTaskSet ? agentTaskSet.size : 0;
-
-    if (agentTaskCount >= LIMITS.MAX_CONCURRENT_TASKS_PHASE_1) {
-      throw createError(ErrorCodes.AGENT_ALREADY_PROCESSING, 'Phase 1.0');
+    const agentTaskCount = this.tasksByAgent.get(agentId)?.size ?? 0;
+
+    if (agentTaskCount >= this.maxQueuedTasks) {
+      throw createError(ErrorCodes.AGENT_QUEUE_FULL, agentId, this.maxQueuedTasks);
     }
 
     const taskInfo: TaskInfo = {
@@ -107,34 +168,26 @@ export class MCPTaskDelegator {
       priority,
       agentId,
       createdAt: Date.now(),
-      status: 'PENDING'
+      status: 'PENDING',
+      leaseExpirations: 0,
     };
 
-    this.pendingTasks.set(taskId, taskInfo);
-
-    // Update agent index
-    if (!agentTaskSet) {
-      this.pendingTasksByAgent.set(agentId, new Set([taskId]));
-    } else {
-      agentTaskSet.add(taskId);
-    }
+    // Persist first: a task is only queued once it survives a restart
+    this.taskQueue.saveDelegatedTask(taskInfo);
+    this.track(taskInfo);
 
     this.logger.info('[MCPTaskDelegator] Task added to delegation queue', { taskId, agentId });
 
     // Metrics: track task submitted and queue size
     this.metrics.incrementCounter(METRIC_NAMES.TASKS_SUBMITTED, { agentId, priority });
-    this.metrics.setGauge(METRIC_NAMES.QUEUE_SIZE, this.pendingTasks.size, { agentId });
+    this.updateQueueSize(agentId);
   }
 
   /**
    * Get pending tasks for a specific agent
    *
-   * Returns all tasks that are in PENDING status for the given agent.
-   * MCP clients call this method to poll for new tasks.
-   *
-   * PERFORMANCE OPTIMIZATION: O(n) → O(1) lookup using agent index
-   * OLD: Iterate all tasks and filter by agentId
-   * NEW: Direct lookup in pendingTasksByAgent Map
+   * Returns the tasks waiting in the agent's queue, in claim order.
+   * Does not lease them; use claimTasks() to pick tasks up.
    *
    * @param agentId - Agent identifier to filter tasks
    * @returns Array of pending tasks for the agent
@@ -146,50 +199,99 @@ export class MCPTaskDelegator {
    * ```
    */
   async getPendingTasks(agentId: string): Promise<TaskInfo[]> {
-    // PERFORMANCE OPTIMIZATION: O(1) lookup using index
-    const taskIds = this.pendingTasksByAgent.get(agentId);
-    if (!taskIds || taskIds.size === 0) {
+    const queue = this.queues.get(agentId);
+    if (!queue || queue.isEmpty()) {
       return [];
     }
 
-    const tasks: TaskInfo[] = [];
-    for (const taskId of taskIds) {
-      const taskInfo = this.pendingTasks.get(taskId);
-      if (taskInfo && taskInfo.status === 'PENDING') {
-        tasks.push(taskInfo);
+    return queue
+      .toArray()
+      .filter((entry) => this.isLive(entry))
+      .sort(compareEntries)
+      .map((entry) => entry.info);
+  }
+
+  /**
+   * Lease the next pending tasks for an agent
+   *
+   * Claims as many tasks as the agent has free concurrency slots, in
+   * priority order. Each claimed task is IN_PROGRESS until it is removed or
+   * its lease (the task timeout) expires. MCP clients call this to poll.
+   *
+   * @param agentId - Agent picking up work
+   * @returns Newly leased tasks (empty if nothing is pending or all slots are taken)
+   *
+   * @example
+   * ```typescript
+   * for (const task of await delegator.claimTasks('agent-1')) {
+   *   // execute, then report via a2a-report-result
+   * }
+   * ```
+   */
+  async claimTasks(agentId: string): Promise<TaskInfo[]> {
+    const queue = this.queues.get(agentId);
+    const claimed: TaskInfo[] = [];
+    let freeSlots = this.maxConcurrentTasks - this.countLeased(agentId);
+
+    while (queue && freeSlots > 0) {
+      const entry = queue.pop();
+      if (!entry) {
+        break;
+      }
+      if (!this.isLive(entry)) {
+        continue;
       }
+      claimed.push(this.lease(entry.info));
+      freeSlots--;
     }
-    return tasks;
+
+    if (queue?.isEmpty()) {
+      this.queues.delete(agentId);
+    }
+
+    return claimed;
   }
 
   /**
    * Mark a task as in-progress
    *
-   * Called by MCP client when it starts executing a task.
-   * Prevents the task from being included in pending task queries.
+   * Leases a specific pending task, bypassing priority order. Respects the
+   * agent's concurrency limit.
    *
    * @param taskId - Task identifier to mark as in-progress
+   * @returns true if the task was leased
    *
    * @example
    * ```typescript
    * await delegator.markTaskInProgress('task-123');
    * ```
    */
-  async markTaskInProgress(taskId: string): Promise<void> {
-    const taskInfo = this.pendingTasks.get(taskId);
-    if (taskInfo) {
-      taskInfo.status = 'IN_PROGRESS';
-      this.logger.info('[MCPTaskDelegator] Task marked as in-progress', { taskId });
-    } else {
+  async markTaskInProgress(taskId: string): Promise<boolean> {
+    const taskInfo = this.tasks.get(taskId);
+    if (!taskInfo || taskInfo.status !== 'PENDING') {
       this.logger.warn('[MCPTaskDelegator] Task not found for progress update', { taskId });
+      return false;
     }
+
+    if (this.countLeased(taskInfo.agentId) >= this.maxConcurrentTasks) {
+      this.logger.warn('[MCPTaskDelegator] Agent has no free concurrency slot', {
+        taskId,
+        agentId: taskInfo.agentId,
+        maxConcurrentTasks: this.maxConcurrentTasks,
+      });
+      return false;
+    }
+
+    // The stale heap entry is skipped on the next claim
+    this.lease(taskInfo);
+    return true;
   }
 
   /**
    * Remove a task from the delegation queue
    *
    * Called when a task is completed, failed, or canceled.
-   * Removes the task from the in-memory pending queue.
+   * Removes the task from the queue (including the dead-letter queue).
    *
    * @param taskId - Task identifier to remove
    *
@@ -200,30 +302,33 @@ export class MCPTaskDelegator {
    * ```
    */
   async removeTask(taskId: string): Promise<void> {
-    const taskInfo = this.pendingTasks.get(taskId);
-    const removed = this.pendingTasks.delete(taskId);
-
-    if (removed && taskInfo) {
-      // Update agent index
-      const agentTaskSet = this.pendingTasksByAgent.get(taskInfo.agentId);
-      if (agentTaskSet) {
-        agentTaskSet.delete(taskId);
-        if (agentTaskSet.size === 0) {
-          this.pendingTasksByAgent.delete(taskInfo.agentId);
-        }
-      }
+    const taskInfo = this.tasks.get(taskId);
+    const removed = this.taskQueue.deleteDelegatedTask(taskId);
 
+    if (taskInfo) {
+      this.untrack(taskInfo);
       this.logger.info('[MCPTaskDelegator] Task removed from delegation queue', { taskId });
 
       // Metrics: update queue size
-      this.metrics.setGauge(METRIC_NAMES.QUEUE_SIZE, this.pendingTasks.size, {
-        agentId: taskInfo.agentId
-      });
+      this.updateQueueSize(taskInfo.agentId);
+    } else if (removed) {
+      this.logger.info('[MCPTaskDelegator] Task removed from dead-letter queue', { taskId });
     } else {
       this.logger.warn('[MCPTaskDelegator] Task not found for removal', { taskId });
     }
   }
 
+  /**
+   * Get dead-lettered tasks
+   *
+   * @param agentId - Only return tasks of this agent (default: all agents)
+   * @returns Tasks whose lease expired too often, oldest first
+   */
+  async getDeadLetterTasks(agentId?: string): Promise<TaskInfo[]> {
+    const deadLetters = this.taskQueue.getDelegatedTasks('DEAD_LETTER');
+    return agentId ? deadLetters.filter((info) => info.agentId === agentId) : deadLetters;
+  }
+
   /**
    * Bounds for task timeout configuration.
    * min: 5 seconds (anything shorter is unreasonable for task execution)
@@ -277,18 +382,40 @@ export class MCPTaskDelegator {
   }
 
   /**
-   * Check for timed-out tasks and mark them as TIMEOUT
+   * Read a positive integer queue limit from an environment variable
    *
-   * Called periodically by TimeoutChecker to detect tasks that have exceeded
-   * the configured timeout threshold. Timed-out tasks are:
-   * 1. Updated to TIMEOUT state in TaskQueue
-   * 2. Removed from pending queue
+   * @returns The configured value, or the default if unset or invalid
+   */
+  private getLimit(envKey: string, defaultValue: number): number {
+    const envValue = process.env[envKey];
+    if (!envValue) {
+      return defaultValue;
+    }
+
+    const raw = parseInt(envValue, 10);
+    if (Number.isNaN(raw) || raw < 1) {
+      this.logger.warn(
+        `[MCPTaskDelegator] Invalid ${envKey} env var: "${envValue}", using default ${defaultValue}`
+      );
+      return defaultValue;
+    }
+    return raw;
+  }
+
+  /**
+   * Expire leases of tasks that were picked up but never reported
    *
-   * Implements transaction safety: only removes from pending queue after
-   * successful database update. If update fails, task remains in queue for retry.
+   * Called periodically by TimeoutChecker. A task whose lease has expired is:
+   * 1. Put back in its agent's queue, or
+   * 2. After `maxLeaseExpirations` expirations, updated to TIMEOUT state in
+   *    TaskQueue and moved to the dead-letter queue
    *
-   * Timeout duration is configured via environment variable MEMESH_A2A_TASK_TIMEOUT
-   * (default: 300,000ms = 5 minutes).
+   * Implements transaction safety: a task is only dead-lettered after a
+   * successful TaskQueue update. If the update fails, the task keeps its
+   * expired lease and is retried on the next check.
+   *
+   * The lease duration is the task timeout, configured via environment
+   * variable MEMESH_A2A_TASK_TIMEOUT (default: 300,000ms = 5 minutes).
    *
    * @throws Does not throw - errors are logged and handled gracefully
    *
@@ -303,28 +430,44 @@ export class MCPTaskDelegator {
 
     try {
       const now = Date.now();
-      const timeout = this.getTaskTimeout();
-      const timeoutSeconds = timeout / 1000;
+      const timeoutSeconds = this.getTaskTimeout() / 1000;
 
-      // CRITICAL FIX: Collect timed-out tasks first to avoid modifying Map during iteration
-      const timedOutTasks: Array<{ taskId: string; taskInfo: TaskInfo }> = [];
+      // Collect expired leases first to avoid modifying the Map during iteration
+      const expiredTasks: TaskInfo[] = [];
 
-      for (const [taskId, taskInfo] of this.pendingTasks) {
+      for (const taskInfo of this.tasks.values()) {
         tasksChecked++;
-        if (now - taskInfo.createdAt > timeout) {
-          timedOutTasks.push({ taskId, taskInfo });
+        if (taskInfo.status === 'IN_PROGRESS' && (taskInfo.leaseExpiresAt ?? 0) <= now) {
+          expiredTasks.push(taskInfo);
         }
       }
 
-      // Process timed-out tasks sequentially with transaction safety
-      for (const { taskId, taskInfo } of timedOutTasks) {
+      let deadLettered = 0;
+
+      // Process expired leases sequentially with transaction safety
+      for (const taskInfo of expiredTasks) {
+        const { taskId, agentId } = taskInfo;
         try {
+          const leaseExpirations = taskInfo.leaseExpirations + 1;
+
+          if (leaseExpirations < this.maxLeaseExpirations) {
+            this.requeue(taskInfo, leaseExpirations);
+            this.logger.warn('[MCPTaskDelegator] Task lease expired, requeued', {
+              taskId,
+              agentId,
+              leaseExpirations,
+              maxLeaseExpirations: this.maxLeaseExpirations,
+            });
+            continue;
+          }
+
           const timeoutMessage = formatErrorMessage(ErrorCodes.TASK_TIMEOUT, taskId, timeoutSeconds);
 
           this.logger.warn('[MCPTaskDelegator] Task timeout detected', {
             taskId,
-            agentId: taskInfo.agentId,
+            agentId,
             timeoutSeconds,
+            leaseExpirations,
             taskAge: Math.floor((now - taskInfo.createdAt) / 1000),
           });
 
@@ -336,48 +479,39 @@ export class MCPTaskDelegator {
 
           if (!updated) {
             this.logger.error('[MCPTaskDelegator] Failed to update timeout status for task', { taskId });
-            // Do not remove from pending queue if DB update failed
+            // Keep the lease if DB update failed
             continue;
           }
 
-          // Only remove from pending queue after successful DB update
-          this.pendingTasks.delete(taskId);
-
-          // Update agent index
-          const agentTaskSet = this.pendingTasksByAgent.get(taskInfo.agentId);
-          if (agentTaskSet) {
-            agentTaskSet.delete(taskId);
-            if (agentTaskSet.size === 0) {
-              this.pendingTasksByAgent.delete(taskInfo.agentId);
-            }
-          }
+          // Only dead-letter after successful DB update
+          this.deadLetter(taskInfo, leaseExpirations, now);
+          deadLettered++;
 
-          this.logger.info('[MCPTaskDelegator] Task removed from pending queue after timeout', { taskId });
+          this.logger.info('[MCPTaskDelegator] Task moved to dead-letter queue after timeout', { taskId });
 
           // Metrics: track timeout and update queue size
           this.metrics.incrementCounter(METRIC_NAMES.TASKS_TIMEOUT, {
-            agentId: taskInfo.agentId,
+            agentId,
             priority: taskInfo.priority
           });
-          this.metrics.setGauge(METRIC_NAMES.QUEUE_SIZE, this.pendingTasks.size, {
-            agentId: taskInfo.agentId
-          });
+          this.updateQueueSize(agentId);
 
         } catch (error) {
-          // Transaction safety: rollback by keeping task in pending queue
+          // Transaction safety: the task keeps its expired lease
           this.logger.error('[MCPTaskDelegator] Error processing timeout', {
             taskId,
             error: error instanceof Error ? error.message : String(error),
             stack: error instanceof Error ? error.stack : undefined,
           });
-          // Task remains in pending queue for retry on next checkTimeouts call
+          // Task is retried on next checkTimeouts call
         }
       }
 
-      if (timedOutTasks.length > 0) {
+      if (expiredTasks.length > 0) {
         this.logger.info('[MCPTaskDelegator] Timeout check completed', {
-          timeoutCount: timedOutTasks.length,
-          remainingTasks: this.pendingTasks.size,
+          expiredLeases: expiredTasks.length,
+          deadLettered,
+          remainingTasks: this.tasks.size,
         });
       }
     } catch (error) {
@@ -387,10 +521,119 @@ export class MCPTaskDelegator {
         error: error instanceof Error ? error.message : String(error),
         stack: error instanceof Error ? error.stack : undefined,
         tasksChecked,
-        pendingTaskCount: this.pendingTasks.size,
+        pendingTaskCount: this.tasks.size,
       });
       // Do NOT re-throw: this method is called by setInterval.
       // An unhandled rejection here would crash the entire Node.js process.
     }
   }
+
+  /**
+   * Lease a pending task for the task timeout
+   */
+  private lease(taskInfo: TaskInfo): TaskInfo {
+    const leased: TaskInfo = {
+      ...taskInfo,
+      status: 'IN_PROGRESS',
+      leaseExpiresAt: Date.now() + this.getTaskTimeout(),
+    };
+    this.taskQueue.saveDelegatedTask(leased);
+    this.tasks.set(leased.taskId, leased);
+
+    this.logger.info('[MCPTaskDelegator] Task marked as in-progress', {
+      taskId: leased.taskId,
+      agentId: leased.agentId,
+      leaseExpiresAt: leased.leaseExpiresAt,
+    });
+    return leased;
+  }
+
+  /**
+   * Put a task with an expired lease back in its agent's queue
+   */
+  private requeue(taskInfo: TaskInfo, leaseExpirations: number): void {
+    const requeued: TaskInfo = {
+      ...taskInfo,
+      status: 'PENDING',
+      leaseExpiresAt: undefined,
+      leaseExpirations,
+    };
+    this.taskQueue.saveDelegatedTask(requeued);
+    this.track(requeued);
+  }
+
+  /**
+   * Move a task to the dead-letter queue (kept in the database only)
+   */
+  private deadLetter(taskInfo: TaskInfo, leaseExpirations: number, now: number): void {
+    this.taskQueue.saveDelegatedTask({
+      ...taskInfo,
+      status: 'DEAD_LETTER',
+      leaseExpiresAt: undefined,
+      leaseExpirations,
+      deadLetteredAt: now,
+    });
+    this.untrack(taskInfo);
+  }
+
+  /**
+   * Add a task to the in-memory indexes (and its agent's heap if pending)
+   */
+  private track(taskInfo: TaskInfo): void {
+    this.tasks.set(taskInfo.taskId, taskInfo);
+
+    const agentTaskSet = this.tasksByAgent.get(taskInfo.agentId);
+    if (!agentTaskSet) {
+      this.tasksByAgent.set(taskInfo.agentId, new Set([taskInfo.taskId]));
+    } else {
+      agentTaskSet.add(taskInfo.taskId);
+    }
+
+    if (taskInfo.status === 'PENDING') {
+      let queue = this.queues.get(taskInfo.agentId);
+      if (!queue) {
+        queue = new MinHeap<QueueEntry>(compareEntries);
+        this.queues.set(taskInfo.agentId, queue);
+      }
+      queue.push({ info: taskInfo, sequence: this.sequence++ });
+    }
+  }
+
+  /**
+   * Remove a task from the in-memory indexes
+   */
+  private untrack(taskInfo: TaskInfo): void {
+    this.tasks.delete(taskInfo.taskId);
+
+    const agentTaskSet = this.tasksByAgent.get(taskInfo.agentId);
+    if (agentTaskSet) {
+      agentTaskSet.delete(taskInfo.taskId);
+      if (agentTaskSet.size === 0) {
+        this.tasksByAgent.delete(taskInfo.agentId);
+        // Only stale entries can be left in the agent's heap
+        this.queues.delete(taskInfo.agentId);
+      }
+    }
+  }
+
+  private isLive(entry: QueueEntry): boolean {
+    const current = this.tasks.get(entry.info.taskId);
+    return current === entry.info && current.status === 'PENDING';
+  }
+
+  private countLeased(agentId: string): number {
+    let leased = 0;
+    for (const taskId of this.tasksByAgent.get(agentId) ?? []) {
+      if (this.tasks.get(taskId)?.status === 'IN_PROGRESS') {
+        leased++;
+      }
+    }
+    return leased;
+  }
+
+  private updateQueueSize(agentId: string): void {
+    this.metrics.setGauge(METRIC_NAMES.QUEUE_SIZE, this.tasksByAgent.get(agentId)?.size ?? 0, {
+      agentId
+    });
+  }
 }
@@ -3,7 +3,7 @@
  * Verifies that optimizations maintain correctness
  */
 
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { MCPTaskDelegator } from '../MCPTaskDelegator.js';
 import { TaskQueue } from '../../storage/TaskQueue.js';
 import { logger } from '../../../utils/logger.js';
@@ -81,14 +81,13 @@ describe('MCPTaskDelegator Performance Optimizations', () => {
       tasks = await delegator.getPendingTasks('agent-1');
       expect(tasks).toHaveLength(0);
 
-      // Verify agent is removed from index (no memory leak)
-      const agentIndex = (delegator as any).pendingTasksByAgent;
-      expect(agentIndex.has('agent-1')).toBe(false);
+      // Verify agent is removed from indexes (no memory leak)
+      expect((delegator as any).tasksByAgent.has('agent-1')).toBe(false);
+      expect((delegator as any).queues.has('agent-1')).toBe(false);
     });
 
     it('should maintain index consistency on timeout', async () => {
-      // Create a task with old timestamp to trigger timeout
-      const oldTimestamp = Date.now() - 400_000; // 400 seconds ago
+      delegator = new MCPTaskDelegator(taskQueue, logger, { maxLeaseExpirations: 1 });
 
       // Create task in TaskQueue first (needed for timeout to work)
       const taskInQueue = taskQueue.createTask({
@@ -98,37 +97,31 @@ describe('MCPTaskDelegator Performance Optimizations', () => {
       });
       const taskId = taskInQueue.id;
 
-      // Directly manipulate pending tasks for testing with old timestamp
-      (delegator as any).pendingTasks.set(taskId, {
-        taskId,
-        task: 'Old task',
-        priority: 'high',
-        agentId: 'agent-1',
-        createdAt: oldTimestamp,
-        status: 'PENDING',
-      });
+      await delegator.addTask(taskId, 'Old task', 'high', 'agent-1');
+      await delegator.claimTasks('agent-1');
 
-      // Manually update agent index
-      const agentIndex = (delegator as any).pendingTasksByAgent;
-      if (!agentIndex.has('agent-1')) {
-        agentIndex.set('agent-1', new Set());
+      // Let the lease expire (default task timeout: 300 seconds)
+      vi.useFakeTimers({ toFake: ['Date'] });
+      try {
+        vi.advanceTimersByTime(400_000);
+        await delegator.checkTimeouts();
+      } finally {
+        vi.useRealTimers();
       }
-      agentIndex.get('agent-1').add(taskId);
-
-      // Run timeout check
-      await delegator.checkTimeouts();
 
-      // Verify task is removed from both maps
+      // Verify task is removed from the queue
       const tasks = await delegator.getPendingTasks('agent-1');
       expect(tasks).toHaveLength(0);
 
       // Verify agent index is cleaned up
+      const agentIndex = (delegator as any).tasksByAgent;
       expect(agentIndex.has('agent-1')).toBe(false);
     });
   });
 
   describe('addTask() with agent index', () => {
-    it('should enforce one task per agent limit', async () => {
+    it('should enforce the per-agent queue limit', async () => {
+      delegator = new MCPTaskDelegator(taskQueue, logger, { maxQueuedTasks: 1 });
       await delegator.addTask('task-1', 'Task 1', 'high', 'agent-1');
 
       // Try to add another task for same agent
@@ -161,7 +154,7 @@ describe('MCPTaskDelegator Performance Optimizations', () => {
         await delegator.addTask(
           `task-${i}`,
           `Task ${i}`,
-          'normal',
+          'medium',
           `agent-${i}`
         );
       }
@@ -1,2 +1,2 @@
 export { MCPTaskDelegator } from './MCPTaskDelegator.js';
-export type { TaskInfo } from './types.js';
+export type { TaskInfo, DelegatedTaskStatus, MCPTaskDelegatorOptions } from './types.js';
@@ -1,8 +1,28 @@
+export type DelegatedTaskStatus = 'PENDING' | 'IN_PROGRESS' | 'DEAD_LETTER';
+
 export interface TaskInfo {
   taskId: string;
   task: string;
   priority: 'high' | 'medium' | 'low';
   agentId: string;
   createdAt: number;
-  status: 'PENDING' | 'IN_PROGRESS';
+  status: DelegatedTaskStatus;
+  /** When the current lease ends (IN_PROGRESS only, epoch ms) */
+  leaseExpiresAt?: number;
+  /** How many leases expired without the task being reported */
+  leaseExpirations: number;
+  /** When the task was moved to the dead-letter queue (epoch ms) */
+  deadLetteredAt?: number;
+}
+
+/**
+ * MCPTaskDelegator options (defaults come from LIMITS and environment variables)
+ */
+export interface MCPTaskDelegatorOptions {
+  /** Tasks an agent may hold leases on at the same time */
+  maxConcurrentTasks?: number;
+  /** Tasks (pending and in progress) queued per agent before addTask rejects */
+  maxQueuedTasks?: number;
+  /** Lease expirations before a task is dead-lettered */
+  maxLeaseExpirations?: number;
 }
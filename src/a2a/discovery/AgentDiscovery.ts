@@ -0,0 +1,459 @@
+/**
+ * Agent Discovery
+ *
+ * Finds A2A agents that do not share this machine's registry file and merges
+ * them into the AgentRegistry:
+ * - Multicast: every agent periodically announces its AgentCard on a UDP
+ *   multicast group; announcements from other agents are registered with
+ *   the sender's address as base URL
+ * - Static peers: agent base URLs from configuration are polled for their
+ *   agent card (`GET /a2a/agent-card`)
+ *
+ * Each announcement or successful poll counts as a heartbeat. Discovered
+ * agents that miss several announcement intervals are marked stale, and
+ * agents that shut down send a goodbye so they are deactivated at once.
+ *
+ * Announcements are unauthenticated, and A2AClient sends the bearer token to
+ * a registered agent's base URL. A multicast announcement therefore never
+ * replaces a local or static registration, and only refreshes a multicast
+ * registration heard from the same address; an agent that moved is picked
+ * up again once its old entry is removed. Agents registered locally (same
+ * registry file) are never overwritten.
+ *
+ * @module a2a/discovery
+ */
+
+import { createSocket, type Socket, type RemoteInfo } from 'dgram';
+import { isIP } from 'net';
+import { AgentRegistry } from '../storage/AgentRegistry.js';
+import type { AgentCard, AgentDiscoverySource, AgentRegistryEntry } from '../types/index.js';
+import { DISCOVERY, ENV_KEYS } from '../constants.js';
+import { logger } from '../../utils/logger.js';
+
+/** Identifies discovery datagrams among other traffic on the group */
+const PROTOCOL = 'memesh-a2a-discovery';
+const PROTOCOL_VERSION = 1;
+
+/** Agent IDs accepted from the network */
+const AGENT_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Discovery datagram
+ */
+interface DiscoveryMessage {
+  protocol: typeof PROTOCOL;
+  version: typeof PROTOCOL_VERSION;
+  type: 'announce' | 'bye';
+  agentId: string;
+  /** A2A server port of the sender */
+  port: number;
+  /** Sender's agent card (announce only) */
+  card?: AgentCard;
+}
+
+/**
+ * AgentDiscovery Configuration
+ */
+export interface AgentDiscoveryConfig {
+  /** Announce and listen on the multicast group (default: false) */
+  multicast?: boolean;
+  /** Multicast group address (default: DISCOVERY.MULTICAST_GROUP) */
+  group?: string;
+  /** Multicast UDP port (default: DISCOVERY.MULTICAST_PORT) */
+  port?: number;
+  /** Local interface address used for multicast, e.g. '127.0.0.1' (default: OS choice) */
+  interface?: string;
+  /** Base URLs of agents to poll, e.g. 'http://10.0.0.12:3000' */
+  peers?: string[];
+  /** Interval between announcements and peer polls (default: DISCOVERY.ANNOUNCE_INTERVAL_MS) */
+  announceIntervalMs?: number;
+  /** Age after which discovered agents are marked stale (default: 3 announce intervals) */
+  staleAfterMs?: number;
+}
+
+/**
+ * Registry operations used by discovery
+ */
+export type DiscoveryRegistry = Pick<AgentRegistry, 'get' | 'register' | 'deactivate' | 'cleanupStaleDiscovered'>;
+
+/**
+ * Read discovery configuration from environment variables (see ENV_KEYS)
+ *
+ * @param env - Environment to read (default: process.env)
+ */
+export function discoveryConfigFromEnv(env: NodeJS.ProcessEnv = process.env): AgentDiscoveryConfig {
+  const port = parseInt(env[ENV_KEYS.DISCOVERY_PORT] || '', 10);
+  return {
+    multicast: /^(1|true|yes|on)$/i.test(env[ENV_KEYS.DISCOVERY] || ''),
+    group: env[ENV_KEYS.DISCOVERY_GROUP] || undefined,
+    port: port > 0 && port < 65_536 ? port : undefined,
+    interface: env[ENV_KEYS.DISCOVERY_INTERFACE] || undefined,
+    peers: (env[ENV_KEYS.PEERS] || '')
+      .split(',')
+      .map((peer) => peer.trim())
+      .filter(Boolean),
+  };
+}
+
+/**
+ * AgentDiscovery
+ *
+ * @example
+ * ```typescript
+ * const discovery = new AgentDiscovery(agentCard, serverPort, {
+ *   multicast: true,
+ *   peers: ['http://10.0.0.12:3000'],
+ * });
+ * await discovery.start();
+ *
+ * // Later...
+ * await discovery.stop();
+ * ```
+ */
+export class AgentDiscovery {
+  private socket: Socket | null = null;
+  private timer: NodeJS.Timeout | null = null;
+  private readonly multicast: boolean;
+  private readonly group: string;
+  private readonly multicastPort: number;
+  private readonly peers: string[];
+  private readonly announceIntervalMs: number;
+  private readonly staleAfterMs: number;
+
+  /**
+   * @param agentCard - Card announced for this agent
+   * @param agentPort - Port of this agent's A2A server
+   * @param config - Discovery configuration
+   * @param registry - Registry discovered agents are merged into (default: AgentRegistry singleton)
+   */
+  constructor(
+    private agentCard: AgentCard,
+    private agentPort: number,
+    private config: AgentDiscoveryConfig = {},
+    private registry: DiscoveryRegistry = AgentRegistry.getInstance()
+  ) {
+    this.multicast = config.multicast ?? false;
+    this.group = config.group ?? DISCOVERY.MULTICAST_GROUP;
+    this.multicastPort = config.port ?? DISCOVERY.MULTICAST_PORT;
+    this.peers = (config.peers ?? []).map((peer) => peer.replace(/\/+$/, ''));
+    this.announceIntervalMs = config.announceIntervalMs ?? DISCOVERY.ANNOUNCE_INTERVAL_MS;
+    this.staleAfterMs =
+      config.staleAfterMs ?? this.announceIntervalMs * DISCOVERY.STALE_AFTER_MISSED_ANNOUNCEMENTS;
+  }
+
+  /**
+   * Whether any discovery mechanism is configured
+   */
+  isEnabled(): boolean {
+    return this.multicast || this.peers.length > 0;
+  }
+
+  /**
+   * Join the multicast group, announce this agent, poll static peers and
+   * repeat every announce interval
+   *
+   * A multicast socket that cannot be opened is logged and skipped; static
+   * peers keep working.
+   */
+  async start(): Promise<void> {
+    if (this.timer || !this.isEnabled()) {
+      return;
+    }
+
+    if (this.multicast) {
+      try {
+        this.socket = await this.openSocket();
+      } catch (error) {
+        logger.warn('[AgentDiscovery] Multicast unavailable, continuing without it', {
+          group: this.group,
+          port: this.multicastPort,
+          error: error instanceof Error ? error.message : String(error),
+        });
+      }
+    }
+
+    const tick = (): void => {
+      this.send('announce');
+      void this.pollPeers();
+      this.sweep();
+    };
+    tick();
+    this.timer = setInterval(tick, this.announceIntervalMs);
+    this.timer.unref();
+
+    logger.info('[AgentDiscovery] Started', {
+      agentId: this.agentCard.id,
+      multicast: this.socket ? `${this.group}:${this.multicastPort}` : false,
+      peers: this.peers.length,
+    });
+  }
+
+  /**
+   * Say goodbye on the multicast group and stop announcing
+   */
+  async stop(): Promise<void> {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    const socket = this.socket;
+    if (!socket) {
+      return;
+    }
+    this.socket = null;
+
+    await new Promise<void>((resolve) => {
+      socket.send(this.encode('bye'), this.multicastPort, this.group, () => {
+        socket.close(() => resolve());
+      });
+    });
+    logger.info('[AgentDiscovery] Stopped', { agentId: this.agentCard.id });
+  }
+
+  /**
+   * Fetch the agent card of every static peer and register the peers that respond
+   *
+   * @returns Number of peers registered
+   */
+  async pollPeers(): Promise<number> {
+    const results = await Promise.all(this.peers.map((peer) => this.pollPeer(peer)));
+    return results.filter(Boolean).length;
+  }
+
+  /**
+   * Mark discovered agents stale when they stopped announcing
+   *
+   * @returns Number of agents marked stale
+   */
+  sweep(): number {
+    const marked = this.registry.cleanupStaleDiscovered(this.staleAfterMs);
+    if (marked > 0) {
+      logger.info('[AgentDiscovery] Marked silent agents stale', { count: marked });
+    }
+    return marked;
+  }
+
+  private openSocket(): Promise<Socket> {
+    return new Promise((resolve, reject) => {
+      const socket = createSocket({ type: 'udp4', reuseAddr: true });
+
+      socket.once('error', (error) => {
+        socket.close();
+        reject(error);
+      });
+
+      socket.bind(this.multicastPort, () => {
+        try {
+          socket.addMembership(this.group, this.config.interface);
+          if (this.config.interface) {
+            socket.setMulticastInterface(this.config.interface);
+          }
+          socket.setMulticastTTL(DISCOVERY.MULTICAST_TTL);
+          // Agents on the same host hear each other through loopback
+          socket.setMulticastLoopback(true);
+        } catch (error) {
+          socket.close();
+          reject(error);
+          return;
+        }
+
+        socket.removeAllListeners('error');
+        socket.on('error', (error) => {
+          logger.warn('[AgentDiscovery] Multicast socket error', { error: error.message });
+        });
+        socket.on('message', (message, remote) => this.handleMessage(message, remote));
+        resolve(socket);
+      });
+    });
+  }
+
+  private encode(type: DiscoveryMessage['type']): Buffer {
+    const message: DiscoveryMessage = {
+      protocol: PROTOCOL,
+      version: PROTOCOL_VERSION,
+      type,
+      agentId: this.agentCard.id,
+      port: this.agentPort,
+      ...(type === 'announce' ? { card: this.agentCard } : {}),
+    };
+    return Buffer.from(JSON.stringify(message));
+  }
+
+  private send(type: DiscoveryMessage['type']): void {
+    this.socket?.send(this.encode(type), this.multicastPort, this.group, (error) => {
+      if (error) {
+        logger.warn('[AgentDiscovery] Failed to send announcement', { type, error: error.message });
+      }
+    });
+  }
+
+  private handleMessage(data: Buffer, remote: RemoteInfo): void {
+    if (data.length > DISCOVERY.MAX_MESSAGE_BYTES) {
+      return;
+    }
+
+    const message = parseDiscoveryMessage(data);
+    if (!message || message.agentId === this.agentCard.id) {
+      return;
+    }
+
+    const discoveredFrom = `${remote.address}:${remote.port}`;
+
+    if (message.type === 'bye') {
+      const existing = this.registry.get(message.agentId);
+      if (existing?.source === 'multicast' && existing.discoveredFrom === discoveredFrom) {
+        this.registry.deactivate(message.agentId);
+        logger.info('[AgentDiscovery] Agent left', { agentId: message.agentId, discoveredFrom });
+      }
+      return;
+    }
+
+    const host = isIP(remote.address) === 6 ? `[${remote.address}]` : remote.address;
+    this.merge(message.card!, `http://${host}:${message.port}`, message.port, 'multicast', discoveredFrom);
+  }
+
+  private async pollPeer(peer: string): Promise<boolean> {
+    let url: URL;
+    try {
+      url = new URL(peer);
+    } catch {
+      logger.warn('[AgentDiscovery] Ignoring invalid peer URL', { peer });
+      return false;
+    }
+
+    try {
+      const response = await fetch(`${peer}/a2a/agent-card`, {
+        signal: AbortSignal.timeout(DISCOVERY.PEER_FETCH_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const body = (await response.json()) as { data?: AgentCard };
+      const card = body.data;
+      if (!isAgentCard(card)) {
+        throw new Error('Response is not an agent card');
+      }
+      if (card.id === this.agentCard.id) {
+        return false;
+      }
+
+      const port = url.port ? parseInt(url.port, 10) : url.protocol === 'https:' ? 443 : 80;
+      return this.merge(card, peer, port, 'static', peer);
+    } catch (error) {
+      logger.debug('[AgentDiscovery] Peer unreachable', {
+        peer,
+        error: error instanceof Error ? error.message : String(error),
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Register (or refresh) a discovered agent
+   *
+   * @returns false if an existing registration with the same ID takes
+   *   precedence (see canReplace)
+   */
+  private merge(
+    card: AgentCard,
+    baseUrl: string,
+    port: number,
+    source: AgentDiscoverySource,
+    discoveredFrom: string
+  ): boolean {
+    const existing = this.registry.get(card.id);
+    if (existing && !canReplace(existing, source, discoveredFrom)) {
+      if (source === 'multicast') {
+        logger.warn('[AgentDiscovery] Ignoring announcement for an agent registered elsewhere', {
+          agentId: card.id,
+          source: existing.source ?? 'local',
+          discoveredFrom,
+        });
+      }
+      return false;
+    }
+
+    this.registry.register({
+      agentId: card.id,
+      baseUrl,
+      port,
+      capabilities: card.capabilities,
+      metadata: {
+        ...card.metadata,
+        name: card.name,
+        ...(card.version ? { version: card.version } : {}),
+      },
+      source,
+      discoveredFrom,
+    });
+
+    if (!existing || existing.status !== 'active') {
+      logger.info('[AgentDiscovery] Agent discovered', { agentId: card.id, source, baseUrl });
+    }
+    return true;
+  }
+}
+
+/**
+ * Whether a discovery result may overwrite an existing registration
+ *
+ * - Multicast: only a multicast entry heard from the same address
+ * - Static: anything but a live local registration
+ */
+function canReplace(
+  existing: Pick<AgentRegistryEntry, 'source' | 'status' | 'discoveredFrom'>,
+  source: AgentDiscoverySource,
+  discoveredFrom: string
+): boolean {
+  const existingSource = existing.source ?? 'local';
+  if (source === 'multicast') {
+    return existingSource === 'multicast' && existing.discoveredFrom === discoveredFrom;
+  }
+  return !(existingSource === 'local' && existing.status === 'active');
+}
+
+/**
+ * Parse and validate a datagram, returning null for anything that is not a
+ * well-formed discovery message
+ */
+function parseDiscoveryMessage(data: Buffer): DiscoveryMessage | null {
+  let message: Partial<DiscoveryMessage>;
+  try {
+    message = JSON.parse(data.toString('utf-8')) as Partial<DiscoveryMessage>;
+  } catch {
+    return null;
+  }
+
+  if (
+    message?.protocol !== PROTOCOL ||
+    message.version !== PROTOCOL_VERSION ||
+    (message.type !== 'announce' && message.type !== 'bye') ||
+    typeof message.agentId !== 'string' ||
+    !AGENT_ID_PATTERN.test(message.agentId) ||
+    !Number.isInteger(message.port) ||
+    message.port! < 1 ||
+    message.port! > 65_535
+  ) {
+    return null;
+  }
+
+  if (message.type === 'announce' && !(isAgentCard(message.card) && message.card.id === message.agentId)) {
+    return null;
+  }
+
+  return message as DiscoveryMessage;
+}
+
+function isAgentCard(value: unknown): value is AgentCard {
+  const card = value as Partial<AgentCard> | null | undefined;
+  return (
+    typeof card?.id === 'string' &&
+    AGENT_ID_PATTERN.test(card.id) &&
+    typeof card.name === 'string' &&
+    typeof card.capabilities === 'object' &&
+    card.capabilities !== null &&
+    Array.isArray(card.capabilities.skills)
+  );
+}
@@ -0,0 +1,333 @@
+/**
+ * AgentDiscovery Tests
+ *
+ * Runs real multicast on the loopback interface and a real peer HTTP server.
+ *
+ * Test Categories:
+ * 1. Multicast - announcements register peers, goodbyes deactivate them,
+ *    spoofed announcements cannot redirect registered agents
+ * 2. Static peers - agent cards are polled and merged
+ * 3. Staleness - silent discovered agents go stale, local agents do not
+ * 4. Configuration - environment parsing
+ * 5. Registry - pre-discovery databases gain the source columns
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createServer, type Server } from 'http';
+import { createSocket } from 'dgram';
+import type { AddressInfo } from 'net';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import Database from 'better-sqlite3';
+import { AgentRegistry } from '../../storage/AgentRegistry.js';
+import { AgentDiscovery, discoveryConfigFromEnv, type DiscoveryRegistry } from '../AgentDiscovery.js';
+import type { AgentCard } from '../../types/index.js';
+
+const LOOPBACK = '127.0.0.1';
+const GROUP = '239.255.77.78';
+
+function makeCard(id: string): AgentCard {
+  return {
+    id,
+    name: `Agent ${id}`,
+    version: '1.0.0',
+    capabilities: { skills: [{ name: 'review', description: 'Review code' }] },
+    endpoints: { baseUrl: 'http://localhost:0' },
+  };
+}
+
+function stubRegistry(): DiscoveryRegistry {
+  return {
+    get: vi.fn().mockReturnValue(null),
+    register: vi.fn(),
+    deactivate: vi.fn(),
+    cleanupStaleDiscovered: vi.fn().mockReturnValue(0),
+  } as unknown as DiscoveryRegistry;
+}
+
+async function waitFor(condition: () => boolean, timeoutMs = 3000): Promise<void> {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+describe('AgentDiscovery', () => {
+  let tempDir: string;
+  let registry: AgentRegistry;
+  let multicastPort: number;
+  const running: AgentDiscovery[] = [];
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'a2a-discovery-'));
+    registry = AgentRegistry.getInstance(join(tempDir, 'registry.db'));
+    multicastPort = 42_000 + Math.floor(Math.random() * 2000);
+  });
+
+  afterEach(async () => {
+    await Promise.all(running.splice(0).map((discovery) => discovery.stop()));
+    AgentRegistry.resetInstance();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  async function startDiscovery(
+    id: string,
+    agentPort: number,
+    registryToUse: DiscoveryRegistry,
+    options: { multicast?: boolean; peers?: string[]; staleAfterMs?: number } = { multicast: true }
+  ): Promise<AgentDiscovery> {
+    const discovery = new AgentDiscovery(
+      makeCard(id),
+      agentPort,
+      {
+        group: GROUP,
+        port: multicastPort,
+        interface: LOOPBACK,
+        announceIntervalMs: 60_000,
+        ...options,
+      },
+      registryToUse
+    );
+    running.push(discovery);
+    await discovery.start();
+    return discovery;
+  }
+
+  /** Send a datagram from an ephemeral port, as another host on the LAN would */
+  async function sendFromOtherHost(message: object): Promise<void> {
+    const sender = createSocket('udp4');
+    await new Promise<void>((resolve) => sender.bind(0, LOOPBACK, resolve));
+    sender.setMulticastInterface(LOOPBACK);
+    await new Promise((resolve) => sender.send(JSON.stringify(message), multicastPort, GROUP, resolve));
+    sender.close();
+  }
+
+  function spoofedAnnouncement(agentId: string) {
+    return { protocol: 'memesh-a2a-discovery', version: 1, type: 'announce', agentId, port: 6666, card: makeCard(agentId) };
+  }
+
+  describe('Multicast', () => {
+    it('should register agents heard announcing on the group', async () => {
+      await startDiscovery('listener', 3001, registry);
+      await startDiscovery('remote-agent', 3456, stubRegistry());
+
+      await waitFor(() => registry.get('remote-agent') !== null);
+
+      const entry = registry.get('remote-agent')!;
+      expect(entry).toMatchObject({
+        baseUrl: `http://${LOOPBACK}:3456`,
+        port: 3456,
+        status: 'active',
+        source: 'multicast',
+        discoveredFrom: `${LOOPBACK}:${multicastPort}`,
+      });
+      expect(entry.capabilities?.skills?.[0].name).toBe('review');
+      expect(entry.metadata).toMatchObject({ name: 'Agent remote-agent', version: '1.0.0' });
+    });
+
+    it('should deactivate an agent when it says goodbye', async () => {
+      await startDiscovery('listener', 3001, registry);
+      const remote = await startDiscovery('remote-agent', 3456, stubRegistry());
+      await waitFor(() => registry.get('remote-agent') !== null);
+
+      await remote.stop();
+
+      await waitFor(() => registry.get('remote-agent')?.status === 'inactive');
+    });
+
+    it('should ignore its own announcements and malformed datagrams', async () => {
+      const own = stubRegistry();
+      await startDiscovery('listener', 3001, own);
+
+      const sender = createSocket('udp4');
+      const garbage = [
+        'not json',
+        JSON.stringify({ protocol: 'other', version: 1, type: 'announce', agentId: 'x', port: 1 }),
+        JSON.stringify({ protocol: 'memesh-a2a-discovery', version: 1, type: 'announce', agentId: 'x', port: 1 }),
+        JSON.stringify({ protocol: 'memesh-a2a-discovery', version: 1, type: 'bye', agentId: 'x', port: 0 }),
+      ];
+      await new Promise<void>((resolve) => sender.bind(0, LOOPBACK, resolve));
+      sender.setMulticastInterface(LOOPBACK);
+      for (const message of garbage) {
+        await new Promise((resolve) => sender.send(message, multicastPort, GROUP, resolve));
+      }
+      sender.close();
+      await new Promise((resolve) => setTimeout(resolve, 200));
+
+      expect(own.register).not.toHaveBeenCalled();
+      expect(own.deactivate).not.toHaveBeenCalled();
+    });
+
+    it('should not overwrite an active local registration', async () => {
+      registry.register({ agentId: 'remote-agent', baseUrl: 'http://localhost:3999', port: 3999 });
+
+      const lookup = vi.spyOn(registry, 'get');
+      await startDiscovery('listener', 3001, registry);
+      await startDiscovery('remote-agent', 3456, stubRegistry());
+      await waitFor(() => lookup.mock.calls.some(([agentId]) => agentId === 'remote-agent'));
+
+      expect(registry.get('remote-agent')).toMatchObject({ baseUrl: 'http://localhost:3999', source: 'local' });
+    });
+  });
+
+  describe('Spoofed announcements', () => {
+    it.each([
+      ['a static peer', { source: 'static' as const, discoveredFrom: 'http://10.0.0.12:3000' }, 'active'],
+      ['a stale local agent', { source: 'local' as const }, 'stale'],
+      ['a multicast agent heard from another address', { source: 'multicast' as const, discoveredFrom: '10.0.0.5:41234' }, 'active'],
+    ])('should not redirect %s', async (_label, registration, status) => {
+      registry.register({ agentId: 'known-agent', baseUrl: 'http://10.0.0.12:3000', port: 3000, ...registration });
+      if (status === 'stale') {
+        registry.cleanupStale(-60_000);
+      }
+
+      const lookup = vi.spyOn(registry, 'get');
+      await startDiscovery('listener', 3001, registry);
+      await sendFromOtherHost(spoofedAnnouncement('known-agent'));
+      await waitFor(() => lookup.mock.calls.some(([agentId]) => agentId === 'known-agent'));
+
+      expect(registry.get('known-agent')).toMatchObject({
+        baseUrl: 'http://10.0.0.12:3000',
+        source: registration.source,
+        status,
+      });
+    });
+
+    it('should not deactivate an agent on a goodbye from another address', async () => {
+      await startDiscovery('listener', 3001, registry);
+      await startDiscovery('remote-agent', 3456, stubRegistry());
+      await waitFor(() => registry.get('remote-agent') !== null);
+
+      const lookup = vi.spyOn(registry, 'get');
+      await sendFromOtherHost({ protocol: 'memesh-a2a-discovery', version: 1, type: 'bye', agentId: 'remote-agent', port: 3456 });
+      await waitFor(() => lookup.mock.calls.length > 0);
+
+      expect(registry.get('remote-agent')?.status).toBe('active');
+    });
+
+    it('should refresh a multicast agent heard from the same address', async () => {
+      registry.register({
+        agentId: 'remote-agent',
+        baseUrl: 'http://127.0.0.1:3999',
+        port: 3999,
+        source: 'multicast',
+        discoveredFrom: `${LOOPBACK}:${multicastPort}`,
+      });
+
+      await startDiscovery('listener', 3001, registry);
+      await startDiscovery('remote-agent', 3456, stubRegistry());
+
+      await waitFor(() => registry.get('remote-agent')?.port === 3456);
+      expect(registry.get('remote-agent')?.baseUrl).toBe(`http://${LOOPBACK}:3456`);
+    });
+  });
+
+  describe('Static peers', () => {
+    let server: Server;
+    let peerUrl: string;
+
+    beforeEach(async () => {
+      server = createServer((req, res) => {
+        if (req.url === '/a2a/agent-card') {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: true, data: makeCard('peer-agent') }));
+          return;
+        }
+        res.writeHead(404).end();
+      });
+      await new Promise<void>((resolve) => server.listen(0, LOOPBACK, resolve));
+      peerUrl = `http://${LOOPBACK}:${(server.address() as AddressInfo).port}`;
+    });
+
+    afterEach(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it('should register peers that serve an agent card', async () => {
+      const discovery = await startDiscovery('listener', 3001, registry, {
+        peers: [`${peerUrl}/`, 'http://127.0.0.1:1', 'not a url'],
+      });
+
+      expect(await discovery.pollPeers()).toBe(1);
+      expect(registry.get('peer-agent')).toMatchObject({
+        baseUrl: peerUrl,
+        port: (server.address() as AddressInfo).port,
+        status: 'active',
+        source: 'static',
+        discoveredFrom: peerUrl,
+      });
+    });
+  });
+
+  describe('Staleness', () => {
+    it('should mark silent discovered agents stale but leave local agents active', async () => {
+      registry.register({ agentId: 'local-agent', baseUrl: 'http://localhost:3002', port: 3002 });
+      registry.register({
+        agentId: 'lan-agent',
+        baseUrl: 'http://10.0.0.5:3000',
+        port: 3000,
+        source: 'multicast',
+        discoveredFrom: '10.0.0.5:41234',
+      });
+      const discovery = new AgentDiscovery(makeCard('listener'), 3001, { staleAfterMs: 0 }, registry);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      expect(discovery.sweep()).toBe(1);
+      expect(registry.get('lan-agent')?.status).toBe('stale');
+      expect(registry.get('local-agent')?.status).toBe('active');
+    });
+  });
+
+  describe('Configuration', () => {
+    it('should read discovery settings from the environment', () => {
+      expect(
+        discoveryConfigFromEnv({
+          MEMESH_A2A_DISCOVERY: 'true',
+          MEMESH_A2A_DISCOVERY_GROUP: '239.1.2.3',
+          MEMESH_A2A_DISCOVERY_PORT: '5000',
+          MEMESH_A2A_DISCOVERY_INTERFACE: '127.0.0.1',
+          MEMESH_A2A_PEERS: 'http://a:3000, http://b:3000,,',
+        })
+      ).toEqual({
+        multicast: true,
+        group: '239.1.2.3',
+        port: 5000,
+        interface: '127.0.0.1',
+        peers: ['http://a:3000', 'http://b:3000'],
+      });
+    });
+
+    it('should leave discovery disabled by default', () => {
+      const config = discoveryConfigFromEnv({ MEMESH_A2A_DISCOVERY_PORT: 'abc' });
+
+      expect(config).toMatchObject({ multicast: false, port: undefined, peers: [] });
+      expect(new AgentDiscovery(makeCard('a'), 3000, config, stubRegistry()).isEnabled()).toBe(false);
+    });
+  });
+
+  describe('Registry', () => {
+    it('should add source columns to registries created before discovery', () => {
+      AgentRegistry.resetInstance();
+      const dbPath = join(tempDir, 'legacy.db');
+      const legacy = new Database(dbPath);
+      legacy.exec(`CREATE TABLE agents (
+        agent_id TEXT PRIMARY KEY, base_url TEXT NOT NULL, port INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'active', last_heartbeat TEXT NOT NULL,
+        capabilities TEXT, metadata TEXT, created_at TEXT NOT NULL, updated_at TEXT NOT NULL
+      )`);
+      const now = new Date().toISOString();
+      legacy
+        .prepare('INSERT INTO agents VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)')
+        .run('old-agent', 'http://localhost:3000', 3000, 'active', now, null, null, now, now);
+      legacy.close();
+
+      registry = AgentRegistry.getInstance(dbPath);
+
+      expect(registry.get('old-agent')).toMatchObject({ source: 'local', discoveredFrom: undefined });
+    });
+  });
+});
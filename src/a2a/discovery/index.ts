@@ -0,0 +1,11 @@
+/**
+ * A2A Discovery Module
+ * Exports multicast and static-peer agent discovery
+ */
+
+export {
+  AgentDiscovery,
+  discoveryConfigFromEnv,
+  type AgentDiscoveryConfig,
+  type DiscoveryRegistry,
+} from './AgentDiscovery.js';
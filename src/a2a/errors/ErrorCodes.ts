@@ -12,6 +12,7 @@ export const ErrorCodes = {
   // Agent Operations
   AGENT_NOT_FOUND: 'AGENT_NOT_FOUND',
   AGENT_ALREADY_PROCESSING: 'AGENT_ALREADY_PROCESSING',
+  AGENT_QUEUE_FULL: 'AGENT_QUEUE_FULL',
   AGENT_REGISTRY_ERROR: 'AGENT_REGISTRY_ERROR',
 
   // Task Operations
@@ -21,6 +22,8 @@ export const ErrorCodes = {
   TASK_GET_FAILED: 'TASK_GET_FAILED',
   TASK_LIST_FAILED: 'TASK_LIST_FAILED',
   TASK_CANCEL_FAILED: 'TASK_CANCEL_FAILED',
+  TASK_SUBSCRIBE_FAILED: 'TASK_SUBSCRIBE_FAILED',
+  WEBHOOK_OPERATION_FAILED: 'WEBHOOK_OPERATION_FAILED',
 
   // Server Operations
   PORT_NOT_AVAILABLE: 'PORT_NOT_AVAILABLE',
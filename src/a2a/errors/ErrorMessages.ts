@@ -16,6 +16,8 @@ export const ErrorMessages = {
   [ErrorCodes.AGENT_NOT_FOUND]: (agentId: string) => `Agent not found: ${agentId}`,
   [ErrorCodes.AGENT_ALREADY_PROCESSING]: (phase: string = 'Phase 1.0') =>
     `Agent already processing a task (${phase} limitation)`,
+  [ErrorCodes.AGENT_QUEUE_FULL]: (agentId: string, limit: number) =>
+    `Delegation queue full for agent ${agentId} (limit: ${limit} tasks)`,
   [ErrorCodes.AGENT_REGISTRY_ERROR]: (error: string) =>
     `Agent registry operation failed: ${error}`,
 
@@ -31,6 +33,14 @@ export const ErrorMessages = {
     `Failed to list tasks from ${targetAgentId}: ${error}`,
   [ErrorCodes.TASK_CANCEL_FAILED]: (taskId: string, targetAgentId: string, error: string) =>
     `Failed to cancel task ${taskId} on ${targetAgentId}: ${error}`,
+  [ErrorCodes.TASK_SUBSCRIBE_FAILED]: (taskId: string, targetAgentId: string, error: string) =>
+    `Failed to subscribe to task ${taskId} on ${targetAgentId}: ${error}`,
+  [ErrorCodes.WEBHOOK_OPERATION_FAILED]: (
+    operation: string,
+    taskId: string,
+    targetAgentId: string,
+    error: string
+  ) => `Failed to ${operation} webhook for task ${taskId} on ${targetAgentId}: ${error}`,
 
   // Server Operations
   [ErrorCodes.PORT_NOT_AVAILABLE]: (min: number, max: number) =>
@@ -0,0 +1,250 @@
+/**
+ * Webhook Push Notifications
+ *
+ * Delivers task events from a TaskQueue to the webhooks registered for each
+ * task. Every delivery is an HTTP POST with the event as JSON body, signed
+ * with HMAC-SHA256 over `${timestamp}.${body}` using the webhook secret.
+ *
+ * Delivery semantics:
+ * - Events for the same webhook are delivered in order
+ * - Network errors, timeouts, 429 and 5xx responses are retried with
+ *   exponential backoff; other 4xx responses are not
+ * - The outcome of the latest delivery is recorded on the webhook
+ *
+ * @module a2a/notifications
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import type { TaskQueue, TaskWebhookTarget } from '../storage/TaskQueue.js';
+import type { TaskEvent } from '../types/index.js';
+import { PUSH_NOTIFICATIONS } from '../constants.js';
+import { retryWithBackoff } from '../../utils/retry.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * WebhookDispatcher Configuration
+ */
+export interface WebhookDispatcherConfig {
+  /** Retries after a failed attempt (default: PUSH_NOTIFICATIONS.MAX_DELIVERY_RETRIES) */
+  maxRetries?: number;
+  /** Base backoff delay in milliseconds (default: PUSH_NOTIFICATIONS.RETRY_BASE_DELAY_MS) */
+  baseDelayMs?: number;
+  /** Timeout per attempt in milliseconds (default: PUSH_NOTIFICATIONS.DELIVERY_TIMEOUT_MS) */
+  timeoutMs?: number;
+}
+
+/**
+ * Compute the signature header value for a webhook body
+ *
+ * @param secret - Webhook signing secret
+ * @param timestamp - Unix timestamp (seconds) sent in the timestamp header
+ * @param body - Raw request body
+ * @returns "sha256=<hex digest>"
+ */
+export function signWebhookPayload(secret: string, timestamp: number, body: string): string {
+  const digest = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Verify a webhook signature (for receivers)
+ *
+ * Uses a constant-time comparison and rejects timestamps outside the
+ * tolerance window to limit replay of captured deliveries.
+ *
+ * @param secret - Webhook signing secret
+ * @param timestamp - Value of the timestamp header
+ * @param body - Raw request body
+ * @param signature - Value of the signature header
+ * @param toleranceSeconds - Maximum accepted clock difference (default: 300)
+ */
+export function verifyWebhookSignature(
+  secret: string,
+  timestamp: number | string,
+  body: string,
+  signature: string,
+  toleranceSeconds = 300
+): boolean {
+  const ts = typeof timestamp === 'string' ? parseInt(timestamp, 10) : timestamp;
+  if (!Number.isFinite(ts) || Math.abs(Date.now() / 1000 - ts) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(secret, ts, body));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Retry network failures (no status), timeouts, 429 and 5xx responses
+ */
+function isRetryableDelivery(error: unknown): boolean {
+  const status = (error as { status?: number } | null)?.status;
+  if (status === undefined) {
+    return true;
+  }
+  return status === 429 || status >= 500;
+}
+
+/**
+ * WebhookDispatcher
+ *
+ * @example
+ * ```typescript
+ * const dispatcher = new WebhookDispatcher(taskQueue);
+ * dispatcher.start();
+ *
+ * // Later...
+ * dispatcher.stop();
+ * ```
+ */
+export class WebhookDispatcher {
+  private unsubscribe: (() => void) | null = null;
+  /** Delivery chain per webhook, keeps events for one webhook in order */
+  private chains = new Map<string, Promise<void>>();
+  private abortController = new AbortController();
+  private readonly maxRetries: number;
+  private readonly baseDelayMs: number;
+  private readonly timeoutMs: number;
+
+  constructor(
+    private taskQueue: TaskQueue,
+    config: WebhookDispatcherConfig = {}
+  ) {
+    this.maxRetries = config.maxRetries ?? PUSH_NOTIFICATIONS.MAX_DELIVERY_RETRIES;
+    this.baseDelayMs = config.baseDelayMs ?? PUSH_NOTIFICATIONS.RETRY_BASE_DELAY_MS;
+    this.timeoutMs = config.timeoutMs ?? PUSH_NOTIFICATIONS.DELIVERY_TIMEOUT_MS;
+  }
+
+  /**
+   * Start delivering task events
+   */
+  start(): void {
+    if (this.unsubscribe) {
+      return;
+    }
+    if (this.abortController.signal.aborted) {
+      this.abortController = new AbortController();
+    }
+    this.unsubscribe = this.taskQueue.subscribe((event) => this.handleEvent(event));
+  }
+
+  /**
+   * Stop delivering task events and abort in-flight deliveries
+   */
+  stop(): void {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    this.abortController.abort();
+  }
+
+  /**
+   * Wait for all queued deliveries to finish
+   */
+  async flush(): Promise<void> {
+    while (this.chains.size > 0) {
+      await Promise.all(this.chains.values());
+    }
+  }
+
+  private handleEvent(event: TaskEvent): void {
+    const targets = this.taskQueue
+      .getWebhookTargets(event.taskId)
+      .filter((webhook) => webhook.events.includes(event.type));
+
+    for (const webhook of targets) {
+      const previous = this.chains.get(webhook.id) ?? Promise.resolve();
+      const next = previous.then(() => this.deliver(webhook, event));
+      this.chains.set(webhook.id, next);
+      void next.finally(() => {
+        if (this.chains.get(webhook.id) === next) {
+          this.chains.delete(webhook.id);
+        }
+      });
+    }
+  }
+
+  /**
+   * Deliver one event to one webhook, recording the outcome (never throws)
+   */
+  private async deliver(webhook: TaskWebhookTarget, event: TaskEvent): Promise<void> {
+    const signal = this.abortController.signal;
+    if (signal.aborted) {
+      return;
+    }
+
+    const deliveryId = uuidv4();
+    const body = JSON.stringify(event);
+
+    try {
+      await retryWithBackoff(
+        async () => {
+          const timestamp = Math.floor(Date.now() / 1000);
+          const attempt = new AbortController();
+          const abortAttempt = () => attempt.abort();
+          const timeoutId = setTimeout(abortAttempt, this.timeoutMs);
+          signal.addEventListener('abort', abortAttempt, { once: true });
+
+          let response: Response;
+          try {
+            response = await fetch(webhook.url, {
+              method: 'POST',
+              headers: {
+                'Content-Type': 'application/json',
+                [PUSH_NOTIFICATIONS.EVENT_HEADER]: event.type,
+                [PUSH_NOTIFICATIONS.DELIVERY_HEADER]: deliveryId,
+                [PUSH_NOTIFICATIONS.TIMESTAMP_HEADER]: String(timestamp),
+                [PUSH_NOTIFICATIONS.SIGNATURE_HEADER]: signWebhookPayload(webhook.secret, timestamp, body),
+              },
+              body,
+              redirect: 'manual',
+              signal: attempt.signal,
+            });
+          } finally {
+            clearTimeout(timeoutId);
+            signal.removeEventListener('abort', abortAttempt);
+          }
+
+          // The response body is not used; release the connection
+          await response.body?.cancel();
+
+          if (!response.ok) {
+            throw Object.assign(new Error(`Webhook responded with HTTP ${response.status}`), {
+              status: response.status,
+            });
+          }
+        },
+        {
+          maxRetries: this.maxRetries,
+          baseDelay: this.baseDelayMs,
+          retryableStatusCodes: [],
+          // The attempt enforces its own timeout through the abort signal
+          timeout: 0,
+          isRetryable: (error) => !signal.aborted && isRetryableDelivery(error),
+          operationName: `A2A webhook ${webhook.id} (${event.type})`,
+        }
+      );
+
+      this.taskQueue.recordWebhookDelivery(webhook.id, 'delivered');
+      logger.debug('[WebhookDispatcher] Delivered task event', {
+        webhookId: webhook.id,
+        taskId: event.taskId,
+        eventType: event.type,
+        deliveryId,
+      });
+    } catch (error) {
+      if (signal.aborted) {
+        return;
+      }
+      this.taskQueue.recordWebhookDelivery(webhook.id, 'failed');
+      logger.warn('[WebhookDispatcher] Task event delivery failed', {
+        webhookId: webhook.id,
+        taskId: event.taskId,
+        eventType: event.type,
+        deliveryId,
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * WebhookDispatcher Tests
+ *
+ * Test Categories:
+ * 1. Signing - HMAC signatures verify, tampering and stale timestamps fail
+ * 2. Delivery - signed POSTs, event filtering, ordering
+ * 3. Retry - retry on 5xx, give up on 4xx, record outcomes
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createServer, type Server, type IncomingMessage } from 'http';
+import type { AddressInfo } from 'net';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TaskQueue } from '../../storage/TaskQueue.js';
+import {
+  WebhookDispatcher,
+  signWebhookPayload,
+  verifyWebhookSignature,
+} from '../WebhookDispatcher.js';
+
+const SECRET = 'test-webhook-secret-0123456789';
+
+interface ReceivedDelivery {
+  headers: IncomingMessage['headers'];
+  body: string;
+}
+
+describe('WebhookDispatcher', () => {
+  let tempDir: string;
+  let queue: TaskQueue;
+  let dispatcher: WebhookDispatcher;
+  let server: Server;
+  let url: string;
+  let received: ReceivedDelivery[];
+  let responseStatuses: number[];
+
+  beforeEach(async () => {
+    tempDir = mkdtempSync(join(tmpdir(), 'a2a-webhooks-'));
+    queue = new TaskQueue('webhook-agent', join(tempDir, 'tasks.db'));
+    dispatcher = new WebhookDispatcher(queue, { maxRetries: 2, baseDelayMs: 10, timeoutMs: 2_000 });
+    dispatcher.start();
+
+    received = [];
+    responseStatuses = [];
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = responseStatuses.shift() ?? 200;
+        res.end();
+      });
+    });
+    await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${(server.address() as AddressInfo).port}/hook`;
+  });
+
+  afterEach(async () => {
+    dispatcher.stop();
+    await new Promise<void>((resolve) => server.close(() => resolve()));
+    queue.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('Signing', () => {
+    it('should verify signatures and reject tampering or stale timestamps', () => {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const signature = signWebhookPayload(SECRET, timestamp, '{"a":1}');
+
+      expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+      expect(verifyWebhookSignature(SECRET, String(timestamp), '{"a":1}', signature)).toBe(true);
+      expect(verifyWebhookSignature(SECRET, timestamp, '{"a":2}', signature)).toBe(false);
+      expect(verifyWebhookSignature('other-secret-0123456789', timestamp, '{"a":1}', signature)).toBe(false);
+
+      const stale = timestamp - 3600;
+      expect(verifyWebhookSignature(SECRET, stale, '{"a":1}', signWebhookPayload(SECRET, stale, '{"a":1}'))).toBe(false);
+    });
+  });
+
+  describe('Delivery', () => {
+    it('should POST signed state changes in order', async () => {
+      const task = queue.createTask({ name: 'Delegated' });
+      const webhook = queue.addWebhook({ taskId: task.id, url, secret: SECRET });
+
+      queue.addMessage({ taskId: task.id, role: 'assistant', parts: [{ type: 'text', text: 'working' }] });
+      queue.updateTaskStatus(task.id, { state: 'WORKING' });
+      queue.updateTaskStatus(task.id, { state: 'COMPLETED' });
+      await dispatcher.flush();
+
+      // Messages are not delivered: the webhook only asked for status events
+      expect(received.map((d) => JSON.parse(d.body).state)).toEqual(['WORKING', 'COMPLETED']);
+
+      const [first] = received;
+      expect(first.headers['x-memesh-event']).toBe('status');
+      expect(first.headers['x-memesh-delivery']).toBeDefined();
+      expect(
+        verifyWebhookSignature(
+          SECRET,
+          first.headers['x-memesh-timestamp'] as string,
+          first.body,
+          first.headers['x-memesh-signature'] as string
+        )
+      ).toBe(true);
+      expect(queue.getWebhooks(task.id)[0]).toMatchObject({ id: webhook.id, lastDeliveryStatus: 'delivered' });
+    });
+
+    it('should deliver message and artifact events when requested', async () => {
+      const task = queue.createTask({ name: 'Delegated' });
+      queue.addWebhook({ taskId: task.id, url, secret: SECRET, events: ['message', 'artifact'] });
+
+      queue.addMessage({ taskId: task.id, role: 'assistant', parts: [{ type: 'text', text: 'done' }] });
+      queue.addArtifact({ taskId: task.id, type: 'text/plain', content: 'report' });
+      queue.updateTaskStatus(task.id, { state: 'COMPLETED' });
+      await dispatcher.flush();
+
+      expect(received.map((d) => d.headers['x-memesh-event'])).toEqual(['message', 'artifact']);
+    });
+  });
+
+  describe('Retry', () => {
+    it('should retry server errors until the delivery succeeds', async () => {
+      responseStatuses = [503, 500];
+      const task = queue.createTask({ name: 'Delegated' });
+      queue.addWebhook({ taskId: task.id, url, secret: SECRET });
+
+      queue.updateTaskStatus(task.id, { state: 'WORKING' });
+      await dispatcher.flush();
+
+      expect(received).toHaveLength(3);
+      // The same delivery is retried, not a new one
+      expect(new Set(received.map((d) => d.headers['x-memesh-delivery'])).size).toBe(1);
+      expect(queue.getWebhooks(task.id)[0].lastDeliveryStatus).toBe('delivered');
+    });
+
+    it('should not retry client errors and record the failure', async () => {
+      responseStatuses = [410];
+      const task = queue.createTask({ name: 'Delegated' });
+      queue.addWebhook({ taskId: task.id, url, secret: SECRET });
+
+      queue.updateTaskStatus(task.id, { state: 'WORKING' });
+      await dispatcher.flush();
+
+      expect(received).toHaveLength(1);
+      expect(queue.getWebhooks(task.id)[0].lastDeliveryStatus).toBe('failed');
+    });
+
+    it('should stop delivering after stop()', async () => {
+      const task = queue.createTask({ name: 'Delegated' });
+      queue.addWebhook({ taskId: task.id, url, secret: SECRET });
+
+      dispatcher.stop();
+      queue.updateTaskStatus(task.id, { state: 'WORKING' });
+      await dispatcher.flush();
+
+      expect(received).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,11 @@
+/**
+ * A2A Notifications Module
+ * Exports webhook push notification delivery and signing helpers
+ */
+
+export {
+  WebhookDispatcher,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  type WebhookDispatcherConfig,
+} from './WebhookDispatcher.js';
@@ -0,0 +1,391 @@
+/**
+ * Capability Router
+ *
+ * Chooses the agent for a task when the caller does not name one
+ * (`a2a-send-task` with `targetAgentId: "auto"`). Active agents are ranked by:
+ * - Skill match: task words found in the names and descriptions of the
+ *   skills the agent advertises in its AgentCard
+ * - Load: tasks the agent has submitted or in progress (its TaskQueue)
+ * - History: share of tasks routed to the agent that completed (A2AMetrics)
+ *
+ * Only agents with at least one matching skill are candidates. The task is
+ * sent to the best candidate; if that agent rejects it or does not answer in
+ * time, the next candidate is tried.
+ *
+ * @module a2a/routing
+ */
+
+import { OperationError, NotFoundError } from '../../errors/index.js';
+import type { A2AClient } from '../client/A2AClient.js';
+import type { AgentRegistry } from '../storage/AgentRegistry.js';
+import { A2AMetrics, METRIC_NAMES } from '../metrics/A2AMetrics.js';
+import type {
+  AgentRegistryEntry,
+  SendMessageRequest,
+  Skill,
+  Task,
+  TaskState,
+} from '../types/index.js';
+import { ErrorCodes } from '../errors/index.js';
+import { ROUTING } from '../constants.js';
+import { logger } from '../../utils/logger.js';
+
+/** Words that carry no meaning for skill matching */
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'into', 'that', 'this', 'these', 'those',
+  'are', 'was', 'were', 'has', 'have', 'had', 'not', 'but', 'all', 'any', 'can',
+  'should', 'would', 'could', 'will', 'please', 'our', 'your', 'their', 'its',
+  'about', 'them', 'then', 'than', 'what', 'which', 'when', 'where', 'how',
+]);
+
+/** Task states that count as success or failure of the agent */
+const SUCCEEDED_STATES: ReadonlySet<TaskState> = new Set(['COMPLETED']);
+const FAILED_STATES: ReadonlySet<TaskState> = new Set(['FAILED', 'REJECTED', 'TIMEOUT']);
+
+/**
+ * Client operations used by the router
+ */
+export type RoutingClient = Pick<A2AClient, 'sendMessage' | 'getTask' | 'listTasks'>;
+
+/**
+ * Registry operations used by the router
+ */
+export type RoutingRegistry = Pick<AgentRegistry, 'listActive'>;
+
+/**
+ * Agent ranked for a task, with the reasons for its rank
+ */
+export interface RoutingCandidate {
+  agentId: string;
+  /** Overall score (0-1) */
+  score: number;
+  /** Skill match score (0-1) */
+  skillScore: number;
+  /** Matching skills, best first */
+  matchedSkills: string[];
+  /** Task words matched by the best skill */
+  matchedTerms: string[];
+  /** Submitted and in-progress tasks (undefined if the agent could not be asked) */
+  pendingTasks?: number;
+  /** Completed share of finished tasks routed to the agent (undefined without history) */
+  successRate?: number;
+  /** Finished tasks the success rate is based on */
+  finishedTasks: number;
+  /** Human-readable reason for the score */
+  explanation: string;
+}
+
+/**
+ * Outcome of sending the task to one candidate
+ */
+export interface RoutingAttempt {
+  agentId: string;
+  outcome: 'sent' | 'rejected' | 'timeout';
+  error?: string;
+}
+
+/**
+ * Result of routing a task
+ */
+export interface RoutedTask {
+  /** ID of the task created by the chosen agent */
+  taskId: string;
+  /** Task as created by the chosen agent (undefined if it could not be fetched) */
+  task?: Task;
+  /** Why the task could not be fetched after it was sent */
+  taskLookupError?: string;
+  /** Agent that accepted the task */
+  chosen: RoutingCandidate;
+  /** All candidates, best first */
+  candidates: RoutingCandidate[];
+  /** Candidates tried, in order */
+  attempts: RoutingAttempt[];
+}
+
+/**
+ * CapabilityRouter
+ *
+ * @example
+ * ```typescript
+ * const router = new CapabilityRouter(registry, client);
+ * const { taskId, chosen, attempts } = await router.route(
+ *   'Review the TypeScript changes in src/api',
+ *   { message: { role: 'user', parts: [{ type: 'text', text: '...' }] } }
+ * );
+ * console.log(`Sent to ${chosen.agentId}: ${chosen.explanation}`);
+ * ```
+ */
+export class CapabilityRouter {
+  private recordedTasks = new Set<string>();
+
+  /**
+   * @param registry - Registry of active agents
+   * @param client - Client used to query load and send the task
+   * @param metrics - Metrics holding routed task outcomes
+   * @param selfAgentId - This agent's ID, never chosen (default: A2A_AGENT_ID)
+   */
+  constructor(
+    private registry: RoutingRegistry,
+    private client: RoutingClient,
+    private metrics: A2AMetrics = A2AMetrics.getInstance(),
+    private selfAgentId: string | undefined = process.env.A2A_AGENT_ID
+  ) {}
+
+  /**
+   * Rank active agents whose skills match the task description
+   *
+   * @param taskDescription - Task to route
+   * @returns Candidates, best first (empty if no skill matches)
+   */
+  async rank(taskDescription: string): Promise<RoutingCandidate[]> {
+    const terms = new Set(tokenize(taskDescription));
+
+    const matches = this.registry
+      .listActive()
+      .filter((agent) => agent.status === 'active' && agent.agentId !== this.selfAgentId)
+      .map((agent) => ({ agent, ...matchSkills(agent, terms) }))
+      .filter((match) => match.skillScore > 0);
+
+    const candidates = await Promise.all(
+      matches.map(async ({ agent, skillScore, matchedSkills, matchedTerms }) => {
+        const pendingTasks = await this.countPendingTasks(agent.agentId);
+        const { successRate, finishedTasks } = this.getHistory(agent.agentId);
+
+        const loadScore = pendingTasks === undefined ? ROUTING.UNKNOWN_FACTOR_SCORE : 1 / (1 + pendingTasks);
+        const successScore = successRate ?? ROUTING.UNKNOWN_FACTOR_SCORE;
+        const score =
+          ROUTING.SKILL_WEIGHT * skillScore +
+          ROUTING.LOAD_WEIGHT * loadScore +
+          ROUTING.SUCCESS_WEIGHT * successScore;
+
+        const candidate: RoutingCandidate = {
+          agentId: agent.agentId,
+          score: Math.round(score * 1000) / 1000,
+          skillScore,
+          matchedSkills,
+          matchedTerms,
+          pendingTasks,
+          successRate,
+          finishedTasks,
+          explanation: '',
+        };
+        candidate.explanation = explain(candidate);
+        return candidate;
+      })
+    );
+
+    return candidates.sort((a, b) => b.score - a.score || a.agentId.localeCompare(b.agentId));
+  }
+
+  /**
+   * Send a task to the best matching agent, falling back to the next
+   * candidate when an agent rejects the task or times out
+   *
+   * @param taskDescription - Task description matched against skills
+   * @param request - Message to send
+   * @param maxAttempts - Candidates to try at most (default: ROUTING.MAX_ATTEMPTS)
+   * @throws NotFoundError if no active agent advertises a matching skill
+   * @throws OperationError if every candidate tried rejected the task or timed out
+   */
+  async route(
+    taskDescription: string,
+    request: SendMessageRequest,
+    maxAttempts: number = ROUTING.MAX_ATTEMPTS
+  ): Promise<RoutedTask> {
+    const candidates = await this.rank(taskDescription);
+    if (candidates.length === 0) {
+      throw new NotFoundError('No active agent advertises a skill matching this task', 'agent', undefined, {
+        component: 'CapabilityRouter',
+        method: 'route',
+      });
+    }
+
+    const attempts: RoutingAttempt[] = [];
+    for (const candidate of candidates.slice(0, maxAttempts)) {
+      const { agentId } = candidate;
+
+      let taskId: string;
+      try {
+        const response = await this.client.sendMessage(agentId, request);
+        taskId = response.taskId;
+        if (response.status === 'REJECTED') {
+          throw new Error('Task rejected');
+        }
+      } catch (error) {
+        const attempt = this.recordFailedAttempt(agentId, error);
+        attempts.push(attempt);
+        logger.warn('[CapabilityRouter] Candidate did not accept task, trying next', { ...attempt });
+        continue;
+      }
+
+      // The agent accepted the task: a failed lookup does not undo that
+      let task: Task | undefined;
+      let taskLookupError: string | undefined;
+      try {
+        task = await this.client.getTask(agentId, taskId);
+      } catch (error) {
+        taskLookupError = error instanceof Error ? error.message : String(error);
+        logger.warn('[CapabilityRouter] Task sent but could not be fetched', { agentId, taskId, error: taskLookupError });
+      }
+
+      if (task?.state === 'REJECTED') {
+        this.recordTaskOutcome(agentId, task);
+        attempts.push({ agentId, outcome: 'rejected', error: 'Task rejected' });
+        logger.warn('[CapabilityRouter] Candidate rejected task, trying next', { agentId, taskId });
+        continue;
+      }
+
+      this.metrics.incrementCounter(METRIC_NAMES.TASKS_SUBMITTED, { targetAgentId: agentId });
+      attempts.push({ agentId, outcome: 'sent' });
+      logger.info('[CapabilityRouter] Task routed', {
+        agentId,
+        taskId,
+        score: candidate.score,
+        attempts: attempts.length,
+      });
+      return {
+        taskId,
+        ...(task ? { task } : { taskLookupError }),
+        chosen: candidate,
+        candidates,
+        attempts,
+      };
+    }
+
+    throw new OperationError(
+      `All ${attempts.length} candidate agents rejected the task or timed out: ` +
+        attempts.map((attempt) => `${attempt.agentId} (${attempt.outcome})`).join(', '),
+      { component: 'CapabilityRouter', method: 'route', attempts }
+    );
+  }
+
+  /**
+   * Record the outcome of a task sent to an agent, once per task
+   *
+   * Called whenever a routed task is seen in a final state; tasks that are
+   * still running are ignored.
+   *
+   * @param agentId - Agent the task was sent to
+   * @param task - Task as reported by the agent
+   */
+  recordTaskOutcome(agentId: string, task: Pick<Task, 'id' | 'state'>): void {
+    const succeeded = SUCCEEDED_STATES.has(task.state);
+    if ((!succeeded && !FAILED_STATES.has(task.state)) || this.recordedTasks.has(task.id)) {
+      return;
+    }
+
+    if (this.recordedTasks.size >= ROUTING.MAX_TRACKED_OUTCOMES) {
+      // Sets iterate in insertion order: forget the oldest task
+      this.recordedTasks.delete(this.recordedTasks.values().next().value!);
+    }
+    this.recordedTasks.add(task.id);
+
+    const metric =
+      task.state === 'TIMEOUT'
+        ? METRIC_NAMES.TASKS_TIMEOUT
+        : succeeded
+          ? METRIC_NAMES.TASKS_COMPLETED
+          : METRIC_NAMES.TASKS_FAILED;
+    this.metrics.incrementCounter(metric, { targetAgentId: agentId });
+  }
+
+  private recordFailedAttempt(agentId: string, error: unknown): RoutingAttempt {
+    const message = error instanceof Error ? error.message : String(error);
+    const timedOut =
+      (error as { code?: string })?.code === ErrorCodes.REQUEST_TIMEOUT || /timed? ?out/i.test(message);
+
+    this.metrics.incrementCounter(timedOut ? METRIC_NAMES.TASKS_TIMEOUT : METRIC_NAMES.TASKS_FAILED, {
+      targetAgentId: agentId,
+    });
+    return { agentId, outcome: timedOut ? 'timeout' : 'rejected', error: message };
+  }
+
+  private async countPendingTasks(agentId: string): Promise<number | undefined> {
+    try {
+      const [submitted, working] = await Promise.all(
+        (['SUBMITTED', 'WORKING'] as const).map((status) => this.client.listTasks(agentId, { status, limit: 100 }))
+      );
+      return submitted.length + working.length;
+    } catch (error) {
+      logger.debug('[CapabilityRouter] Could not read agent load', {
+        agentId,
+        error: error instanceof Error ? error.message : String(error),
+      });
+      return undefined;
+    }
+  }
+
+  private getHistory(agentId: string): { successRate?: number; finishedTasks: number } {
+    const labels = { targetAgentId: agentId };
+    const completed = this.metrics.getValue(METRIC_NAMES.TASKS_COMPLETED, labels) ?? 0;
+    const finishedTasks =
+      completed +
+      (this.metrics.getValue(METRIC_NAMES.TASKS_FAILED, labels) ?? 0) +
+      (this.metrics.getValue(METRIC_NAMES.TASKS_TIMEOUT, labels) ?? 0);
+
+    return {
+      successRate: finishedTasks > 0 ? completed / finishedTasks : undefined,
+      finishedTasks,
+    };
+  }
+}
+
+/**
+ * Split text into lowercase, lightly stemmed words of 3+ characters
+ */
+function tokenize(text: string): string[] {
+  return text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length >= 3 && !STOP_WORDS.has(word))
+    .map((word) => word.replace(/(?<=.{3})(?:ing|ed|es|s|e)$/, ''));
+}
+
+/**
+ * Score how well an agent's advertised skills cover the task words
+ *
+ * A word in a skill's name counts fully, a word only in its description
+ * counts half; ROUTING.FULL_MATCH_TERMS counted words give a full score.
+ */
+function matchSkills(
+  agent: AgentRegistryEntry,
+  terms: Set<string>
+): { skillScore: number; matchedSkills: string[]; matchedTerms: string[] } {
+  const skills: Skill[] = agent.capabilities?.skills ?? [];
+
+  const scored = skills
+    .map((skill) => {
+      const nameTerms = new Set(tokenize(skill.name));
+      const descriptionTerms = new Set(tokenize(skill.description ?? ''));
+      const nameHits = [...nameTerms].filter((term) => terms.has(term));
+      const descriptionHits = [...descriptionTerms].filter((term) => terms.has(term) && !nameTerms.has(term));
+      return {
+        name: skill.name,
+        score: Math.min(1, (nameHits.length + descriptionHits.length / 2) / ROUTING.FULL_MATCH_TERMS),
+        terms: [...nameHits, ...descriptionHits],
+      };
+    })
+    .filter((skill) => skill.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  return {
+    skillScore: scored[0]?.score ?? 0,
+    matchedSkills: scored.map((skill) => skill.name),
+    matchedTerms: scored[0]?.terms ?? [],
+  };
+}
+
+function explain(candidate: RoutingCandidate): string {
+  const [bestSkill, ...otherSkills] = candidate.matchedSkills;
+  const parts = [
+    `skill "${bestSkill}" matches ${candidate.matchedTerms.join(', ')}` +
+      (otherSkills.length > 0 ? ` (+${otherSkills.length} more matching skills)` : ''),
+    candidate.pendingTasks === undefined
+      ? 'load unknown'
+      : `${candidate.pendingTasks} pending task${candidate.pendingTasks === 1 ? '' : 's'}`,
+    candidate.successRate === undefined
+      ? 'no routing history'
+      : `${Math.round(candidate.successRate * 100)}% of ${candidate.finishedTasks} routed tasks completed`,
+  ];
+  return parts.join('; ');
+}
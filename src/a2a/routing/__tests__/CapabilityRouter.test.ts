@@ -0,0 +1,196 @@
+/**
+ * CapabilityRouter Tests
+ *
+ * Test Categories:
+ * 1. Ranking - skill match, load and routing history
+ * 2. Routing - best candidate first, fallback on rejection and timeout
+ * 3. History - finished task outcomes are counted once
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { CapabilityRouter, type RoutingClient, type RoutingRegistry } from '../CapabilityRouter.js';
+import { A2AMetrics, METRIC_NAMES } from '../../metrics/A2AMetrics.js';
+import { createError, ErrorCodes } from '../../errors/index.js';
+import type { AgentRegistryEntry, Skill, Task, TaskState } from '../../types/index.js';
+
+function makeAgent(agentId: string, skills: Skill[]): AgentRegistryEntry {
+  return {
+    agentId,
+    baseUrl: `http://localhost/${agentId}`,
+    port: 3000,
+    status: 'active',
+    lastHeartbeat: new Date().toISOString(),
+    capabilities: { skills },
+  };
+}
+
+function makeTask(id: string, state: TaskState): Task {
+  const now = new Date().toISOString();
+  return { id, state, createdAt: now, updatedAt: now, messages: [] };
+}
+
+const REQUEST = { message: { role: 'user' as const, parts: [{ type: 'text' as const, text: 'task' }] } };
+
+describe('CapabilityRouter', () => {
+  let agents: AgentRegistryEntry[];
+  let pending: Record<string, number>;
+  let client: { [K in keyof RoutingClient]: ReturnType<typeof vi.fn> };
+  let metrics: A2AMetrics;
+  let router: CapabilityRouter;
+
+  beforeEach(() => {
+    agents = [
+      makeAgent('reviewer', [{ name: 'code-review', description: 'Review TypeScript pull requests' }]),
+      makeAgent('tester', [{ name: 'test-writer', description: 'Write unit tests for TypeScript code' }]),
+      makeAgent('designer', [{ name: 'ui-design', description: 'Design user interfaces' }]),
+    ];
+    pending = {};
+
+    client = {
+      sendMessage: vi.fn(async (agentId: string) => ({ taskId: `task-${agentId}`, status: 'SUBMITTED' })),
+      getTask: vi.fn(async (_agentId: string, taskId: string) => makeTask(taskId, 'SUBMITTED')),
+      listTasks: vi.fn(async (agentId: string, params?: { status?: string }) =>
+        params?.status === 'SUBMITTED' ? Array.from({ length: pending[agentId] ?? 0 }) : []
+      ),
+    };
+
+    A2AMetrics.resetInstance();
+    metrics = A2AMetrics.getInstance();
+    metrics.setEnabled(true);
+
+    const registry: RoutingRegistry = { listActive: () => agents };
+    router = new CapabilityRouter(registry, client as unknown as RoutingClient, metrics, 'self-agent');
+  });
+
+  describe('Ranking', () => {
+    it('should only consider agents whose skills match the task', async () => {
+      const candidates = await router.rank('Please review the pull request for the TypeScript API');
+
+      expect(candidates.map((candidate) => candidate.agentId)).toEqual(['reviewer', 'tester']);
+      expect(candidates[0]).toMatchObject({
+        matchedSkills: ['code-review'],
+        matchedTerms: expect.arrayContaining(['review', 'pull', 'request']),
+        pendingTasks: 0,
+        successRate: undefined,
+      });
+      expect(candidates[0].explanation).toBe(
+        'skill "code-review" matches review, typescript, pull, request; 0 pending tasks; no routing history'
+      );
+    });
+
+    it('should skip itself and agents that are not active', async () => {
+      agents.push(makeAgent('self-agent', [{ name: 'code-review', description: 'Review code' }]));
+      agents[0].status = 'stale';
+
+      const candidates = await router.rank('review code');
+
+      expect(candidates.map((candidate) => candidate.agentId)).toEqual(['tester']);
+    });
+
+    it('should prefer idle agents and agents that completed routed tasks', async () => {
+      agents = [
+        makeAgent('busy', [{ name: 'code-review', description: 'Review code' }]),
+        makeAgent('idle', [{ name: 'code-review', description: 'Review code' }]),
+        makeAgent('unreliable', [{ name: 'code-review', description: 'Review code' }]),
+      ];
+      pending = { busy: 4 };
+      metrics.incrementCounter(METRIC_NAMES.TASKS_FAILED, { targetAgentId: 'unreliable' }, 3);
+      metrics.incrementCounter(METRIC_NAMES.TASKS_COMPLETED, { targetAgentId: 'idle' }, 2);
+
+      const candidates = await router.rank('code review');
+
+      expect(candidates.map((candidate) => candidate.agentId)).toEqual(['idle', 'unreliable', 'busy']);
+      expect(candidates[0].explanation).toContain('100% of 2 routed tasks completed');
+      expect(candidates[1].explanation).toContain('0% of 3 routed tasks completed');
+      expect(candidates[2].explanation).toContain('4 pending tasks');
+    });
+
+    it('should treat load as unknown when an agent cannot be asked', async () => {
+      client.listTasks.mockRejectedValue(new Error('connection refused'));
+
+      const [candidate] = await router.rank('review');
+
+      expect(candidate.pendingTasks).toBeUndefined();
+      expect(candidate.explanation).toContain('load unknown');
+    });
+  });
+
+  describe('Routing', () => {
+    it('should send the task to the best candidate', async () => {
+      const routed = await router.route('review the TypeScript pull request', REQUEST);
+
+      expect(client.sendMessage).toHaveBeenCalledTimes(1);
+      expect(client.sendMessage).toHaveBeenCalledWith('reviewer', REQUEST);
+      expect(routed.chosen.agentId).toBe('reviewer');
+      expect(routed.taskId).toBe('task-reviewer');
+      expect(routed.task?.id).toBe('task-reviewer');
+      expect(routed.attempts).toEqual([{ agentId: 'reviewer', outcome: 'sent' }]);
+      expect(metrics.getValue(METRIC_NAMES.TASKS_SUBMITTED, { targetAgentId: 'reviewer' })).toBe(1);
+    });
+
+    it('should fall back to the next candidate on timeout and rejection', async () => {
+      agents.push(makeAgent('reviewer-2', [{ name: 'code-review', description: 'Review code' }]));
+      client.sendMessage.mockImplementation(async (agentId: string) => {
+        if (agentId === 'reviewer') {
+          const cause = createError(ErrorCodes.REQUEST_TIMEOUT, 'http://localhost/reviewer', 30000);
+          throw createError(ErrorCodes.TASK_SEND_FAILED, agentId, cause.message);
+        }
+        return { taskId: `task-${agentId}`, status: 'SUBMITTED' };
+      });
+      client.getTask.mockImplementation(async (agentId: string, taskId: string) =>
+        makeTask(taskId, agentId === 'reviewer-2' ? 'REJECTED' : 'SUBMITTED')
+      );
+
+      const routed = await router.route('review TypeScript code', REQUEST);
+
+      expect(routed.chosen.agentId).toBe('tester');
+      expect(routed.attempts.map(({ agentId, outcome }) => `${agentId}:${outcome}`)).toEqual([
+        'reviewer:timeout',
+        'reviewer-2:rejected',
+        'tester:sent',
+      ]);
+      expect(metrics.getValue(METRIC_NAMES.TASKS_TIMEOUT, { targetAgentId: 'reviewer' })).toBe(1);
+      expect(metrics.getValue(METRIC_NAMES.TASKS_FAILED, { targetAgentId: 'reviewer-2' })).toBe(1);
+    });
+
+    it('should treat the task as sent when only the follow-up lookup fails', async () => {
+      client.getTask.mockRejectedValue(new Error('HTTP error 502'));
+
+      const routed = await router.route('review the TypeScript pull request', REQUEST);
+
+      expect(client.sendMessage).toHaveBeenCalledTimes(1);
+      expect(routed).toMatchObject({ taskId: 'task-reviewer', taskLookupError: 'HTTP error 502' });
+      expect(routed.task).toBeUndefined();
+      expect(routed.attempts).toEqual([{ agentId: 'reviewer', outcome: 'sent' }]);
+      expect(metrics.getValue(METRIC_NAMES.TASKS_SUBMITTED, { targetAgentId: 'reviewer' })).toBe(1);
+    });
+
+    it('should give up after the maximum number of attempts', async () => {
+      client.sendMessage.mockRejectedValue(new Error('HTTP error 503'));
+
+      await expect(router.route('review TypeScript code', REQUEST, 1)).rejects.toThrow(
+        'All 1 candidate agents rejected the task or timed out: reviewer (rejected)'
+      );
+      expect(client.sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail when no agent advertises a matching skill', async () => {
+      await expect(router.route('bake a chocolate cake', REQUEST)).rejects.toThrow(
+        'No active agent advertises a skill matching this task'
+      );
+      expect(client.sendMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('History', () => {
+    it('should count each finished task once and ignore running tasks', () => {
+      router.recordTaskOutcome('reviewer', makeTask('t1', 'WORKING'));
+      router.recordTaskOutcome('reviewer', makeTask('t1', 'COMPLETED'));
+      router.recordTaskOutcome('reviewer', makeTask('t1', 'COMPLETED'));
+      router.recordTaskOutcome('reviewer', makeTask('t2', 'FAILED'));
+
+      expect(metrics.getValue(METRIC_NAMES.TASKS_COMPLETED, { targetAgentId: 'reviewer' })).toBe(1);
+      expect(metrics.getValue(METRIC_NAMES.TASKS_FAILED, { targetAgentId: 'reviewer' })).toBe(1);
+    });
+  });
+});
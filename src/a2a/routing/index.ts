@@ -0,0 +1,13 @@
+/**
+ * A2A Routing Module
+ * Exports capability-based agent selection for tasks
+ */
+
+export {
+  CapabilityRouter,
+  type RoutingCandidate,
+  type RoutingAttempt,
+  type RoutedTask,
+  type RoutingClient,
+  type RoutingRegistry,
+} from './CapabilityRouter.js';
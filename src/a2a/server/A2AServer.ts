@@ -7,6 +7,10 @@
  * - GET /a2a/tasks/:taskId - Get task status and result
  * - GET /a2a/tasks - List tasks with filtering
  * - POST /a2a/tasks/:taskId/cancel - Cancel a task
+ * - GET /a2a/tasks/:taskId/events - Stream task events (SSE)
+ * - POST /a2a/tasks/:taskId/webhooks - Register a push notification webhook
+ * - GET /a2a/tasks/:taskId/webhooks - List webhooks of a task
+ * - DELETE /a2a/tasks/:taskId/webhooks/:webhookId - Remove a webhook
  * - GET /a2a/agent-card - Get agent capabilities (public)
  *
  * Features:
@@ -14,6 +18,8 @@
  * - Agent registry with heartbeat
  * - Task timeout detection
  * - Bearer token authentication
+ * - Signed webhook delivery with retry
+ * - LAN discovery via multicast announcements and static peers
  *
  * @module a2a/server
  */
@@ -56,6 +62,12 @@ import {
 } from './middleware/csrf.js';
 import { MCPTaskDelegator } from '../delegator/MCPTaskDelegator.js';
 import { TimeoutChecker } from '../jobs/TimeoutChecker.js';
+import { WebhookDispatcher } from '../notifications/WebhookDispatcher.js';
+import {
+  AgentDiscovery,
+  discoveryConfigFromEnv,
+  type AgentDiscoveryConfig,
+} from '../discovery/AgentDiscovery.js';
 import { TIME, NETWORK } from '../constants.js';
 import { tracingMiddleware, spanMiddleware } from '../../utils/tracing/index.js';
 
@@ -73,6 +85,8 @@ export interface A2AServerConfig {
   portRange?: { min: number; max: number };
   /** Heartbeat interval in milliseconds (default: TIME.HEARTBEAT_INTERVAL_MS = 60,000ms) */
   heartbeatInterval?: number;
+  /** Agent discovery settings (default: read from MEMESH_A2A_DISCOVERY* / MEMESH_A2A_PEERS) */
+  discovery?: AgentDiscoveryConfig;
 }
 
 /**
@@ -117,6 +131,8 @@ export class A2AServer {
   private port: number = 0;
   private delegator: MCPTaskDelegator;
   private timeoutChecker: TimeoutChecker;
+  private webhookDispatcher: WebhookDispatcher;
+  private discovery: AgentDiscovery | null = null;
 
   /**
    * Create a new A2A Server
@@ -130,6 +146,7 @@ export class A2AServer {
     this.app = this.createApp();
     this.delegator = new MCPTaskDelegator(this.taskQueue, logger);
     this.timeoutChecker = new TimeoutChecker(this.delegator);
+    this.webhookDispatcher = new WebhookDispatcher(this.taskQueue);
 
     // Connect routes to delegator for cancel task coordination
     this.routes.setDelegator(this.delegator);
@@ -191,6 +208,36 @@ export class A2AServer {
       spanMiddleware('a2a.cancel-task'),
       this.routes.cancelTask
     );
+    app.get(
+      '/a2a/tasks/:taskId/events',
+      authenticateToken,
+      rateLimitMiddleware,
+      spanMiddleware('a2a.stream-task-events'),
+      this.routes.streamTaskEvents
+    );
+    app.post(
+      '/a2a/tasks/:taskId/webhooks',
+      authenticateToken,
+      csrfProtection, // 🔒 CSRF protection for POST
+      rateLimitMiddleware,
+      spanMiddleware('a2a.register-webhook'),
+      this.routes.registerWebhook
+    );
+    app.get(
+      '/a2a/tasks/:taskId/webhooks',
+      authenticateToken,
+      rateLimitMiddleware,
+      spanMiddleware('a2a.list-webhooks'),
+      this.routes.listWebhooks
+    );
+    app.delete(
+      '/a2a/tasks/:taskId/webhooks/:webhookId',
+      authenticateToken,
+      csrfProtection, // 🔒 CSRF protection for DELETE
+      rateLimitMiddleware,
+      spanMiddleware('a2a.delete-webhook'),
+      this.routes.deleteWebhook
+    );
 
     // Public route - agent card discovery
     app.get('/a2a/agent-card', spanMiddleware('a2a.agent-card'), this.routes.getAgentCard);
@@ -209,7 +256,7 @@ export class A2AServer {
    * 2. Starts the HTTP server
    * 3. Registers agent in the registry
    * 4. Starts heartbeat mechanism
-   * 5. Starts timeout checker
+   * 5. Starts timeout checker, webhook delivery and discovery
    *
    * @returns Promise resolving to the actual port number the server is listening on
    * @throws Error if server fails to start or no available port found
@@ -241,6 +288,12 @@ export class A2AServer {
         // Start timeout checker (every 60 seconds)
         this.timeoutChecker.start();
 
+        // Start delivering task events to registered webhooks
+        this.webhookDispatcher.start();
+
+        // Announce this agent and merge agents found on the network
+        this.startDiscovery(port);
+
         // Start rate limit cleanup (every 5 minutes)
         startCleanup();
 
@@ -276,10 +329,10 @@ export class A2AServer {
    * Stop the A2A server
    *
    * Performs graceful shutdown:
-   * 1. Stops timeout checker
+   * 1. Stops timeout checker, webhook delivery and discovery
    * 2. Stops heartbeat
    * 3. Deactivates agent in registry
-   * 4. Closes HTTP server
+   * 4. Ends open event streams and closes HTTP server
    * 5. Closes task queue database connection
    *
    * @returns Promise resolving when server is fully stopped
@@ -294,6 +347,15 @@ export class A2AServer {
     // Stop timeout checker
     this.timeoutChecker.stop();
 
+    // Stop webhook delivery (aborts in-flight deliveries)
+    this.webhookDispatcher.stop();
+
+    // Say goodbye to discovered peers
+    if (this.discovery) {
+      await this.discovery.stop();
+      this.discovery = null;
+    }
+
     // Stop rate limit cleanup
     stopCleanup();
 
@@ -313,6 +375,9 @@ export class A2AServer {
 
     this.registry.deactivate(this.config.agentId);
 
+    // Open event streams would keep the HTTP server from closing
+    this.routes.closeEventStreams();
+
     if (this.server) {
       return new Promise((resolve) => {
         this.server!.close(() => {
@@ -389,6 +454,30 @@ export class A2AServer {
     });
   }
 
+  /**
+   * Start agent discovery if multicast or static peers are configured
+   *
+   * Discovery failures are logged and never prevent the server from running.
+   */
+  private startDiscovery(port: number): void {
+    const discovery = new AgentDiscovery(
+      this.config.agentCard,
+      port,
+      this.config.discovery ?? discoveryConfigFromEnv(),
+      this.registry
+    );
+    if (!discovery.isEnabled()) {
+      return;
+    }
+
+    this.discovery = discovery;
+    discovery.start().catch((error) => {
+      logger.warn('[A2A Server] Agent discovery failed to start', {
+        error: error instanceof Error ? error.message : String(error),
+      });
+    });
+  }
+
   /**
    * Start heartbeat mechanism
    *
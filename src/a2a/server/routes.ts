@@ -12,16 +12,25 @@ import type {
   TaskStatus,
   TaskFilter,
   TaskState,
+  TaskEvent,
+  TaskWebhook,
   AgentCard,
 } from '../types/index.js';
+import { randomBytes } from 'crypto';
 import { TaskQueue } from '../storage/TaskQueue.js';
-import { validateSendMessageRequest } from './validation/index.js';
+import {
+  validateSendMessageRequest,
+  validateRegisterWebhookRequest,
+} from './validation/index.js';
 import { logger } from '../../utils/logger.js';
-import { TaskStateConstants } from '../storage/inputValidation.js';
+import { TaskStateConstants, isTerminalTaskState } from '../storage/inputValidation.js';
 import type { MCPTaskDelegator } from '../delegator/MCPTaskDelegator.js';
+import { STREAMING, PUSH_NOTIFICATIONS } from '../constants.js';
 
 export class A2ARoutes {
   private delegator: MCPTaskDelegator | null = null;
+  /** Close functions of open task event streams */
+  private eventStreams = new Set<() => void>();
 
   constructor(
     private _agentId: string,
@@ -37,6 +46,16 @@ export class A2ARoutes {
     this.delegator = delegator;
   }
 
+  /**
+   * End all open task event streams.
+   * Called on shutdown because open streams would keep the HTTP server from closing.
+   */
+  closeEventStreams(): void {
+    for (const close of [...this.eventStreams]) {
+      close();
+    }
+  }
+
   sendMessage = async (
     req: Request,
     res: Response,
@@ -242,4 +261,220 @@ export class A2ARoutes {
       next(err);
     }
   };
+
+  /**
+   * Stream task events as Server-Sent Events
+   *
+   * The first event is the current task status. The stream then carries state
+   * transitions, new messages and artifacts, and ends after a terminal state.
+   */
+  streamTaskEvents = async (
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ): Promise<void> => {
+    try {
+      const { taskId } = req.params;
+
+      if (!taskId) {
+        const error: ServiceError = {
+          code: 'INVALID_REQUEST',
+          message: 'Missing required parameter: taskId',
+        };
+        res.status(400).json({ success: false, error });
+        return;
+      }
+
+      const task = this.taskQueue.getTask(taskId);
+
+      if (!task) {
+        const error: ServiceError = {
+          code: 'NOT_FOUND',
+          message: `Task not found: ${taskId}`,
+        };
+        res.status(404).json({ success: false, error });
+        return;
+      }
+
+      res.status(200);
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache, no-transform');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('X-Accel-Buffering', 'no');
+      res.flushHeaders();
+
+      let eventId = 0;
+      const send = (event: TaskEvent): void => {
+        eventId++;
+        res.write(`id: ${eventId}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      };
+
+      send({
+        type: 'status',
+        taskId,
+        state: task.state,
+        timestamp: new Date().toISOString(),
+      });
+
+      if (isTerminalTaskState(task.state)) {
+        res.end();
+        return;
+      }
+
+      const keepAlive = setInterval(() => {
+        res.write(': keep-alive\n\n');
+      }, STREAMING.KEEP_ALIVE_INTERVAL_MS);
+
+      let unsubscribe: (() => void) | null = null;
+      const close = (): void => {
+        this.eventStreams.delete(close);
+        clearInterval(keepAlive);
+        unsubscribe?.();
+        if (!res.writableEnded) {
+          res.end();
+        }
+      };
+
+      unsubscribe = this.taskQueue.subscribe((event) => {
+        if (event.taskId !== taskId) {
+          return;
+        }
+        send(event);
+        if (event.type === 'status' && isTerminalTaskState(event.state)) {
+          close();
+        }
+      });
+
+      this.eventStreams.add(close);
+      req.on('close', close);
+      logger.debug('[A2ARoutes] Task event stream opened', { taskId });
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  /**
+   * Register a webhook for push notifications about a task
+   *
+   * When no secret is supplied one is generated. The secret is only returned
+   * in this response; later listings omit it.
+   */
+  registerWebhook = async (
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ): Promise<void> => {
+    try {
+      const { taskId } = req.params;
+      const validationResult = validateRegisterWebhookRequest(req.body);
+
+      if (!validationResult.success) {
+        const error: ServiceError = {
+          code: validationResult.error?.code || 'VALIDATION_ERROR',
+          message: validationResult.error?.message || 'Request validation failed',
+          details: validationResult.error?.details as Record<string, unknown> | undefined,
+        };
+        res.status(400).json({ success: false, error });
+        return;
+      }
+
+      if (!taskId || !this.taskQueue.getTask(taskId)) {
+        const error: ServiceError = {
+          code: 'NOT_FOUND',
+          message: `Task not found: ${taskId}`,
+        };
+        res.status(404).json({ success: false, error });
+        return;
+      }
+
+      if (this.taskQueue.getWebhooks(taskId).length >= PUSH_NOTIFICATIONS.MAX_WEBHOOKS_PER_TASK) {
+        const error: ServiceError = {
+          code: 'WEBHOOK_LIMIT_EXCEEDED',
+          message: `Task already has the maximum of ${PUSH_NOTIFICATIONS.MAX_WEBHOOKS_PER_TASK} webhooks`,
+        };
+        res.status(409).json({ success: false, error });
+        return;
+      }
+
+      const request = validationResult.data!;
+      const secret = request.secret ?? randomBytes(32).toString('hex');
+      const webhook = this.taskQueue.addWebhook({
+        taskId,
+        url: request.url,
+        secret,
+        events: request.events,
+      });
+
+      logger.info('[A2ARoutes] Webhook registered', {
+        taskId,
+        webhookId: webhook.id,
+        events: webhook.events,
+      });
+
+      const result: ServiceResponse<TaskWebhook & { secret: string }> = {
+        success: true,
+        data: { ...webhook, secret },
+      };
+
+      res.status(201).json(result);
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  listWebhooks = async (
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ): Promise<void> => {
+    try {
+      const { taskId } = req.params;
+
+      if (!taskId || !this.taskQueue.getTask(taskId)) {
+        const error: ServiceError = {
+          code: 'NOT_FOUND',
+          message: `Task not found: ${taskId}`,
+        };
+        res.status(404).json({ success: false, error });
+        return;
+      }
+
+      const result: ServiceResponse<TaskWebhook[]> = {
+        success: true,
+        data: this.taskQueue.getWebhooks(taskId),
+      };
+
+      res.status(200).json(result);
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  deleteWebhook = async (
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ): Promise<void> => {
+    try {
+      const { taskId, webhookId } = req.params;
+
+      if (!taskId || !webhookId || !this.taskQueue.deleteWebhook(taskId, webhookId)) {
+        const error: ServiceError = {
+          code: 'NOT_FOUND',
+          message: `Webhook not found: ${webhookId}`,
+        };
+        res.status(404).json({ success: false, error });
+        return;
+      }
+
+      const result: ServiceResponse<{ taskId: string; webhookId: string }> = {
+        success: true,
+        data: { taskId, webhookId },
+      };
+
+      res.status(200).json(result);
+    } catch (err) {
+      next(err);
+    }
+  };
 }
@@ -17,3 +17,9 @@ export {
   type ValidationResult,
   type ValidationErrorDetail,
 } from './sendMessageSchema.js';
+
+export {
+  RegisterWebhookRequestSchema,
+  validateRegisterWebhookRequest,
+  type ValidatedRegisterWebhookRequest,
+} from './webhookSchema.js';
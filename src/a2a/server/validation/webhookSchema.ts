@@ -0,0 +1,67 @@
+/**
+ * Webhook Registration Validation Schema
+ *
+ * Validates the body of POST /a2a/tasks/:taskId/webhooks.
+ *
+ * Security features:
+ * - Only http(s) callback URLs without embedded credentials
+ * - Length limits on URL and secret
+ * - Minimum secret length so signatures cannot be brute-forced
+ */
+
+import { z } from 'zod';
+import { formatZodError, type ValidationResult } from './sendMessageSchema.js';
+
+const MAX_URL_LENGTH = 2048; // Standard URL length limit
+const MIN_SECRET_LENGTH = 16; // Short secrets make HMAC signatures guessable
+const MAX_SECRET_LENGTH = 256;
+
+/**
+ * RegisterWebhookRequest validation schema
+ */
+export const RegisterWebhookRequestSchema = z.object({
+  url: z
+    .string()
+    .max(MAX_URL_LENGTH, `URL too long (max ${MAX_URL_LENGTH} characters)`)
+    .url('Invalid URL format')
+    .refine((value) => {
+      const url = new URL(value);
+      return (url.protocol === 'http:' || url.protocol === 'https:') && !url.username && !url.password;
+    }, 'URL must use http or https and must not contain credentials'),
+  secret: z
+    .string()
+    .min(MIN_SECRET_LENGTH, `Secret too short (min ${MIN_SECRET_LENGTH} characters)`)
+    .max(MAX_SECRET_LENGTH, `Secret too long (max ${MAX_SECRET_LENGTH} characters)`)
+    .optional(),
+  events: z
+    .array(z.enum(['status', 'message', 'artifact']))
+    .min(1, 'At least one event type is required')
+    .max(3)
+    .optional(),
+});
+
+/**
+ * Type inference for validated RegisterWebhookRequest
+ */
+export type ValidatedRegisterWebhookRequest = z.infer<typeof RegisterWebhookRequestSchema>;
+
+/**
+ * Validate RegisterWebhookRequest
+ *
+ * @param data - The raw request body to validate
+ * @returns Validation result with typed data or error details
+ */
+export function validateRegisterWebhookRequest(
+  data: unknown
+): ValidationResult<ValidatedRegisterWebhookRequest> {
+  const result = RegisterWebhookRequestSchema.safeParse(data);
+
+  if (result.success) {
+    return {
+      success: true,
+      data: result.data,
+    };
+  }
+
+  return formatZodError(result.error);
+}
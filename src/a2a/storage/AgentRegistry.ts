@@ -42,20 +42,17 @@
  */
 
 import Database from 'better-sqlite3';
-import { readFileSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
 import { logger } from '../../utils/logger.js';
 import { getDataPath } from '../../utils/PathResolver.js';
+import { SchemaMigrator } from '../../db/SchemaMigrator.js';
+import { AGENT_REGISTRY_MIGRATIONS } from './migrations.js';
 import type {
   AgentRegistryEntry,
   RegisterAgentParams,
   AgentCapabilities,
+  AgentDiscoverySource,
 } from '../types/index.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
 /**
  * Safely parse JSON string, returning null if invalid
  */
@@ -81,6 +78,8 @@ interface AgentRow {
   last_heartbeat: string;
   capabilities: string | null;
   metadata: string | null;
+  source: string;
+  discovered_from: string | null;
   created_at: string;
   updated_at: string;
 }
@@ -216,9 +215,7 @@ export class AgentRegistry {
   }
 
   private initializeSchema(): void {
-    const schemaPath = join(__dirname, 'registry-schemas.sql');
-    const schema = readFileSync(schemaPath, 'utf-8');
-    this.db.exec(schema);
+    new SchemaMigrator(this.db, { name: 'AgentRegistry', migrations: AGENT_REGISTRY_MIGRATIONS }).migrate();
   }
 
   register(params: RegisterAgentParams): AgentRegistryEntry {
@@ -232,7 +229,7 @@ export class AgentRegistry {
         'updateAgent',
         `UPDATE agents
          SET base_url = ?, port = ?, status = 'active', last_heartbeat = ?,
-             capabilities = ?, metadata = ?, updated_at = ?
+             capabilities = ?, metadata = ?, source = ?, discovered_from = ?, updated_at = ?
          WHERE agent_id = ?`
       );
 
@@ -242,6 +239,8 @@ export class AgentRegistry {
         now,
         params.capabilities ? JSON.stringify(params.capabilities) : null,
         params.metadata ? JSON.stringify(params.metadata) : null,
+        params.source ?? 'local',
+        params.discoveredFrom ?? null,
         now,
         params.agentId
       );
@@ -250,8 +249,8 @@ export class AgentRegistry {
       const stmt = this.getStatement(
         'insertAgent',
         `INSERT INTO agents (agent_id, base_url, port, status, last_heartbeat,
-                            capabilities, metadata, created_at, updated_at)
-         VALUES (?, ?, ?, 'active', ?, ?, ?, ?, ?)`
+                            capabilities, metadata, source, discovered_from, created_at, updated_at)
+         VALUES (?, ?, ?, 'active', ?, ?, ?, ?, ?, ?, ?)`
       );
 
       stmt.run(
@@ -261,6 +260,8 @@ export class AgentRegistry {
         now,
         params.capabilities ? JSON.stringify(params.capabilities) : null,
         params.metadata ? JSON.stringify(params.metadata) : null,
+        params.source ?? 'local',
+        params.discoveredFrom ?? null,
         now,
         now
       );
@@ -345,6 +346,29 @@ export class AgentRegistry {
     return result.changes;
   }
 
+  /**
+   * Mark discovered (non-local) agents stale when their last announcement or
+   * peer poll is older than the threshold
+   *
+   * Discovered agents heartbeat far more often than local ones, so they go
+   * stale well before the 5-minute `cleanupStale` threshold.
+   *
+   * @param staleThresholdMs - Maximum age of the last heartbeat
+   * @returns Number of agents marked stale
+   */
+  cleanupStaleDiscovered(staleThresholdMs: number): number {
+    const threshold = new Date(Date.now() - staleThresholdMs).toISOString();
+    const now = new Date().toISOString();
+
+    const stmt = this.getStatement(
+      'cleanupStaleDiscovered',
+      "UPDATE agents SET status = 'stale', updated_at = ? WHERE last_heartbeat < ? AND status = 'active' AND source != 'local'"
+    );
+
+    const result = stmt.run(now, threshold);
+    return result.changes;
+  }
+
   deleteStale(): number {
     // Use cached prepared statement
     const stmt = this.getStatement(
@@ -388,6 +412,8 @@ export class AgentRegistry {
       lastHeartbeat: row.last_heartbeat,
       capabilities: capabilities || undefined,
       metadata: metadata || undefined,
+      source: (row.source || 'local') as AgentDiscoverySource,
+      discoveredFrom: row.discovered_from || undefined,
     };
   }
 }
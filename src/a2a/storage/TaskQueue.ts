@@ -27,12 +27,11 @@
  */
 
 import Database from 'better-sqlite3';
-import { readFileSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
 import { logger } from '../../utils/logger.js';
 import { getDataPath } from '../../utils/PathResolver.js';
+import { SchemaMigrator } from '../../db/SchemaMigrator.js';
+import { TASK_QUEUE_MIGRATIONS } from './migrations.js';
 // ✅ SECURITY FIX (HIGH-3): Import input validation helpers
 import {
   validateArraySize,
@@ -54,10 +53,12 @@ import type {
   MessageCreated,
   Artifact,
   MessagePart,
+  TaskEvent,
+  TaskEventType,
+  TaskWebhook,
+  RegisterWebhookParams,
 } from '../types/index.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import type { TaskInfo } from '../delegator/types.js';
 
 // Database row interfaces
 interface TaskRow {
@@ -93,6 +94,58 @@ interface ArtifactRow {
   metadata: string | null;
 }
 
+interface WebhookRow {
+  id: string;
+  task_id: string;
+  url: string;
+  secret: string;
+  events: string;
+  created_at: string;
+  last_delivery_status: string | null;
+  last_delivery_at: string | null;
+}
+
+interface DelegatedTaskRow {
+  task_id: string;
+  agent_id: string;
+  task: string;
+  priority: string;
+  status: string;
+  created_at: number;
+  lease_expires_at: number | null;
+  lease_expirations: number;
+  dead_lettered_at: number | null;
+}
+
+interface TaskEventRow {
+  seq: number;
+  event: string;
+}
+
+/**
+ * Listener for task events published by TaskQueue
+ */
+export type TaskEventListener = (event: TaskEvent) => void;
+
+/**
+ * Task event read back from the event journal
+ */
+export interface JournaledTaskEvent {
+  /** Position in the journal (increases with every published event) */
+  seq: number;
+  event: TaskEvent;
+}
+
+/** Events kept in the journal; older ones are pruned on write */
+const MAX_JOURNALED_TASK_EVENTS = 1000;
+
+/**
+ * Webhook with its signing secret (never returned over HTTP after registration)
+ */
+export interface TaskWebhookTarget extends TaskWebhook {
+  secret: string;
+}
+
 /**
  * Defense-in-depth: Assert that a SQL query's placeholder count matches the
  * parameter array length before execution.
@@ -149,6 +202,8 @@ export class TaskQueue {
   private preparedStatements: Map<string, Database.Statement>;
   /** Guard against double-close. better-sqlite3 throws TypeError on closing an already-closed db. */
   private isClosed = false;
+  /** Subscribers to task events (SSE streams, webhook dispatcher) */
+  private eventListeners = new Set<TaskEventListener>();
 
   constructor(agentId: string, dbPath?: string) {
     // Use PathResolver for automatic fallback to legacy location
@@ -181,9 +236,7 @@ export class TaskQueue {
   }
 
   private initializeSchema(): void {
-    const schemaPath = join(__dirname, 'schemas.sql');
-    const schema = readFileSync(schemaPath, 'utf-8');
-    this.db.exec(schema);
+    new SchemaMigrator(this.db, { name: 'TaskQueue', migrations: TASK_QUEUE_MIGRATIONS }).migrate();
   }
 
   /**
@@ -236,6 +289,13 @@ export class TaskQueue {
       task.metadata ? JSON.stringify(task.metadata) : null
     );
 
+    this.publish({
+      type: 'status',
+      taskId: task.id,
+      state: task.state,
+      timestamp: now,
+    });
+
     if (params.initialMessage) {
       this.addMessage({
         taskId: task.id,
@@ -429,11 +489,20 @@ export class TaskQueue {
       values.push(params.metadata ? JSON.stringify(params.metadata) : null);
     }
 
+    const now = new Date().toISOString();
     updates.push('updated_at = ?');
-    values.push(new Date().toISOString());
+    values.push(now);
 
     values.push(taskId);
 
+    // Read the previous state so state transitions can be published
+    const previous =
+      params.state !== undefined
+        ? (this.getStatement('getTaskState', 'SELECT state FROM tasks WHERE id = ?').get(taskId) as
+            | { state: TaskState }
+            | undefined)
+        : undefined;
+
     const updateQuery = `UPDATE tasks SET ${updates.join(', ')} WHERE id = ?`;
 
     // Defense-in-depth: verify placeholder count matches params before execution
@@ -441,6 +510,17 @@ export class TaskQueue {
 
     const stmt = this.db.prepare(updateQuery);
     const result = stmt.run(...values);
+
+    if (result.changes > 0 && previous && params.state !== undefined && previous.state !== params.state) {
+      this.publish({
+        type: 'status',
+        taskId,
+        state: params.state,
+        previousState: previous.state,
+        timestamp: now,
+      });
+    }
+
     return result.changes > 0;
   }
 
@@ -466,6 +546,20 @@ export class TaskQueue {
       .prepare('UPDATE tasks SET updated_at = ? WHERE id = ?')
       .run(now, params.taskId);
 
+    this.publish({
+      type: 'message',
+      taskId: params.taskId,
+      message: {
+        id: messageId,
+        taskId: params.taskId,
+        role: params.role,
+        parts: params.parts,
+        createdAt: now,
+        metadata: params.metadata,
+      },
+      timestamp: now,
+    });
+
     return {
       id: messageId,
       taskId: params.taskId,
@@ -537,6 +631,23 @@ export class TaskQueue {
       .prepare('UPDATE tasks SET updated_at = ? WHERE id = ?')
       .run(now, params.taskId);
 
+    this.publish({
+      type: 'artifact',
+      taskId: params.taskId,
+      artifact: {
+        id: artifactId,
+        taskId: params.taskId,
+        type: params.type,
+        name: params.name,
+        content: contentStr,
+        encoding,
+        size,
+        createdAt: now,
+        metadata: params.metadata,
+      },
+      timestamp: now,
+    });
+
     return artifactId;
   }
 
@@ -565,11 +676,250 @@ export class TaskQueue {
     });
   }
 
+  /**
+   * Subscribe to task events (state transitions, new messages and artifacts)
+   *
+   * Listeners run synchronously after the change is written. A throwing
+   * listener is logged and never affects the write or other listeners.
+   *
+   * @param listener - Called with every event published by this queue
+   * @returns Function that removes the listener
+   */
+  subscribe(listener: TaskEventListener): () => void {
+    this.eventListeners.add(listener);
+    return () => {
+      this.eventListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Get events published after `seq` by any connection to this database
+   *
+   * subscribe() only sees writes made through this instance; the journal lets
+   * other processes (e.g. the dashboard) follow the MCP server's queue.
+   *
+   * @param seq - Last sequence number already seen (0 = from the oldest kept event)
+   * @param limit - Maximum events returned
+   * @returns Events in publish order
+   */
+  getEventsSince(seq: number, limit = 100): JournaledTaskEvent[] {
+    const rows = this.getStatement(
+      'getEventsSince',
+      'SELECT seq, event FROM task_events WHERE seq > ? ORDER BY seq ASC LIMIT ?'
+    ).all(seq, limit) as TaskEventRow[];
+
+    return rows.flatMap((row) => {
+      const event = safeJsonParse<TaskEvent>(row.event);
+      return event ? [{ seq: row.seq, event }] : [];
+    });
+  }
+
+  /**
+   * Get the sequence number of the latest journaled event (0 if none)
+   */
+  getLatestEventSeq(): number {
+    const row = this.getStatement('getLatestEventSeq', 'SELECT MAX(seq) AS seq FROM task_events').get() as {
+      seq: number | null;
+    };
+    return row.seq ?? 0;
+  }
+
+  private publish(event: TaskEvent): void {
+    this.journalEvent(event);
+
+    for (const listener of this.eventListeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.error('[TaskQueue] Task event listener failed', {
+          eventType: event.type,
+          taskId: event.taskId,
+          error: error instanceof Error ? error.message : String(error),
+        });
+      }
+    }
+  }
+
+  /**
+   * Append an event to the journal and prune the oldest entries. Failures are
+   * logged: the journal must never break the write that produced the event.
+   */
+  private journalEvent(event: TaskEvent): void {
+    try {
+      const result = this.getStatement(
+        'journalEvent',
+        'INSERT INTO task_events (task_id, type, event, created_at) VALUES (?, ?, ?, ?)'
+      ).run(event.taskId, event.type, JSON.stringify(event), event.timestamp);
+
+      this.getStatement('pruneEvents', 'DELETE FROM task_events WHERE seq <= ?').run(
+        Number(result.lastInsertRowid) - MAX_JOURNALED_TASK_EVENTS
+      );
+    } catch (error) {
+      logger.error('[TaskQueue] Failed to journal task event', {
+        eventType: event.type,
+        taskId: event.taskId,
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+
+  /**
+   * Register a webhook for push notifications about a task
+   *
+   * @returns The registered webhook (without its secret)
+   */
+  addWebhook(params: RegisterWebhookParams): TaskWebhook {
+    const webhook: TaskWebhook = {
+      id: uuidv4(),
+      taskId: params.taskId,
+      url: params.url,
+      events: params.events && params.events.length > 0 ? [...new Set(params.events)] : ['status'],
+      createdAt: new Date().toISOString(),
+    };
+
+    this.getStatement(
+      'insertWebhook',
+      `INSERT INTO task_webhooks (id, task_id, url, secret, events, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).run(
+      webhook.id,
+      webhook.taskId,
+      webhook.url,
+      params.secret,
+      JSON.stringify(webhook.events),
+      webhook.createdAt
+    );
+
+    return webhook;
+  }
+
+  /**
+   * List webhooks registered for a task (secrets omitted)
+   */
+  getWebhooks(taskId: string): TaskWebhook[] {
+    return this.getWebhookTargets(taskId).map(({ secret: _secret, ...webhook }) => webhook);
+  }
+
+  /**
+   * List webhooks registered for a task, including their signing secrets
+   */
+  getWebhookTargets(taskId: string): TaskWebhookTarget[] {
+    const rows = this.getStatement(
+      'getWebhooks',
+      'SELECT * FROM task_webhooks WHERE task_id = ? ORDER BY created_at ASC'
+    ).all(taskId) as WebhookRow[];
+
+    return rows.map((row) => ({
+      id: row.id,
+      taskId: row.task_id,
+      url: row.url,
+      secret: row.secret,
+      events: safeJsonParse<TaskEventType[]>(row.events) || ['status'],
+      createdAt: row.created_at,
+      lastDeliveryStatus: (row.last_delivery_status as 'delivered' | 'failed' | null) || undefined,
+      lastDeliveryAt: row.last_delivery_at || undefined,
+    }));
+  }
+
+  /**
+   * Remove a webhook from a task
+   *
+   * @returns true if the webhook existed
+   */
+  deleteWebhook(taskId: string, webhookId: string): boolean {
+    const result = this.getStatement(
+      'deleteWebhook',
+      'DELETE FROM task_webhooks WHERE id = ? AND task_id = ?'
+    ).run(webhookId, taskId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Record the outcome of the latest delivery to a webhook
+   */
+  recordWebhookDelivery(webhookId: string, status: 'delivered' | 'failed'): void {
+    // Deliveries can finish after shutdown closed the database
+    if (this.isClosed) {
+      return;
+    }
+    this.getStatement(
+      'recordWebhookDelivery',
+      'UPDATE task_webhooks SET last_delivery_status = ?, last_delivery_at = ? WHERE id = ?'
+    ).run(status, new Date().toISOString(), webhookId);
+  }
+
+  /**
+   * Insert or update an entry of the delegation queue (MCPTaskDelegator)
+   */
+  saveDelegatedTask(info: TaskInfo): void {
+    this.getStatement(
+      'saveDelegatedTask',
+      `INSERT OR REPLACE INTO delegated_tasks
+         (task_id, agent_id, task, priority, status, created_at, lease_expires_at, lease_expirations, dead_lettered_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      info.taskId,
+      info.agentId,
+      info.task,
+      info.priority,
+      info.status,
+      info.createdAt,
+      info.leaseExpiresAt ?? null,
+      info.leaseExpirations,
+      info.deadLetteredAt ?? null
+    );
+  }
+
+  /**
+   * Load the delegation queue, oldest first
+   *
+   * @param status - Only return entries in this status (default: all)
+   */
+  getDelegatedTasks(status?: TaskInfo['status']): TaskInfo[] {
+    const rows = (
+      status
+        ? this.getStatement(
+            'getDelegatedTasksByStatus',
+            'SELECT * FROM delegated_tasks WHERE status = ? ORDER BY created_at ASC, rowid ASC'
+          ).all(status)
+        : this.getStatement(
+            'getDelegatedTasks',
+            'SELECT * FROM delegated_tasks ORDER BY created_at ASC, rowid ASC'
+          ).all()
+    ) as DelegatedTaskRow[];
+
+    return rows.map((row) => ({
+      taskId: row.task_id,
+      agentId: row.agent_id,
+      task: row.task,
+      priority: row.priority as TaskInfo['priority'],
+      status: row.status as TaskInfo['status'],
+      createdAt: row.created_at,
+      leaseExpiresAt: row.lease_expires_at ?? undefined,
+      leaseExpirations: row.lease_expirations,
+      deadLetteredAt: row.dead_lettered_at ?? undefined,
+    }));
+  }
+
+  /**
+   * Remove an entry from the delegation queue
+   *
+   * @returns true if the entry existed
+   */
+  deleteDelegatedTask(taskId: string): boolean {
+    const result = this.getStatement(
+      'deleteDelegatedTask',
+      'DELETE FROM delegated_tasks WHERE task_id = ?'
+    ).run(taskId);
+    return result.changes > 0;
+  }
+
   close(): void {
     if (this.isClosed) {
       return;
     }
     this.isClosed = true;
+    this.eventListeners.clear();
 
     // Clear cached prepared statements (auto-finalized by better-sqlite3 on db.close())
     this.preparedStatements.clear();
@@ -0,0 +1,112 @@
+/**
+ * Test: AgentRegistry schema migrations
+ *
+ * Registries written before versioning (and before discovery added the
+ * source columns) are upgraded in place through AGENT_REGISTRY_MIGRATIONS.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AgentRegistry } from '../AgentRegistry.js';
+import { AGENT_REGISTRY_MIGRATIONS } from '../migrations.js';
+import { SchemaMigrator, hasColumn, readSchemaVersion } from '../../../db/SchemaMigrator.js';
+
+describe('AgentRegistry migrations', () => {
+  let testDir: string;
+  let dbPath: string;
+
+  beforeEach(() => {
+    AgentRegistry.resetInstance();
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'memesh-registry-migrations-'));
+    dbPath = path.join(testDir, 'a2a-registry.db');
+  });
+
+  afterEach(() => {
+    AgentRegistry.resetInstance();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should upgrade an agents table created before versioning', () => {
+    // Schema as written by releases without discovery or schema_version
+    const legacy = new Database(dbPath);
+    legacy.exec(`
+      CREATE TABLE agents (
+        agent_id TEXT PRIMARY KEY,
+        base_url TEXT NOT NULL,
+        port INTEGER NOT NULL,
+        status TEXT NOT NULL CHECK(status IN ('active', 'inactive', 'stale')) DEFAULT 'active',
+        last_heartbeat TEXT NOT NULL,
+        capabilities TEXT,
+        metadata TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      INSERT INTO agents (agent_id, base_url, port, last_heartbeat, created_at, updated_at)
+      VALUES ('legacy-agent', 'http://localhost:3000', 3000, '2026-01-01T00:00:00Z', '2026-01-01T00:00:00Z', '2026-01-01T00:00:00Z');
+    `);
+    legacy.close();
+
+    const registry = AgentRegistry.getInstance(dbPath);
+
+    expect(registry.get('legacy-agent')).toMatchObject({ baseUrl: 'http://localhost:3000', source: 'local' });
+    const discovered = registry.register({
+      agentId: 'peer-agent',
+      baseUrl: 'http://192.168.1.20:3000',
+      port: 3000,
+      source: 'multicast',
+      discoveredFrom: '192.168.1.20',
+    });
+    expect(discovered).toMatchObject({ source: 'multicast', discoveredFrom: '192.168.1.20' });
+
+    AgentRegistry.resetInstance();
+    const upgraded = new Database(dbPath);
+    try {
+      expect(readSchemaVersion(upgraded)).toBe(AGENT_REGISTRY_MIGRATIONS.length);
+    } finally {
+      upgraded.close();
+    }
+  });
+
+  it('should keep registries that already have the source columns', () => {
+    const legacy = new Database(dbPath);
+    legacy.exec(`
+      CREATE TABLE agents (
+        agent_id TEXT PRIMARY KEY,
+        base_url TEXT NOT NULL,
+        port INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'active',
+        last_heartbeat TEXT NOT NULL,
+        capabilities TEXT,
+        metadata TEXT,
+        source TEXT NOT NULL DEFAULT 'local',
+        discovered_from TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `);
+    legacy.close();
+
+    const registry = AgentRegistry.getInstance(dbPath);
+    expect(registry.register({ agentId: 'a', baseUrl: 'http://localhost:3001', port: 3001 }).source).toBe('local');
+  });
+
+  it('should roll back every step', () => {
+    const db = new Database(':memory:');
+    try {
+      const migrator = new SchemaMigrator(db, { name: 'AgentRegistry', migrations: AGENT_REGISTRY_MIGRATIONS });
+      migrator.migrate();
+      expect(hasColumn(db, 'agents', 'discovered_from')).toBe(true);
+
+      migrator.rollback(1);
+      expect(hasColumn(db, 'agents', 'source')).toBe(false);
+
+      migrator.rollback(0);
+      expect(db.prepare("SELECT name FROM sqlite_master WHERE name = 'agents'").get()).toBeUndefined();
+    } finally {
+      db.close();
+    }
+  });
+});
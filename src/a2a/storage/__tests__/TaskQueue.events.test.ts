@@ -0,0 +1,160 @@
+/**
+ * TaskQueue Events and Webhook Storage Tests
+ *
+ * Test Categories:
+ * 1. Task events - status transitions, messages and artifacts are published
+ * 2. Listener isolation - failing listeners never break writes
+ * 3. Event journal - events readable by other connections to the database
+ * 4. Webhooks - register, list without secrets, delete, delivery outcome
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TaskQueue } from '../TaskQueue.js';
+import type { TaskEvent } from '../../types/index.js';
+
+describe('TaskQueue events', () => {
+  let tempDir: string;
+  let queue: TaskQueue;
+  let events: TaskEvent[];
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'a2a-task-events-'));
+    queue = new TaskQueue('events-agent', join(tempDir, 'tasks.db'));
+    events = [];
+    queue.subscribe((event) => events.push(event));
+  });
+
+  afterEach(() => {
+    queue.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('Task events', () => {
+    it('should publish creation, initial message and state transitions', () => {
+      const task = queue.createTask({
+        name: 'Delegated',
+        initialMessage: { role: 'user', parts: [{ type: 'text', text: 'Run the tests' }] },
+      });
+      queue.updateTaskStatus(task.id, { state: 'WORKING' });
+      queue.updateTaskStatus(task.id, { state: 'COMPLETED' });
+
+      expect(events.map((e) => e.type)).toEqual(['status', 'message', 'status', 'status']);
+      expect(events[0]).toMatchObject({ taskId: task.id, state: 'SUBMITTED' });
+      expect(events[1]).toMatchObject({
+        type: 'message',
+        message: { role: 'user', parts: [{ type: 'text', text: 'Run the tests' }] },
+      });
+      expect(events[3]).toMatchObject({ state: 'COMPLETED', previousState: 'WORKING' });
+    });
+
+    it('should not publish updates that keep the state or touch unknown tasks', () => {
+      const task = queue.createTask({ name: 'Delegated' });
+      events = [];
+
+      queue.updateTaskStatus(task.id, { state: 'SUBMITTED' });
+      queue.updateTaskStatus(task.id, { name: 'Renamed' });
+      queue.updateTaskStatus('missing-task', { state: 'WORKING' });
+
+      expect(events).toEqual([]);
+    });
+
+    it('should publish artifacts with binary content base64-encoded', () => {
+      const task = queue.createTask({ name: 'Delegated' });
+      queue.addArtifact({ taskId: task.id, type: 'application/octet-stream', content: Buffer.from('bin') });
+
+      const artifact = events.find((e) => e.type === 'artifact');
+      expect(artifact).toMatchObject({
+        taskId: task.id,
+        artifact: { content: Buffer.from('bin').toString('base64'), encoding: 'base64', size: 3 },
+      });
+    });
+  });
+
+  describe('Listener isolation', () => {
+    it('should keep writing and notifying other listeners when one throws', () => {
+      const failing = vi.fn(() => {
+        throw new Error('listener failure');
+      });
+      const unsubscribeFailing = queue.subscribe(failing);
+      const task = queue.createTask({ name: 'Delegated' });
+
+      expect(queue.updateTaskStatus(task.id, { state: 'WORKING' })).toBe(true);
+      expect(events).toHaveLength(2);
+      expect(failing).toHaveBeenCalledTimes(2);
+
+      unsubscribeFailing();
+      queue.updateTaskStatus(task.id, { state: 'FAILED' });
+      expect(failing).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Event journal', () => {
+    it('should let another connection read events published after a sequence number', () => {
+      const reader = new TaskQueue('events-agent', join(tempDir, 'tasks.db'));
+      try {
+        const task = queue.createTask({ name: 'Delegated' });
+        const seq = reader.getLatestEventSeq();
+
+        queue.updateTaskStatus(task.id, { state: 'WORKING' });
+        queue.addMessage({ taskId: task.id, role: 'assistant', parts: [{ type: 'text', text: 'On it' }] });
+
+        const journaled = reader.getEventsSince(seq);
+        expect(journaled.map((entry) => entry.event)).toEqual(events.slice(1));
+        expect(journaled[1].seq).toBe(reader.getLatestEventSeq());
+        expect(reader.getEventsSince(reader.getLatestEventSeq())).toEqual([]);
+      } finally {
+        reader.close();
+      }
+    });
+
+    it('should return events in pages', () => {
+      const task = queue.createTask({ name: 'Delegated' });
+      queue.updateTaskStatus(task.id, { state: 'WORKING' });
+      queue.updateTaskStatus(task.id, { state: 'COMPLETED' });
+
+      const firstPage = queue.getEventsSince(0, 2);
+      expect(firstPage).toHaveLength(2);
+      expect(queue.getEventsSince(firstPage[1].seq, 2).map((entry) => entry.event)).toEqual([events[2]]);
+    });
+  });
+
+  describe('Webhooks', () => {
+    it('should register, list and delete webhooks without exposing secrets', () => {
+      const task = queue.createTask({ name: 'Delegated' });
+      const webhook = queue.addWebhook({
+        taskId: task.id,
+        url: 'http://localhost:9999/hook',
+        secret: 'a-very-long-signing-secret',
+      });
+
+      expect(webhook.events).toEqual(['status']);
+      expect(queue.getWebhooks(task.id)).toEqual([webhook]);
+      expect(queue.getWebhooks(task.id)[0]).not.toHaveProperty('secret');
+      expect(queue.getWebhookTargets(task.id)[0].secret).toBe('a-very-long-signing-secret');
+
+      expect(queue.deleteWebhook('other-task', webhook.id)).toBe(false);
+      expect(queue.deleteWebhook(task.id, webhook.id)).toBe(true);
+      expect(queue.getWebhooks(task.id)).toEqual([]);
+    });
+
+    it('should record the latest delivery outcome', () => {
+      const task = queue.createTask({ name: 'Delegated' });
+      const webhook = queue.addWebhook({
+        taskId: task.id,
+        url: 'http://localhost:9999/hook',
+        secret: 'a-very-long-signing-secret',
+        events: ['status', 'artifact', 'status'],
+      });
+
+      queue.recordWebhookDelivery(webhook.id, 'failed');
+
+      const [stored] = queue.getWebhooks(task.id);
+      expect(stored.events).toEqual(['status', 'artifact']);
+      expect(stored.lastDeliveryStatus).toBe('failed');
+      expect(stored.lastDeliveryAt).toBeDefined();
+    });
+  });
+});
@@ -43,6 +43,24 @@ export const TaskStateConstants = {
   TIMEOUT: 'TIMEOUT' as const,
 } satisfies Record<string, TaskState>;
 
+/**
+ * States a task never leaves; event streams close once one is reached
+ */
+export const TERMINAL_TASK_STATES: readonly TaskState[] = [
+  'COMPLETED',
+  'FAILED',
+  'CANCELED',
+  'REJECTED',
+  'TIMEOUT',
+] as const;
+
+/**
+ * Check whether a task state is terminal
+ */
+export function isTerminalTaskState(state: TaskState): boolean {
+  return TERMINAL_TASK_STATES.includes(state);
+}
+
 /**
  * Valid task priorities
  */
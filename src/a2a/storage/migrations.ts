@@ -0,0 +1,87 @@
+/**
+ * A2A Storage - Schema Migrations
+ *
+ * Versioned schemas (see SchemaMigrator) of:
+ * - the per-agent task databases (a2a-tasks-{agentId}.db): version 1 is schemas.sql
+ * - the shared agent registry (a2a-registry.db): version 1 is registry-schemas.sql
+ *
+ * Add later changes as new migrations here rather than editing those files.
+ */
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { hasColumn, type SchemaMigration } from '../../db/SchemaMigrator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const TASK_QUEUE_MIGRATIONS: SchemaMigration[] = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up: (db) => {
+      db.exec(readFileSync(join(__dirname, 'schemas.sql'), 'utf-8'));
+    },
+    down: (db) => {
+      db.exec(`
+        DROP TABLE IF EXISTS delegated_tasks;
+        DROP TABLE IF EXISTS task_webhooks;
+        DROP TABLE IF EXISTS artifacts;
+        DROP TABLE IF EXISTS messages;
+        DROP TABLE IF EXISTS tasks;
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: 'add_task_events',
+    up: (db) => {
+      // Journal of published task events, read by other processes (dashboard)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS task_events (
+          seq INTEGER PRIMARY KEY AUTOINCREMENT,
+          task_id TEXT NOT NULL,
+          type TEXT NOT NULL,
+          event TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+      `);
+    },
+    down: (db) => {
+      db.exec('DROP TABLE IF EXISTS task_events');
+    },
+  },
+];
+
+export const AGENT_REGISTRY_MIGRATIONS: SchemaMigration[] = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up: (db) => {
+      db.exec(readFileSync(join(__dirname, 'registry-schemas.sql'), 'utf-8'));
+    },
+    down: (db) => {
+      db.exec('DROP TABLE IF EXISTS agents');
+    },
+  },
+  {
+    version: 2,
+    name: 'add_discovery_source',
+    up: (db) => {
+      // Registries from before versioning may already carry the columns
+      if (!hasColumn(db, 'agents', 'source')) {
+        db.exec("ALTER TABLE agents ADD COLUMN source TEXT NOT NULL DEFAULT 'local'");
+      }
+      if (!hasColumn(db, 'agents', 'discovered_from')) {
+        db.exec('ALTER TABLE agents ADD COLUMN discovered_from TEXT');
+      }
+    },
+    down: (db) => {
+      db.exec(`
+        ALTER TABLE agents DROP COLUMN discovered_from;
+        ALTER TABLE agents DROP COLUMN source;
+      `);
+    },
+  },
+];
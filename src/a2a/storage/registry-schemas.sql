@@ -1,5 +1,7 @@
 -- A2A Agent Registry Database Schema
 -- Path: ~/.claude-code-buddy/a2a-registry.db
+-- Schema version 1 (applied by AGENT_REGISTRY_MIGRATIONS in migrations.ts).
+-- Add schema changes as new migrations there instead of editing this file.
 
 -- Agents table
 CREATE TABLE IF NOT EXISTS agents (
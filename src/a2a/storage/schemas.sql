@@ -1,5 +1,7 @@
 -- A2A Task Queue Database Schema
 -- Path: ~/.claude-code-buddy/a2a-tasks-{agent_id}.db
+-- Schema version 1 (applied by TASK_QUEUE_MIGRATIONS in migrations.ts).
+-- Add schema changes as new migrations there instead of editing this file.
 
 -- Tasks table
 CREATE TABLE IF NOT EXISTS tasks (
@@ -62,3 +64,35 @@ CREATE TABLE IF NOT EXISTS artifacts (
 CREATE INDEX IF NOT EXISTS idx_artifacts_task_id ON artifacts(task_id);
 CREATE INDEX IF NOT EXISTS idx_artifacts_type ON artifacts(type);
 CREATE INDEX IF NOT EXISTS idx_artifacts_created_at ON artifacts(created_at);
+
+-- Webhooks table (push notifications for task events)
+CREATE TABLE IF NOT EXISTS task_webhooks (
+    id TEXT PRIMARY KEY,
+    task_id TEXT NOT NULL,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL, -- HMAC-SHA256 signing key
+    events TEXT NOT NULL, -- JSON array of event types
+    created_at TEXT NOT NULL, -- ISO 8601 timestamp
+    last_delivery_status TEXT CHECK(last_delivery_status IN ('delivered', 'failed')),
+    last_delivery_at TEXT, -- ISO 8601 timestamp
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+);
+
+-- Index for webhook lookup on every task event
+CREATE INDEX IF NOT EXISTS idx_task_webhooks_task_id ON task_webhooks(task_id);
+
+-- Delegation queue (tasks handed to the local MCP client by MCPTaskDelegator)
+CREATE TABLE IF NOT EXISTS delegated_tasks (
+    task_id TEXT PRIMARY KEY,
+    agent_id TEXT NOT NULL,
+    task TEXT NOT NULL,
+    priority TEXT NOT NULL CHECK(priority IN ('high', 'medium', 'low')),
+    status TEXT NOT NULL CHECK(status IN ('PENDING', 'IN_PROGRESS', 'DEAD_LETTER')),
+    created_at INTEGER NOT NULL, -- Unix epoch milliseconds
+    lease_expires_at INTEGER, -- Unix epoch milliseconds, set while IN_PROGRESS
+    lease_expirations INTEGER NOT NULL DEFAULT 0,
+    dead_lettered_at INTEGER -- Unix epoch milliseconds
+);
+
+-- Index for per-agent queue lookups
+CREATE INDEX IF NOT EXISTS idx_delegated_tasks_agent_status ON delegated_tasks(agent_id, status);
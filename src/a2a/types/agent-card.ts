@@ -66,9 +66,19 @@ export interface AgentEndpoints {
   getTask?: string; // Default: "/a2a/tasks/:taskId"
   listTasks?: string; // Default: "/a2a/tasks"
   cancelTask?: string; // Default: "/a2a/tasks/:taskId/cancel"
+  subscribeTask?: string; // Default: "/a2a/tasks/:taskId/events" (SSE)
+  taskWebhooks?: string; // Default: "/a2a/tasks/:taskId/webhooks"
   getAgentCard?: string; // Default: "/a2a/agent-card"
 }
 
+/**
+ * How an agent got into the registry
+ * - local: registered by an A2A server sharing this registry file
+ * - multicast: heard announcing itself on the LAN
+ * - static: fetched from a configured peer URL
+ */
+export type AgentDiscoverySource = 'local' | 'multicast' | 'static';
+
 /**
  * Agent registry entry
  */
@@ -80,6 +90,8 @@ export interface AgentRegistryEntry {
   lastHeartbeat: string; // ISO 8601 timestamp
   capabilities?: AgentCapabilities;
   metadata?: Record<string, unknown>;
+  source?: AgentDiscoverySource; // Default: 'local'
+  discoveredFrom?: string; // Announcing address or peer URL (discovered agents only)
 }
 
 /**
@@ -91,4 +103,6 @@ export interface RegisterAgentParams {
   port: number;
   capabilities?: AgentCapabilities;
   metadata?: Record<string, unknown>;
+  source?: AgentDiscoverySource; // Default: 'local'
+  discoveredFrom?: string;
 }
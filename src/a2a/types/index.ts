@@ -29,6 +29,13 @@ export type {
   CreateTaskParams,
   UpdateTaskParams,
   Artifact,
+  TaskEventType,
+  TaskStatusEvent,
+  TaskMessageEvent,
+  TaskArtifactEvent,
+  TaskEvent,
+  TaskWebhook,
+  RegisterWebhookParams,
 } from './task.js';
 
 // Message types
@@ -49,6 +56,7 @@ export type {
   AgentEndpoints,
   AgentRegistryEntry,
   RegisterAgentParams,
+  AgentDiscoverySource,
 } from './agent-card.js';
 
 // Rate limit types
@@ -119,3 +119,67 @@ export interface UpdateTaskParams {
   priority?: TaskPriority;
   metadata?: Record<string, unknown>;
 }
+
+/**
+ * Kinds of task events published by TaskQueue
+ */
+export type TaskEventType = 'status' | 'message' | 'artifact';
+
+/**
+ * Task state transition
+ */
+export interface TaskStatusEvent {
+  type: 'status';
+  taskId: string;
+  state: TaskState;
+  previousState?: TaskState; // Absent for newly created tasks and stream snapshots
+  timestamp: string; // ISO 8601 timestamp
+}
+
+/**
+ * Message appended to a task
+ */
+export interface TaskMessageEvent {
+  type: 'message';
+  taskId: string;
+  message: Message;
+  timestamp: string; // ISO 8601 timestamp
+}
+
+/**
+ * Artifact attached to a task (binary content is base64-encoded)
+ */
+export interface TaskArtifactEvent {
+  type: 'artifact';
+  taskId: string;
+  artifact: Omit<Artifact, 'content'> & { content: string };
+  timestamp: string; // ISO 8601 timestamp
+}
+
+/**
+ * Event streamed over SSE and delivered to webhooks
+ */
+export type TaskEvent = TaskStatusEvent | TaskMessageEvent | TaskArtifactEvent;
+
+/**
+ * Webhook registered for push notifications about a task
+ */
+export interface TaskWebhook {
+  id: string;
+  taskId: string;
+  url: string;
+  events: TaskEventType[];
+  createdAt: string; // ISO 8601 timestamp
+  lastDeliveryStatus?: 'delivered' | 'failed';
+  lastDeliveryAt?: string; // ISO 8601 timestamp
+}
+
+/**
+ * Webhook registration parameters
+ */
+export interface RegisterWebhookParams {
+  taskId: string;
+  url: string;
+  secret: string; // HMAC-SHA256 signing key
+  events?: TaskEventType[]; // Default: ['status']
+}
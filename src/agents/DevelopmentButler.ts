@@ -6,6 +6,7 @@
  */
 
 import { CheckpointDetector } from '../core/CheckpointDetector.js';
+import { formatFailedTest, type FailedTest } from '../core/TestOutputParser.js';
 import { MCPToolInterface } from '../core/MCPToolInterface.js';
 import { WorkflowGuidanceEngine, WorkflowContext, WorkflowGuidance, WorkflowPhase } from '../core/WorkflowGuidanceEngine.js';
 import { WorkflowEnforcementEngine } from '../core/WorkflowEnforcementEngine.js';
@@ -95,6 +96,7 @@ export interface WorkflowState {
     total: number;
     passed: number;
     failed: number;
+    skipped?: number;
   };
 }
 
@@ -105,6 +107,9 @@ export interface WorkflowState {
  * specialized agents to provide intelligent development assistance.
  */
 export class DevelopmentButler {
+  /** Failing tests named individually in test recommendations */
+  private static readonly MAX_FAILED_TEST_RECOMMENDATIONS = 3;
+
   private checkpointDetector: CheckpointDetector;
   private toolInterface: MCPToolInterface;
   private initialized: boolean = false;
@@ -323,9 +328,11 @@ export class DevelopmentButler {
       const total = (data.total as number) || 0;
       const passed = (data.passed as number) || 0;
       const failed = (data.failed as number) || 0;
+      const skipped = (data.skipped as number) || 0;
+      const failedTests = Array.isArray(data.failedTests) ? (data.failedTests as FailedTest[]) : [];
 
       // Store test results
-      this.workflowState.lastTestResults = { total, passed, failed };
+      this.workflowState.lastTestResults = { total, passed, failed, skipped };
 
       let status: 'success' | 'needs-attention' | 'failed';
       let readyToCommit: boolean;
@@ -348,6 +355,18 @@ export class DevelopmentButler {
         recommendations.push('Fix failing tests before committing');
       }
 
+      // Point at the failures themselves when the parser extracted them
+      for (const test of failedTests.slice(0, DevelopmentButler.MAX_FAILED_TEST_RECOMMENDATIONS)) {
+        recommendations.push(`Fix ${formatFailedTest(test)}`);
+      }
+      if (failedTests.length > DevelopmentButler.MAX_FAILED_TEST_RECOMMENDATIONS) {
+        recommendations.push(`...and ${failedTests.length - DevelopmentButler.MAX_FAILED_TEST_RECOMMENDATIONS} more failing tests`);
+      }
+
+      if (total > 0 && skipped === total) {
+        recommendations.push('All tests were skipped - check for .only/.skip or filters before committing');
+      }
+
       return {
         analyzed: true,
         status,
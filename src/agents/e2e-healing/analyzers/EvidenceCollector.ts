@@ -1,5 +1,6 @@
 import { readFile } from 'fs/promises';
 import { glob } from 'glob';
+import type { FailedTest } from '../../../core/TestOutputParser.js';
 
 interface Evidence {
   testFile: string;
@@ -10,6 +11,30 @@ interface Evidence {
   relatedFiles: string[];
 }
 
+/**
+ * Output of a test run, as captured by a test runner
+ */
+export interface RunOutput {
+  stdout: string;
+  stderr: string;
+  failedTests: FailedTest[];
+}
+
+/**
+ * Evidence extracted from a failed test run
+ */
+export interface RunEvidence {
+  stack?: string;
+  stdout: string;
+  logs: string[];
+  domSnapshot?: string;
+}
+
+const MAX_STDOUT_CHARS = 10_000; // Keep the tail, where failures are summarized
+
+// DOM printed by Testing Library / jsdom assertions (e.g. "Unable to find an element")
+const DOM_SNAPSHOT_PATTERN = /<body[\s>][\s\S]*?<\/body>|<html[\s>][\s\S]*?<\/html>/;
+
 type FileReader = (path: string) => Promise<string>;
 type Globber = (pattern: string) => Promise<string[]>;
 
@@ -47,8 +72,35 @@ export class EvidenceCollector {
     };
   }
 
+  /**
+   * Collect evidence from a failed run: stack of the first failing test,
+   * console logs, output tail and any DOM snapshot printed by the failure
+   */
+  collectRunEvidence(run: RunOutput): RunEvidence {
+    const output = [run.stdout, run.stderr].filter(Boolean).join('\n');
+    const failureText = run.failedTests.map((test) => test.stack ?? test.error ?? '').join('\n');
+    const domSnapshot = (failureText.match(DOM_SNAPSHOT_PATTERN) ?? output.match(DOM_SNAPSHOT_PATTERN))?.[0];
+
+    return {
+      stack: run.failedTests.find((test) => test.stack)?.stack,
+      stdout: output.length > MAX_STDOUT_CHARS ? output.slice(-MAX_STDOUT_CHARS) : output,
+      logs: this.extractLogs(output),
+      domSnapshot,
+    };
+  }
+
+  /**
+   * Console output lines (Playwright/Jest "console.*", Vitest "stdout |" / "stderr |")
+   */
+  extractLogs(output: string): string[] {
+    return output
+      .split('\n')
+      .filter((line) => line.includes('console.') || /^(?:stdout|stderr) \|/.test(line))
+      .map((line) => line.trim());
+  }
+
   private extractComponentName(testFile: string): string {
-    const match = testFile.match(/\/([^/]+)\.test\.(tsx?|jsx?)$/);
+    const match = testFile.match(/\/([^/]+)\.(?:test|spec|cy)\.(tsx?|jsx?)$/);
     return match ? match[1] : '';
   }
 
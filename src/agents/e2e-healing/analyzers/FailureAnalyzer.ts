@@ -1,6 +1,7 @@
 import { AgentSDKAdapter } from '../sdk/AgentSDKAdapter.js';
+import type { HealingProvider } from '../providers/HealingProvider.js';
 
-interface Evidence {
+export interface Evidence {
   testFile: string;
   testCode: string;
   error?: Error;
@@ -9,29 +10,33 @@ interface Evidence {
   relatedFiles: string[];
 }
 
-interface Analysis {
+export interface Analysis {
   rootCause: string;
   confidence: number;
   tokensUsed: number;
 }
 
 export class FailureAnalyzer {
-  private sdk?: AgentSDKAdapter;
+  private provider?: HealingProvider;
+
+  setProvider(provider: HealingProvider): void {
+    this.provider = provider;
+  }
 
   setSDK(sdk: AgentSDKAdapter): void {
-    this.sdk = sdk;
+    this.setProvider(sdk);
   }
 
   async analyze(evidence: Evidence): Promise<Analysis> {
-    if (!this.sdk) {
-      throw new Error('AgentSDKAdapter not configured');
+    if (!this.provider) {
+      throw new Error('Healing provider not configured');
     }
 
     if (!evidence.error) {
       throw new Error('No error to analyze');
     }
 
-    const result = await this.sdk.analyzeFailure({
+    const result = await this.provider.analyzeFailure({
       error: evidence.error,
       screenshot: evidence.screenshot,
       codeContext: evidence.testCode,
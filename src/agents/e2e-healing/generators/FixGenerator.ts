@@ -1,4 +1,5 @@
 import { AgentSDKAdapter } from '../sdk/AgentSDKAdapter.js';
+import type { HealingProvider } from '../providers/HealingProvider.js';
 
 /**
  * Input for fix generation
@@ -33,17 +34,25 @@ export interface GeneratedFix {
 /**
  * FixGenerator - AI-powered code fix generation
  *
- * Generates code fixes based on root cause analysis using Claude Agent SDK.
+ * Generates code fixes based on root cause analysis using a healing provider
+ * (Anthropic API, MCP sampling, rule-based recipes or recorded responses).
  * Intelligently determines target files (component vs style) based on root cause.
  */
 export class FixGenerator {
-  private sdk?: AgentSDKAdapter;
+  private provider?: HealingProvider;
+
+  /**
+   * Configure the healing provider for fix generation
+   */
+  setProvider(provider: HealingProvider): void {
+    this.provider = provider;
+  }
 
   /**
    * Configure the AgentSDKAdapter for fix generation
    */
   setSDK(sdk: AgentSDKAdapter): void {
-    this.sdk = sdk;
+    this.setProvider(sdk);
   }
 
   /**
@@ -51,18 +60,15 @@ export class FixGenerator {
    *
    * @param input - Fix generation input
    * @returns Generated fix with target file and metadata
-   * @throws Error if SDK is not configured
+   * @throws Error if no provider is configured
    */
   async generate(input: GenerateFixInput): Promise<GeneratedFix> {
-    if (!this.sdk) {
-      throw new Error('AgentSDKAdapter not configured');
+    if (!this.provider) {
+      throw new Error('Healing provider not configured');
     }
 
-    // Determine target file based on root cause
-    const targetFile = this.determineTargetFile(input);
-
     // Generate fix code
-    const result = await this.sdk.generateFix({
+    const result = await this.provider.generateFix({
       rootCause: input.rootCause,
       codeContext: input.codeContext,
       testFile: input.testFile,
@@ -70,7 +76,8 @@ export class FixGenerator {
 
     return {
       code: result.code,
-      targetFile,
+      // Providers that know which file they edited override the guess
+      targetFile: result.targetFile ?? this.determineTargetFile(input),
       tokensUsed: result.tokensUsed,
       cacheHit: result.cacheHit,
     };
@@ -5,6 +5,7 @@ import {
   AttemptHistory,
   FixResult,
 } from '../types.js';
+import type { TestRunner as FrameworkRunner } from '../runners/CommandTestRunner.js';
 
 interface E2EHealingContext {
   testFile: string;
@@ -27,8 +28,11 @@ export class TestOrchestrator {
     this.maxAttempts = config.maxAttempts;
   }
 
-  setTestRunner(runner: TestRunner): void {
-    this.testRunner = runner;
+  /**
+   * @param runner - Framework runner (see TestRunnerFactory) or a function that runs a test file
+   */
+  setTestRunner(runner: TestRunner | FrameworkRunner): void {
+    this.testRunner = typeof runner === 'function' ? runner : (testFile) => runner.executeTest(testFile);
   }
 
   setAnalyzer(analyzer: Analyzer): void {
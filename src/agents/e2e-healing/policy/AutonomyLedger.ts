@@ -0,0 +1,448 @@
+import Database from 'better-sqlite3';
+import path from 'path';
+import { SchemaMigrator, type SchemaMigration } from '../../../db/SchemaMigrator.js';
+import { getDataPath } from '../../../utils/PathResolver.js';
+
+/**
+ * Project and environment an autonomy level applies to
+ */
+export interface AutonomyScope {
+  /** Absolute project directory */
+  project: string;
+  /** Environment name (dev, staging, production, ...) */
+  environment: string;
+}
+
+/**
+ * Persisted autonomy state of a scope
+ */
+export interface AutonomyState {
+  level: number;
+  /** Rollbacks since the level last changed */
+  rollbackCount: number;
+  updatedAt: string;
+}
+
+export interface LedgerFixRecord {
+  success: boolean;
+  humanApproved: boolean;
+  environment: string;
+  timestamp: number;
+  testId?: string;
+}
+
+export type AutonomyAuditAction = 'graduate' | 'degrade' | 'promote' | 'demote' | 'rollback';
+
+export interface AutonomyAuditEntry {
+  action: AutonomyAuditAction;
+  fromLevel: number;
+  toLevel: number;
+  /** Who made the change ('policy' for automatic changes) */
+  actor: string;
+  reason: string;
+  timestamp: string;
+}
+
+export interface RepairAttemptRecord {
+  success: boolean;
+  timestamp: number;
+}
+
+export type FixSuggestionStatus = 'pending' | 'approved' | 'rejected';
+
+/**
+ * A fix the healing agent suggested instead of applying
+ */
+export interface FixSuggestion extends AutonomyScope {
+  id: number;
+  testId: string;
+  /** Absolute path of the file the fix replaces */
+  targetFile: string;
+  /** Content of the target file when the fix was suggested */
+  original: string;
+  /** Suggested content of the target file */
+  code: string;
+  diff: string;
+  provider: string;
+  rootCause: string;
+  status: FixSuggestionStatus;
+  createdAt: string;
+  /** Who approved or rejected the fix */
+  decidedBy?: string;
+  decidedAt?: string;
+}
+
+export type NewFixSuggestion = Omit<FixSuggestion, 'id' | 'status' | 'createdAt' | 'decidedBy' | 'decidedAt'>;
+
+interface FixSuggestionRow {
+  id: number;
+  project: string;
+  environment: string;
+  test_id: string;
+  target_file: string;
+  original: string;
+  code: string;
+  diff: string;
+  provider: string;
+  root_cause: string;
+  status: FixSuggestionStatus;
+  created_at: string;
+  decided_by: string | null;
+  decided_at: string | null;
+}
+
+const AUTONOMY_LEDGER_MIGRATIONS: SchemaMigration[] = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS autonomy_state (
+          project TEXT NOT NULL,
+          environment TEXT NOT NULL,
+          level INTEGER NOT NULL DEFAULT 0,
+          rollback_count INTEGER NOT NULL DEFAULT 0,
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (project, environment)
+        );
+
+        CREATE TABLE IF NOT EXISTS fix_records (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          project TEXT NOT NULL,
+          environment TEXT NOT NULL,
+          test_id TEXT,
+          success INTEGER NOT NULL,
+          human_approved INTEGER NOT NULL,
+          created_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_fix_records_scope ON fix_records(project, environment, id);
+
+        CREATE TABLE IF NOT EXISTS autonomy_audit (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          project TEXT NOT NULL,
+          environment TEXT NOT NULL,
+          action TEXT NOT NULL,
+          from_level INTEGER NOT NULL,
+          to_level INTEGER NOT NULL,
+          actor TEXT NOT NULL,
+          reason TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_autonomy_audit_scope ON autonomy_audit(project, environment, id);
+
+        CREATE TABLE IF NOT EXISTS repair_attempts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          project TEXT NOT NULL,
+          test_id TEXT NOT NULL,
+          success INTEGER NOT NULL,
+          created_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_repair_attempts_test ON repair_attempts(project, test_id, id);
+      `);
+    },
+    down: (db) => {
+      db.exec(`
+        DROP TABLE IF EXISTS repair_attempts;
+        DROP TABLE IF EXISTS autonomy_audit;
+        DROP TABLE IF EXISTS fix_records;
+        DROP TABLE IF EXISTS autonomy_state;
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: 'add_fix_suggestions',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS fix_suggestions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          project TEXT NOT NULL,
+          environment TEXT NOT NULL,
+          test_id TEXT NOT NULL,
+          target_file TEXT NOT NULL,
+          original TEXT NOT NULL,
+          code TEXT NOT NULL,
+          diff TEXT NOT NULL,
+          provider TEXT NOT NULL,
+          root_cause TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          created_at TEXT NOT NULL,
+          decided_by TEXT,
+          decided_at TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_fix_suggestions_scope ON fix_suggestions(project, status, id);
+      `);
+    },
+    down: (db) => {
+      db.exec('DROP TABLE IF EXISTS fix_suggestions;');
+    },
+  },
+];
+
+/**
+ * AutonomyLedger - SQLite store for the E2E healing trust model
+ *
+ * Keeps what GraduatedAutonomyPolicy and CircuitBreaker need to survive
+ * across runs, per project and environment:
+ * - Current automation level and rollbacks since it last changed
+ * - Fix records (success and human approval)
+ * - Audit trail of level changes and rollbacks
+ * - Repair attempts per test (circuit breaker)
+ * - Fixes suggested for review, and whether a human approved them
+ *
+ * Stored in healing-ledger.db in the MeMesh data directory, so
+ * `memesh db backup` includes it.
+ */
+export class AutonomyLedger {
+  private db: Database.Database;
+
+  /**
+   * @param dbPath - Database file (default: <data dir>/healing-ledger.db), or ':memory:'
+   */
+  constructor(dbPath: string = getDataPath('healing-ledger.db')) {
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    new SchemaMigrator(this.db, { name: 'AutonomyLedger', migrations: AUTONOMY_LEDGER_MIGRATIONS }).migrate();
+  }
+
+  /**
+   * Normalize a project directory to the key used in the ledger
+   */
+  static projectKey(projectDir: string): string {
+    return path.resolve(projectDir);
+  }
+
+  getState(scope: AutonomyScope): AutonomyState | undefined {
+    const row = this.db
+      .prepare(
+        'SELECT level, rollback_count, updated_at FROM autonomy_state WHERE project = ? AND environment = ?'
+      )
+      .get(scope.project, scope.environment) as
+      | { level: number; rollback_count: number; updated_at: string }
+      | undefined;
+
+    return row ? { level: row.level, rollbackCount: row.rollback_count, updatedAt: row.updated_at } : undefined;
+  }
+
+  setState(scope: AutonomyScope, state: Pick<AutonomyState, 'level' | 'rollbackCount'>): void {
+    this.db
+      .prepare(
+        `INSERT INTO autonomy_state (project, environment, level, rollback_count, updated_at)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(project, environment) DO UPDATE SET
+           level = excluded.level, rollback_count = excluded.rollback_count, updated_at = excluded.updated_at`
+      )
+      .run(scope.project, scope.environment, state.level, state.rollbackCount, new Date().toISOString());
+  }
+
+  /**
+   * List scopes with a recorded state, optionally for one project
+   */
+  listScopes(project?: string): AutonomyScope[] {
+    const rows = (
+      project
+        ? this.db
+            .prepare('SELECT project, environment FROM autonomy_state WHERE project = ? ORDER BY environment')
+            .all(project)
+        : this.db.prepare('SELECT project, environment FROM autonomy_state ORDER BY project, environment').all()
+    ) as AutonomyScope[];
+    return rows;
+  }
+
+  recordFix(scope: AutonomyScope, record: LedgerFixRecord): void {
+    this.db
+      .prepare(
+        `INSERT INTO fix_records (project, environment, test_id, success, human_approved, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        scope.project,
+        scope.environment,
+        record.testId ?? null,
+        record.success ? 1 : 0,
+        record.humanApproved ? 1 : 0,
+        record.timestamp
+      );
+  }
+
+  /**
+   * Most recent fix records of a scope, oldest first
+   */
+  getFixHistory(scope: AutonomyScope, limit: number): LedgerFixRecord[] {
+    const rows = this.db
+      .prepare(
+        `SELECT test_id, success, human_approved, created_at FROM fix_records
+         WHERE project = ? AND environment = ? ORDER BY id DESC LIMIT ?`
+      )
+      .all(scope.project, scope.environment, limit) as Array<{
+      test_id: string | null;
+      success: number;
+      human_approved: number;
+      created_at: number;
+    }>;
+
+    return rows.reverse().map((row) => ({
+      success: row.success === 1,
+      humanApproved: row.human_approved === 1,
+      environment: scope.environment,
+      timestamp: row.created_at,
+      ...(row.test_id ? { testId: row.test_id } : {}),
+    }));
+  }
+
+  recordAudit(scope: AutonomyScope, entry: Omit<AutonomyAuditEntry, 'timestamp'>): void {
+    this.db
+      .prepare(
+        `INSERT INTO autonomy_audit (project, environment, action, from_level, to_level, actor, reason, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        scope.project,
+        scope.environment,
+        entry.action,
+        entry.fromLevel,
+        entry.toLevel,
+        entry.actor,
+        entry.reason,
+        new Date().toISOString()
+      );
+  }
+
+  /**
+   * Most recent audit entries of a scope, newest first
+   */
+  getAuditTrail(scope: AutonomyScope, limit: number = 20): AutonomyAuditEntry[] {
+    const rows = this.db
+      .prepare(
+        `SELECT action, from_level, to_level, actor, reason, created_at FROM autonomy_audit
+         WHERE project = ? AND environment = ? ORDER BY id DESC LIMIT ?`
+      )
+      .all(scope.project, scope.environment, limit) as Array<{
+      action: AutonomyAuditAction;
+      from_level: number;
+      to_level: number;
+      actor: string;
+      reason: string;
+      created_at: string;
+    }>;
+
+    return rows.map((row) => ({
+      action: row.action,
+      fromLevel: row.from_level,
+      toLevel: row.to_level,
+      actor: row.actor,
+      reason: row.reason,
+      timestamp: row.created_at,
+    }));
+  }
+
+  recordRepairAttempt(project: string, testId: string, attempt: RepairAttemptRecord): void {
+    this.db
+      .prepare('INSERT INTO repair_attempts (project, test_id, success, created_at) VALUES (?, ?, ?, ?)')
+      .run(project, testId, attempt.success ? 1 : 0, attempt.timestamp);
+  }
+
+  /**
+   * Most recent repair attempts of a test, oldest first
+   */
+  getRepairAttempts(project: string, testId: string, limit: number): RepairAttemptRecord[] {
+    const rows = this.db
+      .prepare(
+        'SELECT success, created_at FROM repair_attempts WHERE project = ? AND test_id = ? ORDER BY id DESC LIMIT ?'
+      )
+      .all(project, testId, limit) as Array<{ success: number; created_at: number }>;
+
+    return rows.reverse().map((row) => ({ success: row.success === 1, timestamp: row.created_at }));
+  }
+
+  clearRepairAttempts(project: string, testId?: string): void {
+    if (testId) {
+      this.db.prepare('DELETE FROM repair_attempts WHERE project = ? AND test_id = ?').run(project, testId);
+    } else {
+      this.db.prepare('DELETE FROM repair_attempts WHERE project = ?').run(project);
+    }
+  }
+
+  /**
+   * Store a fix that needs review
+   *
+   * @returns Suggestion ID (used by `memesh healing approve/reject`)
+   */
+  recordSuggestion(suggestion: NewFixSuggestion): number {
+    const result = this.db
+      .prepare(
+        `INSERT INTO fix_suggestions
+           (project, environment, test_id, target_file, original, code, diff, provider, root_cause, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        suggestion.project,
+        suggestion.environment,
+        suggestion.testId,
+        suggestion.targetFile,
+        suggestion.original,
+        suggestion.code,
+        suggestion.diff,
+        suggestion.provider,
+        suggestion.rootCause,
+        new Date().toISOString()
+      );
+    return Number(result.lastInsertRowid);
+  }
+
+  getSuggestion(id: number): FixSuggestion | undefined {
+    const row = this.db.prepare('SELECT * FROM fix_suggestions WHERE id = ?').get(id) as
+      | FixSuggestionRow
+      | undefined;
+    return row ? toSuggestion(row) : undefined;
+  }
+
+  /**
+   * Suggestions of a project, oldest first
+   */
+  listSuggestions(project: string, status: FixSuggestionStatus = 'pending'): FixSuggestion[] {
+    const rows = this.db
+      .prepare('SELECT * FROM fix_suggestions WHERE project = ? AND status = ? ORDER BY id')
+      .all(project, status) as FixSuggestionRow[];
+    return rows.map(toSuggestion);
+  }
+
+  /**
+   * Record the human decision on a pending suggestion
+   *
+   * @returns Whether the suggestion was still pending
+   */
+  decideSuggestion(id: number, status: Exclude<FixSuggestionStatus, 'pending'>, actor: string): boolean {
+    const result = this.db
+      .prepare(
+        `UPDATE fix_suggestions SET status = ?, decided_by = ?, decided_at = ?
+         WHERE id = ? AND status = 'pending'`
+      )
+      .run(status, actor, new Date().toISOString(), id);
+    return result.changes > 0;
+  }
+
+  close(): void {
+    this.db.close();
+  }
+}
+
+function toSuggestion(row: FixSuggestionRow): FixSuggestion {
+  return {
+    id: row.id,
+    project: row.project,
+    environment: row.environment,
+    testId: row.test_id,
+    targetFile: row.target_file,
+    original: row.original,
+    code: row.code,
+    diff: row.diff,
+    provider: row.provider,
+    rootCause: row.root_cause,
+    status: row.status,
+    createdAt: row.created_at,
+    ...(row.decided_by ? { decidedBy: row.decided_by } : {}),
+    ...(row.decided_at ? { decidedAt: row.decided_at } : {}),
+  };
+}
@@ -1,3 +1,5 @@
+import type { AutonomyAuditEntry, AutonomyLedger, AutonomyScope } from './AutonomyLedger.js';
+
 export enum AutomationLevel {
   SUGGEST_ONLY = 0, // AI suggests, human applies
   AUTO_DEV = 1, // Auto-apply in dev, suggest in staging/prod
@@ -10,6 +12,51 @@ interface FixRecord {
   humanApproved: boolean;
   environment: string;
   timestamp: number;
+  testId?: string;
+}
+
+/**
+ * Actor recorded in the audit trail for automatic level changes
+ */
+export const POLICY_ACTOR = 'policy';
+
+export interface GraduatedAutonomyPolicyOptions {
+  /** Persist fix history, rollbacks and level changes (default: in memory only) */
+  ledger?: AutonomyLedger;
+  /** Project directory the level applies to (default: process.cwd()) */
+  project?: string;
+  /** Environment the level applies to (default: 'dev') */
+  environment?: string;
+}
+
+export interface GraduationCheck {
+  criterion: 'successfulFixes' | 'successRate' | 'rollbacks' | 'approvalRate';
+  required: number;
+  actual: number;
+  met: boolean;
+}
+
+/**
+ * Why the policy is at its current level and what the next level needs
+ */
+export interface AutonomyExplanation {
+  level: AutomationLevel;
+  levelName: string;
+  stats: {
+    totalFixes: number;
+    successfulFixes: number;
+    successRate: number;
+    approvalRate: number;
+    rollbacks: number;
+  };
+  nextLevel?: {
+    level: AutomationLevel;
+    levelName: string;
+    checks: GraduationCheck[];
+    eligible: boolean;
+  };
+  /** Most recent level changes and rollbacks, newest first (persisted policies only) */
+  recentChanges: AutonomyAuditEntry[];
 }
 
 interface GraduationCriteria {
@@ -30,12 +77,18 @@ interface GraduationCriteria {
  * - AUTO_DEV: Auto-apply in dev, suggest elsewhere
  * - AUTO_STAGING: Auto-apply in dev+staging, approve for prod
  * - AUTO_PROD: Auto-apply everywhere (with safety gates)
+ *
+ * With a ledger, the level of a project and environment survives across
+ * runs, and every level change (automatic or via promote/demote) is
+ * written to the ledger's audit trail.
  */
 export class GraduatedAutonomyPolicy {
   private currentLevel: AutomationLevel = AutomationLevel.SUGGEST_ONLY;
   private fixHistory: FixRecord[] = [];
   private readonly MAX_FIX_HISTORY = 1000; // Max fix records to keep
   private rollbackCount: number = 0;
+  private ledger?: AutonomyLedger;
+  private scope: AutonomyScope;
 
   private graduationCriteria: Record<AutomationLevel, GraduationCriteria> = {
     [AutomationLevel.SUGGEST_ONLY]: {
@@ -64,15 +117,34 @@ export class GraduatedAutonomyPolicy {
     },
   };
 
+  constructor(options: GraduatedAutonomyPolicyOptions = {}) {
+    this.ledger = options.ledger;
+    this.scope = {
+      project: options.project ?? process.cwd(),
+      environment: options.environment ?? 'dev',
+    };
+
+    if (this.ledger) {
+      const state = this.ledger.getState(this.scope);
+      if (state && this.isValidAutomationLevel(state.level)) {
+        this.currentLevel = state.level;
+        this.rollbackCount = state.rollbackCount;
+      }
+      this.fixHistory = this.ledger.getFixHistory(this.scope, this.MAX_FIX_HISTORY);
+    }
+  }
+
   getCurrentLevel(): AutomationLevel {
     return this.currentLevel;
   }
 
   recordFix(record: Omit<FixRecord, 'timestamp'>): void {
-    this.fixHistory.push({
+    const fix: FixRecord = {
       ...record,
       timestamp: Date.now(),
-    });
+    };
+    this.fixHistory.push(fix);
+    this.ledger?.recordFix(this.scope, fix);
 
     // Trim history to prevent unbounded growth
     if (this.fixHistory.length > this.MAX_FIX_HISTORY) {
@@ -80,13 +152,18 @@ export class GraduatedAutonomyPolicy {
     }
   }
 
-  recordRollback(_environment: string): void {
+  recordRollback(environment: string): void {
     this.rollbackCount++;
+    this.audit('rollback', this.currentLevel, POLICY_ACTOR, `Fix rolled back in ${environment}`);
 
     // Auto-degrade if too many rollbacks
     const criteria = this.graduationCriteria[this.currentLevel];
     if (this.rollbackCount > criteria.maxRollbacks) {
-      this.degradeLevel();
+      this.degradeLevel(
+        `${this.rollbackCount} rollbacks exceed the maximum of ${criteria.maxRollbacks}`
+      );
+    } else {
+      this.persistState();
     }
   }
 
@@ -124,15 +201,120 @@ export class GraduatedAutonomyPolicy {
       throw new Error('Cannot graduate: criteria not met');
     }
 
-    this.currentLevel++;
-    this.rollbackCount = 0; // Reset rollback counter on graduation
+    const stats = this.calculateStats();
+    this.changeLevel(
+      this.currentLevel + 1,
+      'graduate',
+      POLICY_ACTOR,
+      `${stats.successfulFixes} successful fixes, ` +
+        `${formatRate(stats.successRate)} success rate, ${formatRate(stats.approvalRate)} approval rate`
+    );
   }
 
-  degradeLevel(): void {
+  /**
+   * Graduate if the next level's criteria are met
+   *
+   * @returns Whether the level changed
+   */
+  tryGraduate(): boolean {
+    if (!this.canGraduateToNextLevel()) {
+      return false;
+    }
+    this.graduateToNextLevel();
+    return true;
+  }
+
+  degradeLevel(reason: string = 'Degraded by policy'): void {
     if (this.currentLevel > AutomationLevel.SUGGEST_ONLY) {
-      this.currentLevel--;
-      this.rollbackCount = 0;
+      this.changeLevel(this.currentLevel - 1, 'degrade', POLICY_ACTOR, reason);
+    }
+  }
+
+  /**
+   * Manually raise the level by one, regardless of graduation criteria
+   *
+   * @param actor - Who made the change (recorded in the audit trail)
+   * @param reason - Why the change was made
+   */
+  promote(actor: string, reason: string): AutomationLevel {
+    if (this.currentLevel >= AutomationLevel.AUTO_PROD) {
+      throw new Error(`Cannot promote: already at ${AutomationLevel[this.currentLevel]}`);
+    }
+    this.changeLevel(this.currentLevel + 1, 'promote', actor, reason);
+    return this.currentLevel;
+  }
+
+  /**
+   * Manually lower the level by one
+   *
+   * @param actor - Who made the change (recorded in the audit trail)
+   * @param reason - Why the change was made
+   */
+  demote(actor: string, reason: string): AutomationLevel {
+    if (this.currentLevel <= AutomationLevel.SUGGEST_ONLY) {
+      throw new Error(`Cannot demote: already at ${AutomationLevel[this.currentLevel]}`);
     }
+    this.changeLevel(this.currentLevel - 1, 'demote', actor, reason);
+    return this.currentLevel;
+  }
+
+  /**
+   * Explain the current level: fix statistics, the next level's criteria
+   * and recent level changes
+   */
+  explain(recentLimit: number = 5): AutonomyExplanation {
+    const stats = this.calculateStats();
+    const explanation: AutonomyExplanation = {
+      level: this.currentLevel,
+      levelName: AutomationLevel[this.currentLevel],
+      stats: {
+        totalFixes: stats.totalFixes,
+        successfulFixes: stats.successfulFixes,
+        successRate: stats.successRate,
+        approvalRate: stats.approvalRate,
+        rollbacks: this.rollbackCount,
+      },
+      recentChanges: this.ledger?.getAuditTrail(this.scope, recentLimit) ?? [],
+    };
+
+    const nextLevel = this.currentLevel + 1;
+    if (this.isValidAutomationLevel(nextLevel)) {
+      const criteria = this.graduationCriteria[nextLevel];
+      const checks: GraduationCheck[] = [
+        {
+          criterion: 'successfulFixes',
+          required: criteria.minSuccessfulFixes,
+          actual: stats.successfulFixes,
+          met: stats.successfulFixes >= criteria.minSuccessfulFixes,
+        },
+        {
+          criterion: 'successRate',
+          required: criteria.minSuccessRate,
+          actual: stats.successRate,
+          met: stats.successRate >= criteria.minSuccessRate,
+        },
+        {
+          criterion: 'rollbacks',
+          required: criteria.maxRollbacks,
+          actual: this.rollbackCount,
+          met: this.rollbackCount <= criteria.maxRollbacks,
+        },
+        {
+          criterion: 'approvalRate',
+          required: criteria.humanApprovalRate,
+          actual: stats.approvalRate,
+          met: stats.approvalRate >= criteria.humanApprovalRate,
+        },
+      ];
+      explanation.nextLevel = {
+        level: nextLevel,
+        levelName: AutomationLevel[nextLevel],
+        checks,
+        eligible: checks.every((check) => check.met),
+      };
+    }
+
+    return explanation;
   }
 
   isAllowedInEnvironment(environment: string): boolean {
@@ -154,15 +336,55 @@ export class GraduatedAutonomyPolicy {
     }
   }
 
+  private changeLevel(
+    level: AutomationLevel,
+    action: AutonomyAuditEntry['action'],
+    actor: string,
+    reason: string
+  ): void {
+    const fromLevel = this.currentLevel;
+    this.currentLevel = level;
+    this.rollbackCount = 0; // Reset rollback counter on every level change
+    this.persistState();
+    this.audit(action, fromLevel, actor, reason);
+  }
+
+  private audit(
+    action: AutonomyAuditEntry['action'],
+    fromLevel: AutomationLevel,
+    actor: string,
+    reason: string
+  ): void {
+    this.ledger?.recordAudit(this.scope, {
+      action,
+      fromLevel,
+      toLevel: this.currentLevel,
+      actor,
+      reason,
+    });
+  }
+
+  private persistState(): void {
+    this.ledger?.setState(this.scope, {
+      level: this.currentLevel,
+      rollbackCount: this.rollbackCount,
+    });
+  }
+
   private calculateStats() {
     const totalFixes = this.fixHistory.length;
     const successfulFixes = this.fixHistory.filter((f) => f.success).length;
     const approvedFixes = this.fixHistory.filter((f) => f.humanApproved).length;
 
     return {
+      totalFixes,
       successfulFixes,
       successRate: totalFixes > 0 ? successfulFixes / totalFixes : 0,
       approvalRate: totalFixes > 0 ? approvedFixes / totalFixes : 0,
     };
   }
 }
+
+function formatRate(rate: number): string {
+  return `${Math.round(rate * 100)}%`;
+}
@@ -0,0 +1,76 @@
+export interface AnalyzeFailureInput {
+  error: Error;
+  screenshot?: string;
+  codeContext: string;
+  useExtendedThinking?: boolean;
+}
+
+export interface AnalyzeFailureResult {
+  rootCause: string;
+  tokensUsed: number;
+}
+
+export interface GenerateFixInput {
+  rootCause: string;
+  codeContext: string;
+  testFile: string;
+}
+
+export interface GenerateFixResult {
+  code: string;
+  tokensUsed: number;
+  cacheHit: boolean;
+  /** File the code replaces, when the provider knows better than FixGenerator (e.g. the test itself) */
+  targetFile?: string;
+}
+
+/**
+ * Backend for failure analysis and fix generation
+ *
+ * Implementations:
+ * - AgentSDKAdapter: Anthropic API
+ * - SamplingHealingProvider: MCP sampling through the connected client
+ * - RuleBasedHealingProvider: deterministic recipes from recorded bug fixes (offline)
+ * - RecordedHealingProvider: replays recorded responses (CI)
+ */
+export interface HealingProvider {
+  readonly name: string;
+  analyzeFailure(input: AnalyzeFailureInput): Promise<AnalyzeFailureResult>;
+  generateFix(input: GenerateFixInput): Promise<GenerateFixResult>;
+}
+
+export const FIX_SYSTEM_PROMPT = 'You are an expert at fixing E2E test failures. Generate minimal code fixes.';
+
+export function buildAnalysisPrompt(input: AnalyzeFailureInput): string {
+  return `Analyze this E2E test failure:
+
+Error: ${input.error.message}
+
+Code Context:
+${input.codeContext}
+
+${input.screenshot ? `Screenshot: ${input.screenshot.slice(0, 100)}...` : ''}
+
+Identify the root cause of this failure.`;
+}
+
+export function buildFixPrompt(input: GenerateFixInput): string {
+  return `Generate a fix for this issue:
+
+Root Cause: ${input.rootCause}
+
+Code Context:
+${input.codeContext}
+
+Test File: ${input.testFile}
+
+Provide the fixed code in a TypeScript code block.`;
+}
+
+/**
+ * Extract the code from a markdown code block, or return the text as is
+ */
+export function extractCode(text: string): string {
+  const codeMatch = text.match(/```(?:typescript|tsx?)\n([\s\S]*?)```/);
+  return codeMatch ? codeMatch[1] : text;
+}
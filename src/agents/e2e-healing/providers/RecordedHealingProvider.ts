@@ -0,0 +1,98 @@
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import type {
+  AnalyzeFailureInput,
+  AnalyzeFailureResult,
+  GenerateFixInput,
+  GenerateFixResult,
+  HealingProvider,
+} from './HealingProvider.js';
+
+/**
+ * Recording file layout: responses keyed by a hash of the request
+ */
+export interface HealingRecording {
+  version: 1;
+  analyzeFailure: Record<string, AnalyzeFailureResult>;
+  generateFix: Record<string, GenerateFixResult>;
+}
+
+export interface RecordedHealingProviderOptions {
+  /** Recording file (JSON) */
+  file: string;
+  /** 'replay' answers from the file; 'record' asks the delegate and saves its answers (default: 'replay') */
+  mode?: 'replay' | 'record';
+  /** Provider to record from (required in record mode) */
+  delegate?: HealingProvider;
+}
+
+/**
+ * RecordedHealingProvider - Replays recorded provider responses
+ *
+ * Record a healing run once against a real provider, commit the file, and
+ * replay it in CI: the whole loop runs without network or API keys, and
+ * gives the same answers every time. Requests are matched by a hash of the
+ * error message and code (analysis) or root cause, code and test file (fix).
+ */
+export class RecordedHealingProvider implements HealingProvider {
+  readonly name = 'recorded';
+  private recording?: HealingRecording;
+  private mode: 'replay' | 'record';
+
+  constructor(private options: RecordedHealingProviderOptions) {
+    this.mode = options.mode ?? 'replay';
+    if (this.mode === 'record' && !options.delegate) {
+      throw new Error('RecordedHealingProvider needs a delegate provider to record from');
+    }
+  }
+
+  async analyzeFailure(input: AnalyzeFailureInput): Promise<AnalyzeFailureResult> {
+    const key = requestKey({ error: input.error.message, codeContext: input.codeContext });
+    return this.respond('analyzeFailure', key, () => this.options.delegate!.analyzeFailure(input));
+  }
+
+  async generateFix(input: GenerateFixInput): Promise<GenerateFixResult> {
+    const key = requestKey({ rootCause: input.rootCause, codeContext: input.codeContext, testFile: input.testFile });
+    return this.respond('generateFix', key, () => this.options.delegate!.generateFix(input));
+  }
+
+  private async respond<T>(kind: 'analyzeFailure' | 'generateFix', key: string, ask: () => Promise<T>): Promise<T> {
+    const recording = await this.load();
+    const responses = recording[kind] as Record<string, T>;
+    const recorded = responses[key];
+
+    if (this.mode === 'replay') {
+      if (!recorded) {
+        throw new Error(`No recorded ${kind} response for request ${key} in ${this.options.file}`);
+      }
+      return recorded;
+    }
+
+    const response = await ask();
+    responses[key] = response;
+    await mkdir(dirname(this.options.file), { recursive: true });
+    await writeFile(this.options.file, JSON.stringify(recording, null, 2) + '\n', 'utf-8');
+    return response;
+  }
+
+  private async load(): Promise<HealingRecording> {
+    if (this.recording) {
+      return this.recording;
+    }
+
+    try {
+      this.recording = JSON.parse(await readFile(this.options.file, 'utf-8')) as HealingRecording;
+    } catch (error) {
+      if (this.mode === 'replay') {
+        throw new Error(`Cannot read healing recording ${this.options.file}: ${(error as Error).message}`);
+      }
+      this.recording = { version: 1, analyzeFailure: {}, generateFix: {} };
+    }
+    return this.recording;
+  }
+}
+
+function requestKey(request: Record<string, string>): string {
+  return createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 16);
+}
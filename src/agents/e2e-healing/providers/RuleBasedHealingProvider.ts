@@ -0,0 +1,208 @@
+import type { KnowledgeGraph } from '../../../knowledge-graph/index.js';
+import type { EntityType } from '../../../knowledge-graph/types.js';
+import type {
+  AnalyzeFailureInput,
+  AnalyzeFailureResult,
+  GenerateFixInput,
+  GenerateFixResult,
+  HealingProvider,
+} from './HealingProvider.js';
+
+/**
+ * A recorded bug fix or problem/solution memory
+ */
+export interface FixMemory {
+  name: string;
+  entityType: string;
+  observations: string[];
+}
+
+/**
+ * Looks up fix memories relevant to a failure message
+ */
+export type FixMemorySource = (query: string) => Promise<FixMemory[]>;
+
+export type FailureKind = 'selector' | 'timeout' | 'unknown';
+
+/**
+ * A fix recipe: a selector rename or a timeout bump
+ */
+export type FixRecipe =
+  | { type: 'selector-update'; from: string; to: string; source: string }
+  | { type: 'timeout-bump'; timeoutMs?: number; source: string };
+
+export const FIX_MEMORY_TYPES: EntityType[] = ['bug_fix', 'problem_solution'];
+
+const MAX_MEMORIES_PER_TYPE = 200;
+const MAX_TIMEOUT_MS = 60_000;
+const BUILTIN_SOURCE = 'built-in';
+
+const TIMEOUT_PATTERN = /\btimeout\b|\btimed out\b|exceeded \d+\s*ms|\d+\s*ms exceeded/i;
+const SELECTOR_PATTERN =
+  /unable to find|not found|never found|no element|waiting for (?:locator|selector)|locator\(|expected to find element|failed to find/i;
+// "`old` -> `new`", "renamed 'old' to 'new'", "replaced "old" with "new""
+// (selectors may contain the other quote kinds, e.g. `[data-testid="pay"]`)
+const RENAME_PATTERNS = [
+  /([`'"])([^\n]+?)\1\s*(?:->|→|=>)\s*([`'"])([^\n]+?)\3/,
+  /(?:renamed|replaced|changed|updated)\s+(?:\w+\s+){0,2}([`'"])([^\n]+?)\1\s+(?:to|with|into)\s+([`'"])([^\n]+?)\3/i,
+];
+const TIMEOUT_VALUE_PATTERN = /timeout[^\d\n]{0,40}(\d{3,6})\s*(?:ms)?/i;
+// `timeout: 5000` options and `setTimeout(5000)` / `test.setTimeout(5000)` calls
+const CODE_TIMEOUT_PATTERN = /(\btimeout\s*:\s*|\.setTimeout\(\s*)(\d+)/g;
+
+/**
+ * Read fix memories (bug_fix and problem_solution entities) from the knowledge graph
+ */
+export function knowledgeGraphFixMemories(kg: Pick<KnowledgeGraph, 'searchEntities'>): FixMemorySource {
+  return async () =>
+    FIX_MEMORY_TYPES.flatMap((entityType) =>
+      kg
+        .searchEntities({ entityType, limit: MAX_MEMORIES_PER_TYPE })
+        .map((entity) => ({ name: entity.name, entityType: entity.entityType, observations: entity.observations }))
+    );
+}
+
+/**
+ * Keep the fix memories among knowledge graph nodes (e.g. MCP memory search results)
+ */
+export function toFixMemories(nodes: unknown[]): FixMemory[] {
+  return nodes.filter((node): node is FixMemory => {
+    const candidate = node as Partial<FixMemory> | null;
+    return (
+      typeof candidate?.name === 'string' &&
+      typeof candidate.entityType === 'string' &&
+      (FIX_MEMORY_TYPES as string[]).includes(candidate.entityType) &&
+      Array.isArray(candidate.observations)
+    );
+  });
+}
+
+/**
+ * Classify a failure message
+ */
+export function classifyFailure(message: string): FailureKind {
+  if (TIMEOUT_PATTERN.test(message)) return 'timeout';
+  if (SELECTOR_PATTERN.test(message)) return 'selector';
+  return 'unknown';
+}
+
+/**
+ * RuleBasedHealingProvider - Deterministic, offline healing provider
+ *
+ * Applies known fix recipes instead of asking a model:
+ * - Selector update: a recorded fix says selector `a` became `b`, and the
+ *   failure or test code mentions `a` (selector and timeout failures)
+ * - Timeout bump: the failure is a timeout; timeouts in the test are raised
+ *   to the value a recorded fix names, or doubled (up to 60s)
+ *
+ * The root cause lists the recipes it found, so generateFix() can be
+ * called with it alone. generateFix() edits the test code it is given and
+ * targets the test file.
+ */
+export class RuleBasedHealingProvider implements HealingProvider {
+  readonly name = 'rule-based';
+
+  constructor(private memories: FixMemorySource = async () => []) {}
+
+  async analyzeFailure(input: AnalyzeFailureInput): Promise<AnalyzeFailureResult> {
+    const message = input.error.message;
+    const kind = classifyFailure(message);
+    const recipes = await this.findRecipes(message, input.codeContext, kind);
+
+    const lines = [this.describeFailure(kind), `Error: ${message.split('\n')[0]}`];
+    for (const recipe of recipes) {
+      lines.push(`Known fix (${recipe.source}): ${describeRecipe(recipe)}`);
+    }
+    if (recipes.length === 0) {
+      lines.push('No recorded fix matches this failure.');
+    }
+
+    return { rootCause: lines.join('\n'), tokensUsed: 0 };
+  }
+
+  async generateFix(input: GenerateFixInput): Promise<GenerateFixResult> {
+    const kind = classifyFailure(input.rootCause);
+    const recipes = await this.findRecipes(input.rootCause, input.codeContext, kind);
+
+    let code = input.codeContext;
+    for (const recipe of recipes) {
+      code = applyRecipe(code, recipe);
+    }
+
+    if (code === input.codeContext) {
+      throw new Error('No known fix recipe applies to this failure');
+    }
+
+    return { code, tokensUsed: 0, cacheHit: false, targetFile: input.testFile };
+  }
+
+  private describeFailure(kind: FailureKind): string {
+    switch (kind) {
+      case 'selector':
+        return 'An element the test looks for no longer matches its selector.';
+      case 'timeout':
+        return 'The test timed out waiting for the page.';
+      default:
+        return 'The failure does not match a known pattern.';
+    }
+  }
+
+  private async findRecipes(text: string, code: string, kind: FailureKind): Promise<FixRecipe[]> {
+    const recipes: FixRecipe[] = [];
+    const memories = (await this.memories(text)).filter((memory) =>
+      (FIX_MEMORY_TYPES as string[]).includes(memory.entityType)
+    );
+
+    for (const memory of memories) {
+      const source = `${memory.entityType} "${memory.name}"`;
+      const body = [memory.name, ...memory.observations].join('\n');
+
+      // Timeouts waiting for a locator are often renamed selectors too
+      if (kind !== 'unknown') {
+        for (const pattern of RENAME_PATTERNS) {
+          const match = pattern.exec(body);
+          if (match && (text.includes(match[2]) || code.includes(match[2]))) {
+            recipes.push({ type: 'selector-update', from: match[2], to: match[4], source });
+            break;
+          }
+        }
+      }
+
+      if (kind === 'timeout') {
+        const match = TIMEOUT_VALUE_PATTERN.exec(body);
+        if (match) {
+          recipes.push({ type: 'timeout-bump', timeoutMs: Number(match[1]), source });
+        }
+      }
+    }
+
+    if (kind === 'timeout' && !recipes.some((recipe) => recipe.type === 'timeout-bump')) {
+      recipes.push({ type: 'timeout-bump', source: BUILTIN_SOURCE });
+    }
+
+    // One timeout bump is enough: the first recorded one wins
+    const timeout = recipes.find((recipe) => recipe.type === 'timeout-bump');
+    return recipes.filter((recipe) => recipe.type !== 'timeout-bump' || recipe === timeout);
+  }
+}
+
+function describeRecipe(recipe: FixRecipe): string {
+  if (recipe.type === 'selector-update') {
+    return `replace selector \`${recipe.from}\` with \`${recipe.to}\``;
+  }
+  return recipe.timeoutMs !== undefined
+    ? `raise timeouts to ${recipe.timeoutMs}ms`
+    : `double timeouts (up to ${MAX_TIMEOUT_MS}ms)`;
+}
+
+function applyRecipe(code: string, recipe: FixRecipe): string {
+  if (recipe.type === 'selector-update') {
+    return code.split(recipe.from).join(recipe.to);
+  }
+
+  return code.replace(CODE_TIMEOUT_PATTERN, (whole, prefix: string, value: string) => {
+    const current = Number(value);
+    const raised = recipe.timeoutMs ?? Math.min(current * 2, MAX_TIMEOUT_MS);
+    return raised > current ? `${prefix}${raised}` : whole;
+  });
+}
@@ -0,0 +1,43 @@
+import type { SamplingClient } from '../../../mcp/SamplingClient.js';
+import {
+  buildAnalysisPrompt,
+  buildFixPrompt,
+  extractCode,
+  FIX_SYSTEM_PROMPT,
+  type AnalyzeFailureInput,
+  type AnalyzeFailureResult,
+  type GenerateFixInput,
+  type GenerateFixResult,
+  type HealingProvider,
+} from './HealingProvider.js';
+
+const MAX_TOKENS = 4000;
+
+/**
+ * SamplingHealingProvider - Healing provider backed by MCP sampling
+ *
+ * Asks the connected MCP client's model, so no API key is needed on the
+ * server. Token usage is not reported by sampling and is returned as 0.
+ */
+export class SamplingHealingProvider implements HealingProvider {
+  readonly name = 'sampling';
+
+  constructor(private samplingClient: SamplingClient) {}
+
+  async analyzeFailure(input: AnalyzeFailureInput): Promise<AnalyzeFailureResult> {
+    const rootCause = await this.samplingClient.generate(buildAnalysisPrompt(input), {
+      maxTokens: MAX_TOKENS,
+    });
+
+    return { rootCause, tokensUsed: 0 };
+  }
+
+  async generateFix(input: GenerateFixInput): Promise<GenerateFixResult> {
+    const text = await this.samplingClient.generate(buildFixPrompt(input), {
+      maxTokens: MAX_TOKENS,
+      systemPrompt: FIX_SYSTEM_PROMPT,
+    });
+
+    return { code: extractCode(text), tokensUsed: 0, cacheHit: false };
+  }
+}
@@ -0,0 +1,178 @@
+import { spawn } from 'child_process';
+import { randomUUID } from 'crypto';
+import { unlink } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TestOutputParser, formatFailedTest, type TestResults } from '../../../core/TestOutputParser.js';
+import { EvidenceCollector } from '../analyzers/EvidenceCollector.js';
+import { TestFramework, TestResult } from '../types.js';
+
+export interface ExecResult {
+  exitCode: number;
+  stdout: string;
+  stderr: string;
+}
+
+export type ExecFunction = (command: string, args: string[]) => Promise<ExecResult>;
+
+/**
+ * Runs a single test file and normalizes the outcome
+ */
+export interface TestRunner {
+  readonly framework: TestFramework;
+  executeTest(testFile: string): Promise<TestResult>;
+}
+
+export interface TestRunnerOptions {
+  /** Project directory the test command runs in (default: process.cwd()) */
+  cwd?: string;
+}
+
+/**
+ * CommandTestRunner - Base for runners that shell out to a test CLI
+ *
+ * Subclasses build the command line. When a report file is requested, the
+ * framework writes its machine report there; otherwise the report is read
+ * from stdout. Failures are normalized into a TestResult with the failing
+ * tests, stack, logs, output tail and DOM snapshot (via EvidenceCollector).
+ */
+export abstract class CommandTestRunner implements TestRunner {
+  abstract readonly framework: TestFramework;
+
+  protected execFunction: ExecFunction;
+  protected evidenceCollector: EvidenceCollector = new EvidenceCollector();
+  private parser = new TestOutputParser();
+  private cwd?: string;
+
+  constructor(options: TestRunnerOptions = {}) {
+    this.cwd = options.cwd;
+    this.execFunction = (command, args) => this.defaultExec(command, args);
+  }
+
+  setExecFunction(fn: ExecFunction): void {
+    this.execFunction = fn;
+  }
+
+  setEvidenceCollector(collector: EvidenceCollector): void {
+    this.evidenceCollector = collector;
+  }
+
+  /**
+   * Command line that runs one test file
+   *
+   * @param reportFile - Where to write the machine report (if reportExtension is set)
+   */
+  protected abstract buildCommand(testFile: string, reportFile?: string): { command: string; args: string[] };
+
+  /**
+   * Extension of the report file to request, or undefined to read the report from stdout
+   */
+  protected readonly reportExtension?: string;
+
+  /**
+   * Screenshot of the failure, if the framework can provide one
+   */
+  protected async captureScreenshot(_testFile: string): Promise<string | undefined> {
+    return undefined;
+  }
+
+  async executeTest(testFile: string): Promise<TestResult> {
+    const reportFile = this.reportExtension
+      ? join(tmpdir(), `memesh-${this.framework}-${randomUUID()}${this.reportExtension}`)
+      : undefined;
+
+    try {
+      const { command, args } = this.buildCommand(testFile, reportFile);
+      const result = await this.execFunction(command, args);
+
+      if (result.exitCode === 0) {
+        return {
+          status: 'success',
+          framework: this.framework,
+        };
+      }
+
+      // Test failed - capture evidence
+      const report = await this.readReport(result, reportFile);
+      const failedTests = report?.failedTests ?? [];
+      const evidence = this.evidenceCollector.collectRunEvidence({
+        stdout: result.stdout,
+        stderr: result.stderr,
+        failedTests,
+      });
+
+      const error = new Error(
+        failedTests.length > 0 ? formatFailedTest(failedTests[0]) : result.stderr || result.stdout
+      );
+      if (evidence.stack) {
+        error.stack = evidence.stack;
+      }
+
+      return {
+        status: 'failure',
+        framework: this.framework,
+        error,
+        screenshot: await this.captureScreenshot(testFile),
+        logs: evidence.logs,
+        failedTests,
+        stdout: evidence.stdout,
+        domSnapshot: evidence.domSnapshot,
+      };
+    } catch (err) {
+      return {
+        status: 'failure',
+        framework: this.framework,
+        error: err as Error,
+      };
+    } finally {
+      if (reportFile) {
+        await unlink(reportFile).catch(() => undefined);
+      }
+    }
+  }
+
+  private async readReport(result: ExecResult, reportFile?: string): Promise<TestResults | null> {
+    if (reportFile) {
+      const report = await this.parser.parseReportFile(reportFile);
+      if (report) {
+        return report;
+      }
+    }
+    const parsed = this.parser.parse(result.stdout);
+    return parsed.format === 'unknown' ? null : parsed;
+  }
+
+  private async defaultExec(command: string, args: string[]): Promise<ExecResult> {
+    return await new Promise((resolve) => {
+      const proc = spawn(command, args, { cwd: this.cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+      let stdout = '';
+      let stderr = '';
+      let settled = false;
+
+      const finish = (exitCode: number, extraStderr?: string) => {
+        if (settled) return;
+        settled = true;
+        if (extraStderr) {
+          stderr += stderr ? `\n${extraStderr}` : extraStderr;
+        }
+        resolve({ exitCode, stdout, stderr });
+      };
+
+      proc.stdout.on('data', (data: Buffer) => {
+        stdout += data.toString();
+      });
+
+      proc.stderr.on('data', (data: Buffer) => {
+        stderr += data.toString();
+      });
+
+      proc.on('error', (error) => {
+        finish(1, error.message);
+      });
+
+      proc.on('close', (code) => {
+        finish(code ?? 1);
+      });
+    });
+  }
+}
@@ -0,0 +1,14 @@
+import { CommandTestRunner } from './CommandTestRunner.js';
+
+export class CypressRunner extends CommandTestRunner {
+  readonly framework = 'cypress' as const;
+  protected readonly reportExtension = '.xml';
+
+  protected buildCommand(testFile: string, reportFile?: string) {
+    // Cypress bundles the Mocha JUnit reporter; mochaFile is where it writes the XML
+    return {
+      command: 'npx',
+      args: ['cypress', 'run', '--spec', testFile, '--reporter', 'junit', '--reporter-options', `mochaFile=${reportFile}`],
+    };
+  }
+}
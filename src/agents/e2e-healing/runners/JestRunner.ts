@@ -0,0 +1,14 @@
+import { CommandTestRunner } from './CommandTestRunner.js';
+
+export class JestRunner extends CommandTestRunner {
+  readonly framework = 'jest' as const;
+  protected readonly reportExtension = '.json';
+
+  protected buildCommand(testFile: string, reportFile?: string) {
+    // --runTestsByPath: treat the file as a path, not a regex pattern
+    return {
+      command: 'npx',
+      args: ['jest', '--runTestsByPath', testFile, '--json', `--outputFile=${reportFile}`],
+    };
+  }
+}
@@ -0,0 +1,92 @@
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { TestFramework } from '../types.js';
+import { TestRunner, TestRunnerOptions } from './CommandTestRunner.js';
+import { CypressRunner } from './CypressRunner.js';
+import { JestRunner } from './JestRunner.js';
+import { PlaywrightRunner } from './PlaywrightRunner.js';
+import { VitestRunner } from './VitestRunner.js';
+
+/**
+ * Packages that identify each framework, in detection order
+ * (unit test runners first: they are the usual `npm test`)
+ */
+const FRAMEWORK_PACKAGES: Array<[TestFramework, string[]]> = [
+  ['vitest', ['vitest']],
+  ['jest', ['jest', 'ts-jest', 'react-scripts']],
+  ['playwright', ['@playwright/test', 'playwright']],
+  ['cypress', ['cypress']],
+];
+
+interface PackageJson {
+  scripts?: Record<string, string>;
+  dependencies?: Record<string, string>;
+  devDependencies?: Record<string, string>;
+}
+
+export function createTestRunner(framework: TestFramework, options: TestRunnerOptions = {}): TestRunner {
+  switch (framework) {
+    case 'playwright':
+      return new PlaywrightRunner(options);
+    case 'vitest':
+      return new VitestRunner(options);
+    case 'jest':
+      return new JestRunner(options);
+    case 'cypress':
+      return new CypressRunner(options);
+    default: {
+      const _exhaustiveCheck: never = framework;
+      throw new Error(`Unsupported test runner: ${_exhaustiveCheck}`);
+    }
+  }
+}
+
+/**
+ * Detect a project's test framework from its package.json
+ *
+ * The `test` script wins (e.g. "vitest run"); otherwise the first framework
+ * found in dependencies or devDependencies.
+ *
+ * @returns Detected framework, or undefined if package.json is missing or names none
+ */
+export async function detectTestFramework(projectDir: string): Promise<TestFramework | undefined> {
+  let pkg: PackageJson;
+  try {
+    pkg = JSON.parse(await readFile(join(projectDir, 'package.json'), 'utf-8')) as PackageJson;
+  } catch {
+    return undefined;
+  }
+
+  const testScript = pkg.scripts?.test ?? '';
+  for (const [framework] of FRAMEWORK_PACKAGES) {
+    if (new RegExp(`\\b${framework}\\b`).test(testScript)) {
+      return framework;
+    }
+  }
+
+  const dependencies = { ...pkg.dependencies, ...pkg.devDependencies };
+  for (const [framework, packages] of FRAMEWORK_PACKAGES) {
+    if (packages.some((name) => name in dependencies)) {
+      return framework;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Create the runner for a project: the configured framework, or the one
+ * detected from its package.json
+ *
+ * @throws Error if no framework is configured or detected
+ */
+export async function resolveTestRunner(projectDir: string, framework?: TestFramework): Promise<TestRunner> {
+  const resolved = framework ?? (await detectTestFramework(projectDir));
+  if (!resolved) {
+    throw new Error(
+      `No supported test runner found in ${join(projectDir, 'package.json')} ` +
+        `(${FRAMEWORK_PACKAGES.map(([name]) => name).join(', ')}); set testRunner in the healing config`
+    );
+  }
+  return createTestRunner(resolved, { cwd: projectDir });
+}
@@ -0,0 +1,14 @@
+import { CommandTestRunner } from './CommandTestRunner.js';
+
+export class VitestRunner extends CommandTestRunner {
+  readonly framework = 'vitest' as const;
+  protected readonly reportExtension = '.json';
+
+  protected buildCommand(testFile: string, reportFile?: string) {
+    // Default reporter keeps console output on stdout; JSON report goes to a file
+    return {
+      command: 'npx',
+      args: ['vitest', 'run', testFile, '--reporter=default', '--reporter=json', `--outputFile.json=${reportFile}`],
+    };
+  }
+}
@@ -1,4 +1,5 @@
 import { E2EHealingConfig } from '../types.js';
+import type { AutonomyLedger } from '../policy/AutonomyLedger.js';
 
 interface AttemptRecord {
   timestamp: number;
@@ -12,15 +13,27 @@ interface TestHistory {
   attempts: AttemptRecord[];
 }
 
+export interface CircuitBreakerOptions {
+  /** Persist repair attempts so an open circuit stays open across runs */
+  ledger?: AutonomyLedger;
+  /** Project directory attempts are recorded under (default: process.cwd()) */
+  project?: string;
+}
+
 export class CircuitBreaker {
   private history: Map<string, TestHistory> = new Map();
   private readonly MAX_HISTORY_SIZE = 100; // Max attempts to keep per test
   private readonly MAX_TESTS_TRACKED = 1000; // Max tests to track
+  private ledger?: AutonomyLedger;
+  private project: string;
 
-  constructor(private config: E2EHealingConfig) {}
+  constructor(private config: E2EHealingConfig, options: CircuitBreakerOptions = {}) {
+    this.ledger = options.ledger;
+    this.project = options.project ?? process.cwd();
+  }
 
   canAttemptRepair(testId: string): boolean {
-    const history = this.history.get(testId);
+    const history = this.getHistory(testId);
 
     // First attempt always allowed
     if (!history) {
@@ -49,7 +62,7 @@ export class CircuitBreaker {
   }
 
   recordAttempt(testId: string, success: boolean): void {
-    const history = this.history.get(testId) || {
+    const history = this.getHistory(testId) || {
       totalAttempts: 0,
       consecutiveFailures: 0,
       lastAttemptTime: 0,
@@ -61,22 +74,8 @@ export class CircuitBreaker {
       success,
     };
 
-    history.totalAttempts++;
-    history.lastAttemptTime = record.timestamp;
-    history.attempts.push(record);
-
-    // Trim attempts array to prevent unbounded growth
-    if (history.attempts.length > this.MAX_HISTORY_SIZE) {
-      history.attempts = history.attempts.slice(-this.MAX_HISTORY_SIZE);
-    }
-
-    if (success) {
-      // Reset consecutive failures and total attempts on success
-      history.consecutiveFailures = 0;
-      history.totalAttempts = 0;
-    } else {
-      history.consecutiveFailures++;
-    }
+    this.applyAttempt(history, record);
+    this.ledger?.recordRepairAttempt(this.project, testId, record);
 
     this.history.set(testId, history);
 
@@ -85,15 +84,57 @@ export class CircuitBreaker {
   }
 
   getHistory(testId: string): TestHistory | undefined {
-    return this.history.get(testId);
+    const history = this.history.get(testId);
+    if (history || !this.ledger) {
+      return history;
+    }
+
+    // Rebuild from attempts persisted by earlier runs
+    const attempts = this.ledger.getRepairAttempts(this.project, testId, this.MAX_HISTORY_SIZE);
+    if (attempts.length === 0) {
+      return undefined;
+    }
+
+    const restored: TestHistory = {
+      totalAttempts: 0,
+      consecutiveFailures: 0,
+      lastAttemptTime: 0,
+      attempts: [],
+    };
+    for (const attempt of attempts) {
+      this.applyAttempt(restored, attempt);
+    }
+    this.history.set(testId, restored);
+    return restored;
   }
 
   reset(testId: string): void {
     this.history.delete(testId);
+    this.ledger?.clearRepairAttempts(this.project, testId);
   }
 
   resetAll(): void {
     this.history.clear();
+    this.ledger?.clearRepairAttempts(this.project);
+  }
+
+  private applyAttempt(history: TestHistory, record: AttemptRecord): void {
+    history.totalAttempts++;
+    history.lastAttemptTime = record.timestamp;
+    history.attempts.push(record);
+
+    // Trim attempts array to prevent unbounded growth
+    if (history.attempts.length > this.MAX_HISTORY_SIZE) {
+      history.attempts = history.attempts.slice(-this.MAX_HISTORY_SIZE);
+    }
+
+    if (record.success) {
+      // Reset consecutive failures and total attempts on success
+      history.consecutiveFailures = 0;
+      history.totalAttempts = 0;
+    } else {
+      history.consecutiveFailures++;
+    }
   }
 
   /**
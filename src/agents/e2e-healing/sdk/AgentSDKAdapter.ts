@@ -1,30 +1,21 @@
 import Anthropic from '@anthropic-ai/sdk';
-
-interface AnalyzeFailureInput {
-  error: Error;
-  screenshot?: string;
-  codeContext: string;
-  useExtendedThinking?: boolean;
-}
-
-interface AnalyzeFailureResult {
-  rootCause: string;
-  tokensUsed: number;
-}
-
-interface GenerateFixInput {
-  rootCause: string;
-  codeContext: string;
-  testFile: string;
-}
-
-interface GenerateFixResult {
-  code: string;
-  tokensUsed: number;
-  cacheHit: boolean;
-}
-
-export class AgentSDKAdapter {
+import {
+  buildAnalysisPrompt,
+  buildFixPrompt,
+  extractCode,
+  FIX_SYSTEM_PROMPT,
+  type AnalyzeFailureInput,
+  type AnalyzeFailureResult,
+  type GenerateFixInput,
+  type GenerateFixResult,
+  type HealingProvider,
+} from '../providers/HealingProvider.js';
+
+/**
+ * AgentSDKAdapter - Healing provider backed by the Anthropic API
+ */
+export class AgentSDKAdapter implements HealingProvider {
+  readonly name = 'anthropic';
   private client: Anthropic;
 
   constructor(client: Anthropic) {
@@ -51,16 +42,7 @@ export class AgentSDKAdapter {
       messages: [
         {
           role: 'user',
-          content: `Analyze this E2E test failure:
-
-Error: ${input.error.message}
-
-Code Context:
-${input.codeContext}
-
-${input.screenshot ? `Screenshot: ${input.screenshot.slice(0, 100)}...` : ''}
-
-Identify the root cause of this failure.`,
+          content: buildAnalysisPrompt(input),
         },
       ],
     });
@@ -83,7 +65,7 @@ Identify the root cause of this failure.`,
       system: [
         {
           type: 'text' as const,
-          text: 'You are an expert at fixing E2E test failures. Generate minimal code fixes.',
+          text: FIX_SYSTEM_PROMPT,
           // Prompt caching for cost optimization
           cache_control: { type: 'ephemeral' },
         },
@@ -91,16 +73,7 @@ Identify the root cause of this failure.`,
       messages: [
         {
           role: 'user',
-          content: `Generate a fix for this issue:
-
-Root Cause: ${input.rootCause}
-
-Code Context:
-${input.codeContext}
-
-Test File: ${input.testFile}
-
-Provide the fixed code in a TypeScript code block.`,
+          content: buildFixPrompt(input),
         },
       ],
     });
@@ -111,8 +84,7 @@ Provide the fixed code in a TypeScript code block.`,
       .join('\n');
 
     // Extract code from markdown code block
-    const codeMatch = text.match(/```(?:typescript|tsx?)\n([\s\S]*?)```/);
-    const code = codeMatch ? codeMatch[1] : text;
+    const code = extractCode(text);
 
     const cacheReadTokens = response.usage.cache_read_input_tokens ?? 0;
     const cacheHit = cacheReadTokens > 0;
@@ -1,8 +1,16 @@
+import type { FailedTest } from '../../core/TestOutputParser.js';
+
+/**
+ * Test frameworks with a runner (see runners/TestRunnerFactory)
+ */
+export type TestFramework = 'playwright' | 'vitest' | 'jest' | 'cypress';
+
 export interface E2EHealingConfig {
   maxAttempts: number;
   cooldownPeriod: number; // milliseconds
   failureThreshold: number;
   resetTimeout: number; // milliseconds
+  testRunner?: TestFramework; // default: detected from the project's package.json
 }
 
 export interface HealingConstraints {
@@ -19,6 +27,10 @@ export interface TestResult {
   error?: Error;
   screenshot?: string;
   logs?: string[];
+  framework?: TestFramework;
+  failedTests?: FailedTest[]; // parsed from the runner's report
+  stdout?: string; // tail of the runner's output
+  domSnapshot?: string; // DOM printed by the failing assertion, if any
 }
 
 export interface HealingResult {
@@ -0,0 +1,57 @@
+/**
+ * Database Command Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Database from 'better-sqlite3';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createDbCommand, runDbBackup, runDbRestore, runDbVerify } from '../db.js';
+import { DaemonLockManager } from '../../mcp/daemon/DaemonLockManager.js';
+import { StateError } from '../../errors/index.js';
+
+describe('Database commands', () => {
+  let dataDir: string;
+
+  beforeEach(() => {
+    dataDir = mkdtempSync(join(tmpdir(), 'memesh-db-cli-'));
+    const db = new Database(join(dataDir, 'knowledge-graph.db'));
+    db.exec("CREATE TABLE notes (body TEXT); INSERT INTO notes VALUES ('kept')");
+    db.close();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(DaemonLockManager, 'isLockValid').mockResolvedValue(false);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('should register backup, restore and verify', () => {
+    const command = createDbCommand();
+    expect(command.name()).toBe('db');
+    expect(command.commands.map((sub) => sub.name())).toEqual(['backup', 'restore', 'verify']);
+  });
+
+  it('should back up, verify and restore', async () => {
+    const backup = await runDbBackup({ dataDir, out: join(dataDir, 'backup') });
+    expect(backup.manifest.databases.map((db) => db.name)).toEqual(['knowledge-graph']);
+
+    const liveChecks = await runDbVerify(undefined, { dataDir });
+    expect(liveChecks.every((check) => check.ok)).toBe(true);
+    const backupChecks = await runDbVerify(backup.directory);
+    expect(backupChecks.every((check) => check.ok)).toBe(true);
+
+    const result = await runDbRestore(backup.directory, { dataDir, yes: true });
+    expect(result?.restored).toEqual(['knowledge-graph']);
+  });
+
+  it('should refuse to restore while the daemon is running', async () => {
+    vi.mocked(DaemonLockManager.isLockValid).mockResolvedValue(true);
+    const backup = await runDbBackup({ dataDir, out: join(dataDir, 'backup') });
+
+    await expect(runDbRestore(backup.directory, { dataDir, yes: true })).rejects.toThrow(StateError);
+    await expect(runDbRestore(backup.directory, { dataDir, yes: true, force: true })).resolves.not.toBeNull();
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Export/Import Command Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { runExport, runImport, createExportCommand, createImportCommand } from '../exchange.js';
+import { KnowledgeGraph } from '../../knowledge-graph/index.js';
+import { ValidationError } from '../../errors/index.js';
+
+// Imports open the default secrets database for redaction; keep it out of the real data directory
+const DATA_DIR = join(tmpdir(), 'memesh-exchange-cli-data-' + process.pid);
+
+vi.mock('../../utils/PathResolver.js', () => ({
+  getDataDirectory: () => DATA_DIR,
+  getDataPath: (filename: string) => join(DATA_DIR, filename),
+}));
+
+describe('Export/Import commands', () => {
+  let testDir: string;
+  let sourceDb: string;
+
+  beforeEach(() => {
+    testDir = mkdtempSync(join(tmpdir(), 'memesh-exchange-cli-'));
+    sourceDb = join(testDir, 'source.db');
+    vi.stubEnv('MEMESH_KEYRING_PATH', join(DATA_DIR, 'keyring.json'));
+
+    const kg = KnowledgeGraph.createSync(sourceDb);
+    kg.createEntity({ name: 'Test Decision 1', entityType: 'decision', observations: ['Decided'] });
+    kg.createEntity({ name: 'Test Feature 1', entityType: 'feature', observations: ['Built'] });
+    kg.createRelation({ from: 'Test Feature 1', to: 'Test Decision 1', relationType: 'enabled_by' });
+    kg.close();
+
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+    rmSync(testDir, { recursive: true, force: true });
+    rmSync(DATA_DIR, { recursive: true, force: true });
+  });
+
+  it('should register export and import commands with a path argument', () => {
+    expect(createExportCommand().name()).toBe('export');
+    expect(createImportCommand().name()).toBe('import');
+    expect(createExportCommand().registeredArguments[0].required).toBe(true);
+  });
+
+  it('should export to JSON-LD and import into another database', async () => {
+    const file = join(testDir, 'graph.jsonld');
+    const targetDb = join(testDir, 'target.db');
+
+    await runExport(file, { db: sourceDb });
+    expect(JSON.parse(readFileSync(file, 'utf-8'))['@graph']).toHaveLength(3);
+
+    await runImport(file, { db: targetDb });
+
+    const target = KnowledgeGraph.createSync(targetDb);
+    try {
+      expect(target.getStats()).toMatchObject({ totalEntities: 2, totalRelations: 1 });
+    } finally {
+      target.close();
+    }
+  });
+
+  it('should reject unknown formats', async () => {
+    await expect(runExport(join(testDir, 'graph.csv'), { db: sourceDb, format: 'csv' }))
+      .rejects.toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Healing Command Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  createHealingCommand,
+  runHealingChange,
+  runHealingReview,
+  runHealingStatus,
+  runHealingSuggestions,
+} from '../healing.js';
+import { AutonomyLedger } from '../../agents/e2e-healing/policy/AutonomyLedger.js';
+import { GraduatedAutonomyPolicy } from '../../agents/e2e-healing/policy/GraduatedAutonomyPolicy.js';
+
+describe('Healing commands', () => {
+  let dir: string;
+  let db: string;
+  const project = '/work/shop';
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'memesh-healing-cli-'));
+    db = join(dir, 'healing-ledger.db');
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should register status, promote, demote and fix review', () => {
+    const command = createHealingCommand();
+    expect(command.name()).toBe('healing');
+    expect(command.commands.map((sub) => sub.name())).toEqual([
+      'status',
+      'promote',
+      'demote',
+      'suggestions',
+      'approve',
+      'reject',
+    ]);
+  });
+
+  it('should show dev at SUGGEST_ONLY for a new project', () => {
+    const [status] = runHealingStatus({ db, project });
+
+    expect(status).toMatchObject({ project, environment: 'dev', levelName: 'SUGGEST_ONLY' });
+    expect(status.nextLevel?.eligible).toBe(false);
+  });
+
+  it('should show every recorded environment with fix statistics', () => {
+    const ledger = new AutonomyLedger(db);
+    const policy = new GraduatedAutonomyPolicy({ ledger, project, environment: 'staging' });
+    for (let i = 0; i < 10; i++) {
+      policy.recordFix({ success: true, humanApproved: true, environment: 'staging' });
+    }
+    policy.tryGraduate();
+    ledger.close();
+
+    runHealingChange('promote', { db, project, env: 'dev', reason: 'Trusted team' });
+    const statuses = runHealingStatus({ db, project });
+
+    expect(statuses.map((status) => [status.environment, status.levelName])).toEqual([
+      ['dev', 'AUTO_DEV'],
+      ['staging', 'AUTO_DEV'],
+    ]);
+    expect(statuses[1].stats.successfulFixes).toBe(10);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('graduate SUGGEST_ONLY → AUTO_DEV by policy'));
+  });
+
+  it('should record promote and demote in the audit trail', () => {
+    const promoted = runHealingChange('promote', { db, project, env: 'staging', reason: 'Reviewed fixes' });
+    const demoted = runHealingChange('demote', { db, project, env: 'staging', reason: 'Bad fix in release' });
+
+    expect(promoted).toMatchObject({ fromLevel: 'SUGGEST_ONLY', toLevel: 'AUTO_DEV' });
+    expect(demoted).toMatchObject({ fromLevel: 'AUTO_DEV', toLevel: 'SUGGEST_ONLY' });
+
+    const ledger = new AutonomyLedger(db);
+    const trail = ledger.getAuditTrail({ project, environment: 'staging' });
+    ledger.close();
+    expect(trail.map((entry) => [entry.action, entry.reason])).toEqual([
+      ['demote', 'Bad fix in release'],
+      ['promote', 'Reviewed fixes'],
+    ]);
+  });
+
+  it('should refuse to demote below SUGGEST_ONLY', () => {
+    expect(() => runHealingChange('demote', { db, project, reason: 'No reason' })).toThrow(
+      'Cannot demote: already at SUGGEST_ONLY'
+    );
+  });
+
+  describe('fix review', () => {
+    function suggest(targetFile: string, original: string): number {
+      const ledger = new AutonomyLedger(db);
+      const id = ledger.recordSuggestion({
+        project,
+        environment: 'dev',
+        testId: 'tests/login.spec.ts',
+        targetFile,
+        original,
+        code: 'fixed',
+        diff: '-broken\n+fixed',
+        provider: 'rule-based',
+        rootCause: 'Selector changed',
+      });
+      ledger.close();
+      return id;
+    }
+
+    it('should apply an approved fix and record it as approved', async () => {
+      const target = join(dir, 'login.spec.ts');
+      writeFileSync(target, 'broken');
+      const id = suggest(target, 'broken');
+      expect(runHealingSuggestions({ db, project }).map((suggestion) => suggestion.id)).toEqual([id]);
+
+      const review = await runHealingReview('approve', id, { db });
+
+      expect(readFileSync(target, 'utf-8')).toBe('fixed');
+      expect(review.suggestion).toMatchObject({ status: 'approved', decidedBy: expect.any(String) });
+      expect(runHealingSuggestions({ db, project })).toEqual([]);
+      const [status] = runHealingStatus({ db, project });
+      expect(status.stats).toMatchObject({ totalFixes: 1, successfulFixes: 1, approvalRate: 1 });
+      await expect(runHealingReview('reject', id, { db })).rejects.toThrow('already approved');
+    });
+
+    it('should record a rejected fix without touching the file', async () => {
+      const target = join(dir, 'login.spec.ts');
+      writeFileSync(target, 'broken');
+      const id = suggest(target, 'broken');
+
+      await runHealingReview('reject', id, { db });
+
+      expect(readFileSync(target, 'utf-8')).toBe('broken');
+      const [status] = runHealingStatus({ db, project });
+      expect(status.stats).toMatchObject({ totalFixes: 1, successfulFixes: 0, approvalRate: 0 });
+    });
+
+    it('should refuse to approve a fix whose target changed', async () => {
+      const target = join(dir, 'login.spec.ts');
+      writeFileSync(target, 'edited by hand');
+      const id = suggest(target, 'broken');
+
+      await expect(runHealingReview('approve', id, { db })).rejects.toThrow('changed since fix');
+      expect(readFileSync(target, 'utf-8')).toBe('edited by hand');
+      await expect(runHealingReview('approve', 999, { db })).rejects.toThrow('#999 not found');
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Memory Command Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createMemoryCommand, runConsolidate, runStale, runUnmerge } from '../memory.js';
+import { KnowledgeGraph } from '../../knowledge-graph/index.js';
+import { ValidationError } from '../../errors/index.js';
+
+describe('Memory commands', () => {
+  let dir: string;
+  let dbPath: string;
+
+  beforeEach(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'memesh-memory-cli-'));
+    dbPath = join(dir, 'kg.db');
+    const kg = await KnowledgeGraph.create(dbPath);
+    for (const day of ['01', '02']) {
+      kg.createEntity({
+        name: `Session: refactor router - 2026-03-${day}`,
+        entityType: 'session_snapshot',
+        observations: ['Refactored ToolRouter dispatch table', 'All tests green', `Timestamp: 2026-03-${day}T18:00:00Z`],
+      });
+    }
+    kg.close();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should register consolidate, unmerge and stale', () => {
+    const command = createMemoryCommand();
+    expect(command.name()).toBe('memory');
+    expect(command.commands.map((sub) => sub.name())).toEqual(['consolidate', 'unmerge', 'stale']);
+  });
+
+  it('should preview, consolidate and unmerge', async () => {
+    const preview = await runConsolidate({ db: dbPath, dryRun: true });
+    expect(preview.clusters).toHaveLength(1);
+
+    const result = await runConsolidate({ db: dbPath });
+    expect(result.clusters).toEqual(preview.clusters);
+
+    const undone = await runUnmerge(result.clusters[0].canonical, undefined, { db: dbPath });
+    expect(undone.restored).toEqual(result.clusters[0].merged);
+  });
+
+  it('should list stale memories', async () => {
+    // The snapshots were written moments ago, so only a zero idle threshold reports them
+    expect(await runStale({ db: dbPath })).toEqual([]);
+
+    const stale = await runStale({ db: dbPath, days: '0', maxImportance: '1', limit: '1' });
+    expect(stale).toHaveLength(1);
+    expect(stale[0]).toMatchObject({ entityType: 'session_snapshot', recallCount: 0 });
+  });
+
+  it('should reject a non-numeric threshold', async () => {
+    await expect(runConsolidate({ db: dbPath, threshold: 'high' })).rejects.toThrow(ValidationError);
+  });
+});
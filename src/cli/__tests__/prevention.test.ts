@@ -0,0 +1,101 @@
+/**
+ * Prevention Command Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { runPreventionCheck, parseOperation, createPreventionCommand } from '../prevention.js';
+import { KnowledgeGraph } from '../../knowledge-graph/index.js';
+import { UnifiedMemoryStore } from '../../memory/UnifiedMemoryStore.js';
+import { MistakePatternEngine } from '../../memory/MistakePatternEngine.js';
+import { ValidationError } from '../../errors/index.js';
+
+describe('Prevention commands', () => {
+  let workDir: string;
+  let dbPath: string;
+
+  beforeEach(async () => {
+    workDir = mkdtempSync(join(tmpdir(), 'memesh-prevention-cli-'));
+    dbPath = join(workDir, 'kg.db');
+
+    const kg = await KnowledgeGraph.create(dbPath);
+    await new MistakePatternEngine(new UnifiedMemoryStore(kg)).saveRule({
+      id: 'no-force-push',
+      name: 'No force push',
+      category: 'other',
+      trigger: { tools: ['Bash'], patterns: [], contexts: ['--force'] },
+      check: { type: 'pattern-match', condition: 'never force push', severity: 'critical' },
+      action: { type: 'block', messageKey: 'Force push rewrote shared history', suggestionKey: 'Use --force-with-lease' },
+      sourceMistakeIds: ['mistake-42'],
+      confidence: 'high',
+      hitCount: 0,
+      createdAt: new Date(),
+    });
+    kg.close();
+  });
+
+  afterEach(() => {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should register the check command', () => {
+    const command = createPreventionCommand();
+    expect(command.name()).toBe('prevention');
+    expect(command.commands.map((sub) => sub.name())).toEqual(['check']);
+  });
+
+  it('should block a call matching a stored rule and count the hit', async () => {
+    const operation = parseOperation({ tool: 'Bash', args: { command: 'git push --force origin main' } });
+
+    const result = await runPreventionCheck(operation, { db: dbPath });
+    expect(result).toMatchObject({
+      proceed: false,
+      reason: 'Force push rewrote shared history',
+      triggeredRules: ['no-force-push'],
+    });
+
+    await runPreventionCheck(operation, { db: dbPath });
+
+    const kg = await KnowledgeGraph.create(dbPath);
+    try {
+      const rule = await new MistakePatternEngine(new UnifiedMemoryStore(kg)).getRuleById('no-force-push');
+      expect(rule?.hitCount).toBe(2);
+    } finally {
+      kg.close();
+    }
+  });
+
+  it('should count built-in rule hits across runs', async () => {
+    const file = join(workDir, 'app.ts');
+    writeFileSync(file, 'export {};');
+    const operation = parseOperation({ tool: 'Edit', args: { file_path: file } });
+
+    expect((await runPreventionCheck(operation, { db: dbPath })).triggeredRules).toEqual(['read-before-edit']);
+    await runPreventionCheck(operation, { db: dbPath });
+
+    const kg = await KnowledgeGraph.create(dbPath);
+    try {
+      expect(kg.getRuleHitCounts().get('read-before-edit')).toBe(2);
+    } finally {
+      kg.close();
+    }
+  });
+
+  it('should let unrelated calls proceed', async () => {
+    const result = await runPreventionCheck(parseOperation({ tool: 'Bash', args: { command: 'git push' } }), {
+      db: dbPath,
+    });
+    expect(result.proceed).toBe(true);
+  });
+
+  it('should default missing context fields and reject invalid input', () => {
+    expect(parseOperation({ tool: 'Read', context: { filesRead: ['a.ts', 42] } })).toEqual({
+      tool: 'Read',
+      args: {},
+      context: { recentTools: [], currentTask: '', filesRead: ['a.ts'], filesModified: [] },
+    });
+    expect(() => parseOperation({ args: {} })).toThrow(ValidationError);
+  });
+});
@@ -8,6 +8,8 @@
  * - Error log summary
  * - Real-time updates
  * - Keyboard controls
+ *
+ * `--web` serves the browser dashboard instead (src/dashboard/server.ts).
  */
 
 import chalk from 'chalk';
@@ -16,6 +18,8 @@ import Table from 'cli-table3';
 import { HealthChecker, type SystemHealth, type ComponentHealth } from '../core/HealthCheck.js';
 import { UnifiedMemoryStore } from '../memory/UnifiedMemoryStore.js';
 import { logger } from '../utils/logger.js';
+import { ValidationError } from '../errors/index.js';
+import { startDashboardServer } from '../dashboard/server.js';
 import { existsSync, readFileSync, statSync } from 'fs';
 import path from 'path';
 import { createInterface } from 'readline';
@@ -479,3 +483,26 @@ export async function runDashboard(): Promise<void> {
   // Initial render
   await refresh();
 }
+
+// ============================================================================
+// Web Dashboard
+// ============================================================================
+
+/**
+ * Serve the web dashboard on localhost until Ctrl+C
+ *
+ * @param options - Port (default: 7412) and database path
+ */
+export async function runWebDashboard(options: { port?: string; db?: string } = {}): Promise<void> {
+  const port = options.port !== undefined ? Number(options.port) : undefined;
+  if (port !== undefined && (!Number.isInteger(port) || port < 0 || port > 65535)) {
+    throw new ValidationError(`Invalid port: ${options.port}`, { port: options.port });
+  }
+
+  const server = await startDashboardServer({ port, dbPath: options.db });
+
+  console.log(chalk.cyan('\n📊 MeMesh web dashboard is running (localhost only)\n'));
+  console.log(`  ${chalk.bold(server.getUrl())}\n`);
+  console.log(chalk.gray('  The URL contains the access token; do not share it.'));
+  console.log(chalk.gray('  Press Ctrl+C to stop.\n'));
+}
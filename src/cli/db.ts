@@ -0,0 +1,226 @@
+/**
+ * Database CLI Commands
+ *
+ * - memesh db backup    Back up all MeMesh databases (SQLite online backup)
+ * - memesh db restore   Restore databases from a backup directory
+ * - memesh db verify    Check integrity of the live databases or a backup
+ *
+ * Backups go to <data dir>/backups/<timestamp>/ with a manifest.json listing
+ * the checksum and schema version of every database.
+ */
+
+import { Command } from 'commander';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import {
+  backupDatabases,
+  listDatabases,
+  restoreDatabases,
+  verifyBackup,
+  verifyDatabase,
+  type BackupResult,
+  type DatabaseCheck,
+  type RestoreResult,
+} from '../db/DatabaseBackup.js';
+import { DaemonLockManager } from '../mcp/daemon/DaemonLockManager.js';
+import { getDataDirectory } from '../utils/PathResolver.js';
+import { StateError } from '../errors/index.js';
+import { logger } from '../utils/logger.js';
+
+interface DbCommandOptions {
+  dataDir?: string;
+  only?: string[];
+}
+
+interface BackupCommandOptions extends DbCommandOptions {
+  out?: string;
+}
+
+interface RestoreCommandOptions extends DbCommandOptions {
+  yes?: boolean;
+  force?: boolean;
+}
+
+function formatBytes(bytes: number): string {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function printChecks(checks: DatabaseCheck[]): void {
+  for (const check of checks) {
+    const version = check.schemaVersion !== undefined ? chalk.dim(` schema v${check.schemaVersion}`) : '';
+    const size = chalk.dim(` (${formatBytes(check.sizeBytes)})`);
+    if (check.ok) {
+      console.log(chalk.green(`  ✓ ${check.name}`) + version + size);
+    } else {
+      console.log(chalk.red(`  ✗ ${check.name}`) + version + size);
+      check.problems.slice(0, 5).forEach((problem) => console.log(chalk.red(`      ${problem}`)));
+    }
+  }
+}
+
+/**
+ * Run `memesh db backup`
+ */
+export async function runDbBackup(options: BackupCommandOptions = {}): Promise<BackupResult> {
+  const result = await backupDatabases({
+    dataDir: options.dataDir,
+    names: options.only,
+    outDir: options.out,
+  });
+
+  console.log(chalk.bold.cyan('\n💾 Database Backup\n'));
+  for (const db of result.manifest.databases) {
+    const version = db.schemaVersion !== undefined ? chalk.dim(` schema v${db.schemaVersion}`) : '';
+    console.log(chalk.green(`  ✓ ${db.name}`) + version + chalk.dim(` (${formatBytes(db.sizeBytes)})`));
+  }
+  console.log(chalk.yellow('\nBackup: ') + result.directory);
+  if (result.manifest.databases.some((db) => db.name === 'secrets')) {
+    console.log(chalk.dim('Secrets stay encrypted; keep the key (passphrase, MEMESH_SECRET_KEY or .secret-key) to restore them.'));
+  }
+  console.log('');
+
+  return result;
+}
+
+/**
+ * Run `memesh db verify`
+ *
+ * @param backupDir - Backup to verify (default: the live databases)
+ * @returns Check results
+ */
+export async function runDbVerify(backupDir: string | undefined, options: DbCommandOptions = {}): Promise<DatabaseCheck[]> {
+  let checks: DatabaseCheck[];
+  if (backupDir) {
+    checks = await verifyBackup(backupDir, options.only);
+  } else {
+    const databases = await listDatabases(options.dataDir ?? getDataDirectory());
+    const selected = options.only?.length
+      ? databases.filter((db) => options.only!.includes(db.name))
+      : databases;
+    checks = [];
+    for (const db of selected) {
+      checks.push(await verifyDatabase(db.path, db.name));
+    }
+  }
+
+  console.log(chalk.bold.cyan(`\n🩺 Database Verification${backupDir ? ` (${backupDir})` : ''}\n`));
+  if (checks.length === 0) {
+    console.log(chalk.dim('  No databases found'));
+  }
+  printChecks(checks);
+
+  const failed = checks.filter((check) => !check.ok).length;
+  console.log(
+    failed === 0
+      ? chalk.green(`\n✓ ${checks.length} database(s) OK`)
+      : chalk.red(`\n${failed} of ${checks.length} database(s) failed verification`)
+  );
+  console.log('');
+
+  return checks;
+}
+
+/**
+ * Run `memesh db restore`
+ *
+ * Refuses while the daemon is running unless forced, and asks for
+ * confirmation unless `yes` is set.
+ *
+ * @returns Restore result, or null if cancelled
+ * @throws StateError if the daemon is running (without force) or the backup
+ *   fails verification
+ */
+export async function runDbRestore(backupDir: string, options: RestoreCommandOptions = {}): Promise<RestoreResult | null> {
+  if (!options.force && (await DaemonLockManager.isLockValid())) {
+    throw new StateError('The MeMesh daemon is running; stop it first (memesh daemon stop) or use --force', {
+      component: 'db-restore',
+    });
+  }
+
+  if (!options.yes) {
+    const { confirmRestore } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmRestore',
+        message: chalk.yellow(`Replace current databases with the backup in ${backupDir}?`),
+        default: false,
+      },
+    ]);
+    if (!confirmRestore) {
+      console.log(chalk.dim('\nRestore cancelled.\n'));
+      return null;
+    }
+  }
+
+  const result = await restoreDatabases({ backupDir, dataDir: options.dataDir, names: options.only });
+
+  console.log(chalk.bold.cyan('\n♻️  Database Restore\n'));
+  result.restored.forEach((name) => console.log(chalk.green(`  ✓ ${name}`)));
+  if (result.safetyBackup) {
+    console.log(chalk.yellow('\nPrevious databases saved to: ') + result.safetyBackup);
+  }
+  console.log('');
+
+  return result;
+}
+
+/**
+ * Create the `memesh db` command
+ */
+export function createDbCommand(): Command {
+  const db = new Command('db').description('Back up, restore and verify MeMesh databases');
+
+  db.command('backup')
+    .description('Back up all databases using the SQLite online backup API')
+    .option('-o, --out <dir>', 'Backup directory (default: <data dir>/backups/<timestamp>)')
+    .option('--only <names...>', 'Only these databases, e.g. knowledge-graph secrets')
+    .option('--data-dir <path>', 'MeMesh data directory (default: ~/.memesh)')
+    .action(async (options: BackupCommandOptions) => {
+      try {
+        await runDbBackup(options);
+      } catch (error) {
+        logger.error('Database backup failed', { error });
+        console.error(chalk.red('Backup failed:'), error instanceof Error ? error.message : error);
+        process.exit(1);
+      }
+    });
+
+  db.command('restore')
+    .description('Restore databases from a backup (verifies it first)')
+    .argument('<backup-dir>', 'Backup directory containing manifest.json')
+    .option('--only <names...>', 'Only these databases')
+    .option('--data-dir <path>', 'MeMesh data directory (default: ~/.memesh)')
+    .option('-y, --yes', 'Do not ask for confirmation')
+    .option('-f, --force', 'Restore even if the daemon is running')
+    .action(async (backupDir: string, options: RestoreCommandOptions) => {
+      try {
+        await runDbRestore(backupDir, options);
+      } catch (error) {
+        logger.error('Database restore failed', { error });
+        console.error(chalk.red('Restore failed:'), error instanceof Error ? error.message : error);
+        process.exit(1);
+      }
+    });
+
+  db.command('verify')
+    .description('Run integrity and foreign key checks (exit code 1 on problems)')
+    .argument('[backup-dir]', 'Verify a backup instead of the live databases')
+    .option('--only <names...>', 'Only these databases')
+    .option('--data-dir <path>', 'MeMesh data directory (default: ~/.memesh)')
+    .action(async (backupDir: string | undefined, options: DbCommandOptions) => {
+      try {
+        const checks = await runDbVerify(backupDir, options);
+        if (checks.some((check) => !check.ok)) {
+          process.exitCode = 1;
+        }
+      } catch (error) {
+        logger.error('Database verification failed', { error });
+        console.error(chalk.red('Verification failed:'), error instanceof Error ? error.message : error);
+        process.exit(1);
+      }
+    });
+
+  return db;
+}
@@ -0,0 +1,145 @@
+/**
+ * Knowledge Graph Export/Import CLI Commands
+ *
+ * - memesh export <path>   Export the knowledge graph (JSON-LD, GraphML or Markdown vault)
+ * - memesh import <path>   Import a previously exported graph
+ *
+ * The format is inferred from the path (.jsonld/.json, .graphml/.xml,
+ * otherwise a Markdown folder) unless --format is given. Imports are
+ * redacted like every other memory write (MEMESH_SECRET_REDACTION).
+ */
+
+import { Command } from 'commander';
+import chalk from 'chalk';
+import { KnowledgeGraph } from '../knowledge-graph/index.js';
+import { SecretManager } from '../memory/SecretManager.js';
+import { SecretRedactor } from '../memory/SecretRedactor.js';
+import {
+  exportGraph,
+  importGraph,
+  inferGraphExchangeFormat,
+  assertGraphExchangeFormat,
+  GRAPH_EXCHANGE_FORMATS,
+  type GraphExchangeFormat,
+} from '../knowledge-graph/exchange/index.js';
+import { logger } from '../utils/logger.js';
+
+interface ExchangeCommandOptions {
+  format?: string;
+  db?: string;
+  overwrite?: boolean;
+}
+
+/**
+ * Resolve the --format option, falling back to the path extension
+ */
+function resolveFormat(targetPath: string, format?: string): GraphExchangeFormat {
+  if (!format) {
+    return inferGraphExchangeFormat(targetPath);
+  }
+  assertGraphExchangeFormat(format);
+  return format;
+}
+
+/**
+ * Run `memesh export`
+ */
+export async function runExport(targetPath: string, options: ExchangeCommandOptions = {}): Promise<void> {
+  const format = resolveFormat(targetPath, options.format);
+  const kg = await KnowledgeGraph.create(options.db);
+
+  try {
+    const result = await exportGraph(kg, format, targetPath, { overwrite: options.overwrite });
+
+    console.log(chalk.bold.cyan('\n📤 Knowledge Graph Export\n'));
+    console.log(chalk.yellow('Format: ') + result.format);
+    console.log(chalk.yellow('Path: ') + result.path);
+    console.log(chalk.yellow('Entities: ') + result.entityCount);
+    console.log(chalk.yellow('Relations: ') + result.relationCount);
+    console.log('');
+  } finally {
+    kg.close();
+  }
+}
+
+/**
+ * Run `memesh import`
+ */
+export async function runImport(sourcePath: string, options: ExchangeCommandOptions = {}): Promise<void> {
+  const format = resolveFormat(sourcePath, options.format);
+  const kg = await KnowledgeGraph.create(options.db);
+  const secretManager = await SecretManager.create();
+
+  try {
+    const result = await importGraph(kg, format, sourcePath, {
+      overwrite: options.overwrite,
+      redactor: new SecretRedactor(secretManager),
+    });
+
+    console.log(chalk.bold.cyan('\n📥 Knowledge Graph Import\n'));
+    console.log(chalk.yellow('Entities created: ') + result.entitiesCreated);
+    console.log(chalk.yellow('Entities deduplicated: ') + result.entitiesDeduplicated);
+    console.log(chalk.yellow('Entities skipped: ') + result.entitiesSkipped +
+      chalk.dim(options.overwrite ? '' : ' (already exist, use --overwrite to replace)'));
+    console.log(chalk.yellow('Relations created: ') + result.relationsCreated);
+    if (result.relationsSkipped > 0) {
+      console.log(chalk.yellow('Relations skipped: ') + result.relationsSkipped + chalk.dim(' (missing entities)'));
+    }
+    if (result.redacted) {
+      console.log(chalk.yellow('Secrets redacted: ') + result.redacted);
+    }
+
+    if (result.errors.length > 0) {
+      console.log(chalk.red(`\n${result.errors.length} item(s) failed:`));
+      result.errors.forEach(error => {
+        console.log(chalk.red(`  ✗ ${error.item}: `) + error.error);
+      });
+    }
+    console.log('');
+  } finally {
+    secretManager.close();
+    kg.close();
+  }
+}
+
+/**
+ * Create the `memesh export` command
+ */
+export function createExportCommand(): Command {
+  return new Command('export')
+    .description('Export the knowledge graph to JSON-LD, GraphML or a Markdown vault')
+    .argument('<path>', 'Output file (jsonld, graphml) or directory (markdown)')
+    .option('-f, --format <format>', `Export format: ${GRAPH_EXCHANGE_FORMATS.join(', ')} (default: from path)`)
+    .option('--db <path>', 'Knowledge graph database (default: MeMesh data directory)')
+    .option('--overwrite', 'Replace an existing file or write into a non-empty directory')
+    .action(async (targetPath: string, options: ExchangeCommandOptions) => {
+      try {
+        await runExport(targetPath, options);
+      } catch (error) {
+        logger.error('Export failed', { error });
+        console.error(chalk.red('Export failed:'), error instanceof Error ? error.message : error);
+        process.exit(1);
+      }
+    });
+}
+
+/**
+ * Create the `memesh import` command
+ */
+export function createImportCommand(): Command {
+  return new Command('import')
+    .description('Import a knowledge graph exported as JSON-LD, GraphML or a Markdown vault')
+    .argument('<path>', 'Input file (jsonld, graphml) or directory (markdown)')
+    .option('-f, --format <format>', `Import format: ${GRAPH_EXCHANGE_FORMATS.join(', ')} (default: from path)`)
+    .option('--db <path>', 'Knowledge graph database (default: MeMesh data directory)')
+    .option('--overwrite', 'Rewrite entities that already exist by name')
+    .action(async (sourcePath: string, options: ExchangeCommandOptions) => {
+      try {
+        await runImport(sourcePath, options);
+      } catch (error) {
+        logger.error('Import failed', { error });
+        console.error(chalk.red('Import failed:'), error instanceof Error ? error.message : error);
+        process.exit(1);
+      }
+    });
+}
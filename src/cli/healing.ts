@@ -0,0 +1,402 @@
+/**
+ * E2E Healing CLI Commands
+ *
+ * - memesh healing status    Show the autonomy level of a project and why
+ * - memesh healing promote   Raise the autonomy level by one (audited)
+ * - memesh healing demote    Lower the autonomy level by one (audited)
+ * - memesh healing suggestions  List fixes waiting for review
+ * - memesh healing approve   Apply a suggested fix and count it as approved
+ * - memesh healing reject    Discard a suggested fix and count it as rejected
+ *
+ * Levels, fix history and the audit trail live in the autonomy ledger
+ * (<data dir>/healing-ledger.db), per project directory and environment.
+ */
+
+import { Command } from 'commander';
+import chalk from 'chalk';
+import os from 'os';
+import { readFile, writeFile } from 'fs/promises';
+import { AutonomyLedger, type FixSuggestion } from '../agents/e2e-healing/policy/AutonomyLedger.js';
+import {
+  GraduatedAutonomyPolicy,
+  AutomationLevel,
+  type AutonomyExplanation,
+  type GraduationCheck,
+} from '../agents/e2e-healing/policy/GraduatedAutonomyPolicy.js';
+import { logger } from '../utils/logger.js';
+
+interface HealingCommandOptions {
+  project?: string;
+  env?: string;
+  db?: string;
+}
+
+interface HealingStatusCommandOptions extends HealingCommandOptions {
+  json?: boolean;
+}
+
+interface HealingChangeCommandOptions extends HealingCommandOptions {
+  reason: string;
+}
+
+export interface HealingStatus extends AutonomyExplanation {
+  project: string;
+  environment: string;
+}
+
+export interface HealingLevelChange {
+  project: string;
+  environment: string;
+  fromLevel: string;
+  toLevel: string;
+}
+
+export interface HealingReview {
+  suggestion: FixSuggestion;
+  /** Level the suggestion's environment graduated to, if the decision earned one */
+  graduatedTo?: string;
+}
+
+const CRITERION_LABELS: Record<GraduationCheck['criterion'], string> = {
+  successfulFixes: 'Successful fixes',
+  successRate: 'Success rate',
+  rollbacks: 'Rollbacks',
+  approvalRate: 'Human approval rate',
+};
+
+function formatPercent(rate: number): string {
+  return `${Math.round(rate * 100)}%`;
+}
+
+function formatCheck(check: GraduationCheck): string {
+  const isRate = check.criterion === 'successRate' || check.criterion === 'approvalRate';
+  const actual = isRate ? formatPercent(check.actual) : String(check.actual);
+  const required = isRate ? formatPercent(check.required) : String(check.required);
+  const comparison = check.criterion === 'rollbacks' ? `max ${required}` : `need ${required}`;
+  const line = `${CRITERION_LABELS[check.criterion]}: ${actual} (${comparison})`;
+  return check.met ? chalk.green(`    ✓ ${line}`) : chalk.red(`    ✗ ${line}`);
+}
+
+function currentActor(): string {
+  try {
+    return os.userInfo().username;
+  } catch {
+    return process.env.USER ?? 'unknown';
+  }
+}
+
+function withPolicy<T>(
+  options: HealingCommandOptions,
+  environment: string,
+  fn: (policy: GraduatedAutonomyPolicy, project: string) => T
+): T {
+  const ledger = new AutonomyLedger(options.db);
+  try {
+    const project = AutonomyLedger.projectKey(options.project ?? process.cwd());
+    return fn(new GraduatedAutonomyPolicy({ ledger, project, environment }), project);
+  } finally {
+    ledger.close();
+  }
+}
+
+function printStatus(status: HealingStatus): void {
+  console.log(chalk.bold(`  ${status.environment}: `) + chalk.cyan(status.levelName));
+  console.log(
+    chalk.dim(
+      `    ${status.stats.successfulFixes}/${status.stats.totalFixes} fixes succeeded, ` +
+        `${formatPercent(status.stats.approvalRate)} approved by a human, ` +
+        `${status.stats.rollbacks} rollback(s) at this level`
+    )
+  );
+
+  if (status.nextLevel) {
+    const verdict = status.nextLevel.eligible ? chalk.green('eligible') : chalk.yellow('not yet');
+    console.log(`    Next: ${status.nextLevel.levelName} (${verdict})`);
+    status.nextLevel.checks.forEach((check) => console.log(formatCheck(check)));
+  } else {
+    console.log(chalk.dim('    Highest level reached'));
+  }
+
+  if (status.recentChanges.length > 0) {
+    console.log('    Recent changes:');
+    for (const entry of status.recentChanges) {
+      const levels =
+        entry.fromLevel === entry.toLevel
+          ? AutomationLevel[entry.toLevel]
+          : `${AutomationLevel[entry.fromLevel]} → ${AutomationLevel[entry.toLevel]}`;
+      console.log(chalk.dim(`      ${entry.timestamp} ${entry.action} ${levels} by ${entry.actor}: ${entry.reason}`));
+    }
+  }
+  console.log('');
+}
+
+/**
+ * Run `memesh healing status`
+ *
+ * Shows every environment recorded for the project, or dev if none is.
+ *
+ * @returns Status per environment
+ */
+export function runHealingStatus(options: HealingStatusCommandOptions = {}): HealingStatus[] {
+  const ledger = new AutonomyLedger(options.db);
+  let statuses: HealingStatus[];
+  try {
+    const project = AutonomyLedger.projectKey(options.project ?? process.cwd());
+    const environments = options.env
+      ? [options.env]
+      : ledger.listScopes(project).map((scope) => scope.environment);
+    if (environments.length === 0) {
+      environments.push('dev');
+    }
+
+    statuses = environments.map((environment) => ({
+      project,
+      environment,
+      ...new GraduatedAutonomyPolicy({ ledger, project, environment }).explain(),
+    }));
+  } finally {
+    ledger.close();
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(statuses, null, 2));
+    return statuses;
+  }
+
+  console.log(chalk.bold.cyan('\n🩹 E2E Healing Autonomy\n'));
+  console.log(chalk.dim(`  Project: ${statuses[0].project}\n`));
+  statuses.forEach(printStatus);
+
+  return statuses;
+}
+
+/**
+ * Run `memesh healing promote` or `memesh healing demote`
+ *
+ * @throws Error if the level is already at the top (promote) or bottom (demote)
+ */
+export function runHealingChange(
+  direction: 'promote' | 'demote',
+  options: HealingChangeCommandOptions
+): HealingLevelChange {
+  const environment = options.env ?? 'dev';
+  const change = withPolicy(options, environment, (policy, project) => {
+    const fromLevel = AutomationLevel[policy.getCurrentLevel()];
+    const level =
+      direction === 'promote'
+        ? policy.promote(currentActor(), options.reason)
+        : policy.demote(currentActor(), options.reason);
+    return { project, environment, fromLevel, toLevel: AutomationLevel[level] };
+  });
+
+  const icon = direction === 'promote' ? '⬆️ ' : '⬇️ ';
+  console.log(
+    chalk.green(`\n${icon} ${environment}: ${change.fromLevel} → ${change.toLevel}`) +
+      chalk.dim(` (recorded in the audit trail)\n`)
+  );
+
+  return change;
+}
+
+/**
+ * Run `memesh healing suggestions`
+ *
+ * @returns Pending suggestions of the project, oldest first
+ */
+export function runHealingSuggestions(options: HealingStatusCommandOptions = {}): FixSuggestion[] {
+  const ledger = new AutonomyLedger(options.db);
+  let suggestions: FixSuggestion[];
+  try {
+    const project = AutonomyLedger.projectKey(options.project ?? process.cwd());
+    suggestions = ledger
+      .listSuggestions(project)
+      .filter((suggestion) => !options.env || suggestion.environment === options.env);
+  } finally {
+    ledger.close();
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(suggestions, null, 2));
+    return suggestions;
+  }
+
+  if (suggestions.length === 0) {
+    console.log(chalk.dim('\nNo fixes waiting for review\n'));
+    return suggestions;
+  }
+
+  console.log(chalk.bold.cyan('\n🩹 Suggested fixes\n'));
+  for (const suggestion of suggestions) {
+    console.log(chalk.bold(`  #${suggestion.id} `) + `${suggestion.testId} → ${suggestion.targetFile}`);
+    console.log(chalk.dim(`    ${suggestion.environment}, ${suggestion.provider} provider: ${suggestion.rootCause}`));
+    console.log(chalk.dim(suggestion.diff.split('\n').map((line) => `    ${line}`).join('\n')));
+    console.log('');
+  }
+  return suggestions;
+}
+
+/**
+ * Run `memesh healing approve` or `memesh healing reject`
+ *
+ * Approving writes the suggested fix to its target file. Either way the
+ * decision is recorded as a fix of the suggestion's environment (approved
+ * and successful, or rejected and failed), and the environment graduates
+ * when the next level's criteria are met.
+ *
+ * @throws Error if the suggestion does not exist, was already reviewed, or
+ *   (approve) its target file changed since the fix was suggested
+ */
+export async function runHealingReview(
+  decision: 'approve' | 'reject',
+  id: number,
+  options: Pick<HealingCommandOptions, 'db'> = {}
+): Promise<HealingReview> {
+  const ledger = new AutonomyLedger(options.db);
+  let review: HealingReview;
+  try {
+    const suggestion = ledger.getSuggestion(id);
+    if (!suggestion) {
+      throw new Error(`Fix suggestion #${id} not found`);
+    }
+    if (suggestion.status !== 'pending') {
+      throw new Error(`Fix suggestion #${id} was already ${suggestion.status}`);
+    }
+
+    if (decision === 'approve') {
+      const current = await readFile(suggestion.targetFile, 'utf-8').catch(() => '');
+      if (current !== suggestion.original) {
+        throw new Error(
+          `${suggestion.targetFile} changed since fix #${id} was suggested; reject it and run healing again`
+        );
+      }
+      await writeFile(suggestion.targetFile, suggestion.code, 'utf-8');
+    }
+
+    const approved = decision === 'approve';
+    ledger.decideSuggestion(id, approved ? 'approved' : 'rejected', currentActor());
+    const policy = new GraduatedAutonomyPolicy({
+      ledger,
+      project: suggestion.project,
+      environment: suggestion.environment,
+    });
+    policy.recordFix({
+      success: approved,
+      humanApproved: approved,
+      environment: suggestion.environment,
+      testId: suggestion.testId,
+    });
+    review = {
+      suggestion: ledger.getSuggestion(id)!,
+      ...(policy.tryGraduate() ? { graduatedTo: AutomationLevel[policy.getCurrentLevel()] } : {}),
+    };
+  } finally {
+    ledger.close();
+  }
+
+  console.log(
+    decision === 'approve'
+      ? chalk.green(`\n✅ Applied fix #${id} to ${review.suggestion.targetFile}`)
+      : chalk.yellow(`\n🗑️  Rejected fix #${id}`)
+  );
+  if (review.graduatedTo) {
+    console.log(chalk.green(`🎓 ${review.suggestion.environment} graduated to ${review.graduatedTo}`));
+  }
+  console.log('');
+
+  return review;
+}
+
+function addScopeOptions(command: Command): Command {
+  return command
+    .option('-p, --project <dir>', 'Project directory (default: current directory)')
+    .option('--db <path>', 'Autonomy ledger database (default: MeMesh data directory)');
+}
+
+/**
+ * Create the `memesh healing` command
+ */
+export function createHealingCommand(): Command {
+  const healing = new Command('healing').description('Inspect and adjust E2E healing autonomy');
+
+  addScopeOptions(
+    healing
+      .command('status')
+      .description('Show the autonomy level per environment and what the next level needs')
+      .option('-e, --env <environment>', 'Only this environment')
+      .option('--json', 'Print as JSON')
+  ).action((options: HealingStatusCommandOptions) => {
+    try {
+      runHealingStatus(options);
+    } catch (error) {
+      logger.error('Healing status failed', { error });
+      console.error(chalk.red('Healing status failed:'), error instanceof Error ? error.message : error);
+      process.exit(1);
+    }
+  });
+
+  for (const direction of ['promote', 'demote'] as const) {
+    addScopeOptions(
+      healing
+        .command(direction)
+        .description(
+          direction === 'promote'
+            ? 'Raise the autonomy level by one, regardless of graduation criteria'
+            : 'Lower the autonomy level by one'
+        )
+        .option('-e, --env <environment>', 'Environment', 'dev')
+        .requiredOption('-r, --reason <text>', 'Why (recorded in the audit trail)')
+    ).action((options: HealingChangeCommandOptions) => {
+      try {
+        runHealingChange(direction, options);
+      } catch (error) {
+        logger.error(`Healing ${direction} failed`, { error });
+        console.error(
+          chalk.red(`${direction === 'promote' ? 'Promote' : 'Demote'} failed:`),
+          error instanceof Error ? error.message : error
+        );
+        process.exit(1);
+      }
+    });
+  }
+
+  addScopeOptions(
+    healing
+      .command('suggestions')
+      .description('List suggested fixes waiting for review')
+      .option('-e, --env <environment>', 'Only this environment')
+      .option('--json', 'Print as JSON')
+  ).action((options: HealingStatusCommandOptions) => {
+    try {
+      runHealingSuggestions(options);
+    } catch (error) {
+      logger.error('Healing suggestions failed', { error });
+      console.error(chalk.red('Healing suggestions failed:'), error instanceof Error ? error.message : error);
+      process.exit(1);
+    }
+  });
+
+  for (const decision of ['approve', 'reject'] as const) {
+    healing
+      .command(`${decision} <id>`)
+      .description(
+        decision === 'approve'
+          ? 'Apply a suggested fix and count it as approved'
+          : 'Discard a suggested fix and count it as rejected'
+      )
+      .option('--db <path>', 'Autonomy ledger database (default: MeMesh data directory)')
+      .action(async (id: string, options: Pick<HealingCommandOptions, 'db'>) => {
+        try {
+          await runHealingReview(decision, Number.parseInt(id.replace(/^#/, ''), 10), options);
+        } catch (error) {
+          logger.error(`Healing ${decision} failed`, { error });
+          console.error(
+            chalk.red(`${decision === 'approve' ? 'Approve' : 'Reject'} failed:`),
+            error instanceof Error ? error.message : error
+          );
+          process.exit(1);
+        }
+      });
+  }
+
+  return healing;
+}
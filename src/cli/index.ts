@@ -6,10 +6,18 @@
  * Handles user-facing CLI commands:
  * - memesh setup         Interactive configuration wizard
  * - memesh tutorial      Interactive tutorial
- * - memesh dashboard     Session health dashboard
+ * - memesh dashboard     Session health dashboard (--web: browser dashboard)
  * - memesh stats         Usage statistics
  * - memesh report-issue  Bug reporting
  * - memesh config        Configuration management
+ * - memesh export        Export knowledge graph (JSON-LD, GraphML, Markdown)
+ * - memesh import        Import knowledge graph
+ * - memesh secrets       Secret store key management
+ * - memesh scan-secrets  Audit memories for leaked secrets
+ * - memesh prevention    Prevention rule checks (used by the PreToolUse hook)
+ * - memesh db            Database backup, restore and integrity checks
+ * - memesh memory        Knowledge graph maintenance (consolidate, unmerge, stale)
+ * - memesh healing       E2E healing autonomy status, promote, demote and fix review
  * - memesh --version     Show version
  * - memesh --help        Show help
  *
@@ -20,10 +28,16 @@ import { Command } from 'commander';
 import chalk from 'chalk';
 import { runSetupWizard } from './setup-wizard.js';
 import { runTutorial } from './tutorial.js';
-import { runDashboard } from './dashboard.js';
+import { runDashboard, runWebDashboard } from './dashboard.js';
 import { runStats } from './stats.js';
 import { showConfig, validateConfig, editConfig, resetConfig } from './config.js';
 import { createDaemonCommand } from './daemon.js';
+import { createExportCommand, createImportCommand } from './exchange.js';
+import { createSecretsCommand, createScanSecretsCommand } from './secrets.js';
+import { createPreventionCommand } from './prevention.js';
+import { createDbCommand } from './db.js';
+import { createMemoryCommand } from './memory.js';
+import { createHealingCommand } from './healing.js';
 import { logger } from '../utils/logger.js';
 
 // Read version from package.json
@@ -70,8 +84,15 @@ program
 program
   .command('dashboard')
   .description('View session health dashboard with real-time monitoring')
-  .action(async () => {
+  .option('--web', 'Serve the browser dashboard on localhost (memory browser, graph, A2A, live health)')
+  .option('-p, --port <port>', 'Port for --web (default: 7412)')
+  .option('--db <path>', 'Knowledge graph database for --web (default: MeMesh data directory)')
+  .action(async (options) => {
     try {
+      if (options.web) {
+        await runWebDashboard({ port: options.port, db: options.db });
+        return;
+      }
       await runDashboard();
     } catch (error) {
       logger.error('Dashboard failed', { error });
@@ -188,6 +209,26 @@ config
 // Daemon commands
 program.addCommand(createDaemonCommand());
 
+// Knowledge graph export/import commands
+program.addCommand(createExportCommand());
+program.addCommand(createImportCommand());
+
+// Secret store commands
+program.addCommand(createSecretsCommand());
+program.addCommand(createScanSecretsCommand());
+
+// Prevention rule enforcement
+program.addCommand(createPreventionCommand());
+
+// Database maintenance
+program.addCommand(createDbCommand());
+
+// Knowledge graph maintenance
+program.addCommand(createMemoryCommand());
+
+// E2E healing autonomy
+program.addCommand(createHealingCommand());
+
 // Help command (override default to show better format)
 program.on('--help', () => {
   console.log('');
@@ -195,8 +236,18 @@ program.on('--help', () => {
   console.log('  $ memesh setup           # Configure MeMesh interactively');
   console.log('  $ memesh tutorial        # Learn MeMesh in 5 minutes');
   console.log('  $ memesh dashboard       # View session health');
+  console.log('  $ memesh dashboard --web # Browse memory in the browser');
   console.log('  $ memesh daemon status   # Check daemon status');
   console.log('  $ memesh daemon logs -f  # Follow daemon logs');
+  console.log('  $ memesh export kg.json  # Export knowledge graph');
+  console.log('  $ memesh import ./vault  # Import a Markdown vault');
+  console.log('  $ memesh secrets rotate-key  # Re-encrypt secrets with a new key');
+  console.log('  $ memesh scan-secrets    # Find secrets stored in memories');
+  console.log('  $ memesh db backup       # Back up all databases');
+  console.log('  $ memesh db verify       # Check database integrity');
+  console.log('  $ memesh memory consolidate --dry-run  # Preview merging duplicate memories');
+  console.log('  $ memesh memory stale --days 180       # List memories nobody recalls anymore');
+  console.log('  $ memesh healing status                # Show E2E healing autonomy and why');
   console.log('');
   console.log(chalk.bold('Documentation:'));
   console.log('  Quick Start: https://memesh.pcircle.ai/quick-start');
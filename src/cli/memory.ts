@@ -0,0 +1,243 @@
+/**
+ * Memory CLI Commands
+ *
+ * - memesh memory consolidate   Merge near-duplicate entities and summarize long ones
+ * - memesh memory unmerge       Undo merges recorded on an entity
+ * - memesh memory stale         List idle, low-importance entities to archive
+ *
+ * The CLI has no MCP client to sample from, so summaries are extractive.
+ */
+
+import { Command } from 'commander';
+import chalk from 'chalk';
+import { KnowledgeGraph } from '../knowledge-graph/index.js';
+import type { EntityType } from '../knowledge-graph/types.js';
+import {
+  MemoryConsolidator,
+  type ConsolidationResult,
+  type UndoConsolidationResult,
+} from '../memory/MemoryConsolidator.js';
+import { MemoryDecay, type StaleMemory } from '../memory/MemoryDecay.js';
+import { SimpleConfig } from '../config/simple-config.js';
+import { ValidationError } from '../errors/index.js';
+import { logger } from '../utils/logger.js';
+
+interface ConsolidateCommandOptions {
+  db?: string;
+  types?: string[];
+  threshold?: string;
+  maxObservations?: string;
+  dryRun?: boolean;
+}
+
+interface UnmergeCommandOptions {
+  db?: string;
+}
+
+interface StaleCommandOptions {
+  db?: string;
+  days?: string;
+  maxImportance?: string;
+  types?: string[];
+  limit?: string;
+  json?: boolean;
+}
+
+function parseNumberOption(value: string | undefined, name: string): number | undefined {
+  if (value === undefined) {
+    return undefined;
+  }
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    throw new ValidationError(`${name} must be a number`, { component: 'memory-cli', [name]: value });
+  }
+  return parsed;
+}
+
+/**
+ * Run `memesh memory consolidate`
+ */
+export async function runConsolidate(options: ConsolidateCommandOptions = {}): Promise<ConsolidationResult> {
+  const similarityThreshold = parseNumberOption(options.threshold, '--threshold');
+  const maxObservations = parseNumberOption(options.maxObservations, '--max-observations');
+
+  const kg = await KnowledgeGraph.create(options.db);
+  try {
+    const result = await new MemoryConsolidator(kg).consolidate({
+      entityTypes: options.types as EntityType[] | undefined,
+      similarityThreshold,
+      maxObservations,
+      dryRun: options.dryRun,
+    });
+
+    console.log(chalk.bold.cyan(`\n🧹 Memory Consolidation${result.dryRun ? ' (dry run)' : ''}\n`));
+    console.log(chalk.yellow('Entities scanned: ') + result.entitiesScanned);
+
+    if (result.clusters.length === 0) {
+      console.log(chalk.dim('\nNo near-duplicate entities found'));
+    } else {
+      console.log(chalk.bold(`\n${result.dryRun ? 'Would merge' : 'Merged'} ${result.clusters.length} cluster(s):`));
+      for (const cluster of result.clusters) {
+        console.log(chalk.green(`  ✓ ${cluster.canonical}`) + chalk.dim(` (similarity ${cluster.similarity})`));
+        cluster.merged.forEach((name) => console.log(chalk.dim(`      ← ${name}`)));
+      }
+      if (!result.dryRun) {
+        console.log(chalk.yellow('Relations moved: ') + result.relationsMoved);
+      }
+    }
+
+    if (result.summaries.length > 0) {
+      console.log(chalk.bold(`\n${result.dryRun ? 'Would summarize' : 'Summarized'} ${result.summaries.length} entity(ies):`));
+      result.summaries.forEach((summary) =>
+        console.log(chalk.green(`  ✓ ${summary.entity}`) + chalk.dim(` (${summary.observationsSummarized} observations)`))
+      );
+    }
+
+    if (result.errors.length > 0) {
+      console.log(chalk.red(`\n${result.errors.length} error(s):`));
+      result.errors.forEach((error) => console.log(chalk.red(`  ✗ ${error.entity}: ${error.error}`)));
+    }
+
+    if (!result.dryRun && result.clusters.length > 0) {
+      console.log(chalk.dim('\nUndo a merge with: memesh memory unmerge <entity>'));
+    }
+    console.log('');
+
+    return result;
+  } finally {
+    kg.close();
+  }
+}
+
+/**
+ * Run `memesh memory unmerge`
+ *
+ * @param entityName - Entity the others were merged into
+ * @param merged - Only split out this entity (default: all)
+ */
+export async function runUnmerge(
+  entityName: string,
+  merged: string | undefined,
+  options: UnmergeCommandOptions = {}
+): Promise<UndoConsolidationResult> {
+  const kg = await KnowledgeGraph.create(options.db);
+  try {
+    const result = new MemoryConsolidator(kg).undo(entityName, merged);
+
+    console.log(chalk.bold.cyan('\n↩️  Memory Unmerge\n'));
+    console.log(chalk.yellow('Entity: ') + result.canonical);
+    result.restored.forEach((name) => console.log(chalk.green(`  ✓ ${name}`)));
+    console.log('');
+
+    return result;
+  } finally {
+    kg.close();
+  }
+}
+
+/**
+ * Run `memesh memory stale`
+ *
+ * Read-only: lists candidates, archiving is left to the user.
+ */
+export async function runStale(options: StaleCommandOptions = {}): Promise<StaleMemory[]> {
+  const minIdleDays = parseNumberOption(options.days, '--days');
+  const maxImportance = parseNumberOption(options.maxImportance, '--max-importance');
+  const limit = parseNumberOption(options.limit, '--limit');
+
+  const kg = await KnowledgeGraph.create(options.db);
+  try {
+    const stale = new MemoryDecay({ halfLifeDays: SimpleConfig.MEMORY_HALF_LIFE_DAYS }).findStale(kg, {
+      minIdleDays,
+      maxImportance,
+      entityTypes: options.types as EntityType[] | undefined,
+      limit,
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(stale, null, 2));
+      return stale;
+    }
+
+    console.log(chalk.bold.cyan('\n🗄️  Stale Memories\n'));
+    if (stale.length === 0) {
+      console.log(chalk.dim('No archiving candidates found'));
+    } else {
+      console.log(chalk.bold(`${stale.length} candidate(s) for archiving:`));
+      for (const memory of stale) {
+        const recalled = memory.recallCount > 0 ? `recalled ${memory.recallCount}x` : 'never recalled';
+        console.log(chalk.yellow(`  • ${memory.name}`) + chalk.dim(` [${memory.entityType}]`));
+        console.log(chalk.dim(
+          `      importance ${memory.importance} → ${memory.effectiveImportance}, idle ${memory.idleDays} days, ${recalled}`
+        ));
+      }
+    }
+    console.log('');
+
+    return stale;
+  } finally {
+    kg.close();
+  }
+}
+
+/**
+ * Create the `memesh memory` command
+ */
+export function createMemoryCommand(): Command {
+  const memory = new Command('memory').description('Maintain the knowledge graph');
+
+  memory
+    .command('consolidate')
+    .description('Merge near-duplicate entities and summarize long observation lists')
+    .option('--db <path>', 'Knowledge graph database (default: MeMesh data directory)')
+    .option('-t, --types <types...>', 'Entity types to consolidate (default: auto-recorded types)')
+    .option('--threshold <value>', 'Minimum similarity to merge, 0-1 (default: 0.85)')
+    .option('--max-observations <count>', 'Summarize entities with more observations (default: 30)')
+    .option('--dry-run', 'Show what would change without writing')
+    .action(async (options: ConsolidateCommandOptions) => {
+      try {
+        await runConsolidate(options);
+      } catch (error) {
+        logger.error('Memory consolidation failed', { error });
+        console.error(chalk.red('Consolidation failed:'), error instanceof Error ? error.message : error);
+        process.exit(1);
+      }
+    });
+
+  memory
+    .command('unmerge')
+    .description('Undo merges recorded on an entity')
+    .argument('<entity>', 'Entity the others were merged into')
+    .argument('[merged]', 'Only split out this entity')
+    .option('--db <path>', 'Knowledge graph database (default: MeMesh data directory)')
+    .action(async (entity: string, merged: string | undefined, options: UnmergeCommandOptions) => {
+      try {
+        await runUnmerge(entity, merged, options);
+      } catch (error) {
+        logger.error('Memory unmerge failed', { error });
+        console.error(chalk.red('Unmerge failed:'), error instanceof Error ? error.message : error);
+        process.exit(1);
+      }
+    });
+
+  memory
+    .command('stale')
+    .description('List idle, low-importance entities that are candidates for archiving')
+    .option('--db <path>', 'Knowledge graph database (default: MeMesh data directory)')
+    .option('--days <count>', 'Minimum days since last recall (default: 90)')
+    .option('--max-importance <value>', 'Maximum effective importance, 0-1 (default: 0.2)')
+    .option('-t, --types <types...>', 'Entity types to check (default: all)')
+    .option('--limit <count>', 'Maximum number of candidates (default: 50)')
+    .option('--json', 'Output as JSON')
+    .action(async (options: StaleCommandOptions) => {
+      try {
+        await runStale(options);
+      } catch (error) {
+        logger.error('Stale memory report failed', { error });
+        console.error(chalk.red('Stale report failed:'), error instanceof Error ? error.message : error);
+        process.exit(1);
+      }
+    });
+
+  return memory;
+}
@@ -0,0 +1,115 @@
+/**
+ * Prevention CLI Commands
+ *
+ * - memesh prevention check   Check a tool call against prevention rules
+ *
+ * `check` reads an Operation (see PreventionHook) as JSON from stdin and
+ * prints the HookResult as JSON. The PreToolUse hook
+ * (scripts/hooks/pre-tool-use.js) uses it to stop Claude Code before it
+ * repeats a recorded mistake.
+ */
+
+import { Command } from 'commander';
+import chalk from 'chalk';
+import { KnowledgeGraph } from '../knowledge-graph/index.js';
+import { UnifiedMemoryStore } from '../memory/UnifiedMemoryStore.js';
+import { MistakePatternEngine } from '../memory/MistakePatternEngine.js';
+import { PreventionHook, type HookResult, type Operation } from '../memory/PreventionHook.js';
+import { ValidationError } from '../errors/index.js';
+import { logger } from '../utils/logger.js';
+
+interface PreventionCheckCommandOptions {
+  db?: string;
+}
+
+/**
+ * Validate and normalize an operation read from JSON
+ *
+ * Missing context fields default to empty.
+ */
+export function parseOperation(input: unknown): Operation {
+  if (typeof input !== 'object' || input === null || typeof (input as { tool?: unknown }).tool !== 'string') {
+    throw new ValidationError('Operation must be an object with a "tool" name', {
+      component: 'prevention-check',
+    });
+  }
+
+  const raw = input as { tool: string; args?: unknown; context?: Partial<Operation['context']> };
+  const strings = (value: unknown): string[] =>
+    Array.isArray(value) ? value.filter((item): item is string => typeof item === 'string') : [];
+
+  return {
+    tool: raw.tool,
+    args: typeof raw.args === 'object' && raw.args !== null ? (raw.args as Record<string, unknown>) : {},
+    context: {
+      recentTools: strings(raw.context?.recentTools),
+      currentTask: typeof raw.context?.currentTask === 'string' ? raw.context.currentTask : '',
+      filesRead: strings(raw.context?.filesRead),
+      filesModified: strings(raw.context?.filesModified),
+    },
+  };
+}
+
+/**
+ * Run `memesh prevention check`
+ *
+ * @param operation - Tool call to check
+ * @param options - Command options
+ * @returns Hook result
+ */
+export async function runPreventionCheck(
+  operation: Operation,
+  options: PreventionCheckCommandOptions = {}
+): Promise<HookResult> {
+  const kg = await KnowledgeGraph.create(options.db);
+
+  try {
+    const hook = new PreventionHook(new MistakePatternEngine(new UnifiedMemoryStore(kg)), { ruleHits: kg });
+    return await hook.beforeToolCall(operation);
+  } finally {
+    kg.close();
+  }
+}
+
+/**
+ * Read all of stdin
+ */
+async function readStdin(): Promise<string> {
+  const chunks: Buffer[] = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Create the `memesh prevention` command
+ */
+export function createPreventionCommand(): Command {
+  const prevention = new Command('prevention').description('Enforce prevention rules learned from mistakes');
+
+  prevention
+    .command('check')
+    .description('Check a tool call (Operation JSON on stdin) and print the hook result as JSON')
+    .option('--db <path>', 'Knowledge graph database (default: MeMesh data directory)')
+    .action(async (options: PreventionCheckCommandOptions) => {
+      try {
+        const input = await readStdin();
+        let parsed: unknown;
+        try {
+          parsed = JSON.parse(input);
+        } catch {
+          throw new ValidationError('Expected an Operation as JSON on stdin', { component: 'prevention-check' });
+        }
+
+        const result = await runPreventionCheck(parseOperation(parsed), options);
+        process.stdout.write(JSON.stringify(result) + '\n');
+      } catch (error) {
+        logger.error('Prevention check failed', { error });
+        console.error(chalk.red('Prevention check failed:'), error instanceof Error ? error.message : error);
+        process.exit(1);
+      }
+    });
+
+  return prevention;
+}
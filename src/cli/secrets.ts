@@ -0,0 +1,198 @@
+/**
+ * Secrets CLI Commands
+ *
+ * - memesh secrets rotate-key   Re-encrypt every stored secret under a new key version
+ * - memesh scan-secrets         Audit stored memories for secrets written before redaction
+ *
+ * The key provider comes from the environment (see SecretKeyProvider) unless
+ * --provider is given. Keys of earlier versions must still be available while
+ * rotating, e.g. via MEMESH_SECRET_PASSPHRASE_PREVIOUS or MEMESH_SECRET_KEY_PREVIOUS.
+ */
+
+import { Command } from 'commander';
+import chalk from 'chalk';
+import { SecretManager, maskSecretValue } from '../memory/SecretManager.js';
+import { SecretRedactor } from '../memory/SecretRedactor.js';
+import { KnowledgeGraph } from '../knowledge-graph/index.js';
+import {
+  resolveSecretKeyProvider,
+  SECRET_KEY_PROVIDER_KINDS,
+  type SecretKeyProviderKind,
+} from '../memory/SecretKeyProvider.js';
+import type { SecretKeyRotationResult, SecretType } from '../memory/types/secret-types.js';
+import { getDataDirectory } from '../utils/PathResolver.js';
+import { ValidationError } from '../errors/index.js';
+import { logger } from '../utils/logger.js';
+
+interface RotateKeyCommandOptions {
+  db?: string;
+  provider?: SecretKeyProviderKind;
+}
+
+interface ScanSecretsCommandOptions {
+  db?: string;
+  minConfidence?: string;
+}
+
+/**
+ * A secret found in a stored observation
+ */
+export interface SecretScanFinding {
+  /** Entity holding the observation */
+  entityName: string;
+  /** Observation row ID */
+  observationId: number;
+  /** Type of secret detected */
+  type: SecretType;
+  /** Masked preview of the secret */
+  maskedValue: string;
+  /** False if the observation was superseded (kept as history) */
+  current: boolean;
+}
+
+/**
+ * Result of `memesh scan-secrets`
+ */
+export interface SecretScanResult {
+  entitiesScanned: number;
+  observationsScanned: number;
+  findings: SecretScanFinding[];
+}
+
+/**
+ * Run `memesh secrets rotate-key`
+ */
+export async function runRotateKey(options: RotateKeyCommandOptions = {}): Promise<SecretKeyRotationResult> {
+  const keyProvider = resolveSecretKeyProvider(getDataDirectory(), options.provider);
+  const secretManager = await SecretManager.create(options.db, { keyProvider });
+
+  try {
+    const result = await secretManager.rotateKey();
+
+    console.log(chalk.bold.cyan('\n🔑 Secret Key Rotation\n'));
+    console.log(chalk.yellow('Key version: ') + `${result.previousVersion} → ${result.newVersion}`);
+    console.log(chalk.yellow('Provider: ') + result.provider);
+    console.log(chalk.yellow('Secrets re-encrypted: ') + result.reEncrypted);
+    console.log(chalk.dim('\nEarlier key versions are kept so older backups remain decryptable.'));
+    console.log('');
+
+    return result;
+  } finally {
+    secretManager.close();
+  }
+}
+
+/**
+ * Run `memesh scan-secrets`
+ *
+ * Scans every observation, including superseded history, with the same
+ * detection the write-path redaction uses. Read-only: the secrets vault is
+ * not opened (or created).
+ */
+export async function runScanSecrets(options: ScanSecretsCommandOptions = {}): Promise<SecretScanResult> {
+  const minConfidence = options.minConfidence !== undefined ? Number(options.minConfidence) : undefined;
+  if (minConfidence !== undefined && !(minConfidence >= 0 && minConfidence <= 1)) {
+    throw new ValidationError('--min-confidence must be a number between 0 and 1', {
+      component: 'scan-secrets',
+      minConfidence: options.minConfidence,
+    });
+  }
+
+  const kg = await KnowledgeGraph.create(options.db);
+
+  try {
+    // Detection needs only the patterns; opening the vault would create it
+    const redactor = SecretRedactor.detectOnly({ minConfidence });
+    const result: SecretScanResult = { entitiesScanned: 0, observationsScanned: 0, findings: [] };
+
+    for (const entity of kg.getAllEntities()) {
+      result.entitiesScanned++;
+      for (const observation of kg.getObservationHistory(entity.name)) {
+        result.observationsScanned++;
+        for (const secret of redactor.scan(observation.content)) {
+          result.findings.push({
+            entityName: entity.name,
+            observationId: observation.id,
+            type: secret.type,
+            maskedValue: maskSecretValue(secret.value),
+            current: observation.supersededBy === undefined,
+          });
+        }
+      }
+    }
+
+    console.log(chalk.bold.cyan('\n🔍 Secret Scan\n'));
+    console.log(chalk.yellow('Entities scanned: ') + result.entitiesScanned);
+    console.log(chalk.yellow('Observations scanned: ') + result.observationsScanned);
+
+    if (result.findings.length === 0) {
+      console.log(chalk.green('\n✓ No secrets found'));
+    } else {
+      console.log(chalk.red(`\n${result.findings.length} secret(s) found:`));
+      result.findings.forEach((finding) => {
+        console.log(
+          chalk.red(`  ✗ ${finding.entityName}`) +
+            ` [${finding.type}] ${finding.maskedValue}` +
+            chalk.dim(finding.current ? '' : ' (superseded)')
+        );
+      });
+      console.log(chalk.dim('\nRotate these credentials, then delete or rewrite the affected entities.'));
+    }
+    console.log('');
+
+    return result;
+  } finally {
+    kg.close();
+  }
+}
+
+/**
+ * Create the `memesh scan-secrets` command
+ *
+ * Exits with status 1 when secrets are found, so it can gate CI.
+ */
+export function createScanSecretsCommand(): Command {
+  return new Command('scan-secrets')
+    .description('Audit stored memories for API keys, tokens and other secrets')
+    .option('--db <path>', 'Knowledge graph database (default: MeMesh data directory)')
+    .option('--min-confidence <value>', 'Minimum detection confidence, 0-1 (default: 0.85)')
+    .action(async (options: ScanSecretsCommandOptions) => {
+      try {
+        const result = await runScanSecrets(options);
+        if (result.findings.length > 0) {
+          process.exitCode = 1;
+        }
+      } catch (error) {
+        logger.error('Secret scan failed', { error });
+        console.error(chalk.red('Secret scan failed:'), error instanceof Error ? error.message : error);
+        process.exit(1);
+      }
+    });
+}
+
+/**
+ * Create the `memesh secrets` command
+ */
+export function createSecretsCommand(): Command {
+  const secrets = new Command('secrets').description('Manage the encrypted secret store');
+
+  secrets
+    .command('rotate-key')
+    .description('Re-encrypt all secrets with a new key version')
+    .option('--db <path>', 'Secrets database (default: MeMesh data directory)')
+    .option(
+      '-p, --provider <provider>',
+      `Key provider for the new key: ${SECRET_KEY_PROVIDER_KINDS.join(', ')} (default: from environment)`
+    )
+    .action(async (options: RotateKeyCommandOptions) => {
+      try {
+        await runRotateKey(options);
+      } catch (error) {
+        logger.error('Secret key rotation failed', { error });
+        console.error(chalk.red('Key rotation failed:'), error instanceof Error ? error.message : error);
+        process.exit(1);
+      }
+    });
+
+  return secrets;
+}
@@ -13,6 +13,13 @@
  * - LOG_LEVEL: Log level (debug/info/warn/error, default: info)
  * - BEGINNER_MODE: Enable beginner-friendly guidance (default: true)
  * - EVIDENCE_MODE: Require evidence-based output (default: true)
+ * - MEMESH_SEMANTIC_SEARCH: Enable the offline semantic memory index (default: true)
+ * - MEMESH_SECRET_REDACTION: Secret handling on memory writes (mask/vault/reject/off, default: mask)
+ * - MEMESH_MEMORY_HALF_LIFE_DAYS: Half-life of the importance of unrecalled memories (0 = no decay, default: 90)
+ * - MEMESH_BUDGET_DAILY_USD: Daily spend limit in USD (0 = no limit, default: 0)
+ * - MEMESH_BUDGET_PROJECT_USD: Monthly spend limit per project in USD (0 = no limit, default: 0)
+ * - MEMESH_BUDGET_AGENT_USD: Monthly spend limit per agent in USD (0 = no limit, default: 0)
+ * - MEMESH_BUDGET_ALERT_THRESHOLDS: Budget usage fractions that raise alerts (default: 0.5,0.8,1)
  */
 
 import { logger } from '../utils/logger.js';
@@ -21,6 +28,13 @@ import path from 'path';
 import { existsSync, mkdirSync } from 'fs';
 import { expandHome, resolveUserPath } from '../utils/paths.js';
 
+/**
+ * How secrets detected in memory writes are handled (see SecretRedactor)
+ */
+export type SecretRedactionMode = 'mask' | 'vault' | 'reject' | 'off';
+
+const SECRET_REDACTION_MODES: readonly SecretRedactionMode[] = ['mask', 'vault', 'reject', 'off'];
+
 /**
  * Simplified Configuration Class - All configuration read from environment variables
  *
@@ -135,6 +149,130 @@ export class SimpleConfig {
     return this.parseBoolean(process.env.EVIDENCE_MODE, true);
   }
 
+  /**
+   * Semantic (vector) memory recall
+   *
+   * Maintains an offline embedding index next to the knowledge graph and blends
+   * vector similarity into memory search ranking.
+   *
+   * **Environment Variable**: `MEMESH_SEMANTIC_SEARCH`
+   * **Default**: `true`
+   */
+  static get SEMANTIC_SEARCH(): boolean {
+    return this.parseBoolean(process.env.MEMESH_SEMANTIC_SEARCH, true);
+  }
+
+  /**
+   * Secret redaction on memory writes
+   *
+   * Secrets detected in memories and observations are masked, moved into the
+   * SecretManager vault (leaving a `{{secret:name}}` reference), or rejected.
+   *
+   * **Environment Variable**: `MEMESH_SECRET_REDACTION`
+   * **Default**: `'mask'`
+   * **Valid Values**: 'mask' | 'vault' | 'reject' | 'off'
+   * **Validation**: Invalid values fallback to 'mask'
+   */
+  static get SECRET_REDACTION(): SecretRedactionMode {
+    const mode = (process.env.MEMESH_SECRET_REDACTION || 'mask').toLowerCase();
+    if ((SECRET_REDACTION_MODES as readonly string[]).includes(mode)) {
+      return mode as SecretRedactionMode;
+    }
+    logger.warn(`Invalid MEMESH_SECRET_REDACTION "${mode}", using "mask"`);
+    return 'mask';
+  }
+
+  /**
+   * Importance half-life of unused memories
+   *
+   * Memory ranking decays the importance of memories that are not recalled:
+   * the decaying part halves every this many idle days (see MemoryDecay).
+   * Recalls and "useful" feedback reset the clock.
+   *
+   * **Environment Variable**: `MEMESH_MEMORY_HALF_LIFE_DAYS`
+   * **Default**: `90`
+   * **Validation**: Negative or non-numeric values fallback to 90; 0 disables decay
+   */
+  static get MEMORY_HALF_LIFE_DAYS(): number {
+    const raw = process.env.MEMESH_MEMORY_HALF_LIFE_DAYS;
+    if (raw === undefined || raw.trim() === '') {
+      return 90;
+    }
+    const days = Number(raw);
+    if (!Number.isFinite(days) || days < 0) {
+      logger.warn(`Invalid MEMESH_MEMORY_HALF_LIFE_DAYS "${raw}", using 90`);
+      return 90;
+    }
+    return days;
+  }
+
+  /**
+   * Daily spend limit
+   *
+   * Tasks whose estimated cost would exceed what is left of today's budget
+   * are downgraded to a cheaper model or refused (see CostTracker). The
+   * monthly limit stays `MONTHLY_BUDGET_USD`.
+   *
+   * **Environment Variable**: `MEMESH_BUDGET_DAILY_USD`
+   * **Default**: `0` (no limit)
+   * **Validation**: Negative or non-numeric values fallback to 0
+   */
+  static get BUDGET_DAILY_USD(): number {
+    return this.parseUsd('MEMESH_BUDGET_DAILY_USD');
+  }
+
+  /**
+   * Monthly spend limit per project
+   *
+   * Applies to tasks that carry `metadata.projectId`.
+   *
+   * **Environment Variable**: `MEMESH_BUDGET_PROJECT_USD`
+   * **Default**: `0` (no limit)
+   * **Validation**: Negative or non-numeric values fallback to 0
+   */
+  static get BUDGET_PROJECT_USD(): number {
+    return this.parseUsd('MEMESH_BUDGET_PROJECT_USD');
+  }
+
+  /**
+   * Monthly spend limit per agent
+   *
+   * Applies to the agent each task is routed to.
+   *
+   * **Environment Variable**: `MEMESH_BUDGET_AGENT_USD`
+   * **Default**: `0` (no limit)
+   * **Validation**: Negative or non-numeric values fallback to 0
+   */
+  static get BUDGET_AGENT_USD(): number {
+    return this.parseUsd('MEMESH_BUDGET_AGENT_USD');
+  }
+
+  /**
+   * Budget usage fractions that raise alerts
+   *
+   * Each threshold alerts once per budget window (UIEventBus `budget_alert`).
+   *
+   * **Environment Variable**: `MEMESH_BUDGET_ALERT_THRESHOLDS` (comma-separated)
+   * **Default**: `[0.5, 0.8, 1]`
+   * **Validation**: Entries outside (0, 1] are ignored; an empty result falls back to the default
+   */
+  static get BUDGET_ALERT_THRESHOLDS(): number[] {
+    const defaults = [0.5, 0.8, 1];
+    const raw = process.env.MEMESH_BUDGET_ALERT_THRESHOLDS;
+    if (raw === undefined || raw.trim() === '') {
+      return defaults;
+    }
+    const thresholds = raw
+      .split(',')
+      .map((value) => Number(value.trim()))
+      .filter((value) => Number.isFinite(value) && value > 0 && value <= 1);
+    if (thresholds.length === 0) {
+      logger.warn(`Invalid MEMESH_BUDGET_ALERT_THRESHOLDS "${raw}", using ${defaults.join(',')}`);
+      return defaults;
+    }
+    return [...new Set(thresholds)].sort((a, b) => a - b);
+  }
+
   /**
    * Node.js environment name
    *
@@ -325,7 +463,7 @@ export class SimpleConfig {
    * fs.writeFileSync('config.json', JSON.stringify(config, null, 2));
    * ```
    */
-  static getAll(): Record<string, string | boolean> {
+  static getAll(): Record<string, string | number | boolean> {
     return {
       CLAUDE_MODEL: this.CLAUDE_MODEL,
       DATABASE_PATH: this.DATABASE_PATH,
@@ -333,12 +471,32 @@ export class SimpleConfig {
       LOG_LEVEL: this.LOG_LEVEL,
       BEGINNER_MODE: this.BEGINNER_MODE,
       EVIDENCE_MODE: this.EVIDENCE_MODE,
+      SEMANTIC_SEARCH: this.SEMANTIC_SEARCH,
+      SECRET_REDACTION: this.SECRET_REDACTION,
+      MEMORY_HALF_LIFE_DAYS: this.MEMORY_HALF_LIFE_DAYS,
+      BUDGET_DAILY_USD: this.BUDGET_DAILY_USD,
+      BUDGET_PROJECT_USD: this.BUDGET_PROJECT_USD,
+      BUDGET_AGENT_USD: this.BUDGET_AGENT_USD,
+      BUDGET_ALERT_THRESHOLDS: this.BUDGET_ALERT_THRESHOLDS.join(','),
       isDevelopment: this.isDevelopment,
       isProduction: this.isProduction,
       isTest: this.isTest,
     };
   }
 
+  private static parseUsd(name: string): number {
+    const raw = process.env[name];
+    if (raw === undefined || raw.trim() === '') {
+      return 0;
+    }
+    const usd = Number(raw);
+    if (!Number.isFinite(usd) || usd < 0) {
+      logger.warn(`Invalid ${name} "${raw}", using 0 (no limit)`);
+      return 0;
+    }
+    return usd;
+  }
+
   private static parseBoolean(value: string | undefined, defaultValue: boolean): boolean {
     if (value === undefined) {
       return defaultValue;
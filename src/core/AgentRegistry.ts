@@ -14,6 +14,7 @@
  * - Agent metadata including capabilities, MCP tools, and dependencies
  * - Validation for agent queries
  * - Agent count and type enumeration
+ * - User-defined agents loaded from agent definition files (setCustomAgents)
  *
  * Agent Categories:
  * - **development**: Frontend, backend, testing, code review, refactoring
@@ -118,6 +119,9 @@ export interface AgentMetadata {
     properties: Record<string, unknown>;
     required: string[];
   };
+
+  /** Definition file of a user-defined agent (see prompts/AgentDefinitions.ts) */
+  source?: string;
 }
 
 /**
@@ -153,10 +157,13 @@ export interface AgentMetadata {
  */
 export class AgentRegistry {
   private agents: Map<AgentType, AgentMetadata> = new Map();
+  private builtInAgents: Map<AgentType, AgentMetadata>;
+  private customAgentNames: Set<AgentType> = new Set();
 
   constructor() {
     // Auto-register all agents on instantiation
     this.registerAllAgents();
+    this.builtInAgents = new Map(this.agents);
   }
 
   /**
@@ -168,6 +175,29 @@ export class AgentRegistry {
     this.agents.set(agent.name, agent);
   }
 
+  /**
+   * Replace the user-defined agents
+   *
+   * Removes the agents set by the previous call (restoring any built-in agent
+   * they replaced) and registers the new ones. A user-defined agent named
+   * after a built-in agent replaces it.
+   *
+   * @param agents - Metadata of all current user-defined agents
+   */
+  setCustomAgents(agents: AgentMetadata[]): void {
+    for (const name of this.customAgentNames) {
+      const builtIn = this.builtInAgents.get(name);
+      if (builtIn) {
+        this.agents.set(name, builtIn);
+      } else {
+        this.agents.delete(name);
+      }
+    }
+
+    this.customAgentNames = new Set(agents.map(agent => agent.name));
+    agents.forEach(agent => this.registerAgent(agent));
+  }
+
   /**
    * Get all registered agents
    *
@@ -55,7 +55,7 @@ import { DevelopmentButler } from '../agents/DevelopmentButler.js';
 import { ProjectAutoTracker } from '../memory/ProjectAutoTracker.js';
 import type { MCPToolInterface } from './MCPToolInterface.js';
 import { logger } from '../utils/logger.js';
-import { TestOutputParser, type TestResults } from './TestOutputParser.js';
+import { TestOutputParser, formatFailedTest, type TestResults } from './TestOutputParser.js';
 
 /**
  * Tool use data from Claude Code hooks
@@ -445,7 +445,8 @@ export class HookIntegration {
       }
 
       if (this.isTestCommand(bashArgs.command)) {
-        const testResults = this.testParser.parse(toolData.output || '');
+        const testResults = await this.readTestReport(bashArgs.command, toolData)
+          ?? this.testParser.parse(toolData.output || '');
         return {
           name: 'test-complete',
           data: testResults,
@@ -633,27 +634,18 @@ export class HookIntegration {
       const testResults = checkpoint.data;
       const { total, passed, failed, failedTests } = testResults;
 
-      // Convert FailedTest[] to string[] format expected by ProjectAutoTracker
-      const failures = failedTests.map(test => {
-        const parts: string[] = [];
-
-        // Format: "[file]: TestName - Error" or "TestName - Error" or "TestName"
-        if (test.file) {
-          parts.push(`${test.file}:`);
-        }
-        parts.push(test.name);
-        if (test.error) {
-          parts.push(`- ${test.error}`);
-        }
-
-        return parts.join(' ');
-      });
+      // Format: "[file[:line]]: TestName - Error" or "TestName - Error" or "TestName"
+      const failures = failedTests.map(formatFailedTest);
 
       await testResultHook({
         total,
         passed,
         failed,
         failures,
+        skipped: testResults.skipped ?? 0,
+        durationMs: testResults.durationMs,
+        format: testResults.format,
+        failedTests,
       });
     }
   }
@@ -714,9 +706,11 @@ export class HookIntegration {
         break;
       }
       case 'test-complete': {
-        const { total, passed, failed } = data as { total: number; passed: number; failed: number };
-        if (total > 0) details.push(`Tests: ${passed}/${total} passed`);
-        if (failed > 0) details.push(`Failed: ${failed}`);
+        const { total, passed, failed, skipped, format } = data as Partial<TestResults>;
+        if (total) details.push(`Tests: ${passed}/${total} passed`);
+        if (failed) details.push(`Failed: ${failed}`);
+        if (skipped) details.push(`Skipped: ${skipped}`);
+        if (format && format !== 'unknown') details.push(`Report: ${format}`);
         break;
       }
       case 'commit-ready': {
@@ -809,7 +803,13 @@ export class HookIntegration {
   private static readonly TEST_FILE_PATTERNS = ['.test.', '.spec.', '/tests/'];
 
   /** Patterns for detecting test commands */
-  private static readonly TEST_COMMAND_PATTERNS = ['npm test', 'npm run test', 'vitest', 'jest', 'mocha'];
+  private static readonly TEST_COMMAND_PATTERNS = [
+    'npm test', 'npm run test', 'vitest', 'jest', 'mocha',
+    'playwright test', 'node --test', 'pytest', 'go test', 'cargo test',
+  ];
+
+  /** Slack allowed between the command finishing and the report's mtime */
+  private static readonly REPORT_FRESHNESS_GRACE_MS = 5000;
 
   /**
    * Check if file path is a test file
@@ -831,6 +831,25 @@ export class HookIntegration {
     return HookIntegration.TEST_COMMAND_PATTERNS.some(p => command.includes(p));
   }
 
+  /**
+   * Read the machine report a test command wrote to disk, if any
+   *
+   * Reports older than the command run are ignored so a stale file from an
+   * earlier run does not shadow the console output.
+   *
+   * @param command - Bash command that ran the tests
+   * @param toolData - Tool execution data (duration bounds the report age)
+   * @returns Parsed report, or null to fall back to the console output
+   */
+  private async readTestReport(command: string, toolData: ToolUseData): Promise<TestResults | null> {
+    const reportPath = this.testParser.findReportPath(command);
+    if (!reportPath) return null;
+
+    return this.testParser.parseReportFile(reportPath, {
+      modifiedSince: Date.now() - (toolData.duration ?? 0) - HookIntegration.REPORT_FRESHNESS_GRACE_MS,
+    });
+  }
+
   /**
    * Check if command is git add
    *
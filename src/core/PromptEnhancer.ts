@@ -31,6 +31,7 @@
  * - **Integration**: api-integrator, migration-assistant
  * - **Architecture**: architecture-agent
  * - **General**: general-agent
+ * - **User-defined**: agents from `.memesh/agents/*.md` definition files (see AgentDefinitions.ts)
  *
  * Complexity-Based Model Selection:
  * - **simple**: claude-3-5-haiku-20241022 (fast, cost-effective)
@@ -80,12 +81,13 @@
 
 import { AgentType, Task, EnhancedPrompt } from '../orchestrator/types.js';
 import { SimpleConfig } from '../config/simple-config.js';
+import { ValidationError } from '../errors/index.js';
 import {
-  AGENT_PERSONAS,
-  AGENT_TOOLS,
-  AGENT_INSTRUCTIONS,
-  MODEL_SUGGESTIONS,
+  getBuiltInAgentTemplate,
+  isBuiltInAgentType,
+  type AgentTemplate,
 } from '../prompts/templates/PromptTemplates.js';
+import type { AgentDefinitionSource } from '../prompts/AgentDefinitions.js';
 
 /**
  * All constant templates have been extracted to PromptTemplates.ts
@@ -152,6 +154,12 @@ import {
  * ```
  */
 export class PromptEnhancer {
+  /**
+   * @param agentDefinitions - User-defined agents; a definition named after a
+   *   built-in agent replaces its template (default: built-in agents only)
+   */
+  constructor(private agentDefinitions?: AgentDefinitionSource) {}
+
   /**
    * Enhance prompt for a specific agent and task
    *
@@ -228,7 +236,7 @@ export class PromptEnhancer {
       taskId: task.id,
       complexity,
       timestamp: Date.now(),
-      tools: AGENT_TOOLS[agentType],
+      tools: this.getAgentTools(agentType),
     };
 
     if (guardrails) {
@@ -242,8 +250,8 @@ export class PromptEnhancer {
    * Build system prompt for agent
    *
    * Constructs the system prompt by combining:
-   * 1. Agent persona (from AGENT_PERSONAS constant)
-   * 2. Available tools list (from AGENT_TOOLS constant)
+   * 1. Agent persona (from AGENT_PERSONAS or the agent's definition file)
+   * 2. Available tools list (from AGENT_TOOLS or the agent's definition file)
    * 3. General instruction for detailed, actionable responses
    *
    * System Prompt Structure:
@@ -286,8 +294,7 @@ export class PromptEnhancer {
    * ```
    */
   private buildSystemPrompt(agentType: AgentType): string {
-    const persona = AGENT_PERSONAS[agentType];
-    const tools = AGENT_TOOLS[agentType];
+    const { persona, tools } = this.getTemplate(agentType);
 
     let systemPrompt = persona;
 
@@ -505,15 +512,15 @@ export class PromptEnhancer {
    * ```
    */
   private getAgentSpecificInstructions(agentType: AgentType): string {
-    return AGENT_INSTRUCTIONS[agentType];
+    return this.getTemplate(agentType).instructions;
   }
 
   /**
    * Suggest model based on agent type and complexity
    *
    * Selects the most appropriate Claude model for the given agent type and task complexity
-   * by looking up the MODEL_SUGGESTIONS constant. Different agent types may have different
-   * model preferences even at the same complexity level.
+   * by looking up the MODEL_SUGGESTIONS constant (or the agent's definition file). Different
+   * agent types may have different model preferences even at the same complexity level.
    *
    * Model Selection Strategy:
    * - **simple**: Fast, cost-effective (typically Haiku)
@@ -553,13 +560,13 @@ export class PromptEnhancer {
    * ```
    */
   private suggestModel(agentType: AgentType, complexity: 'simple' | 'medium' | 'complex'): string {
-    return MODEL_SUGGESTIONS[agentType][complexity];
+    return this.getTemplate(agentType).models[complexity];
   }
 
   /**
    * Get agent persona (for testing/debugging)
    *
-   * Retrieves the full persona string for a given agent type from the AGENT_PERSONAS constant.
+   * Retrieves the full persona string for a given agent type from the AGENT_PERSONAS constant or its definition file.
    * Useful for testing, debugging, or displaying agent capabilities to users.
    *
    * Persona Structure:
@@ -597,13 +604,13 @@ export class PromptEnhancer {
    * ```
    */
   getAgentPersona(agentType: AgentType): string {
-    return AGENT_PERSONAS[agentType];
+    return this.getTemplate(agentType).persona;
   }
 
   /**
    * Get agent tools (for testing/debugging)
    *
-   * Retrieves the list of available tools for a given agent type from the AGENT_TOOLS constant.
+   * Retrieves the list of available tools for a given agent type from the AGENT_TOOLS constant or its definition file.
    * Useful for testing, debugging, or displaying agent capabilities to users.
    *
    * Tool Categories:
@@ -651,6 +658,27 @@ export class PromptEnhancer {
    * ```
    */
   getAgentTools(agentType: AgentType): string[] {
-    return AGENT_TOOLS[agentType];
+    return this.getTemplate(agentType).tools;
+  }
+
+  /**
+   * Resolve an agent's template: its definition file, or the built-in template
+   *
+   * @throws ValidationError if the agent is neither defined nor built in
+   */
+  private getTemplate(agentType: AgentType): AgentTemplate {
+    const definition = this.agentDefinitions?.get(agentType);
+    if (definition) {
+      return definition;
+    }
+
+    if (isBuiltInAgentType(agentType)) {
+      return getBuiltInAgentTemplate(agentType);
+    }
+
+    throw new ValidationError(`Unknown agent type: ${agentType}`, {
+      component: 'PromptEnhancer',
+      providedValue: agentType,
+    });
   }
 }
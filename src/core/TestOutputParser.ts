@@ -1,14 +1,24 @@
 /**
  * Test Output Parser - Extract Test Results from Framework Outputs
  *
- * Parses test output from popular test frameworks (Vitest, Jest, Mocha) to extract
- * test counts and detailed failure information. Supports multiple output formats
- * and provides structured data for test result tracking.
+ * Parses test runner output into structured results. Machine-readable reports
+ * are preferred because their counts are exact and they carry per-test
+ * duration, file and stack; console text is only parsed heuristically when no
+ * report is found.
  *
- * Supported Frameworks:
- * - **Vitest**: " FAIL  <file> > <suite> > <test>"
- * - **Jest**: " ● <suite> › <test>"
- * - **Mocha**: "  1) Suite test:" or "  1) Suite\n     test:"
+ * Machine reports:
+ * - **JUnit XML**: `<testsuites>` / `<testsuite>` with `<testcase>` elements
+ * - **TAP**: `ok` / `not ok` test points with YAML diagnostics (node:test, tap, tape)
+ * - **Vitest / Jest JSON**: `--reporter=json` / `--json` (`testResults[].assertionResults[]`)
+ * - **Playwright JSON**: `--reporter=json` (`suites[].specs[].tests[].results[]`)
+ *
+ * Console text:
+ * - **Vitest**: "Tests  2 failed | 6 passed (8)" and " FAIL  <file> > <suite> > <test>"
+ * - **Jest**: "Tests: 2 failed, 15 passed, 17 total" and " ● <suite> › <test>"
+ * - **Mocha**: "15 passing" / "2 failing" and "  1) Suite test:"
+ * - **pytest**: "=== 1 failed, 3 passed in 0.12s ===" and "FAILED <file>::<test> - <error>"
+ * - **go test**: "--- FAIL: TestName (0.00s)" followed by "file_test.go:12: message"
+ * - **cargo test**: "test name ... FAILED" and "test result: ..." summaries
  *
  * @example
  * ```typescript
@@ -17,7 +27,7 @@
  * const parser = new TestOutputParser();
  * const results = parser.parse(testOutput);
  *
- * console.log(`${results.passed}/${results.total} tests passed`);
+ * console.log(`${results.passed}/${results.total} tests passed (${results.format})`);
  * if (results.failed > 0) {
  *   results.failedTests.forEach(test => {
  *     console.log(`Failed: ${test.name} - ${test.error}`);
@@ -26,6 +36,8 @@
  * ```
  */
 
+import { promises as fs } from 'fs';
+
 /**
  * Failed test details extracted from test output
  */
@@ -36,10 +48,43 @@ export interface FailedTest {
   /** File path where the test is located (if extractable from output) */
   file?: string;
 
+  /** Line of the failing assertion within `file` (if reported) */
+  line?: number;
+
   /** Error message or type (if extracted from output) */
   error?: string;
+
+  /** Full failure message including stack trace (machine reports only) */
+  stack?: string;
+
+  /** Test duration in milliseconds (if reported) */
+  durationMs?: number;
 }
 
+/**
+ * Outcome of a single test case
+ */
+export interface TestCaseResult extends FailedTest {
+  status: 'passed' | 'failed' | 'skipped';
+}
+
+/**
+ * Where a test result was read from
+ */
+export type TestReportFormat =
+  | 'junit-xml'
+  | 'tap'
+  | 'vitest-json'
+  | 'jest-json'
+  | 'playwright-json'
+  | 'vitest'
+  | 'jest'
+  | 'mocha'
+  | 'pytest'
+  | 'go'
+  | 'cargo'
+  | 'unknown';
+
 /**
  * Test results with detailed failure information
  */
@@ -53,13 +98,62 @@ export interface TestResults {
   /** Number of failed tests */
   failed: number;
 
+  /** Number of skipped, pending or todo tests */
+  skipped: number;
+
   /** Array of failed test details (empty if no failures or unknown format) */
   failedTests: FailedTest[];
 
+  /** Report or console format the results were parsed from */
+  format: TestReportFormat;
+
+  /** Wall-clock duration of the run in milliseconds (if reported) */
+  durationMs?: number;
+
+  /** Every test case (only when the output lists individual tests) */
+  tests?: TestCaseResult[];
+
   /** Allow additional properties for compatibility with Record<string, unknown> */
   [key: string]: unknown;
 }
 
+/**
+ * Options for reading a report file
+ */
+export interface ReportFileOptions {
+  /** Ignore the file if it was last written before this time (epoch ms) */
+  modifiedSince?: number;
+}
+
+/**
+ * Command-line flags that write a machine report to a file
+ * (vitest/jest `--outputFile`, pytest `--junitxml`, node:test `--test-reporter-destination`)
+ */
+const REPORT_PATH_PATTERNS = [
+  /--outputFile(?:\.[\w-]+)?[=\s]+("[^"]+"|'[^']+'|\S+)/,
+  /--junit-?xml[=\s]+("[^"]+"|'[^']+'|\S+)/,
+  /--test-reporter-destination[=\s]+("[^"]+"|'[^']+'|\S+)/,
+  /PLAYWRIGHT_JSON_OUTPUT_NAME=("[^"]+"|'[^']+'|\S+)/,
+];
+
+/** Paths of test source files, as opposed to dotted class names */
+const SOURCE_FILE_PATTERN = /[\\/]|\.(?:[cm]?[jt]sx?|py|go|rs|rb|java|kt|cs)$/;
+
+/**
+ * Format a failed test as a single line: "file:line: name - error"
+ */
+export function formatFailedTest(test: FailedTest): string {
+  const parts: string[] = [];
+  if (test.file) {
+    parts.push(test.line !== undefined ? `${test.file}:${test.line}:` : `${test.file}:`);
+  }
+  parts.push(test.name);
+  if (test.error) {
+    parts.push(`- ${test.error}`);
+  }
+  return parts.join(' ');
+}
+
 /**
  * Test Output Parser
  *
@@ -72,13 +166,390 @@ export class TestOutputParser {
   /**
    * Parse test output and extract results
    *
-   * Automatically detects test framework and extracts test counts plus detailed
-   * failure information. Returns zero counts if no test patterns found.
+   * Machine reports embedded in the output (JSON, JUnit XML, TAP) win over
+   * console text. Returns zero counts if no test patterns are found.
    *
    * @param output - Raw test output string from test runner
    * @returns Parsed test results with counts and failure details
    */
   parse(output: string): TestResults {
+    return this.parseReport(output) ?? this.parseConsole(stripAnsi(output));
+  }
+
+  /**
+   * Parse a machine report written to disk
+   *
+   * @param path - Report file path
+   * @param options - Freshness check
+   * @returns Parsed results, or null if the file is missing, stale or not a known report
+   */
+  async parseReportFile(path: string, options: ReportFileOptions = {}): Promise<TestResults | null> {
+    try {
+      if (options.modifiedSince !== undefined) {
+        const stats = await fs.stat(path);
+        if (stats.mtimeMs < options.modifiedSince) {
+          return null;
+        }
+      }
+      return this.parseReport(await fs.readFile(path, 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Find the report file a test command writes to
+   *
+   * @param command - Shell command that ran the tests
+   * @returns Report path, or null if the command does not write one
+   */
+  findReportPath(command: string): string | null {
+    for (const pattern of REPORT_PATH_PATTERNS) {
+      const match = pattern.exec(command);
+      if (match) {
+        return match[1].replace(/^["']|["']$/g, '');
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse a machine-readable report, or return null if the content is not one
+   */
+  private parseReport(content: string): TestResults | null {
+    const json = extractJson(content);
+    if (json) {
+      const results = this.parseJsonReport(json);
+      if (results) return results;
+    }
+    if (/<testsuites?\b/.test(content)) {
+      return this.parseJUnitXml(content);
+    }
+    if (/^TAP version \d+/m.test(content) || (/^\s*1\.\.\d+\s*$/m.test(content) && /^\s*(?:not )?ok\b/m.test(content))) {
+      return this.parseTap(content);
+    }
+    return null;
+  }
+
+  private parseJsonReport(report: Record<string, unknown>): TestResults | null {
+    if (Array.isArray(report.testResults)) {
+      return this.parseJestJson(report);
+    }
+    if (Array.isArray(report.suites) && ('config' in report || 'stats' in report)) {
+      return this.parsePlaywrightJson(report);
+    }
+    return null;
+  }
+
+  /**
+   * Jest `--json` and Vitest `--reporter=json` share a layout; Vitest adds a
+   * `meta` object to every assertion result
+   */
+  private parseJestJson(report: Record<string, unknown>): TestResults {
+    const tests: TestCaseResult[] = [];
+    let isVitest = false;
+    let endTime = 0;
+
+    for (const file of report.testResults as Array<Record<string, unknown>>) {
+      const filePath = (file.name ?? file.testFilePath) as string | undefined;
+      if (typeof file.endTime === 'number') endTime = Math.max(endTime, file.endTime);
+
+      for (const assertion of (file.assertionResults ?? []) as Array<Record<string, unknown>>) {
+        if ('meta' in assertion) isVitest = true;
+
+        const ancestors = (assertion.ancestorTitles ?? []) as string[];
+        const title = String(assertion.title ?? assertion.fullName ?? '');
+        const location = assertion.location as { line?: number } | undefined;
+        const status = assertion.status === 'passed' ? 'passed' : assertion.status === 'failed' ? 'failed' : 'skipped';
+
+        tests.push({
+          name: [...ancestors, title].filter(Boolean).join(' > '),
+          file: filePath,
+          line: location?.line,
+          status,
+          durationMs: typeof assertion.duration === 'number' ? Math.round(assertion.duration) : undefined,
+          ...splitFailure(((assertion.failureMessages ?? []) as string[]).join('\n')),
+        });
+      }
+    }
+
+    const startTime = report.startTime as number | undefined;
+    return fromTestCases(tests, isVitest ? 'vitest-json' : 'jest-json',
+      startTime && endTime > startTime ? Math.round(endTime - startTime) : undefined);
+  }
+
+  private parsePlaywrightJson(report: Record<string, unknown>): TestResults {
+    const tests: TestCaseResult[] = [];
+
+    const visit = (suite: Record<string, unknown>, titles: string[]): void => {
+      // File-level suites are titled with the file path, which is reported separately
+      const path = suite.title && suite.title !== suite.file ? [...titles, String(suite.title)] : titles;
+
+      for (const spec of (suite.specs ?? []) as Array<Record<string, unknown>>) {
+        for (const test of (spec.tests ?? []) as Array<Record<string, unknown>>) {
+          const results = (test.results ?? []) as Array<Record<string, unknown>>;
+          const last = results[results.length - 1];
+          const error = last?.error as { message?: string; stack?: string } | undefined;
+          const status = test.status === 'unexpected' ? 'failed'
+            : test.status === 'skipped' || last?.status === 'skipped' ? 'skipped'
+            : 'passed';
+          const project = test.projectName ? ` [${test.projectName}]` : '';
+
+          tests.push({
+            name: [...path, String(spec.title)].join(' > ') + project,
+            file: spec.file as string | undefined,
+            line: spec.line as number | undefined,
+            status,
+            durationMs: results.reduce((sum, result) => sum + ((result.duration as number) || 0), 0),
+            ...(status === 'failed' ? splitFailure(error?.stack ?? error?.message ?? '') : {}),
+          });
+        }
+      }
+
+      for (const child of (suite.suites ?? []) as Array<Record<string, unknown>>) {
+        visit(child, path);
+      }
+    };
+
+    for (const suite of report.suites as Array<Record<string, unknown>>) {
+      visit(suite, []);
+    }
+
+    const stats = report.stats as { duration?: number } | undefined;
+    return fromTestCases(tests, 'playwright-json',
+      typeof stats?.duration === 'number' ? Math.round(stats.duration) : undefined);
+  }
+
+  private parseJUnitXml(content: string): TestResults {
+    const tests: TestCaseResult[] = [];
+
+    for (const suite of content.matchAll(/<testsuite\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testsuite>)/g)) {
+      const suiteFile = parseXmlAttributes(suite[1]).file;
+
+      for (const testcase of (suite[2] ?? '').matchAll(/<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g)) {
+        const attributes = parseXmlAttributes(testcase[1]);
+        const body = testcase[2] ?? '';
+        const failure = /<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/.exec(body);
+        // Vitest reports the file as classname, pytest the dotted module/class path
+        const classname = attributes.classname;
+        const classIsFile = classname !== undefined && SOURCE_FILE_PATTERN.test(classname);
+        const name = attributes.name ?? '';
+        const file = attributes.file ?? suiteFile ?? (classIsFile ? classname : undefined);
+
+        const test: TestCaseResult = {
+          name: classname && !classIsFile && !name.includes(classname) ? `${classname} > ${name}` : name || classname || '',
+          file,
+          line: attributes.line ? parseInt(attributes.line, 10) : undefined,
+          status: failure ? 'failed' : /<skipped\b/.test(body) ? 'skipped' : 'passed',
+          durationMs: attributes.time ? Math.round(parseFloat(attributes.time) * 1000) : undefined,
+        };
+
+        if (failure) {
+          const message = parseXmlAttributes(failure[2]).message;
+          const stack = decodeXml((failure[3] ?? '').replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')).trim();
+          const detail = splitFailure(stack || message || '');
+          test.error = message?.split('\n')[0].trim() || detail.error;
+          test.stack = detail.stack;
+        }
+
+        tests.push(test);
+      }
+    }
+
+    const root = /<testsuites\b([^>]*)>/.exec(content);
+    const time = root ? parseXmlAttributes(root[1]).time : undefined;
+    return fromTestCases(tests, 'junit-xml', time ? Math.round(parseFloat(time) * 1000) : undefined);
+  }
+
+  /**
+   * Parse TAP test points. Parent tests that only group subtests (node:test
+   * prints them after their indented children) are not counted.
+   */
+  private parseTap(content: string): TestResults {
+    const tests: TestCaseResult[] = [];
+    const lines = content.split('\n');
+    let lastIndent = -1;
+
+    for (let i = 0; i < lines.length; i++) {
+      const point = /^(\s*)(not ok|ok)\b(?:\s+\d+)?(?:\s*-)?\s*(.*?)\s*(?:#\s*(SKIP|TODO)\b.*)?$/i.exec(lines[i]);
+      if (!point) continue;
+
+      const indent = point[1].length;
+      const diagnostics = readTapDiagnostics(lines, i + 1, indent);
+      const isParent = indent < lastIndent;
+      lastIndent = indent;
+      if (isParent) continue;
+
+      const status = point[4] ? 'skipped' : point[2].toLowerCase() === 'ok' ? 'passed' : 'failed';
+      const location = /^(.*?):(\d+)(?::\d+)?$/.exec(diagnostics.location ?? diagnostics.at ?? '');
+      const test: TestCaseResult = {
+        name: point[3].replace(/^["']|["']$/g, ''),
+        status,
+        file: location?.[1] ?? diagnostics.file,
+        line: location ? parseInt(location[2], 10) : undefined,
+        durationMs: diagnostics.duration_ms ? Math.round(parseFloat(diagnostics.duration_ms)) : undefined,
+      };
+
+      if (status === 'failed') {
+        test.error = diagnostics.message?.split('\n')[0] || diagnostics.error?.split('\n')[0];
+        test.stack = diagnostics.stack;
+      }
+
+      tests.push(test);
+    }
+
+    const duration = /^#\s*duration_ms\s+([\d.]+)/m.exec(content);
+    return fromTestCases(tests, 'tap', duration ? Math.round(parseFloat(duration[1])) : undefined);
+  }
+
+  /**
+   * Parse console output using the most specific summary found
+   */
+  private parseConsole(output: string): TestResults {
+    return this.parseCargo(output)
+      ?? this.parseGoTest(output)
+      ?? this.parsePytest(output)
+      ?? this.parseJestConsole(output)
+      ?? this.parseVitestConsole(output)
+      ?? this.parseMochaConsole(output)
+      ?? this.parseGeneric(output);
+  }
+
+  private parseCargo(output: string): TestResults | null {
+    const summaries = [...output.matchAll(/^test result: \w+\. (\d+) passed; (\d+) failed; (\d+) ignored.*?(?:finished in ([\d.]+)s)?\s*$/gm)];
+    const lines = [...output.matchAll(/^test (\S+) \.\.\. (ok|FAILED|ignored)\b/gm)];
+    if (summaries.length === 0 && lines.length === 0) return null;
+
+    const failures = new Map<string, Partial<FailedTest>>();
+    for (const block of output.matchAll(/^---- (\S+) stdout ----\n([\s\S]*?)(?=\n\n|\n---- |(?![\s\S]))/gm)) {
+      const panic = /panicked at (?:'([^\n]*)', )?([^\s:']+):(\d+):\d+:?\n?(.*)/.exec(block[2]);
+      failures.set(block[1], panic
+        ? { file: panic[2], line: parseInt(panic[3], 10), error: (panic[1] ?? panic[4]).trim() || undefined, stack: block[2].trim() }
+        : { error: block[2].trim().split('\n')[0] || undefined });
+    }
+
+    const tests: TestCaseResult[] = lines.map(match => ({
+      name: match[1],
+      status: match[2] === 'ok' ? 'passed' : match[2] === 'FAILED' ? 'failed' : 'skipped',
+      ...(match[2] === 'FAILED' ? failures.get(match[1]) : {}),
+    }));
+
+    if (summaries.length === 0) {
+      return fromTestCases(tests, 'cargo');
+    }
+
+    const sum = (index: number) => summaries.reduce((total, match) => total + parseInt(match[index], 10), 0);
+    const seconds = summaries.reduce((total, match) => total + parseFloat(match[4] ?? '0'), 0);
+    return buildResults('cargo', { passed: sum(1), failed: sum(2), skipped: sum(3) },
+      tests.filter(test => test.status === 'failed').map(toFailedTest),
+      { durationMs: Math.round(seconds * 1000), tests });
+  }
+
+  private parseGoTest(output: string): TestResults | null {
+    const packages = [...output.matchAll(/^(?:ok|FAIL)[ \t]+\S+[ \t]+([\d.]+)s\b/gm)];
+    if (!/^\s*--- (?:PASS|FAIL|SKIP): /m.test(output) && packages.length === 0) return null;
+
+    const results = new Map<string, TestCaseResult>();
+    const messages = new Map<string, { file: string; line: number; error: string }>();
+    let current: string | undefined;
+
+    for (const line of output.split('\n')) {
+      const run = /^=== (?:RUN|CONT)\s+(\S+)/.exec(line);
+      const result = /^\s*--- (PASS|FAIL|SKIP): (\S+) \(([\d.]+)s\)/.exec(line);
+      const log = /^\s+([\w./-]+\.go):(\d+): (.*)$/.exec(line);
+
+      if (run) {
+        current = run[1];
+      } else if (result) {
+        current = result[2];
+        results.set(current, {
+          name: current,
+          status: result[1] === 'PASS' ? 'passed' : result[1] === 'FAIL' ? 'failed' : 'skipped',
+          durationMs: Math.round(parseFloat(result[3]) * 1000),
+        });
+      } else if (log && current && !messages.has(current)) {
+        messages.set(current, { file: log[1], line: parseInt(log[2], 10), error: log[3].trim() });
+      }
+    }
+
+    // Parent tests pass or fail with their subtests; count the leaves only
+    const names = [...results.keys()];
+    const tests = [...results.values()]
+      .filter(test => !names.some(name => name.startsWith(`${test.name}/`)))
+      .map(test => (test.status === 'failed' ? { ...test, ...messages.get(test.name) } : test));
+
+    const seconds = packages.reduce((total, match) => total + parseFloat(match[1]), 0);
+    return fromTestCases(tests, 'go', packages.length > 0 ? Math.round(seconds * 1000) : undefined);
+  }
+
+  private parsePytest(output: string): TestResults | null {
+    const summaries = [...output.matchAll(/^=+ (.*?\b(?:passed|failed|skipped|errors?|xfailed|xpassed|deselected)\b.*?) in ([\d.]+)s\b.*=+\s*$/gm)];
+    const summary = summaries[summaries.length - 1];
+    if (!summary) return null;
+
+    const counts = countByKeyword(summary[1]);
+    const failedTests: FailedTest[] = [];
+    for (const match of output.matchAll(/^(?:FAILED|ERROR) (\S+?)::(\S+)(?: - (.*))?$/gm)) {
+      failedTests.push({ name: match[2], file: match[1], error: match[3]?.trim() });
+    }
+
+    return buildResults('pytest', {
+      passed: counts.passed + counts.xpassed,
+      failed: counts.failed + counts.error + counts.errors,
+      skipped: counts.skipped + counts.xfailed,
+    }, failedTests, { durationMs: Math.round(parseFloat(summary[2]) * 1000) });
+  }
+
+  private parseJestConsole(output: string): TestResults | null {
+    const summaries = [...output.matchAll(/^\s*Tests:\s+(.*\d+ total)\s*$/gm)];
+    const summary = summaries[summaries.length - 1];
+    if (!summary) return null;
+
+    const counts = countByKeyword(summary[1]);
+    const time = /^\s*Time:\s+([\d.]+)\s*(ms|s)\b/m.exec(output);
+    return buildResults('jest', {
+      passed: counts.passed,
+      failed: counts.failed,
+      skipped: counts.skipped + counts.todo,
+      total: counts.total,
+    }, counts.failed > 0 ? this.parseJestFailures(output) : [], { durationMs: time ? toMilliseconds(time[1], time[2]) : undefined });
+  }
+
+  private parseVitestConsole(output: string): TestResults | null {
+    const summaries = [...output.matchAll(/^\s*Tests\s{2,}(\d+ \w+(?: \| \d+ \w+)*) \((\d+)\)/gm)];
+    const summary = summaries[summaries.length - 1];
+    if (!summary) return null;
+
+    const counts = countByKeyword(summary[1]);
+    const duration = /^\s*Duration\s+([\d.]+)(ms|s)\b/m.exec(output);
+    return buildResults('vitest', {
+      passed: counts.passed,
+      failed: counts.failed,
+      skipped: counts.skipped + counts.todo,
+      total: parseInt(summary[2], 10),
+    }, counts.failed > 0 ? this.parseVitestFailures(output) : [], { durationMs: duration ? toMilliseconds(duration[1], duration[2]) : undefined });
+  }
+
+  private parseMochaConsole(output: string): TestResults | null {
+    const passing = /^\s*(\d+) passing(?: \((\d+)(ms|s|m)\))?/m.exec(output);
+    const failing = /^\s*(\d+) failing/m.exec(output);
+    if (!passing && !failing) return null;
+
+    const pending = /^\s*(\d+) pending/m.exec(output);
+    const failed = failing ? parseInt(failing[1], 10) : 0;
+    return buildResults('mocha', {
+      passed: passing ? parseInt(passing[1], 10) : 0,
+      failed,
+      skipped: pending ? parseInt(pending[1], 10) : 0,
+    }, failed > 0 ? this.parseMochaFailures(output) : [], {
+      durationMs: passing?.[2] ? toMilliseconds(passing[2], passing[3]) : undefined,
+    });
+  }
+
+  /**
+   * Fallback for unrecognised output: the last "N passed" / "N failed" counts
+   */
+  private parseGeneric(output: string): TestResults {
     const passedPattern = /(\d+)\s+(?:tests?\s+)?pass(?:ed|ing)/gi;
     const failedPattern = /(\d+)\s+(?:tests?\s+)?fail(?:ed|ing)/gi;
 
@@ -94,7 +565,6 @@ export class TestOutputParser {
       failed = parseInt(match[1], 10);
     }
 
-    const total = passed + failed;
     let failedTests: FailedTest[] = [];
 
     if (failed > 0) {
@@ -112,7 +582,7 @@ export class TestOutputParser {
       }
     }
 
-    return { total, passed, failed, failedTests };
+    return buildResults('unknown', { passed, failed, skipped: 0 }, failedTests);
   }
 
   private detectFramework(output: string): 'vitest' | 'jest' | 'mocha' | 'unknown' {
@@ -127,6 +597,7 @@ export class TestOutputParser {
 
   private parseVitestFailures(output: string): FailedTest[] {
     const failures: FailedTest[] = [];
+    const seen = new Set<string>();
     const lines = output.split('\n');
 
     for (let i = 0; i < lines.length; i++) {
@@ -139,6 +610,10 @@ export class TestOutputParser {
         const file = fullPath.includes('>') ? fullPath.split('>')[0].trim() : fullPath;
         const name = testPath;
 
+        // Vitest lists each failure in the run log and again in the summary
+        if (seen.has(`${file} > ${name}`)) continue;
+        seen.add(`${file} > ${name}`);
+
         let error: string | undefined;
         if (i + 1 < lines.length) {
           const nextLine = lines[i + 1].trim();
@@ -248,3 +723,137 @@ export class TestOutputParser {
     return failures;
   }
 }
+
+function buildResults(
+  format: TestReportFormat,
+  counts: { passed: number; failed: number; skipped: number; total?: number },
+  failedTests: FailedTest[],
+  extras: { durationMs?: number; tests?: TestCaseResult[] } = {}
+): TestResults {
+  return {
+    total: counts.total ?? counts.passed + counts.failed + counts.skipped,
+    passed: counts.passed,
+    failed: counts.failed,
+    skipped: counts.skipped,
+    failedTests,
+    format,
+    ...(extras.durationMs !== undefined ? { durationMs: extras.durationMs } : {}),
+    ...(extras.tests ? { tests: extras.tests } : {}),
+  };
+}
+
+function fromTestCases(tests: TestCaseResult[], format: TestReportFormat, durationMs?: number): TestResults {
+  const count = (status: TestCaseResult['status']) => tests.filter(test => test.status === status).length;
+  return buildResults(
+    format,
+    { passed: count('passed'), failed: count('failed'), skipped: count('skipped') },
+    tests.filter(test => test.status === 'failed').map(toFailedTest),
+    { durationMs, tests }
+  );
+}
+
+function toFailedTest({ status: _status, ...test }: TestCaseResult): FailedTest {
+  return test;
+}
+
+/**
+ * Split a failure message into its first line and the full text (kept as the
+ * stack when it spans several lines)
+ */
+function splitFailure(text: string): Pick<FailedTest, 'error' | 'stack'> {
+  const clean = stripAnsi(text).trim();
+  if (!clean) return {};
+  const error = clean.split('\n').find(line => line.trim())?.trim();
+  return clean.includes('\n') ? { error, stack: clean } : { error };
+}
+
+/**
+ * Sum "N keyword" pairs such as "2 failed, 15 passed, 1 skipped"
+ */
+function countByKeyword(text: string): Record<string, number> {
+  const counts: Record<string, number> = {
+    passed: 0, failed: 0, skipped: 0, todo: 0, total: 0,
+    error: 0, errors: 0, xfailed: 0, xpassed: 0,
+  };
+  for (const match of text.matchAll(/(\d+) (\w+)/g)) {
+    const keyword = match[2].toLowerCase();
+    counts[keyword] = (counts[keyword] ?? 0) + parseInt(match[1], 10);
+  }
+  return counts;
+}
+
+function toMilliseconds(value: string, unit: string): number {
+  const amount = parseFloat(value);
+  return Math.round(unit === 'ms' ? amount : unit === 'm' ? amount * 60_000 : amount * 1000);
+}
+
+/**
+ * Parse the first JSON object in the content, ignoring text printed around it
+ */
+function extractJson(content: string): Record<string, unknown> | null {
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+  try {
+    const value: unknown = JSON.parse(content.slice(start, end + 1));
+    return value && typeof value === 'object' && !Array.isArray(value) ? value as Record<string, unknown> : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the YAML diagnostics block (`---` ... `...`) that may follow a TAP test
+ * point. Only top-level scalar and block-scalar keys are kept.
+ */
+function readTapDiagnostics(lines: string[], start: number, indent: number): Record<string, string> {
+  const diagnostics: Record<string, string> = {};
+  if (!/^\s*---\s*$/.test(lines[start] ?? '') || lines[start].search(/\S/) <= indent) {
+    return diagnostics;
+  }
+
+  const keyIndent = lines[start].search(/\S/);
+  for (let i = start + 1; i < lines.length && !/^\s*\.\.\.\s*$/.test(lines[i]); i++) {
+    const entry = /^(\s*)([\w-]+):\s*(.*)$/.exec(lines[i]);
+    if (!entry || entry[1].length !== keyIndent) continue;
+
+    if (/^[|>][-+]?$/.test(entry[3])) {
+      const block: string[] = [];
+      while (i + 1 < lines.length && (lines[i + 1].trim() === '' || lines[i + 1].search(/\S/) > keyIndent) && !/^\s*\.\.\.\s*$/.test(lines[i + 1])) {
+        block.push(lines[++i].trim());
+      }
+      diagnostics[entry[2]] = block.join('\n').trim();
+    } else {
+      diagnostics[entry[2]] = entry[3].replace(/^(["'])(.*)\1$/, '$2');
+    }
+  }
+  return diagnostics;
+}
+
+function parseXmlAttributes(tag: string): Record<string, string> {
+  const attributes: Record<string, string> = {};
+  for (const match of tag.matchAll(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1]] = decodeXml(match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+function decodeXml(value: string): string {
+  return value.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|amp|lt|gt|quot|apos);/g, (_match, entity: string) => {
+    switch (entity) {
+      case 'amp': return '&';
+      case 'lt': return '<';
+      case 'gt': return '>';
+      case 'quot': return '"';
+      case 'apos': return "'";
+      default:
+        return entity.startsWith('#x')
+          ? String.fromCodePoint(parseInt(entity.slice(2), 16))
+          : String.fromCodePoint(parseInt(entity.slice(1), 10));
+    }
+  });
+}
+
+function stripAnsi(text: string): string {
+  return text.replace(/\u001b\[[0-9;]*m/g, '');
+}
@@ -0,0 +1,268 @@
+/**
+ * DashboardServer Tests
+ *
+ * Real KnowledgeGraph, TaskQueue and UIEventJournal in a temp directory;
+ * health checker and agent registry are stubbed.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import http from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { DashboardServer } from '../server.js';
+import { KnowledgeGraph } from '../../knowledge-graph/index.js';
+import { UnifiedMemoryStore } from '../../memory/UnifiedMemoryStore.js';
+import { TaskQueue } from '../../a2a/storage/TaskQueue.js';
+import type { AgentRegistry } from '../../a2a/storage/AgentRegistry.js';
+import type { HealthChecker, SystemHealth } from '../../core/HealthCheck.js';
+import { UIEventBus } from '../../ui/UIEventBus.js';
+import { UIEventJournal } from '../../ui/UIEventJournal.js';
+
+const TOKEN = 'dashboard-test-token';
+
+const health: SystemHealth = {
+  status: 'healthy',
+  isHealthy: true,
+  components: [],
+  summary: 'All systems operational',
+  totalDurationMs: 1,
+  timestamp: new Date(),
+};
+
+/**
+ * Read an SSE stream until `predicate` matches the received text
+ */
+function readEvents(port: number, path: string, predicate: (text: string) => boolean): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ host: '127.0.0.1', port, path }, (res) => {
+      let text = '';
+      res.on('data', (chunk) => {
+        text += chunk.toString();
+        if (predicate(text)) {
+          req.destroy();
+          resolve(text);
+        }
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
+describe('DashboardServer', () => {
+  let workDir: string;
+  let kg: KnowledgeGraph;
+  let memoryStore: UnifiedMemoryStore;
+  let taskQueue: TaskQueue;
+  let uiEventJournal: UIEventJournal;
+  let server: DashboardServer;
+  let api: ReturnType<typeof request>;
+
+  beforeEach(async () => {
+    workDir = mkdtempSync(join(tmpdir(), 'memesh-dashboard-'));
+    kg = await KnowledgeGraph.create(join(workDir, 'kg.db'));
+    memoryStore = new UnifiedMemoryStore(kg);
+    taskQueue = new TaskQueue('dashboard-test', join(workDir, 'tasks.db'));
+    uiEventJournal = new UIEventJournal(join(workDir, 'ui-events.db'));
+
+    server = new DashboardServer({
+      knowledgeGraph: kg,
+      memoryStore,
+      taskQueue,
+      uiEventJournal,
+      agentRegistry: {
+        listAll: () => [{ agentId: 'peer', baseUrl: 'http://localhost:3001', port: 3001, status: 'active', lastHeartbeat: '' }],
+      } as unknown as AgentRegistry,
+      healthChecker: { checkAll: vi.fn().mockResolvedValue(health) } as unknown as HealthChecker,
+      port: 0,
+      token: TOKEN,
+      eventPollInterval: 50,
+    });
+    await server.start();
+    api = request(`http://127.0.0.1:${server.getPort()}`);
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    taskQueue.close();
+    uiEventJournal.close();
+    kg.close();
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe('security', () => {
+    it('should serve the page without a token but require it for the API', async () => {
+      const page = await api.get('/');
+      expect(page.status).toBe(200);
+      expect(page.text).toContain('MeMesh Dashboard');
+
+      expect((await api.get('/api/memories')).body.error.code).toBe('AUTH_MISSING');
+      expect((await api.get('/api/memories').set('Authorization', 'Bearer wrong')).status).toBe(401);
+      expect((await api.get('/api/memories').set('Authorization', `Bearer ${TOKEN}`)).status).toBe(200);
+    });
+
+    it('should only accept the query token on the event stream', async () => {
+      expect((await api.get(`/api/memories?token=${TOKEN}`)).status).toBe(401);
+
+      const text = await readEvents(server.getPort(), `/api/events?token=${TOKEN}`, (t) => t.includes('event: health'));
+      expect(text).toContain('event: resources');
+    });
+
+    it('should reject requests with a non-local Host header', async () => {
+      const res = await api.get('/api/health').set('Host', 'attacker.example.com').set('Authorization', `Bearer ${TOKEN}`);
+      expect(res.status).toBe(403);
+      expect(res.body.error.code).toBe('FORBIDDEN_HOST');
+    });
+
+    it('should listen on the loopback interface only', () => {
+      expect(server.getUrl()).toBe(`http://127.0.0.1:${server.getPort()}/#token=${TOKEN}`);
+    });
+  });
+
+  describe('memory', () => {
+    it('should search, update and delete memories', async () => {
+      const id = await memoryStore.store({
+        type: 'mistake',
+        content: 'Forgot to close the SQLite handle in tests',
+        tags: ['sqlite'],
+        importance: 0.5,
+        timestamp: new Date(),
+      });
+      await memoryStore.store({
+        type: 'decision',
+        content: 'Use SQLite WAL mode',
+        tags: [],
+        importance: 0.7,
+        timestamp: new Date(),
+      });
+      const auth = { Authorization: `Bearer ${TOKEN}` };
+
+      const found = await api.get('/api/memories?q=sqlite&type=mistake').set(auth);
+      expect(found.body.data.map((m: { id: string }) => m.id)).toEqual([id]);
+
+      const updated = await api.patch(`/api/memories/${id}`).set(auth).send({ tags: ['sqlite', 'tests'], importance: 0.9 });
+      expect(updated.status).toBe(200);
+      expect(updated.body.data).toMatchObject({ tags: expect.arrayContaining(['sqlite', 'tests']), importance: 0.9 });
+
+      expect((await api.patch(`/api/memories/${id}`).set(auth).send({ importance: 2 })).status).toBe(400);
+      expect((await api.get('/api/memories?type=bogus').set(auth)).status).toBe(400);
+
+      expect((await api.delete(`/api/memories/${id}`).set(auth)).body.data).toEqual({ deleted: id });
+      expect((await api.get(`/api/memories/${id}`).set(auth)).status).toBe(404);
+    });
+  });
+
+  describe('graph', () => {
+    beforeEach(() => {
+      kg.createEntity({ name: 'Login race', entityType: 'bug_fix', observations: ['Session token reused'] });
+      kg.createEntity({ name: 'Token refresh', entityType: 'decision', observations: ['Refresh tokens on login'] });
+      kg.createEntity({ name: 'Unrelated', entityType: 'feature', observations: ['Dark mode'] });
+      kg.createRelation({ from: 'Token refresh', to: 'Login race', relationType: 'solves' });
+    });
+
+    it('should return the graph around an entity', async () => {
+      const res = await api.get('/api/graph?entity=Login%20race&depth=1').set('Authorization', `Bearer ${TOKEN}`);
+
+      expect(res.body.data.nodes).toEqual(
+        expect.arrayContaining([
+          { name: 'Login race', entityType: 'bug_fix', hop: 0 },
+          { name: 'Token refresh', entityType: 'decision', hop: 1 },
+        ])
+      );
+      expect(res.body.data.nodes).toHaveLength(2);
+      expect(res.body.data.edges).toEqual([{ from: 'Token refresh', to: 'Login race', relationType: 'solves' }]);
+    });
+
+    it('should return an overview without an entity and 404 for unknown entities', async () => {
+      const auth = { Authorization: `Bearer ${TOKEN}` };
+
+      const overview = await api.get('/api/graph').set(auth);
+      expect(overview.body.data.nodes).toHaveLength(3);
+      expect(overview.body.data.edges).toHaveLength(1);
+      expect(overview.body.data.truncated).toBe(false);
+
+      expect((await api.get('/api/graph?entity=Missing').set(auth)).status).toBe(404);
+    });
+  });
+
+  describe('A2A and health', () => {
+    it('should list tasks and agents', async () => {
+      const auth = { Authorization: `Bearer ${TOKEN}` };
+      taskQueue.createTask({ name: 'Review PR' });
+
+      const tasks = await api.get('/api/a2a/tasks?state=SUBMITTED').set(auth);
+      expect(tasks.body.data.map((t: { name: string }) => t.name)).toEqual(['Review PR']);
+      expect((await api.get('/api/a2a/tasks?state=DONE').set(auth)).status).toBe(400);
+
+      const agents = await api.get('/api/a2a/agents').set(auth);
+      expect(agents.body.data[0].agentId).toBe('peer');
+    });
+
+    it('should report health and resources', async () => {
+      const res = await api.get('/api/health').set('Authorization', `Bearer ${TOKEN}`);
+      expect(res.body.data.health.status).toBe('healthy');
+      expect(res.body.data.resources.cpu.cores).toBeGreaterThan(0);
+    });
+
+    it('should push task and UI events over SSE', async () => {
+      const stream = readEvents(
+        server.getPort(),
+        `/api/events?token=${TOKEN}`,
+        (text) => text.includes('event: task') && text.includes('event: ui')
+      );
+      // Let the stream subscribe before publishing
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      taskQueue.createTask({ name: 'Streamed task' });
+      UIEventBus.getInstance().emit('error', {
+        agentId: 'a',
+        agentType: 'test',
+        taskDescription: 'Handling event',
+        error: new Error('boom'),
+        timestamp: new Date(),
+      });
+
+      const text = await stream;
+      expect(text).toContain('"state":"SUBMITTED"');
+      expect(text).toContain('"message":"boom"');
+    });
+
+    it('should push events written through other connections (MCP server process)', async () => {
+      const stream = readEvents(
+        server.getPort(),
+        `/api/events?token=${TOKEN}`,
+        (text) => text.includes('event: task') && text.includes('event: ui')
+      );
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      // Separate connections to the same databases, as the MCP server holds them
+      const serverQueue = new TaskQueue('dashboard-test', join(workDir, 'tasks.db'));
+      const serverJournal = new UIEventJournal(join(workDir, 'ui-events.db'));
+      try {
+        serverQueue.createTask({ name: 'Delegated by the MCP server' });
+        serverJournal.record('progress', { agentId: 'a', taskDescription: 'Indexing', progress: 0.5 });
+
+        const text = await stream;
+        expect(text).toContain('"state":"SUBMITTED"');
+        expect(text).toContain('"type":"progress"');
+        expect(text).toContain('"taskDescription":"Indexing"');
+      } finally {
+        serverQueue.close();
+        serverJournal.close();
+      }
+    });
+
+    it('should only push events written after the stream opened', async () => {
+      const before = taskQueue.createTask({ name: 'Before the stream' });
+      const stream = readEvents(server.getPort(), `/api/events?token=${TOKEN}`, (text) => text.includes('event: task'));
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      const after = taskQueue.createTask({ name: 'After the stream' });
+
+      const text = await stream;
+      expect(text).toContain(after.id);
+      expect(text).not.toContain(before.id);
+    });
+  });
+});
@@ -0,0 +1,335 @@
+/**
+ * MeMesh Web Dashboard Page
+ *
+ * Single self-contained HTML page (no external assets) served by
+ * DashboardServer. It holds no data: everything is fetched from /api with
+ * the token taken from the URL fragment (#token=...).
+ *
+ * Panels:
+ * - Memory: search, type filter, detail view, tag / importance edits, delete
+ * - Graph: force-directed SVG view of relations, click a node to re-center
+ * - A2A: task queue and agent registry (live task updates)
+ * - Health: component health and resources (live over SSE)
+ *
+ * @module dashboard/page
+ */
+
+const STYLE = `
+  :root { color-scheme: light dark; --fg: #1f2328; --muted: #656d76; --bg: #fff; --panel: #f6f8fa; --border: #d0d7de; --accent: #0969da; --ok: #1a7f37; --warn: #9a6700; --bad: #cf222e; }
+  @media (prefers-color-scheme: dark) { :root { --fg: #e6edf3; --muted: #8d96a0; --bg: #0d1117; --panel: #161b22; --border: #30363d; --accent: #4493f8; --ok: #3fb950; --warn: #d29922; --bad: #f85149; } }
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 14px/1.5 system-ui, sans-serif; color: var(--fg); background: var(--bg); }
+  header { display: flex; align-items: center; gap: 16px; padding: 10px 20px; border-bottom: 1px solid var(--border); }
+  header h1 { font-size: 16px; margin: 0; }
+  nav button { background: none; border: none; color: var(--muted); font: inherit; padding: 6px 10px; cursor: pointer; border-radius: 6px; }
+  nav button.active { color: var(--fg); background: var(--panel); }
+  #status { margin-left: auto; color: var(--muted); font-size: 12px; }
+  main { padding: 16px 20px; }
+  section { display: none; } section.active { display: block; }
+  input, select, button.action { font: inherit; padding: 5px 8px; border: 1px solid var(--border); border-radius: 6px; background: var(--bg); color: var(--fg); }
+  button.action { cursor: pointer; } button.danger { color: var(--bad); }
+  .toolbar { display: flex; gap: 8px; margin-bottom: 12px; flex-wrap: wrap; }
+  .split { display: grid; grid-template-columns: minmax(0, 1fr) minmax(0, 1fr); gap: 16px; }
+  .list { border: 1px solid var(--border); border-radius: 6px; max-height: 70vh; overflow: auto; }
+  .item { padding: 8px 12px; border-bottom: 1px solid var(--border); cursor: pointer; }
+  .item:hover, .item.selected { background: var(--panel); }
+  .meta, .empty { color: var(--muted); font-size: 12px; }
+  .card { border: 1px solid var(--border); border-radius: 6px; padding: 12px; background: var(--panel); }
+  .card pre { white-space: pre-wrap; word-break: break-word; margin: 8px 0; }
+  .tag { display: inline-block; padding: 0 6px; margin: 0 4px 4px 0; border-radius: 10px; border: 1px solid var(--border); font-size: 12px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid var(--border); font-size: 13px; }
+  .healthy, .COMPLETED { color: var(--ok); } .degraded, .WORKING, .SUBMITTED, .INPUT_REQUIRED { color: var(--warn); }
+  .unhealthy, .FAILED, .TIMEOUT, .REJECTED { color: var(--bad); }
+  svg { width: 100%; height: 70vh; border: 1px solid var(--border); border-radius: 6px; }
+  svg text { fill: var(--fg); font-size: 11px; pointer-events: none; }
+  svg line { stroke: var(--border); stroke-width: 1.5; }
+  svg circle { stroke: var(--bg); stroke-width: 1.5; cursor: pointer; }
+  #log { font: 12px ui-monospace, monospace; max-height: 30vh; overflow: auto; }
+`;
+
+const SCRIPT = `
+  const token = new URLSearchParams(location.hash.slice(1)).get('token') || '';
+  const $ = (id) => document.getElementById(id);
+  const esc = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+  const setStatus = (text) => { $('status').textContent = text; };
+
+  async function api(path, init = {}) {
+    const res = await fetch('/api' + path, {
+      ...init,
+      headers: { Authorization: 'Bearer ' + token, 'Content-Type': 'application/json', ...(init.headers || {}) },
+    });
+    const body = await res.json();
+    if (!body.success) throw new Error(body.error ? body.error.message : res.statusText);
+    return body.data;
+  }
+
+  // ---------------------------------------------------------------- Tabs
+  document.querySelectorAll('nav button').forEach((button) => {
+    button.addEventListener('click', () => {
+      document.querySelectorAll('nav button, section').forEach((el) => el.classList.remove('active'));
+      button.classList.add('active');
+      $(button.dataset.tab).classList.add('active');
+      if (button.dataset.tab === 'graph') loadGraph();
+      if (button.dataset.tab === 'a2a') loadA2A();
+    });
+  });
+
+  // ---------------------------------------------------------------- Memory
+  let memories = [];
+  let selected = null;
+
+  async function searchMemories() {
+    const params = new URLSearchParams({ q: $('q').value, limit: '100' });
+    if ($('type').value) params.set('type', $('type').value);
+    try {
+      memories = await api('/memories?' + params);
+      renderMemories();
+      setStatus(memories.length + ' memories');
+    } catch (error) { setStatus(error.message); }
+  }
+
+  function renderMemories() {
+    $('memories').innerHTML = memories.length === 0
+      ? '<div class="item empty">No memories found</div>'
+      : memories.map((m, i) =>
+          '<div class="item' + (selected && selected.id === m.id ? ' selected' : '') + '" data-index="' + i + '">' +
+          '<div>' + esc(m.content.slice(0, 140)) + '</div>' +
+          '<div class="meta">' + esc(m.type) + ' · importance ' + esc(m.importance) + ' · ' + esc(new Date(m.timestamp).toLocaleString()) + '</div></div>'
+        ).join('');
+  }
+
+  function renderDetail() {
+    if (!selected) { $('detail').innerHTML = '<div class="empty">Select a memory</div>'; return; }
+    const m = selected;
+    $('detail').innerHTML =
+      '<div class="card"><div class="meta">' + esc(m.id) + '</div>' +
+      '<pre>' + esc(m.content) + '</pre>' +
+      (m.context ? '<div class="meta">Context</div><pre>' + esc(m.context) + '</pre>' : '') +
+      '<div>' + m.tags.map((t) => '<span class="tag">' + esc(t) + '</span>').join('') + '</div>' +
+      '<div class="toolbar" style="margin-top:12px">' +
+      '<input id="edit-tags" size="30" value="' + esc(m.tags.join(', ')) + '" title="Tags (comma separated)">' +
+      '<input id="edit-importance" type="number" min="0" max="1" step="0.1" value="' + esc(m.importance) + '" title="Importance">' +
+      '<button class="action" id="save">Save</button>' +
+      '<button class="action" id="show-graph">Graph</button>' +
+      '<button class="action danger" id="delete">Delete</button></div></div>';
+    $('save').onclick = saveMemory;
+    $('delete').onclick = deleteMemory;
+    $('show-graph').onclick = () => { $('entity').value = m.id; document.querySelector('[data-tab=graph]').click(); };
+  }
+
+  async function saveMemory() {
+    const tags = $('edit-tags').value.split(',').map((t) => t.trim()).filter(Boolean);
+    try {
+      selected = await api('/memories/' + encodeURIComponent(selected.id), {
+        method: 'PATCH',
+        body: JSON.stringify({ tags, importance: Number($('edit-importance').value) }),
+      });
+      memories = memories.map((m) => (m.id === selected.id ? selected : m));
+      renderMemories(); renderDetail(); setStatus('Saved');
+    } catch (error) { setStatus(error.message); }
+  }
+
+  async function deleteMemory() {
+    if (!confirm('Delete this memory?')) return;
+    try {
+      await api('/memories/' + encodeURIComponent(selected.id), { method: 'DELETE' });
+      memories = memories.filter((m) => m.id !== selected.id);
+      selected = null;
+      renderMemories(); renderDetail(); setStatus('Deleted');
+    } catch (error) { setStatus(error.message); }
+  }
+
+  $('memories').addEventListener('click', (event) => {
+    const item = event.target.closest('[data-index]');
+    if (!item) return;
+    selected = memories[Number(item.dataset.index)];
+    renderMemories(); renderDetail();
+  });
+  $('search').addEventListener('submit', (event) => { event.preventDefault(); searchMemories(); });
+
+  // ---------------------------------------------------------------- Graph
+  let simulation = null;
+
+  async function loadGraph() {
+    const params = new URLSearchParams();
+    if ($('entity').value) { params.set('entity', $('entity').value); params.set('depth', $('depth').value); }
+    try {
+      const graph = await api('/graph?' + params);
+      drawGraph(graph);
+      setStatus(graph.nodes.length + ' entities, ' + graph.edges.length + ' relations' + (graph.truncated ? ' (most recent only)' : ''));
+    } catch (error) { setStatus(error.message); }
+  }
+
+  function drawGraph(graph) {
+    if (simulation) cancelAnimationFrame(simulation);
+    const svg = $('graph-view');
+    const width = svg.clientWidth || 800, height = svg.clientHeight || 600;
+    const nodes = graph.nodes.map((n, i) => ({ ...n, x: width / 2 + Math.cos(i) * 100 * Math.random(), y: height / 2 + Math.sin(i) * 100 * Math.random(), vx: 0, vy: 0 }));
+    const index = new Map(nodes.map((n) => [n.name, n]));
+    const edges = graph.edges.filter((e) => index.has(e.from) && index.has(e.to));
+    const palette = ['#0969da', '#1a7f37', '#9a6700', '#cf222e', '#8250df', '#bf3989', '#1b7c83'];
+    const types = [...new Set(nodes.map((n) => n.entityType))];
+    const color = (n) => palette[types.indexOf(n.entityType) % palette.length];
+
+    svg.innerHTML =
+      edges.map((e, i) => '<line id="e' + i + '"><title>' + esc(e.relationType) + '</title></line>').join('') +
+      nodes.map((n, i) => '<g id="n' + i + '"><circle r="' + (n.hop === 0 ? 9 : 6) + '" fill="' + color(n) + '"><title>' + esc(n.entityType + ': ' + n.name) + '</title></circle>' +
+        '<text dx="10" dy="4">' + esc(n.name.length > 40 ? n.name.slice(0, 40) + '…' : n.name) + '</text></g>').join('');
+    nodes.forEach((n, i) => {
+      svg.querySelector('#n' + i + ' circle').onclick = () => { $('entity').value = n.name; loadGraph(); };
+    });
+
+    let ticks = 0;
+    const step = () => {
+      for (const a of nodes) {
+        for (const b of nodes) {
+          if (a === b) continue;
+          const dx = a.x - b.x, dy = a.y - b.y, d2 = Math.max(dx * dx + dy * dy, 25);
+          a.vx += (dx / d2) * 60; a.vy += (dy / d2) * 60;
+        }
+        a.vx += (width / 2 - a.x) * 0.002; a.vy += (height / 2 - a.y) * 0.002;
+      }
+      for (const e of edges) {
+        const a = index.get(e.from), b = index.get(e.to);
+        const dx = b.x - a.x, dy = b.y - a.y, d = Math.sqrt(dx * dx + dy * dy) || 1, f = (d - 90) * 0.01;
+        a.vx += (dx / d) * f; a.vy += (dy / d) * f; b.vx -= (dx / d) * f; b.vy -= (dy / d) * f;
+      }
+      nodes.forEach((n, i) => {
+        n.vx *= 0.85; n.vy *= 0.85; n.x += n.vx; n.y += n.vy;
+        svg.querySelector('#n' + i).setAttribute('transform', 'translate(' + n.x + ',' + n.y + ')');
+      });
+      edges.forEach((e, i) => {
+        const line = svg.querySelector('#e' + i), a = index.get(e.from), b = index.get(e.to);
+        line.setAttribute('x1', a.x); line.setAttribute('y1', a.y); line.setAttribute('x2', b.x); line.setAttribute('y2', b.y);
+      });
+      if (++ticks < 300) simulation = requestAnimationFrame(step);
+    };
+    step();
+  }
+
+  $('graph-form').addEventListener('submit', (event) => { event.preventDefault(); loadGraph(); });
+  $('graph-reset').addEventListener('click', () => { $('entity').value = ''; loadGraph(); });
+
+  // ---------------------------------------------------------------- A2A
+  async function loadA2A() {
+    try {
+      const [tasks, agents] = await Promise.all([api('/a2a/tasks?limit=100'), api('/a2a/agents')]);
+      $('tasks').innerHTML = tasks.length === 0
+        ? '<tr><td class="empty" colspan="4">No tasks</td></tr>'
+        : tasks.map((t) => '<tr><td>' + esc(t.id) + '</td><td>' + esc(t.name || '') + '</td><td class="' + esc(t.state) + '">' + esc(t.state) + '</td><td>' + esc(new Date(t.updatedAt).toLocaleString()) + '</td></tr>').join('');
+      $('agents').innerHTML = agents.length === 0
+        ? '<tr><td class="empty" colspan="3">No agents</td></tr>'
+        : agents.map((a) => '<tr><td>' + esc(a.agentId) + '</td><td>' + esc(a.baseUrl) + '</td><td>' + esc(a.status) + '</td></tr>').join('');
+    } catch (error) { setStatus(error.message); }
+  }
+
+  // ---------------------------------------------------------------- Health
+  function renderHealth(health) {
+    $('components').innerHTML = '<tr><th>Overall</th><td class="' + esc(health.status) + '">' + esc(health.status) + '</td><td>' + esc(health.summary) + '</td></tr>' +
+      health.components.map((c) => '<tr><td>' + esc(c.name) + '</td><td class="' + esc(c.status) + '">' + esc(c.status) + '</td><td>' + esc(c.message) + '</td></tr>').join('');
+  }
+
+  function renderResources(r) {
+    $('resources').innerHTML =
+      '<tr><td>CPU</td><td>' + r.cpu.usage.toFixed(1) + '% (' + r.cpu.cores + ' cores)</td></tr>' +
+      '<tr><td>Memory</td><td>' + Math.round(r.memory.used) + ' / ' + Math.round(r.memory.total) + ' MB (' + r.memory.usagePercent.toFixed(1) + '%)</td></tr>' +
+      '<tr><td>Background agents</td><td>' + esc(r.activeBackgroundAgents) + '</td></tr>';
+  }
+
+  function logEvent(text) {
+    const line = document.createElement('div');
+    line.textContent = new Date().toLocaleTimeString() + '  ' + text;
+    $('log').prepend(line);
+    while ($('log').childElementCount > 200) $('log').lastChild.remove();
+  }
+
+  const events = new EventSource('/api/events?token=' + encodeURIComponent(token));
+  events.addEventListener('health', (e) => renderHealth(JSON.parse(e.data)));
+  events.addEventListener('resources', (e) => renderResources(JSON.parse(e.data)));
+  events.addEventListener('task', (e) => {
+    const event = JSON.parse(e.data);
+    logEvent('task ' + event.taskId + ': ' + event.type + (event.state ? ' ' + event.state : ''));
+    if ($('a2a').classList.contains('active')) loadA2A();
+  });
+  events.addEventListener('ui', (e) => {
+    const event = JSON.parse(e.data);
+    logEvent(event.type + ' ' + JSON.stringify(event.data).slice(0, 200));
+  });
+  events.onerror = () => setStatus('Live updates disconnected, retrying…');
+  events.onopen = () => setStatus('Live');
+
+  if (!token) setStatus('Missing token: open the URL printed by memesh dashboard --web');
+  searchMemories();
+`;
+
+/**
+ * Render the dashboard page
+ *
+ * @returns Complete HTML document
+ */
+export function renderDashboardPage(): string {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="referrer" content="no-referrer">
+<title>MeMesh Dashboard</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+  <h1>MeMesh</h1>
+  <nav>
+    <button class="active" data-tab="memory">Memory</button>
+    <button data-tab="graph">Graph</button>
+    <button data-tab="a2a">A2A</button>
+    <button data-tab="health">Health</button>
+  </nav>
+  <span id="status"></span>
+</header>
+<main>
+  <section id="memory" class="active">
+    <form id="search" class="toolbar">
+      <input id="q" type="search" placeholder="Search memories" size="40" autofocus>
+      <select id="type">
+        <option value="">All types</option>
+        <option>mistake</option><option>knowledge</option><option>decision</option><option>experience</option>
+        <option>conversation</option><option>prevention-rule</option><option>user-preference</option>
+      </select>
+      <button class="action" type="submit">Search</button>
+    </form>
+    <div class="split">
+      <div id="memories" class="list"></div>
+      <div id="detail"><div class="empty">Select a memory</div></div>
+    </div>
+  </section>
+  <section id="graph">
+    <form id="graph-form" class="toolbar">
+      <input id="entity" placeholder="Entity name (empty = recent entities)" size="40">
+      <select id="depth"><option>1</option><option selected>2</option><option>3</option><option>4</option></select>
+      <button class="action" type="submit">Trace</button>
+      <button class="action" type="button" id="graph-reset">Overview</button>
+    </form>
+    <svg id="graph-view"></svg>
+  </section>
+  <section id="a2a">
+    <h3>Tasks</h3>
+    <table><thead><tr><th>ID</th><th>Name</th><th>State</th><th>Updated</th></tr></thead><tbody id="tasks"></tbody></table>
+    <h3>Agents</h3>
+    <table><thead><tr><th>Agent</th><th>URL</th><th>Status</th></tr></thead><tbody id="agents"></tbody></table>
+  </section>
+  <section id="health">
+    <div class="split">
+      <div><h3>Components</h3><table id="components"></table></div>
+      <div><h3>Resources</h3><table id="resources"></table></div>
+    </div>
+    <h3>Events</h3>
+    <div id="log" class="card"></div>
+  </section>
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>`;
+}
@@ -0,0 +1,723 @@
+/**
+ * MeMesh Web Dashboard Server
+ *
+ * Localhost-only HTTP dashboard for reviewing and curating memory:
+ * - GET /                      - Dashboard page (static, holds no data)
+ * - GET /api/memories          - Search memories (?q, ?type, ?tag, ?limit)
+ * - GET /api/memories/:id      - Get one memory
+ * - PATCH /api/memories/:id    - Update tags / importance
+ * - DELETE /api/memories/:id   - Delete a memory
+ * - GET /api/graph             - Relation graph (?entity, ?depth)
+ * - GET /api/a2a/tasks         - A2A task queue (?state, ?limit)
+ * - GET /api/a2a/agents        - A2A agent registry
+ * - GET /api/health            - HealthChecker + ResourceMonitor snapshot
+ * - GET /api/events            - Live metrics, UI and task events (SSE)
+ *
+ * The dashboard runs in its own process, so live task and UI events are read
+ * from the task queue's event journal and the UIEventJournal the MCP server
+ * records into, not from in-process subscriptions.
+ *
+ * Security:
+ * - Binds to 127.0.0.1 only and rejects requests whose Host header is not
+ *   localhost (prevents DNS rebinding)
+ * - Every /api route requires the dashboard token as a Bearer header;
+ *   /api/events also accepts `?token=` because EventSource cannot set headers
+ * - The page reads the token from the URL fragment, which browsers never send
+ *   to the server
+ *
+ * Usage: `memesh dashboard --web` or `npm run dashboard`
+ *
+ * @module dashboard/server
+ */
+
+import express, { type Express, type Request, type Response, type NextFunction } from 'express';
+import type { Server } from 'http';
+import { randomBytes, timingSafeEqual, createHash } from 'crypto';
+import { KnowledgeGraph } from '../knowledge-graph/index.js';
+import type { Entity, Relation } from '../knowledge-graph/types.js';
+import { UnifiedMemoryStore } from '../memory/UnifiedMemoryStore.js';
+import type { MemoryType, UnifiedMemory } from '../memory/types/unified-memory.js';
+import { TaskQueue } from '../a2a/storage/TaskQueue.js';
+import { AgentRegistry } from '../a2a/storage/AgentRegistry.js';
+import type { TaskFilter, TaskState } from '../a2a/types/index.js';
+import { STREAMING } from '../a2a/constants.js';
+import { HealthChecker } from '../core/HealthCheck.js';
+import { ResourceMonitor } from '../core/ResourceMonitor.js';
+import { UIEventBus } from '../ui/UIEventBus.js';
+import { UIEventJournal } from '../ui/UIEventJournal.js';
+import { ValidationError } from '../errors/index.js';
+import { logger } from '../utils/logger.js';
+import { renderDashboardPage } from './page.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/** Default dashboard port */
+export const DEFAULT_DASHBOARD_PORT = 7412;
+
+/** Interval between health / resource pushes on the event stream (5 seconds) */
+const DEFAULT_METRICS_INTERVAL_MS = 5000;
+
+/** Interval between reads of the task and UI event journals */
+const DEFAULT_EVENT_POLL_INTERVAL_MS = 500;
+
+/** Maximum memories returned by one search */
+const MAX_SEARCH_LIMIT = 200;
+
+/** Maximum nodes in the graph overview (most recent entities) */
+const MAX_GRAPH_NODES = 300;
+
+/** Maximum traversal depth of the graph view */
+const MAX_GRAPH_DEPTH = 4;
+
+/** Host names accepted in the Host header */
+const LOCAL_HOSTNAMES = new Set(['127.0.0.1', 'localhost', '[::1]']);
+
+const MEMORY_TYPES: MemoryType[] = [
+  'mistake',
+  'conversation',
+  'knowledge',
+  'decision',
+  'experience',
+  'prevention-rule',
+  'user-preference',
+];
+
+const TASK_STATES: TaskState[] = [
+  'SUBMITTED',
+  'WORKING',
+  'INPUT_REQUIRED',
+  'COMPLETED',
+  'FAILED',
+  'CANCELED',
+  'REJECTED',
+  'TIMEOUT',
+];
+
+// ============================================================================
+// Types
+// ============================================================================
+
+/**
+ * Dashboard server configuration
+ *
+ * Components that are not provided are created by the server and released
+ * by stop(); provided components stay owned by the caller.
+ */
+export interface DashboardServerConfig {
+  /** Knowledge graph backing the memory browser and graph view */
+  knowledgeGraph: KnowledgeGraph;
+  /** Memory store (default: UnifiedMemoryStore over knowledgeGraph) */
+  memoryStore?: UnifiedMemoryStore;
+  /** A2A task queue (default: the MCP server's queue); its event journal feeds the event stream */
+  taskQueue?: TaskQueue;
+  /** A2A agent registry (default: AgentRegistry.getInstance()) */
+  agentRegistry?: AgentRegistry;
+  /** Health checker (default: 3s timeout per check) */
+  healthChecker?: HealthChecker;
+  /** Resource monitor */
+  resourceMonitor?: ResourceMonitor;
+  /** UI event journal read by the event stream (default: the one the MCP server records into) */
+  uiEventJournal?: UIEventJournal;
+  /** UI event bus of this process, recorded into uiEventJournal (default: UIEventBus.getInstance()) */
+  eventBus?: UIEventBus;
+  /** Port to listen on (default: DEFAULT_DASHBOARD_PORT, 0 = any free port) */
+  port?: number;
+  /** Access token (default: MEMESH_DASHBOARD_TOKEN, or a random token) */
+  token?: string;
+  /** Interval between metrics pushes in milliseconds (default: 5000) */
+  metricsInterval?: number;
+  /** Interval between task / UI event journal reads in milliseconds (default: 500) */
+  eventPollInterval?: number;
+}
+
+/**
+ * Node of the relation graph view
+ */
+export interface GraphNode {
+  name: string;
+  entityType: string;
+  /** Hops from the traced entity (graph around an entity only) */
+  hop?: number;
+}
+
+/**
+ * Edge of the relation graph view
+ */
+export interface GraphEdge {
+  from: string;
+  to: string;
+  relationType: string;
+}
+
+// ============================================================================
+// DashboardServer
+// ============================================================================
+
+/**
+ * DashboardServer - Localhost web UI over memory, A2A and session health
+ *
+ * @example
+ * ```typescript
+ * const kg = await KnowledgeGraph.create();
+ * const dashboard = new DashboardServer({ knowledgeGraph: kg });
+ * await dashboard.start();
+ * console.log(dashboard.getUrl()); // http://127.0.0.1:7412/#token=...
+ *
+ * // Later...
+ * await dashboard.stop();
+ * kg.close();
+ * ```
+ */
+export class DashboardServer {
+  private app: Express;
+  private server: Server | null = null;
+  private port = 0;
+  private readonly token: string;
+  private readonly knowledgeGraph: KnowledgeGraph;
+  private readonly memoryStore: UnifiedMemoryStore;
+  private readonly taskQueue: TaskQueue;
+  private readonly agentRegistry: AgentRegistry;
+  private readonly healthChecker: HealthChecker;
+  private readonly resourceMonitor: ResourceMonitor;
+  private readonly uiEventJournal: UIEventJournal;
+  private readonly eventBus: UIEventBus;
+  private readonly ownsTaskQueue: boolean;
+  private readonly ownsResourceMonitor: boolean;
+  private readonly ownsUIEventJournal: boolean;
+  /** Stops recording eventBus into uiEventJournal (set while started) */
+  private stopRecordingUIEvents: (() => void) | null = null;
+  /** Close functions of open event streams */
+  private eventStreams = new Set<() => void>();
+
+  /**
+   * Create a dashboard server
+   *
+   * @param config - Data sources, port and token
+   */
+  constructor(private config: DashboardServerConfig) {
+    this.token = config.token || process.env.MEMESH_DASHBOARD_TOKEN || randomBytes(24).toString('hex');
+    this.knowledgeGraph = config.knowledgeGraph;
+    this.memoryStore = config.memoryStore ?? new UnifiedMemoryStore(config.knowledgeGraph);
+    this.ownsTaskQueue = !config.taskQueue;
+    this.taskQueue = config.taskQueue ?? new TaskQueue('mcp-server');
+    this.agentRegistry = config.agentRegistry ?? AgentRegistry.getInstance();
+    this.healthChecker = config.healthChecker ?? new HealthChecker({ timeout: 3000 });
+    this.ownsResourceMonitor = !config.resourceMonitor;
+    this.resourceMonitor = config.resourceMonitor ?? new ResourceMonitor();
+    this.ownsUIEventJournal = !config.uiEventJournal;
+    this.uiEventJournal = config.uiEventJournal ?? new UIEventJournal();
+    this.eventBus = config.eventBus ?? UIEventBus.getInstance();
+    this.app = this.createApp();
+  }
+
+  private createApp(): Express {
+    const app = express();
+    app.disable('x-powered-by');
+
+    app.use(this.requireLocalHost);
+    app.use(express.json({ limit: '100kb' }));
+
+    // Public: the page holds no data, it reads the token from the URL fragment
+    app.get('/', (_req, res) => {
+      res.setHeader('Content-Security-Policy', "default-src 'self'; script-src 'unsafe-inline'; style-src 'unsafe-inline'");
+      res.type('html').send(renderDashboardPage());
+    });
+
+    app.use('/api', this.authenticate);
+    app.get('/api/memories', this.handle(this.searchMemories));
+    app.get('/api/memories/:id', this.handle(this.getMemory));
+    app.patch('/api/memories/:id', this.handle(this.updateMemory));
+    app.delete('/api/memories/:id', this.handle(this.deleteMemory));
+    app.get('/api/graph', this.handle(this.getGraph));
+    app.get('/api/a2a/tasks', this.handle(this.listTasks));
+    app.get('/api/a2a/agents', this.handle(this.listAgents));
+    app.get('/api/health', this.handle(this.getHealth));
+    app.get('/api/events', this.streamEvents);
+
+    app.use('/api', (_req, res) => {
+      res.status(404).json({ success: false, error: { code: 'NOT_FOUND', message: 'Unknown endpoint' } });
+    });
+
+    // Body parser errors (malformed JSON, payload too large)
+    app.use((err: Error & { status?: number }, _req: Request, res: Response, _next: NextFunction) => {
+      const status = err.status && err.status < 500 ? err.status : 500;
+      res.status(status).json({
+        success: false,
+        error: { code: status === 500 ? 'INTERNAL_ERROR' : 'INVALID_REQUEST', message: err.message },
+      });
+    });
+
+    return app;
+  }
+
+  /**
+   * Start listening on 127.0.0.1
+   *
+   * @returns Port the server is listening on
+   * @throws Error if the port is unavailable
+   */
+  async start(): Promise<number> {
+    const port = this.config.port ?? DEFAULT_DASHBOARD_PORT;
+
+    return new Promise((resolve, reject) => {
+      const server = this.app.listen(port, '127.0.0.1', () => {
+        const address = server.address();
+        this.port = typeof address === 'object' && address ? address.port : port;
+        this.stopRecordingUIEvents = this.uiEventJournal.recordFrom(this.eventBus);
+        logger.info('[Dashboard] Started', { port: this.port });
+        resolve(this.port);
+      });
+      this.server = server;
+
+      server.on('error', (err) => {
+        this.server = null;
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Stop the server
+   *
+   * Ends open event streams and releases the components the server created.
+   * The knowledge graph is never closed here.
+   */
+  async stop(): Promise<void> {
+    for (const close of [...this.eventStreams]) {
+      close();
+    }
+
+    if (this.server) {
+      const server = this.server;
+      this.server = null;
+      await new Promise<void>((resolve) => server.close(() => resolve()));
+      logger.info('[Dashboard] Stopped');
+    }
+
+    this.stopRecordingUIEvents?.();
+    this.stopRecordingUIEvents = null;
+
+    if (this.ownsTaskQueue) {
+      this.taskQueue.close();
+    }
+    if (this.ownsResourceMonitor) {
+      this.resourceMonitor.dispose();
+    }
+    if (this.ownsUIEventJournal) {
+      this.uiEventJournal.close();
+    }
+  }
+
+  /**
+   * Get the port the server is listening on (0 if not started)
+   */
+  getPort(): number {
+    return this.port;
+  }
+
+  /**
+   * Get the access token
+   */
+  getToken(): string {
+    return this.token;
+  }
+
+  /**
+   * Get the dashboard URL including the access token
+   */
+  getUrl(): string {
+    return `http://127.0.0.1:${this.port}/#token=${this.token}`;
+  }
+
+  // ==========================================================================
+  // Middleware
+  // ==========================================================================
+
+  /**
+   * Reject requests addressed to a non-local host name
+   */
+  private requireLocalHost = (req: Request, res: Response, next: NextFunction): void => {
+    const host = (req.headers.host || '').toLowerCase();
+    const hostname = host.startsWith('[') ? host.slice(0, host.indexOf(']') + 1) : host.split(':')[0];
+
+    if (!LOCAL_HOSTNAMES.has(hostname)) {
+      logger.warn('[Dashboard] Rejected request with non-local Host header', { host });
+      res.status(403).json({ success: false, error: { code: 'FORBIDDEN_HOST', message: 'Dashboard is localhost-only' } });
+      return;
+    }
+
+    next();
+  };
+
+  /**
+   * Require the dashboard token
+   */
+  private authenticate = (req: Request, res: Response, next: NextFunction): void => {
+    const header = req.headers.authorization;
+    let token = header?.startsWith('Bearer ') ? header.slice('Bearer '.length) : undefined;
+
+    // EventSource cannot send headers
+    if (!token && req.method === 'GET' && req.path === '/events' && typeof req.query.token === 'string') {
+      token = req.query.token;
+    }
+
+    if (!token) {
+      res.status(401).json({ success: false, error: { code: 'AUTH_MISSING', message: 'Dashboard token required' } });
+      return;
+    }
+
+    if (!tokensMatch(token, this.token)) {
+      res.status(401).json({ success: false, error: { code: 'AUTH_INVALID', message: 'Invalid dashboard token' } });
+      return;
+    }
+
+    next();
+  };
+
+  /**
+   * Wrap a JSON handler: send its result as `{ success, data }` and map
+   * ValidationError to 400
+   */
+  private handle(handler: (req: Request, res: Response) => Promise<unknown>) {
+    return async (req: Request, res: Response): Promise<void> => {
+      try {
+        const data = await handler(req, res);
+        if (!res.headersSent) {
+          res.json({ success: true, data });
+        }
+      } catch (error) {
+        if (error instanceof ValidationError) {
+          res.status(400).json({ success: false, error: { code: 'INVALID_REQUEST', message: error.message } });
+          return;
+        }
+        logger.error('[Dashboard] Request failed', {
+          path: req.path,
+          error: error instanceof Error ? error.message : String(error),
+        });
+        res.status(500).json({ success: false, error: { code: 'INTERNAL_ERROR', message: 'Request failed' } });
+      }
+    };
+  }
+
+  // ==========================================================================
+  // Memory
+  // ==========================================================================
+
+  private searchMemories = async (req: Request): Promise<UnifiedMemory[]> => {
+    const query = queryString(req, 'q') ?? '';
+    const type = queryString(req, 'type');
+    const tag = queryString(req, 'tag');
+    const limit = queryInteger(req, 'limit', 50, 1, MAX_SEARCH_LIMIT);
+
+    if (type && !MEMORY_TYPES.includes(type as MemoryType)) {
+      throw new ValidationError(`Unknown memory type: ${type}`, { validTypes: MEMORY_TYPES });
+    }
+
+    return this.memoryStore.search(query, {
+      limit,
+      types: type ? [type as MemoryType] : undefined,
+      tags: tag ? [tag] : undefined,
+    });
+  };
+
+  private getMemory = async (req: Request, res: Response): Promise<UnifiedMemory | undefined> => {
+    const memory = await this.memoryStore.get(req.params.id);
+    if (!memory) {
+      sendNotFound(res, `Memory not found: ${req.params.id}`);
+      return undefined;
+    }
+    return memory;
+  };
+
+  private updateMemory = async (req: Request, res: Response): Promise<UnifiedMemory | null | undefined> => {
+    const body = (req.body ?? {}) as Record<string, unknown>;
+    const updates: Partial<UnifiedMemory> = {};
+
+    if (body.tags !== undefined) {
+      if (!Array.isArray(body.tags) || !body.tags.every((tag) => typeof tag === 'string' && tag.trim() !== '')) {
+        throw new ValidationError('tags must be an array of non-empty strings', { tags: body.tags });
+      }
+      updates.tags = [...new Set(body.tags.map((tag: string) => tag.trim()))];
+    }
+
+    if (body.importance !== undefined) {
+      if (typeof body.importance !== 'number' || body.importance < 0 || body.importance > 1) {
+        throw new ValidationError('importance must be a number between 0 and 1', { importance: body.importance });
+      }
+      updates.importance = body.importance;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      throw new ValidationError('Nothing to update: provide tags and/or importance');
+    }
+
+    if (!(await this.memoryStore.update(req.params.id, updates))) {
+      sendNotFound(res, `Memory not found: ${req.params.id}`);
+      return undefined;
+    }
+
+    logger.info('[Dashboard] Memory updated', { id: req.params.id, fields: Object.keys(updates) });
+    return this.memoryStore.get(req.params.id);
+  };
+
+  private deleteMemory = async (req: Request, res: Response): Promise<{ deleted: string } | undefined> => {
+    if (!(await this.memoryStore.delete(req.params.id))) {
+      sendNotFound(res, `Memory not found: ${req.params.id}`);
+      return undefined;
+    }
+
+    logger.info('[Dashboard] Memory deleted', { id: req.params.id });
+    return { deleted: req.params.id };
+  };
+
+  // ==========================================================================
+  // Graph
+  // ==========================================================================
+
+  /**
+   * Graph around an entity (?entity, ?depth), or an overview of the most
+   * recent entities and the relations between them
+   */
+  private getGraph = async (
+    req: Request,
+    res: Response
+  ): Promise<{ nodes: GraphNode[]; edges: GraphEdge[]; truncated: boolean } | undefined> => {
+    const entityName = queryString(req, 'entity');
+
+    if (entityName) {
+      const depth = queryInteger(req, 'depth', 2, 1, MAX_GRAPH_DEPTH);
+      const trace = this.knowledgeGraph.traceRelations(entityName, depth);
+      if (!trace) {
+        sendNotFound(res, `Entity not found: ${entityName}`);
+        return undefined;
+      }
+
+      const reached = trace.entities ?? [{ name: entityName, hop: 0 }];
+      const types = new Map(
+        this.knowledgeGraph
+          .getEntitiesByNames(reached.map((entity) => entity.name))
+          .map((entity) => [entity.name, entity.entityType])
+      );
+
+      return {
+        nodes: reached.map((entity) => ({
+          name: entity.name,
+          entityType: types.get(entity.name) ?? 'unknown',
+          hop: entity.hop,
+        })),
+        edges: trace.relations.map(toEdge),
+        truncated: false,
+      };
+    }
+
+    const entities: Entity[] = this.knowledgeGraph.getAllEntities();
+    const recent = entities.slice(-MAX_GRAPH_NODES);
+    const names = new Set(recent.map((entity) => entity.name));
+
+    return {
+      nodes: recent.map((entity) => ({ name: entity.name, entityType: entity.entityType })),
+      edges: this.knowledgeGraph
+        .getAllRelations()
+        .filter((relation) => names.has(relation.from) && names.has(relation.to))
+        .map(toEdge),
+      truncated: entities.length > recent.length,
+    };
+  };
+
+  // ==========================================================================
+  // A2A
+  // ==========================================================================
+
+  private listTasks = async (req: Request) => {
+    const state = queryString(req, 'state');
+    if (state && !TASK_STATES.includes(state as TaskState)) {
+      throw new ValidationError(`Unknown task state: ${state}`, { validStates: TASK_STATES });
+    }
+
+    const filter: TaskFilter = { limit: queryInteger(req, 'limit', 100, 1, 500) };
+    if (state) {
+      filter.state = state as TaskState;
+    }
+
+    return this.taskQueue.listTasks(filter);
+  };
+
+  private listAgents = async () => {
+    return this.agentRegistry.listAll();
+  };
+
+  // ==========================================================================
+  // Health & Events
+  // ==========================================================================
+
+  private getHealth = async () => {
+    return {
+      health: await this.healthChecker.checkAll(),
+      resources: this.resourceMonitor.getCurrentResources(),
+    };
+  };
+
+  /**
+   * Server-sent events:
+   * - `health` / `resources` on connect and every metricsInterval
+   * - `task` for every A2A task event journaled after the stream opened
+   * - `ui` for every UI event journaled after the stream opened ({ type, data })
+   *
+   * Both journals are polled every eventPollInterval, so events written by
+   * the MCP server or daemon processes arrive as well as local ones.
+   */
+  private streamEvents = (req: Request, res: Response): void => {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+
+    let eventId = 0;
+    let closed = false;
+    const send = (event: string, data: unknown): void => {
+      if (closed) {
+        return;
+      }
+      eventId++;
+      res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const pushMetrics = async (): Promise<void> => {
+      send('resources', this.resourceMonitor.getCurrentResources());
+      try {
+        send('health', await this.healthChecker.checkAll());
+      } catch (error) {
+        logger.warn('[Dashboard] Health check failed', { error });
+      }
+    };
+
+    // Only events after the stream opened
+    let taskSeq = this.taskQueue.getLatestEventSeq();
+    let uiSeq = this.uiEventJournal.getLatestSeq();
+    const pollEvents = (): void => {
+      try {
+        for (const entry of this.taskQueue.getEventsSince(taskSeq)) {
+          taskSeq = entry.seq;
+          send('task', entry.event);
+        }
+        for (const entry of this.uiEventJournal.getEventsSince(uiSeq)) {
+          uiSeq = entry.seq;
+          send('ui', { type: entry.type, data: entry.data });
+        }
+      } catch (error) {
+        logger.warn('[Dashboard] Failed to read event journals', {
+          error: error instanceof Error ? error.message : String(error),
+        });
+      }
+    };
+
+    const pollTimer = setInterval(pollEvents, this.config.eventPollInterval ?? DEFAULT_EVENT_POLL_INTERVAL_MS);
+    const metricsTimer = setInterval(() => {
+      void pushMetrics();
+    }, this.config.metricsInterval ?? DEFAULT_METRICS_INTERVAL_MS);
+    const keepAlive = setInterval(() => {
+      res.write(': keep-alive\n\n');
+    }, STREAMING.KEEP_ALIVE_INTERVAL_MS);
+
+    const close = (): void => {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      this.eventStreams.delete(close);
+      clearInterval(pollTimer);
+      clearInterval(metricsTimer);
+      clearInterval(keepAlive);
+      res.end();
+    };
+
+    this.eventStreams.add(close);
+    req.on('close', close);
+
+    void pushMetrics();
+  };
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Constant-time token comparison (hashing equalizes the lengths)
+ */
+function tokensMatch(provided: string, expected: string): boolean {
+  const a = createHash('sha256').update(provided).digest();
+  const b = createHash('sha256').update(expected).digest();
+  return timingSafeEqual(a, b);
+}
+
+function queryString(req: Request, name: string): string | undefined {
+  const value = req.query[name];
+  return typeof value === 'string' && value.trim() !== '' ? value.trim() : undefined;
+}
+
+function queryInteger(req: Request, name: string, fallback: number, min: number, max: number): number {
+  const raw = queryString(req, name);
+  if (raw === undefined) {
+    return fallback;
+  }
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new ValidationError(`${name} must be an integer between ${min} and ${max}`, { [name]: raw });
+  }
+  return value;
+}
+
+function sendNotFound(res: Response, message: string): void {
+  res.status(404).json({ success: false, error: { code: 'NOT_FOUND', message } });
+}
+
+function toEdge(relation: Pick<Relation, 'from' | 'to' | 'relationType'>): GraphEdge {
+  return { from: relation.from, to: relation.to, relationType: relation.relationType };
+}
+
+// ============================================================================
+// Standalone
+// ============================================================================
+
+/**
+ * Open the default knowledge graph and serve the dashboard until SIGINT/SIGTERM
+ *
+ * @param options - Port and token overrides
+ * @returns The running server
+ */
+export async function startDashboardServer(
+  options: { port?: number; token?: string; dbPath?: string } = {}
+): Promise<DashboardServer> {
+  const knowledgeGraph = await KnowledgeGraph.create(options.dbPath);
+  const server = new DashboardServer({ knowledgeGraph, port: options.port, token: options.token });
+
+  try {
+    await server.start();
+  } catch (error) {
+    await server.stop();
+    knowledgeGraph.close();
+    throw error;
+  }
+
+  const shutdown = async (): Promise<void> => {
+    await server.stop();
+    knowledgeGraph.close();
+    process.exit(0);
+  };
+  process.once('SIGINT', () => void shutdown());
+  process.once('SIGTERM', () => void shutdown());
+
+  return server;
+}
+
+// CLI mode (when executing this file directly, e.g. `npm run dashboard`)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const port = process.env.MEMESH_DASHBOARD_PORT ? Number(process.env.MEMESH_DASHBOARD_PORT) : undefined;
+  const server = await startDashboardServer({ port });
+  console.log(`MeMesh dashboard: ${server.getUrl()}`);
+}
@@ -0,0 +1,373 @@
+/**
+ * Database Backup - Online backup, restore and integrity checks
+ *
+ * Covers every SQLite database in the MeMesh data directory (knowledge graph,
+ * secrets, A2A task queues and registry, evolution store). Backups use
+ * SQLite's online backup API, so they are consistent even while the daemon
+ * is writing. Each backup directory holds a manifest.json with the size,
+ * SHA-256 and schema version of every file.
+ *
+ * Restore verifies the whole backup first and takes a safety backup of the
+ * current databases, so a bad restore can itself be undone.
+ */
+
+import Database from 'better-sqlite3';
+import { createHash } from 'crypto';
+import { createReadStream, promises as fs } from 'fs';
+import path from 'path';
+import { NotFoundError, StateError } from '../errors/index.js';
+import { getDataDirectory } from '../utils/PathResolver.js';
+import { logger } from '../utils/logger.js';
+import { readSchemaVersion } from './SchemaMigrator.js';
+
+/** Manifest file written into every backup directory */
+export const BACKUP_MANIFEST_FILE = 'manifest.json';
+
+/**
+ * A database file in the data directory
+ */
+export interface ManagedDatabase {
+  /** File name without .db, e.g. 'knowledge-graph' */
+  name: string;
+  /** Absolute path */
+  path: string;
+}
+
+/**
+ * Result of checking one database file
+ */
+export interface DatabaseCheck {
+  name: string;
+  path: string;
+  /** True if integrity, foreign keys and (for backups) checksum are fine */
+  ok: boolean;
+  /** Problems found ('PRAGMA integrity_check' messages, checksum mismatch, ...) */
+  problems: string[];
+  /** Rows violating foreign key constraints */
+  foreignKeyViolations: number;
+  /** schema_version of the database, if it is versioned */
+  schemaVersion?: number;
+  sizeBytes: number;
+}
+
+/**
+ * manifest.json of a backup
+ */
+export interface BackupManifest {
+  createdAt: string;
+  /** Data directory the databases were copied from */
+  dataDirectory: string;
+  databases: Array<{
+    name: string;
+    file: string;
+    sizeBytes: number;
+    sha256: string;
+    schemaVersion?: number;
+  }>;
+}
+
+/**
+ * Options shared by backup and restore
+ */
+export interface DatabaseSelectionOptions {
+  /** Data directory (default: MeMesh data directory) */
+  dataDir?: string;
+  /** Only these databases (names without .db); default: all */
+  names?: string[];
+}
+
+/**
+ * Options for backupDatabases()
+ */
+export interface BackupOptions extends DatabaseSelectionOptions {
+  /** Backup directory (default: <dataDir>/backups/<timestamp>) */
+  outDir?: string;
+}
+
+/**
+ * Result of backupDatabases()
+ */
+export interface BackupResult {
+  directory: string;
+  manifest: BackupManifest;
+}
+
+/**
+ * Options for restoreDatabases()
+ */
+export interface RestoreOptions extends DatabaseSelectionOptions {
+  /** Backup directory containing manifest.json */
+  backupDir: string;
+}
+
+/**
+ * Result of restoreDatabases()
+ */
+export interface RestoreResult {
+  /** Names of the restored databases */
+  restored: string[];
+  /** Backup of the databases as they were before the restore */
+  safetyBackup?: string;
+}
+
+function timestampForPath(date = new Date()): string {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+async function sha256File(filePath: string): Promise<string> {
+  const hash = createHash('sha256');
+  for await (const chunk of createReadStream(filePath)) {
+    hash.update(chunk as Buffer);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * List the SQLite databases in the data directory
+ *
+ * @param dataDir - Data directory (default: MeMesh data directory)
+ * @returns Databases sorted by name
+ */
+export async function listDatabases(dataDir: string = getDataDirectory()): Promise<ManagedDatabase[]> {
+  let entries: string[];
+  try {
+    entries = await fs.readdir(dataDir);
+  } catch {
+    return [];
+  }
+
+  return entries
+    .filter((file) => file.endsWith('.db'))
+    .sort()
+    .map((file) => ({ name: file.slice(0, -'.db'.length), path: path.join(dataDir, file) }));
+}
+
+/**
+ * Select databases by name
+ *
+ * @throws NotFoundError if a requested name does not exist
+ */
+function selectDatabases(databases: ManagedDatabase[], names: string[] | undefined): ManagedDatabase[] {
+  if (!names || names.length === 0) {
+    return databases;
+  }
+  return names.map((name) => {
+    const normalized = name.endsWith('.db') ? name.slice(0, -'.db'.length) : name;
+    const database = databases.find((db) => db.name === normalized);
+    if (!database) {
+      throw new NotFoundError(`Database not found: ${name}`, 'database', name, {
+        available: databases.map((db) => db.name),
+      });
+    }
+    return database;
+  });
+}
+
+/**
+ * Check a database file
+ *
+ * Runs `PRAGMA integrity_check` and `PRAGMA foreign_key_check` on a read-only
+ * connection. A file that is not a valid database is reported, not thrown.
+ *
+ * @param filePath - Database file
+ * @param name - Name to report (default: file name without .db)
+ */
+export async function verifyDatabase(filePath: string, name?: string): Promise<DatabaseCheck> {
+  const { size } = await fs.stat(filePath);
+  const check: DatabaseCheck = {
+    name: name ?? path.basename(filePath, '.db'),
+    path: filePath,
+    ok: false,
+    problems: [],
+    foreignKeyViolations: 0,
+    sizeBytes: size,
+  };
+
+  let db: Database.Database | undefined;
+  try {
+    db = new Database(filePath, { readonly: true, fileMustExist: true });
+    const integrity = db.pragma('integrity_check') as Array<{ integrity_check: string }>;
+    check.problems.push(...integrity.map((row) => row.integrity_check).filter((message) => message !== 'ok'));
+    check.foreignKeyViolations = (db.pragma('foreign_key_check') as unknown[]).length;
+    check.schemaVersion = readSchemaVersion(db);
+  } catch (error) {
+    check.problems.push(error instanceof Error ? error.message : String(error));
+  } finally {
+    db?.close();
+  }
+
+  if (check.foreignKeyViolations > 0) {
+    check.problems.push(`${check.foreignKeyViolations} foreign key violation(s)`);
+  }
+  check.ok = check.problems.length === 0;
+  return check;
+}
+
+/**
+ * Read a backup's manifest
+ *
+ * @throws NotFoundError if the directory has no manifest.json
+ */
+export async function readBackupManifest(backupDir: string): Promise<BackupManifest> {
+  const manifestPath = path.join(backupDir, BACKUP_MANIFEST_FILE);
+  let raw: string;
+  try {
+    raw = await fs.readFile(manifestPath, 'utf-8');
+  } catch {
+    throw new NotFoundError(`No backup manifest in ${backupDir}`, 'backup', manifestPath);
+  }
+  return JSON.parse(raw) as BackupManifest;
+}
+
+/**
+ * Check every database of a backup, including its checksum
+ *
+ * @param backupDir - Backup directory containing manifest.json
+ * @param names - Only these databases (default: all)
+ */
+export async function verifyBackup(backupDir: string, names?: string[]): Promise<DatabaseCheck[]> {
+  const manifest = await readBackupManifest(backupDir);
+  const entries = selectDatabases(
+    manifest.databases.map((entry) => ({ name: entry.name, path: path.join(backupDir, entry.file) })),
+    names
+  );
+
+  const checks: DatabaseCheck[] = [];
+  for (const entry of entries) {
+    const expected = manifest.databases.find((db) => db.name === entry.name)!;
+    let check: DatabaseCheck;
+    try {
+      check = await verifyDatabase(entry.path, entry.name);
+      if ((await sha256File(entry.path)) !== expected.sha256) {
+        check.problems.push('Checksum does not match manifest');
+        check.ok = false;
+      }
+    } catch (error) {
+      check = {
+        name: entry.name,
+        path: entry.path,
+        ok: false,
+        problems: [error instanceof Error ? error.message : String(error)],
+        foreignKeyViolations: 0,
+        sizeBytes: 0,
+      };
+    }
+    checks.push(check);
+  }
+  return checks;
+}
+
+/**
+ * Back up databases with SQLite's online backup API
+ *
+ * @param options - Data directory, selection and output directory
+ * @returns Backup directory and manifest
+ * @throws NotFoundError if a selected database does not exist
+ * @throws StateError if there is nothing to back up or a copy fails its check
+ */
+export async function backupDatabases(options: BackupOptions = {}): Promise<BackupResult> {
+  const dataDir = options.dataDir ?? getDataDirectory();
+  const databases = selectDatabases(await listDatabases(dataDir), options.names);
+  if (databases.length === 0) {
+    throw new StateError(`No databases found in ${dataDir}`, { component: 'DatabaseBackup', dataDir });
+  }
+
+  const directory = options.outDir ?? path.join(dataDir, 'backups', timestampForPath());
+  await fs.mkdir(directory, { recursive: true });
+
+  const manifest: BackupManifest = {
+    createdAt: new Date().toISOString(),
+    dataDirectory: dataDir,
+    databases: [],
+  };
+
+  for (const database of databases) {
+    const file = `${database.name}.db`;
+    const destination = path.join(directory, file);
+
+    const source = new Database(database.path, { readonly: true, fileMustExist: true });
+    try {
+      await source.backup(destination);
+    } finally {
+      source.close();
+    }
+
+    const check = await verifyDatabase(destination, database.name);
+    if (!check.ok) {
+      throw new StateError(`Backup of ${database.name} failed its integrity check`, {
+        component: 'DatabaseBackup',
+        database: database.name,
+        problems: check.problems,
+      });
+    }
+
+    manifest.databases.push({
+      name: database.name,
+      file,
+      sizeBytes: check.sizeBytes,
+      sha256: await sha256File(destination),
+      schemaVersion: check.schemaVersion,
+    });
+  }
+
+  await fs.writeFile(path.join(directory, BACKUP_MANIFEST_FILE), JSON.stringify(manifest, null, 2), 'utf-8');
+
+  logger.info('[DatabaseBackup] Backup created', { directory, databases: manifest.databases.length });
+
+  return { directory, manifest };
+}
+
+/**
+ * Restore databases from a backup
+ *
+ * The backup is verified first; nothing is restored if any selected database
+ * fails. Existing databases are backed up to
+ * `<dataDir>/backups/pre-restore-<timestamp>` before being overwritten.
+ * Stop the daemon before restoring so no process keeps using the old data.
+ *
+ * @param options - Backup directory, data directory and selection
+ * @throws StateError if the backup fails verification
+ */
+export async function restoreDatabases(options: RestoreOptions): Promise<RestoreResult> {
+  const dataDir = options.dataDir ?? getDataDirectory();
+  const checks = await verifyBackup(options.backupDir, options.names);
+
+  const failed = checks.filter((check) => !check.ok);
+  if (failed.length > 0) {
+    throw new StateError('Backup failed verification, nothing was restored', {
+      component: 'DatabaseBackup',
+      backupDir: options.backupDir,
+      failed: failed.map((check) => ({ name: check.name, problems: check.problems })),
+    });
+  }
+
+  // Keep the current state of everything we are about to overwrite
+  const current = await listDatabases(dataDir);
+  const overwritten = current.filter((db) => checks.some((check) => check.name === db.name));
+  let safetyBackup: string | undefined;
+  if (overwritten.length > 0) {
+    safetyBackup = (
+      await backupDatabases({
+        dataDir,
+        names: overwritten.map((db) => db.name),
+        outDir: path.join(dataDir, 'backups', `pre-restore-${timestampForPath()}`),
+      })
+    ).directory;
+  }
+
+  await fs.mkdir(dataDir, { recursive: true });
+  const restored: string[] = [];
+  for (const check of checks) {
+    const source = new Database(check.path, { readonly: true, fileMustExist: true });
+    try {
+      await source.backup(path.join(dataDir, `${check.name}.db`));
+    } finally {
+      source.close();
+    }
+    restored.push(check.name);
+  }
+
+  logger.info('[DatabaseBackup] Databases restored', { backupDir: options.backupDir, restored, safetyBackup });
+
+  return { restored, safetyBackup };
+}
@@ -0,0 +1,259 @@
+/**
+ * Schema Migrator - Versioned migrations for MeMesh SQLite databases
+ *
+ * Each database (knowledge graph, A2A task queues, secrets) declares an
+ * ordered list of numbered migrations with up/down steps. Applied versions are
+ * recorded in a `schema_version` table, so every migration runs exactly once
+ * and `memesh db verify` can report where a database stands.
+ *
+ * Rules for migrations:
+ * - Versions start at 1 and increase by one; never renumber a released step
+ * - Each step runs in a transaction together with its schema_version row
+ * - Steps must tolerate databases created before versioning existed
+ *   (use IF NOT EXISTS and hasColumn() checks), since those start at v0
+ *
+ * @example
+ * ```typescript
+ * const migrator = new SchemaMigrator(db, { name: 'KG', migrations: KNOWLEDGE_GRAPH_MIGRATIONS });
+ * migrator.migrate();               // apply pending migrations
+ * migrator.rollback(2);             // step back down to v2
+ * ```
+ */
+
+import type Database from 'better-sqlite3';
+import { StateError, ValidationError } from '../errors/index.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * A numbered schema change
+ */
+export interface SchemaMigration {
+  /** Version reached after this migration (1, 2, 3, ...) */
+  version: number;
+  /** Short snake_case description, e.g. 'add_content_hash' */
+  name: string;
+  /** Apply the change */
+  up: (db: Database.Database) => void;
+  /** Revert the change (omit if it cannot be reverted) */
+  down?: (db: Database.Database) => void;
+}
+
+/**
+ * Schema migrator options
+ */
+export interface SchemaMigratorOptions {
+  /** Database name used in log messages (e.g. 'KG', 'TaskQueue') */
+  name: string;
+  /** Migrations in version order */
+  migrations: SchemaMigration[];
+}
+
+/**
+ * A row of the schema_version table
+ */
+export interface AppliedMigration {
+  version: number;
+  name: string;
+  appliedAt: string;
+}
+
+/**
+ * Schema status of a database
+ */
+export interface SchemaStatus {
+  /** Highest applied version (0 if none) */
+  current: number;
+  /** Highest version this build knows */
+  latest: number;
+  /** Migrations that have not been applied yet */
+  pending: Array<Pick<SchemaMigration, 'version' | 'name'>>;
+  /** True if the database was migrated by a newer MeMesh version */
+  isNewer: boolean;
+}
+
+/**
+ * Check whether a table has a column
+ *
+ * @param db - Database connection
+ * @param table - Table name (trusted identifier)
+ * @param column - Column name
+ */
+export function hasColumn(db: Database.Database, table: string, column: string): boolean {
+  const columns = db.pragma(`table_info(${table})`) as Array<{ name: string }>;
+  return columns.some((col) => col.name === column);
+}
+
+/**
+ * Read the schema version of a database without migrating it
+ *
+ * @returns The highest applied version, or undefined if the database has no
+ *   schema_version table
+ */
+export function readSchemaVersion(db: Database.Database): number | undefined {
+  const table = db
+    .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'")
+    .get();
+  if (!table) {
+    return undefined;
+  }
+  const row = db.prepare('SELECT MAX(version) as version FROM schema_version').get() as {
+    version: number | null;
+  };
+  return row.version ?? 0;
+}
+
+export class SchemaMigrator {
+  private readonly name: string;
+  private readonly migrations: SchemaMigration[];
+
+  /**
+   * @throws ValidationError if the versions are not 1, 2, 3, ... in order
+   */
+  constructor(
+    private db: Database.Database,
+    options: SchemaMigratorOptions
+  ) {
+    this.name = options.name;
+    this.migrations = options.migrations;
+
+    this.migrations.forEach((migration, index) => {
+      if (migration.version !== index + 1) {
+        throw new ValidationError(`Migrations must be numbered consecutively from 1`, {
+          component: 'SchemaMigrator',
+          database: this.name,
+          expected: index + 1,
+          actual: migration.version,
+          migration: migration.name,
+        });
+      }
+    });
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      );
+    `);
+  }
+
+  /**
+   * Get the highest applied version (0 for a new or pre-versioning database)
+   */
+  getCurrentVersion(): number {
+    return readSchemaVersion(this.db) ?? 0;
+  }
+
+  /**
+   * Get the highest version known to this build
+   */
+  getLatestVersion(): number {
+    return this.migrations.length;
+  }
+
+  /**
+   * Get applied migrations, oldest first
+   */
+  getAppliedMigrations(): AppliedMigration[] {
+    return this.db
+      .prepare('SELECT version, name, applied_at as appliedAt FROM schema_version ORDER BY version')
+      .all() as AppliedMigration[];
+  }
+
+  /**
+   * Get the schema status
+   */
+  getStatus(): SchemaStatus {
+    const current = this.getCurrentVersion();
+    const latest = this.getLatestVersion();
+    return {
+      current,
+      latest,
+      pending: this.migrations
+        .filter((migration) => migration.version > current)
+        .map(({ version, name }) => ({ version, name })),
+      isNewer: current > latest,
+    };
+  }
+
+  /**
+   * Apply pending migrations
+   *
+   * A database migrated by a newer MeMesh version is left untouched (with a
+   * warning), since its extra columns and tables are unknown to this build.
+   *
+   * @param targetVersion - Version to migrate to (default: latest)
+   * @returns Number of migrations applied
+   * @throws Error from the failing migration; earlier steps stay applied
+   */
+  migrate(targetVersion: number = this.getLatestVersion()): number {
+    const current = this.getCurrentVersion();
+
+    if (current > this.getLatestVersion()) {
+      logger.warn(`[${this.name}] Database schema v${current} is newer than this MeMesh build (v${this.getLatestVersion()})`);
+      return 0;
+    }
+
+    const pending = this.migrations.filter(
+      (migration) => migration.version > current && migration.version <= targetVersion
+    );
+    if (pending.length === 0) {
+      return 0;
+    }
+
+    logger.info(`[${this.name}] Migrating schema from v${current} to v${pending[pending.length - 1].version}`);
+
+    const record = this.db.prepare('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)');
+    for (const migration of pending) {
+      try {
+        this.db.transaction(() => {
+          migration.up(this.db);
+          record.run(migration.version, migration.name, new Date().toISOString());
+        })();
+        logger.info(`[${this.name}] Applied migration ${migration.version}: ${migration.name}`);
+      } catch (error) {
+        logger.error(`[${this.name}] Migration ${migration.version} (${migration.name}) failed`, {
+          error: error instanceof Error ? error.message : String(error),
+        });
+        throw error;
+      }
+    }
+
+    return pending.length;
+  }
+
+  /**
+   * Revert migrations down to a version
+   *
+   * @param targetVersion - Version to roll back to (0 reverts everything)
+   * @returns Number of migrations reverted
+   * @throws StateError if a migration on the way has no down step
+   */
+  rollback(targetVersion: number): number {
+    const current = this.getCurrentVersion();
+    const toRevert = this.migrations
+      .filter((migration) => migration.version > targetVersion && migration.version <= current)
+      .reverse();
+
+    const irreversible = toRevert.find((migration) => !migration.down);
+    if (irreversible) {
+      throw new StateError(`Migration ${irreversible.version} (${irreversible.name}) cannot be reverted`, {
+        component: 'SchemaMigrator',
+        database: this.name,
+        currentVersion: current,
+        targetVersion,
+      });
+    }
+
+    const unrecord = this.db.prepare('DELETE FROM schema_version WHERE version = ?');
+    for (const migration of toRevert) {
+      this.db.transaction(() => {
+        migration.down!(this.db);
+        unrecord.run(migration.version);
+      })();
+      logger.info(`[${this.name}] Reverted migration ${migration.version}: ${migration.name}`);
+    }
+
+    return toRevert.length;
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * DatabaseBackup Tests
+ *
+ * Online backup, verification and restore of the data directory databases.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import Database from 'better-sqlite3';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  backupDatabases,
+  listDatabases,
+  readBackupManifest,
+  restoreDatabases,
+  verifyBackup,
+  verifyDatabase,
+} from '../DatabaseBackup.js';
+import { SchemaMigrator } from '../SchemaMigrator.js';
+import { NotFoundError, StateError } from '../../errors/index.js';
+
+function createDatabase(path: string, rows: string[]): void {
+  const db = new Database(path);
+  new SchemaMigrator(db, {
+    name: 'Test',
+    migrations: [
+      { version: 1, name: 'create_notes', up: (d) => d.exec('CREATE TABLE notes (body TEXT NOT NULL)') },
+    ],
+  }).migrate();
+  const insert = db.prepare('INSERT INTO notes (body) VALUES (?)');
+  rows.forEach((row) => insert.run(row));
+  db.close();
+}
+
+function readNotes(path: string): string[] {
+  const db = new Database(path, { readonly: true });
+  try {
+    return (db.prepare('SELECT body FROM notes ORDER BY rowid').all() as Array<{ body: string }>).map((r) => r.body);
+  } finally {
+    db.close();
+  }
+}
+
+describe('DatabaseBackup', () => {
+  let dataDir: string;
+
+  beforeEach(() => {
+    dataDir = mkdtempSync(join(tmpdir(), 'memesh-db-backup-'));
+    createDatabase(join(dataDir, 'knowledge-graph.db'), ['first memory']);
+    createDatabase(join(dataDir, 'secrets.db'), ['encrypted']);
+    writeFileSync(join(dataDir, 'metrics.json'), '{}');
+  });
+
+  afterEach(() => {
+    rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('should list the databases in the data directory', async () => {
+    const databases = await listDatabases(dataDir);
+    expect(databases.map((db) => db.name)).toEqual(['knowledge-graph', 'secrets']);
+  });
+
+  it('should verify a healthy database', async () => {
+    const check = await verifyDatabase(join(dataDir, 'knowledge-graph.db'));
+    expect(check).toMatchObject({ name: 'knowledge-graph', ok: true, problems: [], schemaVersion: 1 });
+  });
+
+  it('should report a file that is not a database', async () => {
+    const bogus = join(dataDir, 'bogus.db');
+    writeFileSync(bogus, 'not a database at all, just some text padding it out'.repeat(100));
+
+    const check = await verifyDatabase(bogus);
+    expect(check.ok).toBe(false);
+    expect(check.problems.length).toBeGreaterThan(0);
+  });
+
+  it('should back up every database with a manifest', async () => {
+    const outDir = join(dataDir, 'out');
+    const { directory, manifest } = await backupDatabases({ dataDir, outDir });
+
+    expect(directory).toBe(outDir);
+    expect(manifest.databases.map((db) => db.name)).toEqual(['knowledge-graph', 'secrets']);
+    expect(manifest.databases[0]).toMatchObject({ file: 'knowledge-graph.db', schemaVersion: 1 });
+    expect(manifest.databases[0].sha256).toMatch(/^[0-9a-f]{64}$/);
+    expect(readNotes(join(outDir, 'knowledge-graph.db'))).toEqual(['first memory']);
+    expect(await readBackupManifest(outDir)).toEqual(manifest);
+  });
+
+  it('should back up selected databases into a timestamped directory', async () => {
+    const { directory, manifest } = await backupDatabases({ dataDir, names: ['secrets'] });
+
+    expect(directory.startsWith(join(dataDir, 'backups'))).toBe(true);
+    expect(manifest.databases.map((db) => db.name)).toEqual(['secrets']);
+    await expect(backupDatabases({ dataDir, names: ['missing'] })).rejects.toThrow(NotFoundError);
+  });
+
+  it('should detect a modified backup', async () => {
+    const { directory } = await backupDatabases({ dataDir, outDir: join(dataDir, 'out') });
+    const db = new Database(join(directory, 'secrets.db'));
+    db.prepare("INSERT INTO notes (body) VALUES ('tampered')").run();
+    db.close();
+
+    const checks = await verifyBackup(directory);
+    expect(checks.find((c) => c.name === 'knowledge-graph')?.ok).toBe(true);
+    expect(checks.find((c) => c.name === 'secrets')).toMatchObject({
+      ok: false,
+      problems: ['Checksum does not match manifest'],
+    });
+  });
+
+  it('should restore a backup and keep a safety copy', async () => {
+    const { directory } = await backupDatabases({ dataDir, outDir: join(dataDir, 'out') });
+
+    const live = new Database(join(dataDir, 'knowledge-graph.db'));
+    live.prepare("INSERT INTO notes (body) VALUES ('written after backup')").run();
+    live.close();
+
+    const result = await restoreDatabases({ backupDir: directory, dataDir, names: ['knowledge-graph'] });
+
+    expect(result.restored).toEqual(['knowledge-graph']);
+    expect(readNotes(join(dataDir, 'knowledge-graph.db'))).toEqual(['first memory']);
+    expect(result.safetyBackup).toBeDefined();
+    expect(readNotes(join(result.safetyBackup!, 'knowledge-graph.db'))).toEqual([
+      'first memory',
+      'written after backup',
+    ]);
+  });
+
+  it('should restore nothing from a backup that fails verification', async () => {
+    const { directory } = await backupDatabases({ dataDir, outDir: join(dataDir, 'out') });
+    const manifestPath = join(directory, 'manifest.json');
+    const manifest = JSON.parse(readFileSync(manifestPath, 'utf-8'));
+    manifest.databases[1].sha256 = '0'.repeat(64);
+    writeFileSync(manifestPath, JSON.stringify(manifest));
+
+    const live = new Database(join(dataDir, 'knowledge-graph.db'));
+    live.prepare("INSERT INTO notes (body) VALUES ('keep me')").run();
+    live.close();
+
+    await expect(restoreDatabases({ backupDir: directory, dataDir })).rejects.toThrow(StateError);
+    expect(readNotes(join(dataDir, 'knowledge-graph.db'))).toEqual(['first memory', 'keep me']);
+    expect(existsSync(join(dataDir, 'backups'))).toBe(false);
+  });
+});
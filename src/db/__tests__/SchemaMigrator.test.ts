@@ -0,0 +1,171 @@
+/**
+ * SchemaMigrator Tests
+ *
+ * Versioned migrations: ordering, idempotence, rollback and databases
+ * created before versioning.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import Database from 'better-sqlite3';
+import { SchemaMigrator, hasColumn, readSchemaVersion, type SchemaMigration } from '../SchemaMigrator.js';
+import { StateError, ValidationError } from '../../errors/index.js';
+import { KNOWLEDGE_GRAPH_MIGRATIONS } from '../../knowledge-graph/migrations.js';
+
+const MIGRATIONS: SchemaMigration[] = [
+  {
+    version: 1,
+    name: 'create_notes',
+    up: (db) => db.exec('CREATE TABLE IF NOT EXISTS notes (id INTEGER PRIMARY KEY, body TEXT NOT NULL)'),
+    down: (db) => db.exec('DROP TABLE notes'),
+  },
+  {
+    version: 2,
+    name: 'add_notes_title',
+    up: (db) => {
+      if (!hasColumn(db, 'notes', 'title')) {
+        db.exec('ALTER TABLE notes ADD COLUMN title TEXT');
+      }
+    },
+    down: (db) => db.exec('ALTER TABLE notes DROP COLUMN title'),
+  },
+];
+
+describe('SchemaMigrator', () => {
+  let db: Database.Database;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('should apply pending migrations in order and record them', () => {
+    const migrator = new SchemaMigrator(db, { name: 'Test', migrations: MIGRATIONS });
+
+    expect(migrator.getStatus()).toMatchObject({ current: 0, latest: 2, isNewer: false });
+    expect(migrator.migrate()).toBe(2);
+
+    expect(migrator.getCurrentVersion()).toBe(2);
+    expect(hasColumn(db, 'notes', 'title')).toBe(true);
+    expect(migrator.getAppliedMigrations().map((m) => m.name)).toEqual(['create_notes', 'add_notes_title']);
+    expect(readSchemaVersion(db)).toBe(2);
+  });
+
+  it('should not re-run applied migrations', () => {
+    new SchemaMigrator(db, { name: 'Test', migrations: MIGRATIONS }).migrate();
+    const again = new SchemaMigrator(db, { name: 'Test', migrations: MIGRATIONS });
+
+    expect(again.migrate()).toBe(0);
+    expect(again.getStatus().pending).toEqual([]);
+  });
+
+  it('should migrate to a target version', () => {
+    const migrator = new SchemaMigrator(db, { name: 'Test', migrations: MIGRATIONS });
+
+    expect(migrator.migrate(1)).toBe(1);
+    expect(migrator.getStatus().pending).toEqual([{ version: 2, name: 'add_notes_title' }]);
+  });
+
+  it('should roll back to a version', () => {
+    const migrator = new SchemaMigrator(db, { name: 'Test', migrations: MIGRATIONS });
+    migrator.migrate();
+
+    expect(migrator.rollback(1)).toBe(1);
+    expect(migrator.getCurrentVersion()).toBe(1);
+    expect(hasColumn(db, 'notes', 'title')).toBe(false);
+
+    expect(migrator.rollback(0)).toBe(1);
+    expect(migrator.getCurrentVersion()).toBe(0);
+  });
+
+  it('should refuse to roll back an irreversible migration', () => {
+    const migrations = [MIGRATIONS[0], { ...MIGRATIONS[1], down: undefined }];
+    const migrator = new SchemaMigrator(db, { name: 'Test', migrations });
+    migrator.migrate();
+
+    expect(() => migrator.rollback(0)).toThrow(StateError);
+    expect(migrator.getCurrentVersion()).toBe(2);
+  });
+
+  it('should leave the version unchanged when a migration fails', () => {
+    const failing: SchemaMigration = {
+      version: 2,
+      name: 'broken',
+      up: (db) => {
+        db.exec('CREATE TABLE partial (id INTEGER)');
+        throw new Error('boom');
+      },
+    };
+    const migrator = new SchemaMigrator(db, { name: 'Test', migrations: [MIGRATIONS[0], failing] });
+
+    expect(() => migrator.migrate()).toThrow('boom');
+    expect(migrator.getCurrentVersion()).toBe(1);
+    // The failed step's changes were rolled back with its transaction
+    expect(db.prepare("SELECT name FROM sqlite_master WHERE name = 'partial'").get()).toBeUndefined();
+  });
+
+  it('should not touch a database migrated by a newer version', () => {
+    new SchemaMigrator(db, { name: 'Test', migrations: MIGRATIONS }).migrate();
+    const older = new SchemaMigrator(db, { name: 'Test', migrations: [MIGRATIONS[0]] });
+
+    expect(older.getStatus().isNewer).toBe(true);
+    expect(older.migrate()).toBe(0);
+  });
+
+  it('should reject gaps in migration versions', () => {
+    expect(
+      () => new SchemaMigrator(db, { name: 'Test', migrations: [MIGRATIONS[0], { ...MIGRATIONS[1], version: 3 }] })
+    ).toThrow(ValidationError);
+  });
+
+  it('should report no version for unversioned databases', () => {
+    expect(readSchemaVersion(db)).toBeUndefined();
+  });
+
+  describe('knowledge graph migrations', () => {
+    it('should upgrade a database created before versioning', () => {
+      // Schema as written by releases with ad-hoc migrations (content_hash only)
+      db.exec(`
+        CREATE TABLE entities (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE,
+          type TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          metadata JSON,
+          content_hash TEXT
+        );
+        CREATE TABLE observations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          entity_id INTEGER NOT NULL,
+          content TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        INSERT INTO entities (name, type) VALUES ('auth-decision', 'decision');
+        INSERT INTO observations (entity_id, content) VALUES (1, 'Use JWT with short expiry');
+      `);
+
+      const migrator = new SchemaMigrator(db, { name: 'KG', migrations: KNOWLEDGE_GRAPH_MIGRATIONS });
+      migrator.migrate();
+
+      expect(migrator.getCurrentVersion()).toBe(KNOWLEDGE_GRAPH_MIGRATIONS.length);
+      expect(hasColumn(db, 'observations', 'valid_to')).toBe(true);
+      expect(hasColumn(db, 'relations', 'superseded_by')).toBe(true);
+      const fts = db.prepare("SELECT rowid FROM entities_fts WHERE entities_fts MATCH 'JWT'").all();
+      expect(fts).toEqual([{ rowid: 1 }]);
+    });
+
+    it('should roll back every step', () => {
+      const migrator = new SchemaMigrator(db, { name: 'KG', migrations: KNOWLEDGE_GRAPH_MIGRATIONS });
+      migrator.migrate();
+
+      migrator.rollback(1);
+      expect(hasColumn(db, 'entities', 'content_hash')).toBe(false);
+      expect(hasColumn(db, 'observations', 'valid_to')).toBe(false);
+
+      migrator.rollback(0);
+      expect(db.prepare("SELECT name FROM sqlite_master WHERE name = 'entities'").get()).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { SpanTracker } from './SpanTracker';
+import { SQLiteStore } from '../storage/SQLiteStore';
+import type { EvolutionStore } from '../storage/EvolutionStore';
+import {
+  registerSpanProcessor,
+  shutdownSpanExport,
+  type ExportableSpan,
+} from '../../utils/tracing/export/index.js';
+
+describe('SpanTracker - Span Export', () => {
+  let store: EvolutionStore;
+  let tracker: SpanTracker;
+  let exported: ExportableSpan[];
+
+  beforeEach(async () => {
+    store = new SQLiteStore({ dbPath: ':memory:' });
+    await store.initialize();
+    tracker = new SpanTracker({ store });
+    exported = [];
+    registerSpanProcessor({
+      onEnd: (span) => exported.push(span),
+      forceFlush: async () => {},
+      shutdown: async () => {},
+    });
+  });
+
+  afterEach(async () => {
+    await shutdownSpanExport();
+    await store.close();
+  });
+
+  it('should export completed spans with OTLP IDs', async () => {
+    await tracker.startTask({ task: 'test' });
+    await tracker.startExecution();
+
+    const parent = tracker.startSpan({ name: 'agent.execute', tags: ['code-review'] });
+    const child = tracker.startSpan({ name: 'tool.read', parentSpan: parent });
+    child.setStatus({ code: 'ERROR', message: 'not found' });
+    await child.end();
+    await parent.end();
+
+    expect(exported).toHaveLength(2);
+    const [childSpan, parentSpan] = exported;
+
+    expect(parentSpan.traceId).toMatch(/^[0-9a-f]{32}$/);
+    expect(parentSpan.spanId).toMatch(/^[0-9a-f]{16}$/);
+    expect(childSpan.traceId).toBe(parentSpan.traceId);
+    expect(childSpan.parentSpanId).toBe(parentSpan.spanId);
+    expect(childSpan.status).toEqual({ code: 'ERROR', message: 'not found' });
+    expect(parentSpan.attributes['task.id']).toBe(tracker.getCurrentTask()?.id);
+    expect(parentSpan.attributes['memesh.tags']).toEqual(['code-review']);
+    expect(parentSpan.endTime).toBeGreaterThanOrEqual(parentSpan.startTime);
+
+    await tracker.endTask('completed');
+  });
+
+  it('should still store spans in the evolution store', async () => {
+    await tracker.startTask({ task: 'test' });
+    await tracker.startExecution();
+
+    const span = tracker.startSpan({ name: 'stored' });
+    await span.end();
+
+    const stored = await store.querySpans({ task_id: tracker.getCurrentTask()!.id });
+    expect(stored.map((s) => s.name)).toContain('stored');
+
+    await tracker.endTask('completed');
+  });
+});
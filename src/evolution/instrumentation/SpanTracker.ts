@@ -2,6 +2,8 @@
  * SpanTracker - Core tracking logic for Evolution System
  *
  * Manages the creation and lifecycle of spans, following OpenTelemetry patterns.
+ * Completed spans are stored in the evolution store and, when span export is
+ * configured, also sent to the OTLP pipeline.
  */
 
 import { v4 as uuid } from 'uuid';
@@ -18,6 +20,9 @@ import type {
   Execution,
 } from '../storage/types.js';
 import { StateError } from '../../errors/index.js';
+import { hasSpanProcessors, recordSpan as exportSpan } from '../../utils/tracing/export/pipeline.js';
+import { toOTLPId } from '../../utils/tracing/export/otlp.js';
+import type { ExportableSpan } from '../../utils/tracing/export/types.js';
 
 export interface SpanContext {
   traceId: string;
@@ -348,6 +353,10 @@ export class SpanTracker {
    */
   async recordSpan(span: Span): Promise<void> {
     await this.store.recordSpan(span);
+
+    if (hasSpanProcessors()) {
+      exportSpan(toExportableSpan(span));
+    }
   }
 
   /**
@@ -426,3 +435,35 @@ export function getGlobalTracker(): SpanTracker {
   }
   return globalTracker;
 }
+
+/**
+ * Convert an evolution span to the export model
+ *
+ * Evolution IDs are UUIDs and map to OTLP IDs deterministically, so parent
+ * and link references stay consistent. The per-execution resource (task.id,
+ * execution.id, ...) becomes span attributes, since the OTLP resource
+ * describes the process.
+ */
+function toExportableSpan(span: Span): ExportableSpan {
+  return {
+    traceId: toOTLPId(span.trace_id, 32),
+    spanId: toOTLPId(span.span_id, 16),
+    parentSpanId: span.parent_span_id ? toOTLPId(span.parent_span_id, 16) : undefined,
+    name: span.name,
+    kind: span.kind,
+    startTime: span.start_time,
+    endTime: span.end_time ?? span.start_time + (span.duration_ms ?? 0),
+    status: span.status,
+    attributes: {
+      ...span.resource,
+      ...span.attributes,
+      'memesh.tags': span.tags && span.tags.length > 0 ? span.tags : undefined,
+    },
+    events: span.events,
+    links: span.links?.map((link) => ({
+      traceId: toOTLPId(link.trace_id, 32),
+      spanId: toOTLPId(link.span_id, 16),
+      attributes: { ...link.attributes, 'memesh.link_type': link.link_type },
+    })),
+  };
+}
@@ -20,6 +20,8 @@ export interface CostRecord {
   inputTokens: number;
   outputTokens: number;
   cost: MicroDollars;
+  projectId?: string;
+  agent?: string;
 }
 
 interface CostRecordRow {
@@ -30,6 +32,8 @@ interface CostRecordRow {
   input_tokens: number;
   output_tokens: number;
   cost_micro: number;
+  project_id: string | null;
+  agent: string | null;
   created_at: string;
 }
 
@@ -55,6 +59,8 @@ export class CostRecordsRepository {
         input_tokens INTEGER NOT NULL,
         output_tokens INTEGER NOT NULL,
         cost_micro INTEGER NOT NULL,
+        project_id TEXT,
+        agent TEXT,
         created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
       );
 
@@ -62,6 +68,17 @@ export class CostRecordsRepository {
       CREATE INDEX IF NOT EXISTS idx_cost_records_task_id ON cost_records(task_id);
       CREATE INDEX IF NOT EXISTS idx_cost_records_model_name ON cost_records(model_name);
     `);
+
+    // Tables created before per-project / per-agent budgets lack these columns
+    const columns = new Set(
+      (this.db.prepare('PRAGMA table_info(cost_records)').all() as Array<{ name: string }>)
+        .map(column => column.name)
+    );
+    for (const column of ['project_id', 'agent']) {
+      if (!columns.has(column)) {
+        this.db.exec(`ALTER TABLE cost_records ADD COLUMN ${column} TEXT`);
+      }
+    }
     logger.debug('CostRecordsRepository schema ensured');
   }
 
@@ -72,8 +89,9 @@ export class CostRecordsRepository {
     const id = record.id || uuid();
     const stmt = this.db.prepare(`
       INSERT OR REPLACE INTO cost_records (
-        id, timestamp, task_id, model_name, input_tokens, output_tokens, cost_micro, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+        id, timestamp, task_id, model_name, input_tokens, output_tokens, cost_micro,
+        project_id, agent, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
     `);
 
     stmt.run(
@@ -83,7 +101,9 @@ export class CostRecordsRepository {
       record.modelName,
       record.inputTokens,
       record.outputTokens,
-      record.cost
+      record.cost,
+      record.projectId ?? null,
+      record.agent ?? null
     );
 
     logger.debug('Saved cost record', { id, taskId: record.taskId });
@@ -96,8 +116,9 @@ export class CostRecordsRepository {
   saveBatch(records: CostRecord[]): void {
     const stmt = this.db.prepare(`
       INSERT OR REPLACE INTO cost_records (
-        id, timestamp, task_id, model_name, input_tokens, output_tokens, cost_micro, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+        id, timestamp, task_id, model_name, input_tokens, output_tokens, cost_micro,
+        project_id, agent, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
     `);
 
     const insertMany = this.db.transaction((items: CostRecord[]) => {
@@ -110,7 +131,9 @@ export class CostRecordsRepository {
           record.modelName,
           record.inputTokens,
           record.outputTokens,
-          record.cost
+          record.cost,
+          record.projectId ?? null,
+          record.agent ?? null
         );
       }
     });
@@ -286,6 +309,8 @@ export class CostRecordsRepository {
       inputTokens: row.input_tokens,
       outputTokens: row.output_tokens,
       cost: row.cost_micro as MicroDollars,
+      ...(row.project_id ? { projectId: row.project_id } : {}),
+      ...(row.agent ? { agent: row.agent } : {}),
     };
   }
 }
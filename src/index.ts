@@ -81,8 +81,8 @@ async function startA2AServer(): Promise<void> {
         ],
         supportedFormats: ['text/plain', 'application/json'],
         maxMessageSize: 10 * 1024 * 1024, // 10MB
-        streaming: false,
-        pushNotifications: false,
+        streaming: true,
+        pushNotifications: true,
       },
       endpoints: {
         baseUrl: 'http://localhost:3000', // Will be updated with actual port
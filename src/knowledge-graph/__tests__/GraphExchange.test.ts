@@ -0,0 +1,371 @@
+/**
+ * Knowledge Graph Exchange Tests
+ *
+ * Test Categories:
+ * 1. Round-trip - every format restores entities, observations, tags and relations
+ * 2. Format details - escaping, wikilinks, foreign files
+ * 3. Import semantics - content_hash dedupe, skip/overwrite, missing endpoints
+ * 4. Secret redaction - imported observations and metadata pass through the redactor
+ * 5. File handling - format inference, overwrite protection
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync, readdirSync, readFileSync, mkdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { KnowledgeGraph } from '../index.js';
+import { ValidationError } from '../../errors/index.js';
+import { SecretManager } from '../../memory/SecretManager.js';
+import { FileKeyProvider } from '../../memory/SecretKeyProvider.js';
+import { SecretRedactor } from '../../memory/SecretRedactor.js';
+import {
+  exportGraph,
+  importGraph,
+  importGraphSnapshot,
+  inferGraphExchangeFormat,
+  assertGraphExchangeFormat,
+  snapshotGraph,
+  toGraphML,
+  fromGraphML,
+  toMarkdownVault,
+  fromMarkdownVault,
+  fromJsonLd,
+  type GraphExchangeFormat,
+  type GraphSnapshot,
+} from '../exchange/index.js';
+
+function seedGraph(kg: KnowledgeGraph): void {
+  kg.createEntity({
+    name: 'Use Redis for sessions',
+    entityType: 'decision',
+    observations: ['Chosen for TTL support', 'Multi-line note:\n  keep replicas <= 3 & monitor "lag"'],
+    tags: ['tech:redis', 'domain:auth'],
+    metadata: { author: 'team', priority: 2 },
+    contentHash: 'hash-redis',
+  });
+  kg.createEntity({
+    name: 'Session bug: tokens/expiry',
+    entityType: 'bug_fix',
+    observations: ['Tokens expired early'],
+    tags: ['bug'],
+  });
+  kg.createEntity({
+    name: 'Redis cluster setup',
+    entityType: 'feature',
+    observations: [],
+  });
+  kg.createRelation({
+    from: 'Session bug: tokens/expiry',
+    to: 'Use Redis for sessions',
+    relationType: 'caused_by',
+    metadata: { note: 'TTL misconfigured -- see PR' },
+  });
+  kg.createRelation({
+    from: 'Use Redis for sessions',
+    to: 'Redis cluster setup',
+    relationType: 'depends_on',
+  });
+}
+
+function comparable(snapshot: GraphSnapshot) {
+  return {
+    entities: snapshot.entities
+      .map(({ name, entityType, observations, tags, metadata, contentHash }) => ({
+        name,
+        entityType,
+        observations,
+        tags: [...tags].sort(),
+        metadata,
+        contentHash,
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+    relations: snapshot.relations
+      .map(({ from, to, relationType, metadata }) => ({ from, to, relationType, metadata }))
+      .sort((a, b) => `${a.from}${a.to}`.localeCompare(`${b.from}${b.to}`)),
+  };
+}
+
+describe('Knowledge Graph Exchange', () => {
+  let workDir: string;
+  let source: KnowledgeGraph;
+  let target: KnowledgeGraph;
+
+  beforeEach(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'memesh-exchange-'));
+    source = KnowledgeGraph.createSync(join(workDir, 'source.db'));
+    target = KnowledgeGraph.createSync(join(workDir, 'target.db'));
+    seedGraph(source);
+  });
+
+  afterEach(() => {
+    source.close();
+    target.close();
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe('Round-trip', () => {
+    const cases: Array<[GraphExchangeFormat, string]> = [
+      ['jsonld', 'graph.jsonld'],
+      ['graphml', 'graph.graphml'],
+      ['markdown', 'vault'],
+    ];
+
+    it.each(cases)('should round-trip the graph through %s', async (format, fileName) => {
+      const exported = await exportGraph(source, format, join(workDir, fileName));
+      expect(exported).toMatchObject({ format, entityCount: 3, relationCount: 2 });
+
+      const imported = await importGraph(target, format, join(workDir, fileName));
+
+      expect(imported).toMatchObject({
+        entitiesCreated: 3,
+        entitiesDeduplicated: 0,
+        entitiesSkipped: 0,
+        relationsCreated: 2,
+        relationsSkipped: 0,
+        errors: [],
+      });
+      expect(comparable(snapshotGraph(target))).toEqual(comparable(snapshotGraph(source)));
+    });
+  });
+
+  describe('Format details', () => {
+    it('should write one Markdown note per entity with wikilinks', () => {
+      const files = toMarkdownVault(snapshotGraph(source));
+
+      expect([...files.keys()].sort()).toEqual([
+        'Redis cluster setup.md',
+        'Session bug- tokens-expiry.md',
+        'Use Redis for sessions.md',
+      ]);
+
+      const note = files.get('Session bug- tokens-expiry.md')!;
+      expect(note).toContain('name: "Session bug: tokens/expiry"');
+      expect(note).toContain('- caused_by [[Use Redis for sessions]]');
+
+      const redis = files.get('Use Redis for sessions.md')!;
+      expect(redis).toContain('## Observations');
+      expect(redis).toContain('- depends_on [[Redis cluster setup]]');
+    });
+
+    it('should alias wikilinks whose note name differs from the entity name', () => {
+      source.createRelation({
+        from: 'Redis cluster setup',
+        to: 'Session bug: tokens/expiry',
+        relationType: 'similar_to',
+      });
+
+      const note = toMarkdownVault(snapshotGraph(source)).get('Redis cluster setup.md')!;
+
+      expect(note).toContain('[[Session bug- tokens-expiry|Session bug: tokens/expiry]]');
+    });
+
+    it('should import hand-written notes without frontmatter', () => {
+      const snapshot = fromMarkdownVault(new Map([
+        ['Caching.md', '# Caching\n\n## Observations\n\n- Cache at the edge\n\n## Relations\n\n- depends_on [[CDN]]\n- solves [[Not in vault]]\n'],
+        ['sub/CDN.md', '# CDN\n'],
+      ]));
+
+      expect(snapshot.entities.map(e => [e.name, e.entityType])).toEqual([
+        ['Caching', 'lesson_learned'],
+        ['CDN', 'lesson_learned'],
+      ]);
+      expect(snapshot.entities[0].observations).toEqual(['Cache at the edge']);
+      expect(snapshot.relations).toEqual([
+        { from: 'Caching', to: 'CDN', relationType: 'depends_on', metadata: {} },
+      ]);
+    });
+
+    it('should escape XML special characters in GraphML', () => {
+      const xml = toGraphML(snapshotGraph(source));
+
+      expect(xml).toContain('<graph id="memesh" edgedefault="directed">');
+      expect(xml).toContain('&lt;= 3 &amp; monitor');
+      expect(xml).not.toContain('<= 3 & monitor');
+    });
+
+    it('should read GraphML keys by attr.name', () => {
+      const snapshot = fromGraphML(`<?xml version="1.0"?>
+        <graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+          <key id="d0" for="node" attr.name="label" attr.type="string"/>
+          <key id="d1" for="node" attr.name="entityType" attr.type="string"/>
+          <key id="d2" for="edge" attr.name="relationType" attr.type="string"/>
+          <graph edgedefault="directed">
+            <node id="a"><data key="d0">Alpha &amp; co</data><data key="d1">decision</data></node>
+            <node id="b"><data key="d0"><![CDATA[Beta <1>]]></data></node>
+            <edge source="a" target="b"><data key="d2">solves</data></edge>
+          </graph>
+        </graphml>`);
+
+      expect(snapshot.entities.map(e => [e.name, e.entityType])).toEqual([
+        ['Alpha & co', 'decision'],
+        ['Beta <1>', 'lesson_learned'],
+      ]);
+      expect(snapshot.relations).toMatchObject([{ from: 'Alpha & co', to: 'Beta <1>', relationType: 'solves' }]);
+    });
+
+    it('should reject malformed documents', () => {
+      expect(() => fromJsonLd('not json')).toThrow(ValidationError);
+      expect(() => fromJsonLd('{"entities": []}')).toThrow(ValidationError);
+      expect(() => fromGraphML('<xml/>')).toThrow(ValidationError);
+    });
+  });
+
+  describe('Import semantics', () => {
+    it('should dedupe entities through content_hash', () => {
+      target.createEntity({
+        name: 'Redis sessions (local copy)',
+        entityType: 'decision',
+        observations: ['Chosen for TTL support'],
+        contentHash: 'hash-redis',
+      });
+
+      const result = importGraphSnapshot(target, snapshotGraph(source));
+
+      expect(result.entitiesCreated).toBe(2);
+      expect(result.entitiesDeduplicated).toBe(1);
+      expect(target.getEntitiesByNames(['Use Redis for sessions'])).toEqual([]);
+
+      // Relations are rewired to the surviving entity
+      const trace = target.traceRelations('Redis sessions (local copy)', 1)!;
+      expect(trace.relations.map(r => `${r.from}>${r.to}`).sort()).toEqual([
+        'Redis sessions (local copy)>Redis cluster setup',
+        'Session bug: tokens/expiry>Redis sessions (local copy)',
+      ]);
+    });
+
+    it('should keep existing entities unless overwrite is set', () => {
+      target.createEntity({
+        name: 'Redis cluster setup',
+        entityType: 'feature',
+        observations: ['Local notes'],
+      });
+
+      const kept = importGraphSnapshot(target, snapshotGraph(source));
+      expect(kept.entitiesSkipped).toBe(1);
+      expect(kept.relationsCreated).toBe(2);
+      expect(target.getEntitiesByNames(['Redis cluster setup'])[0].observations).toEqual(['Local notes']);
+
+      const overwritten = importGraphSnapshot(target, snapshotGraph(source), { overwrite: true });
+      expect(overwritten.entitiesSkipped).toBe(0);
+      expect(target.getEntitiesByNames(['Redis cluster setup'])[0].observations).toEqual([]);
+    });
+
+    it('should skip relations whose endpoints are missing', () => {
+      const snapshot = snapshotGraph(source);
+      snapshot.entities = snapshot.entities.filter(e => e.name !== 'Redis cluster setup');
+
+      const result = importGraphSnapshot(target, snapshot);
+
+      expect(result.relationsCreated).toBe(1);
+      expect(result.relationsSkipped).toBe(1);
+    });
+
+    it('should report import progress', () => {
+      const snapshot = snapshotGraph(source);
+      snapshot.entities.push(
+        ...Array.from({ length: 200 }, (_, i) => ({ ...snapshot.entities[2], name: `Bulk note ${i}` }))
+      );
+      const progress: Array<[number, number]> = [];
+
+      importGraphSnapshot(target, snapshot, { onProgress: (done, total) => progress.push([done, total]) });
+
+      expect(progress).toEqual([[100, 205], [200, 205], [205, 205]]);
+    });
+
+    it('should be idempotent when importing the same export twice', async () => {
+      const file = join(workDir, 'graph.jsonld');
+      await exportGraph(source, 'jsonld', file);
+
+      await importGraph(target, 'jsonld', file);
+      const second = await importGraph(target, 'jsonld', file);
+
+      expect(second.entitiesCreated).toBe(0);
+      expect(second.entitiesSkipped).toBe(3);
+      expect(target.getStats()).toMatchObject({ totalEntities: 3, totalRelations: 2 });
+    });
+  });
+
+  describe('Secret redaction', () => {
+    const API_KEY = 'sk-abc123def456ghi789jkl012mno345pqr678';
+    let secretManager: SecretManager;
+    let file: string;
+
+    beforeEach(async () => {
+      secretManager = await SecretManager.create(join(workDir, 'secrets.db'), {
+        keyProvider: new FileKeyProvider(workDir),
+      });
+
+      // A JSON-LD file written elsewhere, holding a key in an observation and in metadata
+      source.createEntity({
+        name: 'Deploy script',
+        entityType: 'lesson_learned',
+        observations: [`Exported OPENAI_API_KEY=${API_KEY} before deploying`],
+        metadata: { env: `OPENAI_API_KEY=${API_KEY}` },
+      });
+      file = join(workDir, 'leaky.jsonld');
+      await exportGraph(source, 'jsonld', file);
+      expect(readFileSync(file, 'utf-8')).toContain(API_KEY);
+    });
+
+    afterEach(() => {
+      secretManager.close();
+    });
+
+    it('should redact keys in imported observations and metadata', async () => {
+      const result = await importGraph(target, 'jsonld', file, {
+        redactor: new SecretRedactor(secretManager, { mode: 'mask' }),
+      });
+
+      expect(result.redacted).toBe(2);
+      expect(result.entitiesCreated).toBe(4);
+      const [entity] = target.getEntitiesByNames(['Deploy script']);
+      expect(entity.observations).toEqual(['Exported OPENAI_API_KEY=sk-a****r678 before deploying']);
+      expect(entity.metadata).toMatchObject({ env: 'OPENAI_API_KEY=sk-a****r678' });
+      expect(target.getObservationHistory('Deploy script').map(o => o.content).join('\n')).not.toContain(API_KEY);
+    });
+
+    it('should leave out entities holding a key in reject mode', async () => {
+      const result = await importGraph(target, 'jsonld', file, {
+        redactor: new SecretRedactor(secretManager, { mode: 'reject' }),
+      });
+
+      expect(result.entitiesCreated).toBe(3);
+      expect(result.errors).toEqual([
+        { item: 'Deploy script', error: expect.stringContaining('Refusing to store api_key') },
+      ]);
+      expect(target.getEntitiesByNames(['Deploy script'])).toEqual([]);
+    });
+  });
+
+  describe('File handling', () => {
+    it('should infer formats from paths', () => {
+      expect(inferGraphExchangeFormat('out/graph.jsonld')).toBe('jsonld');
+      expect(inferGraphExchangeFormat('graph.JSON')).toBe('jsonld');
+      expect(inferGraphExchangeFormat('graph.graphml')).toBe('graphml');
+      expect(inferGraphExchangeFormat('./vault')).toBe('markdown');
+      expect(() => assertGraphExchangeFormat('csv')).toThrow(ValidationError);
+    });
+
+    it('should refuse to overwrite existing exports without overwrite', async () => {
+      const file = join(workDir, 'graph.graphml');
+      writeFileSync(file, 'keep me');
+
+      await expect(exportGraph(source, 'graphml', file)).rejects.toThrow(ValidationError);
+      expect(readFileSync(file, 'utf-8')).toBe('keep me');
+
+      await exportGraph(source, 'graphml', file, { overwrite: true });
+      expect(readFileSync(file, 'utf-8')).toContain('<graphml');
+    });
+
+    it('should refuse to export a vault into a non-empty directory', async () => {
+      const vault = join(workDir, 'vault');
+      mkdirSync(vault);
+      writeFileSync(join(vault, 'existing.md'), '# Existing');
+
+      await expect(exportGraph(source, 'markdown', vault)).rejects.toThrow(ValidationError);
+
+      await exportGraph(source, 'markdown', vault, { overwrite: true });
+      expect(readdirSync(vault)).toHaveLength(4);
+    });
+  });
+});
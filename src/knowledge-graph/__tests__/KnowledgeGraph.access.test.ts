@@ -0,0 +1,84 @@
+/**
+ * Access Tracking Tests for KnowledgeGraph
+ *
+ * Recall counts and feedback that feed access-aware memory ranking.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { KnowledgeGraph } from '../index.js';
+import { ValidationError } from '../../errors/index.js';
+import type { EntityAccessKind } from '../types.js';
+
+describe('KnowledgeGraph access tracking', () => {
+  let tempDir: string;
+  let kg: KnowledgeGraph;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'memesh-kg-access-'));
+    kg = KnowledgeGraph.createSync(join(tempDir, 'kg.db'));
+    kg.createEntity({ name: 'auth-decision', entityType: 'decision', observations: ['Use JWT'] });
+    kg.createEntity({ name: 'cache-decision', entityType: 'decision', observations: ['Use Redis'] });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    kg.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should count recalls and feedback per entity', () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-05-01T12:00:00Z'));
+    kg.recordAccess(['auth-decision', 'cache-decision'], 'recall');
+
+    vi.setSystemTime(new Date('2026-05-02T12:00:00Z'));
+    kg.recordAccess(['auth-decision'], 'recall');
+    kg.recordAccess(['auth-decision'], 'useful');
+    kg.recordAccess(['cache-decision'], 'not_useful');
+
+    const stats = kg.getAccessStats(['auth-decision', 'cache-decision']);
+    expect(stats.get('auth-decision')).toEqual({
+      recallCount: 2,
+      lastRecalledAt: new Date('2026-05-02T12:00:00Z'),
+      usefulCount: 1,
+      notUsefulCount: 0,
+      lastUsefulAt: new Date('2026-05-02T12:00:00Z'),
+    });
+    expect(stats.get('cache-decision')).toEqual({
+      recallCount: 1,
+      lastRecalledAt: new Date('2026-05-01T12:00:00Z'),
+      usefulCount: 0,
+      notUsefulCount: 1,
+    });
+  });
+
+  it('should ignore unknown and repeated names', () => {
+    expect(kg.recordAccess(['auth-decision', 'auth-decision', 'missing'], 'recall')).toBe(1);
+    expect(kg.recordAccess([], 'recall')).toBe(0);
+
+    const stats = kg.getAccessStats(['auth-decision', 'missing']);
+    expect(stats.get('auth-decision')?.recallCount).toBe(1);
+    expect(stats.has('missing')).toBe(false);
+  });
+
+  it('should leave out entities that were never accessed', () => {
+    expect(kg.getAccessStats(['auth-decision']).size).toBe(0);
+  });
+
+  it('should keep stats when an entity is rewritten and drop them when it is deleted', () => {
+    kg.recordAccess(['auth-decision'], 'recall');
+    kg.createEntity({ name: 'auth-decision', entityType: 'decision', observations: ['Use JWT with rotation'] });
+    expect(kg.getAccessStats(['auth-decision']).get('auth-decision')?.recallCount).toBe(1);
+
+    kg.deleteEntity('auth-decision');
+    kg.createEntity({ name: 'auth-decision', entityType: 'decision', observations: ['Use sessions'] });
+    expect(kg.getAccessStats(['auth-decision']).size).toBe(0);
+  });
+
+  it('should reject unknown access kinds', () => {
+    expect(() => kg.recordAccess(['auth-decision'], 'viewed' as EntityAccessKind)).toThrow(ValidationError);
+  });
+});
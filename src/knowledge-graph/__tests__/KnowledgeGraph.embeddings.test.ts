@@ -0,0 +1,168 @@
+/**
+ * Embedding Index Tests for KnowledgeGraph
+ *
+ * Test Categories:
+ * 1. Storage - vectors round-trip through the entity_embeddings table
+ * 2. Similarity search - cosine ranking, thresholds, prefix and model filters
+ * 3. Lifecycle - vectors dropped on entity rewrite and cascade-deleted
+ * 4. Full-text ranking - rankFullText exposes BM25 relevance by entity name
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { KnowledgeGraph } from '../index.js';
+import { NotFoundError } from '../../errors/index.js';
+import { existsSync, unlinkSync } from 'fs';
+
+function vec(...values: number[]): Float32Array {
+  const v = new Float32Array(values);
+  const norm = Math.sqrt(values.reduce((sum, x) => sum + x * x, 0));
+  return norm > 0 ? v.map(x => x / norm) : v;
+}
+
+describe('KnowledgeGraph Embedding Index', () => {
+  let kg: KnowledgeGraph;
+  const testDbPath = './data/test-kg-embeddings.db';
+
+  beforeEach(() => {
+    if (existsSync(testDbPath)) {
+      unlinkSync(testDbPath);
+    }
+    kg = KnowledgeGraph.createSync(testDbPath);
+
+    kg.createEntity({ name: 'alpha', entityType: 'decision', observations: ['first'] });
+    kg.createEntity({ name: 'beta', entityType: 'decision', observations: ['second'] });
+    kg.createEntity({ name: 'other-gamma', entityType: 'feature', observations: ['third'] });
+  });
+
+  afterEach(() => {
+    kg.close();
+    if (existsSync(testDbPath)) {
+      unlinkSync(testDbPath);
+    }
+  });
+
+  describe('setEmbedding / searchByEmbedding', () => {
+    it('should rank entities by cosine similarity', () => {
+      kg.setEmbedding('alpha', 'test-model', vec(1, 0, 0));
+      kg.setEmbedding('beta', 'test-model', vec(1, 1, 0));
+      kg.setEmbedding('other-gamma', 'test-model', vec(0, 0, 1));
+
+      const hits = kg.searchByEmbedding(vec(1, 0.1, 0), { model: 'test-model' });
+
+      expect(hits.map(h => h.name)).toEqual(['alpha', 'beta', 'other-gamma']);
+      expect(hits[0].similarity).toBeCloseTo(0.995, 2);
+      expect(hits[2].similarity).toBeCloseTo(0, 5);
+    });
+
+    it('should apply minSimilarity, limit and namePrefix', () => {
+      kg.setEmbedding('alpha', 'test-model', vec(1, 0, 0));
+      kg.setEmbedding('beta', 'test-model', vec(1, 1, 0));
+      kg.setEmbedding('other-gamma', 'test-model', vec(1, 0, 0));
+
+      expect(
+        kg.searchByEmbedding(vec(1, 0, 0), { model: 'test-model', minSimilarity: 0.9 }).map(h => h.name).sort()
+      ).toEqual(['alpha', 'other-gamma']);
+      expect(kg.searchByEmbedding(vec(1, 0, 0), { model: 'test-model', limit: 1 })).toHaveLength(1);
+      expect(
+        kg.searchByEmbedding(vec(1, 0, 0), { model: 'test-model', namePrefix: 'other-' }).map(h => h.name)
+      ).toEqual(['other-gamma']);
+    });
+
+    it('should only compare vectors of the same model and dimensions', () => {
+      kg.setEmbedding('alpha', 'model-a', vec(1, 0, 0));
+      kg.setEmbedding('beta', 'model-b', vec(1, 0, 0));
+      kg.setEmbedding('other-gamma', 'model-a', vec(1, 0, 0, 0));
+
+      const hits = kg.searchByEmbedding(vec(1, 0, 0), { model: 'model-a' });
+
+      expect(hits.map(h => h.name)).toEqual(['alpha']);
+    });
+
+    it('should replace an existing vector', () => {
+      kg.setEmbedding('alpha', 'test-model', vec(1, 0, 0));
+      kg.setEmbedding('alpha', 'test-model', vec(0, 1, 0));
+
+      const hits = kg.searchByEmbedding(vec(0, 1, 0), { model: 'test-model' });
+
+      expect(hits).toHaveLength(1);
+      expect(hits[0].similarity).toBeCloseTo(1, 5);
+    });
+
+    it('should ignore zero vectors', () => {
+      kg.setEmbedding('alpha', 'test-model', new Float32Array(3));
+
+      expect(kg.searchByEmbedding(vec(1, 0, 0), { model: 'test-model' })).toEqual([]);
+      expect(kg.searchByEmbedding(new Float32Array(3), { model: 'test-model' })).toEqual([]);
+    });
+
+    it('should throw NotFoundError for unknown entities', () => {
+      expect(() => kg.setEmbedding('missing', 'test-model', vec(1, 0, 0))).toThrow(NotFoundError);
+    });
+  });
+
+  describe('lifecycle', () => {
+    it('should report entities without a vector for the model', () => {
+      kg.setEmbedding('alpha', 'test-model', vec(1, 0, 0));
+      kg.setEmbedding('beta', 'another-model', vec(1, 0, 0));
+
+      const missing = kg.getEntitiesWithoutEmbedding('test-model').map(e => e.name);
+
+      expect(missing).toEqual(['beta', 'other-gamma']);
+    });
+
+    it('should drop the vector when the entity is rewritten', () => {
+      kg.setEmbedding('alpha', 'test-model', vec(1, 0, 0));
+
+      kg.createEntity({ name: 'alpha', entityType: 'decision', observations: ['first', 'more'] });
+
+      expect(kg.searchByEmbedding(vec(1, 0, 0), { model: 'test-model' })).toEqual([]);
+      expect(kg.getEntitiesWithoutEmbedding('test-model').map(e => e.name)).toContain('alpha');
+    });
+
+    it('should delete the vector with the entity', () => {
+      kg.setEmbedding('alpha', 'test-model', vec(1, 0, 0));
+
+      kg.deleteEntity('alpha');
+
+      expect(kg.searchByEmbedding(vec(1, 0, 0), { model: 'test-model' })).toEqual([]);
+    });
+  });
+
+  describe('getEntitiesByNames', () => {
+    it('should return existing entities in the requested order', () => {
+      const entities = kg.getEntitiesByNames(['beta', 'missing', 'alpha', 'beta']);
+
+      expect(entities.map(e => e.name)).toEqual(['beta', 'alpha']);
+      expect(entities[0].observations).toEqual(['second']);
+    });
+
+    it('should return an empty array for no names', () => {
+      expect(kg.getEntitiesByNames([])).toEqual([]);
+    });
+  });
+
+  describe('rankFullText', () => {
+    it('should return BM25 relevance by entity name, best first', () => {
+      kg.createEntity({
+        name: 'connection pooling',
+        entityType: 'decision',
+        observations: ['Use a connection pool for every database connection'],
+      });
+      kg.createEntity({
+        name: 'caching',
+        entityType: 'decision',
+        observations: ['Cache results; reuse the database connection'],
+      });
+
+      const ranked = kg.rankFullText('connection');
+
+      expect(ranked.map(r => r.name)).toEqual(['connection pooling', 'caching']);
+      expect(ranked[0].score).toBeGreaterThan(ranked[1].score);
+      expect(ranked[1].score).toBeGreaterThan(0);
+    });
+
+    it('should return an empty array for blank queries', () => {
+      expect(kg.rankFullText('   ')).toEqual([]);
+    });
+  });
+});
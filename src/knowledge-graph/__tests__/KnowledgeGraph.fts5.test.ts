@@ -10,9 +10,11 @@
  * 3. Case insensitivity - lowercase/uppercase/mixed case matching
  * 4. Special characters - hyphens, underscores in search terms
  * 5. CRUD sync - create/update/delete operations sync with FTS5 index
+ * 6. Startup check - missing or out-of-sync index is rebuilt on open
  */
 
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import Database from 'better-sqlite3';
 import { KnowledgeGraph } from '../index.js';
 import { existsSync, unlinkSync } from 'fs';
 
@@ -644,6 +646,63 @@ describe('KnowledgeGraph FTS5 Search', () => {
   // ============================================================================
   // 6. Edge Cases and Error Handling
   // ============================================================================
+  // ============================================================================
+  // 6. Startup Index Check Tests
+  // ============================================================================
+  describe('Startup Index Check', () => {
+    /** Damage the index behind the graph's back, then reopen it */
+    const reopenAfter = (damage: (db: Database.Database) => void) => {
+      kg.close();
+      const db = new Database(testDbPath);
+      damage(db);
+      db.close();
+      kg = KnowledgeGraph.createSync(testDbPath);
+    };
+
+    const ftsMatch = (query: string) => {
+      const db = new Database(testDbPath, { readonly: true });
+      try {
+        return db.prepare('SELECT rowid FROM entities_fts WHERE entities_fts MATCH ? ORDER BY rowid').all(query);
+      } finally {
+        db.close();
+      }
+    };
+
+    beforeEach(() => {
+      kg.createEntity({ name: 'auth-decision', entityType: 'decision', observations: ['Use JWT with short expiry'] });
+      kg.createEntity({ name: 'cache-decision', entityType: 'decision', observations: ['Cache sessions in Redis'] });
+    });
+
+    it('should rebuild an emptied index', () => {
+      reopenAfter(db => db.exec("INSERT INTO entities_fts(entities_fts) VALUES('delete-all')"));
+
+      expect(ftsMatch('JWT')).toEqual([{ rowid: 1 }]);
+      expect(ftsMatch('Redis')).toEqual([{ rowid: 2 }]);
+    });
+
+    it('should recreate a missing index', () => {
+      reopenAfter(db => db.exec('DROP TABLE entities_fts'));
+
+      expect(ftsMatch('JWT')).toEqual([{ rowid: 1 }]);
+      expect(kg.searchEntities({ namePattern: 'Redis' }).map(e => e.name)).toEqual(['cache-decision']);
+    });
+
+    it('should rebuild an index that is out of sync with entities', () => {
+      // Entity written without its FTS row, as by a partial restore
+      reopenAfter(db => {
+        db.prepare("INSERT INTO entities (name, type) VALUES ('queue-decision', 'decision')").run();
+        db.prepare("INSERT INTO observations (entity_id, content) VALUES (3, 'Retry jobs with backoff')").run();
+      });
+
+      expect(ftsMatch('backoff')).toEqual([{ rowid: 3 }]);
+
+      // Rebuilt rows hold the indexed text, so later updates replace them cleanly
+      kg.createEntity({ name: 'queue-decision', entityType: 'decision', observations: ['Use a dead-letter queue'] });
+      expect(ftsMatch('backoff')).toEqual([]);
+      expect(ftsMatch('letter')).toEqual([{ rowid: 3 }]);
+    });
+  });
+
   describe('Edge Cases', () => {
     it('should handle empty search query gracefully', () => {
       kg.createEntity({
@@ -0,0 +1,278 @@
+/**
+ * Bi-temporal Memory Tests for KnowledgeGraph
+ *
+ * Test Categories:
+ * 1. Observations - superseding, retiring, history, rewrites through createEntity
+ * 2. As-of queries - searchEntities returns the graph as it was at a moment
+ * 3. Relations - superseding relations, traversal of current relations, replacements
+ * 4. Migration - databases created before validity columns existed
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Database from 'better-sqlite3';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { KnowledgeGraph } from '../index.js';
+import { NotFoundError, ValidationError } from '../../errors/index.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+describe('KnowledgeGraph Bi-temporal Memory', () => {
+  let tempDir: string;
+  let kg: KnowledgeGraph;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'memesh-kg-temporal-'));
+    kg = KnowledgeGraph.createSync(join(tempDir, 'kg.db'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    kg.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('Observations', () => {
+    beforeEach(() => {
+      kg.createEntity({
+        name: 'session-store',
+        entityType: 'decision',
+        observations: ['Store sessions in Redis', 'TTL is 30 minutes'],
+        tags: ['tech:redis'],
+      });
+    });
+
+    it('should supersede an observation instead of accumulating contradictions', () => {
+      const result = kg.addObservations('session-store', ['Store sessions in Postgres'], {
+        supersedes: ['Store sessions in Redis'],
+      });
+
+      expect(result).toEqual({ added: 1, superseded: 1 });
+      const entity = kg.getEntitiesByNames(['session-store'])[0];
+      expect(entity.observations).toEqual(['TTL is 30 minutes', 'Store sessions in Postgres']);
+      expect(entity.tags).toEqual(['tech:redis']);
+    });
+
+    it('should keep superseded observations in the history', () => {
+      kg.addObservations('session-store', ['Store sessions in Postgres'], {
+        supersedes: ['Store sessions in Redis'],
+      });
+
+      const history = kg.getObservationHistory('session-store');
+      const redis = history.find(o => o.content === 'Store sessions in Redis')!;
+      const postgres = history.find(o => o.content === 'Store sessions in Postgres')!;
+
+      expect(history).toHaveLength(3);
+      expect(redis.validTo).toBeInstanceOf(Date);
+      expect(redis.supersededBy).toBe(postgres.id);
+      expect(postgres.validTo).toBeUndefined();
+      expect(postgres.validFrom.getTime()).toBe(redis.validTo!.getTime());
+    });
+
+    it('should retire observations when superseding without replacement', () => {
+      kg.addObservations('session-store', [], { supersedes: ['TTL is 30 minutes'] });
+
+      expect(kg.getEntitiesByNames(['session-store'])[0].observations).toEqual(['Store sessions in Redis']);
+      const retired = kg.getObservationHistory('session-store').find(o => o.content === 'TTL is 30 minutes')!;
+      expect(retired.validTo).toBeInstanceOf(Date);
+      expect(retired.supersededBy).toBeUndefined();
+    });
+
+    it('should reject unknown entities and observations atomically', () => {
+      expect(() => kg.addObservations('missing', ['x'])).toThrow(NotFoundError);
+      expect(() => kg.addObservations('session-store', ['new fact'], {
+        supersedes: ['Never said this'],
+      })).toThrow(NotFoundError);
+
+      // Nothing from the failed call was written
+      expect(kg.getEntitiesByNames(['session-store'])[0].observations).toEqual([
+        'Store sessions in Redis',
+        'TTL is 30 minutes',
+      ]);
+    });
+
+    it('should keep the full-text index on current observations only', () => {
+      kg.addObservations('session-store', ['Store sessions in Postgres'], {
+        supersedes: ['Store sessions in Redis'],
+      });
+
+      expect(kg.rankFullText('Postgres').map(hit => hit.name)).toEqual(['session-store']);
+      expect(kg.rankFullText('Redis')).toEqual([]);
+    });
+
+    it('should close dropped observations when createEntity rewrites an entity', () => {
+      kg.createEntity({
+        name: 'session-store',
+        entityType: 'decision',
+        observations: ['Store sessions in Redis', 'TTL is 60 minutes'],
+      });
+
+      expect(kg.getEntitiesByNames(['session-store'])[0].observations).toEqual([
+        'Store sessions in Redis',
+        'TTL is 60 minutes',
+      ]);
+
+      const history = kg.getObservationHistory('session-store');
+      expect(history.map(o => [o.content, o.validTo !== undefined])).toEqual([
+        ['Store sessions in Redis', false],
+        ['TTL is 30 minutes', true],
+        ['TTL is 60 minutes', false],
+      ]);
+    });
+  });
+
+  describe('As-of queries', () => {
+    it('should return observations that were valid at the requested moment', () => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      const start = Date.now() + HOUR;
+      vi.setSystemTime(start);
+
+      kg.createEntity({ name: 'api-style', entityType: 'decision', observations: ['Use REST'] });
+
+      vi.setSystemTime(start + DAY);
+      kg.addObservations('api-style', ['Use GraphQL'], { supersedes: ['Use REST'] });
+
+      const current = kg.searchEntities({ namePattern: 'api-style' });
+      const before = kg.searchEntities({ namePattern: 'api-style', asOf: new Date(start + HOUR) });
+      const after = kg.searchEntities({ namePattern: 'api-style', asOf: new Date(start + 2 * DAY) });
+
+      expect(current[0].observations).toEqual(['Use GraphQL']);
+      expect(before[0].observations).toEqual(['Use REST']);
+      expect(after[0].observations).toEqual(['Use GraphQL']);
+    });
+
+    it('should match patterns against the observations of that moment', () => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      const start = Date.now() + HOUR;
+      vi.setSystemTime(start);
+
+      kg.createEntity({ name: 'api-style', entityType: 'decision', observations: ['Use REST'] });
+      vi.setSystemTime(start + DAY);
+      kg.addObservations('api-style', ['Use GraphQL'], { supersedes: ['Use REST'] });
+
+      expect(kg.searchEntities({ namePattern: 'REST' })).toEqual([]);
+      expect(kg.searchEntities({ namePattern: 'REST', asOf: new Date(start + HOUR) }).map(e => e.name))
+        .toEqual(['api-style']);
+    });
+
+    it('should leave out entities created after the requested moment', () => {
+      kg.createEntity({ name: 'api-style', entityType: 'decision', observations: ['Use REST'] });
+
+      expect(kg.searchEntities({ asOf: new Date(Date.now() - DAY) })).toEqual([]);
+      expect(kg.searchEntities({ asOf: new Date(Date.now() + DAY) })).toHaveLength(1);
+    });
+
+    it('should reject invalid dates', () => {
+      expect(() => kg.searchEntities({ asOf: new Date('not a date') })).toThrow(ValidationError);
+    });
+  });
+
+  describe('Relations', () => {
+    beforeEach(() => {
+      for (const name of ['service', 'redis', 'postgres']) {
+        kg.createEntity({ name, entityType: 'feature', observations: [name] });
+      }
+      kg.createRelation({ from: 'service', to: 'redis', relationType: 'depends_on' });
+    });
+
+    it('should follow only current relations after superseding one', () => {
+      kg.supersedeRelation(
+        { from: 'service', to: 'redis', relationType: 'depends_on' },
+        { from: 'service', to: 'postgres', relationType: 'depends_on' }
+      );
+
+      const trace = kg.traceRelations('service', 1)!;
+      expect(trace.relations.map(r => r.to)).toEqual(['postgres']);
+      expect(kg.findShortestPath('service', 'redis')).toBeNull();
+      expect(kg.getAllRelations()).toHaveLength(1);
+      expect(kg.getStats().totalRelations).toBe(1);
+    });
+
+    it('should make a superseded relation current again when it is re-created', () => {
+      kg.supersedeRelation(
+        { from: 'service', to: 'redis', relationType: 'depends_on' },
+        { from: 'service', to: 'postgres', relationType: 'depends_on' }
+      );
+      kg.createRelation({ from: 'service', to: 'redis', relationType: 'depends_on' });
+
+      expect(kg.traceRelations('service', 1)!.relations.map(r => r.to).sort()).toEqual(['postgres', 'redis']);
+    });
+
+    it('should reject superseding relations that are not current', () => {
+      expect(() => kg.supersedeRelation(
+        { from: 'service', to: 'postgres', relationType: 'depends_on' },
+        { from: 'service', to: 'redis', relationType: 'similar_to' }
+      )).toThrow(NotFoundError);
+      expect(() => kg.supersedeRelation(
+        { from: 'service', to: 'redis', relationType: 'depends_on' },
+        { from: 'service', to: 'redis', relationType: 'depends_on' }
+      )).toThrow(ValidationError);
+    });
+
+    it('should retire a relation without a replacement', () => {
+      expect(kg.retireRelation({ from: 'service', to: 'redis', relationType: 'depends_on' })).toBe(true);
+      expect(kg.traceRelations('service', 1)!.relations).toEqual([]);
+      expect(kg.retireRelation({ from: 'service', to: 'redis', relationType: 'depends_on' })).toBe(false);
+
+      kg.createRelation({ from: 'service', to: 'redis', relationType: 'depends_on' });
+      expect(kg.traceRelations('service', 1)!.relations.map(r => r.to)).toEqual(['redis']);
+    });
+
+    it('should report replaced entities now and as of earlier moments', () => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      const start = Date.now() + HOUR;
+      vi.setSystemTime(start);
+      kg.createRelation({ from: 'redis', to: 'postgres', relationType: 'replaced_by' });
+
+      expect(kg.getReplacements(['redis', 'postgres'])).toEqual(new Map([['redis', 'postgres']]));
+      expect(kg.getReplacements(['redis'], new Date(start - 2 * HOUR)).size).toBe(0);
+    });
+  });
+
+  describe('Migration', () => {
+    it('should add validity columns to databases created before them', () => {
+      const legacyPath = join(tempDir, 'legacy.db');
+      const legacy = new Database(legacyPath);
+      legacy.exec(`
+        CREATE TABLE entities (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE,
+          type TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          metadata JSON
+        );
+        CREATE TABLE observations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          entity_id INTEGER NOT NULL,
+          content TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE relations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          from_entity_id INTEGER NOT NULL,
+          to_entity_id INTEGER NOT NULL,
+          relation_type TEXT NOT NULL,
+          metadata JSON,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(from_entity_id, to_entity_id, relation_type)
+        );
+        INSERT INTO entities (name, type, created_at) VALUES ('old-decision', 'decision', '2025-01-01 10:00:00');
+        INSERT INTO observations (entity_id, content, created_at) VALUES (1, 'Legacy fact', '2025-01-01 10:00:00');
+      `);
+      legacy.close();
+
+      const migrated = KnowledgeGraph.createSync(legacyPath);
+      try {
+        expect(migrated.getEntitiesByNames(['old-decision'])[0].observations).toEqual(['Legacy fact']);
+        expect(migrated.getObservationHistory('old-decision')[0].validFrom.toISOString())
+          .toBe('2025-01-01T10:00:00.000Z');
+        expect(migrated.searchEntities({ asOf: new Date('2025-01-02T00:00:00Z') })[0].observations)
+          .toEqual(['Legacy fact']);
+      } finally {
+        migrated.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Multi-hop Traversal Tests for KnowledgeGraph
+ *
+ * Test Categories:
+ * 1. traceRelations - N-hop traversal, direction and relation type filters
+ * 2. Cycles - traversal terminates and reports directed cycles
+ * 3. findShortestPath - shortest path reconstruction and filters
+ * 4. Caching - results cached and invalidated on graph changes
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { KnowledgeGraph } from '../index.js';
+import { ValidationError } from '../../errors/index.js';
+import { existsSync, unlinkSync } from 'fs';
+
+describe('KnowledgeGraph Multi-hop Traversal', () => {
+  let kg: KnowledgeGraph;
+  const testDbPath = './data/test-kg-traversal.db';
+
+  beforeEach(() => {
+    if (existsSync(testDbPath)) {
+      unlinkSync(testDbPath);
+    }
+    kg = KnowledgeGraph.createSync(testDbPath);
+
+    // bug-x -caused_by-> change-a -depends_on-> decision-y -enabled_by-> lib-z
+    // fix-b -solves-> bug-x
+    for (const name of ['bug-x', 'change-a', 'decision-y', 'lib-z', 'fix-b', 'island']) {
+      kg.createEntity({ name, entityType: 'decision', observations: [name] });
+    }
+    kg.createRelation({ from: 'bug-x', to: 'change-a', relationType: 'caused_by' });
+    kg.createRelation({ from: 'change-a', to: 'decision-y', relationType: 'depends_on' });
+    kg.createRelation({ from: 'decision-y', to: 'lib-z', relationType: 'enabled_by' });
+    kg.createRelation({ from: 'fix-b', to: 'bug-x', relationType: 'solves' });
+  });
+
+  afterEach(() => {
+    kg.close();
+    if (existsSync(testDbPath)) {
+      unlinkSync(testDbPath);
+    }
+  });
+
+  describe('traceRelations', () => {
+    it('should follow relations up to the requested depth', () => {
+      const depth1 = kg.traceRelations('bug-x', 1)!;
+      expect(depth1.relations.map(r => `${r.from}>${r.to}`).sort()).toEqual([
+        'bug-x>change-a',
+        'fix-b>bug-x',
+      ]);
+
+      const depth3 = kg.traceRelations('bug-x', 3)!;
+      expect(depth3.relations).toHaveLength(4);
+      expect(depth3.entities).toEqual([
+        { name: 'bug-x', hop: 0 },
+        { name: 'change-a', hop: 1 },
+        { name: 'fix-b', hop: 1 },
+        { name: 'decision-y', hop: 2 },
+        { name: 'lib-z', hop: 3 },
+      ]);
+    });
+
+    it('should report the hop at which each relation is reached', () => {
+      const trace = kg.traceRelations('bug-x', 3)!;
+      const hops = Object.fromEntries(trace.relations.map(r => [`${r.from}>${r.to}`, r.hop]));
+
+      expect(hops).toEqual({
+        'bug-x>change-a': 1,
+        'fix-b>bug-x': 1,
+        'change-a>decision-y': 2,
+        'decision-y>lib-z': 3,
+      });
+    });
+
+    it('should only follow outgoing relations when direction is outgoing', () => {
+      const trace = kg.traceRelations('bug-x', 5, { direction: 'outgoing' })!;
+
+      expect(trace.entities!.map(e => e.name)).toEqual(['bug-x', 'change-a', 'decision-y', 'lib-z']);
+      expect(trace.relations.some(r => r.from === 'fix-b')).toBe(false);
+    });
+
+    it('should only follow incoming relations when direction is incoming', () => {
+      const trace = kg.traceRelations('decision-y', 5, { direction: 'incoming' })!;
+
+      expect(trace.entities!.map(e => e.name)).toEqual(['decision-y', 'change-a', 'bug-x', 'fix-b']);
+    });
+
+    it('should filter by relation type', () => {
+      const trace = kg.traceRelations('bug-x', 5, { relationTypes: ['caused_by', 'depends_on'] })!;
+
+      expect(trace.relations.map(r => r.relationType).sort()).toEqual(['caused_by', 'depends_on']);
+      expect(trace.entities!.map(e => e.name)).not.toContain('lib-z');
+    });
+
+    it('should return null for a missing entity and an empty trace for an isolated one', () => {
+      expect(kg.traceRelations('missing')).toBeNull();
+
+      const trace = kg.traceRelations('island', 3)!;
+      expect(trace.relations).toEqual([]);
+      expect(trace.entities).toEqual([{ name: 'island', hop: 0 }]);
+    });
+
+    it('should reject invalid depth and direction', () => {
+      expect(() => kg.traceRelations('bug-x', 0)).toThrow(ValidationError);
+      expect(() => kg.traceRelations('bug-x', 11)).toThrow(ValidationError);
+      expect(() => kg.traceRelations('bug-x', 1.5)).toThrow(ValidationError);
+      expect(() =>
+        kg.traceRelations('bug-x', 2, { direction: 'sideways' as never })
+      ).toThrow(ValidationError);
+      expect(() =>
+        kg.traceRelations('bug-x', 2, { relationTypes: ['bad type' as never] })
+      ).toThrow(ValidationError);
+    });
+  });
+
+  describe('Cycles', () => {
+    it('should terminate and report directed cycles', () => {
+      kg.createRelation({ from: 'lib-z', to: 'bug-x', relationType: 'caused_by' });
+
+      const trace = kg.traceRelations('bug-x', 10, { direction: 'outgoing' })!;
+
+      expect(trace.entities).toHaveLength(4);
+      expect(trace.relations).toHaveLength(4);
+      expect(trace.cycles).toEqual([['bug-x', 'change-a', 'decision-y', 'lib-z', 'bug-x']]);
+    });
+
+    it('should report no cycles for an acyclic graph', () => {
+      expect(kg.traceRelations('bug-x', 5)!.cycles).toEqual([]);
+    });
+  });
+
+  describe('findShortestPath', () => {
+    it('should find the shortest path between two entities', () => {
+      const path = kg.findShortestPath('fix-b', 'lib-z')!;
+
+      expect(path.length).toBe(4);
+      expect(path.entities).toEqual(['fix-b', 'bug-x', 'change-a', 'decision-y', 'lib-z']);
+      expect(path.relations.map(r => r.relationType)).toEqual([
+        'solves',
+        'caused_by',
+        'depends_on',
+        'enabled_by',
+      ]);
+    });
+
+    it('should prefer a shortcut when one exists', () => {
+      kg.createRelation({ from: 'bug-x', to: 'decision-y', relationType: 'similar_to' });
+
+      const path = kg.findShortestPath('bug-x', 'lib-z')!;
+
+      expect(path.entities).toEqual(['bug-x', 'decision-y', 'lib-z']);
+    });
+
+    it('should keep stored relation direction when walking against it', () => {
+      const path = kg.findShortestPath('lib-z', 'change-a')!;
+
+      expect(path.entities).toEqual(['lib-z', 'decision-y', 'change-a']);
+      expect(path.relations[0]).toMatchObject({ from: 'decision-y', to: 'lib-z' });
+    });
+
+    it('should respect direction, relation type and maxDepth', () => {
+      expect(kg.findShortestPath('lib-z', 'bug-x', { direction: 'outgoing' })).toBeNull();
+      expect(kg.findShortestPath('lib-z', 'bug-x', { direction: 'incoming' })!.length).toBe(3);
+      expect(kg.findShortestPath('bug-x', 'lib-z', { relationTypes: ['caused_by'] })).toBeNull();
+      expect(kg.findShortestPath('fix-b', 'lib-z', { maxDepth: 3 })).toBeNull();
+    });
+
+    it('should return a zero-length path from an entity to itself', () => {
+      expect(kg.findShortestPath('bug-x', 'bug-x')).toEqual({
+        from: 'bug-x',
+        to: 'bug-x',
+        length: 0,
+        entities: ['bug-x'],
+        relations: [],
+      });
+    });
+
+    it('should return null for missing or unconnected entities', () => {
+      expect(kg.findShortestPath('bug-x', 'missing')).toBeNull();
+      expect(kg.findShortestPath('bug-x', 'island')).toBeNull();
+    });
+  });
+
+  describe('Caching', () => {
+    it('should serve repeated traces from the cache', () => {
+      kg.traceRelations('bug-x', 2);
+      const hitsBefore = kg.getCacheStats().hits;
+
+      kg.traceRelations('bug-x', 2);
+
+      expect(kg.getCacheStats().hits).toBe(hitsBefore + 1);
+    });
+
+    it('should invalidate cached paths when relations change', () => {
+      expect(kg.findShortestPath('bug-x', 'island')).toBeNull();
+
+      kg.createRelation({ from: 'lib-z', to: 'island', relationType: 'depends_on' });
+
+      expect(kg.findShortestPath('bug-x', 'island')!.length).toBe(4);
+    });
+
+    it('should invalidate cached traces when an entity is deleted', () => {
+      expect(kg.traceRelations('bug-x', 3)!.entities).toHaveLength(5);
+
+      kg.deleteEntity('change-a');
+
+      expect(kg.traceRelations('bug-x', 3)!.entities!.map(e => e.name)).toEqual(['bug-x', 'fix-b']);
+    });
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * GraphML serializer for knowledge graph snapshots
+ *
+ * Produces a directed graph that opens in Gephi and yEd. Entity names are the
+ * node `label`; list and object attributes (observations, tags, metadata) are
+ * stored as JSON strings so the export round-trips without loss.
+ *
+ * The parser reads data keys by their `attr.name`, so files re-saved by those
+ * tools (which renumber key ids) still import.
+ */
+
+import { ValidationError } from '../../errors/index.js';
+import type { EntityType, RelationType } from '../types.js';
+import type { GraphSnapshot, SnapshotEntity, SnapshotRelation } from './types.js';
+import { DEFAULT_IMPORTED_ENTITY_TYPE, GRAPH_SNAPSHOT_VERSION } from './types.js';
+
+const NODE_KEYS = ['label', 'entityType', 'observations', 'tags', 'metadata', 'contentHash', 'createdAt'] as const;
+const EDGE_KEYS = ['relationType', 'metadata', 'createdAt'] as const;
+
+const XML_ESCAPES: Record<string, string> = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;',
+};
+
+function escapeXml(value: string): string {
+  return value.replace(/[&<>"']/g, char => XML_ESCAPES[char]);
+}
+
+function unescapeXml(value: string): string {
+  return value.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|amp|lt|gt|quot|apos);/g, (match, entity: string) => {
+    switch (entity) {
+      case 'amp': return '&';
+      case 'lt': return '<';
+      case 'gt': return '>';
+      case 'quot': return '"';
+      case 'apos': return "'";
+      default:
+        return entity.startsWith('#x')
+          ? String.fromCodePoint(parseInt(entity.slice(2), 16))
+          : String.fromCodePoint(parseInt(entity.slice(1), 10));
+    }
+  });
+}
+
+/**
+ * Parse the attributes of an XML start tag
+ */
+function parseAttributes(tag: string): Record<string, string> {
+  const attributes: Record<string, string> = {};
+  for (const match of tag.matchAll(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1]] = unescapeXml(match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+/**
+ * Collect `<data key="...">` values of an element body, keyed by attr.name
+ */
+function parseData(body: string, keyNames: Map<string, string>): Map<string, string> {
+  const values = new Map<string, string>();
+  for (const match of body.matchAll(/<data\b([^>]*?)(?:\/>|>([\s\S]*?)<\/data>)/g)) {
+    const key = parseAttributes(match[1]).key;
+    if (key) {
+      values.set(keyNames.get(key) ?? key, unescapeXml(match[2] ?? ''));
+    }
+  }
+  return values;
+}
+
+function parseJson<T>(value: string | undefined, fallback: T): T {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  try {
+    return JSON.parse(value) as T;
+  } catch {
+    return fallback;
+  }
+}
+
+function dataElement(key: string, value: string): string {
+  return `<data key="${key}">${escapeXml(value)}</data>`;
+}
+
+/**
+ * Serialize a snapshot to a GraphML document
+ */
+export function toGraphML(snapshot: GraphSnapshot): string {
+  const lines: string[] = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+    '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+  ];
+
+  for (const key of NODE_KEYS) {
+    lines.push(`  <key id="${key}" for="node" attr.name="${key}" attr.type="string"/>`);
+  }
+  for (const key of EDGE_KEYS) {
+    lines.push(`  <key id="edge_${key}" for="edge" attr.name="${key}" attr.type="string"/>`);
+  }
+
+  lines.push(
+    `  <graph id="memesh" edgedefault="directed">`,
+    `    <desc>${escapeXml(`MeMesh knowledge graph v${snapshot.version} exported ${snapshot.exportedAt}`)}</desc>`
+  );
+
+  const nodeIds = new Map<string, string>();
+  snapshot.entities.forEach((entity, index) => {
+    const id = `n${index}`;
+    nodeIds.set(entity.name, id);
+
+    const data = [
+      dataElement('label', entity.name),
+      dataElement('entityType', entity.entityType),
+      dataElement('observations', JSON.stringify(entity.observations)),
+      dataElement('tags', JSON.stringify(entity.tags)),
+      dataElement('metadata', JSON.stringify(entity.metadata)),
+    ];
+    if (entity.contentHash) {
+      data.push(dataElement('contentHash', entity.contentHash));
+    }
+    if (entity.createdAt) {
+      data.push(dataElement('createdAt', entity.createdAt));
+    }
+    lines.push(`    <node id="${id}">${data.join('')}</node>`);
+  });
+
+  snapshot.relations.forEach((relation, index) => {
+    const source = nodeIds.get(relation.from);
+    const target = nodeIds.get(relation.to);
+    if (!source || !target) {
+      return;
+    }
+
+    const data = [
+      dataElement('edge_relationType', relation.relationType),
+      dataElement('edge_metadata', JSON.stringify(relation.metadata)),
+    ];
+    if (relation.createdAt) {
+      data.push(dataElement('edge_createdAt', relation.createdAt));
+    }
+    lines.push(`    <edge id="e${index}" source="${source}" target="${target}">${data.join('')}</edge>`);
+  });
+
+  lines.push('  </graph>', '</graphml>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Parse a GraphML document
+ *
+ * @throws {ValidationError} If the document has no <graph> element
+ */
+export function fromGraphML(text: string): GraphSnapshot {
+  if (!/<graph\b/.test(text)) {
+    throw new ValidationError('GraphML document has no <graph> element', {
+      component: 'GraphExchange',
+      method: 'fromGraphML',
+    });
+  }
+
+  // Strip comments and CDATA wrappers before tag matching
+  const xml = text
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_match, content: string) => escapeXml(content));
+
+  const nodeKeyNames = new Map<string, string>();
+  const edgeKeyNames = new Map<string, string>();
+  for (const match of xml.matchAll(/<key\b([^>]*?)\/?>/g)) {
+    const attributes = parseAttributes(match[1]);
+    if (!attributes.id) {
+      continue;
+    }
+    const name = attributes['attr.name'] ?? attributes.id;
+    if (attributes.for === 'edge') {
+      edgeKeyNames.set(attributes.id, name);
+    } else {
+      nodeKeyNames.set(attributes.id, name);
+    }
+  }
+
+  const entities: SnapshotEntity[] = [];
+  const namesById = new Map<string, string>();
+  for (const match of xml.matchAll(/<node\b([^>]*?)(?:\/>|>([\s\S]*?)<\/node>)/g)) {
+    const id = parseAttributes(match[1]).id;
+    if (!id) {
+      continue;
+    }
+    const data = parseData(match[2] ?? '', nodeKeyNames);
+    const name = data.get('label') || data.get('name') || id;
+    namesById.set(id, name);
+
+    const rawObservations = data.get('observations');
+    const observations = rawObservations?.trim().startsWith('[')
+      ? parseJson<string[]>(rawObservations, [])
+      : (rawObservations ?? '').split('\n').map(line => line.trim()).filter(Boolean);
+
+    const contentHash = data.get('contentHash');
+    const createdAt = data.get('createdAt');
+    entities.push({
+      name,
+      entityType: (data.get('entityType') || DEFAULT_IMPORTED_ENTITY_TYPE) as EntityType,
+      observations,
+      tags: parseJson<string[]>(data.get('tags'), []),
+      metadata: parseJson<Record<string, unknown>>(data.get('metadata'), {}),
+      ...(contentHash ? { contentHash } : {}),
+      ...(createdAt ? { createdAt } : {}),
+    });
+  }
+
+  const relations: SnapshotRelation[] = [];
+  for (const match of xml.matchAll(/<edge\b([^>]*?)(?:\/>|>([\s\S]*?)<\/edge>)/g)) {
+    const attributes = parseAttributes(match[1]);
+    const from = namesById.get(attributes.source);
+    const to = namesById.get(attributes.target);
+    if (!from || !to) {
+      continue;
+    }
+    const data = parseData(match[2] ?? '', edgeKeyNames);
+    const createdAt = data.get('createdAt');
+    relations.push({
+      from,
+      to,
+      relationType: (data.get('relationType') || data.get('label') || 'similar_to') as RelationType,
+      metadata: parseJson<Record<string, unknown>>(data.get('metadata'), {}),
+      ...(createdAt ? { createdAt } : {}),
+    });
+  }
+
+  return {
+    version: GRAPH_SNAPSHOT_VERSION,
+    exportedAt: new Date().toISOString(),
+    entities,
+    relations,
+  };
+}
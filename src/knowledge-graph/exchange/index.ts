@@ -0,0 +1,408 @@
+/**
+ * Knowledge Graph Exchange - export/import in JSON-LD, GraphML and Markdown
+ *
+ * Moves memory between machines and into familiar review tools:
+ * - JSON-LD: lossless, machine-readable
+ * - GraphML: lossless, opens in Gephi / yEd
+ * - Markdown vault: one note per entity with [[wikilinks]], opens in Obsidian
+ *
+ * Imports go through KnowledgeGraph.createEntity(), so entities carrying a
+ * content_hash dedupe against existing memories exactly like local writes,
+ * and pass through the secret redactor like every other memory write path.
+ *
+ * @module GraphExchange
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import type { KnowledgeGraph } from '../index.js';
+import type { SecretRedactor } from '../../memory/SecretRedactor.js';
+import { ValidationError } from '../../errors/index.js';
+import { logger } from '../../utils/logger.js';
+import { toJsonLd, fromJsonLd } from './jsonld.js';
+import { toGraphML, fromGraphML } from './graphml.js';
+import { toMarkdownVault, fromMarkdownVault } from './markdown.js';
+import type {
+  GraphExchangeFormat,
+  GraphExportResult,
+  GraphImportOptions,
+  GraphImportResult,
+  GraphSnapshot,
+  SnapshotEntity,
+  SnapshotRelation,
+} from './types.js';
+import { GRAPH_EXCHANGE_FORMATS, GRAPH_SNAPSHOT_VERSION } from './types.js';
+
+export * from './types.js';
+export { toJsonLd, fromJsonLd } from './jsonld.js';
+export { toGraphML, fromGraphML } from './graphml.js';
+export { toMarkdownVault, fromMarkdownVault } from './markdown.js';
+
+/**
+ * Largest single file read during import (50 MB)
+ */
+const MAX_IMPORT_FILE_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Items (entities + relations) written between two import progress updates
+ */
+export const IMPORT_PROGRESS_INTERVAL = 100;
+
+/**
+ * Take a format-neutral snapshot of the whole graph
+ */
+export function snapshotGraph(knowledgeGraph: KnowledgeGraph): GraphSnapshot {
+  return {
+    version: GRAPH_SNAPSHOT_VERSION,
+    exportedAt: new Date().toISOString(),
+    entities: knowledgeGraph.getAllEntities().map(entity => ({
+      name: entity.name,
+      entityType: entity.entityType,
+      observations: entity.observations,
+      tags: entity.tags ?? [],
+      metadata: entity.metadata ?? {},
+      ...(entity.contentHash ? { contentHash: entity.contentHash } : {}),
+      ...(entity.createdAt ? { createdAt: entity.createdAt.toISOString() } : {}),
+    })),
+    relations: knowledgeGraph.getAllRelations().map(relation => ({
+      from: relation.from,
+      to: relation.to,
+      relationType: relation.relationType,
+      metadata: relation.metadata ?? {},
+      ...(relation.createdAt ? { createdAt: relation.createdAt.toISOString() } : {}),
+    })),
+  };
+}
+
+/**
+ * Infer the exchange format from a path
+ *
+ * `.jsonld` / `.json` → jsonld, `.graphml` / `.xml` → graphml, anything
+ * else (typically a directory) → markdown.
+ */
+export function inferGraphExchangeFormat(targetPath: string): GraphExchangeFormat {
+  const extension = path.extname(targetPath).toLowerCase();
+  if (extension === '.jsonld' || extension === '.json') {
+    return 'jsonld';
+  }
+  if (extension === '.graphml' || extension === '.xml') {
+    return 'graphml';
+  }
+  return 'markdown';
+}
+
+/**
+ * Validate a user-supplied format name
+ *
+ * @throws {ValidationError} If the format is not supported
+ */
+export function assertGraphExchangeFormat(format: string): asserts format is GraphExchangeFormat {
+  if (!GRAPH_EXCHANGE_FORMATS.includes(format as GraphExchangeFormat)) {
+    throw new ValidationError(
+      `Unsupported format "${format}". Use one of: ${GRAPH_EXCHANGE_FORMATS.join(', ')}`,
+      { component: 'GraphExchange', method: 'assertGraphExchangeFormat', format }
+    );
+  }
+}
+
+async function pathExists(target: string): Promise<boolean> {
+  try {
+    await fs.access(target);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Export the graph to a file (jsonld, graphml) or a directory of notes (markdown)
+ *
+ * @param knowledgeGraph - Graph to export
+ * @param format - Exchange format
+ * @param targetPath - Output file or directory
+ * @param options.overwrite - Replace an existing file / write into a non-empty directory
+ * @throws {ValidationError} If the target exists and overwrite is not set
+ */
+export async function exportGraph(
+  knowledgeGraph: KnowledgeGraph,
+  format: GraphExchangeFormat,
+  targetPath: string,
+  options: { overwrite?: boolean } = {}
+): Promise<GraphExportResult> {
+  const resolved = path.resolve(targetPath);
+  const snapshot = snapshotGraph(knowledgeGraph);
+
+  if (format === 'markdown') {
+    if (await pathExists(resolved)) {
+      const existing = await fs.readdir(resolved);
+      if (existing.length > 0 && !options.overwrite) {
+        throw new ValidationError(`Export directory is not empty: ${resolved}`, {
+          component: 'GraphExchange',
+          method: 'exportGraph',
+          targetPath: resolved,
+        });
+      }
+    }
+
+    await fs.mkdir(resolved, { recursive: true });
+    for (const [fileName, content] of toMarkdownVault(snapshot)) {
+      await fs.writeFile(path.join(resolved, fileName), content, 'utf-8');
+    }
+  } else {
+    if (!options.overwrite && await pathExists(resolved)) {
+      throw new ValidationError(`Export file already exists: ${resolved}`, {
+        component: 'GraphExchange',
+        method: 'exportGraph',
+        targetPath: resolved,
+      });
+    }
+
+    await fs.mkdir(path.dirname(resolved), { recursive: true });
+    await fs.writeFile(
+      resolved,
+      format === 'jsonld' ? toJsonLd(snapshot) : toGraphML(snapshot),
+      'utf-8'
+    );
+  }
+
+  logger.info(
+    `[GraphExchange] Exported ${snapshot.entities.length} entities and ${snapshot.relations.length} relations as ${format} to ${resolved}`
+  );
+
+  return {
+    format,
+    path: resolved,
+    entityCount: snapshot.entities.length,
+    relationCount: snapshot.relations.length,
+  };
+}
+
+async function readImportFile(file: string): Promise<string> {
+  const stat = await fs.stat(file);
+  if (stat.size > MAX_IMPORT_FILE_BYTES) {
+    throw new ValidationError(
+      `Import file exceeds ${MAX_IMPORT_FILE_BYTES / (1024 * 1024)} MB: ${file}`,
+      { component: 'GraphExchange', method: 'readGraphSnapshot', size: stat.size }
+    );
+  }
+  return fs.readFile(file, 'utf-8');
+}
+
+/**
+ * List `.md` files below a directory, skipping hidden folders such as `.obsidian`
+ */
+async function listMarkdownFiles(directory: string): Promise<string[]> {
+  const files: string[] = [];
+  for (const entry of await fs.readdir(directory, { withFileTypes: true })) {
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory() && !entry.name.startsWith('.')) {
+      files.push(...await listMarkdownFiles(fullPath));
+    } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.md')) {
+      files.push(fullPath);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Read a snapshot from a file (jsonld, graphml) or a directory of notes (markdown)
+ */
+export async function readGraphSnapshot(
+  format: GraphExchangeFormat,
+  sourcePath: string
+): Promise<GraphSnapshot> {
+  const resolved = path.resolve(sourcePath);
+
+  if (format === 'markdown') {
+    const files = new Map<string, string>();
+    for (const file of await listMarkdownFiles(resolved)) {
+      files.set(path.relative(resolved, file), await readImportFile(file));
+    }
+    return fromMarkdownVault(files);
+  }
+
+  const text = await readImportFile(resolved);
+  return format === 'jsonld' ? fromJsonLd(text) : fromGraphML(text);
+}
+
+/**
+ * Write a snapshot into the graph
+ *
+ * Runs in a single transaction. Entities that already exist by name are kept
+ * unless `overwrite` is set; entities whose content_hash matches an existing
+ * entity under another name are merged into it, and relations are rewired to
+ * the surviving entity.
+ */
+export function importGraphSnapshot(
+  knowledgeGraph: KnowledgeGraph,
+  snapshot: GraphSnapshot,
+  options: GraphImportOptions = {}
+): GraphImportResult {
+  const result: GraphImportResult = {
+    entitiesCreated: 0,
+    entitiesDeduplicated: 0,
+    entitiesSkipped: 0,
+    relationsCreated: 0,
+    relationsSkipped: 0,
+    errors: [],
+  };
+
+  // Imported name → name of the entity that holds it after import
+  const resolvedNames = new Map<string, string>();
+
+  // Called before each item, so `done` counts the items already written
+  const total = snapshot.entities.length + snapshot.relations.length;
+  let done = 0;
+  const advance = (): void => {
+    if (done > 0 && done % IMPORT_PROGRESS_INTERVAL === 0) {
+      options.onProgress?.(done, total);
+    }
+    done++;
+  };
+
+  knowledgeGraph.transaction(() => {
+    const existingNames = new Set(knowledgeGraph.getAllEntities().map(entity => entity.name));
+
+    for (const entity of snapshot.entities) {
+      advance();
+      if (existingNames.has(entity.name) && !options.overwrite) {
+        resolvedNames.set(entity.name, entity.name);
+        result.entitiesSkipped++;
+        continue;
+      }
+
+      try {
+        const storedName = knowledgeGraph.createEntity({
+          name: entity.name,
+          entityType: entity.entityType,
+          observations: entity.observations,
+          tags: entity.tags,
+          metadata: entity.metadata,
+          contentHash: entity.contentHash,
+        });
+
+        resolvedNames.set(entity.name, storedName);
+        if (storedName === entity.name) {
+          result.entitiesCreated++;
+        } else {
+          result.entitiesDeduplicated++;
+        }
+      } catch (error) {
+        result.errors.push({
+          item: entity.name,
+          error: error instanceof Error ? error.message : String(error),
+        });
+      }
+    }
+
+    for (const relation of snapshot.relations) {
+      advance();
+      const from = resolvedNames.get(relation.from) ?? (existingNames.has(relation.from) ? relation.from : undefined);
+      const to = resolvedNames.get(relation.to) ?? (existingNames.has(relation.to) ? relation.to : undefined);
+
+      if (!from || !to) {
+        result.relationsSkipped++;
+        continue;
+      }
+
+      try {
+        knowledgeGraph.createRelation({
+          from,
+          to,
+          relationType: relation.relationType,
+          metadata: relation.metadata,
+        });
+        result.relationsCreated++;
+      } catch (error) {
+        result.errors.push({
+          item: `${relation.from} -[${relation.relationType}]-> ${relation.to}`,
+          error: error instanceof Error ? error.message : String(error),
+        });
+      }
+    }
+  });
+  options.onProgress?.(total, total);
+
+  logger.info(
+    `[GraphExchange] Imported ${result.entitiesCreated} entities ` +
+    `(${result.entitiesDeduplicated} deduplicated, ${result.entitiesSkipped} skipped) ` +
+    `and ${result.relationsCreated} relations`
+  );
+
+  return result;
+}
+
+/**
+ * Redact secrets from the observations and metadata of a snapshot
+ *
+ * Entities the redactor refuses (reject mode) are dropped and returned as
+ * errors; relations to them are skipped on import as missing endpoints.
+ */
+async function redactSnapshot(
+  snapshot: GraphSnapshot,
+  redactor: SecretRedactor
+): Promise<{ snapshot: GraphSnapshot; redacted: number; errors: GraphImportResult['errors'] }> {
+  const entities: SnapshotEntity[] = [];
+  const relations: SnapshotRelation[] = [];
+  const errors: GraphImportResult['errors'] = [];
+  let redacted = 0;
+
+  for (const entity of snapshot.entities) {
+    try {
+      const { value, findings } = await redactor.redactValues(
+        { observations: entity.observations, metadata: entity.metadata },
+        'import'
+      );
+      entities.push({ ...entity, ...value });
+      redacted += findings.length;
+    } catch (error) {
+      errors.push({
+        item: entity.name,
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+
+  for (const relation of snapshot.relations) {
+    try {
+      const { value, findings } = await redactor.redactValues(relation.metadata, 'import');
+      relations.push({ ...relation, metadata: value });
+      redacted += findings.length;
+    } catch (error) {
+      errors.push({
+        item: `${relation.from} -[${relation.relationType}]-> ${relation.to}`,
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+
+  return { snapshot: { ...snapshot, entities, relations }, redacted, errors };
+}
+
+/**
+ * Import a file or directory into the graph
+ *
+ * @param knowledgeGraph - Graph to import into
+ * @param format - Exchange format
+ * @param sourcePath - Input file or directory
+ * @param options - Import options
+ */
+export async function importGraph(
+  knowledgeGraph: KnowledgeGraph,
+  format: GraphExchangeFormat,
+  sourcePath: string,
+  options: GraphImportOptions = {}
+): Promise<GraphImportResult> {
+  const snapshot = await readGraphSnapshot(format, sourcePath);
+  if (!options.redactor) {
+    return importGraphSnapshot(knowledgeGraph, snapshot, options);
+  }
+
+  const redaction = await redactSnapshot(snapshot, options.redactor);
+  const result = importGraphSnapshot(knowledgeGraph, redaction.snapshot, options);
+  return {
+    ...result,
+    ...(redaction.redacted > 0 ? { redacted: redaction.redacted } : {}),
+    errors: [...redaction.errors, ...result.errors],
+  };
+}
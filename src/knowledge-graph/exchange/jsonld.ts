@@ -0,0 +1,156 @@
+/**
+ * JSON-LD serializer for knowledge graph snapshots
+ *
+ * Entities and relations share one `@graph`. Entities are identified by
+ * `urn:memesh:entity:<name>` so relations can reference them with `@id`.
+ */
+
+import { ValidationError } from '../../errors/index.js';
+import type { EntityType, RelationType } from '../types.js';
+import type { GraphSnapshot, SnapshotEntity, SnapshotRelation } from './types.js';
+import { DEFAULT_IMPORTED_ENTITY_TYPE, GRAPH_SNAPSHOT_VERSION } from './types.js';
+
+const VOCAB = 'https://memesh.pcircle.ai/schema/knowledge-graph#';
+const ENTITY_ID_PREFIX = 'urn:memesh:entity:';
+
+const CONTEXT = {
+  '@vocab': VOCAB,
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+  name: 'http://schema.org/name',
+  observations: { '@container': '@list' },
+  tags: { '@container': '@set' },
+  metadata: { '@type': '@json' },
+  from: { '@type': '@id' },
+  to: { '@type': '@id' },
+  createdAt: { '@type': 'xsd:dateTime' },
+  exportedAt: { '@type': 'xsd:dateTime' },
+};
+
+function entityId(name: string): string {
+  return ENTITY_ID_PREFIX + encodeURIComponent(name);
+}
+
+function entityName(id: unknown): string {
+  const value = typeof id === 'object' && id !== null ? (id as { '@id'?: unknown })['@id'] : id;
+  if (typeof value !== 'string' || !value.startsWith(ENTITY_ID_PREFIX)) {
+    throw new ValidationError(`Invalid JSON-LD entity reference: ${JSON.stringify(id)}`, {
+      component: 'GraphExchange',
+      method: 'fromJsonLd',
+    });
+  }
+  return decodeURIComponent(value.slice(ENTITY_ID_PREFIX.length));
+}
+
+function asStringArray(value: unknown): string[] {
+  return Array.isArray(value) ? value.filter((item): item is string => typeof item === 'string') : [];
+}
+
+function asRecord(value: unknown): Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+    ? (value as Record<string, unknown>)
+    : {};
+}
+
+/**
+ * Serialize a snapshot to a JSON-LD document
+ */
+export function toJsonLd(snapshot: GraphSnapshot): string {
+  const graph: Array<Record<string, unknown>> = [];
+
+  for (const entity of snapshot.entities) {
+    graph.push({
+      '@id': entityId(entity.name),
+      '@type': 'Entity',
+      name: entity.name,
+      entityType: entity.entityType,
+      observations: entity.observations,
+      tags: entity.tags,
+      metadata: entity.metadata,
+      ...(entity.contentHash ? { contentHash: entity.contentHash } : {}),
+      ...(entity.createdAt ? { createdAt: entity.createdAt } : {}),
+    });
+  }
+
+  for (const relation of snapshot.relations) {
+    graph.push({
+      '@type': 'Relation',
+      from: entityId(relation.from),
+      to: entityId(relation.to),
+      relationType: relation.relationType,
+      metadata: relation.metadata,
+      ...(relation.createdAt ? { createdAt: relation.createdAt } : {}),
+    });
+  }
+
+  return JSON.stringify(
+    {
+      '@context': CONTEXT,
+      '@type': 'KnowledgeGraph',
+      version: snapshot.version,
+      exportedAt: snapshot.exportedAt,
+      '@graph': graph,
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Parse a JSON-LD document produced by toJsonLd()
+ *
+ * @throws {ValidationError} If the document is not valid JSON or not a MeMesh graph
+ */
+export function fromJsonLd(text: string): GraphSnapshot {
+  let document: Record<string, unknown>;
+  try {
+    document = asRecord(JSON.parse(text));
+  } catch (error) {
+    throw new ValidationError(
+      `Invalid JSON-LD document: ${error instanceof Error ? error.message : String(error)}`,
+      { component: 'GraphExchange', method: 'fromJsonLd' }
+    );
+  }
+
+  const graph = document['@graph'];
+  if (!Array.isArray(graph)) {
+    throw new ValidationError('JSON-LD document has no @graph array', {
+      component: 'GraphExchange',
+      method: 'fromJsonLd',
+    });
+  }
+
+  const entities: SnapshotEntity[] = [];
+  const relations: SnapshotRelation[] = [];
+
+  for (const rawNode of graph) {
+    const node = asRecord(rawNode);
+
+    if (node['@type'] === 'Entity') {
+      const name = typeof node.name === 'string' ? node.name : entityName(node['@id']);
+      entities.push({
+        name,
+        entityType: (typeof node.entityType === 'string' ? node.entityType : DEFAULT_IMPORTED_ENTITY_TYPE) as EntityType,
+        observations: asStringArray(node.observations),
+        tags: asStringArray(node.tags),
+        metadata: asRecord(node.metadata),
+        ...(typeof node.contentHash === 'string' ? { contentHash: node.contentHash } : {}),
+        ...(typeof node.createdAt === 'string' ? { createdAt: node.createdAt } : {}),
+      });
+    } else if (node['@type'] === 'Relation') {
+      relations.push({
+        from: entityName(node.from),
+        to: entityName(node.to),
+        relationType: String(node.relationType) as RelationType,
+        metadata: asRecord(node.metadata),
+        ...(typeof node.createdAt === 'string' ? { createdAt: node.createdAt } : {}),
+      });
+    }
+  }
+
+  return {
+    version: typeof document.version === 'number' ? document.version : GRAPH_SNAPSHOT_VERSION,
+    exportedAt: typeof document.exportedAt === 'string' ? document.exportedAt : new Date().toISOString(),
+    entities,
+    relations,
+  };
+}
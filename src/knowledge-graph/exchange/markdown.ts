@@ -0,0 +1,270 @@
+/**
+ * Markdown vault serializer for knowledge graph snapshots
+ *
+ * One note per entity, Obsidian-style:
+ *
+ * ```markdown
+ * ---
+ * name: "Use Redis for sessions"
+ * entityType: "decision"
+ * tags: ["tech:redis"]
+ * ---
+ *
+ * # Use Redis for sessions
+ *
+ * ## Observations
+ *
+ * - Chosen for TTL support
+ *
+ * ## Relations
+ *
+ * - depends_on [[Redis cluster setup]]
+ * ```
+ *
+ * Frontmatter values are JSON (a subset of YAML), so notes stay valid for
+ * Obsidian while parsing back exactly. Outgoing relations are listed in the
+ * note of their source entity; relation metadata rides along in an HTML
+ * comment that Obsidian does not render.
+ */
+
+import type { EntityType, RelationType } from '../types.js';
+import type { GraphSnapshot, SnapshotEntity, SnapshotRelation } from './types.js';
+import { DEFAULT_IMPORTED_ENTITY_TYPE, GRAPH_SNAPSHOT_VERSION } from './types.js';
+
+/**
+ * Characters that are not allowed in file names or break wikilinks
+ */
+const UNSAFE_FILENAME_CHARS = /[\\/:*?"<>|#^[\]\x00-\x1F]/g;
+
+const MAX_FILENAME_LENGTH = 120;
+
+const OBSERVATIONS_HEADING = '## Observations';
+const RELATIONS_HEADING = '## Relations';
+
+/**
+ * Map entity names to unique, filesystem-safe note names (without extension)
+ */
+function assignNoteNames(entities: SnapshotEntity[]): Map<string, string> {
+  const noteNames = new Map<string, string>();
+  const used = new Set<string>();
+
+  for (const entity of entities) {
+    const base = entity.name
+      .replace(UNSAFE_FILENAME_CHARS, '-')
+      .replace(/^[.\s]+|[.\s]+$/g, '')
+      .slice(0, MAX_FILENAME_LENGTH) || 'untitled';
+
+    let candidate = base;
+    for (let suffix = 2; used.has(candidate.toLowerCase()); suffix++) {
+      candidate = `${base} (${suffix})`;
+    }
+
+    used.add(candidate.toLowerCase());
+    noteNames.set(entity.name, candidate);
+  }
+
+  return noteNames;
+}
+
+/**
+ * Render a list item, indenting continuation lines so multi-line text stays in one item
+ */
+function listItem(text: string): string {
+  return `- ${text.split('\n').join('\n  ')}`;
+}
+
+function wikilink(noteName: string, entityName: string): string {
+  return noteName === entityName ? `[[${noteName}]]` : `[[${noteName}|${entityName}]]`;
+}
+
+/**
+ * Serialize a snapshot to Markdown notes
+ *
+ * @returns Map of relative file path (`<note>.md`) to file content
+ */
+export function toMarkdownVault(snapshot: GraphSnapshot): Map<string, string> {
+  const noteNames = assignNoteNames(snapshot.entities);
+  const outgoing = new Map<string, SnapshotRelation[]>();
+  for (const relation of snapshot.relations) {
+    const list = outgoing.get(relation.from) ?? [];
+    list.push(relation);
+    outgoing.set(relation.from, list);
+  }
+
+  const files = new Map<string, string>();
+
+  for (const entity of snapshot.entities) {
+    const frontmatter: Record<string, unknown> = {
+      name: entity.name,
+      entityType: entity.entityType,
+      tags: entity.tags,
+    };
+    if (Object.keys(entity.metadata).length > 0) {
+      frontmatter.metadata = entity.metadata;
+    }
+    if (entity.contentHash) {
+      frontmatter.contentHash = entity.contentHash;
+    }
+    if (entity.createdAt) {
+      frontmatter.createdAt = entity.createdAt;
+    }
+
+    const lines = ['---'];
+    for (const [key, value] of Object.entries(frontmatter)) {
+      lines.push(`${key}: ${JSON.stringify(value)}`);
+    }
+    lines.push('---', '', `# ${entity.name}`, '');
+
+    if (entity.observations.length > 0) {
+      lines.push(OBSERVATIONS_HEADING, '');
+      entity.observations.forEach(observation => lines.push(listItem(observation)));
+      lines.push('');
+    }
+
+    const relations = (outgoing.get(entity.name) ?? []).filter(relation => noteNames.has(relation.to));
+    if (relations.length > 0) {
+      lines.push(RELATIONS_HEADING, '');
+      for (const relation of relations) {
+        const link = wikilink(noteNames.get(relation.to) as string, relation.to);
+        const metadata = Object.keys(relation.metadata).length > 0
+          ? ` <!-- ${JSON.stringify(relation.metadata).replace(/--/g, '\\u002d\\u002d')} -->`
+          : '';
+        lines.push(`- ${relation.relationType} ${link}${metadata}`);
+      }
+      lines.push('');
+    }
+
+    files.set(`${noteNames.get(entity.name)}.md`, lines.join('\n'));
+  }
+
+  return files;
+}
+
+/**
+ * Split a note into frontmatter fields and body
+ */
+function parseFrontmatter(content: string): { fields: Record<string, unknown>; body: string } {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) {
+    return { fields: {}, body: content };
+  }
+
+  const fields: Record<string, unknown> = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator <= 0) {
+      continue;
+    }
+    const key = line.slice(0, separator).trim();
+    const raw = line.slice(separator + 1).trim();
+    try {
+      fields[key] = JSON.parse(raw);
+    } catch {
+      // Plain YAML scalar written by hand
+      fields[key] = raw;
+    }
+  }
+
+  return { fields, body: content.slice(match[0].length) };
+}
+
+/**
+ * Collect the list items under a `## Heading`, joining indented continuation lines
+ */
+function sectionItems(body: string, heading: string): string[] {
+  const lines = body.split(/\r?\n/);
+  const start = lines.findIndex(line => line.trim() === heading);
+  if (start === -1) {
+    return [];
+  }
+
+  const items: string[] = [];
+  for (const line of lines.slice(start + 1)) {
+    if (line.startsWith('#')) {
+      break;
+    }
+    if (line.startsWith('- ')) {
+      items.push(line.slice(2));
+    } else if (line.startsWith('  ') && items.length > 0) {
+      items[items.length - 1] += '\n' + line.slice(2);
+    }
+  }
+  return items;
+}
+
+/**
+ * Parse Markdown notes back into a snapshot
+ *
+ * Notes without frontmatter are accepted: the file name becomes the entity
+ * name and the type defaults to DEFAULT_IMPORTED_ENTITY_TYPE. Wikilinks to
+ * notes that are not part of the vault are ignored.
+ *
+ * @param files - Map of relative file path to file content
+ */
+export function fromMarkdownVault(files: Map<string, string>): GraphSnapshot {
+  const notes: Array<{ noteName: string; entity: SnapshotEntity; body: string }> = [];
+
+  for (const [path, content] of files) {
+    const noteName = path.replace(/^.*[\\/]/, '').replace(/\.md$/i, '');
+    const { fields, body } = parseFrontmatter(content);
+
+    const contentHash = typeof fields.contentHash === 'string' ? fields.contentHash : undefined;
+    const createdAt = typeof fields.createdAt === 'string' ? fields.createdAt : undefined;
+    notes.push({
+      noteName,
+      body,
+      entity: {
+        name: typeof fields.name === 'string' && fields.name ? fields.name : noteName,
+        entityType: (typeof fields.entityType === 'string' && fields.entityType
+          ? fields.entityType
+          : DEFAULT_IMPORTED_ENTITY_TYPE) as EntityType,
+        observations: sectionItems(body, OBSERVATIONS_HEADING),
+        tags: Array.isArray(fields.tags) ? fields.tags.filter((tag): tag is string => typeof tag === 'string') : [],
+        metadata: typeof fields.metadata === 'object' && fields.metadata !== null
+          ? (fields.metadata as Record<string, unknown>)
+          : {},
+        ...(contentHash ? { contentHash } : {}),
+        ...(createdAt ? { createdAt } : {}),
+      },
+    });
+  }
+
+  const entityByNote = new Map(notes.map(note => [note.noteName.toLowerCase(), note.entity.name]));
+  const relations: SnapshotRelation[] = [];
+
+  for (const note of notes) {
+    for (const item of sectionItems(note.body, RELATIONS_HEADING)) {
+      const match = item.match(/^([A-Za-z_][\w-]*)\s+\[\[([^\]|#]+)(?:#[^\]|]*)?(?:\|[^\]]*)?\]\](?:\s*<!--\s*([\s\S]*?)\s*-->)?/);
+      if (!match) {
+        continue;
+      }
+      const target = entityByNote.get(match[2].trim().toLowerCase());
+      if (!target) {
+        continue;
+      }
+
+      let metadata: Record<string, unknown> = {};
+      if (match[3]) {
+        try {
+          metadata = JSON.parse(match[3]);
+        } catch {
+          metadata = {};
+        }
+      }
+
+      relations.push({
+        from: note.entity.name,
+        to: target,
+        relationType: match[1] as RelationType,
+        metadata,
+      });
+    }
+  }
+
+  return {
+    version: GRAPH_SNAPSHOT_VERSION,
+    exportedAt: new Date().toISOString(),
+    entities: notes.map(note => note.entity),
+    relations,
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * Knowledge Graph Exchange Types
+ *
+ * Format-neutral snapshot of a knowledge graph used by the JSON-LD, GraphML
+ * and Markdown vault serializers.
+ */
+
+import type { EntityType, RelationType } from '../types.js';
+import type { SecretRedactor } from '../../memory/SecretRedactor.js';
+
+/**
+ * Supported exchange formats
+ * - jsonld: single JSON-LD document (lossless)
+ * - graphml: single GraphML document for Gephi / yEd (lossless)
+ * - markdown: folder of Obsidian-style notes linked with [[wikilinks]]
+ */
+export type GraphExchangeFormat = 'jsonld' | 'graphml' | 'markdown';
+
+export const GRAPH_EXCHANGE_FORMATS: readonly GraphExchangeFormat[] = ['jsonld', 'graphml', 'markdown'];
+
+/**
+ * Entity type assumed for imported entities that do not declare one
+ * (e.g. hand-written Markdown notes)
+ */
+export const DEFAULT_IMPORTED_ENTITY_TYPE: EntityType = 'lesson_learned';
+
+/**
+ * Snapshot format version, bumped on incompatible changes
+ */
+export const GRAPH_SNAPSHOT_VERSION = 1;
+
+export interface SnapshotEntity {
+  name: string;
+  entityType: EntityType;
+  observations: string[];
+  tags: string[];
+  metadata: Record<string, unknown>;
+  /** Deduplication hash, carried across machines so imports dedupe like local writes */
+  contentHash?: string;
+  createdAt?: string;
+}
+
+export interface SnapshotRelation {
+  from: string;
+  to: string;
+  relationType: RelationType;
+  metadata: Record<string, unknown>;
+  createdAt?: string;
+}
+
+export interface GraphSnapshot {
+  version: number;
+  exportedAt: string;
+  entities: SnapshotEntity[];
+  relations: SnapshotRelation[];
+}
+
+export interface GraphImportOptions {
+  /** Rewrite entities that already exist under the same name (default: false - keep existing) */
+  overwrite?: boolean;
+  /** Called as entities and relations are written (every IMPORT_PROGRESS_INTERVAL items and once committed) */
+  onProgress?: (done: number, total: number) => void;
+  /**
+   * Redacts secrets from imported observations and metadata before they are
+   * written (importGraph only). In reject mode, entities holding a secret are
+   * left out and reported as errors.
+   */
+  redactor?: SecretRedactor;
+}
+
+export interface GraphImportResult {
+  /** Entities written as new (or rewritten with overwrite) */
+  entitiesCreated: number;
+  /** Entities whose content_hash matched an existing entity under another name */
+  entitiesDeduplicated: number;
+  /** Entities left untouched because the name already existed */
+  entitiesSkipped: number;
+  relationsCreated: number;
+  /** Relations whose endpoints are not part of the graph after import */
+  relationsSkipped: number;
+  /** Secrets replaced by the redactor */
+  redacted?: number;
+  errors: Array<{ item: string; error: string }>;
+}
+
+export interface GraphExportResult {
+  format: GraphExchangeFormat;
+  /** File (jsonld, graphml) or directory (markdown) written */
+  path: string;
+  entityCount: number;
+  relationCount: number;
+}
@@ -9,10 +9,27 @@ import Database from 'better-sqlite3';
 import { promises as fsPromises, existsSync, mkdirSync } from 'fs';
 import { NotFoundError, ValidationError } from '../errors/index.js';
 import { SimpleDatabaseFactory } from '../config/simple-config.js';
-import type { Entity, Relation, SearchQuery, RelationTrace, EntityType, RelationType } from './types.js';
+import type {
+  Entity,
+  Relation,
+  SearchQuery,
+  RelationTrace,
+  EntityType,
+  RelationType,
+  RelationDirection,
+  RelationPath,
+  TracedRelation,
+  TraversalOptions,
+  ObservationRecord,
+  RelationKey,
+  EntityAccessKind,
+  EntityAccessStats,
+} from './types.js';
 import type { SQLParams } from '../evolution/storage/types.js';
 import { logger } from '../utils/logger.js';
 import { QueryCache } from '../db/QueryCache.js';
+import { SchemaMigrator } from '../db/SchemaMigrator.js';
+import { ENTITIES_FTS_SCHEMA, KNOWLEDGE_GRAPH_MIGRATIONS } from './migrations.js';
 import { safeJsonParse, safeJsonStringify } from '../utils/json.js';
 import { getDataPath, getDataDirectory } from '../utils/PathResolver.js';
 import { validateNonEmptyString } from '../utils/validation.js';
@@ -37,6 +54,90 @@ const VALID_RELATION_TYPE_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_-]*$/;
  */
 const CONTROL_CHAR_PATTERN = /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F\x80-\x9F]/;
 
+/**
+ * Maximum number of hops for traceRelations() and findShortestPath()
+ */
+const MAX_TRAVERSAL_DEPTH = 10;
+
+/**
+ * Maximum number of entities / relations returned by a single traversal
+ */
+const MAX_TRACE_RESULTS = 1000;
+
+/**
+ * Maximum number of cycles reported in a trace result
+ */
+const MAX_REPORTED_CYCLES = 20;
+
+const TRAVERSAL_DIRECTIONS: readonly RelationDirection[] = ['outgoing', 'incoming', 'both'];
+
+/**
+ * Aggregates the observations of entity `e` that are currently valid
+ */
+const CURRENT_OBSERVATIONS_SQL =
+  '(SELECT json_group_array(content) FROM observations o WHERE o.entity_id = e.id AND o.valid_to IS NULL) as observations_json';
+
+/**
+ * Format a Date the way validity columns are stored (UTC, millisecond precision)
+ *
+ * Compares correctly as text against SQLite's CURRENT_TIMESTAMP format.
+ */
+function toValidityTimestamp(date: Date): string {
+  return date.toISOString().replace('T', ' ').replace('Z', '');
+}
+
+/**
+ * Parse a stored (UTC) timestamp
+ */
+function fromValidityTimestamp(value: string): Date {
+  return new Date(`${value.replace(' ', 'T')}Z`);
+}
+
+/**
+ * SQL condition: row `alias` was valid at a moment (binds the moment twice)
+ *
+ * A NULL valid_from means "valid since the row was created".
+ */
+function validAtSql(alias: string): string {
+  return `COALESCE(${alias}.valid_from, ${alias}.created_at) <= ? AND (${alias}.valid_to IS NULL OR ${alias}.valid_to > ?)`;
+}
+
+/**
+ * Traversal options after validation
+ */
+interface NormalizedTraversal {
+  depth: number;
+  direction: RelationDirection;
+  relationTypes: string[];
+}
+
+/**
+ * Raw row shape of a relation reached during traversal
+ */
+interface TraversalEdgeRow {
+  from_id: number;
+  to_id: number;
+  from_name: string;
+  to_name: string;
+  relation_type: string;
+  metadata: string | null;
+  hop: number;
+}
+
+/**
+ * Raw row shape returned by entity queries that aggregate observations and tags
+ */
+interface EntityRow {
+  id: number;
+  name: string;
+  type: string;
+  observations_json: string | null;
+  tags_json: string | null;
+  metadata: string | null;
+  content_hash: string | null;
+  created_at: string;
+}
+
 export class KnowledgeGraph {
   private db: Database.Database;
   private queryCache: QueryCache<string, any>;
@@ -198,204 +299,75 @@ export class KnowledgeGraph {
     return instance;
   }
 
-  private initialize() {
-
-    // Create schema
-    // Note: DB column is named `type` for brevity, but maps to TypeScript `entityType`
-    // to avoid confusion with reserved keywords and improve type safety
-    const schema = `
-      -- Entities table
-      CREATE TABLE IF NOT EXISTS entities (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL UNIQUE,
-        type TEXT NOT NULL,  -- Maps to TypeScript 'entityType' field
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        metadata JSON
-      );
-
-      -- Observations table
-      CREATE TABLE IF NOT EXISTS observations (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        entity_id INTEGER NOT NULL,
-        content TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (entity_id) REFERENCES entities(id) ON DELETE CASCADE
-      );
-
-      -- Relations table
-      CREATE TABLE IF NOT EXISTS relations (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        from_entity_id INTEGER NOT NULL,
-        to_entity_id INTEGER NOT NULL,
-        relation_type TEXT NOT NULL,
-        metadata JSON,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (from_entity_id) REFERENCES entities(id) ON DELETE CASCADE,
-        FOREIGN KEY (to_entity_id) REFERENCES entities(id) ON DELETE CASCADE,
-        UNIQUE(from_entity_id, to_entity_id, relation_type)
-      );
-
-      -- Tags table
-      CREATE TABLE IF NOT EXISTS tags (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        entity_id INTEGER NOT NULL,
-        tag TEXT NOT NULL,
-        FOREIGN KEY (entity_id) REFERENCES entities(id) ON DELETE CASCADE
-      );
-
-      -- Indexes for performance
-      CREATE INDEX IF NOT EXISTS idx_entities_type ON entities(type);
-      CREATE INDEX IF NOT EXISTS idx_entities_name ON entities(name);
-      CREATE INDEX IF NOT EXISTS idx_entities_type_created ON entities(type, created_at);
-
-      CREATE INDEX IF NOT EXISTS idx_observations_created ON observations(created_at);
-      CREATE INDEX IF NOT EXISTS idx_observations_entity_created ON observations(entity_id, created_at);
-
-      CREATE INDEX IF NOT EXISTS idx_relations_from ON relations(from_entity_id);
-      CREATE INDEX IF NOT EXISTS idx_relations_to ON relations(to_entity_id);
-      CREATE INDEX IF NOT EXISTS idx_relations_type ON relations(relation_type);
-      CREATE INDEX IF NOT EXISTS idx_relations_from_type ON relations(from_entity_id, relation_type);
-      CREATE INDEX IF NOT EXISTS idx_relations_to_type ON relations(to_entity_id, relation_type);
-      CREATE INDEX IF NOT EXISTS idx_relations_created ON relations(created_at);
-
-      CREATE INDEX IF NOT EXISTS idx_tags_tag ON tags(tag);
-      CREATE INDEX IF NOT EXISTS idx_tags_entity ON tags(entity_id);
-      CREATE INDEX IF NOT EXISTS idx_tags_entity_tag ON tags(entity_id, tag);
-    `;
-
-    this.db.exec(schema);
-
-    // Add FTS5 virtual table for full-text search
-    // Uses unicode61 tokenizer for proper Unicode handling
-    // remove_diacritics=1 for accent-insensitive search
-    const fts5Schema = `
-      -- FTS5 virtual table for entities full-text search
-      CREATE VIRTUAL TABLE IF NOT EXISTS entities_fts USING fts5(
-        name,
-        observations,
-        content='',
-        tokenize='unicode61 remove_diacritics 1'
-      );
-    `;
-
-    this.db.exec(fts5Schema);
-
-    // Run schema migrations
-    this.runMigrations();
+  /**
+   * Bring the schema up to date (see ./migrations.ts)
+   */
+  private initialize(): void {
+    new SchemaMigrator(this.db, { name: 'KG', migrations: KNOWLEDGE_GRAPH_MIGRATIONS }).migrate();
+    // The v3 migration populates FTS5 once; later damage is repaired here
+    this.ensureFullTextIndex();
   }
 
   /**
-   * Run schema migrations
+   * Rebuild the FTS5 index if it is missing or out of sync with entities
    *
-   * ✅ CRITICAL-1: Add content_hash column for deduplication
-   *
-   * Migrations are idempotent and safe to run multiple times.
-   * Each migration checks if it's needed before applying changes.
+   * Covers databases whose index was dropped, emptied or left partial after
+   * the migration ran (e.g. restored from a backup or edited by hand).
+   * Non-fatal: search falls back to LIKE.
    */
-  private runMigrations(): void {
-    // Migration 1: Add content_hash column to entities table
-    // This enables database-level deduplication and prevents TOCTOU race conditions
+  private ensureFullTextIndex(): void {
     try {
-      // Check if content_hash column exists
-      const tableInfo = this.db.pragma('table_info(entities)') as Array<{ name: string }>;
-      const hasContentHash = tableInfo.some(
-        (col) => col.name === 'content_hash'
-      );
-
-      if (!hasContentHash) {
-        logger.info('[KG] Running migration: Adding content_hash column to entities table');
-
-        // Add content_hash column
-        this.db.exec(`
-          ALTER TABLE entities ADD COLUMN content_hash TEXT;
-        `);
-
-        // Create unique index on content_hash
-        // This prevents duplicate entities with same content at database level
-        this.db.exec(`
-          CREATE UNIQUE INDEX IF NOT EXISTS idx_entities_content_hash
-          ON entities(content_hash)
-          WHERE content_hash IS NOT NULL;
-        `);
+      const exists = this.db
+        .prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'entities_fts'")
+        .get() !== undefined;
 
-        logger.info('[KG] Migration complete: content_hash column added with unique index');
+      if (exists && this.isFullTextIndexInSync()) {
+        return;
       }
-    } catch (error) {
-      logger.error('[KG] Migration failed:', {
-        error: error instanceof Error ? error.message : String(error),
-      });
-      throw error;
-    }
 
-    // Migration 2: Populate FTS5 index from existing entities
-    // ✅ CRITICAL-3 FIX: Use chunked migration to handle large datasets
-    // ✅ MAJOR-3 FIX: Add SUBSTR limits to prevent GROUP_CONCAT overflow
-    try {
-      // Check if FTS5 table is empty but entities exist
-      const ftsCount = (this.db.prepare('SELECT COUNT(*) as count FROM entities_fts').get() as { count: number }).count;
-      const entityCount = (this.db.prepare('SELECT COUNT(*) as count FROM entities').get() as { count: number }).count;
-
-      if (ftsCount === 0 && entityCount > 0) {
-        logger.info('[KG] Running migration: Populating FTS5 index from existing entities');
-
-        // CRITICAL-3 FIX: Process in chunks to avoid memory issues with large datasets
-        // MAJOR-3 FIX: Limit observation length to prevent GROUP_CONCAT overflow
-        const CHUNK_SIZE = 500;
-        const MAX_OBSERVATIONS_PER_ENTITY = 500;
-        const MAX_OBSERVATION_LENGTH = 2000; // Characters per observation
-        const MAX_TOTAL_LENGTH = 500000; // Total observations text per entity (500KB)
-
-        const insertStmt = this.db.prepare(`
-          INSERT INTO entities_fts(rowid, name, observations)
-          SELECT
-            e.id,
-            e.name,
-            COALESCE(
-              SUBSTR(
-                (SELECT GROUP_CONCAT(SUBSTR(content, 1, ?), ' ') FROM (
-                  SELECT content FROM observations o
-                  WHERE o.entity_id = e.id
-                  ORDER BY o.created_at DESC
-                  LIMIT ?
-                )),
-                1,
-                ?
-              ),
-              ''
-            )
-          FROM entities e
-          WHERE e.id > ? AND e.id <= ?
-        `);
+      logger.warn(`[KG] FTS5 index ${exists ? 'out of sync' : 'missing'}, rebuilding`);
 
-        // Get min/max IDs for chunking
-        const idRange = this.db.prepare(
-          'SELECT MIN(id) as minId, MAX(id) as maxId FROM entities'
-        ).get() as { minId: number; maxId: number };
-
-        let processedCount = 0;
-        for (let startId = idRange.minId - 1; startId < idRange.maxId; startId += CHUNK_SIZE) {
-          const endId = startId + CHUNK_SIZE;
-          // Parameters: maxObsLength, maxObsCount, maxTotalLength, startId, endId
-          const result = insertStmt.run(
-            MAX_OBSERVATION_LENGTH,
-            MAX_OBSERVATIONS_PER_ENTITY,
-            MAX_TOTAL_LENGTH,
-            startId,
-            endId
-          );
-          processedCount += result.changes;
+      const entities = this.db.prepare('SELECT id, name FROM entities').all() as Array<{ id: number; name: string }>;
+
+      this.db.transaction(() => {
+        this.db.exec(ENTITIES_FTS_SCHEMA);
+        this.db.exec("INSERT INTO entities_fts(entities_fts) VALUES('delete-all')");
+        const insert = this.db.prepare('INSERT INTO entities_fts(rowid, name, observations) VALUES (?, ?, ?)');
+        for (const entity of entities) {
+          insert.run(entity.id, entity.name, this.currentObservationsText(entity.id));
         }
+      })();
 
-        logger.info(`[KG] Migration complete: Populated FTS5 index with ${processedCount} entities`);
-      }
+      logger.info(`[KG] FTS5 index rebuilt for ${entities.length} entities`);
     } catch (error) {
-      logger.error('[KG] FTS5 population migration failed:', {
+      logger.error('[KG] FTS5 index check failed:', {
         error: error instanceof Error ? error.message : String(error),
       });
-      // Non-fatal: search will fall back to LIKE
     }
   }
 
+  /**
+   * Whether every entity, and nothing else, has an FTS5 row
+   */
+  private isFullTextIndexInSync(): boolean {
+    const { ftsCount } = this.db
+      .prepare('SELECT COUNT(*) as ftsCount FROM entities_fts')
+      .get() as { ftsCount: number };
+    const { entityCount } = this.db
+      .prepare('SELECT COUNT(*) as entityCount FROM entities')
+      .get() as { entityCount: number };
+
+    if (ftsCount !== entityCount) {
+      return false;
+    }
+
+    return this.db.prepare(`
+      SELECT 1 FROM entities e
+      WHERE NOT EXISTS (SELECT 1 FROM entities_fts f WHERE f.rowid = e.id)
+      LIMIT 1
+    `).get() === undefined;
+  }
+
   /**
    * Escape special characters in LIKE patterns to prevent SQL injection
    *
@@ -428,11 +400,20 @@ export class KnowledgeGraph {
   /**
    * Search using FTS5 full-text search
    * Returns entity IDs matching the query, ranked by BM25
+   */
+  private searchFTS5(query: string, limit: number): number[] {
+    return this.searchFTS5Ranked(query, limit).map(r => r.rowid);
+  }
+
+  /**
+   * Search using FTS5 full-text search, keeping the BM25 rank of each hit
    *
    * ✅ MAJOR-5 FIX: BM25 weighted ranking - name matches rank higher than observations
    * bm25(entities_fts, 10.0, 5.0) gives name column 2x the weight of observations
+   *
+   * Lower (more negative) rank means a better match, as returned by SQLite.
    */
-  private searchFTS5(query: string, limit: number): number[] {
+  private searchFTS5Ranked(query: string, limit: number): Array<{ rowid: number; rank: number }> {
     if (!query || query.trim() === '') {
       return [];
     }
@@ -447,15 +428,13 @@ export class KnowledgeGraph {
       // First param (10.0) = name column weight
       // Second param (5.0) = observations column weight
       // This prioritizes name matches over observation content matches
-      const results = this.db.prepare(`
+      return this.db.prepare(`
         SELECT rowid, bm25(entities_fts, 10.0, 5.0) as rank
         FROM entities_fts
         WHERE entities_fts MATCH ?
         ORDER BY rank
         LIMIT ?
       `).all(ftsQuery, limit) as Array<{ rowid: number; rank: number }>;
-
-      return results.map(r => r.rowid);
     } catch (error) {
       logger.warn('[KG] FTS5 search failed, will use LIKE fallback:', {
         query,
@@ -466,6 +445,38 @@ export class KnowledgeGraph {
     }
   }
 
+  /**
+   * Rank entities by full-text relevance to a query
+   *
+   * Exposes the BM25 ranking used internally by searchEntities so callers can
+   * blend it with other signals (e.g. vector similarity). Scores are the negated
+   * BM25 rank, so higher means more relevant.
+   *
+   * @param query - Free-text query
+   * @param limit - Maximum number of hits (default: 100)
+   * @returns Entity names with their full-text score, best match first
+   */
+  rankFullText(query: string, limit: number = 100): Array<{ name: string; score: number }> {
+    const hits = this.searchFTS5Ranked(query, limit);
+    if (hits.length === 0) {
+      return [];
+    }
+
+    const rows = this.db.prepare(
+      `SELECT id, name FROM entities WHERE id IN (${hits.map(() => '?').join(',')})`
+    ).all(...hits.map(h => h.rowid)) as Array<{ id: number; name: string }>;
+    const namesById = new Map(rows.map(r => [r.id, r.name]));
+
+    const ranked: Array<{ name: string; score: number }> = [];
+    for (const hit of hits) {
+      const name = namesById.get(hit.rowid);
+      if (name !== undefined) {
+        ranked.push({ name, score: -hit.rank });
+      }
+    }
+    return ranked;
+  }
+
   /**
    * Prepare query string for FTS5 MATCH
    * Converts user query to FTS5 query syntax
@@ -595,20 +606,42 @@ export class KnowledgeGraph {
           .get(entity.name) as { id: number };
 
         const actualId = actualEntity.id;
+        const indexed = { name: entity.name, observations: this.currentObservationsText(actualId) };
 
-        // Clear old observations/tags if updating
-        this.db.prepare('DELETE FROM observations WHERE entity_id = ?').run(actualId);
+        // Clear old tags if updating
         this.db.prepare('DELETE FROM tags WHERE entity_id = ?').run(actualId);
 
-        // Add observations
-        if (entity.observations && entity.observations.length > 0) {
+        // Drop any stored embedding - it describes the old content
+        this.db.prepare('DELETE FROM entity_embeddings WHERE entity_id = ?').run(actualId);
+
+        // Rewrite observations without losing history: observations that are
+        // still listed keep their row, dropped ones are closed, new ones added
+        const now = toValidityTimestamp(new Date());
+        const currentObservations = this.db.prepare(`
+          SELECT id, content FROM observations
+          WHERE entity_id = ? AND valid_to IS NULL
+          ORDER BY id
+        `).all(actualId) as Array<{ id: number; content: string }>;
+
+        const pendingObservations = [...(entity.observations ?? [])];
+        const closeStmt = this.db.prepare('UPDATE observations SET valid_to = ? WHERE id = ?');
+        for (const row of currentObservations) {
+          const index = pendingObservations.indexOf(row.content);
+          if (index === -1) {
+            closeStmt.run(now, row.id);
+          } else {
+            pendingObservations.splice(index, 1);
+          }
+        }
+
+        if (pendingObservations.length > 0) {
           const obsStmt = this.db.prepare(`
-            INSERT INTO observations (entity_id, content)
-            VALUES (?, ?)
+            INSERT INTO observations (entity_id, content, valid_from)
+            VALUES (?, ?, ?)
           `);
 
-          for (const obs of entity.observations) {
-            obsStmt.run(actualId, obs);
+          for (const obs of pendingObservations) {
+            obsStmt.run(actualId, obs, now);
           }
         }
 
@@ -625,27 +658,7 @@ export class KnowledgeGraph {
         }
 
         // Sync to FTS5 index (within same transaction for atomicity)
-        // For contentless FTS5 tables, we need to handle updates specially
-        const observationsText = entity.observations ? entity.observations.join(' ') : '';
-
-        // Query existing FTS entry to get old content for proper deletion
-        const existingFtsContent = this.db
-          .prepare('SELECT name, observations FROM entities_fts WHERE rowid = ?')
-          .get(actualId) as { name: string; observations: string } | undefined;
-
-        if (existingFtsContent) {
-          // For contentless FTS5, delete requires exact original content
-          this.db.prepare(`
-            INSERT INTO entities_fts(entities_fts, rowid, name, observations)
-            VALUES('delete', ?, ?, ?)
-          `).run(actualId, existingFtsContent.name, existingFtsContent.observations);
-        }
-
-        // Insert into FTS5 with concatenated observations
-        this.db.prepare(`
-          INSERT INTO entities_fts(rowid, name, observations)
-          VALUES (?, ?, ?)
-        `).run(actualId, entity.name, observationsText);
+        this.syncFullTextIndex(actualId, entity.name, indexed);
 
         return entity.name;
       })();
@@ -681,8 +694,189 @@ export class KnowledgeGraph {
     }
   }
 
+  /**
+   * Text of an entity's current observations, as indexed in FTS5
+   */
+  private currentObservationsText(entityId: number): string {
+    return (this.db.prepare(`
+      SELECT content FROM observations
+      WHERE entity_id = ? AND valid_to IS NULL
+      ORDER BY id
+    `).all(entityId) as Array<{ content: string }>)
+      .map(row => row.content)
+      .join(' ');
+  }
+
+  /**
+   * Re-index an entity's name and current observations in FTS5
+   *
+   * Must run inside the transaction that changed the observations.
+   *
+   * @param indexed - Name and observation text the entity was indexed with
+   *                  (read before the change; the table is contentless)
+   */
+  private syncFullTextIndex(
+    entityId: number,
+    name: string,
+    indexed: { name: string; observations: string }
+  ): void {
+    const hasFtsEntry = this.db
+      .prepare('SELECT rowid FROM entities_fts WHERE rowid = ?')
+      .get(entityId) !== undefined;
+
+    if (hasFtsEntry) {
+      // For contentless FTS5, delete requires exact original content
+      this.db.prepare(`
+        INSERT INTO entities_fts(entities_fts, rowid, name, observations)
+        VALUES('delete', ?, ?, ?)
+      `).run(entityId, indexed.name, indexed.observations);
+    }
+
+    // Insert into FTS5 with concatenated observations
+    this.db.prepare(`
+      INSERT INTO entities_fts(rowid, name, observations)
+      VALUES (?, ?, ?)
+    `).run(entityId, name, this.currentObservationsText(entityId));
+  }
+
+  /**
+   * Append observations to an existing entity, optionally superseding old ones
+   *
+   * Unlike createEntity(), this leaves the other observations, tags and
+   * metadata untouched. Each observation listed in `supersedes` is closed and
+   * linked to the first new observation, so recall returns the new fact while
+   * the old one stays in getObservationHistory(). Superseding without adding
+   * anything retires the listed observations.
+   *
+   * @param entityName - Exact entity name
+   * @param contents - Observations to add
+   * @param options.supersedes - Current observations that the new ones replace
+   * @returns Number of observations added and superseded
+   * @throws {NotFoundError} If the entity or a superseded observation does not exist
+   */
+  addObservations(
+    entityName: string,
+    contents: string[],
+    options: { supersedes?: string[] } = {}
+  ): { added: number; superseded: number } {
+    this.validateEntityName(entityName);
+    const supersedes = options.supersedes ?? [];
+
+    if (contents.length === 0 && supersedes.length === 0) {
+      return { added: 0, superseded: 0 };
+    }
+
+    const result = this.db.transaction(() => {
+      const entity = this.db.prepare('SELECT id FROM entities WHERE name = ?')
+        .get(entityName) as { id: number } | undefined;
+
+      if (!entity) {
+        throw new NotFoundError(
+          `Entity not found: ${entityName}`,
+          'entity',
+          entityName,
+          { method: 'addObservations' }
+        );
+      }
+
+      const indexed = { name: entityName, observations: this.currentObservationsText(entity.id) };
+
+      // Resolve superseded rows before inserting, so a fact cannot supersede itself
+      const findCurrent = this.db.prepare(`
+        SELECT id FROM observations
+        WHERE entity_id = ? AND content = ? AND valid_to IS NULL
+        ORDER BY id
+      `);
+      const supersededIds = new Set<number>();
+      for (const content of supersedes) {
+        const row = (findCurrent.all(entity.id, content) as Array<{ id: number }>)
+          .find(candidate => !supersededIds.has(candidate.id));
+        if (!row) {
+          throw new NotFoundError(
+            `Observation not found on ${entityName}: ${content}`,
+            'observation',
+            content,
+            { entityName }
+          );
+        }
+        supersededIds.add(row.id);
+      }
+
+      const now = toValidityTimestamp(new Date());
+      const insertStmt = this.db.prepare(`
+        INSERT INTO observations (entity_id, content, valid_from)
+        VALUES (?, ?, ?)
+      `);
+      let replacementId: number | null = null;
+      for (const content of contents) {
+        const info = insertStmt.run(entity.id, content, now);
+        replacementId ??= Number(info.lastInsertRowid);
+      }
+
+      const closeStmt = this.db.prepare(
+        'UPDATE observations SET valid_to = ?, superseded_by = ? WHERE id = ?'
+      );
+      for (const id of supersededIds) {
+        closeStmt.run(now, replacementId, id);
+      }
+
+      // Drop any stored embedding - it describes the old content
+      this.db.prepare('DELETE FROM entity_embeddings WHERE entity_id = ?').run(entity.id);
+      this.syncFullTextIndex(entity.id, entityName, indexed);
+
+      return { added: contents.length, superseded: supersededIds.size };
+    })();
+
+    this.queryCache.invalidatePattern(/^entities:/);
+
+    logger.info(
+      `[KG] Added ${result.added} observation(s) to ${entityName}` +
+      (result.superseded > 0 ? ` (superseded ${result.superseded})` : '')
+    );
+    return result;
+  }
+
+  /**
+   * Get every version of an entity's observations, oldest first
+   *
+   * @param entityName - Exact entity name
+   * @returns Current and superseded observations (empty if the entity does not exist)
+   */
+  getObservationHistory(entityName: string): ObservationRecord[] {
+    this.validateEntityName(entityName);
+
+    const rows = this.db.prepare(`
+      SELECT
+        o.id,
+        o.content,
+        COALESCE(o.valid_from, o.created_at) as valid_from,
+        o.valid_to,
+        o.superseded_by
+      FROM observations o
+      JOIN entities e ON e.id = o.entity_id
+      WHERE e.name = ?
+      ORDER BY o.id
+    `).all(entityName) as Array<{
+      id: number;
+      content: string;
+      valid_from: string;
+      valid_to: string | null;
+      superseded_by: number | null;
+    }>;
+
+    return rows.map(row => ({
+      id: row.id,
+      content: row.content,
+      validFrom: fromValidityTimestamp(row.valid_from),
+      ...(row.valid_to ? { validTo: fromValidityTimestamp(row.valid_to) } : {}),
+      ...(row.superseded_by !== null ? { supersededBy: row.superseded_by } : {}),
+    }));
+  }
+
   /**
    * Create a relation between two entities
+   *
+   * Re-creating a relation that was superseded makes it current again.
    */
   createRelation(relation: Relation): void {
     // Validate entity names and relation type before database operations
@@ -713,10 +907,13 @@ export class KnowledgeGraph {
     }
 
     const stmt = this.db.prepare(`
-      INSERT INTO relations (from_entity_id, to_entity_id, relation_type, metadata)
-      VALUES (?, ?, ?, json(?))
+      INSERT INTO relations (from_entity_id, to_entity_id, relation_type, metadata, valid_from)
+      VALUES (?, ?, ?, json(?), ?)
       ON CONFLICT(from_entity_id, to_entity_id, relation_type) DO UPDATE SET
-        metadata = excluded.metadata
+        metadata = excluded.metadata,
+        valid_from = CASE WHEN relations.valid_to IS NULL THEN relations.valid_from ELSE excluded.valid_from END,
+        valid_to = NULL,
+        superseded_by = NULL
     `);
 
     stmt.run(
@@ -724,16 +921,295 @@ export class KnowledgeGraph {
       toEntity.id,
       relation.relationType,
       // CRITICAL-3: Use safeJsonStringify to handle circular references
-      safeJsonStringify(relation.metadata || {}, '{}')
+      safeJsonStringify(relation.metadata || {}, '{}'),
+      toValidityTimestamp(new Date())
     );
 
     // Invalidate cache for relation queries
     this.queryCache.invalidatePattern(/^relations:/);
     this.queryCache.invalidatePattern(/^trace:/);
+    this.queryCache.invalidatePattern(/^path:/);
 
     logger.info(`[KG] Created relation: ${relation.from} -[${relation.relationType}]-> ${relation.to}`);
   }
 
+  /**
+   * Replace a current relation with another one
+   *
+   * The previous relation is closed and linked to its replacement instead of
+   * being deleted, so traversal follows the replacement while the old edge
+   * stays on record.
+   *
+   * @param previous - Relation that is no longer true
+   * @param replacement - Relation that replaces it
+   * @throws {NotFoundError} If the previous relation is not current, or an endpoint is missing
+   * @throws {ValidationError} If both relations are the same
+   */
+  supersedeRelation(previous: RelationKey, replacement: Relation): void {
+    this.validateEntityName(previous.from);
+    this.validateEntityName(previous.to);
+    this.validateRelationType(previous.relationType);
+
+    if (
+      previous.from === replacement.from &&
+      previous.to === replacement.to &&
+      previous.relationType === replacement.relationType
+    ) {
+      throw new ValidationError('A relation cannot supersede itself', {
+        component: 'KnowledgeGraph',
+        method: 'supersedeRelation',
+        relation: previous,
+      });
+    }
+
+    const findRelation = this.db.prepare(`
+      SELECT r.id, r.valid_to
+      FROM relations r
+      JOIN entities e1 ON r.from_entity_id = e1.id
+      JOIN entities e2 ON r.to_entity_id = e2.id
+      WHERE e1.name = ? AND e2.name = ? AND r.relation_type = ?
+    `);
+
+    this.db.transaction(() => {
+      const existing = findRelation.get(previous.from, previous.to, previous.relationType) as
+        { id: number; valid_to: string | null } | undefined;
+
+      if (!existing || existing.valid_to !== null) {
+        throw new NotFoundError(
+          `Relation not found: ${previous.from} -[${previous.relationType}]-> ${previous.to}`,
+          'relation',
+          `${previous.from}:${previous.relationType}:${previous.to}`,
+          { method: 'supersedeRelation' }
+        );
+      }
+
+      this.createRelation(replacement);
+      const created = findRelation.get(replacement.from, replacement.to, replacement.relationType) as
+        { id: number };
+
+      this.db.prepare('UPDATE relations SET valid_to = ?, superseded_by = ? WHERE id = ?')
+        .run(toValidityTimestamp(new Date()), created.id, existing.id);
+    })();
+
+    this.queryCache.invalidatePattern(/^relations:/);
+    this.queryCache.invalidatePattern(/^trace:/);
+    this.queryCache.invalidatePattern(/^path:/);
+
+    logger.info(
+      `[KG] Superseded relation: ${previous.from} -[${previous.relationType}]-> ${previous.to}`
+    );
+  }
+
+  /**
+   * Close a current relation without replacing it
+   *
+   * The relation stays on record (valid_to is set) and can be made current
+   * again with createRelation().
+   *
+   * @param relation - Relation that is no longer true
+   * @returns true if a current relation was closed, false if none matched
+   */
+  retireRelation(relation: RelationKey): boolean {
+    this.validateEntityName(relation.from);
+    this.validateEntityName(relation.to);
+    this.validateRelationType(relation.relationType);
+
+    const result = this.db.prepare(`
+      UPDATE relations SET valid_to = ?
+      WHERE valid_to IS NULL
+        AND relation_type = ?
+        AND from_entity_id = (SELECT id FROM entities WHERE name = ?)
+        AND to_entity_id = (SELECT id FROM entities WHERE name = ?)
+    `).run(toValidityTimestamp(new Date()), relation.relationType, relation.from, relation.to);
+
+    if (result.changes === 0) {
+      return false;
+    }
+
+    this.queryCache.invalidatePattern(/^relations:/);
+    this.queryCache.invalidatePattern(/^trace:/);
+    this.queryCache.invalidatePattern(/^path:/);
+
+    logger.info(
+      `[KG] Retired relation: ${relation.from} -[${relation.relationType}]-> ${relation.to}`
+    );
+    return true;
+  }
+
+  /**
+   * Find which of the given entities have been replaced by another entity
+   *
+   * An entity counts as replaced while it has a valid outgoing `replaced_by`
+   * relation.
+   *
+   * @param names - Entity names to check
+   * @param asOf - Check at this moment instead of now
+   * @returns Map of replaced entity name → name of its replacement
+   */
+  getReplacements(names: string[], asOf?: Date): Map<string, string> {
+    const replacements = new Map<string, string>();
+    const uniqueNames = Array.from(new Set(names));
+    const asOfTimestamp = asOf ? toValidityTimestamp(asOf) : undefined;
+
+    // Stay well below SQLite's bound-parameter limit
+    const CHUNK_SIZE = 500;
+    for (let start = 0; start < uniqueNames.length; start += CHUNK_SIZE) {
+      const chunk = uniqueNames.slice(start, start + CHUNK_SIZE);
+      const rows = this.db.prepare(`
+        SELECT e1.name as from_name, e2.name as to_name
+        FROM relations r
+        JOIN entities e1 ON r.from_entity_id = e1.id
+        JOIN entities e2 ON r.to_entity_id = e2.id
+        WHERE r.relation_type = 'replaced_by'
+          AND e1.name IN (${chunk.map(() => '?').join(',')})
+          AND ${asOfTimestamp ? validAtSql('r') : 'r.valid_to IS NULL'}
+        ORDER BY r.id
+      `).all(
+        ...chunk,
+        ...(asOfTimestamp ? [asOfTimestamp, asOfTimestamp] : [])
+      ) as Array<{ from_name: string; to_name: string }>;
+
+      for (const row of rows) {
+        replacements.set(row.from_name, row.to_name);
+      }
+    }
+
+    return replacements;
+  }
+
+  /**
+   * Record that entities were recalled or rated by a caller
+   *
+   * Unknown names are ignored, so recording never fails a search that raced
+   * with a delete.
+   *
+   * @param names - Entity names the access applies to
+   * @param kind - recall, useful or not_useful
+   * @returns Number of entities the access was recorded for
+   */
+  recordAccess(names: string[], kind: EntityAccessKind): number {
+    const uniqueNames = Array.from(new Set(names));
+    if (uniqueNames.length === 0) {
+      return 0;
+    }
+
+    // Column names come from this fixed table, never from the caller
+    const columns = ({
+      recall: { counter: 'recall_count', timestamp: 'last_recalled_at' },
+      useful: { counter: 'useful_count', timestamp: 'last_useful_at' },
+      not_useful: { counter: 'not_useful_count', timestamp: null },
+    } as const)[kind];
+    if (!columns) {
+      throw new ValidationError(`Invalid access kind: ${kind}`, {
+        component: 'KnowledgeGraph',
+        method: 'recordAccess',
+        validKinds: ['recall', 'useful', 'not_useful'],
+      });
+    }
+
+    const { counter, timestamp } = columns;
+    const stmt = timestamp
+      ? this.db.prepare(`
+          INSERT INTO entity_access (entity_id, ${counter}, ${timestamp})
+          SELECT id, 1, ? FROM entities WHERE name = ?
+          ON CONFLICT(entity_id) DO UPDATE SET
+            ${counter} = ${counter} + 1,
+            ${timestamp} = excluded.${timestamp}
+        `)
+      : this.db.prepare(`
+          INSERT INTO entity_access (entity_id, ${counter})
+          SELECT id, 1 FROM entities WHERE name = ?
+          ON CONFLICT(entity_id) DO UPDATE SET ${counter} = ${counter} + 1
+        `);
+
+    const now = toValidityTimestamp(new Date());
+    return this.db.transaction(() => {
+      let recorded = 0;
+      for (const name of uniqueNames) {
+        recorded += (timestamp ? stmt.run(now, name) : stmt.run(name)).changes;
+      }
+      return recorded;
+    })();
+  }
+
+  /**
+   * Get access statistics of entities
+   *
+   * @param names - Entity names to look up
+   * @returns Map of entity name → stats (entities never accessed are left out)
+   */
+  getAccessStats(names: string[]): Map<string, EntityAccessStats> {
+    const stats = new Map<string, EntityAccessStats>();
+    const uniqueNames = Array.from(new Set(names));
+
+    // Stay well below SQLite's bound-parameter limit
+    const CHUNK_SIZE = 500;
+    for (let start = 0; start < uniqueNames.length; start += CHUNK_SIZE) {
+      const chunk = uniqueNames.slice(start, start + CHUNK_SIZE);
+      const rows = this.db.prepare(`
+        SELECT e.name, a.recall_count, a.last_recalled_at, a.useful_count, a.not_useful_count, a.last_useful_at
+        FROM entity_access a
+        JOIN entities e ON e.id = a.entity_id
+        WHERE e.name IN (${chunk.map(() => '?').join(',')})
+      `).all(...chunk) as Array<{
+        name: string;
+        recall_count: number;
+        last_recalled_at: string | null;
+        useful_count: number;
+        not_useful_count: number;
+        last_useful_at: string | null;
+      }>;
+
+      for (const row of rows) {
+        stats.set(row.name, {
+          recallCount: row.recall_count,
+          ...(row.last_recalled_at ? { lastRecalledAt: fromValidityTimestamp(row.last_recalled_at) } : {}),
+          usefulCount: row.useful_count,
+          notUsefulCount: row.not_useful_count,
+          ...(row.last_useful_at ? { lastUsefulAt: fromValidityTimestamp(row.last_useful_at) } : {}),
+        });
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Record that a prevention rule stopped or flagged a tool call
+   *
+   * Used for built-in rules (see PreventionHook); stored rules keep their
+   * count in the rule memory.
+   *
+   * @param ruleId - Rule ID
+   * @returns The new hit count
+   */
+  recordRuleHit(ruleId: string): number {
+    validateNonEmptyString(ruleId, 'Rule ID');
+
+    const row = this.db.prepare(`
+      INSERT INTO prevention_rule_hits (rule_id, hit_count, last_hit_at)
+      VALUES (?, 1, ?)
+      ON CONFLICT(rule_id) DO UPDATE SET
+        hit_count = hit_count + 1,
+        last_hit_at = excluded.last_hit_at
+      RETURNING hit_count
+    `).get(ruleId, toValidityTimestamp(new Date())) as { hit_count: number };
+
+    return row.hit_count;
+  }
+
+  /**
+   * Get recorded hit counts of prevention rules
+   *
+   * @returns Map of rule ID → hit count (rules never hit are left out)
+   */
+  getRuleHitCounts(): Map<string, number> {
+    const rows = this.db
+      .prepare('SELECT rule_id, hit_count FROM prevention_rule_hits')
+      .all() as Array<{ rule_id: string; hit_count: number }>;
+    return new Map(rows.map((row) => [row.rule_id, row.hit_count]));
+  }
+
   /**
    * Search entities
    *
@@ -796,6 +1272,15 @@ export class KnowledgeGraph {
       }
     }
 
+    if (query.asOf !== undefined && !(query.asOf instanceof Date && Number.isFinite(query.asOf.getTime()))) {
+      throw new ValidationError('asOf must be a valid Date', {
+        component: 'KnowledgeGraph',
+        method: 'searchEntities',
+        asOf: String(query.asOf),
+      });
+    }
+    const asOf = query.asOf ? toValidityTimestamp(query.asOf) : undefined;
+
     // Generate cache key from query parameters
     // ✅ MAJOR-2: Use effectiveLimit in cache key to ensure correct cache behavior
     const cacheKeyQuery = { ...query, limit: effectiveLimit };
@@ -808,15 +1293,23 @@ export class KnowledgeGraph {
     }
 
     // Cache miss - execute query
+    // "As of" queries read the observations valid at that moment instead of the current ones
     let sql = `
       SELECT e.*,
-        (SELECT json_group_array(content) FROM observations o WHERE o.entity_id = e.id) as observations_json,
+        ${asOf
+          ? `(SELECT json_group_array(content) FROM observations o WHERE o.entity_id = e.id AND ${validAtSql('o')}) as observations_json`
+          : CURRENT_OBSERVATIONS_SQL},
         (SELECT json_group_array(tag) FROM tags t WHERE t.entity_id = e.id) as tags_json
       FROM entities e
       WHERE 1=1
     `;
 
-    const params: SQLParams = [];
+    const params: SQLParams = asOf ? [asOf, asOf] : [];
+
+    if (asOf) {
+      sql += ' AND e.created_at <= ?';
+      params.push(asOf);
+    }
 
     if (query.entityType) {
       sql += ' AND e.type = ?';
@@ -830,7 +1323,8 @@ export class KnowledgeGraph {
 
     if (query.namePattern) {
       // Try FTS5 search first for better tokenized matching
-      const ftsResults = this.searchFTS5(query.namePattern, effectiveLimit || 100);
+      // (the FTS5 index only holds current observations, so "as of" queries skip it)
+      const ftsResults = asOf ? [] : this.searchFTS5(query.namePattern, effectiveLimit || 100);
 
       if (ftsResults.length > 0) {
         // Use FTS5 results - filter by IDs
@@ -838,10 +1332,16 @@ export class KnowledgeGraph {
         params.push(...ftsResults);
       } else {
         // Fallback to LIKE for edge cases
-        sql += " AND (e.name LIKE ? ESCAPE '!' OR e.id IN (SELECT entity_id FROM observations WHERE content LIKE ? ESCAPE '!'))";
         const escapedPattern = `%${this.escapeLikePattern(query.namePattern)}%`;
+        sql += ` AND (e.name LIKE ? ESCAPE '!' OR e.id IN (
+          SELECT entity_id FROM observations o
+          WHERE o.content LIKE ? ESCAPE '!' AND ${asOf ? validAtSql('o') : 'o.valid_to IS NULL'}
+        ))`;
         params.push(escapedPattern);
         params.push(escapedPattern);
+        if (asOf) {
+          params.push(asOf, asOf);
+        }
       }
     }
 
@@ -865,30 +1365,7 @@ export class KnowledgeGraph {
     // Optimized: Pre-allocate array and use for loop
     const entities: Entity[] = new Array(rows.length);
     for (let i = 0; i < rows.length; i++) {
-      const r = rows[i] as {
-        id: number;
-        name: string;
-        type: string;
-        observations_json: string | null;
-        tags_json: string | null;
-        metadata: string | null;
-        created_at: string;
-      };
-
-      const observations = safeJsonParse<string[]>(r.observations_json, [])
-        .filter(value => value);
-      const tags = safeJsonParse<string[]>(r.tags_json, [])
-        .filter(value => value);
-
-      entities[i] = {
-        id: r.id,
-        name: r.name,
-        entityType: r.type as EntityType,
-        observations,
-        tags,
-        metadata: r.metadata ? safeJsonParse<Record<string, unknown>>(r.metadata, {}) : {},
-        createdAt: new Date(r.created_at)
-      };
+      entities[i] = this.mapEntityRow(rows[i] as EntityRow);
     }
 
     // Cache the results
@@ -897,6 +1374,274 @@ export class KnowledgeGraph {
     return entities;
   }
 
+  /**
+   * Map a row from the entities query (with aggregated observations/tags) to an Entity
+   */
+  private mapEntityRow(r: EntityRow): Entity {
+    const observations = safeJsonParse<string[]>(r.observations_json, [])
+      .filter(value => value);
+    const tags = safeJsonParse<string[]>(r.tags_json, [])
+      .filter(value => value);
+
+    return {
+      id: r.id,
+      name: r.name,
+      entityType: r.type as EntityType,
+      observations,
+      tags,
+      metadata: r.metadata ? safeJsonParse<Record<string, unknown>>(r.metadata, {}) : {},
+      ...(r.content_hash ? { contentHash: r.content_hash } : {}),
+      createdAt: new Date(r.created_at)
+    };
+  }
+
+  /**
+   * Get entities by exact name
+   *
+   * Unlike getEntity(), this does not go through full-text matching, so it is
+   * safe to use for opaque names such as unified memory IDs.
+   *
+   * @param names - Entity names to fetch
+   * @returns Entities that exist, in the order of the given names
+   */
+  getEntitiesByNames(names: string[]): Entity[] {
+    const uniqueNames = Array.from(new Set(names));
+    if (uniqueNames.length === 0) {
+      return [];
+    }
+
+    const byName = new Map<string, Entity>();
+    // Stay well below SQLite's bound-parameter limit
+    const CHUNK_SIZE = 500;
+    for (let start = 0; start < uniqueNames.length; start += CHUNK_SIZE) {
+      const chunk = uniqueNames.slice(start, start + CHUNK_SIZE);
+      const rows = this.db.prepare(`
+        SELECT e.*,
+          ${CURRENT_OBSERVATIONS_SQL},
+          (SELECT json_group_array(tag) FROM tags t WHERE t.entity_id = e.id) as tags_json
+        FROM entities e
+        WHERE e.name IN (${chunk.map(() => '?').join(',')})
+      `).all(...chunk) as EntityRow[];
+
+      for (const row of rows) {
+        byName.set(row.name, this.mapEntityRow(row));
+      }
+    }
+
+    return uniqueNames
+      .map(name => byName.get(name))
+      .filter((e): e is Entity => e !== undefined);
+  }
+
+  /**
+   * Get the name of the entity stored under a content hash
+   *
+   * @param contentHash - Hash passed to createEntity()
+   * @returns Entity name, or null if no entity carries the hash
+   */
+  getEntityNameByContentHash(contentHash: string): string | null {
+    const row = this.db
+      .prepare('SELECT name FROM entities WHERE content_hash = ?')
+      .get(contentHash) as { name: string } | undefined;
+    return row?.name ?? null;
+  }
+
+  /**
+   * Get every entity in the graph, oldest first
+   *
+   * Bypasses the searchEntities() limit cap and the query cache; intended for
+   * export and maintenance jobs rather than interactive queries.
+   */
+  getAllEntities(): Entity[] {
+    const rows = this.db.prepare(`
+      SELECT e.*,
+        ${CURRENT_OBSERVATIONS_SQL},
+        (SELECT json_group_array(tag) FROM tags t WHERE t.entity_id = e.id) as tags_json
+      FROM entities e
+      ORDER BY e.id
+    `).all() as EntityRow[];
+
+    return rows.map(row => this.mapEntityRow(row));
+  }
+
+  /**
+   * Get every current relation in the graph, oldest first
+   */
+  getAllRelations(): Relation[] {
+    const rows = this.db.prepare(`
+      SELECT
+        e1.name as from_name,
+        e2.name as to_name,
+        r.relation_type,
+        r.metadata,
+        r.created_at
+      FROM relations r
+      JOIN entities e1 ON r.from_entity_id = e1.id
+      JOIN entities e2 ON r.to_entity_id = e2.id
+      WHERE r.valid_to IS NULL
+      ORDER BY r.id
+    `).all() as Array<{
+      from_name: string;
+      to_name: string;
+      relation_type: string;
+      metadata: string | null;
+      created_at: string;
+    }>;
+
+    return rows.map(r => ({
+      from: r.from_name,
+      to: r.to_name,
+      relationType: r.relation_type as RelationType,
+      metadata: r.metadata ? safeJsonParse<Record<string, unknown>>(r.metadata, {}) : {},
+      createdAt: new Date(r.created_at),
+    }));
+  }
+
+  /**
+   * Store (or replace) the embedding vector of an entity
+   *
+   * Embeddings are dropped automatically when the entity is rewritten through
+   * createEntity(), so a stored vector always describes the current content.
+   *
+   * @param entityName - Entity the vector belongs to
+   * @param model - Identifier of the embedder that produced the vector
+   * @param vector - Embedding vector (expected to be L2-normalized)
+   * @throws {NotFoundError} If the entity does not exist
+   */
+  setEmbedding(entityName: string, model: string, vector: Float32Array): void {
+    this.validateEntityName(entityName);
+    validateNonEmptyString(model, 'Embedding model');
+
+    const entity = this.db.prepare('SELECT id FROM entities WHERE name = ?')
+      .get(entityName) as { id: number } | undefined;
+
+    if (!entity) {
+      throw new NotFoundError(
+        `Entity not found: ${entityName}`,
+        'entity',
+        entityName,
+        { operation: 'setEmbedding' }
+      );
+    }
+
+    this.db.prepare(`
+      INSERT INTO entity_embeddings (entity_id, model, dimensions, vector, updated_at)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(entity_id) DO UPDATE SET
+        model = excluded.model,
+        dimensions = excluded.dimensions,
+        vector = excluded.vector,
+        updated_at = excluded.updated_at
+    `).run(
+      entity.id,
+      model,
+      vector.length,
+      Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength)
+    );
+  }
+
+  /**
+   * Get entities that have no embedding for the given model
+   *
+   * Used to backfill the semantic index for entities written before it was
+   * enabled, or rewritten since their vector was computed.
+   *
+   * @param model - Embedder identifier
+   * @param limit - Maximum number of entities to return (default: 100)
+   */
+  getEntitiesWithoutEmbedding(model: string, limit: number = 100): Entity[] {
+    const rows = this.db.prepare(`
+      SELECT e.*,
+        ${CURRENT_OBSERVATIONS_SQL},
+        (SELECT json_group_array(tag) FROM tags t WHERE t.entity_id = e.id) as tags_json
+      FROM entities e
+      LEFT JOIN entity_embeddings emb ON emb.entity_id = e.id AND emb.model = ?
+      WHERE emb.entity_id IS NULL
+      ORDER BY e.id
+      LIMIT ?
+    `).all(model, limit) as EntityRow[];
+
+    return rows.map(row => this.mapEntityRow(row));
+  }
+
+  /**
+   * Find entities whose embedding is closest to a query vector
+   *
+   * Performs an exact (brute-force) cosine similarity scan over the vectors of
+   * one model. Rows are streamed so memory use stays flat for large graphs.
+   *
+   * @param vector - Query vector (same model and dimensions as the stored vectors)
+   * @param options - Search options
+   * @param options.model - Embedder identifier to compare against
+   * @param options.limit - Maximum number of hits (default: 50)
+   * @param options.minSimilarity - Drop hits below this cosine similarity (default: 0)
+   * @param options.namePrefix - Only consider entities whose name starts with this prefix
+   * @returns Entity names with cosine similarity, most similar first
+   */
+  searchByEmbedding(
+    vector: Float32Array,
+    options: { model: string; limit?: number; minSimilarity?: number; namePrefix?: string }
+  ): Array<{ name: string; similarity: number }> {
+    const limit = options.limit ?? 50;
+    const minSimilarity = options.minSimilarity ?? 0;
+
+    if (limit <= 0 || vector.length === 0) {
+      return [];
+    }
+
+    let queryNorm = 0;
+    for (let i = 0; i < vector.length; i++) {
+      queryNorm += vector[i] * vector[i];
+    }
+    queryNorm = Math.sqrt(queryNorm);
+    if (queryNorm === 0) {
+      return [];
+    }
+
+    let sql = `
+      SELECT e.name, emb.vector
+      FROM entity_embeddings emb
+      JOIN entities e ON e.id = emb.entity_id
+      WHERE emb.model = ? AND emb.dimensions = ?
+    `;
+    const params: SQLParams = [options.model, vector.length];
+
+    if (options.namePrefix) {
+      sql += " AND e.name LIKE ? ESCAPE '!'";
+      params.push(`${this.escapeLikePattern(options.namePrefix)}%`);
+    }
+
+    const hits: Array<{ name: string; similarity: number }> = [];
+    const rows = this.db.prepare(sql).iterate(...params) as IterableIterator<{ name: string; vector: Buffer }>;
+
+    for (const row of rows) {
+      const stored = new Float32Array(
+        row.vector.buffer,
+        row.vector.byteOffset,
+        row.vector.byteLength / Float32Array.BYTES_PER_ELEMENT
+      );
+
+      let dot = 0;
+      let storedNorm = 0;
+      for (let i = 0; i < stored.length; i++) {
+        dot += stored[i] * vector[i];
+        storedNorm += stored[i] * stored[i];
+      }
+      if (storedNorm === 0) {
+        continue;
+      }
+
+      const similarity = dot / (Math.sqrt(storedNorm) * queryNorm);
+      if (similarity >= minSimilarity) {
+        hits.push({ name: row.name, similarity });
+      }
+    }
+
+    return hits
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+
   /**
    * Get a specific entity by name
    * @throws {ValidationError} If the name is invalid
@@ -911,14 +1656,37 @@ export class KnowledgeGraph {
 
   /**
    * Trace relations from an entity
-   * @throws {ValidationError} If the entity name is invalid
+   *
+   * Walks the graph up to `depth` hops with a recursive CTE. Each entity is
+   * reported once at its shortest hop distance, so cycles never cause
+   * repeated expansion; directed cycles among the traced relations are
+   * reported separately in `cycles`.
+   *
+   * @param entityName - Entity to start from
+   * @param depth - Maximum number of hops (1-MAX_TRAVERSAL_DEPTH, default: 2)
+   * @param options - Relation type and direction filters
+   * @returns Trace result, or null if the entity does not exist
+   * @throws {ValidationError} If the entity name, depth or options are invalid
+   *
+   * @example
+   * ```typescript
+   * const trace = kg.traceRelations('Fix login race', 3, {
+   *   relationTypes: ['caused_by', 'solves'],
+   *   direction: 'outgoing',
+   * });
+   * ```
    */
-  traceRelations(entityName: string, depth: number = 2): RelationTrace | null {
+  traceRelations(
+    entityName: string,
+    depth: number = 2,
+    options: TraversalOptions = {}
+  ): RelationTrace | null {
     // Validate entity name before any database operations
     this.validateEntityName(entityName);
+    const traversal = this.normalizeTraversal('traceRelations', depth, options);
 
     // Generate cache key
-    const cacheKey = `trace:${entityName}:${depth}`;
+    const cacheKey = `trace:${entityName}:${traversal.depth}:${traversal.direction}:${traversal.relationTypes.join(',')}`;
 
     // Check cache first
     const cached = this.queryCache.get(cacheKey);
@@ -934,40 +1702,28 @@ export class KnowledgeGraph {
       return null;
     }
 
-    const relationRows = this.db.prepare(`
-      SELECT
-        e1.name as from_name,
-        e2.name as to_name,
-        r.relation_type,
-        r.metadata
-      FROM relations r
-      JOIN entities e1 ON r.from_entity_id = e1.id
-      JOIN entities e2 ON r.to_entity_id = e2.id
-      WHERE r.from_entity_id = ? OR r.to_entity_id = ?
-    `).all(entity.id, entity.id) as unknown[];
+    const { reached, edges } = this.collectTraversal(entity.id, traversal);
 
     // Optimized: Pre-allocate array and use for loop
-    const relations: Relation[] = new Array(relationRows.length);
-    for (let i = 0; i < relationRows.length; i++) {
-      const r = relationRows[i] as {
-        from_name: string;
-        to_name: string;
-        relation_type: string;
-        metadata: string | null;
-      };
+    const relations: TracedRelation[] = new Array(edges.length);
+    for (let i = 0; i < edges.length; i++) {
+      const r = edges[i];
       relations[i] = {
         from: r.from_name,
         to: r.to_name,
         relationType: r.relation_type as RelationType,
         // ✅ MAJOR-4: Use safeJsonParse instead of raw JSON.parse to prevent crash on malformed data
-        metadata: r.metadata ? safeJsonParse<Record<string, unknown>>(r.metadata, {}) : {}
+        metadata: r.metadata ? safeJsonParse<Record<string, unknown>>(r.metadata, {}) : {},
+        hop: r.hop,
       };
     }
 
-    const result = {
+    const result: RelationTrace = {
       entity: entityName,
       relations,
-      depth
+      depth: traversal.depth,
+      entities: reached.map(row => ({ name: row.name, hop: row.hop })),
+      cycles: this.findCycles(relations),
     };
 
     // Cache the result
@@ -976,6 +1732,303 @@ export class KnowledgeGraph {
     return result;
   }
 
+  /**
+   * Find the shortest relation path between two entities
+   *
+   * Answers questions such as "how is bug X connected to decision Y?".
+   * Uses the same recursive traversal as traceRelations(), so relation type
+   * and direction filters apply to every hop.
+   *
+   * @param from - Entity to start from
+   * @param to - Entity to reach
+   * @param options - Traversal filters and maximum path length (default maxDepth: 6)
+   * @returns Shortest path, or null if either entity is missing or no path exists within maxDepth
+   * @throws {ValidationError} If an entity name, maxDepth or options are invalid
+   */
+  findShortestPath(
+    from: string,
+    to: string,
+    options: TraversalOptions & { maxDepth?: number } = {}
+  ): RelationPath | null {
+    this.validateEntityName(from);
+    this.validateEntityName(to);
+    const traversal = this.normalizeTraversal('findShortestPath', options.maxDepth ?? 6, options);
+
+    const cacheKey = `path:${from}:${to}:${traversal.depth}:${traversal.direction}:${traversal.relationTypes.join(',')}`;
+    const cached = this.queryCache.get(cacheKey) as { path: RelationPath | null } | undefined;
+    if (cached) {
+      return cached.path;
+    }
+
+    const getEntityId = this.db.prepare('SELECT id FROM entities WHERE name = ?');
+    const fromEntity = getEntityId.get(from) as { id: number } | undefined;
+    const toEntity = getEntityId.get(to) as { id: number } | undefined;
+
+    if (!fromEntity || !toEntity) {
+      return null;
+    }
+
+    let path: RelationPath | null = null;
+
+    if (fromEntity.id === toEntity.id) {
+      path = { from, to, length: 0, entities: [from], relations: [] };
+    } else {
+      const { reached, edges } = this.collectTraversal(fromEntity.id, traversal);
+      const hops = new Map(reached.map(row => [row.id, row.hop]));
+      const targetHop = hops.get(toEntity.id);
+
+      if (targetHop !== undefined) {
+        // Walk back from the target, one hop closer to the start each step
+        const entities: string[] = [to];
+        const relations: TracedRelation[] = [];
+        let current = toEntity.id;
+
+        for (let hop = targetHop; hop > 0; hop--) {
+          let previous: number | null = null;
+          let edge: TraversalEdgeRow | undefined;
+          for (const candidate of edges) {
+            if (candidate.hop === hop) {
+              previous = this.previousOnPath(candidate, current, hops, traversal.direction);
+              if (previous !== null) {
+                edge = candidate;
+                break;
+              }
+            }
+          }
+          if (!edge || previous === null) {
+            break;
+          }
+
+          relations.unshift({
+            from: edge.from_name,
+            to: edge.to_name,
+            relationType: edge.relation_type as RelationType,
+            hop,
+          });
+          entities.unshift(previous === edge.from_id ? edge.from_name : edge.to_name);
+          current = previous;
+        }
+
+        if (current === fromEntity.id) {
+          path = { from, to, length: relations.length, entities, relations };
+        }
+      }
+    }
+
+    this.queryCache.set(cacheKey, { path });
+
+    return path;
+  }
+
+  /**
+   * Validate traversal depth and options
+   *
+   * @returns Normalized options (relation types deduplicated and sorted for cache keys)
+   * @throws {ValidationError} If depth, direction or a relation type is invalid
+   */
+  private normalizeTraversal(
+    method: string,
+    depth: number,
+    options: TraversalOptions
+  ): NormalizedTraversal {
+    if (!Number.isInteger(depth) || depth < 1 || depth > MAX_TRAVERSAL_DEPTH) {
+      throw new ValidationError(
+        `Traversal depth must be an integer between 1 and ${MAX_TRAVERSAL_DEPTH} (got ${depth})`,
+        {
+          component: 'KnowledgeGraph',
+          method,
+          depth,
+          maxDepth: MAX_TRAVERSAL_DEPTH,
+        }
+      );
+    }
+
+    const direction = options.direction ?? 'both';
+    if (!TRAVERSAL_DIRECTIONS.includes(direction)) {
+      throw new ValidationError(
+        `Traversal direction must be one of ${TRAVERSAL_DIRECTIONS.join(', ')} (got "${direction}")`,
+        {
+          component: 'KnowledgeGraph',
+          method,
+          direction,
+        }
+      );
+    }
+
+    const relationTypes = [...new Set(options.relationTypes ?? [])].sort();
+    relationTypes.forEach(type => this.validateRelationType(type));
+
+    return { depth, direction, relationTypes };
+  }
+
+  /**
+   * Run the recursive traversal from one entity
+   *
+   * The `walk` CTE uses UNION (not UNION ALL) over (entity, hop), so every
+   * entity is expanded at most once per hop level and cyclic graphs terminate
+   * after `depth` levels regardless of their shape.
+   *
+   * @returns Reached entities with their shortest hop distance, and the
+   *          relations followed from entities closer than `depth`
+   */
+  private collectTraversal(
+    startId: number,
+    traversal: NormalizedTraversal
+  ): { reached: Array<{ id: number; name: string; hop: number }>; edges: TraversalEdgeRow[] } {
+    const { depth, direction, relationTypes } = traversal;
+    // Only current relations are followed; superseded ones stay on record
+    const typeFilter = relationTypes.length > 0
+      ? `WHERE valid_to IS NULL AND relation_type IN (${relationTypes.map(() => '?').join(', ')})`
+      : 'WHERE valid_to IS NULL';
+
+    let steps: string;
+    let stepParams: string[];
+    if (direction === 'outgoing') {
+      steps = `SELECT from_entity_id, to_entity_id FROM relations ${typeFilter}`;
+      stepParams = relationTypes;
+    } else if (direction === 'incoming') {
+      steps = `SELECT to_entity_id, from_entity_id FROM relations ${typeFilter}`;
+      stepParams = relationTypes;
+    } else {
+      steps = `SELECT from_entity_id, to_entity_id FROM relations ${typeFilter}
+        UNION ALL
+        SELECT to_entity_id, from_entity_id FROM relations ${typeFilter}`;
+      stepParams = [...relationTypes, ...relationTypes];
+    }
+
+    const traversalCte = `
+      WITH RECURSIVE
+        steps(src, dst) AS (${steps}),
+        walk(entity_id, hop) AS (
+          SELECT ?, 0
+          UNION
+          SELECT steps.dst, walk.hop + 1
+          FROM walk
+          JOIN steps ON steps.src = walk.entity_id
+          WHERE walk.hop < ?
+        ),
+        reached(entity_id, hop) AS (
+          SELECT entity_id, MIN(hop) FROM walk GROUP BY entity_id
+        )
+    `;
+    const cteParams = [...stepParams, startId, depth];
+
+    const reached = this.db.prepare(`
+      ${traversalCte}
+      SELECT e.id, e.name, reached.hop
+      FROM reached
+      JOIN entities e ON e.id = reached.entity_id
+      ORDER BY reached.hop, e.name
+      LIMIT ?
+    `).all(...cteParams, MAX_TRACE_RESULTS) as Array<{ id: number; name: string; hop: number }>;
+
+    // Hop distance of the entity a relation is followed from
+    const sourceHop = direction === 'outgoing'
+      ? 'rf.hop'
+      : direction === 'incoming'
+        ? 'rt.hop'
+        : 'MIN(IFNULL(rf.hop, ?), IFNULL(rt.hop, ?))';
+    const sourceHopParams = direction === 'both' ? [depth, depth] : [];
+
+    const edges = this.db.prepare(`
+      ${traversalCte}
+      SELECT
+        r.from_entity_id as from_id,
+        r.to_entity_id as to_id,
+        e1.name as from_name,
+        e2.name as to_name,
+        r.relation_type,
+        r.metadata,
+        ${sourceHop} + 1 as hop
+      FROM relations r
+      JOIN entities e1 ON r.from_entity_id = e1.id
+      JOIN entities e2 ON r.to_entity_id = e2.id
+      LEFT JOIN reached rf ON rf.entity_id = r.from_entity_id
+      LEFT JOIN reached rt ON rt.entity_id = r.to_entity_id
+      WHERE ${sourceHop} < ?
+        AND r.valid_to IS NULL
+        ${relationTypes.length > 0 ? `AND r.relation_type IN (${relationTypes.map(() => '?').join(', ')})` : ''}
+      ORDER BY hop, r.id
+      LIMIT ?
+    `).all(
+      ...cteParams,
+      ...sourceHopParams,
+      ...sourceHopParams,
+      depth,
+      ...relationTypes,
+      MAX_TRACE_RESULTS
+    ) as TraversalEdgeRow[];
+
+    if (reached.length >= MAX_TRACE_RESULTS || edges.length >= MAX_TRACE_RESULTS) {
+      logger.warn(`[KG] Traversal truncated at ${MAX_TRACE_RESULTS} results (depth ${depth})`);
+    }
+
+    return { reached, edges };
+  }
+
+  /**
+   * Entity one hop closer to the start that a relation leads back to, if any
+   */
+  private previousOnPath(
+    edge: TraversalEdgeRow,
+    current: number,
+    hops: Map<number, number>,
+    direction: RelationDirection
+  ): number | null {
+    const hop = hops.get(current) ?? 0;
+    if (direction !== 'incoming' && edge.to_id === current && hops.get(edge.from_id) === hop - 1) {
+      return edge.from_id;
+    }
+    if (direction !== 'outgoing' && edge.from_id === current && hops.get(edge.to_id) === hop - 1) {
+      return edge.to_id;
+    }
+    return null;
+  }
+
+  /**
+   * Find directed cycles among a set of relations (depth-first search, one cycle per back edge)
+   */
+  private findCycles(relations: TracedRelation[]): string[][] {
+    const adjacency = new Map<string, string[]>();
+    for (const relation of relations) {
+      const targets = adjacency.get(relation.from) ?? [];
+      targets.push(relation.to);
+      adjacency.set(relation.from, targets);
+    }
+
+    const cycles: string[][] = [];
+    const state = new Map<string, 'visiting' | 'done'>();
+    const stack: string[] = [];
+
+    const visit = (node: string): void => {
+      state.set(node, 'visiting');
+      stack.push(node);
+
+      for (const next of adjacency.get(node) ?? []) {
+        if (cycles.length >= MAX_REPORTED_CYCLES) {
+          break;
+        }
+        const nextState = state.get(next);
+        if (nextState === 'visiting') {
+          cycles.push([...stack.slice(stack.indexOf(next)), next]);
+        } else if (nextState === undefined) {
+          visit(next);
+        }
+      }
+
+      stack.pop();
+      state.set(node, 'done');
+    };
+
+    for (const node of adjacency.keys()) {
+      if (!state.has(node)) {
+        visit(node);
+      }
+    }
+
+    return cycles;
+  }
+
   /**
    * Get statistics
    */
@@ -999,7 +2052,7 @@ export class KnowledgeGraph {
       .get() as { count: number };
 
     const totalRelations = this.db
-      .prepare('SELECT COUNT(*) as count FROM relations')
+      .prepare('SELECT COUNT(*) as count FROM relations WHERE valid_to IS NULL')
       .get() as { count: number };
 
     const byType = this.db
@@ -1047,16 +2100,17 @@ export class KnowledgeGraph {
       }
 
       // Delete from FTS5 index first (contentless table requires special syntax)
-      // Must be done before entity deletion since we need the entity data
+      // Must be done before entity deletion since we need the indexed text,
+      // which a contentless table cannot return
       const existingFts = this.db.prepare(
-        'SELECT name, observations FROM entities_fts WHERE rowid = ?'
-      ).get(entity.id) as { name: string; observations: string } | undefined;
+        'SELECT rowid FROM entities_fts WHERE rowid = ?'
+      ).get(entity.id);
 
       if (existingFts) {
         this.db.prepare(`
           INSERT INTO entities_fts(entities_fts, rowid, name, observations)
           VALUES('delete', ?, ?, ?)
-        `).run(entity.id, existingFts.name, existingFts.observations);
+        `).run(entity.id, name, this.currentObservationsText(entity.id));
       }
 
       // Delete the entity (cascade will handle observations, tags, and relations)
@@ -1068,6 +2122,7 @@ export class KnowledgeGraph {
     this.queryCache.invalidatePattern(/^entities:/);
     this.queryCache.invalidatePattern(/^relations:/);
     this.queryCache.invalidatePattern(/^trace:/);
+    this.queryCache.invalidatePattern(/^path:/);
     this.queryCache.invalidatePattern(/^stats:/);
 
     logger.info(`[KG] Deleted entity: ${name}`);
@@ -1141,4 +2196,15 @@ export class KnowledgeGraph {
 }
 
 // Export types
-export type { Entity, Relation, SearchQuery, RelationTrace, EntityType, RelationType } from './types.js';
+export type {
+  Entity,
+  Relation,
+  SearchQuery,
+  RelationTrace,
+  EntityType,
+  RelationType,
+  RelationDirection,
+  RelationPath,
+  TracedRelation,
+  TraversalOptions,
+} from './types.js';
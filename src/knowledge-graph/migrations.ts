@@ -0,0 +1,309 @@
+/**
+ * Knowledge Graph - Schema Migrations
+ *
+ * Versioned schema of knowledge-graph.db (see SchemaMigrator). Databases
+ * created before versioning start at v0 and replay every step, so each step
+ * checks for work already done.
+ *
+ * Note: the entities column is named `type` for brevity, but maps to the
+ * TypeScript `entityType` field to avoid confusion with reserved keywords.
+ */
+
+import type Database from 'better-sqlite3';
+import { hasColumn, type SchemaMigration } from '../db/SchemaMigrator.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * FTS5 virtual table for entities full-text search (rowid = entities.id)
+ *
+ * Contentless: deleting a row requires the exact text it was indexed with.
+ * Uses unicode61 tokenizer for proper Unicode handling;
+ * remove_diacritics=1 for accent-insensitive search.
+ */
+export const ENTITIES_FTS_SCHEMA = `
+  CREATE VIRTUAL TABLE IF NOT EXISTS entities_fts USING fts5(
+    name,
+    observations,
+    content='',
+    tokenize='unicode61 remove_diacritics 1'
+  );
+`;
+
+/**
+ * Populate the FTS5 index from existing entities
+ *
+ * ✅ CRITICAL-3 FIX: Use chunked migration to handle large datasets
+ * ✅ MAJOR-3 FIX: Add SUBSTR limits to prevent GROUP_CONCAT overflow
+ */
+function populateFullTextIndex(db: Database.Database): void {
+  // Check if FTS5 table is empty but entities exist
+  const ftsCount = (db.prepare('SELECT COUNT(*) as count FROM entities_fts').get() as { count: number }).count;
+  const entityCount = (db.prepare('SELECT COUNT(*) as count FROM entities').get() as { count: number }).count;
+
+  if (ftsCount !== 0 || entityCount === 0) {
+    return;
+  }
+
+  logger.info('[KG] Populating FTS5 index from existing entities');
+
+  // CRITICAL-3 FIX: Process in chunks to avoid memory issues with large datasets
+  // MAJOR-3 FIX: Limit observation length to prevent GROUP_CONCAT overflow
+  const CHUNK_SIZE = 500;
+  const MAX_OBSERVATIONS_PER_ENTITY = 500;
+  const MAX_OBSERVATION_LENGTH = 2000; // Characters per observation
+  const MAX_TOTAL_LENGTH = 500000; // Total observations text per entity (500KB)
+
+  const insertStmt = db.prepare(`
+    INSERT INTO entities_fts(rowid, name, observations)
+    SELECT
+      e.id,
+      e.name,
+      COALESCE(
+        SUBSTR(
+          (SELECT GROUP_CONCAT(SUBSTR(content, 1, ?), ' ') FROM (
+            SELECT content FROM observations o
+            WHERE o.entity_id = e.id
+            ORDER BY o.created_at DESC
+            LIMIT ?
+          )),
+          1,
+          ?
+        ),
+        ''
+      )
+    FROM entities e
+    WHERE e.id > ? AND e.id <= ?
+  `);
+
+  // Get min/max IDs for chunking
+  const idRange = db.prepare(
+    'SELECT MIN(id) as minId, MAX(id) as maxId FROM entities'
+  ).get() as { minId: number; maxId: number };
+
+  let processedCount = 0;
+  for (let startId = idRange.minId - 1; startId < idRange.maxId; startId += CHUNK_SIZE) {
+    const endId = startId + CHUNK_SIZE;
+    // Parameters: maxObsLength, maxObsCount, maxTotalLength, startId, endId
+    const result = insertStmt.run(
+      MAX_OBSERVATION_LENGTH,
+      MAX_OBSERVATIONS_PER_ENTITY,
+      MAX_TOTAL_LENGTH,
+      startId,
+      endId
+    );
+    processedCount += result.changes;
+  }
+
+  logger.info(`[KG] Populated FTS5 index with ${processedCount} entities`);
+}
+
+export const KNOWLEDGE_GRAPH_MIGRATIONS: SchemaMigration[] = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up: (db) => {
+      db.exec(`
+        -- Entities table
+        CREATE TABLE IF NOT EXISTS entities (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE,
+          type TEXT NOT NULL,  -- Maps to TypeScript 'entityType' field
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          metadata JSON
+        );
+
+        -- Observations table
+        CREATE TABLE IF NOT EXISTS observations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          entity_id INTEGER NOT NULL,
+          content TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (entity_id) REFERENCES entities(id) ON DELETE CASCADE
+        );
+
+        -- Relations table
+        CREATE TABLE IF NOT EXISTS relations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          from_entity_id INTEGER NOT NULL,
+          to_entity_id INTEGER NOT NULL,
+          relation_type TEXT NOT NULL,
+          metadata JSON,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (from_entity_id) REFERENCES entities(id) ON DELETE CASCADE,
+          FOREIGN KEY (to_entity_id) REFERENCES entities(id) ON DELETE CASCADE,
+          UNIQUE(from_entity_id, to_entity_id, relation_type)
+        );
+
+        -- Tags table
+        CREATE TABLE IF NOT EXISTS tags (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          entity_id INTEGER NOT NULL,
+          tag TEXT NOT NULL,
+          FOREIGN KEY (entity_id) REFERENCES entities(id) ON DELETE CASCADE
+        );
+
+        -- Indexes for performance
+        CREATE INDEX IF NOT EXISTS idx_entities_type ON entities(type);
+        CREATE INDEX IF NOT EXISTS idx_entities_name ON entities(name);
+        CREATE INDEX IF NOT EXISTS idx_entities_type_created ON entities(type, created_at);
+
+        CREATE INDEX IF NOT EXISTS idx_observations_created ON observations(created_at);
+        CREATE INDEX IF NOT EXISTS idx_observations_entity_created ON observations(entity_id, created_at);
+
+        CREATE INDEX IF NOT EXISTS idx_relations_from ON relations(from_entity_id);
+        CREATE INDEX IF NOT EXISTS idx_relations_to ON relations(to_entity_id);
+        CREATE INDEX IF NOT EXISTS idx_relations_type ON relations(relation_type);
+        CREATE INDEX IF NOT EXISTS idx_relations_from_type ON relations(from_entity_id, relation_type);
+        CREATE INDEX IF NOT EXISTS idx_relations_to_type ON relations(to_entity_id, relation_type);
+        CREATE INDEX IF NOT EXISTS idx_relations_created ON relations(created_at);
+
+        CREATE INDEX IF NOT EXISTS idx_tags_tag ON tags(tag);
+        CREATE INDEX IF NOT EXISTS idx_tags_entity ON tags(entity_id);
+        CREATE INDEX IF NOT EXISTS idx_tags_entity_tag ON tags(entity_id, tag);
+
+        -- Entity embeddings table (optional semantic index)
+        -- One vector per entity; model identifies the embedder that produced it
+        CREATE TABLE IF NOT EXISTS entity_embeddings (
+          entity_id INTEGER PRIMARY KEY,
+          model TEXT NOT NULL,
+          dimensions INTEGER NOT NULL,
+          vector BLOB NOT NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (entity_id) REFERENCES entities(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_entity_embeddings_model ON entity_embeddings(model);
+
+        ${ENTITIES_FTS_SCHEMA}
+      `);
+    },
+    down: (db) => {
+      db.exec(`
+        DROP TABLE IF EXISTS entities_fts;
+        DROP TABLE IF EXISTS entity_embeddings;
+        DROP TABLE IF EXISTS tags;
+        DROP TABLE IF EXISTS relations;
+        DROP TABLE IF EXISTS observations;
+        DROP TABLE IF EXISTS entities;
+      `);
+    },
+  },
+  {
+    // ✅ CRITICAL-1: content_hash enables database-level deduplication and
+    // prevents TOCTOU race conditions
+    version: 2,
+    name: 'add_content_hash',
+    up: (db) => {
+      if (!hasColumn(db, 'entities', 'content_hash')) {
+        db.exec('ALTER TABLE entities ADD COLUMN content_hash TEXT');
+      }
+
+      // Prevents duplicate entities with same content at database level
+      db.exec(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_entities_content_hash
+        ON entities(content_hash)
+        WHERE content_hash IS NOT NULL;
+      `);
+    },
+    down: (db) => {
+      db.exec(`
+        DROP INDEX IF EXISTS idx_entities_content_hash;
+        ALTER TABLE entities DROP COLUMN content_hash;
+      `);
+    },
+  },
+  {
+    version: 3,
+    name: 'populate_fts_index',
+    up: (db) => {
+      try {
+        populateFullTextIndex(db);
+      } catch (error) {
+        // Non-fatal: search will fall back to LIKE
+        logger.error('[KG] FTS5 population migration failed:', {
+          error: error instanceof Error ? error.message : String(error),
+        });
+      }
+    },
+    down: (db) => {
+      db.exec("INSERT INTO entities_fts(entities_fts) VALUES('delete-all')");
+    },
+  },
+  {
+    // Bi-temporal validity for observations and relations
+    // Changed facts are closed (valid_to) and linked to their replacement
+    // (superseded_by) instead of being deleted, so history stays queryable.
+    // A NULL valid_from means "valid since created_at".
+    version: 4,
+    name: 'add_validity_columns',
+    up: (db) => {
+      for (const table of ['observations', 'relations']) {
+        if (!hasColumn(db, table, 'valid_to')) {
+          db.exec(`
+            ALTER TABLE ${table} ADD COLUMN valid_from TIMESTAMP;
+            ALTER TABLE ${table} ADD COLUMN valid_to TIMESTAMP;
+            ALTER TABLE ${table} ADD COLUMN superseded_by INTEGER;
+          `);
+        }
+      }
+
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_observations_entity_valid ON observations(entity_id, valid_to);
+        CREATE INDEX IF NOT EXISTS idx_relations_valid_to ON relations(valid_to);
+      `);
+    },
+    down: (db) => {
+      db.exec(`
+        DROP INDEX IF EXISTS idx_observations_entity_valid;
+        DROP INDEX IF EXISTS idx_relations_valid_to;
+      `);
+      for (const table of ['observations', 'relations']) {
+        db.exec(`
+          ALTER TABLE ${table} DROP COLUMN superseded_by;
+          ALTER TABLE ${table} DROP COLUMN valid_to;
+          ALTER TABLE ${table} DROP COLUMN valid_from;
+        `);
+      }
+    },
+  },
+  {
+    // Access tracking for decay/reinforcement of memory importance
+    // Kept out of the entities table so recalls never touch content rows
+    version: 5,
+    name: 'add_entity_access',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS entity_access (
+          entity_id INTEGER PRIMARY KEY,
+          recall_count INTEGER NOT NULL DEFAULT 0,
+          last_recalled_at TIMESTAMP,
+          useful_count INTEGER NOT NULL DEFAULT 0,
+          not_useful_count INTEGER NOT NULL DEFAULT 0,
+          last_useful_at TIMESTAMP,
+          FOREIGN KEY (entity_id) REFERENCES entities(id) ON DELETE CASCADE
+        );
+      `);
+    },
+    down: (db) => {
+      db.exec('DROP TABLE IF EXISTS entity_access');
+    },
+  },
+  {
+    // Trigger counts of built-in prevention rules, which are not stored as
+    // memories (stored rules keep their count in the rule's metadata)
+    version: 6,
+    name: 'add_prevention_rule_hits',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS prevention_rule_hits (
+          rule_id TEXT PRIMARY KEY,
+          hit_count INTEGER NOT NULL DEFAULT 0,
+          last_hit_at TIMESTAMP
+        );
+      `);
+    },
+    down: (db) => {
+      db.exec('DROP TABLE IF EXISTS prevention_rule_hits');
+    },
+  },
+];
@@ -36,7 +36,10 @@ export type EntityType =
   | 'workflow_checkpoint' // Workflow phase completion checkpoints
   | 'commit'            // Git commit events
   | 'prevention_rule'   // Prevention rules from mistakes
-  | 'user_preference';  // User preferences
+  | 'user_preference'   // User preferences
+  // Planning types
+  | 'plan'              // Feature plans (see PlanTracker)
+  | 'plan_task';        // Tasks of a plan, linked by depends_on
 
 export interface Relation {
   id?: number;
@@ -63,15 +66,100 @@ export interface SearchQuery {
   namePattern?: string;
   limit?: number;
   offset?: number;
+  /**
+   * Return the graph as it was at this moment: entities created by then, with
+   * the observations that were valid at that time. Default: current truth.
+   */
+  asOf?: Date;
+}
+
+/**
+ * One stored version of an observation
+ *
+ * Observations are never edited in place: a changed fact closes the old row
+ * (`validTo`) and points it at the row that replaced it (`supersededBy`).
+ */
+export interface ObservationRecord {
+  id: number;
+  content: string;
+  /** When the observation became true */
+  validFrom: Date;
+  /** When the observation stopped being true (absent while current) */
+  validTo?: Date;
+  /** ID of the observation that replaced this one */
+  supersededBy?: number;
+}
+
+/**
+ * Identifies a relation by its endpoints and type
+ */
+export interface RelationKey {
+  from: string;
+  to: string;
+  relationType: RelationType;
+}
+
+/**
+ * Kind of access recorded against an entity
+ * - recall: the entity was returned by a memory search
+ * - useful / not_useful: explicit feedback from the caller that recalled it
+ */
+export type EntityAccessKind = 'recall' | 'useful' | 'not_useful';
+
+/**
+ * How often and how recently an entity has been recalled
+ */
+export interface EntityAccessStats {
+  recallCount: number;
+  /** When the entity was last returned by a search (absent if never) */
+  lastRecalledAt?: Date;
+  usefulCount: number;
+  notUsefulCount: number;
+  /** When a caller last marked the entity as useful (absent if never) */
+  lastUsefulAt?: Date;
+}
+
+/**
+ * Direction in which relations are followed during traversal
+ * - outgoing: from → to (what does this entity depend on / cause / solve?)
+ * - incoming: to → from (what points at this entity?)
+ * - both: ignore direction
+ */
+export type RelationDirection = 'outgoing' | 'incoming' | 'both';
+
+export interface TraversalOptions {
+  /** Only follow relations of these types (default: all types) */
+  relationTypes?: RelationType[];
+  /** Direction to follow relations in (default: 'both') */
+  direction?: RelationDirection;
+}
+
+export interface TracedRelation {
+  from: string;
+  to: string;
+  relationType: RelationType;
+  metadata?: Record<string, unknown>;
+  /** Hop at which the relation is first reached from the start entity (1 = direct) */
+  hop?: number;
 }
 
 export interface RelationTrace {
   entity: string;
-  relations: Array<{
-    from: string;
-    to: string;
-    relationType: RelationType;
-    metadata?: Record<string, unknown>;
-  }>;
+  relations: TracedRelation[];
   depth?: number;
+  /** Entities reachable within `depth` hops, with their hop distance (start entity = 0) */
+  entities?: Array<{ name: string; hop: number }>;
+  /** Directed cycles among the traced relations, each as a closed list of entity names */
+  cycles?: string[][];
+}
+
+export interface RelationPath {
+  from: string;
+  to: string;
+  /** Number of hops (0 when from === to) */
+  length: number;
+  /** Entity names along the path, including both endpoints */
+  entities: string[];
+  /** Relations along the path, in traversal order, with their stored direction */
+  relations: TracedRelation[];
 }
@@ -6,17 +6,37 @@
  * Uses MCP SDK 1.25.3 progress reporting capability.
  */
 
+import { logger } from '../utils/logger.js';
+
 export interface ProgressUpdate {
-  progressToken: string;
+  progressToken: string | number;
   progress: number;
   total: number;
 }
 
 export type ProgressSender = (update: ProgressUpdate) => Promise<void>;
 
+/**
+ * Build the MCP `notifications/progress` JSON-RPC notification for an update
+ *
+ * @param update - Progress update to send
+ * @returns JSON-RPC notification ready to push to the client
+ */
+export function createProgressNotification(update: ProgressUpdate): {
+  jsonrpc: '2.0';
+  method: 'notifications/progress';
+  params: ProgressUpdate;
+} {
+  return {
+    jsonrpc: '2.0',
+    method: 'notifications/progress',
+    params: { ...update },
+  };
+}
+
 export class ProgressReporter {
   constructor(
-    private progressToken: string | undefined,
+    private progressToken: string | number | undefined,
     private sendProgress: ProgressSender
   ) {}
 
@@ -40,6 +60,24 @@ export class ProgressReporter {
     });
   }
 
+  /**
+   * Progress callback for work loops that cannot await each update
+   *
+   * Updates are sent in the background; a failed delivery is logged and does
+   * not interrupt the work being reported on.
+   *
+   * @returns Callback taking the current and total progress
+   */
+  toCallback(): (current: number, total: number) => void {
+    return (current, total) => {
+      this.report(current, total).catch((error) => {
+        logger.debug('[ProgressReporter] Failed to send progress update', {
+          error: error instanceof Error ? error.message : String(error),
+        });
+      });
+    };
+  }
+
   /**
    * Check if progress reporting is enabled
    *
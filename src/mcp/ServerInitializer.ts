@@ -10,6 +10,7 @@
 import { Router } from '../orchestrator/router.js';
 import { ResponseFormatter } from '../ui/ResponseFormatter.js';
 import { AgentRegistry } from '../core/AgentRegistry.js';
+import { AgentDefinitionLoader, toAgentMetadata } from '../prompts/AgentDefinitions.js';
 import { HumanInLoopUI } from './HumanInLoopUI.js';
 import { FeedbackCollector } from '../evolution/FeedbackCollector.js';
 import { PerformanceTracker } from '../evolution/PerformanceTracker.js';
@@ -26,11 +27,19 @@ import type { EntityType } from '../knowledge-graph/types.js';
 import { ProjectMemoryManager } from '../memory/ProjectMemoryManager.js';
 import { ProjectAutoTracker } from '../memory/ProjectAutoTracker.js';
 import { UnifiedMemoryStore } from '../memory/UnifiedMemoryStore.js';
+import { PlanTracker } from '../planning/PlanTracker.js';
+import { HashingEmbedder } from '../memory/HashingEmbedder.js';
+import { SemanticIndex } from '../memory/SemanticIndex.js';
+import { MemoryDecay } from '../memory/MemoryDecay.js';
+import { SimpleConfig } from '../config/simple-config.js';
 import { RateLimiter } from '../utils/RateLimiter.js';
 import { ToolHandlers, BuddyHandlers, A2AToolHandlers } from './handlers/index.js';
 import { SamplingClient } from './SamplingClient.js';
 import { SecretManager } from '../memory/SecretManager.js';
+import { SecretRedactor } from '../memory/SecretRedactor.js';
 import { TaskQueue } from '../a2a/storage/TaskQueue.js';
+import { UIEventBus } from '../ui/UIEventBus.js';
+import { UIEventJournal } from '../ui/UIEventJournal.js';
 import { MCPTaskDelegator } from '../a2a/delegator/MCPTaskDelegator.js';
 import { logger } from '../utils/logger.js';
 import { logError } from '../utils/errorHandler.js';
@@ -43,6 +52,7 @@ export interface ServerComponents {
   router: Router;
   formatter: ResponseFormatter;
   agentRegistry: AgentRegistry;
+  agentDefinitions: AgentDefinitionLoader;
   ui: HumanInLoopUI;
 
   // Evolution system
@@ -78,6 +88,9 @@ export interface ServerComponents {
   taskQueue: TaskQueue;
   mcpTaskDelegator: MCPTaskDelegator;
 
+  // UI events recorded for the web dashboard process
+  uiEventJournal: UIEventJournal;
+
   // Handler modules
   toolHandlers: ToolHandlers;
   buddyHandlers: BuddyHandlers;
@@ -136,12 +149,23 @@ export class ServerInitializer {
     let knowledgeGraph: KnowledgeGraph | undefined;
     let secretManager: SecretManager | undefined;
     let taskQueue: TaskQueue | undefined;
+    let uiEventJournal: UIEventJournal | undefined;
+    let agentDefinitions: AgentDefinitionLoader | undefined;
 
     try {
       // Core components
-      const router = new Router();
       const formatter = new ResponseFormatter();
       const agentRegistry = new AgentRegistry();
+
+      // User-defined agents: .memesh/agents/*.md in the project and the user data directory (hot-reloaded)
+      agentDefinitions = new AgentDefinitionLoader();
+      agentDefinitions.onChange((definitions) =>
+        agentRegistry.setCustomAgents(definitions.map(toAgentMetadata))
+      );
+      await agentDefinitions.load();
+      agentDefinitions.watch();
+
+      const router = new Router(agentDefinitions);
       const ui = new HumanInLoopUI();
       const skillManager = new SkillManager();
       const uninstallManager = new UninstallManager(skillManager);
@@ -163,10 +187,29 @@ export class ServerInitializer {
 
       // Initialize Project Memory System (track for cleanup)
       knowledgeGraph = KnowledgeGraph.createSync();
-      const projectMemoryManager = new ProjectMemoryManager(knowledgeGraph);
+
+      // Offline embedder for semantic recall (disable with MEMESH_SEMANTIC_SEARCH=false)
+      const embedder = SimpleConfig.SEMANTIC_SEARCH ? new HashingEmbedder() : undefined;
+      const projectMemoryManager = new ProjectMemoryManager(
+        knowledgeGraph,
+        embedder ? new SemanticIndex(knowledgeGraph, embedder) : undefined,
+        // Same access-aware ranking as the unified store, so recall feedback counts
+        new MemoryDecay({ halfLifeDays: SimpleConfig.MEMORY_HALF_LIFE_DAYS })
+      );
+
+      // SecretManager: Secure storage for API tokens and sensitive data (track for cleanup)
+      secretManager = await SecretManager.create();
+
+      // Redacts secrets on every memory write path (MEMESH_SECRET_REDACTION)
+      const secretRedactor = new SecretRedactor(secretManager);
 
       // Initialize Unified Memory Store (Phase 0.7.0)
-      const unifiedMemoryStore = new UnifiedMemoryStore(knowledgeGraph);
+      const unifiedMemoryStore = new UnifiedMemoryStore(knowledgeGraph, {
+        embedder,
+        redactor: secretRedactor,
+        // Access-aware ranking: unrecalled memories fade (MEMESH_MEMORY_HALF_LIFE_DAYS)
+        decay: { halfLifeDays: SimpleConfig.MEMORY_HALF_LIFE_DAYS },
+      });
 
       // Initialize DevelopmentButler with UnifiedMemoryStore
       const developmentButler = new DevelopmentButler(
@@ -178,11 +221,15 @@ export class ServerInitializer {
       toolInterface.attachMemoryProvider({
         createEntities: async ({ entities }) => {
           for (const entity of entities) {
+            const { value } = await secretRedactor.redactValues(
+              { observations: entity.observations, metadata: entity.metadata },
+              'auto-tracker'
+            );
             knowledgeGraph!.createEntity({
               name: entity.name,
               entityType: entity.entityType as EntityType,
-              observations: entity.observations,
-              metadata: entity.metadata,
+              observations: value.observations,
+              metadata: value.metadata,
             });
           }
         },
@@ -194,6 +241,9 @@ export class ServerInitializer {
         },
       });
 
+      // Advance stored task plans from checkpoints (after DevelopmentButler registered them)
+      new PlanTracker(knowledgeGraph).trackCheckpoints(checkpointDetector);
+
       // Initialize ProjectAutoTracker (automatic knowledge tracking)
       const projectAutoTracker = new ProjectAutoTracker(toolInterface);
 
@@ -216,15 +266,16 @@ export class ServerInitializer {
       });
 
       // Initialize Security & Task Management (Phase 5)
-      // SecretManager: Secure storage for API tokens and sensitive data (track for cleanup)
-      secretManager = await SecretManager.create();
-
       // TaskQueue: SQLite-based task storage (using 'mcp-server' as default agent ID) (track for cleanup)
       taskQueue = new TaskQueue('mcp-server');
 
       // MCPTaskDelegator: Manages task delegation from A2A agents to MCP clients
       const mcpTaskDelegator = new MCPTaskDelegator(taskQueue, logger);
 
+      // UIEventBus is in-process; the web dashboard reads this journal instead (track for cleanup)
+      uiEventJournal = new UIEventJournal();
+      uiEventJournal.recordFrom(UIEventBus.getInstance());
+
       // Initialize handler modules
       const toolHandlers = new ToolHandlers(
         router,
@@ -242,7 +293,8 @@ export class ServerInitializer {
         knowledgeGraph,
         ui,
         samplingClient,
-        unifiedMemoryStore
+        unifiedMemoryStore,
+        secretRedactor
       );
 
       const buddyHandlers = new BuddyHandlers(
@@ -260,6 +312,7 @@ export class ServerInitializer {
         router,
         formatter,
         agentRegistry,
+        agentDefinitions,
         ui,
         feedbackCollector,
         performanceTracker,
@@ -280,6 +333,7 @@ export class ServerInitializer {
         secretManager,
         taskQueue,
         mcpTaskDelegator,
+        uiEventJournal,
         toolHandlers,
         buddyHandlers,
         a2aHandlers,
@@ -288,7 +342,18 @@ export class ServerInitializer {
       // ✅ FIX MAJOR-13: Clean up resources on initialization failure
       logger.error('Initialization failed, cleaning up resources...');
 
+      agentDefinitions?.close();
+
       // Clean up database connections in reverse order of creation
+      if (uiEventJournal) {
+        try {
+          uiEventJournal.close();
+          logger.info('UIEventJournal cleaned up');
+        } catch (cleanupError) {
+          logger.error('Failed to clean up UIEventJournal:', cleanupError);
+        }
+      }
+
       if (taskQueue) {
         try {
           taskQueue.close();
@@ -106,15 +106,25 @@ export function getAllToolDefinitions(): MCPToolDefinition[] {
           minimum: 1,
           maximum: 50,
         },
+        useful: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Names of memories from an earlier recall that helped (ranks them higher)',
+        },
+        notUseful: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Names of memories from an earlier recall that did not help (ranks them lower)',
+        },
       },
       required: ['query'],
     },
     outputSchema: OutputSchemas.buddyRemember,
     annotations: {
       title: 'Project Memory Recall',
-      readOnlyHint: true,       // Pure read operation
+      readOnlyHint: false,      // Records recall counts and feedback for ranking
       destructiveHint: false,
-      idempotentHint: true,     // Same query returns same results
+      idempotentHint: false,    // Every recall reinforces the returned memories
       openWorldHint: false,     // Limited to project memory scope
     },
   };
@@ -196,6 +206,51 @@ export function getAllToolDefinitions(): MCPToolDefinition[] {
     },
   };
 
+  const getCostReportTool: MCPToolDefinition = {
+    name: 'get-cost-report',
+    description: `💰 MeMesh: Report model spend and remaining budgets.
+
+**Breakdowns:** by task (most expensive first), model, agent, project and day
+
+**Windows:** "day" (today), "week" (last 7 days), "month" (this month, default), "all" (everything tracked)
+
+**Budgets:** monthly (MONTHLY_BUDGET_USD), daily (MEMESH_BUDGET_DAILY_USD), per project (MEMESH_BUDGET_PROJECT_USD) and per agent (MEMESH_BUDGET_AGENT_USD). Project and agent budgets are listed when filtering by projectId or agent.
+
+Amounts are in USD.`,
+    inputSchema: {
+      type: 'object' as const,
+      properties: {
+        window: {
+          type: 'string',
+          enum: ['day', 'week', 'month', 'all'],
+          description: 'Time window (default: "month")',
+        },
+        projectId: {
+          type: 'string',
+          description: 'Only include costs of this project',
+        },
+        agent: {
+          type: 'string',
+          description: 'Only include costs of this agent',
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of tasks listed (1-100, default: 20)',
+          minimum: 1,
+          maximum: 100,
+        },
+      },
+    },
+    outputSchema: OutputSchemas.getCostReport,
+    annotations: {
+      title: 'Cost Report',
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: false,    // Results change over time
+      openWorldHint: false,
+    },
+  };
+
   // generate-smart-plan tool removed - planning delegated to Claude's built-in capabilities
 
   // ========================================
@@ -444,6 +499,253 @@ tags: ["tech:jwt", "tech:nodejs", "domain:authentication", "security"]`,
     },
   };
 
+  const traceRelationsTool: MCPToolDefinition = {
+    name: 'trace-relations',
+    description: `🧭 MeMesh: Trace how knowledge is connected - multi-hop traversal and shortest paths in the Knowledge Graph.
+
+**Two modes:**
+• Trace: entityName only → every entity reachable within \`depth\` hops (default 2), with the hop at which it is reached
+• Path: entityName + to → shortest relation path between the two entities (default up to 6 hops)
+
+**Filters:**
+• relationTypes: only follow these relation types (e.g., ["caused_by", "solves"])
+• direction: "outgoing" (from → to), "incoming" (to → from), or "both" (default)
+
+**Examples:**
+• "What led to this bug?" → entityName="Login race condition", relationTypes=["caused_by"], direction="outgoing", depth=3
+• "How is bug X connected to decision Y?" → entityName="Bug X", to="Decision Y"
+
+Cycles among traced relations are reported so circular dependencies are easy to spot.`,
+    inputSchema: {
+      type: 'object' as const,
+      properties: {
+        entityName: {
+          type: 'string',
+          description: 'Entity to start from (exact name)',
+        },
+        to: {
+          type: 'string',
+          description: 'Optional target entity. When set, returns the shortest path instead of a trace',
+        },
+        depth: {
+          type: 'number',
+          description: 'Maximum number of hops (1-10, default: 2 for traces, 6 for paths)',
+          minimum: 1,
+          maximum: 10,
+        },
+        relationTypes: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Only follow these relation types',
+        },
+        direction: {
+          type: 'string',
+          enum: ['outgoing', 'incoming', 'both'],
+          description: 'Direction to follow relations in (default: "both")',
+        },
+      },
+      required: ['entityName'],
+    },
+    outputSchema: OutputSchemas.traceRelations,
+    annotations: {
+      title: 'Knowledge Graph Tracer',
+      readOnlyHint: true,       // Only reads the graph
+      destructiveHint: false,   // Non-destructive
+      idempotentHint: true,     // Same graph, same result
+      openWorldHint: false,     // Local knowledge graph only
+    },
+  };
+
+  const exchangeGraphTool: MCPToolDefinition = {
+    name: 'exchange-graph',
+    description: `📦 MeMesh: Export or import the Knowledge Graph - move memory between machines or review it in familiar tools.
+
+**Formats:**
+• jsonld: single JSON-LD file, lossless (best for moving memory between machines)
+• graphml: single GraphML file, lossless, opens in Gephi and yEd
+• markdown: folder with one note per entity linked by [[wikilinks]], opens as an Obsidian vault
+
+**Behaviour:**
+• Format is inferred from the path when omitted (.jsonld/.json, .graphml/.xml, otherwise markdown folder)
+• Export refuses to replace existing files unless overwrite=true
+• Import keeps entities that already exist by name unless overwrite=true
+• Imported entities with a content hash merge into matching existing memories
+
+**Examples:**
+• action="export", path="./memesh-backup.jsonld"
+• action="export", path="./vault", format="markdown"
+• action="import", path="./team-memory.graphml"`,
+    inputSchema: {
+      type: 'object' as const,
+      properties: {
+        action: {
+          type: 'string',
+          enum: ['export', 'import'],
+          description: 'Export the graph or import into it',
+        },
+        path: {
+          type: 'string',
+          description: 'File path (jsonld, graphml) or directory (markdown)',
+        },
+        format: {
+          type: 'string',
+          enum: ['jsonld', 'graphml', 'markdown'],
+          description: 'Exchange format (default: inferred from path)',
+        },
+        overwrite: {
+          type: 'boolean',
+          description: 'Export: replace existing files. Import: rewrite entities that already exist by name (default: false)',
+        },
+      },
+      required: ['action', 'path'],
+    },
+    outputSchema: OutputSchemas.exchangeGraph,
+    annotations: {
+      title: 'Knowledge Graph Export/Import',
+      readOnlyHint: false,      // Writes files or entities
+      destructiveHint: true,    // overwrite=true replaces files / entities
+      idempotentHint: true,     // Re-running yields the same files / graph
+      openWorldHint: false,     // Local files only
+    },
+  };
+
+  const consolidateMemoryTool: MCPToolDefinition = {
+    name: 'consolidate-memory',
+    description: `🧹 MeMesh: Consolidate memory - merge near-duplicate entities and condense long observation lists.
+
+**What it does:**
+• Clusters entities of the same type with similar content (auto-recorded code changes, session snapshots, test results, ...)
+• Merges each cluster into its richest entity: missing observations are copied, relations are re-pointed
+• Replaces long observation lists with a summary (keeps the 5 most recent observations verbatim)
+
+**Safe by design:**
+• Merged entities are kept and marked replaced_by the survivor; each merge is an evolved_from relation
+• Summarized observations stay in the observation history
+• action="undo" with entityName reverses the merges recorded on that entity
+
+**Examples:**
+• dryRun=true → preview clusters and summaries
+• similarityThreshold=0.9 → merge only very close duplicates
+• action="undo", entityName="Code Change: auth refresh - 2026-01-02"`,
+    inputSchema: {
+      type: 'object' as const,
+      properties: {
+        action: {
+          type: 'string',
+          enum: ['consolidate', 'undo'],
+          description: 'Consolidate the graph or undo a recorded merge (default: consolidate)',
+        },
+        entityTypes: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Entity types to consolidate (default: code_change, session_snapshot, test_result, project_snapshot, workflow_checkpoint)',
+        },
+        similarityThreshold: {
+          type: 'number',
+          description: 'Minimum similarity (0-1) for two entities to be merged (default: 0.85)',
+          minimum: 0,
+          maximum: 1,
+        },
+        maxObservations: {
+          type: 'number',
+          description: 'Summarize entities with more current observations than this (default: 30)',
+          minimum: 7,
+        },
+        dryRun: {
+          type: 'boolean',
+          description: 'Preview without writing (default: false)',
+        },
+        entityName: {
+          type: 'string',
+          description: 'Undo: entity the others were merged into',
+        },
+        mergedEntity: {
+          type: 'string',
+          description: 'Undo: only split out this merged entity (default: all)',
+        },
+      },
+    },
+    outputSchema: OutputSchemas.consolidateMemory,
+    annotations: {
+      title: 'Memory Consolidation',
+      readOnlyHint: false,      // Merges entities and writes summaries
+      destructiveHint: false,   // Nothing is deleted; merges can be undone
+      idempotentHint: true,     // Merged entities are not merged again
+      openWorldHint: false,     // Local knowledge graph only
+    },
+  };
+
+  const taskPlanTool: MCPToolDefinition = {
+    name: 'task-plan',
+    description: `📋 MeMesh: Task plans - break a feature into small testable tasks and track what's left across sessions.
+
+**What it does:**
+• create: decomposes the feature into 2-5 minute TDD tasks with dependencies and stores the plan
+• list / view: shows plans with done, in-progress, ready and blocked tasks (view defaults to the current plan)
+• advance: marks a task in_progress, completed, skipped or pending again (tasks wait for their dependencies)
+• replan: decomposes the feature again, keeping started and finished tasks
+
+**Tracked automatically:**
+• Writing code starts the next ready task of the current plan
+• A passing test run followed by a commit completes it
+
+**Stored in the Knowledge Graph:**
+• plan and plan_task entities linked by depends_on relations
+
+**Examples:**
+• action="create", featureDescription="Add API endpoint for invoices with database schema"
+• action="view" → what's left in the current plan
+• action="advance", taskId="task-3", status="skipped"`,
+    inputSchema: {
+      type: 'object' as const,
+      properties: {
+        action: {
+          type: 'string',
+          enum: ['create', 'list', 'view', 'advance', 'replan'],
+          description: 'Create a plan, list plans, view one, advance a task or re-plan',
+        },
+        featureDescription: {
+          type: 'string',
+          description: 'Create/replan: feature to break into tasks (replan default: the plan\'s feature)',
+        },
+        includeTests: {
+          type: 'boolean',
+          description: 'Create/replan: add an integration test task (default: true)',
+        },
+        includeDocs: {
+          type: 'boolean',
+          description: 'Create/replan: add a documentation task (default: false)',
+        },
+        planId: {
+          type: 'string',
+          description: 'View/advance/replan: plan ID (default: the current plan)',
+        },
+        taskId: {
+          type: 'string',
+          description: 'Advance: task ID (default: the in-progress task, else the next ready task)',
+        },
+        status: {
+          type: 'string',
+          enum: ['pending', 'in_progress', 'completed', 'skipped'],
+          description: 'Advance: new task status (default: completed)',
+        },
+        commit: {
+          type: 'string',
+          description: 'Advance: commit that completed the task',
+        },
+      },
+      required: ['action'],
+    },
+    outputSchema: OutputSchemas.taskPlan,
+    annotations: {
+      title: 'Task Plans',
+      readOnlyHint: false,      // Creates and updates plan entities
+      destructiveHint: false,   // Re-planning only removes tasks that were never started
+      idempotentHint: false,    // Each create stores a new plan
+      openWorldHint: false,     // Local knowledge graph only
+    },
+  };
+
   // ========================================
   // A2A Protocol Tools (Agent-to-Agent)
   // ========================================
@@ -458,6 +760,8 @@ tags: ["tech:jwt", "tech:nodejs", "domain:authentication", "security"]`,
 3. Track with returned taskId via a2a-get-task
 4. Receive result when complete
 
+**Send to best agent:** targetAgentId: "auto" picks the active agent whose advertised skills best match the task description, preferring agents with fewer pending tasks and a better completion record. The response explains the choice; if the agent rejects the task or times out, the next candidate is tried.
+
 **Example:**
 targetAgentId: "kts-macbook-xyz789"
 taskDescription: "Analyze error logs from last 24h and summarize top 3 issues"
@@ -473,7 +777,7 @@ priority: "high"
       properties: {
         targetAgentId: {
           type: 'string',
-          description: 'ID of the target agent (format: ${hostname}-${timestamp}). Get from a2a-list-agents',
+          description: 'ID of the target agent (format: ${hostname}-${timestamp}). Get from a2a-list-agents, or "auto" to choose by skills',
         },
         taskDescription: {
           type: 'string',
@@ -586,7 +890,7 @@ priority: "high"
     name: 'a2a-list-agents',
     description: `🤖 MeMesh A2A: List available A2A agents in the registry.
 
-Returns agents with format: {agentId, url, port, status, lastHeartbeat}
+Returns agents with format: {agentId, url, port, status, lastHeartbeat, source, discoveredFrom}
 
 **Agent ID Format:** \${hostname}-\${timestamp} (e.g., "kts-macbook-ml8cy34o")
 **Note:** Check-in name (e.g., "Lambda") ≠ Agent ID
@@ -596,7 +900,12 @@ Returns agents with format: {agentId, url, port, status, lastHeartbeat}
 **Status Types:**
 • active: Currently running (heartbeat < 5min ago)
 • inactive: Not running (no recent heartbeat)
-• stale: No heartbeat for 5+ minutes`,
+• stale: No heartbeat for 5+ minutes
+
+**Discovery Sources:**
+• local: Registered in this machine's registry file
+• multicast: Heard announcing on the LAN (MEMESH_A2A_DISCOVERY=true)
+• static: Polled from MEMESH_A2A_PEERS`,
     inputSchema: {
       type: 'object' as const,
       properties: {
@@ -605,6 +914,11 @@ Returns agents with format: {agentId, url, port, status, lastHeartbeat}
           enum: ['active', 'inactive', 'all'],
           description: 'Filter by agent status (optional, default: active)',
         },
+        source: {
+          type: 'string',
+          enum: ['local', 'multicast', 'static'],
+          description: 'Filter by where the agent was discovered (optional)',
+        },
       },
     },
     outputSchema: OutputSchemas.a2aListAgents,
@@ -812,12 +1126,17 @@ Returns agents with format: {agentId, url, port, status, lastHeartbeat}
     buddyHelpTool,
     getSessionHealthTool,
     getWorkflowGuidanceTool,
+    getCostReportTool,
 
     // Learning Tools
     buddyRecordMistakeTool,
 
     // Knowledge Graph Tools
     createEntitiesTool,
+    traceRelationsTool,
+    exchangeGraphTool,
+    consolidateMemoryTool,
+    taskPlanTool,
 
     // Secret Management Tools (Phase 0.7.0)
     buddySecretStoreTool,
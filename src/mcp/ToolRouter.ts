@@ -24,6 +24,7 @@ import {
 import type { SecretManager } from '../memory/SecretManager.js';
 import type { TaskQueue } from '../a2a/storage/TaskQueue.js';
 import type { MCPTaskDelegator } from '../a2a/delegator/MCPTaskDelegator.js';
+import type { ProgressReporter } from './ProgressReporter.js';
 import { a2aListTasks, A2AListTasksInputSchema } from './tools/a2a-list-tasks.js';
 import { a2aReportResult, A2AReportResultInputSchema } from './tools/a2a-report-result.js';
 
@@ -164,8 +165,8 @@ function validateToolName(toolName: string): void {
  *
  * The router supports main categories of tools:
  * - **Buddy Tools**: buddy-do, buddy-remember, buddy-help
- * - **Workflow Guidance Tools**: get-workflow-guidance, get-session-health
- * - **Planning Tools**: generate-smart-plan
+ * - **Workflow Guidance Tools**: get-workflow-guidance, get-session-health, get-cost-report
+ * - **Planning Tools**: task-plan
  * - **Hook Tools**: hook-tool-use
  *
  * Architecture:
@@ -279,12 +280,14 @@ export class ToolRouter {
    * @param params - MCP tool call parameters
    * @param requestHeaders - Optional request headers (for HTTP mode CSRF protection)
    * @param requestId - ✅ FIX HIGH-10: Optional request ID for tracing (generated if not provided)
+   * @param progress - Optional reporter for the caller's progress token, used by long-running tools
    * @returns Tool execution result
    */
   async routeToolCall(
     params: unknown,
     requestHeaders?: Record<string, string>,
-    requestId?: string
+    requestId?: string,
+    progress?: ProgressReporter
   ): Promise<CallToolResult> {
     // ✅ FIX HIGH-5: Validate request origin for CSRF protection (HTTP mode only)
     this.validateRequestOrigin(requestHeaders?.['origin']);
@@ -335,7 +338,7 @@ export class ToolRouter {
     const args = params.arguments;
 
     // Route to appropriate handler based on tool name
-    return await this.dispatch(toolName, args as any);
+    return await this.dispatch(toolName, args as any, progress);
   }
 
   /**
@@ -347,6 +350,7 @@ export class ToolRouter {
    *
    * @param toolName - Name of the tool to execute
    * @param args - Tool arguments (validated by individual handlers)
+   * @param progress - Optional progress reporter passed to long-running tools
    * @returns Promise resolving to MCP CallToolResult
    *
    * @throws ValidationError if input validation fails
@@ -355,7 +359,7 @@ export class ToolRouter {
    *
    * @private
    */
-  private async dispatch(toolName: string, args: any): Promise<CallToolResult> {
+  private async dispatch(toolName: string, args: any, progress?: ProgressReporter): Promise<CallToolResult> {
     // Buddy Commands
     if (toolName === 'buddy-do') {
       return await this.buddyHandlers.handleBuddyDo(args);
@@ -378,7 +382,9 @@ export class ToolRouter {
       return await this.toolHandlers.handleGetSessionHealth();
     }
 
-    // Planning tools removed - planning delegated to LLM's built-in capabilities
+    if (toolName === 'get-cost-report') {
+      return await this.toolHandlers.handleGetCostReport(args);
+    }
 
     // Hook integration tools
     if (toolName === 'hook-tool-use') {
@@ -395,6 +401,22 @@ export class ToolRouter {
       return await this.toolHandlers.handleCreateEntities(args);
     }
 
+    if (toolName === 'trace-relations') {
+      return await this.toolHandlers.handleTraceRelations(args);
+    }
+
+    if (toolName === 'exchange-graph') {
+      return await this.toolHandlers.handleExchangeGraph(args, progress);
+    }
+
+    if (toolName === 'consolidate-memory') {
+      return await this.toolHandlers.handleConsolidateMemory(args, progress);
+    }
+
+    if (toolName === 'task-plan') {
+      return await this.toolHandlers.handleTaskPlan(args);
+    }
+
     // Test Generation tools
     if (toolName === 'generate-tests') {
       return await this.toolHandlers.handleGenerateTests(args);
@@ -685,6 +685,73 @@ export class DaemonLockManager {
     return false;
   }
 
+  /**
+   * Hand the lock over to a replacement daemon (rolling upgrade)
+   *
+   * Only the current owner may transfer. The lock file is rewritten in one
+   * atomic rename, so there is no window in which another process could
+   * acquire it between the old daemon leaving and the new one arriving.
+   *
+   * @param successor Identity of the replacement daemon
+   * @returns True if the lock now names the successor
+   */
+  static async transferLock(
+    successor: Pick<LockInfo, 'pid' | 'version' | 'protocolVersion' | 'minClientVersion'> & {
+      instanceId: string;
+    }
+  ): Promise<boolean> {
+    const lockPath = this.getLockPath();
+    const tempPath = `${lockPath}.${process.pid}.${Date.now()}.transfer.tmp`;
+
+    if (!this.isValidUuid(successor.instanceId)) {
+      logger.warn('[DaemonLockManager] Refusing lock transfer with invalid instance ID', {
+        instanceId: successor.instanceId,
+      });
+      return false;
+    }
+
+    try {
+      const lockInfo = await this.readLock();
+
+      if (!lockInfo || lockInfo.pid !== process.pid) {
+        logger.warn('[DaemonLockManager] Cannot transfer lock not owned by this process', {
+          ownerPid: lockInfo?.pid,
+          ourPid: process.pid,
+        });
+        return false;
+      }
+
+      const transferred: LockInfo = {
+        pid: successor.pid,
+        socketPath: lockInfo.socketPath,
+        startTime: Date.now(),
+        version: successor.version,
+        clientCount: 0,
+        protocolVersion: successor.protocolVersion,
+        minClientVersion: successor.minClientVersion,
+        instanceId: successor.instanceId,
+      };
+
+      await fsp.writeFile(tempPath, JSON.stringify(transferred, null, 2));
+      await fsp.rename(tempPath, lockPath);
+
+      logger.info('[DaemonLockManager] Lock transferred', {
+        fromPid: process.pid,
+        toPid: successor.pid,
+        version: successor.version,
+      });
+
+      return true;
+    } catch (error) {
+      await fsp.unlink(tempPath).catch(() => {});
+
+      logger.error('[DaemonLockManager] Failed to transfer lock', {
+        error: error instanceof Error ? error.message : String(error),
+      });
+      return false;
+    }
+  }
+
   /**
    * Force clear the lock (for emergency recovery)
    *
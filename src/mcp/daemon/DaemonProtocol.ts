@@ -46,9 +46,7 @@ export enum MessageType {
   /** MCP JSON-RPC response wrapper */
   MCP_RESPONSE = 'mcp_response',
 
-  /** MCP notification (no response expected) */
-  // TODO: MCP_NOTIFICATION is reserved for future server-to-client push notifications
-  // (e.g., progress updates, resource changes). Not yet implemented.
+  /** MCP notification pushed by the daemon (no response expected) */
   MCP_NOTIFICATION = 'mcp_notification',
 
   // ═══════════════════════════════════════════════════════════
@@ -61,9 +59,10 @@ export enum MessageType {
   /** Upgrade accepted, preparing to shutdown */
   UPGRADE_PENDING = 'upgrade_pending',
 
-  /** Upgrade cancelled */
-  // TODO: UPGRADE_ABORT is reserved for future upgrade cancellation flow
-  // (e.g., when initiating client disconnects before upgrade completes). Not yet implemented.
+  /** Replacement daemon passed its health check (initiator → daemon) */
+  UPGRADE_READY = 'upgrade_ready',
+
+  /** Upgrade cancelled, daemon keeps serving (either direction) */
   UPGRADE_ABORT = 'upgrade_abort',
 
   // ═══════════════════════════════════════════════════════════
@@ -209,11 +208,22 @@ export interface McpResponseMessage extends BaseMessage {
 }
 
 /**
- * MCP notification (no response expected)
+ * MCP notification pushed from the daemon (no response expected)
+ *
+ * Broadcast notifications (e.g. resource list changes) omit clientId.
+ * Request-scoped notifications (e.g. progress) carry the clientId and
+ * requestId of the request that triggered them.
  */
 export interface McpNotificationMessage extends BaseMessage {
   type: MessageType.MCP_NOTIFICATION;
-  clientId: string;
+
+  /** Target client (absent for broadcasts) */
+  clientId?: string;
+
+  /** Request this notification belongs to (absent for broadcasts) */
+  requestId?: string;
+
+  /** MCP JSON-RPC notification ({ jsonrpc: '2.0', method, params? }) */
   payload: unknown;
 }
 
@@ -251,12 +261,40 @@ export interface UpgradePendingMessage extends BaseMessage {
   initiatorClientId: string;
 }
 
+/**
+ * Replacement daemon ready notification from the upgrade initiator
+ *
+ * Carries what the current daemon needs to hand its lock over.
+ */
+export interface UpgradeReadyMessage extends BaseMessage {
+  type: MessageType.UPGRADE_READY;
+  clientId: string;
+
+  /** Process ID of the replacement daemon */
+  pid: number;
+
+  /** Replacement daemon's MeMesh version */
+  version: string;
+
+  /** Replacement daemon's protocol version */
+  protocolVersion: number;
+
+  /** Lock instance ID the replacement daemon will own */
+  instanceId: string;
+}
+
 /**
  * Upgrade abort notification
+ *
+ * Sent by the daemon to all clients when an upgrade is cancelled, or by the
+ * initiator when its replacement daemon failed.
  */
 export interface UpgradeAbortMessage extends BaseMessage {
   type: MessageType.UPGRADE_ABORT;
   reason: string;
+
+  /** Initiator that cancelled the upgrade (absent when sent by the daemon) */
+  clientId?: string;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -308,6 +346,7 @@ export type DaemonMessage =
   | McpNotificationMessage
   | RequestUpgradeMessage
   | UpgradePendingMessage
+  | UpgradeReadyMessage
   | UpgradeAbortMessage
   | ShutdownMessage
   | ErrorMessage;
@@ -391,6 +430,91 @@ export function createMcpResponse(
   };
 }
 
+/**
+ * Create an MCP notification wrapper
+ *
+ * @param payload - MCP JSON-RPC notification
+ * @param clientId - Target client, omitted for broadcasts
+ * @param requestId - Originating request for request-scoped notifications
+ */
+export function createMcpNotification(
+  payload: unknown,
+  clientId?: string,
+  requestId?: string
+): McpNotificationMessage {
+  return {
+    type: MessageType.MCP_NOTIFICATION,
+    timestamp: Date.now(),
+    ...(clientId !== undefined ? { clientId } : {}),
+    ...(requestId !== undefined ? { requestId } : {}),
+    payload,
+  };
+}
+
+/**
+ * Create an upgrade request (newer client → daemon)
+ */
+export function createRequestUpgrade(
+  clientId: string,
+  newVersion: string,
+  reason: RequestUpgradeMessage['reason'] = 'version_mismatch'
+): RequestUpgradeMessage {
+  return {
+    type: MessageType.REQUEST_UPGRADE,
+    timestamp: Date.now(),
+    clientId,
+    newVersion,
+    reason,
+  };
+}
+
+/**
+ * Create an upgrade pending notification (daemon → all clients)
+ */
+export function createUpgradePending(
+  newVersion: string,
+  estimatedShutdownTime: number,
+  initiatorClientId: string
+): UpgradePendingMessage {
+  return {
+    type: MessageType.UPGRADE_PENDING,
+    timestamp: Date.now(),
+    newVersion,
+    estimatedShutdownTime,
+    initiatorClientId,
+  };
+}
+
+/**
+ * Create an upgrade ready message (initiator → daemon)
+ */
+export function createUpgradeReady(
+  clientId: string,
+  successor: Pick<UpgradeReadyMessage, 'pid' | 'version' | 'protocolVersion' | 'instanceId'>
+): UpgradeReadyMessage {
+  return {
+    type: MessageType.UPGRADE_READY,
+    timestamp: Date.now(),
+    clientId,
+    pid: successor.pid,
+    version: successor.version,
+    protocolVersion: successor.protocolVersion,
+    instanceId: successor.instanceId,
+  };
+}
+
+/**
+ * Create an upgrade abort message
+ */
+export function createUpgradeAbort(reason: string, clientId?: string): UpgradeAbortMessage {
+  return {
+    type: MessageType.UPGRADE_ABORT,
+    timestamp: Date.now(),
+    reason,
+    ...(clientId !== undefined ? { clientId } : {}),
+  };
+}
+
 /**
  * Create an error message
  */
@@ -787,6 +911,9 @@ export function validateMcpResponseMessage(
 
 /**
  * Validate McpNotificationMessage
+ *
+ * The payload must be a JSON-RPC notification: it is written verbatim to the
+ * client's stdout, so anything with an id would be mistaken for a response.
  */
 export function validateMcpNotificationMessage(
   msg: Record<string, unknown>
@@ -795,17 +922,56 @@ export function validateMcpNotificationMessage(
     logValidationFailure('MCP_NOTIFICATION', 'incorrect type', msg.type);
     return false;
   }
-  if (typeof msg.clientId !== 'string') {
+  if (msg.clientId !== undefined && typeof msg.clientId !== 'string') {
     logValidationFailure(
       'MCP_NOTIFICATION',
-      'clientId must be string',
+      'clientId must be string if present',
       msg.clientId
     );
     return false;
   }
-  // payload can be any type, but must be present
-  if (!('payload' in msg)) {
-    logValidationFailure('MCP_NOTIFICATION', 'payload field is required');
+  if (msg.requestId !== undefined && typeof msg.requestId !== 'string') {
+    logValidationFailure(
+      'MCP_NOTIFICATION',
+      'requestId must be string if present',
+      msg.requestId
+    );
+    return false;
+  }
+  if (!isObject(msg.payload)) {
+    logValidationFailure(
+      'MCP_NOTIFICATION',
+      'payload must be an object',
+      msg.payload
+    );
+    return false;
+  }
+  if (msg.payload.jsonrpc !== '2.0') {
+    logValidationFailure(
+      'MCP_NOTIFICATION',
+      'payload.jsonrpc must be "2.0"',
+      msg.payload.jsonrpc
+    );
+    return false;
+  }
+  if (typeof msg.payload.method !== 'string' || msg.payload.method.length === 0) {
+    logValidationFailure(
+      'MCP_NOTIFICATION',
+      'payload.method must be non-empty string',
+      msg.payload.method
+    );
+    return false;
+  }
+  if ('id' in msg.payload) {
+    logValidationFailure('MCP_NOTIFICATION', 'payload must not have an id');
+    return false;
+  }
+  if (msg.payload.params !== undefined && !isObject(msg.payload.params)) {
+    logValidationFailure(
+      'MCP_NOTIFICATION',
+      'payload.params must be an object if present',
+      msg.payload.params
+    );
     return false;
   }
   return true;
@@ -889,6 +1055,50 @@ export function validateUpgradePendingMessage(
   return true;
 }
 
+/**
+ * Validate UpgradeReadyMessage
+ */
+export function validateUpgradeReadyMessage(
+  msg: Record<string, unknown>
+): boolean {
+  if (msg.type !== MessageType.UPGRADE_READY) {
+    logValidationFailure('UPGRADE_READY', 'incorrect type', msg.type);
+    return false;
+  }
+  if (typeof msg.clientId !== 'string') {
+    logValidationFailure('UPGRADE_READY', 'clientId must be string', msg.clientId);
+    return false;
+  }
+  if (typeof msg.pid !== 'number' || !Number.isInteger(msg.pid) || msg.pid <= 0) {
+    logValidationFailure('UPGRADE_READY', 'pid must be positive integer', msg.pid);
+    return false;
+  }
+  if (typeof msg.version !== 'string') {
+    logValidationFailure('UPGRADE_READY', 'version must be string', msg.version);
+    return false;
+  }
+  if (
+    typeof msg.protocolVersion !== 'number' ||
+    !Number.isInteger(msg.protocolVersion)
+  ) {
+    logValidationFailure(
+      'UPGRADE_READY',
+      'protocolVersion must be integer',
+      msg.protocolVersion
+    );
+    return false;
+  }
+  if (typeof msg.instanceId !== 'string') {
+    logValidationFailure(
+      'UPGRADE_READY',
+      'instanceId must be string',
+      msg.instanceId
+    );
+    return false;
+  }
+  return true;
+}
+
 /**
  * Validate UpgradeAbortMessage
  */
@@ -907,6 +1117,14 @@ export function validateUpgradeAbortMessage(
     );
     return false;
   }
+  if (msg.clientId !== undefined && typeof msg.clientId !== 'string') {
+    logValidationFailure(
+      'UPGRADE_ABORT',
+      'clientId must be string if present',
+      msg.clientId
+    );
+    return false;
+  }
   return true;
 }
 
@@ -1050,6 +1268,11 @@ export function validateMessage(
         ? (msg as unknown as UpgradePendingMessage)
         : null;
 
+    case MessageType.UPGRADE_READY:
+      return validateUpgradeReadyMessage(msg)
+        ? (msg as unknown as UpgradeReadyMessage)
+        : null;
+
     case MessageType.UPGRADE_ABORT:
       return validateUpgradeAbortMessage(msg)
         ? (msg as unknown as UpgradeAbortMessage)
@@ -8,22 +8,29 @@
  * - Multi-client connection management
  * - Message framing (newline-delimited JSON)
  * - Request/response correlation by requestId
+ * - Server-initiated MCP notifications (broadcast or request-scoped)
  * - Heartbeat monitoring
- * - Graceful shutdown coordination
+ * - Graceful shutdown coordination (requests are refused while an upgrade drains)
  */
 
 import net from 'net';
 import crypto from 'crypto';
 import { EventEmitter } from 'events';
-import { IpcTransport } from './IpcTransport.js';
+import {
+  IpcTransport,
+  writeWithBackpressure,
+  DEFAULT_MAX_PENDING_WRITE_BYTES,
+} from './IpcTransport.js';
 import {
   MessageType,
   parseMessage,
   serializeMessage,
   createHandshakeAck,
   createMcpResponse,
+  createMcpNotification,
   createError,
   createShutdown,
+  validateMcpNotificationMessage,
   MESSAGE_DELIMITER,
   type DaemonMessage,
   type HandshakeMessage,
@@ -31,9 +38,13 @@ import {
   type McpRequestMessage,
   type DisconnectMessage,
   type RequestUpgradeMessage,
+  type UpgradeReadyMessage,
+  type UpgradeAbortMessage,
   type HeartbeatAckMessage,
+  type ShutdownMessage,
 } from './DaemonProtocol.js';
 import { DaemonLockManager } from './DaemonLockManager.js';
+import type { GracefulShutdownCoordinator } from './GracefulShutdownCoordinator.js';
 import { compareVersions } from './VersionManager.js';
 import { logger } from '../../utils/logger.js';
 
@@ -55,6 +66,8 @@ export const ErrorCodes = {
   BUFFER_OVERFLOW: 'BUFFER_OVERFLOW',
   /** Handshake timeout */
   HANDSHAKE_TIMEOUT: 'HANDSHAKE_TIMEOUT',
+  /** Daemon is draining for an upgrade; the client should retry on the new daemon */
+  UPGRADE_IN_PROGRESS: 'UPGRADE_IN_PROGRESS',
 } as const;
 
 /** Default maximum buffer size (10MB) */
@@ -127,12 +140,41 @@ export interface DaemonSocketServerConfig {
 
   /** Handshake timeout in ms (default: 10000) */
   handshakeTimeout?: number;
+
+  /**
+   * Unflushed bytes per client above which notifications are dropped
+   * instead of queued (default: 1MB)
+   */
+  maxPendingNotificationBytes?: number;
+
+  /**
+   * Tracks in-flight requests and refuses new ones while an upgrade drains.
+   * Without it every request is accepted.
+   */
+  shutdownCoordinator?: GracefulShutdownCoordinator;
+}
+
+/**
+ * Context passed to the MCP handler for each request
+ */
+export interface McpRequestContext {
+  /** Client that sent the request */
+  clientId: string;
+
+  /** Daemon request ID */
+  requestId: string;
+
+  /**
+   * Send a notification (e.g. notifications/progress) to the client that sent
+   * the request. Returns false if it could not be delivered.
+   */
+  sendNotification: (notification: unknown) => boolean;
 }
 
 /**
  * MCP request handler function type
  */
-export type McpHandler = (request: unknown) => Promise<unknown>;
+export type McpHandler = (request: unknown, context: McpRequestContext) => Promise<unknown>;
 
 /**
  * Event map for DaemonSocketServer
@@ -140,14 +182,17 @@ export type McpHandler = (request: unknown) => Promise<unknown>;
 export interface DaemonSocketServerEvents {
   client_connect: (client: ClientInfo) => void;
   client_disconnect: (clientId: string) => void;
-  upgrade_requested: (request: RequestUpgradeMessage) => void;
+  upgrade_requested: (request: RequestUpgradeMessage, clientId: string) => void;
+  upgrade_ready: (message: UpgradeReadyMessage, clientId: string) => void;
+  upgrade_abort: (message: UpgradeAbortMessage, clientId: string) => void;
 }
 
 /**
  * DaemonSocketServer - Multi-client IPC server for MeMesh daemon
  */
 export class DaemonSocketServer extends EventEmitter {
-  private config: Required<DaemonSocketServerConfig>;
+  private config: Required<Omit<DaemonSocketServerConfig, 'shutdownCoordinator'>>;
+  private shutdownCoordinator: GracefulShutdownCoordinator | null;
   private server: net.Server | null = null;
   private clients: Map<string, ClientState> = new Map();
   private mcpHandler: McpHandler | null = null;
@@ -165,7 +210,10 @@ export class DaemonSocketServer extends EventEmitter {
       heartbeatTimeout: config.heartbeatTimeout ?? 60000,
       maxBufferSize: config.maxBufferSize ?? DEFAULT_MAX_BUFFER_SIZE,
       handshakeTimeout: config.handshakeTimeout ?? DEFAULT_HANDSHAKE_TIMEOUT,
+      maxPendingNotificationBytes:
+        config.maxPendingNotificationBytes ?? DEFAULT_MAX_PENDING_WRITE_BYTES,
     };
+    this.shutdownCoordinator = config.shutdownCoordinator ?? null;
   }
 
   /**
@@ -203,8 +251,11 @@ export class DaemonSocketServer extends EventEmitter {
 
   /**
    * Stop the socket server
+   *
+   * @param reason - Shutdown reason sent to clients. With 'upgrade' clients
+   *   reconnect to the replacement daemon instead of exiting.
    */
-  async stop(): Promise<void> {
+  async stop(reason: ShutdownMessage['reason'] = 'user_requested'): Promise<void> {
     if (!this.isRunning) {
       return;
     }
@@ -216,7 +267,7 @@ export class DaemonSocketServer extends EventEmitter {
     this.stopHeartbeatCheck();
 
     // Notify all clients of shutdown
-    const shutdownMsg = createShutdown('user_requested', 5000);
+    const shutdownMsg = createShutdown(reason, reason === 'upgrade' ? 0 : 5000);
 
     for (const [, clientState] of this.clients) {
       try {
@@ -318,6 +369,82 @@ export class DaemonSocketServer extends EventEmitter {
     this.mcpHandler = handler;
   }
 
+  /**
+   * Push an MCP notification to every connected client.
+   *
+   * Used for server-wide events such as `notifications/resources/list_changed`.
+   * Clients that have not completed the handshake, or that are not reading
+   * fast enough, are skipped.
+   *
+   * @param notification - MCP JSON-RPC notification
+   * @returns Number of clients the notification was delivered to
+   * @example
+   * ```typescript
+   * server.broadcastNotification({
+   *   jsonrpc: '2.0',
+   *   method: 'notifications/resources/list_changed',
+   * });
+   * ```
+   */
+  broadcastNotification(notification: unknown): number {
+    let delivered = 0;
+    for (const clientState of this.clients.values()) {
+      if (clientState.handshakeComplete && this.pushNotification(clientState, notification)) {
+        delivered++;
+      }
+    }
+    return delivered;
+  }
+
+  /**
+   * Push an MCP notification to a single client.
+   *
+   * @param clientId - Target client
+   * @param notification - MCP JSON-RPC notification
+   * @param requestId - Request the notification belongs to, if any
+   * @returns true if the notification was delivered
+   */
+  sendNotification(clientId: string, notification: unknown, requestId?: string): boolean {
+    const clientState = this.clients.get(clientId);
+    if (!clientState || !clientState.handshakeComplete) {
+      return false;
+    }
+    return this.pushNotification(clientState, notification, requestId);
+  }
+
+  /**
+   * Send a protocol message to every client that completed the handshake.
+   *
+   * Used for daemon-wide control messages such as upgrade notifications.
+   *
+   * @param message - Daemon protocol message
+   * @returns Number of clients the message was written to
+   */
+  broadcast(message: DaemonMessage): number {
+    let sent = 0;
+    for (const clientState of this.clients.values()) {
+      if (clientState.handshakeComplete && this.sendMessage(clientState.socket, message)) {
+        sent++;
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * Send a protocol message to a single client.
+   *
+   * @param clientId - Target client
+   * @param message - Daemon protocol message
+   * @returns true if the message was written
+   */
+  sendToClient(clientId: string, message: DaemonMessage): boolean {
+    const clientState = this.clients.get(clientId);
+    if (!clientState || !clientState.handshakeComplete) {
+      return false;
+    }
+    return this.sendMessage(clientState.socket, message);
+  }
+
   // Type-safe event emitter overrides
   on<K extends keyof DaemonSocketServerEvents>(
     event: K,
@@ -527,6 +654,23 @@ export class DaemonSocketServer extends EventEmitter {
         this.handleUpgradeRequest(clientState, message as RequestUpgradeMessage);
         break;
 
+      case MessageType.UPGRADE_READY:
+        logger.info('[DaemonSocketServer] Replacement daemon ready', {
+          clientId: clientState.clientId,
+          pid: (message as UpgradeReadyMessage).pid,
+          version: (message as UpgradeReadyMessage).version,
+        });
+        this.emit('upgrade_ready', message as UpgradeReadyMessage, clientState.clientId);
+        break;
+
+      case MessageType.UPGRADE_ABORT:
+        logger.info('[DaemonSocketServer] Upgrade aborted by client', {
+          clientId: clientState.clientId,
+          reason: (message as UpgradeAbortMessage).reason,
+        });
+        this.emit('upgrade_abort', message as UpgradeAbortMessage, clientState.clientId);
+        break;
+
       default:
         this.sendError(
           clientState.socket,
@@ -646,8 +790,36 @@ export class DaemonSocketServer extends EventEmitter {
       return;
     }
 
+    // Refuse new work while an upgrade drains; the proxy re-sends it to the
+    // replacement daemon (or back here if the upgrade is aborted)
+    const coordinator = this.shutdownCoordinator;
+    const trackingId = `${clientState.clientId}:${requestId}`;
+    if (coordinator) {
+      if (!coordinator.canAcceptRequest()) {
+        this.sendError(
+          clientState.socket,
+          ErrorCodes.UPGRADE_IN_PROGRESS,
+          'Daemon is upgrading, retry after reconnect',
+          undefined,
+          requestId,
+          clientId
+        );
+        return;
+      }
+      coordinator.trackRequest(trackingId, clientState.clientId);
+    }
+
+    const context: McpRequestContext = {
+      clientId,
+      requestId,
+      // Bound to the connection rather than the ID, so notifications follow
+      // the request even if it outlives the client (they are then dropped)
+      sendNotification: (notification) =>
+        this.pushNotification(clientState, notification, requestId),
+    };
+
     try {
-      const result = await this.mcpHandler(payload);
+      const result = await this.mcpHandler(payload, context);
       this.requestsProcessed++;
 
       const response = createMcpResponse(requestId, clientId, result);
@@ -662,6 +834,8 @@ export class DaemonSocketServer extends EventEmitter {
         requestId,
         clientId
       );
+    } finally {
+      coordinator?.completeRequest(trackingId);
     }
   }
 
@@ -695,7 +869,7 @@ export class DaemonSocketServer extends EventEmitter {
       reason: message.reason,
     });
 
-    this.emit('upgrade_requested', message);
+    this.emit('upgrade_requested', message, clientState.clientId);
   }
 
   /**
@@ -732,16 +906,56 @@ export class DaemonSocketServer extends EventEmitter {
     }
   }
 
+  /**
+   * Validate and send a notification to a client, dropping it under backpressure
+   */
+  private pushNotification(
+    clientState: ClientState,
+    notification: unknown,
+    requestId?: string
+  ): boolean {
+    const message = createMcpNotification(notification, clientState.clientId, requestId);
+    if (!validateMcpNotificationMessage(message as unknown as Record<string, unknown>)) {
+      logger.warn('[DaemonSocketServer] Refusing to send invalid MCP notification', {
+        clientId: clientState.clientId,
+        requestId,
+      });
+      return false;
+    }
+
+    try {
+      const result = writeWithBackpressure(clientState.socket, serializeMessage(message), {
+        droppable: true,
+        maxPendingBytes: this.config.maxPendingNotificationBytes,
+      });
+      if (result === 'dropped') {
+        logger.debug('[DaemonSocketServer] Dropped notification for slow or closed client', {
+          clientId: clientState.clientId,
+          method: (notification as { method?: unknown }).method,
+        });
+        return false;
+      }
+      return true;
+    } catch (error) {
+      logger.warn('[DaemonSocketServer] Failed to send notification', {
+        clientId: clientState.clientId,
+        error: error instanceof Error ? error.message : String(error),
+      });
+      return false;
+    }
+  }
+
   /**
    * Send a message to a client
    */
-  private sendMessage(socket: net.Socket, message: DaemonMessage): void {
+  private sendMessage(socket: net.Socket, message: DaemonMessage): boolean {
     try {
-      socket.write(serializeMessage(message));
+      return writeWithBackpressure(socket, serializeMessage(message)) !== 'dropped';
     } catch (error) {
       logger.warn('[DaemonSocketServer] Failed to send message', {
         error: error instanceof Error ? error.message : String(error),
       });
+      return false;
     }
   }
 
@@ -10,6 +10,7 @@
  * - Graceful shutdown with wait-for-completion
  * - Timeout-based force shutdown
  * - Upgrade coordination with client notifications
+ * - Abortable rolling upgrade state machine (prepare → drain → hand off)
  * - Metrics for monitoring
  */
 
@@ -50,6 +51,24 @@ export enum ShutdownReason {
   ERROR = 'error',
 }
 
+/**
+ * Phases of a rolling daemon upgrade
+ *
+ * IDLE → PREPARING (replacement daemon starting, requests still served)
+ *      → DRAINING (new requests refused, in-flight requests finish)
+ *      → HANDING_OFF (socket and lock passed to the replacement)
+ *      → COMPLETED
+ *
+ * PREPARING and DRAINING can be aborted back to IDLE.
+ */
+export enum UpgradePhase {
+  IDLE = 'idle',
+  PREPARING = 'preparing',
+  DRAINING = 'draining',
+  HANDING_OFF = 'handing_off',
+  COMPLETED = 'completed',
+}
+
 /**
  * Shutdown notification message type
  */
@@ -71,10 +90,22 @@ type UpgradePendingNotification = {
   timestamp: number;
 };
 
+/**
+ * Upgrade abort notification message type
+ */
+type UpgradeAbortNotification = {
+  type: 'upgrade_abort';
+  reason: string;
+  timestamp: number;
+};
+
 /**
  * Union type for all notification messages
  */
-export type CoordinatorNotification = ShutdownNotification | UpgradePendingNotification;
+export type CoordinatorNotification =
+  | ShutdownNotification
+  | UpgradePendingNotification
+  | UpgradeAbortNotification;
 
 /**
  * Configuration for graceful shutdown behavior
@@ -88,6 +119,9 @@ export interface ShutdownConfig {
 
   /** Callback to notify all connected clients */
   notifyClients: (message: CoordinatorNotification) => Promise<void>;
+
+  /** Time the replacement daemon has to report ready before the upgrade is aborted (ms) */
+  upgradePrepareTimeout: number;
 }
 
 /**
@@ -123,6 +157,7 @@ const DEFAULT_CONFIG: ShutdownConfig = {
   notifyClients: async () => {
     // No-op default
   },
+  upgradePrepareTimeout: 30000, // 30 seconds
 };
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -165,12 +200,16 @@ export class GracefulShutdownCoordinator {
 
   // Shutdown state
   private shuttingDown = false;
-  private pendingUpgrade = false;
+  private phase: UpgradePhase = UpgradePhase.IDLE;
   private upgradeVersion: string | null = null;
   private upgradeInitiator: string | null = null;
 
   // Timer tracking for cleanup
   private waitTimeoutId: ReturnType<typeof setTimeout> | null = null;
+  private prepareTimeoutId: ReturnType<typeof setTimeout> | null = null;
+
+  // Resolves an in-progress wait early (upgrade abort)
+  private waitResolve: (() => void) | null = null;
 
   /**
    * Create a new GracefulShutdownCoordinator
@@ -278,7 +317,21 @@ export class GracefulShutdownCoordinator {
    * Whether an upgrade is pending
    */
   get isPendingUpgrade(): boolean {
-    return this.pendingUpgrade;
+    return this.phase !== UpgradePhase.IDLE;
+  }
+
+  /**
+   * Current upgrade phase
+   */
+  get upgradePhase(): UpgradePhase {
+    return this.phase;
+  }
+
+  /**
+   * Client that initiated the current upgrade (null when idle)
+   */
+  get upgradeInitiatorClientId(): string | null {
+    return this.upgradeInitiator;
   }
 
   /**
@@ -286,7 +339,8 @@ export class GracefulShutdownCoordinator {
    *
    * Returns false when:
    * - Shutdown is in progress (shuttingDown is true)
-   * - An upgrade is pending (pendingUpgrade is true)
+   * - An upgrade is draining or handing off (requests are still served while
+   *   the replacement daemon is being prepared)
    *
    * Use this method to gate incoming requests before tracking them.
    *
@@ -301,7 +355,10 @@ export class GracefulShutdownCoordinator {
    * ```
    */
   canAcceptRequest(): boolean {
-    return !this.shuttingDown && !this.pendingUpgrade;
+    return (
+      !this.shuttingDown &&
+      (this.phase === UpgradePhase.IDLE || this.phase === UpgradePhase.PREPARING)
+    );
   }
 
   // ═══════════════════════════════════════════════════════════════════════════
@@ -352,7 +409,7 @@ export class GracefulShutdownCoordinator {
    * @param initiatorClientId - Client that initiated the upgrade
    */
   async initiateUpgrade(newVersion: string, initiatorClientId: string): Promise<void> {
-    this.pendingUpgrade = true;
+    this.phase = UpgradePhase.DRAINING;
     this.upgradeVersion = newVersion;
     this.upgradeInitiator = initiatorClientId;
 
@@ -367,6 +424,132 @@ export class GracefulShutdownCoordinator {
 
     // Proceed with shutdown (using upgrade reason)
     await this.initiateShutdown(ShutdownReason.UPGRADE);
+    this.phase = UpgradePhase.COMPLETED;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Rolling Upgrade Flow
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Begin a rolling upgrade (PREPARING)
+   *
+   * Notifies clients that an upgrade is pending while requests keep being
+   * served. The initiator must call completeUpgrade() once its replacement
+   * daemon is healthy; otherwise the upgrade aborts after upgradePrepareTimeout.
+   *
+   * @param newVersion - Version being upgraded to
+   * @param initiatorClientId - Client that will become the new daemon
+   * @throws Error if an upgrade or shutdown is already in progress
+   */
+  async beginUpgrade(newVersion: string, initiatorClientId: string): Promise<void> {
+    if (this.shuttingDown) {
+      throw new Error('Shutdown already in progress');
+    }
+    if (this.phase !== UpgradePhase.IDLE) {
+      throw new Error(`Upgrade already in progress (${this.phase})`);
+    }
+
+    this.phase = UpgradePhase.PREPARING;
+    this.upgradeVersion = newVersion;
+    this.upgradeInitiator = initiatorClientId;
+
+    this.prepareTimeoutId = setTimeout(() => {
+      this.prepareTimeoutId = null;
+      void this.abortUpgrade('Replacement daemon did not become ready in time');
+    }, this.config.upgradePrepareTimeout);
+    this.prepareTimeoutId.unref?.();
+
+    logger.info('Upgrade preparing', {
+      newVersion,
+      initiatorClientId,
+      prepareTimeout: this.config.upgradePrepareTimeout,
+    });
+
+    await this.notifyUpgradePending(newVersion, initiatorClientId);
+  }
+
+  /**
+   * Drain in-flight requests and hand off to the replacement daemon
+   *
+   * Moves PREPARING → DRAINING → HANDING_OFF → COMPLETED. If the upgrade is
+   * aborted while draining, or handOff throws, the coordinator returns to
+   * IDLE, clients are told the upgrade was aborted, and false is returned.
+   *
+   * @param handOff - Stops serving and passes the socket and lock on
+   * @returns True if the hand-off completed
+   */
+  async completeUpgrade(handOff: () => Promise<void>): Promise<boolean> {
+    if (this.phase !== UpgradePhase.PREPARING) {
+      logger.warn('completeUpgrade called outside PREPARING phase', { phase: this.phase });
+      return false;
+    }
+
+    this.clearPrepareTimeout();
+    this.phase = UpgradePhase.DRAINING;
+
+    logger.info('Upgrade draining', {
+      newVersion: this.upgradeVersion,
+      pendingRequests: this.pendingRequests.size,
+    });
+
+    await this.waitForPendingRequests();
+
+    // abortUpgrade() resolves the wait early and resets the phase
+    // (cast: TypeScript narrows this.phase to DRAINING across the await)
+    if ((this.phase as UpgradePhase) !== UpgradePhase.DRAINING) {
+      return false;
+    }
+
+    this.phase = UpgradePhase.HANDING_OFF;
+
+    try {
+      await handOff();
+    } catch (error) {
+      const reason = `Hand-off failed: ${error instanceof Error ? error.message : String(error)}`;
+      logger.error('Upgrade hand-off failed, rolling back', { reason });
+      this.resetUpgrade();
+      await this.notifyUpgradeAbort(reason);
+      return false;
+    }
+
+    this.phase = UpgradePhase.COMPLETED;
+    this.shuttingDown = true;
+
+    logger.info('Upgrade handed off', { newVersion: this.upgradeVersion });
+    return true;
+  }
+
+  /**
+   * Abort a rolling upgrade and resume normal service
+   *
+   * Only PREPARING and DRAINING can be aborted; once the hand-off has started
+   * the old daemon no longer owns the socket.
+   *
+   * @param reason - Why the upgrade was aborted (sent to clients)
+   * @returns True if an upgrade was aborted
+   */
+  async abortUpgrade(reason: string): Promise<boolean> {
+    if (this.phase !== UpgradePhase.PREPARING && this.phase !== UpgradePhase.DRAINING) {
+      return false;
+    }
+
+    logger.warn('Upgrade aborted', {
+      phase: this.phase,
+      newVersion: this.upgradeVersion,
+      reason,
+    });
+
+    this.resetUpgrade();
+    this.cancelWaitTimeout();
+    if (this.waitResolve) {
+      const resolve = this.waitResolve;
+      this.waitResolve = null;
+      resolve();
+    }
+
+    await this.notifyUpgradeAbort(reason);
+    return true;
   }
 
   // ═══════════════════════════════════════════════════════════════════════════
@@ -406,6 +589,8 @@ export class GracefulShutdownCoordinator {
     const startTime = Date.now();
 
     return new Promise<void>((resolve) => {
+      this.waitResolve = resolve;
+
       const checkComplete = (): void => {
         // Clear any previous timeout tracking
         this.waitTimeoutId = null;
@@ -415,6 +600,7 @@ export class GracefulShutdownCoordinator {
         // Check if all requests completed
         if (this.pendingRequests.size === 0) {
           logger.debug('All pending requests completed', { elapsedMs: elapsed });
+          this.waitResolve = null;
           resolve();
           return;
         }
@@ -432,6 +618,7 @@ export class GracefulShutdownCoordinator {
 
           // Clear pending requests on force shutdown
           this.pendingRequests.clear();
+          this.waitResolve = null;
           resolve();
           return;
         }
@@ -457,6 +644,26 @@ export class GracefulShutdownCoordinator {
     }
   }
 
+  /**
+   * Return to IDLE after an aborted upgrade
+   */
+  private resetUpgrade(): void {
+    this.clearPrepareTimeout();
+    this.phase = UpgradePhase.IDLE;
+    this.upgradeVersion = null;
+    this.upgradeInitiator = null;
+  }
+
+  /**
+   * Clear the PREPARING timeout
+   */
+  private clearPrepareTimeout(): void {
+    if (this.prepareTimeoutId !== null) {
+      clearTimeout(this.prepareTimeoutId);
+      this.prepareTimeoutId = null;
+    }
+  }
+
   /**
    * Notify clients about shutdown
    */
@@ -509,4 +716,25 @@ export class GracefulShutdownCoordinator {
       // Continue upgrade even if notification fails
     }
   }
+
+  /**
+   * Notify clients that an upgrade was aborted
+   */
+  private async notifyUpgradeAbort(reason: string): Promise<void> {
+    const message: UpgradeAbortNotification = {
+      type: 'upgrade_abort',
+      reason,
+      timestamp: Date.now(),
+    };
+
+    try {
+      await this.config.notifyClients(message);
+      logger.debug('Upgrade abort notification sent', { reason });
+    } catch (error) {
+      logger.error('Failed to send upgrade abort notification', {
+        reason,
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
 }
@@ -13,6 +13,7 @@ import net from 'net';
 import os from 'os';
 import path from 'path';
 import fs from 'fs';
+import type { Writable } from 'stream';
 import { getDataDirectory } from '../../utils/PathResolver.js';
 import { logger } from '../../utils/logger.js';
 
@@ -44,6 +45,12 @@ const IS_RUNNING_DEFAULT_TIMEOUT_MS = 2000;
 /** Timeout for ping check in milliseconds */
 const PING_DEFAULT_TIMEOUT_MS = 2000;
 
+/**
+ * Unflushed bytes above which droppable writes are discarded (1MB).
+ * A peer that stops reading must not make the writer buffer without bound.
+ */
+export const DEFAULT_MAX_PENDING_WRITE_BYTES = 1024 * 1024;
+
 /**
  * IPC Transport configuration
  */
@@ -515,3 +522,60 @@ export class IpcTransport {
 export function createIpcTransport(config?: IpcTransportConfig): IpcTransport {
   return new IpcTransport(config);
 }
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Backpressure-aware Writes
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Outcome of writeWithBackpressure
+ *
+ * - `written`: accepted and below the stream's high-water mark
+ * - `buffered`: accepted, but the stream is above its high-water mark
+ * - `dropped`: not written (stream closed, or droppable and peer too slow)
+ */
+export type WriteResult = 'written' | 'buffered' | 'dropped';
+
+/**
+ * Options for writeWithBackpressure
+ */
+export interface WriteOptions {
+  /**
+   * Whether the data may be discarded when the peer is not keeping up.
+   * Use for best-effort traffic such as notifications; responses must not be dropped.
+   */
+  droppable?: boolean;
+
+  /** Unflushed bytes above which droppable writes are discarded (default: 1MB) */
+  maxPendingBytes?: number;
+}
+
+/**
+ * Write to an IPC socket (or any writable stream) honoring backpressure.
+ *
+ * Non-droppable data is always queued while the stream is open, as before.
+ * Droppable data is discarded once the stream already holds more than
+ * `maxPendingBytes` of unflushed output, so a stalled client cannot make the
+ * daemon buffer progress updates forever.
+ *
+ * @param stream - Destination socket or stream
+ * @param data - Serialized data to write
+ * @param options - Write options
+ * @returns Whether the data was written, buffered or dropped
+ */
+export function writeWithBackpressure(
+  stream: Writable,
+  data: string,
+  options: WriteOptions = {}
+): WriteResult {
+  if (stream.destroyed || stream.writable === false) {
+    return 'dropped';
+  }
+
+  const maxPendingBytes = options.maxPendingBytes ?? DEFAULT_MAX_PENDING_WRITE_BYTES;
+  if (options.droppable && (stream.writableLength ?? 0) >= maxPendingBytes) {
+    return 'dropped';
+  }
+
+  return stream.write(data) ? 'written' : 'buffered';
+}
@@ -10,33 +10,60 @@
  * 2. Proxy wraps in MCP_REQUEST and sends to daemon
  * 3. Daemon processes and returns MCP_RESPONSE
  * 4. Proxy extracts payload and writes to stdout
+ *    (daemon-pushed MCP notifications are written the same way)
  *
  * Features:
  * - Automatic reconnection with exponential backoff
  * - Message buffering during reconnection
  * - Heartbeat to detect connection issues
  * - Version upgrade notifications
+ * - Rolling upgrades: requests refused while the daemon drains are re-sent
+ *   after reconnecting to the replacement daemon
+ * - Tracing: when span export is configured, each tool call is recorded as a
+ *   client span and its W3C traceparent is passed to the daemon in
+ *   `params._meta.traceparent`
  */
 
 import { EventEmitter } from 'events';
 import { Readable, Writable } from 'stream';
 import net from 'net';
 import { v4 as uuidv4 } from 'uuid';
-import { IpcTransport } from './IpcTransport.js';
+import {
+  IpcTransport,
+  writeWithBackpressure,
+  DEFAULT_MAX_PENDING_WRITE_BYTES,
+} from './IpcTransport.js';
 import {
   MessageType,
   DaemonMessage,
   HandshakeAckMessage,
   McpResponseMessage,
+  McpNotificationMessage,
   ErrorMessage,
   ShutdownMessage,
+  UpgradePendingMessage,
+  UpgradeReadyMessage,
+  UpgradeAbortMessage,
+  RequestUpgradeMessage,
   createHandshake,
   createMcpRequest,
+  createRequestUpgrade,
+  createUpgradeReady,
+  createUpgradeAbort,
   parseMessage,
   serializeMessage,
   MESSAGE_DELIMITER,
 } from './DaemonProtocol.js';
+import { ErrorCodes } from './DaemonSocketServer.js';
 import { logger } from '../../utils/logger.js';
+import {
+  createTraceContext,
+  endSpan,
+  extractTraceContext,
+  formatW3CTraceparent,
+  type TraceContext,
+} from '../../utils/tracing/index.js';
+import { hasSpanProcessors } from '../../utils/tracing/export/pipeline.js';
 
 // ═══════════════════════════════════════════════════════════════════════════
 // Types & Interfaces
@@ -96,6 +123,12 @@ export interface StdioProxyClientConfig {
   /** Heartbeat interval in ms (default: 30000) */
   heartbeatInterval?: number;
 
+  /**
+   * Unflushed stdout bytes above which daemon notifications are dropped
+   * instead of queued (default: 1MB). Responses are never dropped.
+   */
+  maxPendingNotificationBytes?: number;
+
   /** Custom stdin stream (default: process.stdin) */
   stdin?: Readable;
 
@@ -124,6 +157,12 @@ export interface ProxyStats {
 
   /** Connection uptime in ms */
   connectionUptime: number;
+
+  /** Daemon notifications written to stdout */
+  notificationsForwarded: number;
+
+  /** Daemon notifications dropped because stdout was not keeping up */
+  notificationsDropped: number;
 }
 
 /**
@@ -140,11 +179,22 @@ interface BufferedMessage {
  */
 interface PendingRequest {
   requestId: string;
+  /** Original MCP payload, kept so the request can be re-sent after an upgrade */
+  payload: unknown;
   resolve: (response: unknown) => void;
   reject: (error: Error) => void;
   timeout: NodeJS.Timeout;
 }
 
+/**
+ * Client span of a forwarded tool call
+ */
+interface RequestSpan {
+  context: TraceContext;
+  toolName: string;
+  startTime: number;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // Event Types
 // ═══════════════════════════════════════════════════════════════════════════
@@ -153,6 +203,8 @@ export interface StdioProxyClientEvents {
   connected: () => void;
   disconnected: (reason: string) => void;
   upgrade_available: (newVersion: string) => void;
+  upgrade_pending: (message: UpgradePendingMessage) => void;
+  upgrade_aborted: (reason: string) => void;
   error: (error: Error) => void;
   shutdown: (reason: string) => void;
 }
@@ -206,6 +258,8 @@ export class StdioProxyClient extends EventEmitter {
   // Message handling
   private receiveBuffer = '';
   private pendingRequests = new Map<string, PendingRequest>();
+  /** Open tool call spans by request ID (kept across re-sends) */
+  private requestSpans = new Map<string, RequestSpan>();
   private messageBuffer: BufferedMessage[] = [];
   private bufferSize = 0;
 
@@ -219,6 +273,8 @@ export class StdioProxyClient extends EventEmitter {
   // Stats
   private requestsForwarded = 0;
   private reconnects = 0;
+  private notificationsForwarded = 0;
+  private notificationsDropped = 0;
 
   // Stdin event listener references for cleanup
   private stdinDataListener: ((data: Buffer | string) => void) | null = null;
@@ -242,6 +298,8 @@ export class StdioProxyClient extends EventEmitter {
       maxReceiveBufferSize: config.maxReceiveBufferSize ?? DEFAULT_MAX_RECEIVE_BUFFER_SIZE,
       maxStdinBufferSize: config.maxStdinBufferSize ?? DEFAULT_MAX_RECEIVE_BUFFER_SIZE,
       heartbeatInterval: config.heartbeatInterval ?? 30000,
+      maxPendingNotificationBytes:
+        config.maxPendingNotificationBytes ?? DEFAULT_MAX_PENDING_WRITE_BYTES,
       stdin: config.stdin ?? process.stdin,
       stdout: config.stdout ?? process.stdout,
       capabilities: config.capabilities ?? [],
@@ -301,6 +359,7 @@ export class StdioProxyClient extends EventEmitter {
       pending.reject(new Error('Proxy client stopped'));
     }
     this.pendingRequests.clear();
+    this.endAllRequestSpans('Proxy client stopped');
 
     // Clear message buffer
     this.messageBuffer = [];
@@ -349,6 +408,8 @@ export class StdioProxyClient extends EventEmitter {
       bufferedMessages: this.messageBuffer.length,
       bufferSizeBytes: this.bufferSize,
       connectionUptime: this.connectionStartTime ? Date.now() - this.connectionStartTime : 0,
+      notificationsForwarded: this.notificationsForwarded,
+      notificationsDropped: this.notificationsDropped,
     };
   }
 
@@ -359,6 +420,40 @@ export class StdioProxyClient extends EventEmitter {
     return this.assignedClientId ?? this.clientId;
   }
 
+  /**
+   * Ask the daemon to let this client's version replace it
+   *
+   * The daemon answers with UPGRADE_PENDING (emitted as 'upgrade_pending')
+   * or UPGRADE_ABORT (emitted as 'upgrade_aborted').
+   *
+   * @returns False if not connected
+   */
+  requestUpgrade(reason: RequestUpgradeMessage['reason'] = 'version_mismatch'): boolean {
+    return this.sendControlMessage(
+      createRequestUpgrade(this.getClientId(), this.config.clientVersion, reason)
+    );
+  }
+
+  /**
+   * Tell the daemon the replacement daemon passed its health check
+   *
+   * @returns False if not connected
+   */
+  reportUpgradeReady(
+    successor: Pick<UpgradeReadyMessage, 'pid' | 'version' | 'protocolVersion' | 'instanceId'>
+  ): boolean {
+    return this.sendControlMessage(createUpgradeReady(this.getClientId(), successor));
+  }
+
+  /**
+   * Tell the daemon the replacement daemon failed and the upgrade is off
+   *
+   * @returns False if not connected
+   */
+  reportUpgradeAbort(reason: string): boolean {
+    return this.sendControlMessage(createUpgradeAbort(reason, this.getClientId()));
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════
   // Connection Management
   // ═══════════════════════════════════════════════════════════════════════════
@@ -492,6 +587,10 @@ export class StdioProxyClient extends EventEmitter {
         this.handleMcpResponse(message as McpResponseMessage);
         break;
 
+      case MessageType.MCP_NOTIFICATION:
+        this.handleMcpNotification(message as McpNotificationMessage);
+        break;
+
       case MessageType.HEARTBEAT_ACK:
         // Heartbeat acknowledged - connection healthy
         logger.debug('[StdioProxyClient] Heartbeat acknowledged');
@@ -510,6 +609,11 @@ export class StdioProxyClient extends EventEmitter {
         logger.info('[StdioProxyClient] Upgrade pending', {
           message,
         });
+        this.emit('upgrade_pending', message as UpgradePendingMessage);
+        break;
+
+      case MessageType.UPGRADE_ABORT:
+        this.handleUpgradeAbort(message as UpgradeAbortMessage);
         break;
 
       default:
@@ -534,6 +638,10 @@ export class StdioProxyClient extends EventEmitter {
     // Clear timeout and resolve
     clearTimeout(pending.timeout);
     this.pendingRequests.delete(response.requestId);
+    this.endRequestSpan(
+      response.requestId,
+      (response.payload as { error?: { message?: string } } | null)?.error?.message
+    );
 
     // Write response to stdout
     this.writeToStdout(response.payload);
@@ -541,6 +649,37 @@ export class StdioProxyClient extends EventEmitter {
     pending.resolve(response.payload);
   }
 
+  /**
+   * Handle MCP notification pushed by the daemon
+   *
+   * Notifications are best-effort: if stdout is not draining they are dropped
+   * rather than queued, so a stalled host cannot grow the proxy's memory.
+   */
+  private handleMcpNotification(notification: McpNotificationMessage): void {
+    if (notification.clientId !== undefined && notification.clientId !== this.getClientId()) {
+      logger.warn('[StdioProxyClient] Received notification for another client', {
+        clientId: notification.clientId,
+      });
+      return;
+    }
+
+    const output = JSON.stringify(notification.payload) + '\n';
+    const result = writeWithBackpressure(this.config.stdout, output, {
+      droppable: true,
+      maxPendingBytes: this.config.maxPendingNotificationBytes,
+    });
+
+    if (result === 'dropped') {
+      this.notificationsDropped++;
+      logger.debug('[StdioProxyClient] Dropped notification, stdout not draining', {
+        requestId: notification.requestId,
+      });
+      return;
+    }
+
+    this.notificationsForwarded++;
+  }
+
   /**
    * Handle shutdown notification from daemon
    */
@@ -576,11 +715,40 @@ export class StdioProxyClient extends EventEmitter {
       if (pending) {
         clearTimeout(pending.timeout);
         this.pendingRequests.delete(message.requestId);
-        pending.reject(new Error(`Daemon error: ${message.code} - ${message.message}`));
+
+        // Daemon is draining for an upgrade: hold the request until we are
+        // connected to the replacement (or the upgrade is aborted)
+        if (message.code === ErrorCodes.UPGRADE_IN_PROGRESS) {
+          this.bufferMessage(message.requestId, pending.payload);
+          return;
+        }
+
+        const error = new Error(`Daemon error: ${message.code} - ${message.message}`);
+        this.endRequestSpan(message.requestId, error);
+        pending.reject(error);
       }
     }
   }
 
+  /**
+   * Handle upgrade abort from daemon
+   *
+   * Requests held back while the daemon was draining are sent again.
+   */
+  private handleUpgradeAbort(message: UpgradeAbortMessage): void {
+    logger.info('[StdioProxyClient] Upgrade aborted', { reason: message.reason });
+
+    this.emit('upgrade_aborted', message.reason);
+
+    if (this.connected) {
+      this.flushMessageBuffer().catch((error) => {
+        logger.warn('[StdioProxyClient] Failed to flush buffer after upgrade abort', {
+          error: error instanceof Error ? error.message : String(error),
+        });
+      });
+    }
+  }
+
   /**
    * Handle disconnect event
    */
@@ -789,6 +957,7 @@ export class StdioProxyClient extends EventEmitter {
    */
   private forwardMcpRequest(payload: unknown): void {
     const requestId = uuidv4();
+    payload = this.startRequestSpan(requestId, payload);
 
     if (!this.connected) {
       // Buffer during reconnect
@@ -811,10 +980,12 @@ export class StdioProxyClient extends EventEmitter {
     // Create pending request entry
     const pending: PendingRequest = {
       requestId,
+      payload,
       resolve: () => {},
       reject: () => {},
       timeout: setTimeout(() => {
         this.pendingRequests.delete(requestId);
+        this.endRequestSpan(requestId, 'Request timeout - daemon did not respond');
         logger.warn('[StdioProxyClient] Request timeout', { requestId });
 
         // Write error response to stdout for MCP compliance
@@ -852,6 +1023,69 @@ export class StdioProxyClient extends EventEmitter {
     });
   }
 
+  /**
+   * Open a client span for a tool call and propagate it to the daemon
+   *
+   * Continues the host's trace when it already sent `_meta.traceparent`.
+   *
+   * @returns The payload to forward (with `_meta.traceparent` for tool calls)
+   */
+  private startRequestSpan(requestId: string, payload: unknown): unknown {
+    const request = payload as {
+      method?: unknown;
+      params?: { name?: unknown; _meta?: Record<string, unknown> };
+    } | null;
+    if (
+      !hasSpanProcessors() ||
+      request?.method !== 'tools/call' ||
+      typeof request.params !== 'object' ||
+      request.params === null
+    ) {
+      return payload;
+    }
+
+    const meta = request.params._meta ?? {};
+    const parent = typeof meta.traceparent === 'string'
+      ? extractTraceContext({ traceparent: meta.traceparent })
+      : null;
+    const context = createTraceContext(parent ?? undefined, parent?.sampled ?? true);
+    const toolName = typeof request.params.name === 'string' ? request.params.name : 'unknown';
+    this.requestSpans.set(requestId, { context, toolName, startTime: Date.now() });
+
+    return {
+      ...request,
+      params: { ...request.params, _meta: { ...meta, traceparent: formatW3CTraceparent(context) } },
+    };
+  }
+
+  /**
+   * Record the client span of a finished (or failed) tool call
+   */
+  private endRequestSpan(requestId: string, error?: unknown): void {
+    const span = this.requestSpans.get(requestId);
+    if (!span) {
+      return;
+    }
+    this.requestSpans.delete(requestId);
+
+    endSpan(span.context, {
+      name: `mcp.proxy ${span.toolName}`,
+      kind: 'client',
+      startTime: span.startTime,
+      attributes: { 'mcp.tool.name': span.toolName, 'memesh.client_id': this.getClientId() },
+      error,
+    });
+  }
+
+  /**
+   * Record every open tool call span as failed
+   */
+  private endAllRequestSpans(reason: string): void {
+    for (const requestId of [...this.requestSpans.keys()]) {
+      this.endRequestSpan(requestId, reason);
+    }
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════
   // Message Buffering
   // ═══════════════════════════════════════════════════════════════════════════
@@ -919,6 +1153,7 @@ export class StdioProxyClient extends EventEmitter {
           requestId: buffered.requestId,
           age: Date.now() - buffered.timestamp,
         });
+        this.endRequestSpan(buffered.requestId, 'Request expired during reconnection');
 
         // Write timeout error to stdout
         const errorResponse = {
@@ -945,7 +1180,8 @@ export class StdioProxyClient extends EventEmitter {
    * Attempt to reconnect to daemon
    */
   private attemptReconnect(): void {
-    if (this.stopped || this.connecting || this.connected) return;
+    // A reconnect may already be scheduled (e.g. both SHUTDOWN and socket close)
+    if (this.stopped || this.connecting || this.connected || this.reconnectTimer) return;
 
     if (this.reconnectAttempts >= this.config.maxReconnectAttempts) {
       logger.error('[StdioProxyClient] Max reconnect attempts reached', {
@@ -971,6 +1207,7 @@ export class StdioProxyClient extends EventEmitter {
     });
 
     this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
       try {
         await this.connectToDaemon();
         this.startHeartbeat();
@@ -1008,6 +1245,7 @@ export class StdioProxyClient extends EventEmitter {
     }
     this.messageBuffer = [];
     this.bufferSize = 0;
+    this.endAllRequestSpans(reason);
   }
 
   // ═══════════════════════════════════════════════════════════════════════════
@@ -1051,6 +1289,17 @@ export class StdioProxyClient extends EventEmitter {
   // Output
   // ═══════════════════════════════════════════════════════════════════════════
 
+  /**
+   * Send a protocol control message to the daemon
+   */
+  private sendControlMessage(message: DaemonMessage): boolean {
+    if (!this.socket || !this.connected) {
+      return false;
+    }
+    this.socket.write(serializeMessage(message));
+    return true;
+  }
+
   /**
    * Write JSON-RPC response to stdout
    */
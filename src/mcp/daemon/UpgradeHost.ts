@@ -0,0 +1,283 @@
+/**
+ * UpgradeHost - Rolling Upgrade Handling for the Running Daemon
+ *
+ * Runs inside the current daemon and answers upgrade requests from newer
+ * clients. The daemon keeps serving while the initiator starts and health
+ * checks its replacement; only once the replacement reports ready does the
+ * daemon drain in-flight requests and hand over its socket and lock.
+ *
+ * Flow (old daemon side):
+ * 1. REQUEST_UPGRADE from a newer client → UPGRADE_PENDING to all clients
+ * 2. UPGRADE_READY from the initiator → drain, stop listening, transfer lock
+ * 3. Proxies see SHUTDOWN(upgrade), reconnect and re-send held requests
+ *
+ * The upgrade is aborted (UPGRADE_ABORT to all clients, service continues) if:
+ * - the initiator disconnects or reports UPGRADE_ABORT
+ * - the replacement does not become ready within the prepare timeout
+ * - the lock cannot be handed over
+ */
+
+import { EventEmitter } from 'events';
+import type { DaemonSocketServer } from './DaemonSocketServer.js';
+import {
+  UpgradePhase,
+  type GracefulShutdownCoordinator,
+  type CoordinatorNotification,
+} from './GracefulShutdownCoordinator.js';
+import { VersionManager } from './VersionManager.js';
+import { DaemonLockManager } from './DaemonLockManager.js';
+import {
+  createShutdown,
+  createUpgradePending,
+  createUpgradeAbort,
+  type DaemonMessage,
+  type RequestUpgradeMessage,
+  type UpgradeReadyMessage,
+  type UpgradeAbortMessage,
+} from './DaemonProtocol.js';
+import { logger } from '../../utils/logger.js';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Types
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Configuration for UpgradeHost
+ */
+export interface UpgradeHostConfig {
+  /** Socket server of the running daemon */
+  server: DaemonSocketServer;
+
+  /** Coordinator shared with the socket server (tracks in-flight requests) */
+  coordinator: GracefulShutdownCoordinator;
+
+  /** Version of the running daemon */
+  versionManager: VersionManager;
+}
+
+/**
+ * Event map for UpgradeHost
+ */
+export interface UpgradeHostEvents {
+  /** Socket and lock now belong to the replacement daemon */
+  handed_off: (successor: UpgradeReadyMessage) => void;
+
+  /** Upgrade was rejected or aborted; the daemon keeps serving */
+  aborted: (reason: string) => void;
+}
+
+/**
+ * Convert a coordinator notification into the protocol message sent to clients
+ *
+ * Use as the coordinator's notifyClients callback together with
+ * DaemonSocketServer.broadcast().
+ */
+export function toDaemonMessage(notification: CoordinatorNotification): DaemonMessage {
+  switch (notification.type) {
+    case 'shutdown':
+      return createShutdown(notification.reason, notification.gracePeriod);
+    case 'upgrade_pending':
+      return createUpgradePending(
+        notification.newVersion,
+        notification.estimatedShutdownTime,
+        notification.initiatorClientId
+      );
+    case 'upgrade_abort':
+      return createUpgradeAbort(notification.reason);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// UpgradeHost Class
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Answers upgrade requests for a running daemon.
+ *
+ * @example
+ * ```typescript
+ * const coordinator = new GracefulShutdownCoordinator({
+ *   notifyClients: async (n) => { server.broadcast(toDaemonMessage(n)); },
+ * });
+ * const server = new DaemonSocketServer({ transport, version, shutdownCoordinator: coordinator });
+ * const host = new UpgradeHost({ server, coordinator, versionManager });
+ * host.start();
+ * host.on('handed_off', () => logger.info('Replaced by newer daemon'));
+ * ```
+ */
+export class UpgradeHost extends EventEmitter {
+  private readonly config: UpgradeHostConfig;
+  private started = false;
+
+  // Listener references for stop()
+  private readonly onRequest = (request: RequestUpgradeMessage, clientId: string): void => {
+    this.handleUpgradeRequest(request, clientId).catch((error) => this.logFailure(error));
+  };
+  private readonly onReady = (message: UpgradeReadyMessage, clientId: string): void => {
+    this.handleUpgradeReady(message, clientId).catch((error) => this.logFailure(error));
+  };
+  private readonly onAbort = (message: UpgradeAbortMessage, clientId: string): void => {
+    if (clientId === this.config.coordinator.upgradeInitiatorClientId) {
+      void this.abort(`Initiator aborted: ${message.reason}`);
+    }
+  };
+  private readonly onDisconnect = (clientId: string): void => {
+    if (clientId === this.config.coordinator.upgradeInitiatorClientId) {
+      void this.abort('Upgrade initiator disconnected');
+    }
+  };
+
+  constructor(config: UpgradeHostConfig) {
+    super();
+    this.config = config;
+  }
+
+  /**
+   * Start listening for upgrade messages
+   */
+  start(): void {
+    if (this.started) return;
+    this.started = true;
+
+    const { server } = this.config;
+    server.on('upgrade_requested', this.onRequest);
+    server.on('upgrade_ready', this.onReady);
+    server.on('upgrade_abort', this.onAbort);
+    server.on('client_disconnect', this.onDisconnect);
+  }
+
+  /**
+   * Stop listening for upgrade messages
+   */
+  stop(): void {
+    if (!this.started) return;
+    this.started = false;
+
+    const { server } = this.config;
+    server.off('upgrade_requested', this.onRequest);
+    server.off('upgrade_ready', this.onReady);
+    server.off('upgrade_abort', this.onAbort);
+    server.off('client_disconnect', this.onDisconnect);
+  }
+
+  // Type-safe event emitter overrides
+  on<K extends keyof UpgradeHostEvents>(event: K, listener: UpgradeHostEvents[K]): this {
+    return super.on(event, listener);
+  }
+
+  emit<K extends keyof UpgradeHostEvents>(
+    event: K,
+    ...args: Parameters<UpgradeHostEvents[K]>
+  ): boolean {
+    return super.emit(event, ...args);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Private Methods
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Accept or reject an upgrade request
+   */
+  private async handleUpgradeRequest(
+    request: RequestUpgradeMessage,
+    clientId: string
+  ): Promise<void> {
+    const { server, coordinator, versionManager } = this.config;
+
+    let rejection: string | undefined;
+    if (coordinator.isShuttingDown) {
+      rejection = 'Daemon is shutting down';
+    } else if (coordinator.upgradePhase !== UpgradePhase.IDLE) {
+      rejection = 'Another upgrade is already in progress';
+    } else {
+      rejection = versionManager.canUpgradeTo(request.newVersion).reason;
+    }
+
+    if (rejection) {
+      logger.info('[UpgradeHost] Upgrade request rejected', {
+        clientId,
+        newVersion: request.newVersion,
+        reason: rejection,
+      });
+      server.sendToClient(clientId, createUpgradeAbort(rejection));
+      return;
+    }
+
+    logger.info('[UpgradeHost] Upgrade request accepted', {
+      clientId,
+      newVersion: request.newVersion,
+    });
+    await coordinator.beginUpgrade(request.newVersion, clientId);
+  }
+
+  /**
+   * Drain and hand off once the initiator's replacement daemon is healthy
+   */
+  private async handleUpgradeReady(message: UpgradeReadyMessage, clientId: string): Promise<void> {
+    const { server, coordinator } = this.config;
+
+    if (
+      coordinator.upgradePhase !== UpgradePhase.PREPARING ||
+      clientId !== coordinator.upgradeInitiatorClientId
+    ) {
+      logger.warn('[UpgradeHost] Ignoring UPGRADE_READY from non-initiator', {
+        clientId,
+        phase: coordinator.upgradePhase,
+      });
+      return;
+    }
+
+    if (!DaemonLockManager.isValidUuid(message.instanceId)) {
+      await this.abort('Replacement daemon reported an invalid instance ID');
+      return;
+    }
+
+    let handOffStarted = false;
+    const handedOff = await coordinator.completeUpgrade(async () => {
+      handOffStarted = true;
+      await server.stop('upgrade');
+
+      const transferred = await DaemonLockManager.transferLock({
+        pid: message.pid,
+        instanceId: message.instanceId,
+        version: message.version,
+        protocolVersion: message.protocolVersion,
+        minClientVersion: VersionManager.getMinCompatibleVersion(message.version),
+      });
+
+      if (!transferred) {
+        // Roll back: listen again so proxies reconnect to us
+        await server.start();
+        throw new Error('Lock transfer failed');
+      }
+    });
+
+    if (handedOff) {
+      this.stop();
+      logger.info('[UpgradeHost] Handed off to replacement daemon', {
+        pid: message.pid,
+        version: message.version,
+      });
+      this.emit('handed_off', message);
+    } else if (handOffStarted) {
+      // Aborts while draining were already reported by abort()
+      this.emit('aborted', 'Hand-off to replacement daemon failed');
+    }
+  }
+
+  /**
+   * Abort the current upgrade, if any
+   */
+  private async abort(reason: string): Promise<void> {
+    if (await this.config.coordinator.abortUpgrade(reason)) {
+      this.emit('aborted', reason);
+    }
+  }
+
+  private logFailure(error: unknown): void {
+    logger.error('[UpgradeHost] Upgrade handling failed', {
+      error: error instanceof Error ? error.message : String(error),
+    });
+  }
+}
@@ -0,0 +1,455 @@
+/**
+ * UpgradeSuccessor - Replacement Daemon Side of a Rolling Upgrade
+ *
+ * Runs in the proxy process of a client that is newer than the daemon it is
+ * connected to. It asks the daemon to step aside, proves that a daemon of the
+ * new version actually works, and only then lets the old daemon hand over.
+ *
+ * Flow (new daemon side):
+ * 1. REQUEST_UPGRADE → wait for UPGRADE_PENDING naming this client
+ * 2. Start a daemon on a temporary socket and health check it
+ *    (handshake + tools/list through the real MCP handler)
+ * 3. UPGRADE_READY → wait for the old daemon to transfer the lock
+ * 4. Start the daemon on the shared socket; proxies reconnect to it
+ *
+ * If the health check fails the initiator sends UPGRADE_ABORT and the old
+ * daemon carries on. If this process goes away mid-upgrade the old daemon
+ * sees the initiator disconnect and aborts on its own.
+ */
+
+import net from 'net';
+import { v4 as uuidv4 } from 'uuid';
+import { IpcTransport } from './IpcTransport.js';
+import { DaemonLockManager } from './DaemonLockManager.js';
+import {
+  MessageType,
+  PROTOCOL_VERSION,
+  MESSAGE_DELIMITER,
+  createHandshake,
+  createMcpRequest,
+  parseMessage,
+  serializeMessage,
+  type DaemonMessage,
+  type ErrorMessage,
+  type HandshakeAckMessage,
+  type McpResponseMessage,
+  type UpgradePendingMessage,
+} from './DaemonProtocol.js';
+import type { DaemonSocketServer } from './DaemonSocketServer.js';
+import type { StdioProxyClient } from './StdioProxyClient.js';
+import { logger } from '../../utils/logger.js';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Types
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Configuration for UpgradeSuccessor
+ */
+export interface UpgradeSuccessorConfig {
+  /** Proxy connected to the daemon being replaced */
+  proxy: StdioProxyClient;
+
+  /** Version of the replacement daemon (this process) */
+  version: string;
+
+  /** Protocol version of the replacement daemon (default: PROTOCOL_VERSION) */
+  protocolVersion?: number;
+
+  /** Transport of the shared daemon socket */
+  mainTransport: IpcTransport;
+
+  /** Transport for the health-check socket (default: daemon-upgrade-<pid>) */
+  stagingTransport?: IpcTransport;
+
+  /**
+   * Create a fully wired (MCP handler attached) but not yet started daemon
+   * server for a transport. Called once for the health check and once for
+   * the shared socket.
+   */
+  createServer: (transport: IpcTransport) => DaemonSocketServer | Promise<DaemonSocketServer>;
+
+  /** Time to wait for the daemon to accept the request in ms (default: 10000) */
+  acceptTimeout?: number;
+
+  /** Time allowed for the health check in ms (default: 10000) */
+  healthCheckTimeout?: number;
+
+  /**
+   * Time to wait for the lock after reporting ready in ms (default: 60000).
+   * Must exceed the old daemon's drain timeout.
+   */
+  handOffTimeout?: number;
+
+  /** Lock polling interval in ms (default: 100) */
+  lockPollInterval?: number;
+}
+
+/**
+ * Result of UpgradeSuccessor.run()
+ */
+export type UpgradeOutcome =
+  | { upgraded: true; server: DaemonSocketServer; instanceId: string }
+  | { upgraded: false; reason: string };
+
+// ═══════════════════════════════════════════════════════════════════════════
+// UpgradeSuccessor Class
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Takes over the shared daemon from an older version.
+ *
+ * @example
+ * ```typescript
+ * const successor = new UpgradeSuccessor({
+ *   proxy,
+ *   version,
+ *   mainTransport: transport,
+ *   createServer: (t) => createWiredServer(t),
+ * });
+ * const outcome = await successor.run();
+ * if (outcome.upgraded) {
+ *   logger.info('This process is now the daemon');
+ * }
+ * ```
+ */
+export class UpgradeSuccessor {
+  private readonly config: Required<Omit<UpgradeSuccessorConfig, 'stagingTransport'>> & {
+    stagingTransport: IpcTransport;
+  };
+  private running = false;
+
+  constructor(config: UpgradeSuccessorConfig) {
+    this.config = {
+      proxy: config.proxy,
+      version: config.version,
+      protocolVersion: config.protocolVersion ?? PROTOCOL_VERSION,
+      mainTransport: config.mainTransport,
+      stagingTransport:
+        config.stagingTransport ?? new IpcTransport({ socketName: `daemon-upgrade-${process.pid}` }),
+      createServer: config.createServer,
+      acceptTimeout: config.acceptTimeout ?? 10000,
+      healthCheckTimeout: config.healthCheckTimeout ?? 10000,
+      handOffTimeout: config.handOffTimeout ?? 60000,
+      lockPollInterval: config.lockPollInterval ?? 100,
+    };
+  }
+
+  /**
+   * Run the upgrade
+   *
+   * Never throws for upgrade failures; they are reported in the outcome and
+   * leave the old daemon serving.
+   *
+   * @throws Error if called while already running
+   */
+  async run(): Promise<UpgradeOutcome> {
+    if (this.running) {
+      throw new Error('Upgrade already running');
+    }
+    this.running = true;
+
+    try {
+      return await this.runSteps();
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Private Methods
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  private async runSteps(): Promise<UpgradeOutcome> {
+    const { proxy, version, protocolVersion } = this.config;
+
+    // 1. Ask the daemon to step aside
+    try {
+      await this.requestAcceptance();
+    } catch (error) {
+      return this.fail(`Upgrade not accepted: ${errorMessage(error)}`);
+    }
+
+    logger.info('[UpgradeSuccessor] Upgrade accepted, starting replacement daemon', { version });
+
+    // 2. Prove the new version works before the old daemon stops
+    const staging = this.config.stagingTransport;
+    let stagingServer: DaemonSocketServer | null = null;
+    try {
+      stagingServer = await this.config.createServer(staging);
+      await stagingServer.start();
+      await this.healthCheck(staging);
+    } catch (error) {
+      const reason = `Replacement daemon failed health check: ${errorMessage(error)}`;
+      proxy.reportUpgradeAbort(reason);
+      await this.stopStaging(stagingServer, staging);
+      return this.fail(reason);
+    }
+    await this.stopStaging(stagingServer, staging);
+
+    // 3. Let the old daemon drain and hand over its lock
+    const instanceId = DaemonLockManager.generateInstanceId();
+    if (!proxy.reportUpgradeReady({ pid: process.pid, version, protocolVersion, instanceId })) {
+      return this.fail('Lost connection to daemon before hand-off');
+    }
+
+    try {
+      await this.waitForLock(instanceId);
+    } catch (error) {
+      return this.fail(`Hand-off did not complete: ${errorMessage(error)}`);
+    }
+
+    // 4. Serve the shared socket
+    let server: DaemonSocketServer;
+    try {
+      server = await this.config.createServer(this.config.mainTransport);
+      await server.start();
+    } catch (error) {
+      // Let the next client become the daemon rather than leave a dead lock
+      await DaemonLockManager.releaseLock();
+      return this.fail(`Failed to start on shared socket: ${errorMessage(error)}`);
+    }
+
+    logger.info('[UpgradeSuccessor] Upgrade complete, now serving as daemon', {
+      version,
+      pid: process.pid,
+    });
+    return { upgraded: true, server, instanceId };
+  }
+
+  /**
+   * Send REQUEST_UPGRADE and wait for UPGRADE_PENDING naming this client
+   */
+  private requestAcceptance(): Promise<void> {
+    const { proxy, acceptTimeout } = this.config;
+
+    return new Promise<void>((resolve, reject) => {
+      const cleanup = (): void => {
+        clearTimeout(timer);
+        proxy.off('upgrade_pending', onPending);
+        proxy.off('upgrade_aborted', onAborted);
+      };
+      const onPending = (message: UpgradePendingMessage): void => {
+        if (message.initiatorClientId !== proxy.getClientId()) return;
+        cleanup();
+        resolve();
+      };
+      const onAborted = (reason: string): void => {
+        cleanup();
+        reject(new Error(reason));
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        // The daemon may still accept later; make sure it does not wait for us
+        proxy.reportUpgradeAbort('Upgrade acceptance timed out');
+        reject(new Error(`No answer within ${acceptTimeout}ms`));
+      }, acceptTimeout);
+
+      proxy.on('upgrade_pending', onPending);
+      proxy.on('upgrade_aborted', onAborted);
+
+      if (!proxy.requestUpgrade()) {
+        cleanup();
+        reject(new Error('Not connected to daemon'));
+      }
+    });
+  }
+
+  /**
+   * Handshake with the replacement daemon and run tools/list through it
+   */
+  private async healthCheck(transport: IpcTransport): Promise<void> {
+    const { version, protocolVersion, healthCheckTimeout } = this.config;
+    const socket = await transport.connect({ timeout: healthCheckTimeout });
+    const reader = createMessageReader(socket, healthCheckTimeout);
+
+    try {
+      socket.write(serializeMessage(createHandshake(`upgrade-health-${process.pid}`, version)));
+      const ack = (await reader.next(
+        (m) => m.type === MessageType.HANDSHAKE_ACK
+      )) as HandshakeAckMessage;
+
+      if (!ack.success) {
+        throw new Error(`Handshake failed: ${ack.error ?? 'unknown error'}`);
+      }
+      if (ack.daemonVersion !== version || ack.protocolVersion !== protocolVersion) {
+        throw new Error(
+          `Handshake reported ${ack.daemonVersion} (protocol ${ack.protocolVersion}), ` +
+            `expected ${version} (protocol ${protocolVersion})`
+        );
+      }
+
+      const requestId = uuidv4();
+      socket.write(
+        serializeMessage(
+          createMcpRequest(requestId, ack.assignedClientId, {
+            jsonrpc: '2.0',
+            id: requestId,
+            method: 'tools/list',
+          })
+        )
+      );
+
+      const reply = await reader.next(
+        (m) =>
+          (m.type === MessageType.MCP_RESPONSE || m.type === MessageType.ERROR) &&
+          (m as McpResponseMessage | ErrorMessage).requestId === requestId
+      );
+
+      if (reply.type === MessageType.ERROR) {
+        const error = reply as ErrorMessage;
+        throw new Error(`${error.code}: ${error.message}`);
+      }
+      const payload = (reply as McpResponseMessage).payload as { error?: { message?: string } };
+      if (!payload || payload.error) {
+        throw new Error(`tools/list failed: ${payload?.error?.message ?? 'empty response'}`);
+      }
+    } finally {
+      reader.close();
+      socket.destroy();
+    }
+  }
+
+  /**
+   * Poll the lock file until the old daemon has transferred it to us
+   */
+  private waitForLock(instanceId: string): Promise<void> {
+    const { proxy, handOffTimeout, lockPollInterval } = this.config;
+
+    return new Promise<void>((resolve, reject) => {
+      let pollTimer: ReturnType<typeof setTimeout> | null = null;
+      let done = false;
+
+      const finish = (error?: Error): void => {
+        if (done) return;
+        done = true;
+        clearTimeout(deadline);
+        if (pollTimer) clearTimeout(pollTimer);
+        proxy.off('upgrade_aborted', onAborted);
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+      const onAborted = (reason: string): void => finish(new Error(reason));
+      const deadline = setTimeout(
+        () => finish(new Error(`Lock not transferred within ${handOffTimeout}ms`)),
+        handOffTimeout
+      );
+
+      const poll = async (): Promise<void> => {
+        const lock = await DaemonLockManager.readLock();
+        if (lock?.instanceId === instanceId && lock.pid === process.pid) {
+          finish();
+          return;
+        }
+        if (!done) {
+          pollTimer = setTimeout(() => void poll(), lockPollInterval);
+        }
+      };
+
+      proxy.on('upgrade_aborted', onAborted);
+      void poll();
+    });
+  }
+
+  private async stopStaging(
+    server: DaemonSocketServer | null,
+    transport: IpcTransport
+  ): Promise<void> {
+    try {
+      await server?.stop('upgrade');
+      transport.cleanup();
+    } catch (error) {
+      logger.warn('[UpgradeSuccessor] Failed to stop health-check server', {
+        error: errorMessage(error),
+      });
+    }
+  }
+
+  private fail(reason: string): UpgradeOutcome {
+    logger.warn('[UpgradeSuccessor] Upgrade abandoned, old daemon keeps serving', { reason });
+    return { upgraded: false, reason };
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Helpers
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Minimal newline-delimited message reader for the health check
+ */
+function createMessageReader(
+  socket: net.Socket,
+  timeout: number
+): {
+  next: (predicate: (message: DaemonMessage) => boolean) => Promise<DaemonMessage>;
+  close: () => void;
+} {
+  let buffer = '';
+  const received: DaemonMessage[] = [];
+  let waiter: {
+    predicate: (message: DaemonMessage) => boolean;
+    resolve: (message: DaemonMessage) => void;
+    reject: (error: Error) => void;
+  } | null = null;
+  let failure: Error | null = null;
+
+  const deliver = (): void => {
+    if (!waiter) return;
+    if (failure) {
+      waiter.reject(failure);
+      waiter = null;
+      return;
+    }
+    const index = received.findIndex(waiter.predicate);
+    if (index !== -1) {
+      const [message] = received.splice(index, 1);
+      waiter.resolve(message);
+      waiter = null;
+    }
+  };
+
+  const onData = (data: Buffer): void => {
+    buffer += data.toString();
+    let newlineIndex: number;
+    while ((newlineIndex = buffer.indexOf(MESSAGE_DELIMITER)) !== -1) {
+      const message = parseMessage(buffer.slice(0, newlineIndex));
+      buffer = buffer.slice(newlineIndex + 1);
+      if (message) received.push(message);
+    }
+    deliver();
+  };
+  const onClose = (): void => {
+    failure ??= new Error('Connection closed');
+    deliver();
+  };
+  const timer = setTimeout(() => {
+    failure ??= new Error(`Timed out after ${timeout}ms`);
+    deliver();
+  }, timeout);
+
+  socket.on('data', onData);
+  socket.on('close', onClose);
+  socket.on('error', onClose);
+
+  return {
+    next: (predicate) =>
+      new Promise<DaemonMessage>((resolve, reject) => {
+        waiter = { predicate, resolve, reject };
+        deliver();
+      }),
+    close: () => {
+      clearTimeout(timer);
+      socket.off('data', onData);
+      socket.off('close', onClose);
+      socket.off('error', onClose);
+    },
+  };
+}
+
+function errorMessage(error: unknown): string {
+  return error instanceof Error ? error.message : String(error);
+}
@@ -47,6 +47,14 @@ export interface CompatibilityResult {
   upgradeRecommended: boolean;
 }
 
+/**
+ * Result of an upgrade request check
+ */
+export interface UpgradeCheckResult {
+  allowed: boolean;
+  reason?: string;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // Version Parsing Utilities
 // ═══════════════════════════════════════════════════════════════════════════
@@ -353,6 +361,30 @@ export class VersionManager {
     }
   }
 
+  /**
+   * Check whether a requested upgrade may replace this daemon
+   *
+   * Only strictly newer, valid versions are accepted so two clients of the
+   * same version cannot hand the daemon back and forth.
+   *
+   * @param newVersion - Version offered by the upgrade initiator
+   * @returns Whether the upgrade is allowed, with a reason when it is not
+   */
+  canUpgradeTo(newVersion: string): UpgradeCheckResult {
+    if (!parseVersion(newVersion)) {
+      return { allowed: false, reason: `Invalid version: ${newVersion}` };
+    }
+
+    if (compareVersions(newVersion, this.version) <= 0) {
+      return {
+        allowed: false,
+        reason: `Version ${newVersion} is not newer than daemon version ${this.version}`,
+      };
+    }
+
+    return { allowed: true };
+  }
+
   // ═══════════════════════════════════════════════════════════════════════
   // Static Utility Methods
   // ═══════════════════════════════════════════════════════════════════════
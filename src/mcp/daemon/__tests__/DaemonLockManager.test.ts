@@ -435,6 +435,72 @@ describe('DaemonLockManager', () => {
     });
   });
 
+  describe('transferLock', () => {
+    const successor = {
+      pid: 424242,
+      instanceId: '11111111-2222-4333-8444-555555555555',
+      version: '2.7.0',
+      protocolVersion: 1,
+      minClientVersion: '2.7.0',
+    };
+
+    it('should hand the lock to the successor atomically', async () => {
+      await DaemonLockManager.acquireLock({
+        socketPath: '/test/socket.sock',
+        startTime: Date.now(),
+        version: '2.6.0',
+        clientCount: 3,
+        protocolVersion: 1,
+        minClientVersion: '2.6.0',
+      });
+
+      const transferred = await DaemonLockManager.transferLock(successor);
+      expect(transferred).toBe(true);
+
+      const lockInfo = await DaemonLockManager.readLock();
+      expect(lockInfo).toMatchObject({
+        ...successor,
+        socketPath: '/test/socket.sock',
+        clientCount: 0,
+      });
+      // No temp files left behind
+      const leftovers = (await fsp.readdir(TEST_DIR)).filter((f) => f.endsWith('.tmp'));
+      expect(leftovers).toEqual([]);
+    });
+
+    it('should refuse when the lock is not ours', async () => {
+      const otherLock: LockInfo = {
+        pid: process.pid + 1,
+        socketPath: '/other/socket.sock',
+        startTime: Date.now(),
+        version: '2.6.0',
+        clientCount: 1,
+        protocolVersion: 1,
+        minClientVersion: '2.6.0',
+      };
+      await fsp.writeFile(TEST_LOCK_PATH, JSON.stringify(otherLock, null, 2));
+
+      expect(await DaemonLockManager.transferLock(successor)).toBe(false);
+      expect((await DaemonLockManager.readLock())?.pid).toBe(otherLock.pid);
+    });
+
+    it('should refuse an invalid successor instance ID', async () => {
+      await DaemonLockManager.acquireLock({
+        socketPath: '/test/socket.sock',
+        startTime: Date.now(),
+        version: '2.6.0',
+        clientCount: 0,
+        protocolVersion: 1,
+        minClientVersion: '2.6.0',
+      });
+
+      expect(
+        await DaemonLockManager.transferLock({ ...successor, instanceId: 'not-a-uuid' })
+      ).toBe(false);
+      expect((await DaemonLockManager.readLock())?.pid).toBe(process.pid);
+    });
+  });
+
   describe('isLockValid', () => {
     it('should return false when no lock exists', async () => {
       const isValid = await DaemonLockManager.isLockValid();
@@ -7,6 +7,8 @@
  * - Handshake flow
  * - Heartbeat handling
  * - MCP request/response routing
+ * - MCP notifications (broadcast, targeted, request-scoped)
+ * - Upgrade messages and request gating while an upgrade drains
  * - Error handling
  */
 
@@ -17,12 +19,16 @@ import path from 'path';
 import os from 'os';
 import { DaemonSocketServer, type ClientInfo } from '../DaemonSocketServer.js';
 import { IpcTransport } from '../IpcTransport.js';
+import { GracefulShutdownCoordinator } from '../GracefulShutdownCoordinator.js';
 import {
   MessageType,
   PROTOCOL_VERSION,
   serializeMessage,
   parseMessage,
   createHandshake,
+  createMcpRequest,
+  createUpgradeReady,
+  createUpgradeAbort,
   type DaemonMessage,
   type HandshakeMessage,
   type HandshakeAckMessage,
@@ -30,7 +36,9 @@ import {
   type HeartbeatAckMessage,
   type McpRequestMessage,
   type McpResponseMessage,
+  type McpNotificationMessage,
   type ErrorMessage,
+  type ShutdownMessage,
 } from '../DaemonProtocol.js';
 
 // Test in a temporary directory
@@ -95,6 +103,46 @@ async function sendAndReceive(
   });
 }
 
+/**
+ * Helper to collect the next `count` messages received on a socket
+ */
+async function collectMessages(
+  socket: net.Socket,
+  count: number,
+  timeout: number = 2000
+): Promise<DaemonMessage[]> {
+  return new Promise((resolve, reject) => {
+    const messages: DaemonMessage[] = [];
+    const timeoutId = setTimeout(() => {
+      socket.off('data', onData);
+      reject(new Error(`Expected ${count} messages, got ${messages.length}`));
+    }, timeout);
+
+    let buffer = '';
+
+    const onData = (data: Buffer) => {
+      buffer += data.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop() ?? '';
+
+      for (const line of lines) {
+        const parsed = parseMessage(line);
+        if (parsed) {
+          messages.push(parsed);
+        }
+      }
+
+      if (messages.length >= count) {
+        clearTimeout(timeoutId);
+        socket.off('data', onData);
+        resolve(messages.slice(0, count));
+      }
+    };
+
+    socket.on('data', onData);
+  });
+}
+
 /**
  * Helper to perform handshake
  */
@@ -390,7 +438,10 @@ describe('DaemonSocketServer', () => {
       expect(response.requestId).toBe('req-123');
       expect(response.clientId).toBe('mcp-client');
       expect(response.payload).toEqual({ result: { method: 'tools/list', params: {} } });
-      expect(mcpHandler).toHaveBeenCalledWith({ method: 'tools/list', params: {} });
+      expect(mcpHandler).toHaveBeenCalledWith(
+        { method: 'tools/list', params: {} },
+        expect.objectContaining({ clientId: 'mcp-client', requestId: 'req-123' })
+      );
 
       client.destroy();
     });
@@ -497,6 +548,217 @@ describe('DaemonSocketServer', () => {
     });
   });
 
+  describe('MCP notifications', () => {
+    const progress = {
+      jsonrpc: '2.0',
+      method: 'notifications/progress',
+      params: { progressToken: 'tok-1', progress: 1, total: 2 },
+    };
+    const listChanged = {
+      jsonrpc: '2.0',
+      method: 'notifications/resources/list_changed',
+    };
+
+    beforeEach(async () => {
+      server = new DaemonSocketServer({
+        transport,
+        version: '1.0.0',
+        heartbeatTimeout: 60000,
+      });
+      await server.start();
+    });
+
+    it('should broadcast notifications to all handshaked clients', async () => {
+      const client1 = await createTestClient(transport);
+      await performHandshake(client1, 'broadcast-1');
+      const client2 = await createTestClient(transport);
+      await performHandshake(client2, 'broadcast-2');
+
+      const received = Promise.all([collectMessages(client1, 1), collectMessages(client2, 1)]);
+      expect(server.broadcastNotification(listChanged)).toBe(2);
+
+      const [[msg1], [msg2]] = await received;
+      for (const msg of [msg1, msg2]) {
+        expect(msg.type).toBe(MessageType.MCP_NOTIFICATION);
+        expect((msg as McpNotificationMessage).payload).toEqual(listChanged);
+        expect((msg as McpNotificationMessage).requestId).toBeUndefined();
+      }
+      expect((msg1 as McpNotificationMessage).clientId).toBe('broadcast-1');
+      expect((msg2 as McpNotificationMessage).clientId).toBe('broadcast-2');
+
+      client1.destroy();
+      client2.destroy();
+    });
+
+    it('should skip clients that have not completed the handshake', async () => {
+      const client = await createTestClient(transport);
+      await vi.waitFor(() => expect(server.getClientCount()).toBe(1));
+
+      expect(server.broadcastNotification(listChanged)).toBe(0);
+      expect(server.sendNotification('unknown-client', listChanged)).toBe(false);
+
+      client.destroy();
+    });
+
+    it('should deliver targeted notifications to a single client', async () => {
+      const target = await createTestClient(transport);
+      await performHandshake(target, 'target-client');
+      const other = await createTestClient(transport);
+      await performHandshake(other, 'other-client');
+
+      let otherReceived = false;
+      other.on('data', () => {
+        otherReceived = true;
+      });
+
+      const received = collectMessages(target, 1);
+      expect(server.sendNotification('target-client', progress, 'req-7')).toBe(true);
+
+      const [msg] = (await received) as McpNotificationMessage[];
+      expect(msg.payload).toEqual(progress);
+      expect(msg.requestId).toBe('req-7');
+
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(otherReceived).toBe(false);
+
+      target.destroy();
+      other.destroy();
+    });
+
+    it('should send request-scoped notifications to the originating client before the response', async () => {
+      server.setMcpHandler(async (request, context) => {
+        context.sendNotification(progress);
+        return { result: request };
+      });
+
+      const caller = await createTestClient(transport);
+      await performHandshake(caller, 'caller-client');
+      const bystander = await createTestClient(transport);
+      await performHandshake(bystander, 'bystander-client');
+
+      let bystanderReceived = false;
+      bystander.on('data', () => {
+        bystanderReceived = true;
+      });
+
+      const received = collectMessages(caller, 2);
+      const request: McpRequestMessage = {
+        type: MessageType.MCP_REQUEST,
+        timestamp: Date.now(),
+        requestId: 'req-progress',
+        clientId: 'caller-client',
+        payload: { method: 'tools/call', params: { name: 'slow-tool' } },
+      };
+      caller.write(serializeMessage(request));
+
+      const [notification, response] = await received;
+      expect(notification.type).toBe(MessageType.MCP_NOTIFICATION);
+      expect((notification as McpNotificationMessage).requestId).toBe('req-progress');
+      expect((notification as McpNotificationMessage).payload).toEqual(progress);
+      expect(response.type).toBe(MessageType.MCP_RESPONSE);
+      expect(bystanderReceived).toBe(false);
+
+      caller.destroy();
+      bystander.destroy();
+    });
+
+    it('should refuse payloads that are not JSON-RPC notifications', async () => {
+      const client = await createTestClient(transport);
+      await performHandshake(client, 'invalid-notification-client');
+
+      expect(server.sendNotification('invalid-notification-client', { method: 'x' })).toBe(false);
+      expect(
+        server.sendNotification('invalid-notification-client', { ...progress, id: 1 })
+      ).toBe(false);
+      expect(server.broadcastNotification('not an object')).toBe(0);
+
+      client.destroy();
+    });
+
+    it('should drop notifications for clients that are not reading', async () => {
+      await server.stop();
+      server = new DaemonSocketServer({
+        transport,
+        version: '1.0.0',
+        heartbeatTimeout: 60000,
+        maxPendingNotificationBytes: 0,
+      });
+      await server.start();
+
+      const client = await createTestClient(transport);
+      await performHandshake(client, 'slow-client');
+
+      // With no room for unflushed output every notification is dropped
+      expect(server.sendNotification('slow-client', progress)).toBe(false);
+      expect(server.broadcastNotification(listChanged)).toBe(0);
+
+      client.destroy();
+    });
+  });
+
+  describe('notification validation', () => {
+    const base = { type: MessageType.MCP_NOTIFICATION, timestamp: Date.now() };
+
+    it('should accept broadcast and request-scoped notifications', () => {
+      const payload = { jsonrpc: '2.0', method: 'notifications/progress', params: {} };
+
+      expect(parseMessage(JSON.stringify({ ...base, payload }))).not.toBeNull();
+      expect(
+        parseMessage(JSON.stringify({ ...base, clientId: 'c', requestId: 'r', payload }))
+      ).not.toBeNull();
+    });
+
+    it('should reject malformed notification payloads', () => {
+      const invalidPayloads = [
+        undefined,
+        'text',
+        { method: 'notifications/progress' },
+        { jsonrpc: '2.0' },
+        { jsonrpc: '2.0', method: '' },
+        { jsonrpc: '2.0', method: 'notifications/progress', id: 1 },
+        { jsonrpc: '2.0', method: 'notifications/progress', params: [1] },
+      ];
+
+      for (const payload of invalidPayloads) {
+        expect(parseMessage(JSON.stringify({ ...base, payload }))).toBeNull();
+      }
+      expect(
+        parseMessage(
+          JSON.stringify({ ...base, clientId: 42, payload: { jsonrpc: '2.0', method: 'm' } })
+        )
+      ).toBeNull();
+    });
+  });
+
+  describe('upgrade message validation', () => {
+    const ready = {
+      type: MessageType.UPGRADE_READY,
+      timestamp: Date.now(),
+      clientId: 'initiator',
+      pid: 1234,
+      version: '2.0.0',
+      protocolVersion: 1,
+      instanceId: '11111111-2222-4333-8444-555555555555',
+    };
+
+    it('should accept well-formed upgrade_ready and upgrade_abort messages', () => {
+      expect(parseMessage(JSON.stringify(ready))).not.toBeNull();
+      expect(parseMessage(serializeMessage(createUpgradeAbort('failed')))).not.toBeNull();
+      expect(parseMessage(serializeMessage(createUpgradeAbort('failed', 'initiator')))).not.toBeNull();
+    });
+
+    it('should reject malformed upgrade messages', () => {
+      expect(parseMessage(JSON.stringify({ ...ready, pid: -1 }))).toBeNull();
+      expect(parseMessage(JSON.stringify({ ...ready, protocolVersion: '1' }))).toBeNull();
+      expect(parseMessage(JSON.stringify({ ...ready, instanceId: undefined }))).toBeNull();
+      expect(
+        parseMessage(
+          JSON.stringify({ type: MessageType.UPGRADE_ABORT, timestamp: 1, reason: 'x', clientId: 7 })
+        )
+      ).toBeNull();
+    });
+  });
+
   describe('error handling', () => {
     beforeEach(async () => {
       server = new DaemonSocketServer({
@@ -659,6 +921,112 @@ describe('DaemonSocketServer', () => {
 
       client.destroy();
     });
+
+    it('should emit upgrade_ready and upgrade_abort with the connection client ID', async () => {
+      const events: Array<[string, string]> = [];
+      server.on('upgrade_ready', (_message, clientId) => events.push(['ready', clientId]));
+      server.on('upgrade_abort', (message, clientId) => events.push([message.reason, clientId]));
+
+      const client = await createTestClient(transport);
+      const ack = await performHandshake(client, 'initiator', '2.0.0');
+
+      // Self-reported client IDs are not trusted
+      client.write(
+        serializeMessage(
+          createUpgradeReady('someone-else', {
+            pid: 1234,
+            version: '2.0.0',
+            protocolVersion: PROTOCOL_VERSION,
+            instanceId: '11111111-2222-4333-8444-555555555555',
+          })
+        )
+      );
+      client.write(serializeMessage(createUpgradeAbort('health check failed', 'someone-else')));
+
+      await vi.waitFor(() => expect(events).toHaveLength(2));
+      expect(events).toEqual([
+        ['ready', ack.assignedClientId],
+        ['health check failed', ack.assignedClientId],
+      ]);
+
+      client.destroy();
+    });
+
+    it('should tell clients to reconnect when stopped for an upgrade', async () => {
+      const client = await createTestClient(transport);
+      await performHandshake(client, 'upgrade-client');
+
+      const received = collectMessages(client, 1);
+      await server.stop('upgrade');
+
+      const [shutdown] = (await received) as ShutdownMessage[];
+      expect(shutdown).toMatchObject({ type: MessageType.SHUTDOWN, reason: 'upgrade', gracePeriod: 0 });
+    });
+  });
+
+  describe('request gating during upgrade', () => {
+    let coordinator: GracefulShutdownCoordinator;
+
+    beforeEach(async () => {
+      coordinator = new GracefulShutdownCoordinator({ checkInterval: 10 });
+      server = new DaemonSocketServer({
+        transport,
+        version: '1.0.0',
+        heartbeatTimeout: 60000,
+        shutdownCoordinator: coordinator,
+      });
+    });
+
+    it('should track in-flight requests until they complete', async () => {
+      let release!: () => void;
+      server.setMcpHandler(
+        () => new Promise((resolve) => (release = () => resolve({ ok: true })))
+      );
+      await server.start();
+
+      const client = await createTestClient(transport);
+      const ack = await performHandshake(client, 'client-1');
+      const response = sendAndReceive(
+        client,
+        createMcpRequest('req-1', ack.assignedClientId, { method: 'tools/list' })
+      );
+
+      await vi.waitFor(() => expect(coordinator.getPendingRequests()).toHaveLength(1));
+      release();
+      await response;
+      expect(coordinator.getPendingRequests()).toHaveLength(0);
+
+      client.destroy();
+    });
+
+    it('should refuse requests with UPGRADE_IN_PROGRESS while draining', async () => {
+      const handler = vi.fn().mockResolvedValue({ ok: true });
+      server.setMcpHandler(handler);
+      await server.start();
+
+      const client = await createTestClient(transport);
+      const ack = await performHandshake(client, 'client-1');
+
+      await coordinator.beginUpgrade('2.0.0', 'initiator');
+      // Still served while the replacement daemon is being prepared
+      const served = await sendAndReceive(
+        client,
+        createMcpRequest('req-1', ack.assignedClientId, { method: 'tools/list' })
+      );
+      expect(served.type).toBe(MessageType.MCP_RESPONSE);
+
+      // Drain with a hand-off that never finishes during the test
+      void coordinator.completeUpgrade(() => new Promise(() => {}));
+      const refused = (await sendAndReceive(
+        client,
+        createMcpRequest('req-2', ack.assignedClientId, { method: 'tools/list' })
+      )) as ErrorMessage;
+
+      expect(refused).toMatchObject({ code: 'UPGRADE_IN_PROGRESS', requestId: 'req-2' });
+      expect(handler).toHaveBeenCalledTimes(1);
+
+      client.destroy();
+    });
   });
 
   describe('message framing', () => {
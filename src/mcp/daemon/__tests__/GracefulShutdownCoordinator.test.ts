@@ -5,6 +5,7 @@
  * - Request tracking (start/complete)
  * - Shutdown flow (wait for pending, timeout)
  * - Upgrade coordination flow
+ * - Rolling upgrade phases (prepare, drain, hand off, abort)
  * - State management
  */
 
@@ -14,6 +15,7 @@ import {
   type ShutdownConfig,
   type RequestInfo,
   ShutdownReason,
+  UpgradePhase,
 } from '../GracefulShutdownCoordinator.js';
 
 describe('GracefulShutdownCoordinator', () => {
@@ -537,4 +539,110 @@ describe('GracefulShutdownCoordinator', () => {
       expect(metrics.forceKilledRequests).toContain('req-2');
     });
   });
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Rolling Upgrade Tests
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  describe('rolling upgrade', () => {
+    it('should keep accepting requests while preparing', async () => {
+      await coordinator.beginUpgrade('2.0.0', 'client-new');
+
+      expect(coordinator.upgradePhase).toBe(UpgradePhase.PREPARING);
+      expect(coordinator.upgradeInitiatorClientId).toBe('client-new');
+      expect(coordinator.canAcceptRequest()).toBe(true);
+      expect(mockNotifyClients).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'upgrade_pending', initiatorClientId: 'client-new' })
+      );
+    });
+
+    it('should reject a second upgrade while one is in progress', async () => {
+      await coordinator.beginUpgrade('2.0.0', 'client-new');
+
+      await expect(coordinator.beginUpgrade('2.1.0', 'client-other')).rejects.toThrow(
+        'Upgrade already in progress'
+      );
+    });
+
+    it('should drain pending requests before handing off', async () => {
+      const handOff = vi.fn().mockResolvedValue(undefined);
+      coordinator.trackRequest('req-1', 'client-1');
+      await coordinator.beginUpgrade('2.0.0', 'client-new');
+
+      const completePromise = coordinator.completeUpgrade(handOff);
+      expect(coordinator.upgradePhase).toBe(UpgradePhase.DRAINING);
+      expect(coordinator.canAcceptRequest()).toBe(false);
+
+      await vi.advanceTimersByTimeAsync(300);
+      expect(handOff).not.toHaveBeenCalled();
+
+      coordinator.completeRequest('req-1');
+      await vi.advanceTimersByTimeAsync(100);
+
+      await expect(completePromise).resolves.toBe(true);
+      expect(handOff).toHaveBeenCalledTimes(1);
+      expect(coordinator.upgradePhase).toBe(UpgradePhase.COMPLETED);
+      expect(coordinator.isShuttingDown).toBe(true);
+    });
+
+    it('should abort while draining and resume accepting requests', async () => {
+      const handOff = vi.fn().mockResolvedValue(undefined);
+      coordinator.trackRequest('req-1', 'client-1');
+      await coordinator.beginUpgrade('2.0.0', 'client-new');
+
+      const completePromise = coordinator.completeUpgrade(handOff);
+      await vi.advanceTimersByTimeAsync(200);
+
+      await expect(coordinator.abortUpgrade('initiator disconnected')).resolves.toBe(true);
+      await expect(completePromise).resolves.toBe(false);
+
+      expect(handOff).not.toHaveBeenCalled();
+      expect(coordinator.upgradePhase).toBe(UpgradePhase.IDLE);
+      expect(coordinator.isPendingUpgrade).toBe(false);
+      expect(coordinator.canAcceptRequest()).toBe(true);
+      // In-flight requests are still tracked after the abort
+      expect(coordinator.getPendingRequests()).toHaveLength(1);
+      expect(mockNotifyClients).toHaveBeenLastCalledWith(
+        expect.objectContaining({ type: 'upgrade_abort', reason: 'initiator disconnected' })
+      );
+    });
+
+    it('should roll back when the hand-off fails', async () => {
+      await coordinator.beginUpgrade('2.0.0', 'client-new');
+
+      const result = await coordinator.completeUpgrade(async () => {
+        throw new Error('lock busy');
+      });
+
+      expect(result).toBe(false);
+      expect(coordinator.upgradePhase).toBe(UpgradePhase.IDLE);
+      expect(coordinator.isShuttingDown).toBe(false);
+      expect(mockNotifyClients).toHaveBeenLastCalledWith(
+        expect.objectContaining({ type: 'upgrade_abort', reason: 'Hand-off failed: lock busy' })
+      );
+    });
+
+    it('should abort when the replacement is not ready in time', async () => {
+      const timed = new GracefulShutdownCoordinator({
+        notifyClients: mockNotifyClients,
+        upgradePrepareTimeout: 1000,
+      });
+      await timed.beginUpgrade('2.0.0', 'client-new');
+
+      await vi.advanceTimersByTimeAsync(1000);
+
+      expect(timed.upgradePhase).toBe(UpgradePhase.IDLE);
+      expect(mockNotifyClients).toHaveBeenLastCalledWith(
+        expect.objectContaining({ type: 'upgrade_abort' })
+      );
+    });
+
+    it('should not abort once the hand-off has completed', async () => {
+      await coordinator.beginUpgrade('2.0.0', 'client-new');
+      await coordinator.completeUpgrade(async () => {});
+
+      await expect(coordinator.abortUpgrade('too late')).resolves.toBe(false);
+      expect(coordinator.upgradePhase).toBe(UpgradePhase.COMPLETED);
+    });
+  });
 });
@@ -6,6 +6,7 @@
  * - Server creation and listening
  * - Client connection
  * - Connection timeout handling
+ * - Backpressure-aware writes
  */
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
@@ -13,7 +14,8 @@ import net from 'net';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
-import { IpcTransport, createIpcTransport } from '../IpcTransport.js';
+import { Writable } from 'stream';
+import { IpcTransport, createIpcTransport, writeWithBackpressure } from '../IpcTransport.js';
 
 // Test in a temporary directory
 const TEST_DIR = path.join(os.tmpdir(), 'memesh-ipc-test-' + process.pid);
@@ -318,4 +320,47 @@ describe('IpcTransport', () => {
       ).rejects.toThrow();
     });
   });
+
+  describe('writeWithBackpressure', () => {
+    /** Writable that never flushes, so unflushed bytes accumulate */
+    function createStalledStream(): Writable {
+      return new Writable({
+        highWaterMark: 16,
+        write(_chunk, _encoding, _callback) {
+          // Never call back: simulates a peer that stopped reading
+        },
+      });
+    }
+
+    it('should report written, then buffered once above the high-water mark', () => {
+      const stream = createStalledStream();
+
+      expect(writeWithBackpressure(stream, 'abcd')).toBe('written');
+      expect(writeWithBackpressure(stream, 'x'.repeat(20))).toBe('buffered');
+      // Non-droppable data is still queued
+      expect(writeWithBackpressure(stream, 'more')).toBe('buffered');
+      expect(stream.writableLength).toBe(28);
+    });
+
+    it('should drop droppable data once too many bytes are pending', () => {
+      const stream = createStalledStream();
+      writeWithBackpressure(stream, 'x'.repeat(10));
+
+      expect(writeWithBackpressure(stream, 'note', { droppable: true, maxPendingBytes: 8 })).toBe(
+        'dropped'
+      );
+      expect(writeWithBackpressure(stream, 'note', { droppable: true, maxPendingBytes: 64 })).toBe(
+        'written'
+      );
+      expect(stream.writableLength).toBe(14);
+    });
+
+    it('should drop writes to destroyed streams', () => {
+      const stream = createStalledStream();
+      stream.on('error', () => {});
+      stream.destroy();
+
+      expect(writeWithBackpressure(stream, 'data')).toBe('dropped');
+    });
+  });
 });
@@ -0,0 +1,244 @@
+/**
+ * Rolling Upgrade Tests
+ *
+ * End-to-end tests for UpgradeHost (old daemon) and UpgradeSuccessor (new
+ * daemon) over real IPC sockets:
+ * - Successful hand-off with transparent proxy reconnection
+ * - Failed health check rolls back
+ * - Initiator disconnect aborts
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { PassThrough } from 'stream';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { DaemonSocketServer } from '../DaemonSocketServer.js';
+import { IpcTransport } from '../IpcTransport.js';
+import { DaemonLockManager } from '../DaemonLockManager.js';
+import { GracefulShutdownCoordinator, UpgradePhase } from '../GracefulShutdownCoordinator.js';
+import { VersionManager } from '../VersionManager.js';
+import { StdioProxyClient } from '../StdioProxyClient.js';
+import { UpgradeHost, toDaemonMessage } from '../UpgradeHost.js';
+import { UpgradeSuccessor } from '../UpgradeSuccessor.js';
+import { PROTOCOL_VERSION } from '../DaemonProtocol.js';
+
+// Test in a temporary directory
+const TEST_DIR = path.join(os.tmpdir(), 'memesh-upgrade-test-' + process.pid);
+
+// Mock the PathResolver to use test directory
+vi.mock('../../../utils/PathResolver.js', () => ({
+  getDataDirectory: () => TEST_DIR,
+}));
+
+// Mock logger to suppress output during tests
+vi.mock('../../../utils/logger.js', () => ({
+  logger: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+/**
+ * Create a daemon server that answers every MCP request with its version
+ */
+function createServer(transport: IpcTransport, version: string, coordinator?: GracefulShutdownCoordinator) {
+  const server = new DaemonSocketServer({ transport, version, shutdownCoordinator: coordinator });
+  server.setMcpHandler(async (request) => ({
+    jsonrpc: '2.0',
+    id: (request as { id?: unknown }).id,
+    result: { servedBy: version },
+  }));
+  return server;
+}
+
+/**
+ * Create a proxy with in-memory stdio
+ */
+function createProxy(transport: IpcTransport, clientVersion: string) {
+  const stdin = new PassThrough();
+  const stdout = new PassThrough();
+  const lines: unknown[] = [];
+  let pending = '';
+  stdout.on('data', (data) => {
+    pending += data.toString();
+    const parts = pending.split('\n');
+    pending = parts.pop() ?? '';
+    lines.push(...parts.filter((line) => line.trim()).map((line) => JSON.parse(line)));
+  });
+
+  const proxy = new StdioProxyClient({
+    transport,
+    clientVersion,
+    reconnectDelay: 50,
+    stdin,
+    stdout,
+  });
+
+  return { proxy, stdin, lines };
+}
+
+describe('Rolling upgrade', () => {
+  let mainTransport: IpcTransport;
+  let stagingTransport: IpcTransport;
+  let coordinator: GracefulShutdownCoordinator;
+  let oldServer: DaemonSocketServer;
+  let host: UpgradeHost;
+  const proxies: StdioProxyClient[] = [];
+  const servers: DaemonSocketServer[] = [];
+
+  beforeEach(async () => {
+    fs.mkdirSync(TEST_DIR, { recursive: true });
+    mainTransport = new IpcTransport({ socketName: 'test-daemon' });
+    stagingTransport = new IpcTransport({ socketName: 'test-daemon-upgrade' });
+
+    coordinator = new GracefulShutdownCoordinator({
+      checkInterval: 10,
+      notifyClients: async (notification) => {
+        oldServer.broadcast(toDaemonMessage(notification));
+      },
+    });
+    oldServer = createServer(mainTransport, '1.0.0', coordinator);
+    servers.push(oldServer);
+    host = new UpgradeHost({
+      server: oldServer,
+      coordinator,
+      versionManager: new VersionManager('1.0.0', PROTOCOL_VERSION),
+    });
+    host.start();
+
+    await DaemonLockManager.acquireLock({
+      socketPath: mainTransport.getPath(),
+      startTime: Date.now(),
+      version: '1.0.0',
+      clientCount: 0,
+      protocolVersion: PROTOCOL_VERSION,
+      minClientVersion: '1.0.0',
+    });
+    await oldServer.start();
+  });
+
+  afterEach(async () => {
+    host.stop();
+    for (const proxy of proxies.splice(0)) {
+      await proxy.stop();
+    }
+    for (const server of servers.splice(0)) {
+      await server.stop();
+    }
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  async function connect(clientVersion: string) {
+    const client = createProxy(mainTransport, clientVersion);
+    proxies.push(client.proxy);
+    await client.proxy.start();
+    return client;
+  }
+
+  function createSuccessor(proxy: StdioProxyClient, create = (t: IpcTransport) => createServer(t, '2.0.0')) {
+    return new UpgradeSuccessor({
+      proxy,
+      version: '2.0.0',
+      mainTransport,
+      stagingTransport,
+      createServer: (transport) => {
+        const server = create(transport);
+        servers.push(server);
+        return server;
+      },
+      acceptTimeout: 2000,
+      healthCheckTimeout: 2000,
+      handOffTimeout: 5000,
+      lockPollInterval: 10,
+    });
+  }
+
+  it('should hand off to the new daemon and reconnect existing proxies', async () => {
+    const bystander = await connect('1.0.0');
+    const initiator = await connect('2.0.0');
+    const handedOff = vi.fn();
+    host.on('handed_off', handedOff);
+
+    const outcome = await createSuccessor(initiator.proxy).run();
+
+    expect(outcome).toMatchObject({ upgraded: true });
+    expect(handedOff).toHaveBeenCalledWith(expect.objectContaining({ version: '2.0.0' }));
+    expect(coordinator.upgradePhase).toBe(UpgradePhase.COMPLETED);
+    expect(await DaemonLockManager.readLock()).toMatchObject({
+      version: '2.0.0',
+      instanceId: outcome.upgraded ? outcome.instanceId : undefined,
+    });
+    // Temporary health-check socket is gone
+    expect(fs.existsSync(stagingTransport.getPath())).toBe(false);
+
+    // The existing proxy reconnects on its own and is now served by 2.0.0
+    await vi.waitFor(() => expect(bystander.proxy.isConnected()).toBe(true), { timeout: 3000 });
+    bystander.stdin.write(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }) + '\n');
+    await vi.waitFor(() =>
+      expect(bystander.lines).toContainEqual(
+        expect.objectContaining({ id: 1, result: { servedBy: '2.0.0' } })
+      )
+    );
+  });
+
+  it('should roll back when the new daemon fails its health check', async () => {
+    const bystander = await connect('1.0.0');
+    const initiator = await connect('2.0.0');
+    const aborted = vi.fn();
+    bystander.proxy.on('upgrade_aborted', aborted);
+
+    const outcome = await createSuccessor(initiator.proxy, (transport) => {
+      const broken = new DaemonSocketServer({ transport, version: '2.0.0' });
+      broken.setMcpHandler(async () => {
+        throw new Error('database missing');
+      });
+      return broken;
+    }).run();
+
+    expect(outcome).toMatchObject({
+      upgraded: false,
+      reason: expect.stringContaining('database missing'),
+    });
+    await vi.waitFor(() => expect(aborted).toHaveBeenCalled());
+    expect(coordinator.upgradePhase).toBe(UpgradePhase.IDLE);
+    expect((await DaemonLockManager.readLock())?.version).toBe('1.0.0');
+
+    // Old daemon still serves
+    bystander.stdin.write(JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' }) + '\n');
+    await vi.waitFor(() =>
+      expect(bystander.lines).toContainEqual(
+        expect.objectContaining({ id: 2, result: { servedBy: '1.0.0' } })
+      )
+    );
+  });
+
+  it('should abort when the initiator disconnects mid-upgrade', async () => {
+    const bystander = await connect('1.0.0');
+    const initiator = await connect('2.0.0');
+    const aborted = vi.fn();
+    bystander.proxy.on('upgrade_aborted', aborted);
+
+    initiator.proxy.requestUpgrade();
+    await vi.waitFor(() => expect(coordinator.upgradePhase).toBe(UpgradePhase.PREPARING));
+
+    await initiator.proxy.stop();
+
+    await vi.waitFor(() => expect(coordinator.upgradePhase).toBe(UpgradePhase.IDLE));
+    await vi.waitFor(() => expect(aborted).toHaveBeenCalledWith('Upgrade initiator disconnected'));
+    expect(coordinator.canAcceptRequest()).toBe(true);
+  });
+
+  it('should reject upgrades to a version that is not newer', async () => {
+    const sameVersion = await connect('1.0.0');
+    const aborted = vi.fn();
+    sameVersion.proxy.on('upgrade_aborted', aborted);
+
+    sameVersion.proxy.requestUpgrade();
+
+    await vi.waitFor(() => expect(aborted).toHaveBeenCalledWith(expect.stringContaining('not newer')));
+    expect(coordinator.upgradePhase).toBe(UpgradePhase.IDLE);
+  });
+});
@@ -5,6 +5,8 @@
  * - Connection and handshake
  * - Request forwarding
  * - Response handling
+ * - Daemon-pushed notifications
+ * - Rolling upgrade messages and request re-sending
  * - Reconnection with exponential backoff
  * - Message buffering during reconnect
  * - Heartbeat
@@ -19,14 +21,20 @@ import {
   MessageType,
   createHandshakeAck,
   createMcpResponse,
+  createMcpNotification,
   createError,
   createShutdown,
+  createUpgradePending,
+  createUpgradeAbort,
   serializeMessage,
   PROTOCOL_VERSION,
 } from '../DaemonProtocol.js';
 
-// Mock IpcTransport
-vi.mock('../IpcTransport.js');
+// Mock IpcTransport (keep the real backpressure helper)
+vi.mock('../IpcTransport.js', async (importOriginal) => {
+  const actual = await importOriginal<typeof import('../IpcTransport.js')>();
+  return { ...actual, IpcTransport: vi.fn() };
+});
 
 // Mock logger to avoid noise in tests
 vi.mock('../../../utils/logger.js', () => ({
@@ -470,6 +478,192 @@ describe('StdioProxyClient', () => {
     });
   });
 
+  describe('notifications', () => {
+    const progress = {
+      jsonrpc: '2.0',
+      method: 'notifications/progress',
+      params: { progressToken: 'tok-1', progress: 1, total: 2 },
+    };
+
+    async function startProxy(options: { maxPendingNotificationBytes?: number } = {}) {
+      proxy = new StdioProxyClient({
+        transport: mockTransport,
+        clientVersion: '1.0.0',
+        stdin: streams.stdin,
+        stdout: streams.stdout,
+        ...options,
+      });
+
+      const startPromise = proxy.start();
+
+      await vi.waitFor(() => {
+        expect(mockSocket.writtenData.length).toBeGreaterThan(0);
+      });
+
+      const ack = createHandshakeAck(true, '1.0.0', 'client-123');
+      mockSocket.receiveData(serializeMessage(ack));
+
+      await startPromise;
+    }
+
+    it('should write broadcast and request-scoped notifications to stdout', async () => {
+      await startProxy();
+
+      const listChanged = { jsonrpc: '2.0', method: 'notifications/resources/list_changed' };
+      mockSocket.receiveData(serializeMessage(createMcpNotification(listChanged)));
+      mockSocket.receiveData(
+        serializeMessage(createMcpNotification(progress, 'client-123', 'req-1'))
+      );
+
+      await vi.waitFor(() => {
+        expect(streams.getStdoutMessages().length).toBe(2);
+      });
+
+      expect(streams.getStdoutMessages()).toEqual([listChanged, progress]);
+      expect(proxy.getStats().notificationsForwarded).toBe(2);
+    });
+
+    it('should ignore notifications addressed to another client', async () => {
+      await startProxy();
+
+      mockSocket.receiveData(serializeMessage(createMcpNotification(progress, 'other-client')));
+      await vi.advanceTimersByTimeAsync(10);
+
+      expect(streams.getStdoutData()).toEqual([]);
+      expect(proxy.getStats().notificationsForwarded).toBe(0);
+    });
+
+    it('should drop notifications when stdout is not draining', async () => {
+      // No room for unflushed output: every notification counts as backpressure
+      await startProxy({ maxPendingNotificationBytes: 0 });
+
+      mockSocket.receiveData(serializeMessage(createMcpNotification(progress)));
+      await vi.advanceTimersByTimeAsync(10);
+
+      expect(streams.getStdoutData()).toEqual([]);
+      expect(proxy.getStats()).toMatchObject({ notificationsForwarded: 0, notificationsDropped: 1 });
+    });
+  });
+
+  describe('rolling upgrades', () => {
+    const request = { jsonrpc: '2.0', id: 7, method: 'tools/list' };
+
+    async function startProxy() {
+      proxy = new StdioProxyClient({
+        transport: mockTransport,
+        clientVersion: '2.0.0',
+        reconnectDelay: 100,
+        stdin: streams.stdin,
+        stdout: streams.stdout,
+      });
+
+      const startPromise = proxy.start();
+      await vi.waitFor(() => {
+        expect(mockSocket.writtenData.length).toBeGreaterThan(0);
+      });
+      mockSocket.receiveData(serializeMessage(createHandshakeAck(true, '1.0.0', 'client-123', true)));
+      await startPromise;
+      mockSocket.writtenData = [];
+    }
+
+    function writtenRequests(): Array<{ requestId: string; payload: unknown }> {
+      return mockSocket
+        .getWrittenMessages()
+        .filter((m) => (m as { type: string }).type === MessageType.MCP_REQUEST) as Array<{
+        requestId: string;
+        payload: unknown;
+      }>;
+    }
+
+    it('should send upgrade control messages only when connected', async () => {
+      proxy = new StdioProxyClient({ transport: mockTransport, clientVersion: '2.0.0' });
+      expect(proxy.requestUpgrade()).toBe(false);
+
+      await startProxy();
+
+      expect(proxy.requestUpgrade()).toBe(true);
+      expect(
+        proxy.reportUpgradeReady({
+          pid: 99,
+          version: '2.0.0',
+          protocolVersion: PROTOCOL_VERSION,
+          instanceId: '11111111-2222-4333-8444-555555555555',
+        })
+      ).toBe(true);
+      expect(proxy.reportUpgradeAbort('health check failed')).toBe(true);
+
+      expect(mockSocket.getWrittenMessages()).toMatchObject([
+        { type: MessageType.REQUEST_UPGRADE, clientId: 'client-123', newVersion: '2.0.0' },
+        { type: MessageType.UPGRADE_READY, clientId: 'client-123', pid: 99 },
+        { type: MessageType.UPGRADE_ABORT, clientId: 'client-123', reason: 'health check failed' },
+      ]);
+    });
+
+    it('should emit upgrade_pending and upgrade_aborted', async () => {
+      await startProxy();
+      const pending = vi.fn();
+      const aborted = vi.fn();
+      proxy.on('upgrade_pending', pending);
+      proxy.on('upgrade_aborted', aborted);
+
+      mockSocket.receiveData(serializeMessage(createUpgradePending('2.0.0', 30000, 'client-123')));
+      mockSocket.receiveData(serializeMessage(createUpgradeAbort('initiator disconnected')));
+
+      expect(pending).toHaveBeenCalledWith(
+        expect.objectContaining({ newVersion: '2.0.0', initiatorClientId: 'client-123' })
+      );
+      expect(aborted).toHaveBeenCalledWith('initiator disconnected');
+    });
+
+    it('should hold requests refused while draining and re-send them when the upgrade aborts', async () => {
+      await startProxy();
+
+      streams.stdin.write(JSON.stringify(request) + '\n');
+      await vi.waitFor(() => expect(writtenRequests()).toHaveLength(1));
+      const [first] = writtenRequests();
+
+      mockSocket.receiveData(
+        serializeMessage(createError('UPGRADE_IN_PROGRESS', 'Daemon is upgrading', undefined, first.requestId))
+      );
+
+      // Not reported to the MCP host as an error
+      expect(streams.getStdoutData()).toEqual([]);
+      expect(proxy.getStats().bufferedMessages).toBe(1);
+
+      mockSocket.receiveData(serializeMessage(createUpgradeAbort('replacement failed')));
+
+      await vi.waitFor(() => expect(writtenRequests()).toHaveLength(2));
+      expect(writtenRequests()[1]).toMatchObject({ requestId: first.requestId, payload: request });
+      expect(proxy.getStats().bufferedMessages).toBe(0);
+    });
+
+    it('should re-send held requests to the replacement daemon after reconnecting', async () => {
+      await startProxy();
+
+      streams.stdin.write(JSON.stringify(request) + '\n');
+      await vi.waitFor(() => expect(writtenRequests()).toHaveLength(1));
+      const [first] = writtenRequests();
+      mockSocket.receiveData(
+        serializeMessage(createError('UPGRADE_IN_PROGRESS', 'Daemon is upgrading', undefined, first.requestId))
+      );
+
+      // Old daemon hands off: SHUTDOWN(upgrade) then the socket closes
+      mockSocket.receiveData(serializeMessage(createShutdown('upgrade', 0)));
+      mockSocket.destroy();
+
+      await vi.advanceTimersByTimeAsync(100);
+      await vi.waitFor(() => expect(mockTransport.connect).toHaveBeenCalledTimes(2));
+      mockSocket.receiveData(serializeMessage(createHandshakeAck(true, '2.0.0', 'client-123')));
+
+      await vi.waitFor(() => expect(writtenRequests()).toHaveLength(1));
+      expect(writtenRequests()[0]).toMatchObject({ requestId: first.requestId, payload: request });
+
+      // SHUTDOWN and socket close must not schedule a second connection
+      await vi.advanceTimersByTimeAsync(2000);
+      expect(mockTransport.connect).toHaveBeenCalledTimes(2);
+    });
+  });
+
   describe('reconnection', () => {
     it('should buffer messages during reconnect', async () => {
       proxy = new StdioProxyClient({
@@ -377,6 +377,34 @@ describe('VersionManager', () => {
     });
   });
 
+  describe('canUpgradeTo', () => {
+    it('should allow strictly newer versions', () => {
+      const manager = new VersionManager('2.6.0', 1);
+
+      expect(manager.canUpgradeTo('2.6.1')).toEqual({ allowed: true });
+      expect(manager.canUpgradeTo('3.0.0')).toEqual({ allowed: true });
+    });
+
+    it('should refuse equal or older versions with a reason', () => {
+      const manager = new VersionManager('2.6.5', 1);
+
+      expect(manager.canUpgradeTo('2.6.5')).toMatchObject({
+        allowed: false,
+        reason: expect.stringContaining('not newer'),
+      });
+      expect(manager.canUpgradeTo('2.6.0').allowed).toBe(false);
+    });
+
+    it('should refuse invalid versions', () => {
+      const manager = new VersionManager('2.6.0', 1);
+
+      expect(manager.canUpgradeTo('latest')).toEqual({
+        allowed: false,
+        reason: 'Invalid version: latest',
+      });
+    });
+  });
+
   // ═══════════════════════════════════════════════════════════════════════
   // Static Utility Tests
   // ═══════════════════════════════════════════════════════════════════════
@@ -11,6 +11,7 @@
  * - DaemonSocketServer: Multi-client IPC server
  * - StdioProxyClient: MCP stdin/stdout proxy
  * - GracefulShutdownCoordinator: Graceful upgrade flow
+ * - UpgradeHost / UpgradeSuccessor: Rolling daemon upgrades (old / new side)
  * - VersionManager: Version compatibility checking
  */
 
@@ -25,7 +26,11 @@ export {
 export {
   IpcTransport,
   createIpcTransport,
+  writeWithBackpressure,
+  DEFAULT_MAX_PENDING_WRITE_BYTES,
   type IpcTransportConfig,
+  type WriteOptions,
+  type WriteResult,
   type ConnectOptions,
   type ServerOptions,
 } from './IpcTransport.js';
@@ -45,6 +50,7 @@ export {
   type McpNotificationMessage,
   type RequestUpgradeMessage,
   type UpgradePendingMessage,
+  type UpgradeReadyMessage,
   type UpgradeAbortMessage,
   type ShutdownMessage,
   type ErrorMessage,
@@ -54,8 +60,13 @@ export {
   createHandshakeAck,
   createMcpRequest,
   createMcpResponse,
+  createMcpNotification,
   createError,
   createShutdown,
+  createRequestUpgrade,
+  createUpgradePending,
+  createUpgradeReady,
+  createUpgradeAbort,
   // Parsing utilities
   parseMessage,
   serializeMessage,
@@ -68,6 +79,7 @@ export {
   type DaemonSocketServerConfig,
   type ClientInfo,
   type McpHandler,
+  type McpRequestContext,
   type DaemonSocketServerEvents,
 } from './DaemonSocketServer.js';
 
@@ -79,6 +91,7 @@ export {
   type ParsedVersion,
   type VersionInfo,
   type CompatibilityResult,
+  type UpgradeCheckResult,
 } from './VersionManager.js';
 
 // Bootstrap
@@ -96,12 +109,27 @@ export {
 export {
   GracefulShutdownCoordinator,
   ShutdownReason,
+  UpgradePhase,
   type ShutdownConfig,
   type RequestInfo,
   type CoordinatorNotification,
   type ShutdownMetrics,
 } from './GracefulShutdownCoordinator.js';
 
+// Rolling upgrades
+export {
+  UpgradeHost,
+  toDaemonMessage,
+  type UpgradeHostConfig,
+  type UpgradeHostEvents,
+} from './UpgradeHost.js';
+
+export {
+  UpgradeSuccessor,
+  type UpgradeSuccessorConfig,
+  type UpgradeOutcome,
+} from './UpgradeSuccessor.js';
+
 // Stdio proxy client
 export {
   StdioProxyClient,
@@ -7,6 +7,7 @@ import { CallToolResult } from '@modelcontextprotocol/sdk/types.js';
 import { ValidationError } from '../../errors/index.js';
 import { A2AClient } from '../../a2a/client/A2AClient.js';
 import { AgentRegistry } from '../../a2a/storage/AgentRegistry.js';
+import { CapabilityRouter, type RoutedTask } from '../../a2a/routing/CapabilityRouter.js';
 import {
   A2ASendTaskInputSchema,
   A2AGetTaskInputSchema,
@@ -18,18 +19,23 @@ import {
   type ValidatedA2AListTasksInput,
   type ValidatedA2AListAgentsInput,
 } from '../validation.js';
-import type { Task, TaskStatus, AgentRegistryEntry } from '../../a2a/types/index.js';
+import type { Task, TaskStatus, AgentRegistryEntry, SendMessageRequest } from '../../a2a/types/index.js';
 
 /**
  * Special agent ID representing the current agent (self)
  */
 const SELF_AGENT_ID = 'self';
 
+/**
+ * Special target agent ID asking for capability-based routing
+ */
+const AUTO_AGENT_ID = 'auto';
+
 /**
  * A2A Tool Handlers
  *
  * Provides MCP tool handlers for Agent-to-Agent protocol operations:
- * - Send tasks to other agents
+ * - Send tasks to other agents (named, or chosen by skills)
  * - Get task status from other agents
  * - List own tasks
  * - List available agents
@@ -37,10 +43,12 @@ const SELF_AGENT_ID = 'self';
 export class A2AToolHandlers {
   private client: A2AClient;
   private registry: AgentRegistry;
+  private router: CapabilityRouter;
 
-  constructor(client?: A2AClient, registry?: AgentRegistry) {
+  constructor(client?: A2AClient, registry?: AgentRegistry, router?: CapabilityRouter) {
     this.client = client || new A2AClient();
     this.registry = registry || AgentRegistry.getInstance();
+    this.router = router || new CapabilityRouter(this.registry, this.client);
   }
 
   /**
@@ -59,20 +67,25 @@ export class A2AToolHandlers {
     }
 
     const input: ValidatedA2ASendTaskInput = parseResult.data;
+    const request: SendMessageRequest = {
+      message: {
+        role: 'user',
+        parts: [
+          {
+            type: 'text',
+            text: input.taskDescription,
+          },
+        ],
+      },
+    };
+
+    if (input.targetAgentId === AUTO_AGENT_ID) {
+      return this.sendRoutedTask(input.taskDescription, request);
+    }
 
     try {
       // Send message to create task via A2A client
-      const sendResponse = await this.client.sendMessage(input.targetAgentId, {
-        message: {
-          role: 'user',
-          parts: [
-            {
-              type: 'text',
-              text: input.taskDescription,
-            },
-          ],
-        },
-      });
+      const sendResponse = await this.client.sendMessage(input.targetAgentId, request);
 
       // Get full task details
       const task = await this.client.getTask(input.targetAgentId, sendResponse.taskId);
@@ -119,6 +132,9 @@ export class A2AToolHandlers {
       // Get task via A2A client
       const task = await this.client.getTask(input.targetAgentId, input.taskId);
 
+      // Finished tasks feed the success history used by capability routing
+      this.router.recordTaskOutcome(input.targetAgentId, task);
+
       return {
         content: [
           {
@@ -208,10 +224,9 @@ export class A2AToolHandlers {
       const agents = this.registry.listActive();
 
       // Filter by status if provided
-      const filteredAgents =
-        input.status && input.status !== 'all'
-          ? agents.filter((agent) => agent.status === input.status)
-          : agents;
+      const filteredAgents = agents
+        .filter((agent) => !input.status || input.status === 'all' || agent.status === input.status)
+        .filter((agent) => !input.source || (agent.source ?? 'local') === input.source);
 
       return {
         content: [
@@ -238,6 +253,68 @@ export class A2AToolHandlers {
   // Private Helper Methods
   // ========================================
 
+  /**
+   * Send a task to the agent chosen by capability routing
+   */
+  private async sendRoutedTask(
+    taskDescription: string,
+    request: SendMessageRequest
+  ): Promise<CallToolResult> {
+    try {
+      const routed = await this.router.route(taskDescription, request);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: this.formatTaskRoutedResponse(routed),
+          },
+        ],
+      };
+    } catch (error) {
+      const errorMsg = error instanceof Error ? error.message : String(error);
+      throw new Error(
+        `Failed to route task: ${errorMsg}\n\n` +
+        `💡 Troubleshooting tips:\n` +
+        `  - Use 'a2a-list-agents' to see which agents are active\n` +
+        `  - Describe the task with words that appear in the agents' skill names or descriptions\n` +
+        `  - Name the agent explicitly with targetAgentId to skip routing`
+      );
+    }
+  }
+
+  /**
+   * Format routed task response with the reasons for the choice
+   */
+  private formatTaskRoutedResponse(routed: RoutedTask): string {
+    const { task, chosen, candidates, attempts } = routed;
+    const lines = [
+      task
+        ? this.formatTaskSentResponse(chosen.agentId, task)
+        : [
+            `✅ Task sent to agent: ${chosen.agentId}`,
+            ``,
+            `Task ID: ${routed.taskId}`,
+            `⚠️ Task details unavailable: ${routed.taskLookupError}`,
+            ``,
+            `Use 'a2a-get-task' to check task status.`,
+          ].join('\n'),
+      ``,
+      `🧭 Routing: chose ${chosen.agentId} (score ${chosen.score}) of ${candidates.length} matching agent${candidates.length === 1 ? '' : 's'}`,
+      `   Why: ${chosen.explanation}`,
+    ];
+
+    const fallbacks = attempts.filter((attempt) => attempt.outcome !== 'sent');
+    if (fallbacks.length > 0) {
+      lines.push(`   Tried first:`);
+      for (const attempt of fallbacks) {
+        lines.push(`   - ${attempt.agentId}: ${attempt.outcome}${attempt.error ? ` (${attempt.error})` : ''}`);
+      }
+    }
+
+    return lines.join('\n');
+  }
+
   /**
    * Format task sent response
    */
@@ -341,10 +418,22 @@ export class A2AToolHandlers {
         `   Port: ${agent.port}`,
         `   Status: ${agent.status}`,
         `   Last Heartbeat: ${agent.lastHeartbeat}`,
+        `   Discovered: ${this.formatDiscoverySource(agent)}`,
         ``
       );
     });
 
     return lines.join('\n');
   }
+
+  /**
+   * Describe where an agent was discovered
+   */
+  private formatDiscoverySource(agent: AgentRegistryEntry): string {
+    const source = agent.source ?? 'local';
+    if (source === 'local') {
+      return 'local registry';
+    }
+    return agent.discoveredFrom ? `${source} (from ${agent.discoveredFrom})` : source;
+  }
 }
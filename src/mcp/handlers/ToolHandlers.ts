@@ -31,17 +31,25 @@ import { CheckpointDetector } from '../../core/CheckpointDetector.js';
 import { HookIntegration } from '../../core/HookIntegration.js';
 import { ProjectMemoryManager } from '../../memory/ProjectMemoryManager.js';
 import { UnifiedMemoryStore } from '../../memory/UnifiedMemoryStore.js';
+import type { SecretRedactor } from '../../memory/SecretRedactor.js';
 import { MistakePatternEngine } from '../../memory/MistakePatternEngine.js';
 import { UserPreferenceEngine } from '../../memory/UserPreferenceEngine.js';
 import { KnowledgeGraph } from '../../knowledge-graph/index.js';
+import type { Plan, PlanTask } from '../../planning/PlanTracker.js';
 import { HumanInLoopUI } from '../HumanInLoopUI.js';
 import { recallMemoryTool } from '../tools/recall-memory.js';
 import { createEntitiesTool } from '../tools/create-entities.js';
 import { addObservationsTool } from '../tools/add-observations.js';
 import { createRelationsTool } from '../tools/create-relations.js';
+import { traceRelationsTool } from '../tools/trace-relations.js';
+import { exchangeGraphTool } from '../tools/exchange-graph.js';
+import { consolidateMemoryTool } from '../tools/consolidate-memory.js';
+import { taskPlanTool } from '../tools/task-plan.js';
+import { getCostReportTool } from '../tools/get-cost-report.js';
 import { generateTestsTool, GenerateTestsInput } from '../tools/generate-tests.js';
 import { handleBuddyRecordMistake, type BuddyRecordMistakeInput } from './BuddyRecordMistake.js';
 import { SamplingClient } from '../SamplingClient.js';
+import type { ProgressReporter } from '../ProgressReporter.js';
 import type { AgentType } from '../../orchestrator/types.js';
 import { handleError, logError } from '../../utils/errorHandler.js';
 import {
@@ -54,6 +62,11 @@ import {
   CreateEntitiesInputSchema,
   AddObservationsInputSchema,
   CreateRelationsInputSchema,
+  TraceRelationsInputSchema,
+  ExchangeGraphInputSchema,
+  ConsolidateMemoryInputSchema,
+  TaskPlanInputSchema,
+  GetCostReportInputSchema,
   GenerateTestsInputSchema,
   formatValidationError,
   type ValidatedListSkillsInput,
@@ -65,6 +78,11 @@ import {
   type ValidatedCreateEntitiesInput,
   type ValidatedAddObservationsInput,
   type ValidatedCreateRelationsInput,
+  type ValidatedTraceRelationsInput,
+  type ValidatedExchangeGraphInput,
+  type ValidatedConsolidateMemoryInput,
+  type ValidatedTaskPlanInput,
+  type ValidatedGetCostReportInput,
 } from '../validation.js';
 
 /**
@@ -126,6 +144,7 @@ export class ToolHandlers {
    * @param ui - Human-in-loop UI formatter
    * @param samplingClient - Sampling client for AI-powered operations
    * @param unifiedMemoryStore - Unified memory store (Phase 0.7.0)
+   * @param secretRedactor - Redacts secrets from create-entities/add-observations writes and graph imports
    */
   constructor(
     private router: Router,
@@ -143,7 +162,8 @@ export class ToolHandlers {
     private knowledgeGraph: KnowledgeGraph,
     private ui: HumanInLoopUI,
     private samplingClient: SamplingClient,
-    unifiedMemoryStore: UnifiedMemoryStore
+    unifiedMemoryStore: UnifiedMemoryStore,
+    private secretRedactor?: SecretRedactor
   ) {
     // ✅ FIX MAJOR-2: Initialize rate limiter for memory operations
     this.memoryRateLimiter = new RateLimiter({ requestsPerMinute: 10 });
@@ -459,6 +479,110 @@ export class ToolHandlers {
     }
   }
 
+  /**
+   * Handle get-cost-report tool
+   *
+   * Spend tracked by the router's CostTracker, broken down by task, model,
+   * agent, project and day, with the state of every budget.
+   */
+  async handleGetCostReport(args: unknown): Promise<CallToolResult> {
+    try {
+      let validatedInput: ValidatedGetCostReportInput;
+      try {
+        validatedInput = GetCostReportInputSchema.parse(args ?? {});
+      } catch (error) {
+        if (error instanceof z.ZodError) {
+          throw new ValidationError(
+            formatValidationError(error),
+            {
+              component: 'ToolHandlers',
+              method: 'handleGetCostReport',
+              schema: 'GetCostReportInputSchema',
+              providedArgs: args,
+            }
+          );
+        }
+        throw error;
+      }
+
+      const report = await getCostReportTool.handler(validatedInput, this.router.getCostTracker());
+      const usd = (amount: number) => `$${amount.toFixed(4)}`;
+
+      let text = '💰 Cost Report\n';
+      text += '━'.repeat(60) + '\n\n';
+      text += `Window: ${report.window}${report.since ? ` (since ${report.since})` : ''}\n`;
+      text += `Total: ${usd(report.totalCostUsd)} across ${report.recordCount} ${report.recordCount === 1 ? 'call' : 'calls'}\n`;
+
+      if (report.budgets.length > 0) {
+        text += '\n📊 Budgets:\n';
+        for (const budget of report.budgets) {
+          const label = budget.key ? `${budget.scope} (${budget.key})` : budget.scope;
+          text += `  ${label}: ${usd(budget.spentUsd)} / ${usd(budget.limitUsd)} ` +
+            `(${(budget.usage * 100).toFixed(1)}%, ${usd(budget.remainingUsd)} left)\n`;
+        }
+      }
+
+      const sections: Array<[string, Record<string, number>]> = [
+        ['By model', report.byModel],
+        ['By agent', report.byAgent],
+        ['By project', report.byProject],
+      ];
+      for (const [title, costs] of sections) {
+        const entries = Object.entries(costs).sort(([, a], [, b]) => b - a);
+        if (entries.length === 0) continue;
+        text += `\n${title}:\n`;
+        entries.forEach(([name, cost]) => {
+          text += `  ${name}: ${usd(cost)}\n`;
+        });
+      }
+
+      if (report.byTask.length > 0) {
+        text += '\nTop tasks:\n';
+        report.byTask.forEach((task, index) => {
+          text += `  ${index + 1}. ${task.taskId}: ${usd(task.costUsd)} (${task.models.join(', ')})\n`;
+        });
+      }
+
+      if (report.byDay.length > 0) {
+        text += '\nBy day:\n';
+        report.byDay.forEach(day => {
+          text += `  ${day.date}: ${usd(day.costUsd)}\n`;
+        });
+      }
+
+      text += '\n' + '━'.repeat(60) + '\n';
+
+      return {
+        content: [
+          {
+            type: 'text' as const,
+            text,
+          },
+        ],
+      };
+    } catch (error) {
+      logError(error, {
+        component: 'ToolHandlers',
+        method: 'handleGetCostReport',
+        operation: 'building cost report',
+      });
+
+      const handled = handleError(error, {
+        component: 'ToolHandlers',
+        method: 'handleGetCostReport',
+      });
+
+      return {
+        content: [
+          {
+            type: 'text' as const,
+            text: `❌ Cost report failed: ${handled.message}`,
+          },
+        ],
+      };
+    }
+  }
+
   /**
    * Handle reload-context tool
    */
@@ -778,7 +902,8 @@ export class ToolHandlers {
 
       const result = await createEntitiesTool.handler(
         validatedInput,
-        this.knowledgeGraph
+        this.knowledgeGraph,
+        this.secretRedactor
       );
 
       // Format the result into readable text
@@ -799,6 +924,10 @@ export class ToolHandlers {
           text += `${index + 1}. ${name}\n`;
         });
 
+        if (result.redacted) {
+          text += `\n🔒 Redacted ${result.redacted} ${result.redacted === 1 ? 'secret' : 'secrets'} before storing\n`;
+        }
+
         if (result.errors && result.errors.length > 0) {
           text += '\n⚠️ Some entities failed:\n';
           result.errors.forEach(error => {
@@ -935,7 +1064,8 @@ export class ToolHandlers {
 
       const result = await addObservationsTool.handler(
         validatedInput,
-        this.knowledgeGraph
+        this.knowledgeGraph,
+        this.secretRedactor
       );
 
       // Format the result into readable text
@@ -962,6 +1092,14 @@ export class ToolHandlers {
           text += `${index + 1}. ${name}\n`;
         });
 
+        if (result.superseded) {
+          text += `\n♻️ Superseded ${result.superseded} outdated ${result.superseded === 1 ? 'observation' : 'observations'} (kept as history)\n`;
+        }
+
+        if (result.redacted) {
+          text += `\n🔒 Redacted ${result.redacted} ${result.redacted === 1 ? 'secret' : 'secrets'} before storing\n`;
+        }
+
         if (result.notFound && result.notFound.length > 0) {
           text += '\n⚠️ Some entities were not found:\n';
           result.notFound.forEach(name => {
@@ -1127,6 +1265,485 @@ export class ToolHandlers {
     }
   }
 
+  /**
+   * Handle trace-relations tool
+   *
+   * Traverses the Knowledge Graph from an entity, or finds the shortest
+   * path between two entities when `to` is given.
+   *
+   */
+  async handleTraceRelations(args: unknown): Promise<CallToolResult> {
+    if (!this.memoryRateLimiter.consume()) {
+      throw new OperationError(
+        'Memory operation rate limit exceeded. Please try again later.',
+        {
+          component: 'ToolHandlers',
+          method: 'handleTraceRelations',
+          rateLimitStatus: this.memoryRateLimiter.getStatus(),
+        }
+      );
+    }
+
+    try {
+      let validatedInput: ValidatedTraceRelationsInput;
+      try {
+        validatedInput = TraceRelationsInputSchema.parse(args);
+      } catch (error) {
+        if (error instanceof z.ZodError) {
+          throw new ValidationError(
+            formatValidationError(error),
+            {
+              component: 'ToolHandlers',
+              method: 'handleTraceRelations',
+              schema: 'TraceRelationsInputSchema',
+              providedArgs: args,
+            }
+          );
+        }
+        throw error;
+      }
+
+      const result = await traceRelationsTool.handler(
+        validatedInput,
+        this.knowledgeGraph
+      );
+
+      let text = '🧭 Knowledge Graph Relation Trace\n';
+      text += '━'.repeat(60) + '\n\n';
+
+      if (result.mode === 'path') {
+        if (!result.path) {
+          text += `⚠️ No path from "${result.from}" to "${result.to}" within ${result.maxDepth} hops.\n`;
+        } else if (result.path.length === 0) {
+          text += `✅ "${result.from}" and "${result.to}" are the same entity.\n`;
+        } else {
+          text += `✅ Shortest path (${result.path.length} ${result.path.length === 1 ? 'hop' : 'hops'}):\n\n`;
+          result.path.relations.forEach((rel, index) => {
+            text += `${index + 1}. ${rel.from} --[${rel.relationType}]--> ${rel.to}\n`;
+          });
+        }
+      } else if (!result.found) {
+        text += `⚠️ Entity not found: ${result.entity}\n`;
+      } else if (result.relations.length === 0) {
+        text += `⚠️ No relations found for "${result.entity}" within ${result.depth} hops.\n`;
+      } else {
+        text += `✅ ${result.entities.length - 1} related ${result.entities.length === 2 ? 'entity' : 'entities'} within ${result.depth} hops:\n\n`;
+        result.relations.forEach(rel => {
+          text += `  [hop ${rel.hop}] ${rel.from} --[${rel.relationType}]--> ${rel.to}\n`;
+        });
+
+        if (result.cycles.length > 0) {
+          text += '\n🔁 Cycles detected:\n';
+          result.cycles.forEach(cycle => {
+            text += `  ${cycle.join(' → ')}\n`;
+          });
+        }
+      }
+
+      text += '\n' + '━'.repeat(60) + '\n';
+
+      return {
+        content: [
+          {
+            type: 'text' as const,
+            text,
+          },
+        ],
+      };
+    } catch (error) {
+      logError(error, {
+        component: 'ToolHandlers',
+        method: 'handleTraceRelations',
+        operation: 'tracing entity relations',
+        data: { entityName: (args as { entityName?: unknown } | null)?.entityName },
+      });
+
+      const handled = handleError(error, {
+        component: 'ToolHandlers',
+        method: 'handleTraceRelations',
+      });
+
+      return {
+        content: [
+          {
+            type: 'text' as const,
+            text: `❌ Failed to trace relations: ${handled.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Handle exchange-graph tool
+   *
+   * Exports the Knowledge Graph to JSON-LD, GraphML or a Markdown vault,
+   * or imports one of those back. Import progress goes to the caller's
+   * progress token when one was sent.
+   *
+   */
+  async handleExchangeGraph(args: unknown, progress?: ProgressReporter): Promise<CallToolResult> {
+    if (!this.memoryRateLimiter.consume()) {
+      throw new OperationError(
+        'Memory operation rate limit exceeded. Please try again later.',
+        {
+          component: 'ToolHandlers',
+          method: 'handleExchangeGraph',
+          rateLimitStatus: this.memoryRateLimiter.getStatus(),
+        }
+      );
+    }
+
+    try {
+      let validatedInput: ValidatedExchangeGraphInput;
+      try {
+        validatedInput = ExchangeGraphInputSchema.parse(args);
+      } catch (error) {
+        if (error instanceof z.ZodError) {
+          throw new ValidationError(
+            formatValidationError(error),
+            {
+              component: 'ToolHandlers',
+              method: 'handleExchangeGraph',
+              schema: 'ExchangeGraphInputSchema',
+              providedArgs: args,
+            }
+          );
+        }
+        throw error;
+      }
+
+      const result = await exchangeGraphTool.handler(
+        validatedInput,
+        this.knowledgeGraph,
+        this.secretRedactor,
+        progress?.toCallback()
+      );
+
+      let text = result.action === 'export'
+        ? '📤 Knowledge Graph Export\n'
+        : '📥 Knowledge Graph Import\n';
+      text += '━'.repeat(60) + '\n\n';
+
+      if (result.action === 'export') {
+        text += `✅ Exported ${result.entityCount} entities and ${result.relationCount} relations\n\n`;
+        text += `Format: ${result.format}\n`;
+        text += `Path: ${result.path}\n`;
+      } else {
+        text += `✅ Imported from ${result.path} (${result.format})\n\n`;
+        text += `Entities created: ${result.entitiesCreated}\n`;
+        text += `Entities deduplicated: ${result.entitiesDeduplicated}\n`;
+        text += `Entities skipped (already exist): ${result.entitiesSkipped}\n`;
+        text += `Relations created: ${result.relationsCreated}\n`;
+        if (result.relationsSkipped > 0) {
+          text += `Relations skipped (missing entities): ${result.relationsSkipped}\n`;
+        }
+        if (result.redacted) {
+          text += `\n🔒 Redacted ${result.redacted} ${result.redacted === 1 ? 'secret' : 'secrets'} before storing\n`;
+        }
+
+        if (result.errors.length > 0) {
+          text += '\n⚠️ Some items failed:\n';
+          result.errors.forEach(error => {
+            text += `  ❌ ${error.item}: ${error.error}\n`;
+          });
+        }
+      }
+
+      text += '\n' + '━'.repeat(60) + '\n';
+
+      return {
+        content: [
+          {
+            type: 'text' as const,
+            text,
+          },
+        ],
+      };
+    } catch (error) {
+      logError(error, {
+        component: 'ToolHandlers',
+        method: 'handleExchangeGraph',
+        operation: 'exchanging knowledge graph',
+        data: { action: (args as { action?: unknown } | null)?.action },
+      });
+
+      const handled = handleError(error, {
+        component: 'ToolHandlers',
+        method: 'handleExchangeGraph',
+      });
+
+      return {
+        content: [
+          {
+            type: 'text' as const,
+            text: `❌ Failed to exchange knowledge graph: ${handled.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Handle consolidate-memory tool
+   *
+   * Merges near-duplicate entities and summarizes long observation lists,
+   * or undoes a recorded merge. Progress goes to the caller's progress
+   * token when one was sent.
+   *
+   */
+  async handleConsolidateMemory(args: unknown, progress?: ProgressReporter): Promise<CallToolResult> {
+    if (!this.memoryRateLimiter.consume()) {
+      throw new OperationError(
+        'Memory operation rate limit exceeded. Please try again later.',
+        {
+          component: 'ToolHandlers',
+          method: 'handleConsolidateMemory',
+          rateLimitStatus: this.memoryRateLimiter.getStatus(),
+        }
+      );
+    }
+
+    try {
+      let validatedInput: ValidatedConsolidateMemoryInput;
+      try {
+        validatedInput = ConsolidateMemoryInputSchema.parse(args ?? {});
+      } catch (error) {
+        if (error instanceof z.ZodError) {
+          throw new ValidationError(
+            formatValidationError(error),
+            {
+              component: 'ToolHandlers',
+              method: 'handleConsolidateMemory',
+              schema: 'ConsolidateMemoryInputSchema',
+              providedArgs: args,
+            }
+          );
+        }
+        throw error;
+      }
+
+      const result = await consolidateMemoryTool.handler(
+        validatedInput,
+        this.knowledgeGraph,
+        this.samplingClient,
+        progress?.toCallback()
+      );
+
+      let text = '🧹 Memory Consolidation\n';
+      text += '━'.repeat(60) + '\n\n';
+
+      if (result.action === 'undo') {
+        text += `✅ Split ${result.restored.length} entities back out of ${result.canonical}\n\n`;
+        result.restored.forEach(name => {
+          text += `  • ${name}\n`;
+        });
+      } else {
+        text += result.dryRun
+          ? `🔍 Dry run - nothing was changed (${result.entitiesScanned} entities scanned)\n\n`
+          : `✅ Scanned ${result.entitiesScanned} entities\n\n`;
+
+        text += `Clusters merged: ${result.clusters.length}\n`;
+        result.clusters.forEach(cluster => {
+          text += `  • ${cluster.canonical} ← ${cluster.merged.join(', ')} (similarity ${cluster.similarity})\n`;
+        });
+        if (!result.dryRun) {
+          text += `Relations moved: ${result.relationsMoved}\n`;
+        }
+
+        text += `Entities summarized: ${result.summaries.length}\n`;
+        result.summaries.forEach(summary => {
+          text += `  • ${summary.entity}: ${summary.observationsSummarized} observations` +
+            (summary.method ? ` (${summary.method})` : '') + '\n';
+        });
+
+        if (result.errors.length > 0) {
+          text += '\n⚠️ Some items failed:\n';
+          result.errors.forEach(error => {
+            text += `  ❌ ${error.entity}: ${error.error}\n`;
+          });
+        }
+
+        if (!result.dryRun && result.clusters.length > 0) {
+          text += '\nUndo a merge with action="undo" and entityName set to the surviving entity.\n';
+        }
+      }
+
+      text += '\n' + '━'.repeat(60) + '\n';
+
+      return {
+        content: [
+          {
+            type: 'text' as const,
+            text,
+          },
+        ],
+      };
+    } catch (error) {
+      logError(error, {
+        component: 'ToolHandlers',
+        method: 'handleConsolidateMemory',
+        operation: 'consolidating memory',
+        data: { action: (args as { action?: unknown } | null)?.action },
+      });
+
+      const handled = handleError(error, {
+        component: 'ToolHandlers',
+        method: 'handleConsolidateMemory',
+      });
+
+      return {
+        content: [
+          {
+            type: 'text' as const,
+            text: `❌ Failed to consolidate memory: ${handled.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Handle task-plan tool
+   *
+   * Creates, lists, views, advances or re-plans feature plans stored in the
+   * knowledge graph.
+   */
+  async handleTaskPlan(args: unknown): Promise<CallToolResult> {
+    try {
+      let validatedInput: ValidatedTaskPlanInput;
+      try {
+        validatedInput = TaskPlanInputSchema.parse(args);
+      } catch (error) {
+        if (error instanceof z.ZodError) {
+          throw new ValidationError(
+            formatValidationError(error),
+            {
+              component: 'ToolHandlers',
+              method: 'handleTaskPlan',
+              schema: 'TaskPlanInputSchema',
+              providedArgs: args,
+            }
+          );
+        }
+        throw error;
+      }
+
+      // Reads are free; plan writes share the memory write budget
+      if (validatedInput.action !== 'list' && validatedInput.action !== 'view' && !this.memoryRateLimiter.consume()) {
+        throw new OperationError(
+          'Memory operation rate limit exceeded. Please try again later.',
+          {
+            component: 'ToolHandlers',
+            method: 'handleTaskPlan',
+            rateLimitStatus: this.memoryRateLimiter.getStatus(),
+          }
+        );
+      }
+
+      const result = await taskPlanTool.handler(validatedInput, this.knowledgeGraph);
+
+      let text = '📋 Task Plans\n';
+      text += '━'.repeat(60) + '\n\n';
+
+      switch (result.action) {
+        case 'list':
+          if (result.plans.length === 0) {
+            text += 'No plans yet. Create one with action="create".\n';
+          }
+          result.plans.forEach(plan => {
+            text += `${plan.status === 'completed' ? '✅' : '📌'} ${plan.id}: ${plan.progress.completed + plan.progress.skipped}/${plan.progress.total} done - ${plan.feature}\n`;
+          });
+          break;
+
+        case 'view':
+          text += result.plan
+            ? this.formatPlan(result.plan)
+            : 'No active plan. Create one with action="create".\n';
+          break;
+
+        case 'advance':
+          text += `✅ ${result.task.id} is now ${result.task.status}\n\n`;
+          text += this.formatPlan(result.plan);
+          break;
+
+        case 'replan':
+          text += `🔁 Re-planned (revision ${result.plan.revision})`;
+          text += ` - added: ${result.added.join(', ') || 'none'}, removed: ${result.removed.join(', ') || 'none'}\n\n`;
+          text += this.formatPlan(result.plan);
+          break;
+
+        default:
+          text += `✅ Created plan ${result.plan.id}\n\n`;
+          text += this.formatPlan(result.plan);
+          break;
+      }
+
+      text += '\n' + '━'.repeat(60) + '\n';
+
+      return {
+        content: [
+          {
+            type: 'text' as const,
+            text,
+          },
+        ],
+      };
+    } catch (error) {
+      logError(error, {
+        component: 'ToolHandlers',
+        method: 'handleTaskPlan',
+        operation: 'managing task plan',
+        data: { action: (args as { action?: unknown } | null)?.action },
+      });
+
+      const handled = handleError(error, {
+        component: 'ToolHandlers',
+        method: 'handleTaskPlan',
+      });
+
+      return {
+        content: [
+          {
+            type: 'text' as const,
+            text: `❌ Task plan failed: ${handled.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Format a plan as a checklist of its tasks
+   */
+  private formatPlan(plan: Plan): string {
+    const icons: Record<PlanTask['status'], string> = {
+      pending: '⬜',
+      in_progress: '🔄',
+      completed: '✅',
+      skipped: '⏭️',
+    };
+    const { progress } = plan;
+
+    let text = `Plan: ${plan.id} (${plan.status}, revision ${plan.revision})\n`;
+    text += `Feature: ${plan.feature}\n`;
+    text += `Progress: ${progress.completed + progress.skipped}/${progress.total} done`;
+    text += ` | ready: ${progress.ready.join(', ') || 'none'}\n\n`;
+
+    plan.tasks.forEach(task => {
+      text += `${icons[task.status]} ${task.id}: ${task.description}`;
+      if (task.phase) text += ` [${task.phase}]`;
+      if (task.status === 'pending' && progress.blocked.includes(task.id)) {
+        text += ` (after ${task.dependencies.join(', ')})`;
+      }
+      if (task.status === 'in_progress' && task.testsPassed) text += ' (tests passed)';
+      if (task.commit) text += ` - ${task.commit}`;
+      text += '\n';
+    });
+
+    return text;
+  }
+
   /**
    * Handle generate-tests tool
    *
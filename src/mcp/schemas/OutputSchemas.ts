@@ -23,6 +23,85 @@
  * ```
  */
 
+/**
+ * A stored plan task (task-plan)
+ */
+const planTaskSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    description: { type: 'string' },
+    phase: { type: 'string' },
+    steps: {
+      type: 'array',
+      items: { type: 'string' },
+    },
+    dependencies: {
+      type: 'array',
+      items: { type: 'string' },
+    },
+    status: {
+      type: 'string',
+      enum: ['pending', 'in_progress', 'completed', 'skipped'],
+    },
+    testsPassed: { type: 'boolean' },
+    files: {
+      type: 'array',
+      items: { type: 'string' },
+    },
+    commit: { type: 'string' },
+    completedAt: { type: 'string' },
+    entity: { type: 'string' },
+  },
+  required: ['id', 'description', 'dependencies', 'status'],
+};
+
+/**
+ * A stored plan with its progress (task-plan)
+ */
+const planSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    feature: { type: 'string' },
+    status: {
+      type: 'string',
+      enum: ['active', 'completed'],
+    },
+    revision: { type: 'number' },
+    createdAt: { type: 'string' },
+    updatedAt: { type: 'string' },
+    entity: { type: 'string' },
+    tasks: {
+      type: 'array',
+      items: planTaskSchema,
+    },
+    progress: {
+      type: 'object',
+      properties: {
+        total: { type: 'number' },
+        completed: { type: 'number' },
+        skipped: { type: 'number' },
+        remaining: { type: 'number' },
+        inProgress: {
+          type: 'array',
+          items: { type: 'string' },
+        },
+        ready: {
+          type: 'array',
+          items: { type: 'string' },
+        },
+        blocked: {
+          type: 'array',
+          items: { type: 'string' },
+        },
+      },
+      required: ['total', 'completed', 'remaining', 'ready'],
+    },
+  },
+  required: ['id', 'feature', 'status', 'tasks', 'progress'],
+};
+
 export const OutputSchemas = {
   /**
    * buddy-do output structure
@@ -92,6 +171,7 @@ export const OutputSchemas = {
         type: 'array',
         items: { type: 'string' },
       },
+      feedbackRecorded: { type: 'number' },
     },
     required: ['query', 'count'],
   },
@@ -178,6 +258,81 @@ export const OutputSchemas = {
     required: ['currentPhase', 'recommendations'],
   },
 
+  /**
+   * get-cost-report output structure
+   */
+  getCostReport: {
+    type: 'object' as const,
+    properties: {
+      window: {
+        type: 'string',
+        enum: ['day', 'week', 'month', 'all'],
+      },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      totalCostUsd: { type: 'number' },
+      recordCount: { type: 'number' },
+      byTask: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            taskId: { type: 'string' },
+            costUsd: { type: 'number' },
+            records: { type: 'number' },
+            models: {
+              type: 'array',
+              items: { type: 'string' },
+            },
+          },
+          required: ['taskId', 'costUsd'],
+        },
+      },
+      byModel: {
+        type: 'object',
+        additionalProperties: { type: 'number' },
+      },
+      byAgent: {
+        type: 'object',
+        additionalProperties: { type: 'number' },
+      },
+      byProject: {
+        type: 'object',
+        additionalProperties: { type: 'number' },
+      },
+      byDay: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            date: { type: 'string' },
+            costUsd: { type: 'number' },
+          },
+          required: ['date', 'costUsd'],
+        },
+      },
+      budgets: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            scope: {
+              type: 'string',
+              enum: ['monthly', 'daily', 'project', 'agent'],
+            },
+            key: { type: 'string' },
+            limitUsd: { type: 'number' },
+            spentUsd: { type: 'number' },
+            remainingUsd: { type: 'number' },
+            usage: { type: 'number' },
+          },
+          required: ['scope', 'limitUsd', 'spentUsd', 'remainingUsd'],
+        },
+      },
+    },
+    required: ['window', 'until', 'totalCostUsd', 'recordCount'],
+  },
+
   /**
    * generate-smart-plan output structure
    */
@@ -293,6 +448,192 @@ export const OutputSchemas = {
     required: ['created', 'count'],
   },
 
+  /**
+   * trace-relations output structure
+   */
+  traceRelations: {
+    type: 'object' as const,
+    properties: {
+      mode: {
+        type: 'string',
+        enum: ['trace', 'path'],
+      },
+      found: { type: 'boolean' },
+      entities: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            hop: { type: 'number' },
+          },
+          required: ['name', 'hop'],
+        },
+      },
+      relations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            from: { type: 'string' },
+            to: { type: 'string' },
+            relationType: { type: 'string' },
+            hop: { type: 'number' },
+          },
+          required: ['from', 'to', 'relationType'],
+        },
+      },
+      cycles: {
+        type: 'array',
+        items: {
+          type: 'array',
+          items: { type: 'string' },
+        },
+      },
+      path: {
+        type: 'object',
+        properties: {
+          length: { type: 'number' },
+          entities: {
+            type: 'array',
+            items: { type: 'string' },
+          },
+        },
+      },
+    },
+    required: ['mode', 'found'],
+  },
+
+  /**
+   * exchange-graph output structure
+   */
+  exchangeGraph: {
+    type: 'object' as const,
+    properties: {
+      action: {
+        type: 'string',
+        enum: ['export', 'import'],
+      },
+      format: {
+        type: 'string',
+        enum: ['jsonld', 'graphml', 'markdown'],
+      },
+      path: { type: 'string' },
+      entityCount: { type: 'number' },
+      relationCount: { type: 'number' },
+      entitiesCreated: { type: 'number' },
+      entitiesDeduplicated: { type: 'number' },
+      entitiesSkipped: { type: 'number' },
+      relationsCreated: { type: 'number' },
+      relationsSkipped: { type: 'number' },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            item: { type: 'string' },
+            error: { type: 'string' },
+          },
+          required: ['item', 'error'],
+        },
+      },
+    },
+    required: ['action', 'format', 'path'],
+  },
+
+  /**
+   * consolidate-memory output structure
+   */
+  consolidateMemory: {
+    type: 'object' as const,
+    properties: {
+      action: {
+        type: 'string',
+        enum: ['consolidate', 'undo'],
+      },
+      dryRun: { type: 'boolean' },
+      entitiesScanned: { type: 'number' },
+      clusters: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            canonical: { type: 'string' },
+            merged: {
+              type: 'array',
+              items: { type: 'string' },
+            },
+            similarity: { type: 'number' },
+          },
+          required: ['canonical', 'merged', 'similarity'],
+        },
+      },
+      summaries: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            entity: { type: 'string' },
+            observationsSummarized: { type: 'number' },
+            method: {
+              type: 'string',
+              enum: ['sampling', 'extractive'],
+            },
+          },
+          required: ['entity', 'observationsSummarized'],
+        },
+      },
+      relationsMoved: { type: 'number' },
+      canonical: { type: 'string' },
+      restored: {
+        type: 'array',
+        items: { type: 'string' },
+      },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            entity: { type: 'string' },
+            error: { type: 'string' },
+          },
+          required: ['entity', 'error'],
+        },
+      },
+    },
+    required: ['action'],
+  },
+
+  /**
+   * task-plan output structure
+   */
+  taskPlan: {
+    type: 'object' as const,
+    properties: {
+      action: {
+        type: 'string',
+        enum: ['create', 'list', 'view', 'advance', 'replan'],
+      },
+      plan: {
+        oneOf: [planSchema, { type: 'null' }],
+      },
+      plans: {
+        type: 'array',
+        items: planSchema,
+      },
+      task: planTaskSchema,
+      added: {
+        type: 'array',
+        items: { type: 'string' },
+      },
+      removed: {
+        type: 'array',
+        items: { type: 'string' },
+      },
+    },
+    required: ['action'],
+  },
+
   /**
    * a2a-send-task output structure
    */
@@ -319,6 +660,27 @@ export const OutputSchemas = {
         },
         required: ['id', 'state', 'createdAt', 'updatedAt'],
       },
+      routing: {
+        type: 'object',
+        description: 'Present when targetAgentId was "auto"',
+        properties: {
+          explanation: { type: 'string' },
+          score: { type: 'number' },
+          attempts: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                agentId: { type: 'string' },
+                outcome: { type: 'string', enum: ['sent', 'rejected', 'timeout'] },
+                error: { type: 'string' },
+              },
+              required: ['agentId', 'outcome'],
+            },
+          },
+        },
+        required: ['explanation', 'score', 'attempts'],
+      },
     },
     required: ['success', 'targetAgentId', 'task'],
   },
@@ -410,6 +772,11 @@ export const OutputSchemas = {
             lastHeartbeat: { type: 'string' },
             capabilities: { type: 'object' },
             metadata: { type: 'object' },
+            source: {
+              type: 'string',
+              enum: ['local', 'multicast', 'static'],
+            },
+            discoveredFrom: { type: 'string' },
           },
           required: ['agentId', 'baseUrl', 'port', 'status', 'lastHeartbeat'],
         },
@@ -486,6 +853,7 @@ export type BuddyRememberOutput = {
     relevance?: number;
   }>;
   suggestions?: string[];
+  feedbackRecorded?: number;
 };
 
 export type BuddyHelpOutput = {
@@ -517,6 +885,32 @@ export type WorkflowGuidanceOutput = {
   nextSteps?: string[];
 };
 
+export type CostReportOutput = {
+  window: 'day' | 'week' | 'month' | 'all';
+  since?: string;
+  until: string;
+  totalCostUsd: number;
+  recordCount: number;
+  byTask?: Array<{
+    taskId: string;
+    costUsd: number;
+    records?: number;
+    models?: string[];
+  }>;
+  byModel?: Record<string, number>;
+  byAgent?: Record<string, number>;
+  byProject?: Record<string, number>;
+  byDay?: Array<{ date: string; costUsd: number }>;
+  budgets?: Array<{
+    scope: 'monthly' | 'daily' | 'project' | 'agent';
+    key?: string;
+    limitUsd: number;
+    spentUsd: number;
+    remainingUsd: number;
+    usage?: number;
+  }>;
+};
+
 export type SmartPlanOutput = {
   planId: string;
   featureDescription: string;
@@ -567,6 +961,106 @@ export type CreateEntitiesOutput = {
   }>;
 };
 
+export type TraceRelationsOutput = {
+  mode: 'trace' | 'path';
+  found: boolean;
+  entities?: Array<{ name: string; hop: number }>;
+  relations?: Array<{
+    from: string;
+    to: string;
+    relationType: string;
+    hop?: number;
+  }>;
+  cycles?: string[][];
+  path?: {
+    length: number;
+    entities: string[];
+  };
+};
+
+export type ExchangeGraphOutput = {
+  action: 'export' | 'import';
+  format: 'jsonld' | 'graphml' | 'markdown';
+  path: string;
+  entityCount?: number;
+  relationCount?: number;
+  entitiesCreated?: number;
+  entitiesDeduplicated?: number;
+  entitiesSkipped?: number;
+  relationsCreated?: number;
+  relationsSkipped?: number;
+  errors?: Array<{
+    item: string;
+    error: string;
+  }>;
+};
+
+export type ConsolidateMemoryOutput = {
+  action: 'consolidate' | 'undo';
+  dryRun?: boolean;
+  entitiesScanned?: number;
+  clusters?: Array<{
+    canonical: string;
+    merged: string[];
+    similarity: number;
+  }>;
+  summaries?: Array<{
+    entity: string;
+    observationsSummarized: number;
+    method?: 'sampling' | 'extractive';
+  }>;
+  relationsMoved?: number;
+  canonical?: string;
+  restored?: string[];
+  errors?: Array<{
+    entity: string;
+    error: string;
+  }>;
+};
+
+export type TaskPlanTaskOutput = {
+  id: string;
+  description: string;
+  phase?: string;
+  steps?: string[];
+  dependencies: string[];
+  status: 'pending' | 'in_progress' | 'completed' | 'skipped';
+  testsPassed?: boolean;
+  files?: string[];
+  commit?: string;
+  completedAt?: string;
+  entity?: string;
+};
+
+export type TaskPlanPlanOutput = {
+  id: string;
+  feature: string;
+  status: 'active' | 'completed';
+  revision?: number;
+  createdAt?: string;
+  updatedAt?: string;
+  entity?: string;
+  tasks: TaskPlanTaskOutput[];
+  progress: {
+    total: number;
+    completed: number;
+    skipped?: number;
+    remaining: number;
+    inProgress?: string[];
+    ready: string[];
+    blocked?: string[];
+  };
+};
+
+export type TaskPlanOutput = {
+  action: 'create' | 'list' | 'view' | 'advance' | 'replan';
+  plan?: TaskPlanPlanOutput | null;
+  plans?: TaskPlanPlanOutput[];
+  task?: TaskPlanTaskOutput;
+  added?: string[];
+  removed?: string[];
+};
+
 export type A2ASendTaskOutput = {
   success: boolean;
   targetAgentId: string;
@@ -578,6 +1072,11 @@ export type A2ASendTaskOutput = {
     name?: string;
     priority?: 'low' | 'normal' | 'high' | 'urgent';
   };
+  routing?: {
+    explanation: string;
+    score: number;
+    attempts: Array<{ agentId: string; outcome: 'sent' | 'rejected' | 'timeout'; error?: string }>;
+  };
 };
 
 export type A2AGetTaskOutput = {
@@ -618,6 +1117,8 @@ export type A2AListAgentsOutput = {
     lastHeartbeat: string;
     capabilities?: Record<string, unknown>;
     metadata?: Record<string, unknown>;
+    source?: 'local' | 'multicast' | 'static';
+    discoveredFrom?: string;
   }>;
   count: number;
 };
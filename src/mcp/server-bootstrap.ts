@@ -20,6 +20,11 @@
 
 // Type-only imports (no runtime cost, compliant with "zero static imports" rule)
 import type { DaemonBootstrap } from './daemon/DaemonBootstrap.js';
+import type { DaemonSocketServer } from './daemon/DaemonSocketServer.js';
+import type { IpcTransport } from './daemon/IpcTransport.js';
+import type { StdioProxyClient } from './daemon/StdioProxyClient.js';
+import type { UpgradeReadyMessage } from './daemon/DaemonProtocol.js';
+import type { ClaudeCodeBuddyMCPServer } from './server.js';
 
 // Module-level flag for MCP client connection tracking
 let mcpClientConnected = false;
@@ -180,8 +185,8 @@ async function startA2AServer(): Promise<any> {
         ],
         supportedFormats: ['text/plain', 'application/json'],
         maxMessageSize: 10 * 1024 * 1024, // 10MB
-        streaming: false,
-        pushNotifications: false,
+        streaming: true,
+        pushNotifications: true,
       },
       endpoints: {
         baseUrl: 'http://localhost:3000', // Will be updated with actual port
@@ -249,6 +254,7 @@ async function bootstrapWithDaemon() {
     // Check if daemon mode is disabled
     if (isDaemonDisabled()) {
       logger.info('[Bootstrap] Daemon mode disabled, running standalone');
+      await configureSpanExport('standalone', version);
       startMCPServer();
       return;
     }
@@ -263,6 +269,8 @@ async function bootstrapWithDaemon() {
       existingDaemon: result.existingDaemon,
     });
 
+    await configureSpanExport(result.mode, version);
+
     switch (result.mode) {
       case 'daemon':
         // Become the daemon
@@ -287,15 +295,115 @@ async function bootstrapWithDaemon() {
   }
 }
 
+/**
+ * Enable OTLP span export if configured in the environment
+ * (MEMESH_OTLP_ENDPOINT / MEMESH_OTLP_FILE). Never fails startup.
+ *
+ * @param role - Process role, exported as memesh.process.role
+ * @param version - Package version, exported as service.version
+ */
+async function configureSpanExport(role: string, version?: string): Promise<void> {
+  try {
+    const { configureSpanExportFromEnv } = await import('../utils/tracing/export/index.js');
+    configureSpanExportFromEnv({
+      serviceVersion: version,
+      resource: { 'memesh.process.role': role },
+    });
+  } catch (error) {
+    console.error('[Bootstrap] Span export setup failed:', error);
+  }
+}
+
+/**
+ * Export spans still buffered before the process exits
+ */
+async function flushSpanExport(): Promise<void> {
+  try {
+    const { shutdownSpanExport } = await import('../utils/tracing/export/index.js');
+    await shutdownSpanExport(2000);
+  } catch {
+    // Best effort - never block shutdown
+  }
+}
+
 /**
  * Setup graceful shutdown signal handlers.
  * Extracts common signal handling logic used by both daemon and proxy modes.
+ * Buffered spans are exported before shutdownFn runs (it exits the process).
  *
  * @param shutdownFn - Async function to execute on shutdown signal
  */
 function setupSignalHandlers(shutdownFn: (signal: string) => Promise<void>): void {
-  process.once('SIGTERM', () => shutdownFn('SIGTERM'));
-  process.once('SIGINT', () => shutdownFn('SIGINT'));
+  process.once('SIGTERM', () => flushSpanExport().then(() => shutdownFn('SIGTERM')));
+  process.once('SIGINT', () => flushSpanExport().then(() => shutdownFn('SIGINT')));
+}
+
+/**
+ * Create the daemon socket server for a transport, routing proxy requests to
+ * the MCP server and answering upgrade requests from newer clients.
+ *
+ * Used by the first daemon and by a proxy that takes over in a rolling upgrade.
+ *
+ * @param onHandedOff - Called once the socket and lock belong to a newer daemon
+ */
+async function createDaemonSocketServer(
+  transport: IpcTransport,
+  version: string,
+  mcpServer: ClaudeCodeBuddyMCPServer,
+  onHandedOff: (successor: UpgradeReadyMessage) => void
+): Promise<DaemonSocketServer> {
+  const { logger } = await import('../utils/logger.js');
+  const { DaemonSocketServer } = await import('./daemon/DaemonSocketServer.js');
+  const { GracefulShutdownCoordinator } = await import('./daemon/GracefulShutdownCoordinator.js');
+  const { VersionManager } = await import('./daemon/VersionManager.js');
+  const { PROTOCOL_VERSION } = await import('./daemon/DaemonProtocol.js');
+  const { UpgradeHost, toDaemonMessage } = await import('./daemon/UpgradeHost.js');
+
+  // The coordinator broadcasts through the server it gates, so it is created first
+  let socketServer: DaemonSocketServer | null = null;
+  const coordinator = new GracefulShutdownCoordinator({
+    notifyClients: async (notification) => {
+      socketServer?.broadcast(toDaemonMessage(notification));
+    },
+  });
+
+  socketServer = new DaemonSocketServer({
+    transport,
+    version,
+    shutdownCoordinator: coordinator,
+  });
+
+  // Handle client connection events (lock file client count is managed by DaemonSocketServer)
+  socketServer.on('client_connect', (client) => {
+    logger.info('[Daemon] Client connected', { clientId: client.clientId, version: client.version });
+  });
+
+  socketServer.on('client_disconnect', (clientId: string) => {
+    logger.info('[Daemon] Client disconnected', { clientId });
+  });
+
+  // Register MCP handler to route proxy client requests to the MCP server
+  // This enables the daemon to process MCP requests from proxy clients.
+  // The context lets request-scoped notifications (progress) reach the caller.
+  socketServer.setMcpHandler(async (request, context) => {
+    return mcpServer.handleRequest(request, context);
+  });
+
+  // Server-wide notifications (mcpServer.notify) reach every proxy client
+  mcpServer.setNotificationBroadcaster(socketServer.broadcastNotification.bind(socketServer));
+
+  const upgradeHost = new UpgradeHost({
+    server: socketServer,
+    coordinator,
+    versionManager: new VersionManager(version, PROTOCOL_VERSION),
+  });
+  upgradeHost.on('handed_off', onHandedOff);
+  upgradeHost.on('aborted', (reason: string) => {
+    logger.info('[Daemon] Upgrade aborted, continuing to serve', { reason });
+  });
+  upgradeHost.start();
+
+  return socketServer;
 }
 
 /**
@@ -307,7 +415,6 @@ async function startAsDaemon(bootstrapper: DaemonBootstrap, version: string) {
   process.env.MCP_SERVER_MODE = 'true';
 
   const { logger } = await import('../utils/logger.js');
-  const { DaemonSocketServer } = await import('./daemon/DaemonSocketServer.js');
   const { DaemonLockManager } = await import('./daemon/DaemonLockManager.js');
 
   // Acquire the daemon lock
@@ -329,24 +436,16 @@ async function startAsDaemon(bootstrapper: DaemonBootstrap, version: string) {
 
   // Create daemon socket server to accept proxy connections
   const transport = bootstrapper.getTransport();
-  const socketServer = new DaemonSocketServer({
-    transport,
-    version,
-  });
 
-  // Handle client connection events (lock file client count is managed by DaemonSocketServer)
-  socketServer.on('client_connect', (client) => {
-    logger.info('[Daemon] Client connected', { clientId: client.clientId, version: client.version });
-  });
-
-  socketServer.on('client_disconnect', (clientId: string) => {
-    logger.info('[Daemon] Client disconnected', { clientId });
-  });
-
-  // Register MCP handler to route proxy client requests to the MCP server
-  // This enables the daemon to process MCP requests from proxy clients
-  socketServer.setMcpHandler(async (request: unknown) => {
-    return mcpServer.handleRequest(request);
+  // After a rolling upgrade the socket and lock belong to the newer daemon;
+  // this process keeps serving its own stdio session only
+  let handedOff = false;
+  const socketServer = await createDaemonSocketServer(transport, version, mcpServer, (successor) => {
+    handedOff = true;
+    logger.info('[Daemon] Handed off to newer daemon, serving own session only', {
+      successorPid: successor.pid,
+      successorVersion: successor.version,
+    });
   });
 
   // Start socket server
@@ -383,6 +482,12 @@ async function startAsDaemon(bootstrapper: DaemonBootstrap, version: string) {
       }
     }
 
+    if (handedOff) {
+      // Lock and socket file now belong to the newer daemon
+      logger.info('[Daemon] Cleanup complete (handed off)');
+      return;
+    }
+
     // Release lock
     try {
       await DaemonLockManager.releaseLock();
@@ -473,7 +578,28 @@ async function startAsProxy(bootstrapper: DaemonBootstrap) {
 
   proxyClient.on('shutdown', (reason: string) => {
     logger.info('[Proxy] Daemon requested shutdown', { reason });
-    process.exit(0);
+    // On upgrade the proxy reconnects to the replacement daemon by itself
+    if (reason !== 'upgrade') {
+      process.exit(0);
+    }
+  });
+
+  // The daemon is older than this client: offer to replace it (once per session)
+  let upgradeOffered = false;
+  proxyClient.on('upgrade_available', (daemonVersion: string) => {
+    if (upgradeOffered || process.env.MEMESH_DISABLE_DAEMON_UPGRADE === '1') {
+      return;
+    }
+    upgradeOffered = true;
+    logger.info('[Proxy] Daemon is older, requesting rolling upgrade', { daemonVersion, version });
+    // Deferred: the event fires during the handshake, before the proxy is connected
+    setImmediate(() => {
+      takeOverDaemon(proxyClient, transport, version).catch((error) => {
+        logger.warn('[Proxy] Rolling upgrade failed', {
+          error: error instanceof Error ? error.message : String(error),
+        });
+      });
+    });
   });
 
   // Start proxying stdin/stdout to daemon
@@ -502,10 +628,69 @@ async function startAsProxy(bootstrapper: DaemonBootstrap) {
     }
 
     await proxyClient.stop();
+
+    // This process became the daemon in a rolling upgrade
+    if (daemonCleanup) {
+      await daemonCleanup();
+    }
+
     process.exit(0);
   });
 }
 
+// Set when a proxy process takes over as daemon in a rolling upgrade
+let daemonCleanup: (() => Promise<void>) | null = null;
+
+/**
+ * Replace an older daemon with this process (rolling upgrade)
+ *
+ * The old daemon keeps serving until a daemon of this version has passed a
+ * health check on a temporary socket; it then drains and hands over.
+ */
+async function takeOverDaemon(
+  proxyClient: StdioProxyClient,
+  transport: IpcTransport,
+  version: string
+): Promise<void> {
+  const { logger } = await import('../utils/logger.js');
+  const { UpgradeSuccessor } = await import('./daemon/UpgradeSuccessor.js');
+  const { DaemonLockManager } = await import('./daemon/DaemonLockManager.js');
+  const { ClaudeCodeBuddyMCPServer } = await import('./server.js');
+
+  // Shared by the health-check server and the final one
+  let mcpServer: ClaudeCodeBuddyMCPServer | null = null;
+  let handedOff = false;
+
+  const successor = new UpgradeSuccessor({
+    proxy: proxyClient,
+    version,
+    mainTransport: transport,
+    createServer: async (serverTransport) => {
+      mcpServer ??= await ClaudeCodeBuddyMCPServer.create();
+      return createDaemonSocketServer(serverTransport, version, mcpServer, () => {
+        handedOff = true;
+      });
+    },
+  });
+
+  const outcome = await successor.run();
+  if (!outcome.upgraded) {
+    logger.info('[Proxy] Rolling upgrade not performed', { reason: outcome.reason });
+    return;
+  }
+
+  logger.info('[Proxy] Now serving as daemon', { version, path: transport.getPath() });
+
+  const socketServer = outcome.server;
+  daemonCleanup = async () => {
+    await socketServer.stop();
+    if (!handedOff) {
+      await DaemonLockManager.releaseLock();
+      transport.cleanup();
+    }
+  };
+}
+
 // ============================================================================
 // Standalone Mode (Legacy / Fallback)
 // ============================================================================
@@ -525,6 +710,9 @@ function startMCPServer() {
       // Start initialization watchdog to detect incorrect usage
       startMCPClientWatchdog();
 
+      // No-op if bootstrapWithDaemon already configured span export
+      await configureSpanExport('standalone');
+
       // Dynamic import ensures environment variable is set BEFORE module loading
       const { ClaudeCodeBuddyMCPServer } = await import('./server.js');
 
@@ -554,6 +742,8 @@ function startMCPServer() {
     }, 5000);
 
     try {
+      await flushSpanExport();
+
       if (a2aServerRef) {
         await a2aServerRef.stop();
       }
@@ -23,15 +23,23 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import type { CallToolRequestParams } from '@modelcontextprotocol/sdk/types.js';
+import type { CallToolRequestParams, ServerNotification } from '@modelcontextprotocol/sdk/types.js';
 import { ServerInitializer, ServerComponents } from './ServerInitializer.js';
 import { ToolRouter } from './ToolRouter.js';
 import { getAllToolDefinitions } from './ToolDefinitions.js';
 import { setupResourceHandlers } from './handlers/index.js';
 import { SessionBootstrapper } from './SessionBootstrapper.js';
+import { ProgressReporter, createProgressNotification } from './ProgressReporter.js';
+import type { McpRequestContext } from './daemon/DaemonSocketServer.js';
 import { logger } from '../utils/logger.js';
 import { logError, formatMCPError } from '../utils/errorHandler.js';
 import { generateRequestId } from '../utils/requestId.js'; // ✅ FIX HIGH-10: Request ID generation
+import {
+  createTraceContext,
+  endSpan,
+  extractTraceContext,
+  runWithTraceContext,
+} from '../utils/tracing/index.js';
 
 /**
  * ✅ FIX ISSUE-3: Default timeout for tool call execution (60 seconds)
@@ -102,6 +110,8 @@ class ClaudeCodeBuddyMCPServer {
   private isShuttingDown = false;
   // ✅ FIX MINOR-2: Store shutdown promise for re-entry handling
   private shutdownPromise: Promise<void> | null = null;
+  /** Daemon mode: delivers notifications to proxy clients (see setNotificationBroadcaster) */
+  private broadcastNotification?: (notification: unknown) => number;
 
   /**
    * Get Tool handler module (exposed for testing)
@@ -218,7 +228,7 @@ class ClaudeCodeBuddyMCPServer {
     });
 
     // Execute tool (route task to agent)
-    this.server.setRequestHandler(CallToolRequestSchema, async request => {
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       // ✅ FIX HIGH-10: Generate request ID for tracing
       const requestId = generateRequestId();
       // ✅ FIX MINOR (Round 1): Proper type narrowing instead of `as any`
@@ -232,11 +242,16 @@ class ClaudeCodeBuddyMCPServer {
         component: 'ClaudeCodeBuddyMCPServer',
       });
 
+      const progressReporter = new ProgressReporter(
+        params._meta?.progressToken,
+        async (update) => {
+          await extra.sendNotification(createProgressNotification(update));
+        }
+      );
+
       try {
         // ✅ FIX ISSUE-3: Execute tool call with configurable timeout
         // Uses Promise.race with AbortController pattern for cancellable timeout
-        const toolPromise = this.toolRouter.routeToolCall(request.params, undefined, requestId);
-
         let timeoutId: NodeJS.Timeout | undefined;
         const timeoutPromise = new Promise<never>((_, reject) => {
           timeoutId = setTimeout(() => {
@@ -247,7 +262,12 @@ class ClaudeCodeBuddyMCPServer {
 
         let result;
         try {
-          result = await Promise.race([toolPromise, timeoutPromise]);
+          result = await this.traceToolCall(params, toolName, requestId, () =>
+            Promise.race([
+              this.toolRouter.routeToolCall(request.params, undefined, requestId, progressReporter),
+              timeoutPromise,
+            ])
+          );
         } finally {
           // Always clear timeout to prevent timer leak, whether tool succeeded or failed
           if (timeoutId) {
@@ -319,6 +339,35 @@ class ClaudeCodeBuddyMCPServer {
     // No logging - keep stdio completely clean for MCP JSON-RPC communication
   }
 
+  /**
+   * Deliver server-wide notifications to daemon proxy clients
+   *
+   * In daemon mode only the first client is connected over stdio; the others
+   * reach this server through the daemon socket, so notify() also hands each
+   * notification to the daemon's broadcaster.
+   *
+   * @param broadcast - Sends a JSON-RPC notification to every proxy client
+   */
+  setNotificationBroadcaster(broadcast: (notification: unknown) => number): void {
+    this.broadcastNotification = broadcast;
+  }
+
+  /**
+   * Send a server-wide MCP notification (e.g. `notifications/resources/list_changed`)
+   * to every connected client: the stdio client and, in daemon mode, all proxy clients
+   *
+   * Request-scoped notifications such as progress go only to the requesting
+   * client and do not use this method.
+   *
+   * @param notification - MCP notification (method and params)
+   */
+  async notify(notification: ServerNotification): Promise<void> {
+    if (this.server.transport) {
+      await this.server.notification(notification);
+    }
+    this.broadcastNotification?.({ jsonrpc: '2.0', ...notification });
+  }
+
   /**
    * Handle a raw MCP JSON-RPC request directly (for daemon proxy mode).
    *
@@ -326,10 +375,15 @@ class ClaudeCodeBuddyMCPServer {
    * without going through the stdio transport. It parses the JSON-RPC request
    * and routes it to the appropriate handler.
    *
+   * When the request carries `_meta.progressToken` and a daemon context is
+   * given, long-running tools (consolidate-memory, exchange-graph) push
+   * `notifications/progress` updates to the calling client as they work.
+   *
    * @param request - Raw MCP JSON-RPC request object
+   * @param context - Daemon request context (originating client, notification sink)
    * @returns JSON-RPC response object
    */
-  async handleRequest(request: unknown): Promise<unknown> {
+  async handleRequest(request: unknown, context?: McpRequestContext): Promise<unknown> {
     const requestId = generateRequestId();
 
     // Validate request structure
@@ -368,9 +422,14 @@ class ClaudeCodeBuddyMCPServer {
           component: 'ClaudeCodeBuddyMCPServer',
         });
 
-        // Execute with timeout (same logic as setupHandlers)
-        const toolPromise = this.toolRouter.routeToolCall(callParams, undefined, requestId);
+        const progressReporter = new ProgressReporter(
+          context ? callParams?._meta?.progressToken : undefined,
+          async (update) => {
+            context?.sendNotification(createProgressNotification(update));
+          }
+        );
 
+        // Execute with timeout (same logic as setupHandlers)
         let timeoutId: NodeJS.Timeout | undefined;
         const timeoutPromise = new Promise<never>((_, reject) => {
           timeoutId = setTimeout(() => {
@@ -381,7 +440,12 @@ class ClaudeCodeBuddyMCPServer {
 
         let result;
         try {
-          result = await Promise.race([toolPromise, timeoutPromise]);
+          result = await this.traceToolCall(callParams, toolName, requestId, () =>
+            Promise.race([
+              this.toolRouter.routeToolCall(callParams, undefined, requestId, progressReporter),
+              timeoutPromise,
+            ])
+          );
         } finally {
           if (timeoutId) {
             clearTimeout(timeoutId);
@@ -434,6 +498,40 @@ class ClaudeCodeBuddyMCPServer {
     }
   }
 
+  /**
+   * Run a tool call inside a server span
+   *
+   * The span continues the caller's trace when the request carries
+   * `_meta.traceparent` (set by the daemon proxy or a traced MCP client),
+   * and is the parent of spans the tool creates (e.g. A2A requests).
+   */
+  private async traceToolCall<T>(
+    params: CallToolRequestParams | undefined,
+    toolName: string,
+    requestId: string,
+    call: () => Promise<T>
+  ): Promise<T> {
+    const traceparent = params?._meta?.traceparent;
+    const parent = typeof traceparent === 'string' ? extractTraceContext({ traceparent }) : null;
+    const traceContext = createTraceContext(parent ?? undefined, parent?.sampled ?? true);
+    const span = {
+      name: `mcp.tool ${toolName}`,
+      kind: 'server' as const,
+      startTime: Date.now(),
+      attributes: { 'mcp.tool.name': toolName, 'memesh.request_id': requestId },
+    };
+
+    try {
+      const result = await runWithTraceContext(traceContext, call);
+      const isErrorResult = (result as { isError?: boolean } | undefined)?.isError === true;
+      endSpan(traceContext, { ...span, error: isErrorResult ? 'Tool returned an error result' : undefined });
+      return result;
+    } catch (error) {
+      endSpan(traceContext, { ...span, error });
+      throw error;
+    }
+  }
+
   /**
    * Setup process signal handlers for graceful shutdown
    */
@@ -543,6 +641,21 @@ class ClaudeCodeBuddyMCPServer {
       logger.error('Failed to close task queue cleanly:', error);
     }
 
+    // 2.7. Close UI event journal (read by the web dashboard)
+    try {
+      logger.info('Closing UI event journal...');
+      if (this.components.uiEventJournal) {
+        this.components.uiEventJournal.close();
+      }
+    } catch (error) {
+      logError(error, {
+        component: 'ClaudeCodeBuddyMCPServer',
+        method: 'shutdown',
+        operation: 'closing UI event journal',
+      });
+      logger.error('Failed to close UI event journal cleanly:', error);
+    }
+
     // 3. Stop rate limiter (cleanup intervals)
     try {
       logger.info('Stopping rate limiter...');
@@ -558,6 +671,18 @@ class ClaudeCodeBuddyMCPServer {
       logger.error('Failed to stop rate limiter cleanly:', error);
     }
 
+    // 3.5. Stop watching agent definition files
+    try {
+      this.components.agentDefinitions?.close();
+    } catch (error) {
+      logError(error, {
+        component: 'ClaudeCodeBuddyMCPServer',
+        method: 'shutdown',
+        operation: 'closing agent definition watchers',
+      });
+      logger.error('Failed to stop agent definition watchers cleanly:', error);
+    }
+
     // 4. Finally, close MCP transport
     try {
       logger.info('Closing MCP server transport...');
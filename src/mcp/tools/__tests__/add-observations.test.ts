@@ -0,0 +1,105 @@
+/**
+ * Tests for add-observations MCP tool
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { addObservationsTool } from '../add-observations';
+import { KnowledgeGraph } from '../../../knowledge-graph/index.js';
+import { SecretManager } from '../../../memory/SecretManager.js';
+import { FileKeyProvider } from '../../../memory/SecretKeyProvider.js';
+import { SecretRedactor } from '../../../memory/SecretRedactor.js';
+
+describe('addObservationsTool', () => {
+  let workDir: string;
+  let kg: KnowledgeGraph;
+
+  beforeEach(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'memesh-add-observations-'));
+    kg = KnowledgeGraph.createSync(join(workDir, 'kg.db'));
+    kg.createEntity({
+      name: 'cache-strategy',
+      entityType: 'decision',
+      observations: ['Cache for 5 minutes'],
+      tags: ['performance'],
+    });
+  });
+
+  afterEach(() => {
+    kg.close();
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should append observations and keep tags', async () => {
+    const result = await addObservationsTool.handler(
+      { observations: [{ entityName: 'cache-strategy', contents: ['Invalidate on deploy'] }] },
+      kg
+    );
+
+    expect(result).toMatchObject({ updated: ['cache-strategy'], count: 1, superseded: undefined });
+    const entity = kg.getEntitiesByNames(['cache-strategy'])[0];
+    expect(entity.observations).toEqual(['Cache for 5 minutes', 'Invalidate on deploy']);
+    expect(entity.tags).toEqual(['performance']);
+  });
+
+  it('should supersede outdated observations', async () => {
+    const result = await addObservationsTool.handler(
+      {
+        observations: [{
+          entityName: 'cache-strategy',
+          contents: ['Cache for 1 hour'],
+          supersedes: ['Cache for 5 minutes'],
+        }],
+      },
+      kg
+    );
+
+    expect(result.superseded).toBe(1);
+    expect(kg.getEntitiesByNames(['cache-strategy'])[0].observations).toEqual(['Cache for 1 hour']);
+    expect(kg.getObservationHistory('cache-strategy')).toHaveLength(2);
+  });
+
+  it('should report unknown entities and unknown superseded observations', async () => {
+    const result = await addObservationsTool.handler(
+      {
+        observations: [
+          { entityName: 'no-such-entity-xyz', contents: ['x'] },
+          { entityName: 'cache-strategy', contents: ['y'], supersedes: ['never recorded'] },
+        ],
+      },
+      kg
+    );
+
+    expect(result.count).toBe(0);
+    expect(result.notFound).toEqual(['no-such-entity-xyz']);
+    expect(result.errors?.[0].error).toContain('Observation not found');
+  });
+
+  it('should redact secrets in new observations', async () => {
+    const secretManager = await SecretManager.create(join(workDir, 'secrets.db'), {
+      keyProvider: new FileKeyProvider(workDir),
+    });
+    try {
+      const result = await addObservationsTool.handler(
+        {
+          observations: [{
+            entityName: 'cache-strategy',
+            contents: ['Redis auth: sk-abc123def456ghi789jkl012mno345pqr678'],
+          }],
+        },
+        kg,
+        new SecretRedactor(secretManager, { mode: 'mask' })
+      );
+
+      expect(result.redacted).toBe(1);
+      expect(kg.getEntitiesByNames(['cache-strategy'])[0].observations).toEqual([
+        'Cache for 5 minutes',
+        'Redis auth: sk-a****r678',
+      ]);
+    } finally {
+      secretManager.close();
+    }
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for buddy-remember MCP tool
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { BuddyRememberInputSchema, executeBuddyRemember } from '../buddy-remember';
+import { ProjectMemoryManager } from '../../../memory/ProjectMemoryManager.js';
+import { MemoryDecay } from '../../../memory/MemoryDecay.js';
+import { KnowledgeGraph } from '../../../knowledge-graph/index.js';
+import type { ResponseFormatter } from '../../../ui/ResponseFormatter.js';
+
+describe('buddy-remember', () => {
+  let projectMemory: ProjectMemoryManager;
+  let formatter: ResponseFormatter;
+
+  beforeEach(() => {
+    projectMemory = {
+      search: vi.fn().mockResolvedValue([]),
+      recordFeedback: vi.fn().mockReturnValue(2),
+    } as unknown as ProjectMemoryManager;
+    formatter = { format: vi.fn().mockReturnValue('formatted') } as unknown as ResponseFormatter;
+  });
+
+  it('should accept feedback on earlier recalls', () => {
+    const input = BuddyRememberInputSchema.parse({ query: 'auth', useful: ['Auth decision'], notUseful: ['Old cache'] });
+    expect(input).toEqual({ query: 'auth', limit: 5, useful: ['Auth decision'], notUseful: ['Old cache'] });
+    expect(() => BuddyRememberInputSchema.parse({ query: 'auth', useful: [''] })).toThrow();
+  });
+
+  it('should record feedback before searching', async () => {
+    const input = BuddyRememberInputSchema.parse({ query: 'auth', useful: ['Auth decision'], notUseful: ['Old cache'] });
+
+    await executeBuddyRemember(input, projectMemory, formatter);
+
+    expect(projectMemory.recordFeedback).toHaveBeenCalledWith(['Auth decision'], ['Old cache']);
+    expect(projectMemory.search).toHaveBeenCalledWith('auth', 5);
+    expect(vi.mocked(formatter.format).mock.calls[0][0].results).toMatchObject({ feedbackRecorded: 2 });
+  });
+
+  it('should not record feedback when none is given', async () => {
+    await executeBuddyRemember(BuddyRememberInputSchema.parse({ query: 'auth' }), projectMemory, formatter);
+
+    expect(projectMemory.recordFeedback).not.toHaveBeenCalled();
+    expect(vi.mocked(formatter.format).mock.calls[0][0].results).not.toHaveProperty('feedbackRecorded');
+  });
+
+  it('should rank memories voted useful higher', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'memesh-buddy-remember-'));
+    const kg = KnowledgeGraph.createSync(join(dir, 'kg.db'));
+    try {
+      const timestamp = new Date().toISOString();
+      for (const name of ['Deploy api with blue-green', 'Deploy web with blue-green']) {
+        kg.createEntity({ name, entityType: 'decision', observations: [name], metadata: { timestamp } });
+      }
+      const manager = new ProjectMemoryManager(kg, undefined, new MemoryDecay());
+      const recalledNames = async (input: Record<string, unknown>) => {
+        vi.mocked(formatter.format).mockClear();
+        await executeBuddyRemember(BuddyRememberInputSchema.parse(input), manager, formatter);
+        const { memories } = vi.mocked(formatter.format).mock.calls[0][0].results as { memories: Array<{ name: string }> };
+        return memories.map((memory) => memory.name);
+      };
+
+      const before = await recalledNames({ query: 'blue-green' });
+      const last = before[before.length - 1];
+      const after = await recalledNames({ query: 'blue-green', useful: [last] });
+
+      expect(after[0]).toBe(last);
+      expect(after).not.toEqual(before);
+    } finally {
+      kg.close();
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for consolidate-memory MCP tool
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { consolidateMemoryTool } from '../consolidate-memory';
+import { KnowledgeGraph } from '../../../knowledge-graph/index.js';
+import { ValidationError } from '../../../errors/index.js';
+
+describe('consolidateMemoryTool', () => {
+  let workDir: string;
+  let kg: KnowledgeGraph;
+
+  beforeEach(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'memesh-consolidate-tool-'));
+    kg = KnowledgeGraph.createSync(join(workDir, 'kg.db'));
+    for (const day of ['01', '02']) {
+      kg.createEntity({
+        name: `Test Result: api suite - 2026-02-${day}`,
+        entityType: 'test_result',
+        observations: ['Suite: api', 'Passed: 120', 'Failed: 0', `Timestamp: 2026-02-${day}T09:00:00Z`],
+      });
+    }
+  });
+
+  afterEach(() => {
+    kg.close();
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should define consolidate-memory tool metadata', () => {
+    expect(consolidateMemoryTool.name).toBe('consolidate-memory');
+    expect(consolidateMemoryTool.description).toContain('evolved_from');
+  });
+
+  it('should consolidate and undo', async () => {
+    const result = await consolidateMemoryTool.handler({}, kg);
+    expect(result.action).toBe('consolidate');
+    if (result.action !== 'consolidate') return;
+    expect(result.clusters).toHaveLength(1);
+
+    const undone = await consolidateMemoryTool.handler(
+      { action: 'undo', entityName: result.clusters[0].canonical },
+      kg
+    );
+    expect(undone).toEqual({
+      action: 'undo',
+      canonical: result.clusters[0].canonical,
+      restored: result.clusters[0].merged,
+    });
+  });
+
+  it('should require entityName to undo', async () => {
+    await expect(consolidateMemoryTool.handler({ action: 'undo' }, kg)).rejects.toThrow(ValidationError);
+  });
+});
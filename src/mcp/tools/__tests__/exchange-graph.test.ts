@@ -0,0 +1,63 @@
+/**
+ * Tests for exchange-graph MCP tool
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { exchangeGraphTool } from '../exchange-graph';
+import { KnowledgeGraph } from '../../../knowledge-graph/index.js';
+
+describe('exchangeGraphTool', () => {
+  let workDir: string;
+  let kg: KnowledgeGraph;
+
+  beforeEach(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'memesh-exchange-tool-'));
+    kg = KnowledgeGraph.createSync(join(workDir, 'kg.db'));
+    kg.createEntity({ name: 'alpha', entityType: 'decision', observations: ['first'] });
+    kg.createEntity({ name: 'beta', entityType: 'feature', observations: ['second'] });
+    kg.createRelation({ from: 'beta', to: 'alpha', relationType: 'depends_on' });
+  });
+
+  afterEach(() => {
+    kg.close();
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should define exchange-graph tool metadata', () => {
+    expect(exchangeGraphTool.name).toBe('exchange-graph');
+    expect(exchangeGraphTool.description).toContain('Knowledge Graph');
+    expect(exchangeGraphTool.inputSchema.required).toEqual(['action', 'path']);
+  });
+
+  it('should export with the format inferred from the path', async () => {
+    const file = join(workDir, 'graph.graphml');
+
+    const result = await exchangeGraphTool.handler({ action: 'export', path: file }, kg);
+
+    expect(result).toMatchObject({ action: 'export', format: 'graphml', entityCount: 2, relationCount: 1 });
+    expect(existsSync(file)).toBe(true);
+  });
+
+  it('should import a previous export', async () => {
+    const vault = join(workDir, 'vault');
+    await exchangeGraphTool.handler({ action: 'export', path: vault, format: 'markdown' }, kg);
+
+    const other = KnowledgeGraph.createSync(join(workDir, 'other.db'));
+    try {
+      const result = await exchangeGraphTool.handler({ action: 'import', path: vault }, other);
+
+      expect(result).toMatchObject({
+        action: 'import',
+        format: 'markdown',
+        entitiesCreated: 2,
+        relationsCreated: 1,
+      });
+      expect(other.getStats().totalRelations).toBe(1);
+    } finally {
+      other.close();
+    }
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Tests for get-cost-report MCP tool
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { getCostReportTool } from '../get-cost-report';
+import type { CostTracker } from '../../../orchestrator/CostTracker.js';
+import type { CostReport } from '../../../orchestrator/types.js';
+import type { MicroDollars } from '../../../utils/money.js';
+
+const usd = (micro: number) => micro as MicroDollars;
+
+describe('getCostReportTool', () => {
+  const report: CostReport = {
+    window: 'week',
+    since: new Date('2026-05-03T09:00:00Z'),
+    until: new Date('2026-05-10T09:00:00Z'),
+    totalCost: usd(24_000),
+    recordCount: 2,
+    byTask: [{ taskId: 'fix', cost: usd(24_000), records: 2, models: ['claude-sonnet-4-5-20250929'] }],
+    byModel: { 'claude-sonnet-4-5-20250929': usd(24_000) },
+    byAgent: { debugger: usd(24_000) },
+    byProject: { web: usd(24_000) },
+    byDay: [{ date: '2026-05-09', cost: usd(24_000) }],
+    budgets: [{ scope: 'project', key: 'web', limit: usd(100_000), spent: usd(24_000), remaining: usd(76_000) }],
+  };
+
+  it('should pass filters to the tracker and report amounts in USD', async () => {
+    const costTracker = { getReport: vi.fn().mockReturnValue(report) } as unknown as CostTracker;
+
+    const result = await getCostReportTool.handler({ window: 'week', projectId: 'web', limit: 5 }, costTracker);
+
+    expect(costTracker.getReport).toHaveBeenCalledWith({
+      window: 'week',
+      projectId: 'web',
+      agent: undefined,
+      taskLimit: 5,
+    });
+    expect(result).toEqual({
+      window: 'week',
+      since: '2026-05-03T09:00:00.000Z',
+      until: '2026-05-10T09:00:00.000Z',
+      totalCostUsd: 0.024,
+      recordCount: 2,
+      byTask: [{ taskId: 'fix', costUsd: 0.024, records: 2, models: ['claude-sonnet-4-5-20250929'] }],
+      byModel: { 'claude-sonnet-4-5-20250929': 0.024 },
+      byAgent: { debugger: 0.024 },
+      byProject: { web: 0.024 },
+      byDay: [{ date: '2026-05-09', costUsd: 0.024 }],
+      budgets: [{ scope: 'project', key: 'web', limitUsd: 0.1, spentUsd: 0.024, remainingUsd: 0.076, usage: 0.24 }],
+    });
+  });
+
+  it('should leave out since for the all-time window', async () => {
+    const { since: _since, ...allTime } = report;
+    const costTracker = {
+      getReport: vi.fn().mockReturnValue({ ...allTime, window: 'all' }),
+    } as unknown as CostTracker;
+
+    const result = await getCostReportTool.handler({ window: 'all' }, costTracker);
+    expect(result).not.toHaveProperty('since');
+    expect(result.window).toBe('all');
+  });
+});
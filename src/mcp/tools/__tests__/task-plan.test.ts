@@ -0,0 +1,62 @@
+/**
+ * Tests for task-plan MCP tool
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { taskPlanTool } from '../task-plan';
+import { KnowledgeGraph } from '../../../knowledge-graph/index.js';
+import { ValidationError } from '../../../errors/index.js';
+
+describe('taskPlanTool', () => {
+  let workDir: string;
+  let kg: KnowledgeGraph;
+
+  beforeEach(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'memesh-task-plan-tool-'));
+    kg = KnowledgeGraph.createSync(join(workDir, 'kg.db'));
+  });
+
+  afterEach(() => {
+    kg.close();
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should define task-plan tool metadata', () => {
+    expect(taskPlanTool.name).toBe('task-plan');
+    expect(taskPlanTool.description).toContain('depends_on');
+  });
+
+  it('should create, view, advance and re-plan the current plan', async () => {
+    const created = await taskPlanTool.handler(
+      { action: 'create', featureDescription: 'Build a simple todo list API', includeTests: false },
+      kg
+    );
+    if (created.action !== 'create') return;
+    expect(created.plan.tasks).toHaveLength(2);
+
+    const advanced = await taskPlanTool.handler({ action: 'advance' }, kg);
+    expect(advanced).toMatchObject({ action: 'advance', task: { id: 'task-1', status: 'completed' } });
+
+    const replanned = await taskPlanTool.handler({ action: 'replan', includeTests: false, includeDocs: true }, kg);
+    expect(replanned).toMatchObject({ action: 'replan', added: ['task-3'], removed: [] });
+
+    const viewed = await taskPlanTool.handler({ action: 'view' }, kg);
+    expect(viewed.action === 'view' && viewed.plan?.progress).toMatchObject({
+      completed: 1,
+      ready: ['task-2'],
+      blocked: ['task-3'],
+    });
+
+    const listed = await taskPlanTool.handler({ action: 'list' }, kg);
+    expect(listed.action === 'list' && listed.plans.map(plan => plan.id)).toEqual([created.plan.id]);
+  });
+
+  it('should require a feature to create and a plan to advance', async () => {
+    await expect(taskPlanTool.handler({ action: 'create' }, kg)).rejects.toThrow(ValidationError);
+    await expect(taskPlanTool.handler({ action: 'advance' }, kg)).rejects.toThrow('No active plan to advance');
+    expect(await taskPlanTool.handler({ action: 'view' }, kg)).toEqual({ action: 'view', plan: null });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Tests for trace-relations MCP tool
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { traceRelationsTool } from '../trace-relations';
+
+describe('traceRelationsTool', () => {
+  let mockKnowledgeGraph: any;
+
+  beforeEach(() => {
+    mockKnowledgeGraph = {
+      traceRelations: vi.fn().mockReturnValue({
+        entity: 'bug-x',
+        relations: [{ from: 'bug-x', to: 'change-a', relationType: 'caused_by', hop: 1 }],
+        depth: 2,
+        entities: [
+          { name: 'bug-x', hop: 0 },
+          { name: 'change-a', hop: 1 },
+        ],
+        cycles: [],
+      }),
+      findShortestPath: vi.fn().mockReturnValue({
+        from: 'bug-x',
+        to: 'change-a',
+        length: 1,
+        entities: ['bug-x', 'change-a'],
+        relations: [{ from: 'bug-x', to: 'change-a', relationType: 'caused_by', hop: 1 }],
+      }),
+    };
+  });
+
+  it('should define trace-relations tool metadata', () => {
+    expect(traceRelationsTool.name).toBe('trace-relations');
+    expect(traceRelationsTool.description).toContain('Knowledge Graph');
+    expect(traceRelationsTool.inputSchema.required).toContain('entityName');
+  });
+
+  it('should trace with default depth when no target is given', async () => {
+    const result = await traceRelationsTool.handler(
+      { entityName: 'bug-x', relationTypes: ['caused_by'] },
+      mockKnowledgeGraph
+    );
+
+    expect(mockKnowledgeGraph.traceRelations).toHaveBeenCalledWith('bug-x', 2, {
+      relationTypes: ['caused_by'],
+      direction: undefined,
+    });
+    expect(result).toMatchObject({ mode: 'trace', found: true, depth: 2 });
+    if (result.mode === 'trace') {
+      expect(result.entities).toHaveLength(2);
+    }
+  });
+
+  it('should report a missing start entity', async () => {
+    mockKnowledgeGraph.traceRelations.mockReturnValue(null);
+
+    const result = await traceRelationsTool.handler({ entityName: 'missing' }, mockKnowledgeGraph);
+
+    expect(result).toMatchObject({ mode: 'trace', found: false, relations: [], entities: [] });
+  });
+
+  it('should find a path when a target is given', async () => {
+    const result = await traceRelationsTool.handler(
+      { entityName: 'bug-x', to: 'change-a', direction: 'outgoing' },
+      mockKnowledgeGraph
+    );
+
+    expect(mockKnowledgeGraph.findShortestPath).toHaveBeenCalledWith('bug-x', 'change-a', {
+      relationTypes: undefined,
+      direction: 'outgoing',
+      maxDepth: 6,
+    });
+    expect(result).toMatchObject({ mode: 'path', found: true, maxDepth: 6 });
+    expect(mockKnowledgeGraph.traceRelations).not.toHaveBeenCalled();
+  });
+
+  it('should report when no path exists', async () => {
+    mockKnowledgeGraph.findShortestPath.mockReturnValue(null);
+
+    const result = await traceRelationsTool.handler(
+      { entityName: 'bug-x', to: 'island', depth: 3 },
+      mockKnowledgeGraph
+    );
+
+    expect(result).toMatchObject({ mode: 'path', found: false, maxDepth: 3, path: null });
+  });
+});
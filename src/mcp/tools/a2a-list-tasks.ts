@@ -1,7 +1,7 @@
 /**
  * MCP Tool: a2a-list-tasks
  *
- * Lists pending tasks for an agent from the MCPTaskDelegator's in-memory queue.
+ * Leases the next delegated tasks for an agent from the MCPTaskDelegator queue.
  * Used by MCP Client for polling (every 5 seconds).
  */
 
@@ -28,10 +28,11 @@ export const A2AListTasksInputSchema = z.object({
 export type ValidatedA2AListTasksInput = z.infer<typeof A2AListTasksInputSchema>;
 
 /**
- * a2a-list-tasks tool - List pending tasks for an agent
+ * a2a-list-tasks tool - Pick up pending tasks for an agent
  *
- * Returns pending tasks from MCPTaskDelegator's in-memory queue.
- * Used for polling interface by MCP Client.
+ * Returns the tasks newly leased to the MCP client (IN_PROGRESS). A task
+ * that is not reported via a2a-report-result before its lease expires is
+ * returned again by a later poll.
  *
  * @param input - The validated input containing agentId
  * @param delegator - MCPTaskDelegator instance
@@ -43,8 +44,8 @@ export async function a2aListTasks(
 ): Promise<{ content: Array<{ type: 'text'; text: string }> }> {
   const { agentId } = input;
 
-  // Get pending tasks from MCPTaskDelegator's in-memory queue
-  const tasks = await delegator.getPendingTasks(agentId);
+  // Lease as many tasks as the agent has free concurrency slots
+  const tasks = await delegator.claimTasks(agentId);
 
   return {
     content: [
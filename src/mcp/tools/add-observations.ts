@@ -2,10 +2,14 @@
  * MCP Tool: add-observations
  *
  * Adds new observations to existing entities in the Knowledge Graph.
- * Allows updating entities with additional information.
+ * Allows updating entities with additional information. Observations that a
+ * new fact replaces can be superseded, so recall stops returning them while
+ * they stay in the entity's history. Secrets in new observations are
+ * redacted before they are stored.
  */
 
 import type { KnowledgeGraph } from '../../knowledge-graph/index.js';
+import type { SecretRedactor } from '../../memory/SecretRedactor.js';
 
 export interface AddObservationsArgs {
   /** Array of observations to add */
@@ -14,6 +18,8 @@ export interface AddObservationsArgs {
     entityName: string;
     /** Array of observation contents to add */
     contents: string[];
+    /** Existing observations that the new contents replace */
+    supersedes?: string[];
   }>;
 }
 
@@ -22,7 +28,7 @@ export interface AddObservationsArgs {
  */
 export const addObservationsTool = {
   name: 'add-observations',
-  description: 'Add new observations to existing entities in the Knowledge Graph. Update entities with additional information, notes, or findings.',
+  description: 'Add new observations to existing entities in the Knowledge Graph. Update entities with additional information, notes, or findings. Use supersedes to replace outdated observations instead of accumulating contradictions.',
 
   inputSchema: {
     type: 'object' as const,
@@ -42,6 +48,11 @@ export const addObservationsTool = {
               items: { type: 'string' },
               description: 'Array of observation contents to add',
             },
+            supersedes: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Existing observations (exact text) that the new contents replace. They are kept as history but no longer recalled.',
+            },
           },
           required: ['entityName', 'contents'],
         },
@@ -55,20 +66,21 @@ export const addObservationsTool = {
    *
    * @param args - Tool arguments
    * @param knowledgeGraph - KnowledgeGraph instance
+   * @param redactor - Optional secret redactor for new observations
    * @returns Summary of updated entities
    */
   async handler(
     args: AddObservationsArgs,
-    knowledgeGraph: KnowledgeGraph
+    knowledgeGraph: KnowledgeGraph,
+    redactor?: SecretRedactor
   ) {
     const updated: string[] = [];
+    let superseded = 0;
+    let redacted = 0;
     const notFound: string[] = [];
     const errors: Array<{ entityName: string; error: string }> = [];
 
-    // Process observations sequentially to minimize race condition window
-    // Note: For truly atomic updates, KnowledgeGraph would need transaction support
-    // Current implementation uses get-then-update pattern which is sufficient
-    // for single-user CLI usage but not for concurrent access
+    // Process observations sequentially; each entity is updated in its own transaction
     for (const obs of args.observations) {
       try {
         // Get existing entity - capture state at this moment
@@ -79,15 +91,19 @@ export const addObservationsTool = {
           continue;
         }
 
-        // Merge observations and update atomically via ON CONFLICT REPLACE
-        // The createEntity uses INSERT OR REPLACE which is atomic at the SQL level
-        const mergedObservations = [...entity.observations, ...obs.contents];
-        await knowledgeGraph.createEntity({
-          name: entity.name,
-          entityType: entity.entityType,
-          observations: mergedObservations,
-          metadata: entity.metadata,
+        let contents = obs.contents;
+        if (redactor) {
+          const redaction = await redactor.redact(contents, 'add-observations');
+          contents = redaction.texts;
+          redacted += redaction.findings.length;
+        }
+
+        // Append rows (tags and metadata stay untouched); superseded observations
+        // are closed and linked to the new ones
+        const result = knowledgeGraph.addObservations(entity.name, contents, {
+          supersedes: obs.supersedes,
         });
+        superseded += result.superseded;
 
         updated.push(obs.entityName);
       } catch (error) {
@@ -101,6 +117,8 @@ export const addObservationsTool = {
     return {
       updated,
       count: updated.length,
+      superseded: superseded > 0 ? superseded : undefined,
+      redacted: redacted > 0 ? redacted : undefined,
       notFound: notFound.length > 0 ? notFound : undefined,
       errors: errors.length > 0 ? errors : undefined,
     };
@@ -12,6 +12,16 @@ export const BuddyRememberInputSchema = z.object({
     .optional()
     .default(5)
     .describe('Maximum number of memories to retrieve'),
+  useful: z
+    .array(z.string().min(1))
+    .max(50)
+    .optional()
+    .describe('Names of previously recalled memories that helped (reinforces them in ranking)'),
+  notUseful: z
+    .array(z.string().min(1))
+    .max(50)
+    .optional()
+    .describe('Names of previously recalled memories that did not help (ranks them lower)'),
 });
 
 export type ValidatedBuddyRememberInput = z.infer<typeof BuddyRememberInputSchema>;
@@ -25,6 +35,10 @@ export type ValidatedBuddyRememberInput = z.infer<typeof BuddyRememberInputSchem
  * - Bug fixes and solutions
  * - Project patterns and conventions
  *
+ * Returned memories are recorded as recalled. Callers can report which
+ * memories from an earlier recall helped (`useful` / `notUseful`); the
+ * feedback feeds access-aware ranking (see MemoryDecay).
+ *
  * Examples:
  *   query: "api design decisions"
  *   query: "authentication approach"
@@ -36,6 +50,11 @@ export async function executeBuddyRemember(
   formatter: ResponseFormatter
 ): Promise<{ content: Array<{ type: 'text'; text: string }> }> {
   try {
+    // Record feedback on earlier recalls before searching, so it already counts
+    const feedbackRecorded = input.useful || input.notUseful
+      ? projectMemory.recordFeedback(input.useful, input.notUseful)
+      : undefined;
+
     // Search project memory
     const memories = await projectMemory.search(input.query, input.limit);
 
@@ -47,6 +66,7 @@ export async function executeBuddyRemember(
         results: {
           query: input.query,
           count: 0,
+          ...(feedbackRecorded !== undefined ? { feedbackRecorded } : {}),
           suggestions: [
             'Try a broader search term',
             'Check if memories were stored for this topic',
@@ -73,6 +93,7 @@ export async function executeBuddyRemember(
         query: input.query,
         memories: memories,
         count: memories.length,
+        ...(feedbackRecorded !== undefined ? { feedbackRecorded } : {}),
       },
     });
 
@@ -0,0 +1,120 @@
+/**
+ * MCP Tool: consolidate-memory
+ *
+ * Merges near-duplicate Knowledge Graph entities, condenses long observation
+ * lists into summaries, or undoes an earlier merge.
+ */
+
+import type { KnowledgeGraph } from '../../knowledge-graph/index.js';
+import type { EntityType } from '../../knowledge-graph/types.js';
+import type { SamplingClient } from '../SamplingClient.js';
+import {
+  MemoryConsolidator,
+  type ConsolidationResult,
+  type UndoConsolidationResult,
+} from '../../memory/MemoryConsolidator.js';
+import { ValidationError } from '../../errors/index.js';
+
+export interface ConsolidateMemoryArgs {
+  /** Consolidate the graph or undo a recorded merge (default: 'consolidate') */
+  action?: 'consolidate' | 'undo';
+  /** Entity types to consolidate */
+  entityTypes?: string[];
+  /** Minimum similarity (0-1) to merge two entities */
+  similarityThreshold?: number;
+  /** Summarize entities with more observations than this */
+  maxObservations?: number;
+  /** Report without writing */
+  dryRun?: boolean;
+  /** Undo: entity the others were merged into */
+  entityName?: string;
+  /** Undo: only split out this merged entity */
+  mergedEntity?: string;
+}
+
+export type ConsolidateMemoryResult =
+  | ({ action: 'consolidate' } & ConsolidationResult)
+  | ({ action: 'undo' } & UndoConsolidationResult);
+
+/**
+ * MCP Tool definition for memory consolidation
+ */
+export const consolidateMemoryTool = {
+  name: 'consolidate-memory',
+  description: 'Merge near-duplicate Knowledge Graph entities (keeping their relations) and summarize long observation lists. Every merge is recorded as an evolved_from relation and can be undone.',
+
+  inputSchema: {
+    type: 'object' as const,
+    properties: {
+      action: {
+        type: 'string',
+        enum: ['consolidate', 'undo'],
+        description: 'Consolidate the graph or undo a recorded merge (default: consolidate)',
+      },
+      entityTypes: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Entity types to consolidate (default: code_change, session_snapshot, test_result, project_snapshot, workflow_checkpoint)',
+      },
+      similarityThreshold: {
+        type: 'number',
+        description: 'Minimum similarity (0-1) for two entities to be merged (default: 0.85)',
+        minimum: 0,
+        maximum: 1,
+      },
+      maxObservations: {
+        type: 'number',
+        description: 'Summarize entities with more current observations than this (default: 30)',
+      },
+      dryRun: {
+        type: 'boolean',
+        description: 'Report what would be merged and summarized without writing (default: false)',
+      },
+      entityName: {
+        type: 'string',
+        description: 'Undo: entity the others were merged into',
+      },
+      mergedEntity: {
+        type: 'string',
+        description: 'Undo: only split out this merged entity (default: all)',
+      },
+    },
+  },
+
+  /**
+   * Handler for consolidate-memory tool
+   *
+   * @param args - Tool arguments
+   * @param knowledgeGraph - KnowledgeGraph instance
+   * @param samplingClient - Optional client for summaries (extractive fallback otherwise)
+   * @param onProgress - Optional consolidation progress callback (steps done, total)
+   * @returns Consolidation or undo result
+   */
+  async handler(
+    args: ConsolidateMemoryArgs,
+    knowledgeGraph: KnowledgeGraph,
+    samplingClient?: SamplingClient,
+    onProgress?: (done: number, total: number) => void
+  ): Promise<ConsolidateMemoryResult> {
+    const consolidator = new MemoryConsolidator(knowledgeGraph, samplingClient);
+
+    if (args.action === 'undo') {
+      if (!args.entityName) {
+        throw new ValidationError('entityName is required to undo a consolidation', {
+          component: 'consolidate-memory',
+          action: args.action,
+        });
+      }
+      return { action: 'undo', ...consolidator.undo(args.entityName, args.mergedEntity) };
+    }
+
+    const result = await consolidator.consolidate({
+      entityTypes: args.entityTypes as EntityType[] | undefined,
+      similarityThreshold: args.similarityThreshold,
+      maxObservations: args.maxObservations,
+      dryRun: args.dryRun,
+      onProgress,
+    });
+    return { action: 'consolidate', ...result };
+  },
+};
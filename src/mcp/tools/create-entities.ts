@@ -5,10 +5,12 @@
  * Allows manual recording of decisions, features, bug fixes, and other knowledge.
  *
  * Automatically tags entities with scope and tech tags based on project context.
+ * Secrets in observations and metadata are redacted before they are stored.
  */
 
 import type { KnowledgeGraph } from '../../knowledge-graph/index.js';
 import type { EntityType } from '../../knowledge-graph/types.js';
+import type { SecretRedactor } from '../../memory/SecretRedactor.js';
 
 export interface CreateEntitiesArgs {
   /** Array of entities to create */
@@ -79,13 +81,16 @@ export const createEntitiesTool = {
    *
    * @param args - Tool arguments
    * @param knowledgeGraph - KnowledgeGraph instance
+   * @param redactor - Optional secret redactor for observations and metadata
    * @returns Summary of created entities
    */
   async handler(
     args: CreateEntitiesArgs,
-    knowledgeGraph: KnowledgeGraph
+    knowledgeGraph: KnowledgeGraph,
+    redactor?: SecretRedactor
   ) {
     const created: string[] = [];
+    let redacted = 0;
     const errors: Array<{ name: string; error: string }> = [];
 
     for (const entity of args.entities) {
@@ -98,12 +103,19 @@ export const createEntitiesTool = {
           tags.push('scope:project');
         }
 
+        let { observations, metadata } = entity;
+        if (redactor) {
+          const result = await redactor.redactValues({ observations, metadata }, 'create-entities');
+          ({ observations, metadata } = result.value);
+          redacted += result.findings.length;
+        }
+
         await knowledgeGraph.createEntity({
           name: entity.name,
           entityType: entity.entityType as EntityType, // Cast from MCP string input
-          observations: entity.observations,
+          observations,
           tags,
-          metadata: entity.metadata,
+          metadata,
         });
         created.push(entity.name);
       } catch (error) {
@@ -117,6 +129,7 @@ export const createEntitiesTool = {
     return {
       created,
       count: created.length,
+      redacted: redacted > 0 ? redacted : undefined,
       errors: errors.length > 0 ? errors : undefined,
     };
   },
@@ -0,0 +1,98 @@
+/**
+ * MCP Tool: exchange-graph
+ *
+ * Exports the Knowledge Graph to JSON-LD, GraphML or a Markdown vault, or
+ * imports one of those back (deduplicating through content_hash). Imported
+ * observations and metadata are redacted before they are stored.
+ */
+
+import type { KnowledgeGraph } from '../../knowledge-graph/index.js';
+import type { SecretRedactor } from '../../memory/SecretRedactor.js';
+import {
+  exportGraph,
+  importGraph,
+  inferGraphExchangeFormat,
+  type GraphExchangeFormat,
+  type GraphExportResult,
+  type GraphImportResult,
+} from '../../knowledge-graph/exchange/index.js';
+
+export interface ExchangeGraphArgs {
+  /** Export the graph or import into it */
+  action: 'export' | 'import';
+  /** File (jsonld, graphml) or directory (markdown) */
+  path: string;
+  /** Exchange format (default: inferred from the path extension) */
+  format?: GraphExchangeFormat;
+  /** Export: replace existing files. Import: rewrite entities that already exist by name */
+  overwrite?: boolean;
+}
+
+export type ExchangeGraphResult =
+  | ({ action: 'export' } & GraphExportResult)
+  | ({ action: 'import'; format: GraphExchangeFormat; path: string } & GraphImportResult);
+
+/**
+ * MCP Tool definition for exporting / importing the knowledge graph
+ */
+export const exchangeGraphTool = {
+  name: 'exchange-graph',
+  description: 'Export the Knowledge Graph to JSON-LD, GraphML (Gephi/yEd) or an Obsidian-style Markdown vault, or import one of those back. Imports deduplicate through content hashes.',
+
+  inputSchema: {
+    type: 'object' as const,
+    properties: {
+      action: {
+        type: 'string',
+        enum: ['export', 'import'],
+        description: 'Export the graph or import into it',
+      },
+      path: {
+        type: 'string',
+        description: 'File path (jsonld, graphml) or directory (markdown)',
+      },
+      format: {
+        type: 'string',
+        enum: ['jsonld', 'graphml', 'markdown'],
+        description: 'Exchange format (default: inferred from the path - .jsonld/.json, .graphml/.xml, otherwise markdown)',
+      },
+      overwrite: {
+        type: 'boolean',
+        description: 'Export: replace existing files. Import: rewrite entities that already exist by name (default: false)',
+      },
+    },
+    required: ['action', 'path'],
+  },
+
+  /**
+   * Handler for exchange-graph tool
+   *
+   * @param args - Tool arguments
+   * @param knowledgeGraph - KnowledgeGraph instance
+   * @param redactor - Optional secret redactor for imported observations and metadata
+   * @param onProgress - Optional import progress callback (items written, total)
+   * @returns Export or import summary
+   */
+  async handler(
+    args: ExchangeGraphArgs,
+    knowledgeGraph: KnowledgeGraph,
+    redactor?: SecretRedactor,
+    onProgress?: (done: number, total: number) => void
+  ): Promise<ExchangeGraphResult> {
+    const format = args.format ?? inferGraphExchangeFormat(args.path);
+
+    if (args.action === 'export') {
+      const result = await exportGraph(knowledgeGraph, format, args.path, {
+        overwrite: args.overwrite,
+      });
+      return { action: 'export', ...result };
+    }
+
+    const result = await importGraph(knowledgeGraph, format, args.path, {
+      overwrite: args.overwrite,
+      onProgress,
+      redactor,
+    });
+    return { action: 'import', format, path: args.path, ...result };
+  },
+};
@@ -0,0 +1,120 @@
+/**
+ * MCP Tool: get-cost-report
+ *
+ * Reports model spend tracked by CostTracker, broken down by task, model,
+ * agent, project and day, together with the state of every budget.
+ * Amounts are in USD.
+ */
+
+import type { CostTracker } from '../../orchestrator/CostTracker.js';
+import type { BudgetScope, CostReportWindow } from '../../orchestrator/types.js';
+import { toDollars, type MicroDollars } from '../../utils/money.js';
+
+export interface GetCostReportArgs {
+  /** Time window (default: 'month') */
+  window?: CostReportWindow;
+  /** Only include costs of this project */
+  projectId?: string;
+  /** Only include costs of this agent */
+  agent?: string;
+  /** Maximum number of tasks listed (default: 20) */
+  limit?: number;
+}
+
+export interface GetCostReportResult {
+  window: CostReportWindow;
+  since?: string;
+  until: string;
+  totalCostUsd: number;
+  recordCount: number;
+  byTask: Array<{ taskId: string; costUsd: number; records: number; models: string[] }>;
+  byModel: Record<string, number>;
+  byAgent: Record<string, number>;
+  byProject: Record<string, number>;
+  byDay: Array<{ date: string; costUsd: number }>;
+  budgets: Array<{
+    scope: BudgetScope;
+    key?: string;
+    limitUsd: number;
+    spentUsd: number;
+    remainingUsd: number;
+    /** Spend as a fraction of the limit */
+    usage: number;
+  }>;
+}
+
+/**
+ * MCP Tool definition for cost reports
+ */
+export const getCostReportTool = {
+  name: 'get-cost-report',
+  description: 'Report model spend by task, model, agent, project and day for a time window, with remaining monthly, daily, per-project and per-agent budgets.',
+
+  inputSchema: {
+    type: 'object' as const,
+    properties: {
+      window: {
+        type: 'string',
+        enum: ['day', 'week', 'month', 'all'],
+        description: 'Time window: today, last 7 days, this month (default) or everything tracked',
+      },
+      projectId: {
+        type: 'string',
+        description: 'Only include costs of this project',
+      },
+      agent: {
+        type: 'string',
+        description: 'Only include costs of this agent',
+      },
+      limit: {
+        type: 'number',
+        description: 'Maximum number of tasks listed, most expensive first (1-100, default: 20)',
+        minimum: 1,
+        maximum: 100,
+      },
+    },
+  },
+
+  /**
+   * Handler for get-cost-report tool
+   *
+   * @param args - Tool arguments
+   * @param costTracker - CostTracker instance
+   * @returns Spend breakdown in USD
+   */
+  async handler(args: GetCostReportArgs, costTracker: CostTracker): Promise<GetCostReportResult> {
+    const report = costTracker.getReport({
+      window: args.window,
+      projectId: args.projectId,
+      agent: args.agent,
+      taskLimit: args.limit,
+    });
+
+    return {
+      window: report.window,
+      ...(report.since ? { since: report.since.toISOString() } : {}),
+      until: report.until.toISOString(),
+      totalCostUsd: toDollars(report.totalCost),
+      recordCount: report.recordCount,
+      byTask: report.byTask.map(({ cost, ...task }) => ({ ...task, costUsd: toDollars(cost) })),
+      byModel: toDollarRecord(report.byModel),
+      byAgent: toDollarRecord(report.byAgent),
+      byProject: toDollarRecord(report.byProject),
+      byDay: report.byDay.map(({ date, cost }) => ({ date, costUsd: toDollars(cost) })),
+      budgets: report.budgets.map((budget) => ({
+        scope: budget.scope,
+        ...(budget.key !== undefined ? { key: budget.key } : {}),
+        limitUsd: toDollars(budget.limit),
+        spentUsd: toDollars(budget.spent),
+        remainingUsd: toDollars(budget.remaining),
+        usage: Math.round((budget.spent / budget.limit) * 1000) / 1000,
+      })),
+    };
+  },
+};
+
+function toDollarRecord(costs: Record<string, MicroDollars>): Record<string, number> {
+  return Object.fromEntries(
+    Object.entries(costs).map(([key, cost]) => [key, toDollars(cost)])
+  );
+}
@@ -0,0 +1,149 @@
+/**
+ * MCP Tool: task-plan
+ *
+ * Creates feature plans with TaskDecomposer and tracks them in the
+ * Knowledge Graph: list, view, advance and re-plan.
+ */
+
+import type { KnowledgeGraph } from '../../knowledge-graph/index.js';
+import {
+  PlanTracker,
+  type Plan,
+  type PlanTask,
+  type PlanTaskStatus,
+} from '../../planning/PlanTracker.js';
+import { ValidationError } from '../../errors/index.js';
+
+export interface TaskPlanArgs {
+  /** What to do with plans */
+  action: 'create' | 'list' | 'view' | 'advance' | 'replan';
+  /** Create / replan: feature to decompose (replan default: the plan's feature) */
+  featureDescription?: string;
+  /** Create / replan: add an integration test task (default: true) */
+  includeTests?: boolean;
+  /** Create / replan: add a documentation task (default: false) */
+  includeDocs?: boolean;
+  /** View / advance / replan: plan ID (default: the current plan) */
+  planId?: string;
+  /** Advance: task ID (default: the in-progress task, else the next ready task) */
+  taskId?: string;
+  /** Advance: new task status (default: 'completed') */
+  status?: PlanTaskStatus;
+  /** Advance: commit that completed the task */
+  commit?: string;
+}
+
+export type TaskPlanResult =
+  | { action: 'create'; plan: Plan }
+  | { action: 'list'; plans: Plan[] }
+  | { action: 'view'; plan: Plan | null }
+  | { action: 'advance'; plan: Plan; task: PlanTask }
+  | { action: 'replan'; plan: Plan; added: string[]; removed: string[] };
+
+/**
+ * MCP Tool definition for plan tracking
+ */
+export const taskPlanTool = {
+  name: 'task-plan',
+  description: 'Break a feature into small testable tasks and track them across sessions. Plans are stored in the Knowledge Graph as plan/plan_task entities linked by depends_on relations; tasks advance automatically when tests pass and changes are committed.',
+
+  inputSchema: {
+    type: 'object' as const,
+    properties: {
+      action: {
+        type: 'string',
+        enum: ['create', 'list', 'view', 'advance', 'replan'],
+        description: 'Create a plan, list plans, view one, advance a task or re-plan',
+      },
+      featureDescription: {
+        type: 'string',
+        description: 'Create/replan: feature to break into tasks (replan default: the plan\'s feature)',
+      },
+      includeTests: {
+        type: 'boolean',
+        description: 'Create/replan: add an integration test task (default: true)',
+      },
+      includeDocs: {
+        type: 'boolean',
+        description: 'Create/replan: add a documentation task (default: false)',
+      },
+      planId: {
+        type: 'string',
+        description: 'View/advance/replan: plan ID (default: the current plan)',
+      },
+      taskId: {
+        type: 'string',
+        description: 'Advance: task ID (default: the in-progress task, else the next ready task)',
+      },
+      status: {
+        type: 'string',
+        enum: ['pending', 'in_progress', 'completed', 'skipped'],
+        description: 'Advance: new task status (default: completed)',
+      },
+      commit: {
+        type: 'string',
+        description: 'Advance: commit that completed the task',
+      },
+    },
+    required: ['action'],
+  },
+
+  /**
+   * Handler for task-plan tool
+   *
+   * @param args - Tool arguments
+   * @param knowledgeGraph - KnowledgeGraph instance
+   * @returns The created, viewed, advanced or re-planned plan, or all plans
+   */
+  async handler(args: TaskPlanArgs, knowledgeGraph: KnowledgeGraph): Promise<TaskPlanResult> {
+    const tracker = new PlanTracker(knowledgeGraph);
+    const scope = { includeTests: args.includeTests, includeDocs: args.includeDocs };
+
+    switch (args.action) {
+      case 'create':
+        if (!args.featureDescription) {
+          throw new ValidationError('featureDescription is required to create a plan', {
+            component: 'task-plan',
+            action: args.action,
+          });
+        }
+        return {
+          action: 'create',
+          plan: tracker.create({ featureDescription: args.featureDescription, scope }),
+        };
+
+      case 'list':
+        return { action: 'list', plans: tracker.list() };
+
+      case 'view':
+        return { action: 'view', plan: args.planId ? tracker.get(args.planId) : tracker.current() };
+
+      case 'advance':
+        return {
+          action: 'advance',
+          ...tracker.advance(resolvePlanId(tracker, args), {
+            taskId: args.taskId,
+            status: args.status,
+            commit: args.commit,
+          }),
+        };
+
+      case 'replan':
+        return {
+          action: 'replan',
+          ...tracker.replan(resolvePlanId(tracker, args), { featureDescription: args.featureDescription, scope }),
+        };
+    }
+  },
+};
+
+function resolvePlanId(tracker: PlanTracker, args: TaskPlanArgs): string {
+  const planId = args.planId ?? tracker.current()?.id;
+  if (!planId) {
+    throw new ValidationError(`No active plan to ${args.action}; pass planId`, {
+      component: 'task-plan',
+      action: args.action,
+    });
+  }
+  return planId;
+}
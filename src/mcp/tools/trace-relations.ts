@@ -0,0 +1,133 @@
+/**
+ * MCP Tool: trace-relations
+ *
+ * Traverses relations in the Knowledge Graph.
+ * Without `to`, lists everything reachable from an entity within N hops;
+ * with `to`, finds the shortest relation path between two entities.
+ */
+
+import type { KnowledgeGraph } from '../../knowledge-graph/index.js';
+import type {
+  RelationDirection,
+  RelationPath,
+  RelationType,
+  TracedRelation,
+} from '../../knowledge-graph/types.js';
+
+export interface TraceRelationsArgs {
+  /** Entity to start from */
+  entityName: string;
+  /** Optional target entity - switches to shortest-path mode */
+  to?: string;
+  /** Maximum number of hops (default: 2 for traces, 6 for paths) */
+  depth?: number;
+  /** Only follow these relation types */
+  relationTypes?: string[];
+  /** Direction to follow relations in (default: 'both') */
+  direction?: RelationDirection;
+}
+
+export type TraceRelationsResult =
+  | {
+      mode: 'trace';
+      found: boolean;
+      entity: string;
+      depth: number;
+      entities: Array<{ name: string; hop: number }>;
+      relations: TracedRelation[];
+      cycles: string[][];
+    }
+  | {
+      mode: 'path';
+      found: boolean;
+      from: string;
+      to: string;
+      maxDepth: number;
+      path: RelationPath | null;
+    };
+
+/**
+ * MCP Tool definition for tracing relations
+ */
+export const traceRelationsTool = {
+  name: 'trace-relations',
+  description: 'Traverse relations in the Knowledge Graph. Lists entities reachable within N hops, or finds the shortest path between two entities (e.g. how a bug fix is connected to a decision).',
+
+  inputSchema: {
+    type: 'object' as const,
+    properties: {
+      entityName: {
+        type: 'string',
+        description: 'Entity to start from',
+      },
+      to: {
+        type: 'string',
+        description: 'Optional target entity. When set, returns the shortest path from entityName to this entity',
+      },
+      depth: {
+        type: 'number',
+        description: 'Maximum number of hops (1-10, default: 2 for traces, 6 for paths)',
+        minimum: 1,
+        maximum: 10,
+      },
+      relationTypes: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Only follow these relation types (e.g., ["caused_by", "solves"])',
+      },
+      direction: {
+        type: 'string',
+        enum: ['outgoing', 'incoming', 'both'],
+        description: 'Follow relations from → to ("outgoing"), to → from ("incoming"), or both (default)',
+      },
+    },
+    required: ['entityName'],
+  },
+
+  /**
+   * Handler for trace-relations tool
+   *
+   * @param args - Tool arguments
+   * @param knowledgeGraph - KnowledgeGraph instance
+   * @returns Trace or path result
+   */
+  async handler(
+    args: TraceRelationsArgs,
+    knowledgeGraph: KnowledgeGraph
+  ): Promise<TraceRelationsResult> {
+    const traversal = {
+      relationTypes: args.relationTypes as RelationType[] | undefined,
+      direction: args.direction,
+    };
+
+    if (args.to) {
+      const maxDepth = args.depth ?? 6;
+      const path = knowledgeGraph.findShortestPath(args.entityName, args.to, {
+        ...traversal,
+        maxDepth,
+      });
+
+      return {
+        mode: 'path',
+        found: path !== null,
+        from: args.entityName,
+        to: args.to,
+        maxDepth,
+        path,
+      };
+    }
+
+    const depth = args.depth ?? 2;
+    const trace = knowledgeGraph.traceRelations(args.entityName, depth, traversal);
+
+    return {
+      mode: 'trace',
+      found: trace !== null,
+      entity: args.entityName,
+      depth,
+      entities: trace?.entities ?? [],
+      relations: trace?.relations ?? [],
+      cycles: trace?.cycles ?? [],
+    };
+  },
+};
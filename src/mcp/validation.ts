@@ -205,6 +205,7 @@ export const AddObservationsInputSchema = z.object({
     z.object({
       entityName: z.string().min(1, 'Entity name cannot be empty'),
       contents: z.array(z.string().min(1, 'Observation cannot be empty')).min(1, 'At least one observation is required'),
+      supersedes: z.array(z.string().min(1, 'Superseded observation cannot be empty')).optional(),
     })
   ).min(1, 'At least one observation entry is required'),
 });
@@ -223,6 +224,68 @@ export const CreateRelationsInputSchema = z.object({
   ).min(1, 'At least one relation is required'),
 });
 
+/**
+ * Trace relations input schema for knowledge graph
+ */
+export const TraceRelationsInputSchema = z.object({
+  entityName: z.string().min(1, 'Entity name cannot be empty'),
+  to: z.string().min(1, 'Target entity cannot be empty').optional(),
+  depth: z.number().int('Depth must be an integer').min(1, 'Depth must be at least 1').max(10, 'Depth cannot exceed 10').optional(),
+  relationTypes: z.array(z.string().min(1, 'Relation type cannot be empty')).optional(),
+  direction: z.enum(['outgoing', 'incoming', 'both']).optional(),
+});
+
+/**
+ * Exchange graph (export/import) input schema for knowledge graph
+ */
+export const ExchangeGraphInputSchema = z.object({
+  action: z.enum(['export', 'import']),
+  path: z.string().min(1, 'Path cannot be empty'),
+  format: z.enum(['jsonld', 'graphml', 'markdown']).optional(),
+  overwrite: z.boolean().optional(),
+});
+
+/**
+ * Consolidate memory input schema for knowledge graph
+ */
+export const ConsolidateMemoryInputSchema = z.object({
+  action: z.enum(['consolidate', 'undo']).optional(),
+  entityTypes: z.array(z.string().min(1, 'Entity type cannot be empty')).optional(),
+  similarityThreshold: z.number().gt(0, 'Similarity threshold must be greater than 0').max(1, 'Similarity threshold cannot exceed 1').optional(),
+  maxObservations: z.number().int('maxObservations must be an integer').min(7, 'maxObservations must be at least 7').optional(),
+  dryRun: z.boolean().optional(),
+  entityName: z.string().min(1, 'Entity name cannot be empty').optional(),
+  mergedEntity: z.string().min(1, 'Merged entity cannot be empty').optional(),
+});
+
+/**
+ * Task plan input schema
+ */
+export const TaskPlanInputSchema = z.object({
+  action: z.enum(['create', 'list', 'view', 'advance', 'replan']),
+  featureDescription: z
+    .string()
+    .min(1, 'Feature description cannot be empty')
+    .max(MAX_TASK_DESCRIPTION_LENGTH, `Feature description too long (max ${MAX_TASK_DESCRIPTION_LENGTH} characters)`)
+    .optional(),
+  includeTests: z.boolean().optional(),
+  includeDocs: z.boolean().optional(),
+  planId: z.string().min(1, 'Plan ID cannot be empty').optional(),
+  taskId: z.string().min(1, 'Task ID cannot be empty').optional(),
+  status: z.enum(['pending', 'in_progress', 'completed', 'skipped']).optional(),
+  commit: z.string().min(1, 'Commit cannot be empty').optional(),
+});
+
+/**
+ * Get cost report input schema
+ */
+export const GetCostReportInputSchema = z.object({
+  window: z.enum(['day', 'week', 'month', 'all']).optional(),
+  projectId: z.string().min(1, 'Project ID cannot be empty').optional(),
+  agent: z.string().min(1, 'Agent cannot be empty').optional(),
+  limit: z.number().int('Limit must be an integer').min(1, 'Limit must be at least 1').max(100, 'Limit cannot exceed 100').optional(),
+});
+
 /**
  * Type exports for validated inputs
  */
@@ -239,6 +302,11 @@ export type ValidatedRecallMemoryInput = z.infer<typeof RecallMemoryInputSchema>
 export type ValidatedCreateEntitiesInput = z.infer<typeof CreateEntitiesInputSchema>;
 export type ValidatedAddObservationsInput = z.infer<typeof AddObservationsInputSchema>;
 export type ValidatedCreateRelationsInput = z.infer<typeof CreateRelationsInputSchema>;
+export type ValidatedTraceRelationsInput = z.infer<typeof TraceRelationsInputSchema>;
+export type ValidatedExchangeGraphInput = z.infer<typeof ExchangeGraphInputSchema>;
+export type ValidatedConsolidateMemoryInput = z.infer<typeof ConsolidateMemoryInputSchema>;
+export type ValidatedTaskPlanInput = z.infer<typeof TaskPlanInputSchema>;
+export type ValidatedGetCostReportInput = z.infer<typeof GetCostReportInputSchema>;
 
 /**
  * A2A send task input schema
@@ -284,6 +352,7 @@ export const A2AListTasksInputSchema = z.object({
  */
 export const A2AListAgentsInputSchema = z.object({
   status: z.enum(['active', 'inactive', 'all']).optional(),
+  source: z.enum(['local', 'multicast', 'static']).optional(),
 });
 
 /**
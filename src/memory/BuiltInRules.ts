@@ -238,7 +238,7 @@ export function getAllBuiltInRules(): PreventionRule[] {
 /**
  * Default scope limit for scope creep detection
  */
-const DEFAULT_SCOPE_LIMIT = 5;
+export const DEFAULT_SCOPE_LIMIT = 5;
 
 /**
  * Evaluate a rule against a tool operation
@@ -0,0 +1,177 @@
+/**
+ * HashingEmbedder - Deterministic offline text embedder
+ *
+ * Projects text into a fixed-size vector using the hashing trick over two
+ * feature families:
+ * 1. Word unigrams (stop words removed, lightly stemmed)
+ * 2. Character trigrams of each word (catches inflections such as
+ *    "validate" / "validating" / "validation")
+ *
+ * No model download, no network, no native dependencies - the same text always
+ * yields the same vector, which makes it safe as the default embedder and as a
+ * fallback when a bundled model is not available.
+ *
+ * @module HashingEmbedder
+ */
+
+import type { Embedder } from './types/embedding-types.js';
+
+/**
+ * Common English stop words excluded from word features
+ */
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'for', 'from',
+  'has', 'have', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'our',
+  'so', 'that', 'the', 'their', 'then', 'there', 'these', 'this', 'to', 'was',
+  'we', 'were', 'when', 'which', 'while', 'will', 'with', 'you', 'your',
+]);
+
+/**
+ * Suffixes stripped by the light stemmer, longest first
+ */
+const STEM_SUFFIXES = ['ingly', 'ness', 'ment', 'ing', 'ion', 'ed', 'ly', 'er', 'e'];
+
+/**
+ * Weight of a word unigram feature
+ */
+const WORD_WEIGHT = 1.0;
+
+/**
+ * Total weight shared by the trigrams of one word
+ */
+const TRIGRAM_WEIGHT = 1.0;
+
+/**
+ * Options for HashingEmbedder
+ */
+export interface HashingEmbedderOptions {
+  /** Vector dimensions (default: 512) */
+  dimensions?: number;
+}
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function fnv1a(value: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * HashingEmbedder - Feature-hashing embedder with no external dependencies
+ *
+ * @example
+ * ```typescript
+ * const embedder = new HashingEmbedder();
+ * const vector = await embedder.embed('Always validate user input');
+ * console.log(vector.length); // 512
+ * ```
+ */
+export class HashingEmbedder implements Embedder {
+  readonly dimensions: number;
+  readonly model: string;
+
+  constructor(options: HashingEmbedderOptions = {}) {
+    const dimensions = options.dimensions ?? 512;
+    if (!Number.isInteger(dimensions) || dimensions < 16) {
+      throw new RangeError(`HashingEmbedder dimensions must be an integer >= 16, got ${dimensions}`);
+    }
+
+    this.dimensions = dimensions;
+    this.model = `hashing-v1-${dimensions}`;
+  }
+
+  /**
+   * Embed text into an L2-normalized vector
+   *
+   * @param text - Text to embed
+   * @returns Normalized vector (all zeros when the text has no word characters)
+   */
+  async embed(text: string): Promise<Float32Array> {
+    return this.embedSync(text);
+  }
+
+  /**
+   * Synchronous variant of embed(), useful for bulk indexing
+   */
+  embedSync(text: string): Float32Array {
+    const vector = new Float32Array(this.dimensions);
+
+    for (const token of this.tokenize(text)) {
+      if (!STOP_WORDS.has(token)) {
+        this.addFeature(vector, `w:${this.stem(token)}`, WORD_WEIGHT);
+      }
+
+      const padded = `#${token}#`;
+      const trigramCount = Math.max(padded.length - 2, 1);
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        this.addFeature(vector, `c:${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT / trigramCount);
+      }
+    }
+
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) {
+      norm += vector[i] * vector[i];
+    }
+    if (norm > 0) {
+      const scale = 1 / Math.sqrt(norm);
+      for (let i = 0; i < vector.length; i++) {
+        vector[i] *= scale;
+      }
+    }
+
+    return vector;
+  }
+
+  /**
+   * Split text into lowercase word tokens (Unicode-aware, diacritics removed)
+   */
+  private tokenize(text: string): string[] {
+    if (!text) {
+      return [];
+    }
+
+    return text
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(token => token.length > 1);
+  }
+
+  /**
+   * Reduce a word to a crude stem so inflections share a word feature
+   *
+   * Not a linguistic stemmer - it only needs to map "validate", "validating"
+   * and "validation" (or "user" / "users") onto the same feature.
+   */
+  private stem(token: string): string {
+    let stem = token;
+    if (stem.length > 3 && stem.endsWith('s') && !stem.endsWith('ss')) {
+      stem = stem.endsWith('ies') ? `${stem.slice(0, -3)}y` : stem.slice(0, -1);
+    }
+    for (const suffix of STEM_SUFFIXES) {
+      if (stem.length - suffix.length >= 3 && stem.endsWith(suffix)) {
+        return stem.slice(0, -suffix.length);
+      }
+    }
+    return stem;
+  }
+
+  /**
+   * Add a hashed feature to the vector
+   *
+   * Uses a second hash bit as the sign so that colliding features tend to
+   * cancel out instead of accumulating bias.
+   */
+  private addFeature(vector: Float32Array, feature: string, weight: number): void {
+    const hash = fnv1a(feature);
+    const index = hash % this.dimensions;
+    const sign = (hash & 0x80000000) === 0 ? 1 : -1;
+    vector[index] += sign * weight;
+  }
+}
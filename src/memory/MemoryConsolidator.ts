@@ -0,0 +1,648 @@
+/**
+ * MemoryConsolidator - Merge near-duplicate entities and condense long ones
+ *
+ * Auto-recorded memories (code changes, session snapshots, test results)
+ * pile up as many overlapping entities. Consolidation:
+ * 1. Clusters entities of the same type whose text is similar (cosine
+ *    similarity of HashingEmbedder vectors)
+ * 2. Merges each cluster into its richest entity: missing observations are
+ *    copied over and relations are re-pointed to it
+ * 3. Condenses long observation lists into a summary observation, through
+ *    SamplingClient when available and an extractive summary otherwise
+ *
+ * Nothing is deleted. A merged entity stays in the graph, marked
+ * `replaced_by` the entity it was merged into, and the merge is recorded as
+ * an `evolved_from` relation whose metadata lists what was copied and moved,
+ * so undo() can reverse it. Summarized observations are superseded, not
+ * deleted, and remain in KnowledgeGraph.getObservationHistory().
+ *
+ * @module MemoryConsolidator
+ */
+
+import type { KnowledgeGraph } from '../knowledge-graph/index.js';
+import type { Entity, EntityType, RelationType, TracedRelation } from '../knowledge-graph/types.js';
+import type { SamplingClient } from '../mcp/SamplingClient.js';
+import { HashingEmbedder } from './HashingEmbedder.js';
+import { MEMORY_ID_PREFIX } from './UnifiedMemoryStore.js';
+import { NotFoundError, ValidationError } from '../errors/index.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Entity types consolidated by default - the ones written automatically
+ */
+export const DEFAULT_CONSOLIDATION_TYPES: EntityType[] = [
+  'code_change',
+  'session_snapshot',
+  'test_result',
+  'project_snapshot',
+  'workflow_checkpoint',
+];
+
+/** Default minimum cosine similarity for two entities to be merged */
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.85;
+
+/** Default number of observations above which an entity is summarized */
+export const DEFAULT_MAX_OBSERVATIONS = 30;
+
+/** Prefix of summary observations */
+const SUMMARY_PREFIX = 'SUMMARY';
+
+/** Observation that carries the record time (see ProjectMemoryCleanup) */
+const TIMESTAMP_PREFIX = 'Timestamp:';
+
+/** Relations that record history and are never re-pointed */
+const HISTORY_RELATIONS: RelationType[] = ['evolved_from', 'replaced_by'];
+
+/** Observations kept verbatim after the summary */
+const KEEP_RECENT_OBSERVATIONS = 5;
+
+/** Observations picked by the extractive summary */
+const EXTRACTIVE_SENTENCES = 5;
+
+/** Maximum length of one observation inside an extractive summary */
+const EXTRACTIVE_MAX_CHARS = 200;
+
+/**
+ * Options for consolidate()
+ */
+export interface ConsolidationOptions {
+  /** Entity types to consolidate (default: DEFAULT_CONSOLIDATION_TYPES) */
+  entityTypes?: EntityType[];
+  /** Minimum cosine similarity (0-1) to merge two entities (default: 0.85) */
+  similarityThreshold?: number;
+  /** Summarize entities with more current observations than this (default: 30) */
+  maxObservations?: number;
+  /** Report what would change without writing anything */
+  dryRun?: boolean;
+  /**
+   * Called after each entity type is clustered and each entity is summarized;
+   * `total` grows once the entities to summarize are known
+   */
+  onProgress?: (done: number, total: number) => void;
+}
+
+/**
+ * A relation re-pointed from a merged entity to the surviving one
+ */
+export interface MovedRelation {
+  from: string;
+  to: string;
+  relationType: RelationType;
+  metadata?: Record<string, unknown>;
+  /** The surviving entity already had the re-pointed relation */
+  existed: boolean;
+}
+
+/**
+ * Metadata of the `evolved_from` relation recorded for each merge
+ */
+export interface MergeRecord {
+  reason: 'consolidation';
+  consolidatedAt: string;
+  similarity: number;
+  /** Observations copied onto the surviving entity */
+  addedObservations: string[];
+  /** Relations re-pointed to the surviving entity */
+  movedRelations: MovedRelation[];
+}
+
+/**
+ * Result of consolidate()
+ */
+export interface ConsolidationResult {
+  dryRun: boolean;
+  entitiesScanned: number;
+  /** Merged clusters: `merged` entities were folded into `canonical` */
+  clusters: Array<{ canonical: string; merged: string[]; similarity: number }>;
+  /** Entities whose observations were condensed */
+  summaries: Array<{
+    entity: string;
+    observationsSummarized: number;
+    /** How the summary was produced (absent in a dry run) */
+    method?: 'sampling' | 'extractive';
+  }>;
+  relationsMoved: number;
+  errors: Array<{ entity: string; error: string }>;
+}
+
+/**
+ * Result of undo()
+ */
+export interface UndoConsolidationResult {
+  canonical: string;
+  /** Entities split back out of the canonical entity */
+  restored: string[];
+}
+
+interface Candidate {
+  entity: Entity;
+  vector: Float32Array;
+}
+
+/**
+ * Cosine similarity of two L2-normalized vectors
+ */
+function similarity(a: Float32Array, b: Float32Array): number {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+  }
+  return dot;
+}
+
+function relationKey(relation: { from: string; to: string; relationType: string }): string {
+  return `${relation.from}\u0000${relation.relationType}\u0000${relation.to}`;
+}
+
+function truncate(text: string, maxChars: number): string {
+  return text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text;
+}
+
+/**
+ * MemoryConsolidator - Clusters, merges and summarizes knowledge graph entities
+ *
+ * @example
+ * ```typescript
+ * const consolidator = new MemoryConsolidator(kg, samplingClient);
+ * const preview = await consolidator.consolidate({ dryRun: true });
+ * const result = await consolidator.consolidate();
+ * consolidator.undo(result.clusters[0].canonical);
+ * ```
+ */
+export class MemoryConsolidator {
+  private readonly embedder = new HashingEmbedder();
+
+  /**
+   * @param knowledgeGraph - Graph to consolidate
+   * @param samplingClient - Optional client used to write summaries; the
+   *   extractive summary is used when it is missing or fails
+   */
+  constructor(
+    private readonly knowledgeGraph: KnowledgeGraph,
+    private readonly samplingClient?: SamplingClient
+  ) {}
+
+  /**
+   * Merge near-duplicate entities and summarize long observation lists
+   *
+   * @param options - Types, thresholds and dry-run flag
+   * @returns What was merged and summarized
+   * @throws ValidationError if a threshold is out of range
+   */
+  async consolidate(options: ConsolidationOptions = {}): Promise<ConsolidationResult> {
+    const entityTypes = options.entityTypes?.length ? options.entityTypes : DEFAULT_CONSOLIDATION_TYPES;
+    const threshold = options.similarityThreshold ?? DEFAULT_SIMILARITY_THRESHOLD;
+    const maxObservations = options.maxObservations ?? DEFAULT_MAX_OBSERVATIONS;
+    const dryRun = options.dryRun ?? false;
+
+    if (!(threshold > 0 && threshold <= 1)) {
+      throw new ValidationError('similarityThreshold must be greater than 0 and at most 1', {
+        component: 'MemoryConsolidator',
+        method: 'consolidate',
+        similarityThreshold: threshold,
+      });
+    }
+    if (!Number.isInteger(maxObservations) || maxObservations < KEEP_RECENT_OBSERVATIONS + 2) {
+      throw new ValidationError(`maxObservations must be an integer >= ${KEEP_RECENT_OBSERVATIONS + 2}`, {
+        component: 'MemoryConsolidator',
+        method: 'consolidate',
+        maxObservations,
+      });
+    }
+
+    // Unified memories deduplicate through content hashes and are left alone;
+    // entities already replaced are history
+    const inScope = this.knowledgeGraph
+      .getAllEntities()
+      .filter((entity) => entityTypes.includes(entity.entityType) && !entity.name.startsWith(MEMORY_ID_PREFIX));
+    const replaced = this.knowledgeGraph.getReplacements(inScope.map((entity) => entity.name));
+    const entities = inScope.filter((entity) => !replaced.has(entity.name));
+
+    const result: ConsolidationResult = {
+      dryRun,
+      entitiesScanned: entities.length,
+      clusters: [],
+      summaries: [],
+      relationsMoved: 0,
+      errors: [],
+    };
+
+    const survivors = new Map(entities.map((entity) => [entity.name, entity]));
+    let done = 0;
+
+    for (const type of entityTypes) {
+      const clusters = this.findClusters(
+        entities.filter((entity) => entity.entityType === type),
+        threshold
+      );
+
+      for (const cluster of clusters) {
+        const [canonical, ...duplicates] = cluster.members;
+        try {
+          if (!dryRun) {
+            result.relationsMoved += this.mergeCluster(canonical, duplicates, cluster.similarity);
+          }
+          result.clusters.push({
+            canonical: canonical.name,
+            merged: duplicates.map((entity) => entity.name),
+            similarity: cluster.similarity,
+          });
+          for (const duplicate of duplicates) {
+            survivors.delete(duplicate.name);
+          }
+          if (!dryRun) {
+            survivors.set(canonical.name, this.knowledgeGraph.getEntitiesByNames([canonical.name])[0] ?? canonical);
+          } else {
+            const observations = new Set(canonical.observations);
+            duplicates.forEach((duplicate) => duplicate.observations.forEach((o) => observations.add(o)));
+            survivors.set(canonical.name, { ...canonical, observations: Array.from(observations) });
+          }
+        } catch (error) {
+          logger.error(`[MemoryConsolidator] Failed to merge into ${canonical.name}`, { error });
+          result.errors.push({
+            entity: canonical.name,
+            error: error instanceof Error ? error.message : String(error),
+          });
+        }
+      }
+      options.onProgress?.(++done, entityTypes.length);
+    }
+
+    const oversized = Array.from(survivors.values()).filter(
+      (entity) => entity.observations.length > maxObservations
+    );
+    const total = entityTypes.length + oversized.length;
+
+    for (const entity of oversized) {
+      const toSummarize = this.selectObservationsToSummarize(entity.observations);
+      try {
+        const method = dryRun ? undefined : await this.summarize(entity, toSummarize);
+        result.summaries.push({
+          entity: entity.name,
+          observationsSummarized: toSummarize.length,
+          ...(method ? { method } : {}),
+        });
+      } catch (error) {
+        logger.error(`[MemoryConsolidator] Failed to summarize ${entity.name}`, { error });
+        result.errors.push({
+          entity: entity.name,
+          error: error instanceof Error ? error.message : String(error),
+        });
+      }
+      options.onProgress?.(++done, total);
+    }
+
+    logger.info('[MemoryConsolidator] Consolidation finished', {
+      dryRun,
+      entitiesScanned: result.entitiesScanned,
+      clusters: result.clusters.length,
+      summaries: result.summaries.length,
+      errors: result.errors.length,
+    });
+
+    return result;
+  }
+
+  /**
+   * Reverse merges recorded on an entity
+   *
+   * Copied observations that are still current are retired, re-pointed
+   * relations go back to the merged entity and the `replaced_by` /
+   * `evolved_from` relations are closed. Copied observations that were later
+   * folded into a summary stay in that summary.
+   *
+   * @param canonical - Entity the others were merged into
+   * @param merged - Only split out this entity (default: every merged entity)
+   * @returns Entities restored
+   * @throws NotFoundError if no matching merge is recorded
+   */
+  undo(canonical: string, merged?: string): UndoConsolidationResult {
+    const merges = (
+      this.knowledgeGraph.traceRelations(canonical, 1, {
+        relationTypes: ['evolved_from'],
+        direction: 'outgoing',
+      })?.relations ?? []
+    ).filter(
+      (relation) =>
+        relation.from === canonical &&
+        relation.metadata?.reason === 'consolidation' &&
+        (merged === undefined || relation.to === merged)
+    );
+
+    if (merges.length === 0) {
+      throw new NotFoundError(
+        `No consolidation recorded for ${merged ? `${merged} into ` : ''}${canonical}`,
+        'consolidation',
+        canonical,
+        { merged }
+      );
+    }
+
+    const restored: string[] = [];
+    for (const merge of merges) {
+      this.unmerge(canonical, merge);
+      restored.push(merge.to);
+    }
+
+    logger.info(`[MemoryConsolidator] Undid consolidation into ${canonical}`, { restored });
+    return { canonical, restored };
+  }
+
+  /**
+   * Group similar entities
+   *
+   * Greedy: the oldest unassigned entity seeds a cluster that takes every
+   * unassigned entity at least `threshold`-similar to it. The member with the
+   * most observations (newest on ties) comes first and survives the merge.
+   */
+  private findClusters(
+    entities: Entity[],
+    threshold: number
+  ): Array<{ members: Entity[]; similarity: number }> {
+    const candidates: Candidate[] = entities.map((entity) => ({
+      entity,
+      vector: this.embedder.embedSync(this.entityText(entity)),
+    }));
+
+    const assigned = new Set<number>();
+    const clusters: Array<{ members: Entity[]; similarity: number }> = [];
+
+    for (let i = 0; i < candidates.length; i++) {
+      if (assigned.has(i)) {
+        continue;
+      }
+
+      const members: Candidate[] = [candidates[i]];
+      let minSimilarity = 1;
+      for (let j = i + 1; j < candidates.length; j++) {
+        if (assigned.has(j)) {
+          continue;
+        }
+        const score = similarity(candidates[i].vector, candidates[j].vector);
+        if (score >= threshold) {
+          members.push(candidates[j]);
+          assigned.add(j);
+          minSimilarity = Math.min(minSimilarity, score);
+        }
+      }
+      assigned.add(i);
+
+      if (members.length > 1) {
+        members.sort(
+          (a, b) =>
+            b.entity.observations.length - a.entity.observations.length ||
+            (b.entity.id ?? 0) - (a.entity.id ?? 0)
+        );
+        clusters.push({
+          members: members.map((member) => member.entity),
+          similarity: Math.round(minSimilarity * 1000) / 1000,
+        });
+      }
+    }
+
+    return clusters;
+  }
+
+  /**
+   * Text compared between entities (timestamps left out - they always differ)
+   */
+  private entityText(entity: Entity): string {
+    return [
+      entity.name,
+      ...entity.observations.filter((observation) => !observation.startsWith(TIMESTAMP_PREFIX)),
+    ].join('\n');
+  }
+
+  /**
+   * Fold duplicates into the canonical entity
+   *
+   * @returns Number of relations re-pointed
+   */
+  private mergeCluster(canonical: Entity, duplicates: Entity[], clusterSimilarity: number): number {
+    const memberNames = new Set([canonical.name, ...duplicates.map((entity) => entity.name)]);
+    let moved = 0;
+
+    this.knowledgeGraph.transaction(() => {
+      const canonicalObservations = new Set(canonical.observations);
+
+      for (const duplicate of duplicates) {
+        const addedObservations = duplicate.observations.filter((observation) => {
+          if (canonicalObservations.has(observation)) {
+            return false;
+          }
+          canonicalObservations.add(observation);
+          return true;
+        });
+        if (addedObservations.length > 0) {
+          this.knowledgeGraph.addObservations(canonical.name, addedObservations);
+        }
+
+        const movedRelations = this.moveRelations(duplicate.name, canonical.name, memberNames);
+        moved += movedRelations.length;
+
+        const record: MergeRecord = {
+          reason: 'consolidation',
+          consolidatedAt: new Date().toISOString(),
+          similarity: clusterSimilarity,
+          addedObservations,
+          movedRelations,
+        };
+        this.knowledgeGraph.createRelation({
+          from: canonical.name,
+          to: duplicate.name,
+          relationType: 'evolved_from',
+          metadata: { ...record },
+        });
+        this.knowledgeGraph.createRelation({
+          from: duplicate.name,
+          to: canonical.name,
+          relationType: 'replaced_by',
+          metadata: { reason: 'consolidation', createdAt: record.consolidatedAt },
+        });
+      }
+    });
+
+    logger.info(
+      `[MemoryConsolidator] Merged ${duplicates.length} entities into ${canonical.name}` +
+        (moved > 0 ? ` (${moved} relations moved)` : '')
+    );
+    return moved;
+  }
+
+  /**
+   * Re-point the current relations of a merged entity to the canonical one
+   *
+   * Relations inside the cluster and history relations stay where they are.
+   */
+  private moveRelations(duplicate: string, canonical: string, memberNames: Set<string>): MovedRelation[] {
+    const existing = new Set(
+      (this.knowledgeGraph.traceRelations(canonical, 1)?.relations ?? []).map(relationKey)
+    );
+    const relations = this.knowledgeGraph.traceRelations(duplicate, 1)?.relations ?? [];
+
+    const movedRelations: MovedRelation[] = [];
+    for (const relation of relations) {
+      const other = relation.from === duplicate ? relation.to : relation.from;
+      if (memberNames.has(other) || HISTORY_RELATIONS.includes(relation.relationType)) {
+        continue;
+      }
+
+      const replacement = {
+        from: relation.from === duplicate ? canonical : relation.from,
+        to: relation.to === duplicate ? canonical : relation.to,
+        relationType: relation.relationType,
+        metadata: relation.metadata,
+      };
+      const existed = existing.has(relationKey(replacement));
+      if (existed) {
+        this.knowledgeGraph.retireRelation(relation);
+      } else {
+        this.knowledgeGraph.supersedeRelation(relation, replacement);
+        existing.add(relationKey(replacement));
+      }
+
+      movedRelations.push({
+        from: relation.from,
+        to: relation.to,
+        relationType: relation.relationType,
+        ...(relation.metadata && Object.keys(relation.metadata).length > 0 ? { metadata: relation.metadata } : {}),
+        existed,
+      });
+    }
+    return movedRelations;
+  }
+
+  /**
+   * Reverse one recorded merge
+   */
+  private unmerge(canonical: string, merge: TracedRelation): void {
+    const record = merge.metadata as unknown as MergeRecord;
+    const duplicate = merge.to;
+
+    this.knowledgeGraph.transaction(() => {
+      const current = [...(this.knowledgeGraph.getEntitiesByNames([canonical])[0]?.observations ?? [])];
+      const retire = (record.addedObservations ?? []).filter((observation) => {
+        const index = current.indexOf(observation);
+        if (index === -1) {
+          return false;
+        }
+        current.splice(index, 1);
+        return true;
+      });
+      if (retire.length > 0) {
+        this.knowledgeGraph.addObservations(canonical, [], { supersedes: retire });
+      }
+
+      for (const relation of record.movedRelations ?? []) {
+        if (!relation.existed) {
+          this.knowledgeGraph.retireRelation({
+            from: relation.from === duplicate ? canonical : relation.from,
+            to: relation.to === duplicate ? canonical : relation.to,
+            relationType: relation.relationType,
+          });
+        }
+        this.knowledgeGraph.createRelation({
+          from: relation.from,
+          to: relation.to,
+          relationType: relation.relationType,
+          metadata: relation.metadata,
+        });
+      }
+
+      this.knowledgeGraph.retireRelation({ from: canonical, to: duplicate, relationType: 'evolved_from' });
+      this.knowledgeGraph.retireRelation({ from: duplicate, to: canonical, relationType: 'replaced_by' });
+    });
+  }
+
+  /**
+   * Observations folded into the summary
+   *
+   * The most recent observations and the first timestamp stay verbatim;
+   * earlier summaries are summarized again.
+   */
+  private selectObservationsToSummarize(observations: string[]): string[] {
+    const firstTimestamp = observations.find((observation) => observation.startsWith(TIMESTAMP_PREFIX));
+    return observations
+      .slice(0, -KEEP_RECENT_OBSERVATIONS)
+      .filter((observation) => observation !== firstTimestamp);
+  }
+
+  /**
+   * Replace observations with one summary observation
+   *
+   * @returns How the summary was produced
+   */
+  private async summarize(entity: Entity, observations: string[]): Promise<'sampling' | 'extractive'> {
+    let method: 'sampling' | 'extractive' = 'extractive';
+    let summary: string | undefined;
+
+    if (this.samplingClient) {
+      try {
+        summary = (
+          await this.samplingClient.generate(
+            `Summarize these ${observations.length} observations about "${entity.name}" (${entity.entityType}) ` +
+              'in at most five sentences. Keep file names, decisions, errors and numbers.\n\n' +
+              observations.map((observation) => `- ${observation}`).join('\n'),
+            {
+              maxTokens: 400,
+              temperature: 0.2,
+              systemPrompt: 'You condense developer memory notes. Reply with the summary only.',
+            }
+          )
+        ).trim();
+        method = 'sampling';
+      } catch (error) {
+        logger.warn(`[MemoryConsolidator] Sampling unavailable, using extractive summary for ${entity.name}`, {
+          error: error instanceof Error ? error.message : String(error),
+        });
+      }
+    }
+
+    if (!summary) {
+      summary = this.extractiveSummary(observations);
+      method = 'extractive';
+    }
+
+    this.knowledgeGraph.addObservations(
+      entity.name,
+      [`${SUMMARY_PREFIX} (${observations.length} observations): ${summary}`],
+      { supersedes: observations }
+    );
+
+    logger.info(`[MemoryConsolidator] Summarized ${observations.length} observations of ${entity.name} (${method})`);
+    return method;
+  }
+
+  /**
+   * Pick the observations closest to the centroid, skipping near-repeats
+   */
+  private extractiveSummary(observations: string[]): string {
+    const vectors = observations.map((observation) => this.embedder.embedSync(observation));
+    const centroid = new Float32Array(this.embedder.dimensions);
+    for (const vector of vectors) {
+      for (let i = 0; i < vector.length; i++) {
+        centroid[i] += vector[i];
+      }
+    }
+
+    const ranked = observations
+      .map((observation, index) => ({ index, score: similarity(vectors[index], centroid) }))
+      .sort((a, b) => b.score - a.score);
+
+    const picked: number[] = [];
+    for (const candidate of ranked) {
+      if (picked.length >= EXTRACTIVE_SENTENCES) {
+        break;
+      }
+      const repeats = picked.some((index) => similarity(vectors[index], vectors[candidate.index]) > 0.9);
+      if (!repeats) {
+        picked.push(candidate.index);
+      }
+    }
+
+    return picked
+      .sort((a, b) => a - b)
+      .map((index) => truncate(observations[index], EXTRACTIVE_MAX_CHARS))
+      .join(' | ');
+  }
+}
@@ -0,0 +1,263 @@
+/**
+ * MemoryDecay - Access-aware importance for memory ranking
+ *
+ * A memory's stored importance is fixed when it is written. Ranking uses an
+ * effective importance instead:
+ * 1. Decay: the importance fades towards a floor while the memory sits idle,
+ *    halving the fading part every `halfLifeDays`. Idle time is counted from
+ *    the last recall or "useful" feedback (or creation if never touched).
+ * 2. Reinforcement: every recall adds a little (logarithmic in the count),
+ *    every "useful" vote adds more, every "not useful" vote subtracts.
+ *
+ * The result is clamped to [0, 1]. Access statistics come from
+ * KnowledgeGraph.recordAccess() / getAccessStats().
+ *
+ * @module MemoryDecay
+ */
+
+import type { KnowledgeGraph } from '../knowledge-graph/index.js';
+import type { Entity, EntityAccessStats, EntityType } from '../knowledge-graph/types.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Decay and reinforcement parameters
+ */
+export interface MemoryDecayConfig {
+  /** Idle days after which the fading part of importance has halved (0 = no decay) */
+  halfLifeDays: number;
+  /** Share of the stored importance that never decays (0-1) */
+  floor: number;
+  /** Boost per doubling of the recall count */
+  recallWeight: number;
+  /** Boost per "useful" vote */
+  usefulWeight: number;
+  /** Penalty per "not useful" vote */
+  notUsefulWeight: number;
+}
+
+export const DEFAULT_MEMORY_DECAY: MemoryDecayConfig = {
+  halfLifeDays: 90,
+  floor: 0.25,
+  recallWeight: 0.02,
+  usefulWeight: 0.1,
+  notUsefulWeight: 0.15,
+};
+
+/** Importance of entities that do not store one */
+const DEFAULT_IMPORTANCE = 0.5;
+
+/**
+ * Options for findStale()
+ */
+export interface StaleMemoryOptions {
+  /** Minimum idle days to be reported (default: 90) */
+  minIdleDays?: number;
+  /** Only report entities whose effective importance is at most this (default: 0.2) */
+  maxImportance?: number;
+  /** Only consider these entity types (default: all) */
+  entityTypes?: EntityType[];
+  /** Maximum number of candidates (default: 50) */
+  limit?: number;
+}
+
+/**
+ * An entity that is a candidate for archiving
+ */
+export interface StaleMemory {
+  name: string;
+  entityType: EntityType;
+  /** Importance stored with the entity */
+  importance: number;
+  /** Importance after decay and reinforcement */
+  effectiveImportance: number;
+  /** Days since the entity was last recalled, rated useful or created */
+  idleDays: number;
+  recallCount: number;
+  usefulCount: number;
+  notUsefulCount: number;
+  lastRecalledAt?: Date;
+}
+
+/**
+ * Computes effective importance from stored importance and access statistics
+ *
+ * @example
+ * ```typescript
+ * const decay = new MemoryDecay({ halfLifeDays: 30 });
+ * const importance = decay.effectiveImportance(0.8, memory.timestamp, stats.get(memory.id));
+ * ```
+ */
+export class MemoryDecay {
+  readonly config: MemoryDecayConfig;
+
+  constructor(config: Partial<MemoryDecayConfig> = {}) {
+    this.config = { ...DEFAULT_MEMORY_DECAY, ...config };
+  }
+
+  /**
+   * Days since the entity was last active
+   *
+   * @param createdAt - When the memory was written
+   * @param stats - Access statistics (absent if never accessed)
+   * @param now - Reference time (default: now)
+   */
+  idleDays(createdAt: Date, stats?: EntityAccessStats, now: Date = new Date()): number {
+    const lastActive = Math.max(
+      createdAt.getTime(),
+      stats?.lastRecalledAt?.getTime() ?? 0,
+      stats?.lastUsefulAt?.getTime() ?? 0
+    );
+    if (!Number.isFinite(lastActive)) {
+      return 0;
+    }
+    return Math.max(0, (now.getTime() - lastActive) / DAY_MS);
+  }
+
+  /**
+   * Effective importance used for ranking
+   *
+   * @param importance - Stored importance (0-1; invalid values count as 0.5)
+   * @param createdAt - When the memory was written
+   * @param stats - Access statistics (absent if never accessed)
+   * @param now - Reference time (default: now)
+   * @returns Importance in [0, 1]
+   */
+  effectiveImportance(
+    importance: number,
+    createdAt: Date,
+    stats?: EntityAccessStats,
+    now: Date = new Date()
+  ): number {
+    const { halfLifeDays, floor, recallWeight, usefulWeight, notUsefulWeight } = this.config;
+    const base = Number.isFinite(importance) ? Math.max(0, Math.min(1, importance)) : DEFAULT_IMPORTANCE;
+
+    const retained = halfLifeDays > 0
+      ? Math.pow(0.5, this.idleDays(createdAt, stats, now) / halfLifeDays)
+      : 1;
+    const decayed = base * (floor + (1 - floor) * retained);
+
+    const reinforcement = stats
+      ? recallWeight * Math.log2(1 + stats.recallCount) +
+        usefulWeight * stats.usefulCount -
+        notUsefulWeight * stats.notUsefulCount
+      : 0;
+
+    return Math.max(0, Math.min(1, decayed + reinforcement));
+  }
+
+  /**
+   * Order entities by effective importance, most important first
+   *
+   * Importance is compared in steps of 0.01, so entities of about equal
+   * importance keep their given (e.g. search relevance) order.
+   *
+   * @param kg - Knowledge graph holding the entities' access statistics
+   * @param entities - Entities to rank
+   * @returns A new, re-ordered array
+   */
+  rank(kg: KnowledgeGraph, entities: Entity[]): Entity[] {
+    if (entities.length < 2) {
+      return [...entities];
+    }
+
+    const now = new Date();
+    const stats = kg.getAccessStats(entities.map((entity) => entity.name));
+    const scores = new Map(
+      entities.map((entity) => [
+        entity,
+        Math.round(
+          this.effectiveImportance(storedImportance(entity), writtenAt(entity) ?? now, stats.get(entity.name), now) * 100
+        ),
+      ])
+    );
+    return [...entities].sort((a, b) => scores.get(b)! - scores.get(a)!);
+  }
+
+  /**
+   * Find entities that are candidates for archiving
+   *
+   * Reports current entities (not replaced by another) that have been idle
+   * for a while and whose effective importance has dropped low. Nothing is
+   * changed in the graph.
+   *
+   * @param kg - Knowledge graph to scan
+   * @param options - Thresholds and filters
+   * @returns Candidates, least important first
+   */
+  findStale(kg: KnowledgeGraph, options: StaleMemoryOptions = {}): StaleMemory[] {
+    const minIdleDays = options.minIdleDays ?? 90;
+    const maxImportance = options.maxImportance ?? 0.2;
+    const limit = options.limit ?? 50;
+    const now = new Date();
+
+    let entities = kg.getAllEntities();
+    if (options.entityTypes && options.entityTypes.length > 0) {
+      const types = new Set<string>(options.entityTypes);
+      entities = entities.filter((entity) => types.has(entity.entityType));
+    }
+
+    const names = entities.map((entity) => entity.name);
+    const replacements = kg.getReplacements(names);
+    const stats = kg.getAccessStats(names);
+
+    const candidates: StaleMemory[] = [];
+    for (const entity of entities) {
+      if (replacements.has(entity.name)) {
+        continue;
+      }
+
+      const access = stats.get(entity.name);
+      const createdAt = writtenAt(entity) ?? now;
+      const idleDays = this.idleDays(createdAt, access, now);
+      if (idleDays < minIdleDays) {
+        continue;
+      }
+
+      const importance = storedImportance(entity);
+      const effectiveImportance = this.effectiveImportance(importance, createdAt, access, now);
+      if (effectiveImportance > maxImportance) {
+        continue;
+      }
+
+      candidates.push({
+        name: entity.name,
+        entityType: entity.entityType,
+        importance,
+        effectiveImportance: Math.round(effectiveImportance * 1000) / 1000,
+        idleDays: Math.floor(idleDays),
+        recallCount: access?.recallCount ?? 0,
+        usefulCount: access?.usefulCount ?? 0,
+        notUsefulCount: access?.notUsefulCount ?? 0,
+        ...(access?.lastRecalledAt ? { lastRecalledAt: access.lastRecalledAt } : {}),
+      });
+    }
+
+    return candidates
+      .sort((a, b) => a.effectiveImportance - b.effectiveImportance || b.idleDays - a.idleDays)
+      .slice(0, limit);
+  }
+}
+
+/**
+ * When the memory was written: its metadata timestamp (unified memories,
+ * imports) or the entity's creation time
+ */
+function writtenAt(entity: Entity): Date | undefined {
+  const value = entity.metadata?.timestamp;
+  if (typeof value === 'string') {
+    const parsed = new Date(value);
+    if (!isNaN(parsed.getTime())) {
+      return parsed;
+    }
+  }
+  return entity.createdAt;
+}
+
+/**
+ * Importance stored in entity metadata (unified memories), 0.5 otherwise
+ */
+function storedImportance(entity: Entity): number {
+  const value = entity.metadata?.importance;
+  return typeof value === 'number' && Number.isFinite(value) ? value : DEFAULT_IMPORTANCE;
+}
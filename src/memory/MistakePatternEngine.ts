@@ -7,13 +7,15 @@
  * Features:
  * - Store mistake records with prevention rules
  * - Retrieve all rules
+ * - Track how often each rule is triggered
  * - Basic CRUD operations
  *
  * Removed (delegated to LLM):
  * - Pattern extraction from mistakes
  * - Automatic categorization
  * - Rule consolidation
- * - Operation checking
+ *
+ * Operation checking is done deterministically by PreventionHook.
  */
 
 import { UnifiedMemoryStore } from './UnifiedMemoryStore.js';
@@ -35,7 +37,6 @@ const PREVENTION_RULE_TAG = 'prevention-rule';
  * - Pattern extraction → LLM analyzes mistake and creates rule
  * - Categorization → LLM determines category
  * - Consolidation → LLM identifies similar patterns
- * - Operation checking → LLM evaluates violations
  */
 export class MistakePatternEngine {
   constructor(private memoryStore: UnifiedMemoryStore) {}
@@ -116,6 +117,30 @@ export class MistakePatternEngine {
     }
   }
 
+  /**
+   * Increment the hit count of a stored rule
+   *
+   * Called by PreventionHook each time the rule stops or flags a tool call.
+   *
+   * @param ruleId - Rule ID
+   * @returns The new hit count, or null if no stored rule has this ID
+   */
+  async recordRuleHit(ruleId: string): Promise<number | null> {
+    const memories = await this.memoryStore.searchByTags([PREVENTION_RULE_TAG]);
+    const memory = memories.find((candidate) => candidate.metadata?.ruleId === ruleId);
+    if (!memory?.id) {
+      return null;
+    }
+
+    const hitCount = ((memory.metadata?.hitCount as number) ?? 0) + 1;
+    await this.memoryStore.update(memory.id, {
+      metadata: { ...memory.metadata, hitCount },
+    });
+
+    logger.debug(`Prevention rule ${ruleId} triggered (${hitCount} hits)`);
+    return hitCount;
+  }
+
   /**
    * Get basic statistics about stored rules
    *
@@ -1,13 +1,34 @@
 /**
- * PreventionHook - Simplified
+ * PreventionHook - Deterministic prevention-rule enforcement
  *
- * Intelligence (pattern extraction, operation checking) delegated to LLM via MCP tool descriptions.
+ * Matches a tool call (Operation) against the built-in rules and the rules
+ * stored by MistakePatternEngine, and turns violations into a HookResult:
  *
- * This module is marked for potential removal in future phases as prevention logic
- * should be handled by the LLM via prompt engineering and tool descriptions.
+ * - block                → proceed: false
+ * - require-confirmation → proceed: 'pending', requireUserConfirmation: true
+ * - warn                 → proceed: true with warnings
+ * - log                  → proceed: true, logged only
+ *
+ * Rule matching:
+ * - trigger.tools:    tool name must be listed (empty = any tool)
+ * - trigger.patterns: target file must match a glob (empty or '*' = any)
+ * - trigger.contexts: a keyword must appear in the current task or the
+ *                     Bash command/description (empty = always)
+ *
+ * The check conditions of the built-in rules are evaluated; for stored rules
+ * with other conditions, matching the trigger is the violation.
+ *
+ * Used by the PreToolUse hook (scripts/hooks/pre-tool-use.js) through
+ * `memesh prevention check`.
  */
 
-import { MistakePatternEngine } from './MistakePatternEngine.js';
+import { existsSync } from 'fs';
+import path from 'path';
+import { minimatch } from 'minimatch';
+import type { MistakePatternEngine } from './MistakePatternEngine.js';
+import type { PreventionRule as StoredRule } from './types/pattern-types.js';
+import { getAllBuiltInRules, DEFAULT_SCOPE_LIMIT, type ActionType, type Severity } from './BuiltInRules.js';
+import { t } from '../i18n/index.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -45,41 +66,155 @@ export interface HookResult {
   suggestions?: string[];
   /** Whether user confirmation is required */
   requireUserConfirmation?: boolean;
+  /** IDs of the rules this operation violated */
+  triggeredRules?: string[];
+}
+
+/**
+ * A rule PreventionHook can enforce
+ *
+ * Both the built-in rules (BuiltInRules) and stored rules (pattern-types)
+ * have this shape.
+ */
+export interface EnforceableRule {
+  id: string;
+  name: string;
+  trigger: { tools: string[]; patterns: string[]; contexts: string[] };
+  check: { condition: string; severity: Severity };
+  action: { type: ActionType; messageKey: string; suggestionKey: string };
+  hitCount: number;
+  mergedInto?: string;
+}
+
+/**
+ * Persistent hit counts of built-in rules (implemented by KnowledgeGraph)
+ */
+export interface RuleHitStore {
+  /** Increment a rule's count and return the new count */
+  recordRuleHit(ruleId: string): number;
+  /** Counts of the rules hit so far */
+  getRuleHitCounts(): Map<string, number>;
+}
+
+/**
+ * Options for PreventionHook
+ */
+export interface PreventionHookOptions {
+  /** Rules that are always enforced (default: getAllBuiltInRules()) */
+  builtInRules?: EnforceableRule[];
+  /**
+   * Where built-in rule hits are counted, so counts survive across processes
+   * (default: none - counts are per hook instance)
+   */
+  ruleHits?: RuleHitStore;
+  /** Files that may be modified before the scope rule fires (default: 5) */
+  scopeLimit?: number;
+  /** Whether a file exists; a file that does not exist yet cannot be read first (default: fs.existsSync) */
+  fileExists?: (filePath: string) => boolean;
+}
+
+/**
+ * Tools that modify files
+ */
+const MODIFYING_TOOLS = ['Edit', 'MultiEdit', 'Write', 'NotebookEdit'];
+
+/**
+ * Tool arguments that hold the target file, in lookup order
+ */
+const TARGET_FILE_ARGS = ['file_path', 'notebook_path', 'path'];
+
+/**
+ * Tool arguments matched against trigger.contexts (besides the current task)
+ */
+const CONTEXT_ARGS = ['command', 'description'];
+
+/**
+ * Result of checking one rule
+ */
+interface Violation {
+  rule: EnforceableRule;
+  message: string;
+  suggestion: string;
 }
 
 /**
- * PreventionHook - Simplified (marked for deprecation)
+ * PreventionHook - Stops tool calls that repeat recorded mistakes
  *
- * Intelligence delegated to LLM:
- * - Pattern extraction → LLM analyzes mistakes
- * - Operation checking → LLM evaluates tool calls
- * - Rule matching → LLM recognizes patterns
+ * @example
+ * ```typescript
+ * const hook = new PreventionHook(new MistakePatternEngine(memoryStore));
+ * const result = await hook.beforeToolCall({
+ *   tool: 'Edit',
+ *   args: { file_path: '/repo/src/app.ts' },
+ *   context: { recentTools: [], currentTask: '', filesRead: [], filesModified: [] },
+ * });
+ * // result.proceed === false (read-before-edit)
+ * ```
  */
 export class PreventionHook {
-  constructor(private engine: MistakePatternEngine) {}
+  private readonly builtInRules: EnforceableRule[];
+  private readonly ruleHits?: RuleHitStore;
+  private readonly scopeLimit: number;
+  private readonly fileExists: (filePath: string) => boolean;
+
+  constructor(
+    private engine: MistakePatternEngine,
+    options: PreventionHookOptions = {}
+  ) {
+    // Copies, so counting hits never changes the shared definitions
+    this.builtInRules = (options.builtInRules ?? getAllBuiltInRules()).map((rule) => ({ ...rule }));
+    this.ruleHits = options.ruleHits;
+    this.scopeLimit = options.scopeLimit ?? DEFAULT_SCOPE_LIMIT;
+    this.fileExists = options.fileExists ?? existsSync;
+  }
 
   /**
-   * Hook before tool call - Simplified to always proceed
+   * Check a tool call against all active rules
    *
-   * Prevention logic delegated to LLM via:
-   * - SessionStart hook with prevention reminders
-   * - Tool descriptions with usage guidelines
-   * - Prompt engineering for safe practices
+   * Every violated rule has its hit count incremented (stored rules are
+   * updated in the memory store, built-in rules in the RuleHitStore).
    *
    * @param operation - Tool operation to check
-   * @returns Hook result (always proceed in simplified version)
+   * @returns Block, confirmation, warning or proceed result
    */
   async beforeToolCall(operation: Operation): Promise<HookResult> {
-    logger.debug('[PreventionHook] Tool call (prevention delegated to LLM)', {
-      tool: operation.tool,
-    });
+    const rules = await this.getActiveRules();
+    const violations = rules
+      .map((rule) => this.checkRule(rule, operation))
+      .filter((violation): violation is Violation => violation !== null);
 
-    // Always proceed - prevention delegated to LLM
-    return {
+    if (violations.length === 0) {
+      return { proceed: true, warnings: [], suggestions: [] };
+    }
+
+    await this.recordHits(violations.map((violation) => violation.rule));
+
+    const byAction = (type: ActionType) => violations.filter((violation) => violation.rule.action.type === type);
+    const blocking = byAction('block');
+    const confirming = byAction('require-confirmation');
+
+    for (const violation of byAction('log')) {
+      logger.info(`[PreventionHook] Rule ${violation.rule.id} matched ${operation.tool}`);
+    }
+
+    const result: HookResult = {
       proceed: true,
-      warnings: [],
-      suggestions: [],
+      warnings: byAction('warn').map((violation) => violation.message),
+      suggestions: violations.map((violation) => violation.suggestion),
+      triggeredRules: violations.map((violation) => violation.rule.id),
     };
+
+    if (blocking.length > 0) {
+      result.proceed = false;
+      result.reason = blocking.map((violation) => violation.message).join('\n');
+    } else if (confirming.length > 0) {
+      result.proceed = 'pending';
+      result.requireUserConfirmation = true;
+      result.reason = confirming.map((violation) => violation.message).join('\n');
+    }
+
+    logger.info(`[PreventionHook] ${operation.tool}: ${result.triggeredRules!.join(', ')} (proceed: ${result.proceed})`);
+    return result;
   }
 
   /**
@@ -93,4 +228,185 @@ export class PreventionHook {
   }> {
     return this.engine.getStatistics();
   }
+
+  /**
+   * Built-in rules plus stored rules (stored rules with a built-in ID or
+   * merged into another rule are skipped)
+   */
+  private async getActiveRules(): Promise<EnforceableRule[]> {
+    let stored: StoredRule[] = [];
+    try {
+      stored = await this.engine.getAllRules();
+    } catch (error) {
+      logger.warn('[PreventionHook] Could not load stored rules, using built-in rules only', { error });
+    }
+
+    this.loadBuiltInHitCounts();
+
+    const builtInIds = new Set(this.builtInRules.map((rule) => rule.id));
+    return [
+      ...this.builtInRules,
+      ...stored.filter((rule) => rule.id && !rule.mergedInto && !builtInIds.has(rule.id)),
+    ];
+  }
+
+  /**
+   * Refresh built-in rule hit counts from the RuleHitStore (non-fatal)
+   */
+  private loadBuiltInHitCounts(): void {
+    if (!this.ruleHits) {
+      return;
+    }
+    try {
+      const counts = this.ruleHits.getRuleHitCounts();
+      for (const rule of this.builtInRules) {
+        rule.hitCount = counts.get(rule.id) ?? rule.hitCount;
+      }
+    } catch (error) {
+      logger.warn('[PreventionHook] Could not load built-in rule hit counts', { error });
+    }
+  }
+
+  /**
+   * Check one rule against an operation
+   *
+   * @returns The violation, or null if the rule does not apply or holds
+   */
+  private checkRule(rule: EnforceableRule, operation: Operation): Violation | null {
+    const targetFile = getTargetFile(operation);
+    if (!matchesTrigger(rule, operation, targetFile)) {
+      return null;
+    }
+
+    if (!this.isViolated(rule, operation, targetFile)) {
+      return null;
+    }
+
+    return {
+      rule,
+      message: t(rule.action.messageKey),
+      suggestion: t(rule.action.suggestionKey),
+    };
+  }
+
+  /**
+   * Evaluate a rule's check condition
+   */
+  private isViolated(rule: EnforceableRule, operation: Operation, targetFile: string | undefined): boolean {
+    const { context } = operation;
+
+    switch (rule.check.condition) {
+      case 'filesRead.includes(targetFile)':
+      case 'files_read_includes_target': {
+        if (!targetFile || !this.fileExists(targetFile)) {
+          return false;
+        }
+        const target = path.resolve(targetFile);
+        const seen = [...context.filesRead, ...context.filesModified].map((file) => path.resolve(file));
+        return !seen.includes(target);
+      }
+
+      case 'hasVerificationStep()': {
+        // Verified if something was run (Bash) after the last file change
+        const lastChange = Math.max(...MODIFYING_TOOLS.map((tool) => context.recentTools.lastIndexOf(tool)));
+        const lastRun = context.recentTools.lastIndexOf('Bash');
+        return lastChange !== -1 && lastRun < lastChange;
+      }
+
+      case 'modifiedFiles.length > expectedScope': {
+        const modified = new Set(context.filesModified.map((file) => path.resolve(file)));
+        if (targetFile && MODIFYING_TOOLS.includes(operation.tool)) {
+          modified.add(path.resolve(targetFile));
+        }
+        return modified.size > this.scopeLimit;
+      }
+
+      default:
+        // No evaluator for this condition: the trigger match is the violation
+        return true;
+    }
+  }
+
+  /**
+   * Increment hit counts of violated rules
+   */
+  private async recordHits(rules: EnforceableRule[]): Promise<void> {
+    for (const rule of rules) {
+      rule.hitCount++;
+      try {
+        if (!this.builtInRules.includes(rule)) {
+          await this.engine.recordRuleHit(rule.id);
+        } else if (this.ruleHits) {
+          rule.hitCount = this.ruleHits.recordRuleHit(rule.id);
+        }
+      } catch (error) {
+        logger.warn(`[PreventionHook] Failed to record hit for rule ${rule.id}`, { error });
+      }
+    }
+  }
+}
+
+/**
+ * File the operation targets, if any
+ */
+function getTargetFile(operation: Operation): string | undefined {
+  for (const key of TARGET_FILE_ARGS) {
+    const value = operation.args[key];
+    if (typeof value === 'string' && value.length > 0) {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Whether an operation matches a rule's trigger
+ *
+ * A rule without any tool or context trigger never applies.
+ */
+function matchesTrigger(rule: EnforceableRule, operation: Operation, targetFile: string | undefined): boolean {
+  const { tools, patterns, contexts } = rule.trigger;
+
+  if (tools.length === 0 && contexts.length === 0) {
+    return false;
+  }
+
+  if (tools.length > 0 && !tools.includes(operation.tool)) {
+    return false;
+  }
+
+  if (patterns.length > 0 && !patterns.includes('*')) {
+    if (!targetFile) {
+      return false;
+    }
+    const relative = path.relative(process.cwd(), path.resolve(targetFile));
+    const matched = patterns.some(
+      (pattern) =>
+        minimatch(relative, pattern, { matchBase: true, dot: true }) ||
+        minimatch(targetFile, pattern, { matchBase: true, dot: true })
+    );
+    if (!matched) {
+      return false;
+    }
+  }
+
+  if (contexts.length > 0) {
+    const text = [
+      operation.context.currentTask,
+      ...CONTEXT_ARGS.map((key) => operation.args[key]).filter((value) => typeof value === 'string'),
+    ].join('\n');
+    const matched = contexts.some((keyword) =>
+      // Whole words only: "done" must not match "abandoned", "--force" not "--force-with-lease"
+      new RegExp(`(?<![\\w-])${escapeRegExp(keyword)}(?![\\w-])`, 'i').test(text)
+    );
+    if (!matched) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
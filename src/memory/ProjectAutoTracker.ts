@@ -15,6 +15,7 @@
  */
 
 import type { MCPToolInterface } from '../core/MCPToolInterface.js';
+import type { FailedTest, TestReportFormat } from '../core/TestOutputParser.js';
 import { logger } from '../utils/logger.js';
 import { EntityType } from './EntityTypes.js';
 
@@ -46,6 +47,14 @@ export interface TestResult {
   failed: number;
   total: number;
   failures: string[];
+  /** Skipped, pending or todo tests */
+  skipped?: number;
+  /** Run duration in milliseconds */
+  durationMs?: number;
+  /** Report or console format the result was parsed from */
+  format?: TestReportFormat;
+  /** Structured failure details (file, line, stack) matching `failures` */
+  failedTests?: FailedTest[];
 }
 
 /**
@@ -326,10 +335,27 @@ export class ProjectAutoTracker {
       `Tests passed: ${result.passed}/${result.total}`,
     ];
 
+    if (result.skipped) {
+      observations.push(`Tests skipped: ${result.skipped}`);
+    }
+
     if (result.failed > 0) {
       observations.push(`Tests failed: ${result.failed}`);
       observations.push('Failures:');
-      observations.push(...result.failures.map(f => `  - ${f}`));
+      result.failures.forEach((failure, index) => {
+        observations.push(`  - ${failure}`);
+        const frame = firstStackFrame(result.failedTests?.[index]?.stack);
+        if (frame) {
+          observations.push(`    ${frame}`);
+        }
+      });
+    }
+
+    if (result.durationMs !== undefined) {
+      observations.push(`Duration: ${result.durationMs}ms`);
+    }
+    if (result.format && result.format !== 'unknown') {
+      observations.push(`Report format: ${result.format}`);
     }
 
     observations.push(`Timestamp: ${timestamp}`);
@@ -682,3 +708,12 @@ export class ProjectAutoTracker {
     };
   }
 }
+
+/**
+ * First "at ..." frame of a stack trace, or the line after the message if it has none
+ */
+function firstStackFrame(stack: string | undefined): string | undefined {
+  if (!stack) return undefined;
+  const lines = stack.split('\n').map(line => line.trim()).filter(Boolean);
+  return lines.find(line => line.startsWith('at ')) ?? lines[1];
+}
@@ -7,6 +7,9 @@
 
 import type { KnowledgeGraph } from '../knowledge-graph/index.js';
 import type { Entity, EntityType } from '../knowledge-graph/types.js';
+import type { SemanticIndex } from './SemanticIndex.js';
+import type { MemoryDecay } from './MemoryDecay.js';
+import { logger } from '../utils/logger.js';
 
 /** Memory-related entity types for project tracking */
 export type MemoryEntityType =
@@ -34,9 +37,20 @@ export interface RecallOptions {
  */
 export class ProjectMemoryManager {
   private knowledgeGraph: KnowledgeGraph;
+  private semanticIndex?: SemanticIndex;
+  private decay?: MemoryDecay;
 
-  constructor(knowledgeGraph: KnowledgeGraph) {
+  /**
+   * @param knowledgeGraph - Knowledge graph holding project memories
+   * @param semanticIndex - Optional embedding index; when set, search() also
+   *   returns memories that are worded differently from the query
+   * @param decay - Optional access-aware ranking; when set, search() orders
+   *   results by effective importance, so recalls and feedback count
+   */
+  constructor(knowledgeGraph: KnowledgeGraph, semanticIndex?: SemanticIndex, decay?: MemoryDecay) {
     this.knowledgeGraph = knowledgeGraph;
+    this.semanticIndex = semanticIndex;
+    this.decay = decay;
   }
 
   /**
@@ -87,7 +101,12 @@ export class ProjectMemoryManager {
   /**
    * Search project memories by query string
    *
-   * @param query - Search query (matches entity names)
+   * Full-text matches come first; when a semantic index is configured, the
+   * remaining slots are filled with the most similar entities by meaning.
+   * With access-aware ranking, the matches are then ordered by effective
+   * importance. Returned entities are recorded as recalled (see MemoryDecay).
+   *
+   * @param query - Search query (matches entity names and observations)
    * @param limit - Maximum number of results (default: 10)
    * @returns Array of matching entities
    *
@@ -98,9 +117,66 @@ export class ProjectMemoryManager {
    * ```
    */
   async search(query: string, limit: number = 10): Promise<Entity[]> {
-    return this.knowledgeGraph.searchEntities({
+    const matches = await this.findMatches(query, limit);
+    return this.recordRecalls(this.decay ? this.decay.rank(this.knowledgeGraph, matches) : matches);
+  }
+
+  /**
+   * Full-text matches, topped up with semantic matches when an index is configured
+   */
+  private async findMatches(query: string, limit: number): Promise<Entity[]> {
+    const results = this.knowledgeGraph.searchEntities({
       namePattern: query,
       limit,
     });
+
+    if (!this.semanticIndex || results.length >= limit) {
+      return results;
+    }
+
+    try {
+      const seen = new Set(results.map(e => e.name));
+      const hits = await this.semanticIndex.search(query, { limit: limit + results.length });
+      const extraNames = hits
+        .map(hit => hit.name)
+        .filter(name => !seen.has(name))
+        .slice(0, limit - results.length);
+
+      return [...results, ...this.knowledgeGraph.getEntitiesByNames(extraNames)];
+    } catch (error) {
+      logger.warn('[ProjectMemoryManager] Semantic search failed, returning full-text results only:', {
+        error: error instanceof Error ? error.message : String(error),
+      });
+      return results;
+    }
+  }
+
+  /**
+   * Record caller feedback on recalled memories
+   *
+   * Useful memories are reinforced in ranking; memories marked not useful
+   * are ranked lower. Unknown names are ignored.
+   *
+   * @param useful - Names of entities that helped
+   * @param notUseful - Names of entities that did not help
+   * @returns Number of entities feedback was recorded for
+   */
+  recordFeedback(useful: string[] = [], notUseful: string[] = []): number {
+    return this.knowledgeGraph.recordAccess(useful, 'useful') +
+      this.knowledgeGraph.recordAccess(notUseful, 'not_useful');
+  }
+
+  /**
+   * Record that entities were returned by a search (non-fatal)
+   */
+  private recordRecalls(entities: Entity[]): Entity[] {
+    try {
+      this.knowledgeGraph.recordAccess(entities.map(e => e.name), 'recall');
+    } catch (error) {
+      logger.warn('[ProjectMemoryManager] Failed to record recalls:', {
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+    return entities;
   }
 }
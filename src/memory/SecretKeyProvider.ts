@@ -0,0 +1,478 @@
+/**
+ * Secret Key Providers
+ *
+ * Pluggable sources for the AES-256 keys used by SecretManager.
+ *
+ * Every key version stored in a secrets database records which provider
+ * created it, the provider's non-secret parameters (salt, key ID) and a
+ * fingerprint of the key. Providers only ever hand out key material; the
+ * fingerprint lets SecretManager reject a wrong passphrase or key before
+ * attempting to decrypt anything.
+ *
+ * Providers:
+ * - file:       random key in the data directory (legacy default, `.secret-key`)
+ * - passphrase: scrypt-derived from MEMESH_SECRET_PASSPHRASE
+ * - env:        raw key from MEMESH_SECRET_KEY (hex or base64)
+ * - keyring:    random key in a local keyring file outside the data directory
+ */
+
+import { randomBytes, createHmac, scrypt, timingSafeEqual, type ScryptOptions } from 'crypto';
+import { join, dirname } from 'path';
+import { homedir } from 'os';
+import { promises as fsPromises } from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+import { ConfigurationError } from '../errors/index.js';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Types
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Supported key provider kinds
+ */
+export const SECRET_KEY_PROVIDER_KINDS = ['file', 'passphrase', 'env', 'keyring'] as const;
+
+export type SecretKeyProviderKind = (typeof SECRET_KEY_PROVIDER_KINDS)[number];
+
+/**
+ * Non-secret provider parameters persisted with each key version
+ */
+export type SecretKeyParams = Record<string, string | number>;
+
+/**
+ * Key version as recorded in the secrets database
+ */
+export interface SecretKeyRecord {
+  /** Key version (referenced by secrets.key_version) */
+  version: number;
+  /** Provider that created the key */
+  provider: SecretKeyProviderKind;
+  /** Provider parameters needed to load the key again */
+  params: SecretKeyParams;
+  /** Fingerprint of the key (see secretKeyFingerprint) */
+  fingerprint: string;
+}
+
+/**
+ * Newly created key material
+ */
+export interface CreatedSecretKey {
+  key: Buffer;
+  params: SecretKeyParams;
+}
+
+/**
+ * Source of secret encryption keys
+ */
+export interface SecretKeyProvider {
+  /** Provider kind, stored with every key version it creates */
+  readonly kind: SecretKeyProviderKind;
+
+  /**
+   * Create key material for a new key version
+   *
+   * @param version - Version number the key will be stored under
+   */
+  createKey(version: number): Promise<CreatedSecretKey>;
+
+  /**
+   * Load the key for an existing key version
+   *
+   * @param record - Stored key version (params and expected fingerprint)
+   * @throws ConfigurationError if the key is unavailable or does not match
+   */
+  loadKey(record: SecretKeyRecord): Promise<Buffer>;
+}
+
+/**
+ * Key length for AES-256 (32 bytes)
+ */
+export const SECRET_KEY_LENGTH = 32;
+
+/**
+ * Legacy key file name (key version 1 of pre-versioning databases)
+ */
+export const LEGACY_KEY_FILE = '.secret-key';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Helpers
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Compute the fingerprint stored for a key
+ *
+ * HMAC of a fixed label, so the fingerprint reveals nothing about the key.
+ */
+export function secretKeyFingerprint(key: Buffer): string {
+  return createHmac('sha256', key).update('memesh-secret-key-check').digest('hex').slice(0, 32);
+}
+
+/**
+ * Check a key against a stored fingerprint (constant time)
+ */
+export function matchesFingerprint(key: Buffer, fingerprint: string): boolean {
+  const actual = Buffer.from(secretKeyFingerprint(key), 'hex');
+  const expected = Buffer.from(fingerprint, 'hex');
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Pick the candidate key that matches a record's fingerprint
+ */
+function selectMatchingKey(record: SecretKeyRecord, candidates: Buffer[], hint: string): Buffer {
+  const match = candidates.find((key) => matchesFingerprint(key, record.fingerprint));
+  if (!match) {
+    throw new ConfigurationError(
+      `Secret key version ${record.version} does not match the configured ${record.provider} key. ${hint}`,
+      { component: 'SecretKeyProvider', provider: record.provider, keyVersion: record.version }
+    );
+  }
+  return match;
+}
+
+/**
+ * Parse a 32-byte key given as 64 hex characters or base64
+ */
+export function parseSecretKey(value: string, source: string): Buffer {
+  const trimmed = value.trim();
+  const key = /^[0-9a-fA-F]{64}$/.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== SECRET_KEY_LENGTH) {
+    throw new ConfigurationError(
+      `${source} must be a ${SECRET_KEY_LENGTH}-byte key encoded as hex or base64`,
+      { component: 'SecretKeyProvider', source, decodedLength: key.length }
+    );
+  }
+  return key;
+}
+
+/**
+ * Write a file atomically with owner-only permissions
+ */
+async function writePrivateFile(filePath: string, data: string | Buffer): Promise<void> {
+  await fsPromises.mkdir(dirname(filePath), { recursive: true, mode: 0o700 });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fsPromises.writeFile(tempPath, data, { mode: 0o600 });
+  await fsPromises.rename(tempPath, filePath);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// File Provider (legacy default)
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Random keys stored as files in the data directory
+ *
+ * Key version 1 of databases created before key versioning lives in
+ * `.secret-key`; newer keys get their own `.secret-key-<keyId>` file so
+ * several databases can share one directory.
+ *
+ * NOTE: Anyone who copies the data directory can decrypt the secrets.
+ * Prefer the passphrase, env or keyring provider.
+ */
+export class FileKeyProvider implements SecretKeyProvider {
+  readonly kind = 'file' as const;
+
+  constructor(private readonly keyDir: string) {}
+
+  async createKey(): Promise<CreatedSecretKey> {
+    const keyId = uuidv4();
+    const key = randomBytes(SECRET_KEY_LENGTH);
+    await writePrivateFile(join(this.keyDir, `${LEGACY_KEY_FILE}-${keyId}`), key);
+    return { key, params: { keyId } };
+  }
+
+  async loadKey(record: SecretKeyRecord): Promise<Buffer> {
+    const key = await this.readKeyFile(record.params.keyId as string | undefined);
+    if (!key) {
+      throw new ConfigurationError(
+        `Key file for secret key version ${record.version} not found in ${this.keyDir}`,
+        { component: 'FileKeyProvider', keyVersion: record.version }
+      );
+    }
+    return selectMatchingKey(record, [key], 'The key file was replaced or belongs to another database.');
+  }
+
+  /**
+   * Read the legacy `.secret-key` file, if present
+   */
+  async readLegacyKey(): Promise<Buffer | null> {
+    return this.readKeyFile(undefined);
+  }
+
+  /**
+   * Create the legacy `.secret-key` file (pre-versioning layout)
+   *
+   * Never overwrites: if another process created the file first, its key is used.
+   */
+  async createLegacyKey(): Promise<CreatedSecretKey> {
+    const key = randomBytes(SECRET_KEY_LENGTH);
+    await fsPromises.mkdir(this.keyDir, { recursive: true });
+    try {
+      await fsPromises.writeFile(join(this.keyDir, LEGACY_KEY_FILE), key, { mode: 0o600, flag: 'wx' });
+      return { key, params: {} };
+    } catch (error) {
+      const existing = (error as NodeJS.ErrnoException).code === 'EEXIST' ? await this.readLegacyKey() : null;
+      if (!existing) {
+        throw error;
+      }
+      return { key: existing, params: {} };
+    }
+  }
+
+  private async readKeyFile(keyId: string | undefined): Promise<Buffer | null> {
+    const fileName = keyId ? `${LEGACY_KEY_FILE}-${keyId}` : LEGACY_KEY_FILE;
+    try {
+      return await fsPromises.readFile(join(this.keyDir, fileName));
+    } catch {
+      return null;
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Passphrase Provider
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * scrypt cost parameters (N=2^15 needs ~32 MB of memory)
+ */
+export interface ScryptCost {
+  N: number;
+  r: number;
+  p: number;
+}
+
+const DEFAULT_SCRYPT_COST: ScryptCost = { N: 2 ** 15, r: 8, p: 1 };
+
+function deriveKey(passphrase: string, salt: Buffer, cost: ScryptCost): Promise<Buffer> {
+  const options: ScryptOptions = {
+    ...cost,
+    maxmem: 128 * cost.N * cost.r * cost.p + 1024 * 1024,
+  };
+  return new Promise((resolve, reject) => {
+    scrypt(passphrase, salt, SECRET_KEY_LENGTH, options, (error, key) => {
+      if (error) reject(error);
+      else resolve(key);
+    });
+  });
+}
+
+/**
+ * Keys derived from a passphrase with scrypt
+ *
+ * Each key version gets a fresh random salt, stored with the version. To
+ * change the passphrase, keep the old one in `previousPassphrases` (or
+ * MEMESH_SECRET_PASSPHRASE_PREVIOUS) and run `memesh secrets rotate-key`.
+ */
+export class PassphraseKeyProvider implements SecretKeyProvider {
+  readonly kind = 'passphrase' as const;
+  private readonly passphrase: string;
+  private readonly previousPassphrases: string[];
+  private readonly cost: ScryptCost;
+
+  constructor(options: { passphrase: string; previousPassphrases?: string[]; cost?: ScryptCost }) {
+    if (!options.passphrase) {
+      throw new ConfigurationError('Secret passphrase must not be empty', {
+        component: 'PassphraseKeyProvider',
+      });
+    }
+    this.passphrase = options.passphrase;
+    this.previousPassphrases = options.previousPassphrases ?? [];
+    this.cost = options.cost ?? DEFAULT_SCRYPT_COST;
+  }
+
+  async createKey(): Promise<CreatedSecretKey> {
+    const salt = randomBytes(16);
+    const key = await deriveKey(this.passphrase, salt, this.cost);
+    return {
+      key,
+      params: { salt: salt.toString('hex'), N: this.cost.N, r: this.cost.r, p: this.cost.p },
+    };
+  }
+
+  async loadKey(record: SecretKeyRecord): Promise<Buffer> {
+    const { salt, N, r, p } = record.params;
+    const cost = { N: Number(N), r: Number(r), p: Number(p) };
+    const saltBuffer = Buffer.from(String(salt), 'hex');
+
+    // Derive lazily: most loads match the current passphrase
+    for (const passphrase of [this.passphrase, ...this.previousPassphrases]) {
+      const key = await deriveKey(passphrase, saltBuffer, cost);
+      if (matchesFingerprint(key, record.fingerprint)) {
+        return key;
+      }
+    }
+    return selectMatchingKey(record, [], 'Wrong passphrase?');
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Environment Provider
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Keys supplied by the environment (e.g. a secrets manager or CI vault)
+ *
+ * To rotate, move the old key to MEMESH_SECRET_KEY_PREVIOUS (comma-separated
+ * for several), set the new one in MEMESH_SECRET_KEY and run
+ * `memesh secrets rotate-key`.
+ */
+export class EnvKeyProvider implements SecretKeyProvider {
+  readonly kind = 'env' as const;
+  private readonly key: Buffer;
+  private readonly previousKeys: Buffer[];
+
+  constructor(options: { key: string; previousKeys?: string[] }) {
+    this.key = parseSecretKey(options.key, 'MEMESH_SECRET_KEY');
+    this.previousKeys = (options.previousKeys ?? []).map((value) =>
+      parseSecretKey(value, 'MEMESH_SECRET_KEY_PREVIOUS')
+    );
+  }
+
+  async createKey(): Promise<CreatedSecretKey> {
+    return { key: Buffer.from(this.key), params: {} };
+  }
+
+  async loadKey(record: SecretKeyRecord): Promise<Buffer> {
+    return selectMatchingKey(
+      record,
+      [this.key, ...this.previousKeys],
+      'Set the key it was created with in MEMESH_SECRET_KEY_PREVIOUS.'
+    );
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Local Keyring Provider
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Default location of the local keyring (outside the data directory)
+ */
+export function getDefaultKeyringPath(): string {
+  return join(homedir(), '.config', 'memesh', 'keyring.json');
+}
+
+/**
+ * Random keys kept in a local keyring file
+ *
+ * Stand-in for an OS keyring: keys live in an owner-only JSON file outside
+ * the data directory, so copying the data directory (or a database backup)
+ * does not copy the keys.
+ */
+export class LocalKeyringProvider implements SecretKeyProvider {
+  readonly kind = 'keyring' as const;
+
+  constructor(private readonly keyringPath: string = getDefaultKeyringPath()) {}
+
+  async createKey(): Promise<CreatedSecretKey> {
+    const keyId = uuidv4();
+    const key = randomBytes(SECRET_KEY_LENGTH);
+    const keyring = await this.readKeyring();
+    keyring[keyId] = key.toString('hex');
+    await writePrivateFile(this.keyringPath, JSON.stringify(keyring, null, 2));
+    return { key, params: { keyId } };
+  }
+
+  async loadKey(record: SecretKeyRecord): Promise<Buffer> {
+    const keyring = await this.readKeyring();
+    const stored = keyring[String(record.params.keyId)];
+    if (!stored) {
+      throw new ConfigurationError(
+        `Secret key version ${record.version} is not in the keyring at ${this.keyringPath}`,
+        { component: 'LocalKeyringProvider', keyVersion: record.version }
+      );
+    }
+    return selectMatchingKey(record, [Buffer.from(stored, 'hex')], 'The keyring entry was modified.');
+  }
+
+  private async readKeyring(): Promise<Record<string, string>> {
+    let content: string;
+    try {
+      content = await fsPromises.readFile(this.keyringPath, 'utf-8');
+    } catch {
+      return {};
+    }
+    try {
+      return JSON.parse(content) as Record<string, string>;
+    } catch {
+      throw new ConfigurationError(`Keyring file is corrupted: ${this.keyringPath}`, {
+        component: 'LocalKeyringProvider',
+      });
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Provider Resolution
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Check whether a string is a supported provider kind
+ */
+export function isSecretKeyProviderKind(value: string): value is SecretKeyProviderKind {
+  return (SECRET_KEY_PROVIDER_KINDS as readonly string[]).includes(value);
+}
+
+/**
+ * Create the key provider configured by the environment
+ *
+ * MEMESH_SECRET_KEY_PROVIDER selects the provider explicitly. Otherwise
+ * MEMESH_SECRET_KEY selects env, MEMESH_SECRET_PASSPHRASE selects passphrase,
+ * and the legacy file provider is used as a fallback.
+ *
+ * @param dataDir - Directory for the file provider
+ * @param kind - Provider to create (overrides MEMESH_SECRET_KEY_PROVIDER)
+ * @param env - Environment to read (default: process.env)
+ */
+export function resolveSecretKeyProvider(
+  dataDir: string,
+  kind?: SecretKeyProviderKind,
+  env: NodeJS.ProcessEnv = process.env
+): SecretKeyProvider {
+  const requested = kind ?? env.MEMESH_SECRET_KEY_PROVIDER;
+  if (requested && !isSecretKeyProviderKind(requested)) {
+    throw new ConfigurationError(
+      `Unknown secret key provider '${requested}'. Expected one of: ${SECRET_KEY_PROVIDER_KINDS.join(', ')}`,
+      { component: 'SecretKeyProvider', provider: requested }
+    );
+  }
+
+  const selected: SecretKeyProviderKind = requested
+    ? (requested as SecretKeyProviderKind)
+    : env.MEMESH_SECRET_KEY ? 'env' : env.MEMESH_SECRET_PASSPHRASE ? 'passphrase' : 'file';
+
+  switch (selected) {
+    case 'env':
+      if (!env.MEMESH_SECRET_KEY) {
+        throw new ConfigurationError('MEMESH_SECRET_KEY is required for the env key provider', {
+          component: 'SecretKeyProvider',
+          missingKey: 'MEMESH_SECRET_KEY',
+        });
+      }
+      return new EnvKeyProvider({
+        key: env.MEMESH_SECRET_KEY,
+        previousKeys: env.MEMESH_SECRET_KEY_PREVIOUS?.split(',').filter((value) => value.trim()),
+      });
+    case 'passphrase':
+      if (!env.MEMESH_SECRET_PASSPHRASE) {
+        throw new ConfigurationError('MEMESH_SECRET_PASSPHRASE is required for the passphrase key provider', {
+          component: 'SecretKeyProvider',
+          missingKey: 'MEMESH_SECRET_PASSPHRASE',
+        });
+      }
+      return new PassphraseKeyProvider({
+        passphrase: env.MEMESH_SECRET_PASSPHRASE,
+        previousPassphrases: env.MEMESH_SECRET_PASSPHRASE_PREVIOUS
+          ? [env.MEMESH_SECRET_PASSPHRASE_PREVIOUS]
+          : undefined,
+      });
+    case 'keyring':
+      return new LocalKeyringProvider(env.MEMESH_KEYRING_PATH || undefined);
+    case 'file':
+      return new FileKeyProvider(dataDir);
+  }
+}
@@ -6,6 +6,7 @@
  *
  * Features:
  * - AES-256-GCM encryption (never stores plaintext)
+ * - Pluggable key providers (passphrase, env, keyring, file) with key rotation
  * - Local-only storage (never transmitted)
  * - Auto-detection of secrets in content
  * - User confirmation before storing
@@ -14,7 +15,6 @@
 
 import Database from 'better-sqlite3';
 import { randomBytes, createCipheriv, createDecipheriv } from 'crypto';
-import { join } from 'path';
 import { promises as fsPromises } from 'fs';
 import { v4 as uuidv4 } from 'uuid';
 import { getDataPath, getDataDirectory } from '../utils/PathResolver.js';
@@ -26,8 +26,19 @@ import type {
   SecretConfirmationRequest,
   SecretType,
   SecretPattern,
+  SecretKeyVersionInfo,
+  SecretKeyRotationResult,
 } from './types/secret-types.js';
 import { DEFAULT_SECRET_PATTERNS } from './types/secret-types.js';
+import {
+  FileKeyProvider,
+  resolveSecretKeyProvider,
+  secretKeyFingerprint,
+  type SecretKeyProvider,
+  type SecretKeyProviderKind,
+  type SecretKeyRecord,
+} from './SecretKeyProvider.js';
+import { SchemaMigrator, hasColumn, type SchemaMigration } from '../db/SchemaMigrator.js';
 
 /**
  * Encryption algorithm used for secrets
@@ -50,18 +61,176 @@ const _AUTH_TAG_LENGTH = 16; // eslint-disable-line @typescript-eslint/no-unused
  */
 const DEFAULT_EXPIRATION_SECONDS = 30 * 24 * 60 * 60;
 
+/**
+ * Versioned schema of secrets.db (see SchemaMigrator)
+ */
+const SECRET_MIGRATIONS: SchemaMigration[] = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS secrets (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL UNIQUE,
+          secret_type TEXT NOT NULL DEFAULT 'generic',
+          encrypted_value TEXT NOT NULL,
+          iv TEXT NOT NULL,
+          auth_tag TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          expires_at TEXT,
+          metadata TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_secrets_name ON secrets(name);
+        CREATE INDEX IF NOT EXISTS idx_secrets_type ON secrets(secret_type);
+        CREATE INDEX IF NOT EXISTS idx_secrets_expires ON secrets(expires_at);
+      `);
+    },
+    down: (db) => {
+      db.exec('DROP TABLE IF EXISTS secrets');
+    },
+  },
+  {
+    // Databases created before key versioning were encrypted with the
+    // legacy key file, recorded by initializeKeys() as key version 1
+    version: 2,
+    name: 'add_key_versioning',
+    up: (db) => {
+      if (!hasColumn(db, 'secrets', 'key_version')) {
+        db.exec('ALTER TABLE secrets ADD COLUMN key_version INTEGER NOT NULL DEFAULT 1');
+      }
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS secret_keys (
+          version INTEGER PRIMARY KEY,
+          provider TEXT NOT NULL,
+          params TEXT NOT NULL DEFAULT '{}',
+          fingerprint TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          retired_at TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_secrets_key_version ON secrets(key_version);
+      `);
+    },
+    down: (db) => {
+      db.exec(`
+        DROP INDEX IF EXISTS idx_secrets_key_version;
+        DROP TABLE IF EXISTS secret_keys;
+        ALTER TABLE secrets DROP COLUMN key_version;
+      `);
+    },
+  },
+];
+
+/**
+ * Options for SecretManager.create()
+ */
+export interface SecretManagerOptions {
+  /**
+   * Provider for new key versions (default: from MEMESH_SECRET_KEY_PROVIDER,
+   * MEMESH_SECRET_KEY or MEMESH_SECRET_PASSPHRASE, else the legacy key file)
+   */
+  keyProvider?: SecretKeyProvider;
+}
+
+/**
+ * Detect secrets in content using pattern matching
+ *
+ * Needs no vault: used by SecretManager and by detect-only redaction.
+ *
+ * @param content - Content to scan for secrets
+ * @param patterns - Patterns to match (default: DEFAULT_SECRET_PATTERNS)
+ * @returns Array of detected secrets with positions and types
+ */
+export function detectSecrets(
+  content: string,
+  patterns: SecretPattern[] = DEFAULT_SECRET_PATTERNS
+): DetectedSecret[] {
+  const detectedSecrets: DetectedSecret[] = [];
+
+  for (const pattern of patterns) {
+    // Reset lastIndex for global regex
+    pattern.pattern.lastIndex = 0;
+
+    let match: RegExpExecArray | null;
+    while ((match = pattern.pattern.exec(content)) !== null) {
+      detectedSecrets.push({
+        type: pattern.type,
+        value: match[0],
+        startIndex: match.index,
+        endIndex: match.index + match[0].length,
+        confidence: pattern.confidence,
+      });
+    }
+  }
+
+  // Remove duplicates based on position
+  const uniqueSecrets = detectedSecrets.filter(
+    (secret, index, self) =>
+      index ===
+      self.findIndex(
+        (s) => s.startIndex === secret.startIndex && s.endIndex === secret.endIndex
+      )
+  );
+
+  return uniqueSecrets.sort((a, b) => a.startIndex - b.startIndex);
+}
+
+/**
+ * Mask a sensitive value for display
+ *
+ * @param value - Value to mask
+ * @returns Masked value (e.g., "sk-a****r678")
+ */
+export function maskSecretValue(value: string): string {
+  if (!value || value.length === 0) {
+    return '';
+  }
+
+  if (value.length <= 4) {
+    return '*'.repeat(value.length);
+  }
+
+  if (value.length <= 8) {
+    return value[0] + '*'.repeat(value.length - 2) + value[value.length - 1];
+  }
+
+  // For longer values, show first 4 and last 4 characters
+  return value.slice(0, 4) + '****' + value.slice(-4);
+}
+
+/**
+ * Row shape of the secret_keys table
+ */
+interface SecretKeyRow {
+  version: number;
+  provider: SecretKeyProviderKind;
+  params: string;
+  fingerprint: string;
+  created_at: string;
+  retired_at: string | null;
+}
+
 /**
  * SecretManager - Secure storage for sensitive data
  *
  * All secrets are encrypted with AES-256-GCM before storage.
- * The encryption key is derived from a machine-specific source.
+ * Keys come from a SecretKeyProvider and are versioned: each row records the
+ * key version it was encrypted with (secrets.key_version), and rotateKey()
+ * re-encrypts every row under a new version. Retired versions stay in the
+ * secret_keys table so older backups of the database remain decryptable.
  *
  * PRIVACY: Secrets are stored locally only and never transmitted.
  */
 export class SecretManager {
   private db: Database.Database;
   private dbPath: string;
-  private encryptionKey: Buffer;
+  private dataDir: string;
+  private keyProvider: SecretKeyProvider;
+  private keys = new Map<number, Buffer>();
+  private currentKeyVersion = 0;
   private secretPatterns: SecretPattern[];
 
   /**
@@ -70,11 +239,13 @@ export class SecretManager {
   private constructor(
     dbPath: string,
     db: Database.Database,
-    encryptionKey: Buffer
+    dataDir: string,
+    keyProvider: SecretKeyProvider
   ) {
     this.dbPath = dbPath;
     this.db = db;
-    this.encryptionKey = encryptionKey;
+    this.dataDir = dataDir;
+    this.keyProvider = keyProvider;
     // CRITICAL-1 FIX: Deep-clone each pattern's RegExp to prevent shared mutable state
     // The global flag (/g) causes RegExp objects to maintain lastIndex state, which
     // can be corrupted by concurrent detectSecrets() calls if patterns are shared.
@@ -88,9 +259,11 @@ export class SecretManager {
    * Create a new SecretManager instance (async factory method)
    *
    * @param dbPath - Optional database path (defaults to ~/.claude-code-buddy/secrets.db)
+   * @param options - Key provider selection
    * @returns Promise<SecretManager> Initialized secret manager instance
+   * @throws ConfigurationError if the key for the current key version is unavailable
    */
-  static async create(dbPath?: string): Promise<SecretManager> {
+  static async create(dbPath?: string, options: SecretManagerOptions = {}): Promise<SecretManager> {
     // Use PathResolver for automatic fallback to legacy location
     const defaultPath = getDataPath('secrets.db');
     const resolvedPath = dbPath || defaultPath;
@@ -106,14 +279,19 @@ export class SecretManager {
     // Open or create database
     const db = new Database(resolvedPath);
 
-    // Get or create encryption key
-    const encryptionKey = await SecretManager.getEncryptionKey(dataDir);
+    const keyProvider = options.keyProvider ?? resolveSecretKeyProvider(dataDir);
 
     // Create instance
-    const instance = new SecretManager(resolvedPath, db, encryptionKey);
+    const instance = new SecretManager(resolvedPath, db, dataDir, keyProvider);
 
-    // Initialize schema
-    instance.initialize();
+    // Initialize schema and encryption key
+    try {
+      instance.initialize();
+      await instance.initializeKeys();
+    } catch (error) {
+      db.close();
+      throw error;
+    }
 
     logger.info(`[SecretManager] Initialized at: ${resolvedPath}`);
 
@@ -121,47 +299,112 @@ export class SecretManager {
   }
 
   /**
-   * Get or create the encryption key
-   * Key is stored in a separate file for security
+   * Initialize database schema
    */
-  private static async getEncryptionKey(dataDir: string): Promise<Buffer> {
-    const keyPath = join(dataDir, '.secret-key');
+  private initialize(): void {
+    new SchemaMigrator(this.db, { name: 'SecretManager', migrations: SECRET_MIGRATIONS }).migrate();
+  }
 
-    try {
-      const keyData = await fsPromises.readFile(keyPath);
-      return keyData;
-    } catch {
-      // Generate new key
-      const newKey = randomBytes(32); // 256 bits for AES-256
-      await fsPromises.writeFile(keyPath, newKey, { mode: 0o600 });
-      return newKey;
+  /**
+   * Load the current key version, creating version 1 for new databases
+   */
+  private async initializeKeys(): Promise<void> {
+    let current = this.getCurrentKeyRow();
+
+    if (!current) {
+      const { count } = this.db
+        .prepare('SELECT COUNT(*) as count FROM secrets')
+        .get() as { count: number };
+      const fileProvider =
+        this.keyProvider instanceof FileKeyProvider ? this.keyProvider : new FileKeyProvider(this.dataDir);
+
+      // Pre-versioning databases (and the default file provider) keep using
+      // the legacy .secret-key file as version 1
+      const useLegacyKey = count > 0 || this.keyProvider.kind === 'file';
+      let created;
+      if (useLegacyKey) {
+        const legacyKey = await fileProvider.readLegacyKey();
+        created = legacyKey ? { key: legacyKey, params: {} } : await fileProvider.createLegacyKey();
+      } else {
+        created = await this.keyProvider.createKey(1);
+      }
+
+      this.insertKeyRow(1, useLegacyKey ? 'file' : this.keyProvider.kind, created.params, created.key);
+      this.keys.set(1, created.key);
+      current = this.getCurrentKeyRow()!;
+    }
+
+    await this.getKey(current.version);
+    this.currentKeyVersion = current.version;
+
+    if (current.provider !== this.keyProvider.kind) {
+      logger.warn(
+        `[SecretManager] Secrets are encrypted with the '${current.provider}' key provider but ` +
+          `'${this.keyProvider.kind}' is configured. Run 'memesh secrets rotate-key' to switch.`
+      );
     }
   }
 
   /**
-   * Initialize database schema
+   * Get the newest key version record
    */
-  private initialize(): void {
-    const schema = `
-      CREATE TABLE IF NOT EXISTS secrets (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL UNIQUE,
-        secret_type TEXT NOT NULL DEFAULT 'generic',
-        encrypted_value TEXT NOT NULL,
-        iv TEXT NOT NULL,
-        auth_tag TEXT NOT NULL,
-        created_at TEXT NOT NULL,
-        updated_at TEXT NOT NULL,
-        expires_at TEXT,
-        metadata TEXT
-      );
+  private getCurrentKeyRow(): SecretKeyRow | undefined {
+    return this.db
+      .prepare('SELECT * FROM secret_keys ORDER BY version DESC LIMIT 1')
+      .get() as SecretKeyRow | undefined;
+  }
+
+  /**
+   * Record a new key version
+   */
+  private insertKeyRow(
+    version: number,
+    provider: SecretKeyProviderKind,
+    params: Record<string, string | number>,
+    key: Buffer
+  ): void {
+    this.db
+      .prepare(`
+        INSERT INTO secret_keys (version, provider, params, fingerprint, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `)
+      .run(version, provider, JSON.stringify(params), secretKeyFingerprint(key), new Date().toISOString());
+  }
 
-      CREATE INDEX IF NOT EXISTS idx_secrets_name ON secrets(name);
-      CREATE INDEX IF NOT EXISTS idx_secrets_type ON secrets(secret_type);
-      CREATE INDEX IF NOT EXISTS idx_secrets_expires ON secrets(expires_at);
-    `;
+  /**
+   * Get the key for a key version, loading it from its provider on first use
+   *
+   * Versions are looked up in the database on every cache miss, so rows
+   * re-encrypted by another process (e.g. `memesh secrets rotate-key`) stay
+   * readable.
+   */
+  private async getKey(version: number): Promise<Buffer> {
+    const cached = this.keys.get(version);
+    if (cached) {
+      return cached;
+    }
+
+    const row = this.db
+      .prepare('SELECT * FROM secret_keys WHERE version = ?')
+      .get(version) as SecretKeyRow | undefined;
+    if (!row) {
+      throw new Error(`Unknown secret key version: ${version}`);
+    }
 
-    this.db.exec(schema);
+    const record: SecretKeyRecord = {
+      version: row.version,
+      provider: row.provider,
+      params: JSON.parse(row.params),
+      fingerprint: row.fingerprint,
+    };
+    const provider =
+      row.provider === this.keyProvider.kind
+        ? this.keyProvider
+        : resolveSecretKeyProvider(this.dataDir, row.provider);
+
+    const key = await provider.loadKey(record);
+    this.keys.set(version, key);
+    return key;
   }
 
   /**
@@ -171,34 +414,7 @@ export class SecretManager {
    * @returns Array of detected secrets with positions and types
    */
   detectSecrets(content: string): DetectedSecret[] {
-    const detectedSecrets: DetectedSecret[] = [];
-
-    for (const pattern of this.secretPatterns) {
-      // Reset lastIndex for global regex
-      pattern.pattern.lastIndex = 0;
-
-      let match: RegExpExecArray | null;
-      while ((match = pattern.pattern.exec(content)) !== null) {
-        detectedSecrets.push({
-          type: pattern.type,
-          value: match[0],
-          startIndex: match.index,
-          endIndex: match.index + match[0].length,
-          confidence: pattern.confidence,
-        });
-      }
-    }
-
-    // Remove duplicates based on position
-    const uniqueSecrets = detectedSecrets.filter(
-      (secret, index, self) =>
-        index ===
-        self.findIndex(
-          (s) => s.startIndex === secret.startIndex && s.endIndex === secret.endIndex
-        )
-    );
-
-    return uniqueSecrets.sort((a, b) => a.startIndex - b.startIndex);
+    return detectSecrets(content, this.secretPatterns);
   }
 
   /**
@@ -208,20 +424,7 @@ export class SecretManager {
    * @returns Masked value (e.g., "sk-a****r678")
    */
   maskValue(value: string): string {
-    if (!value || value.length === 0) {
-      return '';
-    }
-
-    if (value.length <= 4) {
-      return '*'.repeat(value.length);
-    }
-
-    if (value.length <= 8) {
-      return value[0] + '*'.repeat(value.length - 2) + value[value.length - 1];
-    }
-
-    // For longer values, show first 4 and last 4 characters
-    return value.slice(0, 4) + '****' + value.slice(-4);
+    return maskSecretValue(value);
   }
 
   /**
@@ -246,7 +449,7 @@ export class SecretManager {
     const id = uuidv4();
 
     // Encrypt the value
-    const { encryptedValue, iv, authTag } = this.encrypt(value);
+    const { encryptedValue, iv, authTag, keyVersion } = this.encrypt(value);
 
     // Calculate expiration
     const now = new Date();
@@ -255,8 +458,8 @@ export class SecretManager {
 
     // Store in database
     const stmt = this.db.prepare(`
-      INSERT INTO secrets (id, name, secret_type, encrypted_value, iv, auth_tag, created_at, updated_at, expires_at, metadata)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO secrets (id, name, secret_type, encrypted_value, iv, auth_tag, created_at, updated_at, expires_at, metadata, key_version)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     stmt.run(
@@ -269,7 +472,8 @@ export class SecretManager {
       now.toISOString(),
       now.toISOString(),
       expiresAt.toISOString(),
-      options.metadata ? JSON.stringify(options.metadata) : null
+      options.metadata ? JSON.stringify(options.metadata) : null,
+      keyVersion
     );
 
     logger.info(`[SecretManager] Stored secret: ${options.name} (id: ${id})`);
@@ -328,7 +532,8 @@ export class SecretManager {
     }
 
     // Decrypt and return
-    return this.decrypt(row.encrypted_value, row.iv, row.auth_tag);
+    const key = await this.getKey(row.key_version);
+    return this.decrypt(key, row.encrypted_value, row.iv, row.auth_tag);
   }
 
   /**
@@ -389,6 +594,7 @@ export class SecretManager {
       encryptedValue: row.encrypted_value,
       iv: row.iv,
       authTag: row.auth_tag,
+      keyVersion: row.key_version,
       createdAt: new Date(row.created_at),
       updatedAt: new Date(row.updated_at),
       expiresAt: row.expires_at ? new Date(row.expires_at) : undefined,
@@ -413,16 +619,16 @@ export class SecretManager {
     }
 
     // Encrypt new value
-    const { encryptedValue, iv, authTag } = this.encrypt(newValue);
+    const { encryptedValue, iv, authTag, keyVersion } = this.encrypt(newValue);
 
     // Update in database
     const stmt = this.db.prepare(`
       UPDATE secrets
-      SET encrypted_value = ?, iv = ?, auth_tag = ?, updated_at = ?
+      SET encrypted_value = ?, iv = ?, auth_tag = ?, key_version = ?, updated_at = ?
       WHERE id = ?
     `);
 
-    stmt.run(encryptedValue, iv, authTag, new Date().toISOString(), id);
+    stmt.run(encryptedValue, iv, authTag, keyVersion, new Date().toISOString(), id);
 
     logger.info(`[SecretManager] Updated secret: ${id}`);
 
@@ -604,19 +810,135 @@ export class SecretManager {
     return `${seconds} seconds`;
   }
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Key Management
+  // ═══════════════════════════════════════════════════════════════════════════
+
   /**
-   * Encrypt a value using AES-256-GCM
+   * Re-encrypt every secret under a new key version
+   *
+   * All rows are decrypted before anything is written, then re-encrypted and
+   * updated in a single transaction: either every row moves to the new
+   * version or none does. Previous versions are kept (marked retired) so
+   * backups taken before the rotation can still be decrypted.
+   *
+   * @param provider - Provider for the new key (default: the configured provider)
+   * @returns Versions involved and number of re-encrypted secrets
+   * @throws Error if the new key is identical to the current key
+   */
+  async rotateKey(provider: SecretKeyProvider = this.keyProvider): Promise<SecretKeyRotationResult> {
+    const rows = this.db
+      .prepare('SELECT id, encrypted_value, iv, auth_tag, key_version FROM secrets')
+      .all() as Array<{
+        id: string;
+        encrypted_value: string;
+        iv: string;
+        auth_tag: string;
+        key_version: number;
+      }>;
+
+    // Decrypt up front so a missing old key aborts before any write
+    const plaintexts = new Map<string, string>();
+    for (const row of rows) {
+      const key = await this.getKey(row.key_version);
+      plaintexts.set(row.id, this.decrypt(key, row.encrypted_value, row.iv, row.auth_tag));
+    }
+
+    const previous = this.getCurrentKeyRow()!;
+    const newVersion = previous.version + 1;
+    const created = await provider.createKey(newVersion);
+    if (secretKeyFingerprint(created.key) === previous.fingerprint) {
+      throw new Error(
+        'New secret key is identical to the current key. Provide a new key or passphrase and keep the old one in the *_PREVIOUS variable.'
+      );
+    }
+
+    const now = new Date().toISOString();
+    const updateRow = this.db.prepare(`
+      UPDATE secrets
+      SET encrypted_value = ?, iv = ?, auth_tag = ?, key_version = ?
+      WHERE id = ?
+    `);
+
+    this.db.transaction(() => {
+      this.insertKeyRow(newVersion, provider.kind, created.params, created.key);
+      this.db
+        .prepare('UPDATE secret_keys SET retired_at = ? WHERE version < ? AND retired_at IS NULL')
+        .run(now, newVersion);
+
+      for (const [id, plaintext] of plaintexts) {
+        const { encryptedValue, iv, authTag } = this.encryptWithKey(created.key, plaintext);
+        updateRow.run(encryptedValue, iv, authTag, newVersion, id);
+      }
+    })();
+
+    this.keys.set(newVersion, created.key);
+    this.currentKeyVersion = newVersion;
+    this.keyProvider = provider;
+
+    logger.info(
+      `[SecretManager] Rotated secret key from version ${previous.version} to ${newVersion} ` +
+        `(${provider.kind}), re-encrypted ${plaintexts.size} secrets`
+    );
+
+    return {
+      previousVersion: previous.version,
+      newVersion,
+      provider: provider.kind,
+      reEncrypted: plaintexts.size,
+    };
+  }
+
+  /**
+   * List key versions with the number of secrets encrypted under each
+   *
+   * @returns Key versions, newest first
+   */
+  listKeyVersions(): SecretKeyVersionInfo[] {
+    const rows = this.db
+      .prepare(`
+        SELECT k.version, k.provider, k.created_at, k.retired_at,
+               (SELECT COUNT(*) FROM secrets s WHERE s.key_version = k.version) AS secret_count
+        FROM secret_keys k
+        ORDER BY k.version DESC
+      `)
+      .all() as Array<SecretKeyRow & { secret_count: number }>;
+
+    return rows.map((row) => ({
+      version: row.version,
+      provider: row.provider,
+      createdAt: new Date(row.created_at),
+      retiredAt: row.retired_at ? new Date(row.retired_at) : undefined,
+      secretCount: row.secret_count,
+    }));
+  }
+
+  /**
+   * Encrypt a value with the current key version
    */
   private encrypt(value: string): {
     encryptedValue: string;
     iv: string;
     authTag: string;
+    keyVersion: number;
+  } {
+    const key = this.keys.get(this.currentKeyVersion)!;
+    return { ...this.encryptWithKey(key, value), keyVersion: this.currentKeyVersion };
+  }
+
+  /**
+   * Encrypt a value using AES-256-GCM
+   */
+  private encryptWithKey(key: Buffer, value: string): {
+    encryptedValue: string;
+    iv: string;
+    authTag: string;
   } {
     // Generate random IV
     const iv = randomBytes(IV_LENGTH);
 
     // Create cipher
-    const cipher = createCipheriv(ENCRYPTION_ALGORITHM, this.encryptionKey, iv);
+    const cipher = createCipheriv(ENCRYPTION_ALGORITHM, key, iv);
 
     // Encrypt
     let encrypted = cipher.update(value, 'utf8', 'hex');
@@ -636,6 +958,7 @@ export class SecretManager {
    * Decrypt a value using AES-256-GCM
    */
   private decrypt(
+    key: Buffer,
     encryptedValue: string,
     iv: string,
     authTag: string
@@ -647,7 +970,7 @@ export class SecretManager {
     // Create decipher
     const decipher = createDecipheriv(
       ENCRYPTION_ALGORITHM,
-      this.encryptionKey,
+      key,
       ivBuffer
     );
     decipher.setAuthTag(authTagBuffer);
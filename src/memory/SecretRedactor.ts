@@ -0,0 +1,302 @@
+/**
+ * SecretRedactor - Keeps secrets out of memory
+ *
+ * Runs on every memory write path (UnifiedMemoryStore, create-entities,
+ * add-observations) and scans the text with SecretManager.detectSecrets()
+ * before it reaches the knowledge graph and its full-text index.
+ *
+ * Modes (MEMESH_SECRET_REDACTION):
+ * - mask:   replace the secret with a masked preview (default)
+ * - vault:  move the secret into SecretManager and leave `{{secret:<name>}}` behind
+ * - reject: refuse the write with a ValidationError
+ * - off:    store text unchanged
+ */
+
+import { createHash } from 'crypto';
+import { detectSecrets, maskSecretValue, type SecretManager } from './SecretManager.js';
+import type { DetectedSecret, SecretType } from './types/secret-types.js';
+import { ValidationError } from '../errors/index.js';
+import { SimpleConfig, type SecretRedactionMode } from '../config/simple-config.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Minimum detection confidence for redaction
+ *
+ * Excludes the generic "password: ..." pattern (0.7), which also matches
+ * ordinary prose like "token: refreshed".
+ */
+export const DEFAULT_REDACTION_MIN_CONFIDENCE = 0.85;
+
+/**
+ * Expiration for secrets moved into the vault (1 year)
+ */
+const DEFAULT_VAULT_EXPIRATION_SECONDS = 365 * 24 * 60 * 60;
+
+/**
+ * Configuration for SecretRedactor
+ */
+export interface SecretRedactorConfig {
+  /** Redaction mode (default: SimpleConfig.SECRET_REDACTION) */
+  mode?: SecretRedactionMode;
+
+  /** Minimum detection confidence (default: DEFAULT_REDACTION_MIN_CONFIDENCE) */
+  minConfidence?: number;
+
+  /** Expiration of vaulted secrets in seconds (default: 1 year) */
+  vaultExpiresInSeconds?: number;
+}
+
+/**
+ * A secret found (and handled) during redaction
+ */
+export interface RedactionFinding {
+  /** Type of secret detected */
+  type: SecretType;
+  /** Index of the text in the redacted batch */
+  textIndex: number;
+  /** Text that replaced the secret */
+  replacement: string;
+  /** Name of the vaulted secret (vault mode) */
+  secretName?: string;
+}
+
+/**
+ * Result of redacting a batch of texts
+ */
+export interface RedactionResult {
+  /** Texts with secrets replaced (same order as the input) */
+  texts: string[];
+  /** Secrets that were replaced */
+  findings: RedactionFinding[];
+}
+
+/**
+ * Build the placeholder left behind for a vaulted secret
+ */
+export function secretReference(name: string): string {
+  return `{{secret:${name}}}`;
+}
+
+/**
+ * Redacts secrets from text before it is written to memory
+ *
+ * @example
+ * ```typescript
+ * const redactor = new SecretRedactor(secretManager, { mode: 'vault' });
+ * const { texts } = await redactor.redact(['token is sk-abc...'], 'create-entities');
+ * // texts[0] === 'token is {{secret:memory-api_key-1a2b3c4d5e6f}}'
+ * ```
+ */
+export class SecretRedactor {
+  private readonly secretManager: SecretManager | null;
+  private readonly config: Required<SecretRedactorConfig>;
+
+  /**
+   * @param secretManager - Vault for vault mode and custom patterns; null
+   *   detects with the default patterns only (not allowed in vault mode)
+   * @throws {ValidationError} If vault mode is requested without a SecretManager
+   */
+  constructor(secretManager: SecretManager | null, config: SecretRedactorConfig = {}) {
+    this.secretManager = secretManager;
+    this.config = {
+      mode: config.mode ?? SimpleConfig.SECRET_REDACTION,
+      minConfidence: config.minConfidence ?? DEFAULT_REDACTION_MIN_CONFIDENCE,
+      vaultExpiresInSeconds: config.vaultExpiresInSeconds ?? DEFAULT_VAULT_EXPIRATION_SECONDS,
+    };
+
+    if (this.config.mode === 'vault' && !secretManager) {
+      throw new ValidationError('Vault redaction requires a SecretManager', {
+        component: 'SecretRedactor',
+      });
+    }
+  }
+
+  /**
+   * Redactor that only finds secrets (mode 'off')
+   *
+   * Opens no vault, so audits like `memesh scan-secrets` leave no secrets
+   * database or key file behind.
+   */
+  static detectOnly(config: Pick<SecretRedactorConfig, 'minConfidence'> = {}): SecretRedactor {
+    return new SecretRedactor(null, { ...config, mode: 'off' });
+  }
+
+  /**
+   * Active redaction mode
+   */
+  get mode(): SecretRedactionMode {
+    return this.config.mode;
+  }
+
+  /**
+   * Find secrets in text
+   *
+   * Applies the confidence threshold and drops detections that overlap an
+   * earlier, longer one (e.g. a JWT inside a Bearer header).
+   *
+   * @param text - Text to scan
+   * @returns Non-overlapping secrets, in order of appearance
+   */
+  scan(text: string): DetectedSecret[] {
+    const candidates = (this.secretManager?.detectSecrets(text) ?? detectSecrets(text))
+      .filter((secret) => secret.confidence >= this.config.minConfidence)
+      .sort((a, b) => a.startIndex - b.startIndex || b.endIndex - a.endIndex);
+
+    const secrets: DetectedSecret[] = [];
+    let lastEnd = -1;
+    for (const secret of candidates) {
+      if (secret.startIndex >= lastEnd) {
+        secrets.push(secret);
+        lastEnd = secret.endIndex;
+      }
+    }
+    return secrets;
+  }
+
+  /**
+   * Redact secrets from a batch of texts
+   *
+   * In reject mode nothing is vaulted or changed: the whole batch is refused
+   * if any text contains a secret.
+   *
+   * @param texts - Texts about to be written
+   * @param source - Write path, for logs and error context (e.g. 'create-entities')
+   * @returns Redacted texts and what was replaced
+   * @throws {ValidationError} In reject mode, if a secret is found
+   */
+  async redact(texts: string[], source: string): Promise<RedactionResult> {
+    if (this.config.mode === 'off') {
+      return { texts, findings: [] };
+    }
+
+    const detected = texts.map((text) => this.scan(text));
+    const secretCount = detected.reduce((sum, secrets) => sum + secrets.length, 0);
+    if (secretCount === 0) {
+      return { texts, findings: [] };
+    }
+
+    if (this.config.mode === 'reject') {
+      const types = [...new Set(detected.flat().map((secret) => secret.type))];
+      logger.warn(`[SecretRedactor] Rejected ${source} write containing ${secretCount} secret(s): ${types.join(', ')}`);
+      throw new ValidationError(
+        `Refusing to store ${types.join(', ')} in memory. Store it with buddy-secret-store instead.`,
+        { component: 'SecretRedactor', source, secretTypes: types, secretCount }
+      );
+    }
+
+    const findings: RedactionFinding[] = [];
+    const redacted: string[] = [];
+
+    for (const [textIndex, text] of texts.entries()) {
+      let result = '';
+      let cursor = 0;
+      for (const secret of detected[textIndex]) {
+        const { replacement, secretName } = await this.replace(secret, source);
+        result += text.slice(cursor, secret.startIndex) + replacement;
+        cursor = secret.endIndex;
+        findings.push({ type: secret.type, textIndex, replacement, secretName });
+      }
+      redacted.push(result + text.slice(cursor));
+    }
+
+    logger.info(`[SecretRedactor] Redacted ${findings.length} secret(s) from ${source} (${this.config.mode})`);
+    return { texts: redacted, findings };
+  }
+
+  /**
+   * Redact a single text
+   *
+   * @see redact
+   */
+  async redactText(text: string, source: string): Promise<{ text: string; findings: RedactionFinding[] }> {
+    const { texts, findings } = await this.redact([text], source);
+    return { text: texts[0], findings };
+  }
+
+  /**
+   * Redact every string inside a JSON-like value (objects, arrays, strings)
+   *
+   * @see redact
+   */
+  async redactValues<T>(value: T, source: string): Promise<{ value: T; findings: RedactionFinding[] }> {
+    const leaves: string[] = [];
+    collectStrings(value, leaves);
+
+    const { texts, findings } = await this.redact(leaves, source);
+    if (findings.length === 0) {
+      return { value, findings };
+    }
+
+    let next = 0;
+    return { value: replaceStrings(value, () => texts[next++]) as T, findings };
+  }
+
+  /**
+   * Produce the replacement for one secret
+   */
+  private async replace(
+    secret: DetectedSecret,
+    source: string
+  ): Promise<{ replacement: string; secretName?: string }> {
+    if (this.config.mode !== 'vault' || !this.secretManager) {
+      return { replacement: maskSecretValue(secret.value) };
+    }
+
+    // Same value → same name, so repeated writes reuse one vault entry
+    const digest = createHash('sha256').update(secret.value).digest('hex').slice(0, 12);
+    const secretName = `memory-${secret.type}-${digest}`;
+
+    if ((await this.secretManager.getByName(secretName)) === null) {
+      try {
+        await this.secretManager.store(secret.value, {
+          name: secretName,
+          secretType: secret.type,
+          expiresInSeconds: this.config.vaultExpiresInSeconds,
+          metadata: { source: 'memory-redaction', writePath: source },
+        });
+      } catch (error) {
+        // Stored concurrently by another write - the reference is still valid
+        if ((await this.secretManager.getByName(secretName)) === null) {
+          throw error;
+        }
+      }
+    }
+
+    return { replacement: secretReference(secretName), secretName };
+  }
+}
+
+/**
+ * Collect string leaves in depth-first order
+ */
+function collectStrings(value: unknown, out: string[]): void {
+  if (typeof value === 'string') {
+    out.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectStrings(item, out));
+  } else if (isPlainObject(value)) {
+    Object.values(value).forEach((item) => collectStrings(item, out));
+  }
+}
+
+/**
+ * Rebuild a value with its string leaves replaced (same order as collectStrings)
+ */
+function replaceStrings(value: unknown, nextString: () => string): unknown {
+  if (typeof value === 'string') {
+    return nextString();
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => replaceStrings(item, nextString));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, replaceStrings(item, nextString)])
+    );
+  }
+  return value;
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && Object.getPrototypeOf(value) === Object.prototype;
+}
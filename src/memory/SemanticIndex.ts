@@ -0,0 +1,185 @@
+/**
+ * SemanticIndex - Embedding index over knowledge graph entities
+ *
+ * Keeps one vector per entity in the `entity_embeddings` table (next to
+ * `entities` in the knowledge graph database) and answers nearest-neighbour
+ * queries with cosine similarity.
+ *
+ * The index is maintained lazily: entities written without a vector (or
+ * rewritten since, which drops their vector) are embedded on the next search.
+ *
+ * @module SemanticIndex
+ */
+
+import type { KnowledgeGraph } from '../knowledge-graph/index.js';
+import type { Entity } from '../knowledge-graph/types.js';
+import type { Embedder, SemanticMatch } from './types/embedding-types.js';
+import { DEFAULT_MIN_SIMILARITY } from './types/embedding-types.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Prefix of unified memory entity names (opaque IDs, not worth embedding)
+ */
+const UNIFIED_MEMORY_PREFIX = 'unified-memory-';
+
+/**
+ * Structured observation prefixes that carry searchable text
+ */
+const TEXT_OBSERVATION_PREFIXES = ['content: ', 'context: '];
+
+/**
+ * Structured observation prefixes that carry bookkeeping data only
+ */
+const SKIPPED_OBSERVATION_PREFIXES = ['importance: ', 'timestamp: ', 'metadata: '];
+
+/**
+ * Number of entities embedded per backfill batch
+ */
+const BACKFILL_BATCH_SIZE = 200;
+
+/**
+ * Options for SemanticIndex
+ */
+export interface SemanticIndexOptions {
+  /** Minimum cosine similarity for search hits (default: DEFAULT_MIN_SIMILARITY) */
+  minSimilarity?: number;
+}
+
+/**
+ * Options for a semantic search
+ */
+export interface SemanticSearchOptions {
+  /** Maximum number of hits (default: 50) */
+  limit?: number;
+  /** Only return entities whose name starts with this prefix */
+  namePrefix?: string;
+  /** Override the index-wide minimum similarity */
+  minSimilarity?: number;
+}
+
+/**
+ * SemanticIndex - Vector recall for knowledge graph entities
+ *
+ * @example
+ * ```typescript
+ * const index = new SemanticIndex(knowledgeGraph, new HashingEmbedder());
+ * const hits = await index.search('validating inputs from users', { limit: 10 });
+ * // [{ name: 'unified-memory-...', similarity: 0.66 }, ...]
+ * ```
+ */
+export class SemanticIndex {
+  private readonly minSimilarity: number;
+
+  constructor(
+    private knowledgeGraph: KnowledgeGraph,
+    private embedder: Embedder,
+    options: SemanticIndexOptions = {}
+  ) {
+    this.minSimilarity = options.minSimilarity ?? DEFAULT_MIN_SIMILARITY;
+  }
+
+  /**
+   * Identifier of the embedding model backing this index
+   */
+  get model(): string {
+    return this.embedder.model;
+  }
+
+  /**
+   * Build the text that represents an entity in the vector space
+   *
+   * Uses the values of structured `content:` / `context:` observations,
+   * skips bookkeeping observations (importance, timestamp, metadata) and keeps
+   * free-form observations as-is. The entity name is included unless it is an
+   * opaque unified memory ID.
+   *
+   * @param entity - Entity to describe
+   * @returns Text to embed (may be empty)
+   */
+  static entityText(entity: Entity): string {
+    const parts: string[] = [];
+
+    if (!entity.name.startsWith(UNIFIED_MEMORY_PREFIX)) {
+      parts.push(entity.name);
+    }
+
+    for (const obs of entity.observations) {
+      const textPrefix = TEXT_OBSERVATION_PREFIXES.find(prefix => obs.startsWith(prefix));
+      if (textPrefix) {
+        parts.push(obs.substring(textPrefix.length));
+      } else if (!SKIPPED_OBSERVATION_PREFIXES.some(prefix => obs.startsWith(prefix))) {
+        parts.push(obs);
+      }
+    }
+
+    return parts.join('\n');
+  }
+
+  /**
+   * Embed and store the vector of one entity
+   *
+   * @param name - Entity name
+   * @param text - Text to embed
+   */
+  async indexEntity(name: string, text: string): Promise<void> {
+    const vector = await this.embedder.embed(text);
+    this.knowledgeGraph.setEmbedding(name, this.embedder.model, vector);
+  }
+
+  /**
+   * Embed every entity that has no vector for the current model
+   *
+   * @returns Number of entities embedded
+   */
+  async backfill(): Promise<number> {
+    let indexed = 0;
+
+    for (;;) {
+      const batch = this.knowledgeGraph.getEntitiesWithoutEmbedding(
+        this.embedder.model,
+        BACKFILL_BATCH_SIZE
+      );
+
+      for (const entity of batch) {
+        await this.indexEntity(entity.name, SemanticIndex.entityText(entity));
+      }
+      indexed += batch.length;
+
+      if (batch.length < BACKFILL_BATCH_SIZE) {
+        break;
+      }
+    }
+
+    if (indexed > 0) {
+      logger.info(`[SemanticIndex] Embedded ${indexed} entities with ${this.embedder.model}`);
+    }
+
+    return indexed;
+  }
+
+  /**
+   * Find the entities most similar to a query
+   *
+   * Backfills missing vectors first so that entities written through other
+   * paths (create-entities, add-observations, auto-trackers) are searchable.
+   *
+   * @param query - Free-text query
+   * @param options - Search options
+   * @returns Hits sorted by similarity (highest first)
+   */
+  async search(query: string, options: SemanticSearchOptions = {}): Promise<SemanticMatch[]> {
+    if (!query || query.trim() === '') {
+      return [];
+    }
+
+    await this.backfill();
+
+    const queryVector = await this.embedder.embed(query);
+    return this.knowledgeGraph.searchByEmbedding(queryVector, {
+      model: this.embedder.model,
+      limit: options.limit ?? 50,
+      minSimilarity: options.minSimilarity ?? this.minSimilarity,
+      namePrefix: options.namePrefix,
+    });
+  }
+}
@@ -8,10 +8,30 @@
  * 4. Importance weighting
  * 5. Recency boost
  *
+ * When semantic recall is enabled, hybridSearch() blends these keyword scores
+ * with vector similarity and FTS5 relevance into a single ranking.
+ *
+ * Importance is the stored value unless an importance function is given
+ * (e.g. MemoryDecay's access-aware effective importance).
+ *
  * @module SmartMemoryQuery
  */
 
 import type { UnifiedMemory, SearchOptions } from './types/unified-memory.js';
+import type { HybridSearchWeights } from './types/embedding-types.js';
+import { DEFAULT_HYBRID_WEIGHTS } from './types/embedding-types.js';
+
+/**
+ * Per-memory signals from the indexes, keyed by memory ID
+ */
+export interface HybridSignals {
+  /** Cosine similarity from the embedding index (only hits above threshold) */
+  semantic?: Map<string, number>;
+  /** Full-text relevance from FTS5 (higher = more relevant, any scale) */
+  fullText?: Map<string, number>;
+  /** Signal weights (default: DEFAULT_HYBRID_WEIGHTS) */
+  weights?: HybridSearchWeights;
+}
 
 /**
  * SmartMemoryQuery - Context-aware memory search with relevance ranking
@@ -30,6 +50,18 @@ import type { UnifiedMemory, SearchOptions } from './types/unified-memory.js';
  * ```
  */
 export class SmartMemoryQuery {
+  /**
+   * @param importanceOf - Importance to rank a memory by (default: memory.importance)
+   */
+  constructor(private importanceOf?: (memory: UnifiedMemory) => number) {}
+
+  /**
+   * Importance of a memory for ranking
+   */
+  private importanceFor(memory: UnifiedMemory): number {
+    return this.importanceOf ? this.importanceOf(memory) : memory.importance;
+  }
+
   /**
    * Search memories with context-aware ranking
    *
@@ -75,6 +107,82 @@ export class SmartMemoryQuery {
       .map(item => item.memory);
   }
 
+  /**
+   * Search memories with a hybrid keyword + semantic + full-text ranking
+   *
+   * Every signal is normalized to [0, 1] (keyword and full-text scores are
+   * divided by the best score in the candidate set) and combined as a weighted
+   * sum together with importance. A memory is returned only if at least one
+   * relevance signal matched - importance alone never makes a result.
+   *
+   * @param query Search query string
+   * @param memories Candidate memories (from keyword, full-text and vector recall)
+   * @param signals Semantic and full-text scores keyed by memory ID
+   * @param options Search options with optional context (techStack, projectPath)
+   * @returns Ranked memories by hybrid score (highest first)
+   *
+   * @example
+   * ```typescript
+   * const results = smartQuery.hybridSearch('validating inputs', memories, {
+   *   semantic: new Map([['unified-memory-1', 0.66]]),
+   * });
+   * ```
+   */
+  public hybridSearch(
+    query: string,
+    memories: UnifiedMemory[],
+    signals: HybridSignals,
+    options?: SearchOptions & { projectPath?: string; techStack?: string[] }
+  ): UnifiedMemory[] {
+    if (!query || query.trim() === '') {
+      return memories;
+    }
+
+    const weights = signals.weights ?? DEFAULT_HYBRID_WEIGHTS;
+    const queryLower = query.toLowerCase();
+    const techStack = options?.techStack || [];
+
+    const keywordScores = memories.map(memory =>
+      this.calculateRelevanceScore(memory, queryLower, techStack)
+    );
+    const maxKeyword = Math.max(0, ...keywordScores);
+
+    let maxFullText = 0;
+    for (const value of signals.fullText?.values() ?? []) {
+      maxFullText = Math.max(maxFullText, value);
+    }
+
+    const scored: Array<{ memory: UnifiedMemory; score: number }> = [];
+    memories.forEach((memory, index) => {
+      const id = memory.id ?? '';
+      const keyword = maxKeyword > 0 ? keywordScores[index] / maxKeyword : 0;
+      const semantic = Math.max(0, signals.semantic?.get(id) ?? 0);
+      const fullText = maxFullText > 0 ? (signals.fullText?.get(id) ?? 0) / maxFullText : 0;
+
+      if (keyword === 0 && semantic === 0 && fullText === 0) {
+        return;
+      }
+
+      const rawImportance = this.importanceFor(memory);
+      const importance = Number.isFinite(rawImportance)
+        ? Math.max(0, Math.min(1, rawImportance))
+        : 0.5;
+
+      scored.push({
+        memory,
+        score:
+          weights.keyword * keyword +
+          weights.semantic * semantic +
+          weights.fullText * fullText +
+          weights.importance * importance,
+      });
+    });
+
+    return scored
+      .sort((a, b) => b.score - a.score)
+      .map(item => item.memory);
+  }
+
   /**
    * Calculate relevance score for a memory
    *
@@ -99,7 +207,7 @@ export class SmartMemoryQuery {
     techStack: string[]
   ): number {
     // Validate importance at the start to prevent invalid scoring
-    let importance = memory.importance;
+    let importance = this.importanceFor(memory);
     if (importance === undefined || importance === null) {
       importance = 0.5; // Default to medium importance
     }
@@ -25,6 +25,10 @@ import { logger } from '../utils/logger.js';
 import { ValidationError, OperationError } from '../errors/index.js';
 import { SmartMemoryQuery } from './SmartMemoryQuery.js';
 import { AutoTagger } from './AutoTagger.js';
+import { SemanticIndex } from './SemanticIndex.js';
+import type { Embedder, HybridSearchWeights } from './types/embedding-types.js';
+import type { SecretRedactor } from './SecretRedactor.js';
+import { MemoryDecay, type MemoryDecayConfig } from './MemoryDecay.js';
 
 /**
  * Extract error message safely from unknown error type
@@ -80,13 +84,53 @@ const ENTITY_TYPE_MAPPING: Record<string, MemoryType> = {
 /**
  * Prefix for unified memory entities to avoid collisions
  */
-const MEMORY_ID_PREFIX = 'unified-memory-';
+export const MEMORY_ID_PREFIX = 'unified-memory-';
 
 /**
  * Maximum metadata size in bytes (1MB)
  */
 const MAX_METADATA_SIZE = 1024 * 1024;
 
+/**
+ * Field name of a structured memory observation ("content: ..." → "content")
+ */
+function observationField(observation: string): string {
+  const separator = observation.indexOf(': ');
+  return separator === -1 ? observation : observation.slice(0, separator);
+}
+
+/**
+ * Options for UnifiedMemoryStore
+ */
+export interface UnifiedMemoryStoreOptions {
+  /**
+   * Embedder for semantic recall. When set, memories are embedded on write and
+   * search blends vector similarity with keyword, FTS5 and importance scores.
+   * When omitted, search uses keyword ranking only.
+   */
+  embedder?: Embedder;
+
+  /** Weights for the hybrid ranking (default: DEFAULT_HYBRID_WEIGHTS) */
+  hybridWeights?: HybridSearchWeights;
+
+  /** Minimum cosine similarity for semantic-only matches (default: DEFAULT_MIN_SIMILARITY) */
+  minSimilarity?: number;
+
+  /**
+   * Redacts secrets from content, context and metadata before they are
+   * written. When omitted, memories are stored as given.
+   */
+  redactor?: SecretRedactor;
+
+  /**
+   * Access-aware ranking. When set, search ranks by importance that decays
+   * while a memory goes unrecalled and is reinforced by recalls and feedback
+   * (see MemoryDecay). When omitted, search ranks by stored importance.
+   * Recalls (see recall()) are recorded either way.
+   */
+  decay?: Partial<MemoryDecayConfig>;
+}
+
 /**
  * UnifiedMemoryStore - Single storage layer for all memory types
  *
@@ -95,14 +139,36 @@ const MAX_METADATA_SIZE = 1024 * 1024;
  * consistent interface.
  */
 export class UnifiedMemoryStore {
-  constructor(private knowledgeGraph: KnowledgeGraph) {
-    // AutoTagger generates tags, SmartMemoryQuery provides ranking - Claude handles semantic understanding via MCP tool descriptions
+  private semanticIndex: SemanticIndex | null;
+  private hybridWeights?: HybridSearchWeights;
+  private redactor?: SecretRedactor;
+  private decay: MemoryDecay | null;
+
+  constructor(
+    private knowledgeGraph: KnowledgeGraph,
+    options: UnifiedMemoryStoreOptions = {}
+  ) {
+    // AutoTagger generates tags, SmartMemoryQuery provides ranking, SemanticIndex (optional) adds vector recall
+    this.semanticIndex = options.embedder
+      ? new SemanticIndex(knowledgeGraph, options.embedder, { minSimilarity: options.minSimilarity })
+      : null;
+    this.hybridWeights = options.hybridWeights;
+    this.redactor = options.redactor;
+    this.decay = options.decay ? new MemoryDecay(options.decay) : null;
+  }
+
+  /**
+   * Whether semantic (vector) recall is enabled for this store
+   */
+  get semanticSearchEnabled(): boolean {
+    return this.semanticIndex !== null;
   }
 
   /**
    * Create a new UnifiedMemoryStore instance (async factory method)
    *
    * @param dbPath - Optional database path for the underlying KnowledgeGraph
+   * @param options - Optional store options (e.g. embedder for semantic recall)
    * @returns Promise<UnifiedMemoryStore> Initialized memory store instance
    * @throws {OperationError} If initialization fails
    *
@@ -113,15 +179,20 @@ export class UnifiedMemoryStore {
    *
    * // Create with custom path
    * const customStore = await UnifiedMemoryStore.create('/tmp/memory.db');
+   *
+   * // Enable semantic recall with the offline hashing embedder
+   * const semanticStore = await UnifiedMemoryStore.create(undefined, {
+   *   embedder: new HashingEmbedder(),
+   * });
    * ```
    */
-  static async create(dbPath?: string): Promise<UnifiedMemoryStore> {
+  static async create(dbPath?: string, options?: UnifiedMemoryStoreOptions): Promise<UnifiedMemoryStore> {
     try {
       // Initialize KnowledgeGraph with provided path or use default
       const knowledgeGraph = await KnowledgeGraph.create(dbPath);
 
       // Create and return UnifiedMemoryStore instance
-      const instance = new UnifiedMemoryStore(knowledgeGraph);
+      const instance = new UnifiedMemoryStore(knowledgeGraph, options);
 
       logger.info(`[UnifiedMemoryStore] Initialized with database at: ${dbPath || 'default'}`);
       return instance;
@@ -146,7 +217,8 @@ export class UnifiedMemoryStore {
    * @param memory - The memory to store
    * @param context - Optional context for auto-tagging (projectPath, techStack)
    * @returns The unique ID of the stored memory
-   * @throws {ValidationError} If memory type is invalid or content is missing
+   * @throws {ValidationError} If memory type is invalid, content is missing,
+   *   or content contains a secret and the redactor rejects secrets
    * @throws {OperationError} If entity creation or relation creation fails
    */
   async store(
@@ -154,45 +226,8 @@ export class UnifiedMemoryStore {
     context?: { projectPath?: string; techStack?: string[] }
   ): Promise<string> {
     try {
-      // Validate input
-      if (!memory.content || memory.content.trim() === '') {
-        throw new ValidationError('Memory content cannot be empty', {
-          component: 'UnifiedMemoryStore',
-          method: 'store',
-          memoryType: memory.type,
-        });
-      }
-
-      if (!memory.type) {
-        throw new ValidationError('Memory type is required', {
-          component: 'UnifiedMemoryStore',
-          method: 'store',
-        });
-      }
-
-      // Validate importance (CRITICAL: prevents NaN, Infinity, negative values)
-      if (memory.importance !== undefined) {
-        if (!Number.isFinite(memory.importance)) {
-          throw new ValidationError(
-            `Importance must be a finite number, got ${memory.importance}`,
-            {
-              component: 'UnifiedMemoryStore',
-              method: 'store',
-              data: { importance: memory.importance, type: typeof memory.importance },
-            }
-          );
-        }
-        if (memory.importance < 0 || memory.importance > 1) {
-          throw new ValidationError(
-            `Importance must be between 0 and 1, got ${memory.importance}`,
-            {
-              component: 'UnifiedMemoryStore',
-              method: 'store',
-              data: { importance: memory.importance },
-            }
-          );
-        }
-      }
+      this.validateMemory(memory, 'store');
+      memory = await this.redactMemory(memory, 'store');
 
       // Validate and generate memory ID
       let id: string;
@@ -221,96 +256,7 @@ export class UnifiedMemoryStore {
         id = `${MEMORY_ID_PREFIX}${uuidv4()}`;
       }
 
-      // CRITICAL-1: Calculate content hash for database-level deduplication
-      // Database UNIQUE constraint on content_hash provides atomic deduplication
-      const contentHash = createHash('sha256').update(memory.content).digest('hex');
-
-      // Ensure timestamp is provided (default to now if missing)
-      const timestamp = memory.timestamp || new Date();
-
-      // Generate tags: combine user-provided + auto-generated
-      const autoTagger = new AutoTagger();
-      const tagsToUse = autoTagger.generateTags(memory.content, memory.tags, context);
-
-      if (context) {
-        logger.info(`[UnifiedMemoryStore] Storing memory with tags: ${tagsToUse.join(', ')}`);
-      }
-
-      // Map memory type to entity type
-      const entityType = MEMORY_TYPE_MAPPING[memory.type];
-      if (!entityType) {
-        throw new ValidationError(`Invalid memory type: ${memory.type}`, {
-          component: 'UnifiedMemoryStore',
-          method: 'store',
-          memoryType: memory.type,
-          validTypes: Object.keys(MEMORY_TYPE_MAPPING),
-        });
-      }
-
-      // ✅ FIX MAJOR-4: Default importance to 0.5 if undefined before building observations
-      // This prevents "importance: undefined" from being stored as a string observation
-      const normalizedImportance = memory.importance ?? 0.5;
-
-      // Build observations array with structured data
-      const observations: string[] = [
-        `content: ${memory.content}`,
-        `importance: ${normalizedImportance}`,
-        `timestamp: ${timestamp.toISOString()}`,
-      ];
-
-      if (memory.context) {
-        observations.push(`context: ${memory.context}`);
-      }
-
-      // Store metadata as observation with size validation
-      if (memory.metadata) {
-        try {
-          const metadataJson = JSON.stringify(memory.metadata);
-
-          // Validate metadata size (1MB limit)
-          // Use Buffer for accurate byte size (Node.js compatible, works in all versions)
-          const sizeInBytes = Buffer.byteLength(metadataJson, 'utf8');
-
-          if (sizeInBytes >= MAX_METADATA_SIZE) {
-            throw new ValidationError(
-              `Metadata size exceeds limit: ${(sizeInBytes / 1024).toFixed(2)}KB / ${(MAX_METADATA_SIZE / 1024).toFixed(2)}KB`,
-              {
-                component: 'UnifiedMemoryStore',
-                method: 'store',
-                data: {
-                  metadataSize: sizeInBytes,
-                  limit: MAX_METADATA_SIZE,
-                  sizeMB: (sizeInBytes / (1024 * 1024)).toFixed(2),
-                },
-              }
-            );
-          }
-
-          observations.push(`metadata: ${metadataJson}`);
-        } catch (error) {
-          // Re-throw ValidationError
-          if (error instanceof ValidationError) {
-            throw error;
-          }
-          logger.warn(`[UnifiedMemoryStore] Failed to serialize metadata: ${error}`);
-        }
-      }
-
-      // Create entity in KnowledgeGraph
-      // CRITICAL-1: Include contentHash for deduplication
-      const entity: Entity = {
-        name: id,
-        entityType,
-        observations,
-        tags: tagsToUse,
-        contentHash,  // CRITICAL-1: Pass content hash for atomic deduplication
-        metadata: {
-          memoryType: memory.type,
-          importance: normalizedImportance,  // ✅ FIX MAJOR-4: Use normalized importance
-          timestamp: timestamp.toISOString(),
-          ...(memory.metadata || {}),
-        },
-      };
+      const entity = this.buildEntity(id, memory, context);
 
       // Create entity and relations atomically within a transaction
       // This ensures data consistency: either all succeed or all fail together
@@ -396,6 +342,9 @@ export class UnifiedMemoryStore {
         });
       }
 
+      // Index for semantic recall (non-fatal: a missing vector is backfilled on next search)
+      await this.indexMemory(actualId);
+
       logger.info(`[UnifiedMemoryStore] Stored memory: ${actualId} (type: ${memory.type})`);
       return actualId;  // CRITICAL-1: Return actual ID (may be deduplicated)
     } catch (error) {
@@ -418,6 +367,196 @@ export class UnifiedMemoryStore {
     }
   }
 
+  /**
+   * Validate the fields every stored memory needs
+   *
+   * @throws {ValidationError} If content, type or importance are invalid
+   */
+  private validateMemory(memory: UnifiedMemory, method: string): void {
+    if (!memory.content || memory.content.trim() === '') {
+      throw new ValidationError('Memory content cannot be empty', {
+        component: 'UnifiedMemoryStore',
+        method,
+        memoryType: memory.type,
+      });
+    }
+
+    if (!memory.type) {
+      throw new ValidationError('Memory type is required', {
+        component: 'UnifiedMemoryStore',
+        method,
+      });
+    }
+
+    // Validate importance (CRITICAL: prevents NaN, Infinity, negative values)
+    if (memory.importance !== undefined) {
+      if (!Number.isFinite(memory.importance)) {
+        throw new ValidationError(
+          `Importance must be a finite number, got ${memory.importance}`,
+          {
+            component: 'UnifiedMemoryStore',
+            method,
+            data: { importance: memory.importance, type: typeof memory.importance },
+          }
+        );
+      }
+      if (memory.importance < 0 || memory.importance > 1) {
+        throw new ValidationError(
+          `Importance must be between 0 and 1, got ${memory.importance}`,
+          {
+            component: 'UnifiedMemoryStore',
+            method,
+            data: { importance: memory.importance },
+          }
+        );
+      }
+    }
+  }
+
+  /**
+   * Replace secrets in the fields that end up in observations
+   *
+   * @throws {ValidationError} If the redactor rejects secrets
+   */
+  private async redactMemory(memory: UnifiedMemory, method: string): Promise<UnifiedMemory> {
+    if (!this.redactor) {
+      return memory;
+    }
+
+    const { value, findings } = await this.redactor.redactValues(
+      { content: memory.content, context: memory.context, metadata: memory.metadata },
+      `UnifiedMemoryStore.${method}`
+    );
+    return findings.length > 0 ? { ...memory, ...value } : memory;
+  }
+
+  /**
+   * Build the knowledge graph entity that stores a memory
+   *
+   * @param id - Memory ID (entity name)
+   * @param memory - The memory to store
+   * @param context - Optional context for auto-tagging (projectPath, techStack)
+   * @throws {ValidationError} If the type is unknown or metadata is too large
+   */
+  private buildEntity(
+    id: string,
+    memory: UnifiedMemory,
+    context?: { projectPath?: string; techStack?: string[] }
+  ): Entity {
+    // CRITICAL-1: Calculate content hash for database-level deduplication
+    // Database UNIQUE constraint on content_hash provides atomic deduplication
+    const contentHash = createHash('sha256').update(memory.content).digest('hex');
+
+    // Ensure timestamp is provided (default to now if missing)
+    const timestamp = memory.timestamp || new Date();
+
+    // Generate tags: combine user-provided + auto-generated
+    const autoTagger = new AutoTagger();
+    const tagsToUse = autoTagger.generateTags(memory.content, memory.tags, context);
+
+    if (context) {
+      logger.info(`[UnifiedMemoryStore] Storing memory with tags: ${tagsToUse.join(', ')}`);
+    }
+
+    // Map memory type to entity type
+    const entityType = MEMORY_TYPE_MAPPING[memory.type];
+    if (!entityType) {
+      throw new ValidationError(`Invalid memory type: ${memory.type}`, {
+        component: 'UnifiedMemoryStore',
+        method: 'store',
+        memoryType: memory.type,
+        validTypes: Object.keys(MEMORY_TYPE_MAPPING),
+      });
+    }
+
+    // ✅ FIX MAJOR-4: Default importance to 0.5 if undefined before building observations
+    // This prevents "importance: undefined" from being stored as a string observation
+    const normalizedImportance = memory.importance ?? 0.5;
+
+    // Build observations array with structured data
+    const observations: string[] = [
+      `content: ${memory.content}`,
+      `importance: ${normalizedImportance}`,
+      `timestamp: ${timestamp.toISOString()}`,
+    ];
+
+    if (memory.context) {
+      observations.push(`context: ${memory.context}`);
+    }
+
+    // Store metadata as observation with size validation
+    if (memory.metadata) {
+      try {
+        const metadataJson = JSON.stringify(memory.metadata);
+
+        // Validate metadata size (1MB limit)
+        // Use Buffer for accurate byte size (Node.js compatible, works in all versions)
+        const sizeInBytes = Buffer.byteLength(metadataJson, 'utf8');
+
+        if (sizeInBytes >= MAX_METADATA_SIZE) {
+          throw new ValidationError(
+            `Metadata size exceeds limit: ${(sizeInBytes / 1024).toFixed(2)}KB / ${(MAX_METADATA_SIZE / 1024).toFixed(2)}KB`,
+            {
+              component: 'UnifiedMemoryStore',
+              method: 'store',
+              data: {
+                metadataSize: sizeInBytes,
+                limit: MAX_METADATA_SIZE,
+                sizeMB: (sizeInBytes / (1024 * 1024)).toFixed(2),
+              },
+            }
+          );
+        }
+
+        observations.push(`metadata: ${metadataJson}`);
+      } catch (error) {
+        // Re-throw ValidationError
+        if (error instanceof ValidationError) {
+          throw error;
+        }
+        logger.warn(`[UnifiedMemoryStore] Failed to serialize metadata: ${error}`);
+      }
+    }
+
+    // Create entity in KnowledgeGraph
+    // CRITICAL-1: Include contentHash for deduplication
+    return {
+      name: id,
+      entityType,
+      observations,
+      tags: tagsToUse,
+      contentHash,  // CRITICAL-1: Pass content hash for atomic deduplication
+      metadata: {
+        memoryType: memory.type,
+        importance: normalizedImportance,  // ✅ FIX MAJOR-4: Use normalized importance
+        timestamp: timestamp.toISOString(),
+        ...(memory.metadata || {}),
+      },
+    };
+  }
+
+  /**
+   * Index a memory for semantic recall
+   *
+   * Embeds the stored entity through SemanticIndex.entityText(), like the
+   * backfill, so a memory gets the same vector whichever path indexed it.
+   * Non-fatal: a missing vector is backfilled on the next search.
+   */
+  private async indexMemory(id: string): Promise<void> {
+    if (this.semanticIndex) {
+      try {
+        const [entity] = this.knowledgeGraph.getEntitiesByNames([id]);
+        if (!entity) {
+          return;
+        }
+        await this.semanticIndex.indexEntity(id, SemanticIndex.entityText(entity));
+      } catch (error: unknown) {
+        const errorInfo = extractErrorInfo(error);
+        logger.warn(`[UnifiedMemoryStore] Failed to index memory ${id} for semantic search: ${errorInfo.message}`);
+      }
+    }
+  }
+
   /**
    * Get a memory by ID
    *
@@ -468,6 +607,7 @@ export class UnifiedMemoryStore {
    *
    * Uses SmartMemoryQuery for intelligent multi-level search when context is provided.
    * Falls back to traditional search when no context is available.
+   * Read-only: results are not recorded as recalled (use recall() for that).
    *
    * @param query - The search query
    * @param options - Search options (can include projectPath and techStack for smart search)
@@ -503,6 +643,14 @@ export class UnifiedMemoryStore {
       // Using soft limit to get more candidates for better ranking
       const baseResults = await this.traditionalSearch(query, candidateOptions);
 
+      // Semantic recall enabled: widen the candidate set with vector and FTS5 hits
+      // and blend all signals into one hybrid ranking
+      // (vectors and the FTS5 index describe current content, so "as of" recall skips them)
+      if (this.semanticIndex && query && query.trim() && !options?.asOf) {
+        const rankedResults = await this.hybridSearch(query, baseResults, candidateOptions, options);
+        return rankedResults.slice(0, finalLimit);
+      }
+
       // Step 2: Deduplicate results before ranking
       // Pre-migration data or concurrent storage paths may produce entries with
       // identical content. Deduplication uses a content hash (SHA-256 prefix) to
@@ -511,7 +659,7 @@ export class UnifiedMemoryStore {
       const deduplicatedResults = this.deduplicateResults(baseResults);
 
       // Step 3: Apply SmartMemoryQuery for context-aware ranking
-      const smartQuery = new SmartMemoryQuery();
+      const smartQuery = this.createRanker(deduplicatedResults);
       const rankedResults = smartQuery.search(query, deduplicatedResults, options);
 
       // Step 4: Apply final limit AFTER ranking (ensures we get highest-scored results)
@@ -533,6 +681,24 @@ export class UnifiedMemoryStore {
     }
   }
 
+  /**
+   * Recall memories for a caller: search, then record the results as recalled
+   *
+   * Recalls reinforce access-aware ranking (see MemoryDecay), so use this for
+   * memories handed to a user or agent, and search() for internal reads.
+   *
+   * @param query - The search query
+   * @param options - Search options (as for search())
+   * @returns Array of matching memories
+   * @throws {OperationError} If search operation fails
+   */
+  async recall(
+    query: string,
+    options?: SearchOptions & { projectPath?: string; techStack?: string[] }
+  ): Promise<UnifiedMemory[]> {
+    return this.recordRecalls(await this.search(query, options));
+  }
+
   /**
    * Traditional search implementation (for backward compatibility)
    *
@@ -544,7 +710,7 @@ export class UnifiedMemoryStore {
   private async traditionalSearch(query: string, options?: SearchOptions): Promise<UnifiedMemory[]> {
     try {
       // Get all entities that match the criteria
-      const searchQuery: { entityType?: EntityType; tag?: string; namePattern?: string; limit?: number } = {};
+      const searchQuery: { entityType?: EntityType; tag?: string; namePattern?: string; limit?: number; asOf?: Date } = {};
 
       // Apply type filter if single type specified
       if (options?.types && options.types.length === 1) {
@@ -561,6 +727,10 @@ export class UnifiedMemoryStore {
         searchQuery.limit = options.limit;
       }
 
+      if (options?.asOf) {
+        searchQuery.asOf = options.asOf;
+      }
+
       // Get entities with error handling
       let entities: Entity[];
       try {
@@ -578,22 +748,8 @@ export class UnifiedMemoryStore {
         );
       }
 
-      // Filter by memory prefix (only get unified memories)
-      entities = entities.filter((e) => e.name.startsWith(MEMORY_ID_PREFIX));
-
-      // Filter by multiple types if specified
-      if (options?.types && options.types.length > 1) {
-        const entityTypes = options.types.map((t) => MEMORY_TYPE_MAPPING[t]);
-        entities = entities.filter((e) => entityTypes.includes(e.entityType));
-      }
-
-      // Filter by multiple tags if specified (OR logic)
-      if (options?.tags && options.tags.length > 1) {
-        entities = entities.filter((e) => e.tags && options.tags!.some((t) => e.tags!.includes(t)));
-      }
-
-      // Convert to memories
-      let memories = entities.map((e) => this.entityToMemory(e)).filter((m): m is UnifiedMemory => m !== null);
+      // Convert to memories and apply type/tag/time/importance filters
+      let memories = this.entitiesToMemories(entities, options);
 
       // Apply query filter (search in content)
       if (query && query.trim()) {
@@ -628,6 +784,168 @@ export class UnifiedMemoryStore {
     }
   }
 
+  /**
+   * Convert entities to unified memories, applying the prefix, type and tag filters
+   *
+   * @param entities - Entities from the knowledge graph
+   * @param options - Search options
+   * @returns Memories for entities that pass the filters
+   */
+  private entitiesToMemories(entities: Entity[], options?: SearchOptions): UnifiedMemory[] {
+    // Filter by memory prefix (only get unified memories)
+    let filtered = entities.filter((e) => e.name.startsWith(MEMORY_ID_PREFIX));
+
+    // Filter by multiple types if specified
+    if (options?.types && options.types.length > 1) {
+      const entityTypes = options.types.map((t) => MEMORY_TYPE_MAPPING[t]);
+      filtered = filtered.filter((e) => entityTypes.includes(e.entityType));
+    }
+
+    // Filter by tags if specified (OR logic)
+    if (options?.tags && options.tags.length > 0) {
+      filtered = filtered.filter((e) => e.tags && options.tags!.some((t) => e.tags!.includes(t)));
+    }
+
+    // Replaced memories are history and are left out of recall by default
+    if (!options?.includeReplaced && filtered.length > 0) {
+      const replacements = this.knowledgeGraph.getReplacements(
+        filtered.map((e) => e.name),
+        options?.asOf
+      );
+      filtered = filtered.filter((e) => !replacements.has(e.name));
+    }
+
+    return filtered.map((e) => this.entityToMemory(e)).filter((m): m is UnifiedMemory => m !== null);
+  }
+
+  /**
+   * Hybrid search: keyword candidates + FTS5 hits + vector hits, ranked together
+   *
+   * @param query - The search query (non-empty)
+   * @param keywordResults - Candidates from traditionalSearch()
+   * @param candidateOptions - Search options with the candidate (soft) limit
+   * @param options - Original search options (for ranking context)
+   * @returns Ranked, deduplicated memories (not yet truncated to the final limit)
+   */
+  private async hybridSearch(
+    query: string,
+    keywordResults: UnifiedMemory[],
+    candidateOptions: SearchOptions,
+    options?: SearchOptions & { projectPath?: string; techStack?: string[] }
+  ): Promise<UnifiedMemory[]> {
+    const candidateLimit = candidateOptions.limit ?? 500;
+
+    // Vector recall (semantic index backfills missing vectors on the fly)
+    let semanticHits: Array<{ name: string; similarity: number }> = [];
+    try {
+      semanticHits = await this.semanticIndex!.search(query, {
+        limit: candidateLimit,
+        namePrefix: MEMORY_ID_PREFIX,
+      });
+    } catch (error: unknown) {
+      const errorInfo = extractErrorInfo(error);
+      logger.warn(`[UnifiedMemoryStore] Semantic search failed, using keyword ranking only: ${errorInfo.message}`);
+    }
+
+    // FTS5 relevance (token-level, so it also matches partial phrasings)
+    const fullTextHits = this.knowledgeGraph
+      .rankFullText(query, candidateLimit)
+      .filter((hit) => hit.name.startsWith(MEMORY_ID_PREFIX));
+
+    // Fetch candidates that keyword search did not return
+    const known = new Set(keywordResults.map((m) => m.id));
+    const missingNames = [...semanticHits.map((h) => h.name), ...fullTextHits.map((h) => h.name)]
+      .filter((name) => !known.has(name));
+    const extraMemories = this.applySearchFilters(
+      this.entitiesToMemories(this.knowledgeGraph.getEntitiesByNames(missingNames), candidateOptions),
+      { ...candidateOptions, limit: undefined }
+    );
+
+    const candidates = this.deduplicateResults([...keywordResults, ...extraMemories]);
+
+    const smartQuery = this.createRanker(candidates);
+    return smartQuery.hybridSearch(
+      query,
+      candidates,
+      {
+        semantic: new Map(semanticHits.map((h) => [h.name, h.similarity])),
+        fullText: new Map(fullTextHits.map((h) => [h.name, h.score])),
+        weights: this.hybridWeights,
+      },
+      options
+    );
+  }
+
+  /**
+   * SmartMemoryQuery that ranks by effective importance when decay is enabled
+   *
+   * @param candidates - Memories about to be ranked (their access stats are loaded once)
+   */
+  private createRanker(candidates: UnifiedMemory[]): SmartMemoryQuery {
+    if (!this.decay || candidates.length === 0) {
+      return new SmartMemoryQuery();
+    }
+
+    const decay = this.decay;
+    const stats = this.knowledgeGraph.getAccessStats(
+      candidates.map((m) => m.id).filter((id): id is string => id !== undefined)
+    );
+    const now = new Date();
+    return new SmartMemoryQuery((memory) =>
+      decay.effectiveImportance(memory.importance, memory.timestamp, memory.id ? stats.get(memory.id) : undefined, now)
+    );
+  }
+
+  /**
+   * Record that memories were recalled (non-fatal)
+   *
+   * @param results - Memories returned to the caller
+   * @returns The same results
+   */
+  private recordRecalls(results: UnifiedMemory[]): UnifiedMemory[] {
+    const ids = results.map((m) => m.id).filter((id): id is string => id !== undefined);
+    if (ids.length === 0) {
+      return results;
+    }
+
+    try {
+      this.knowledgeGraph.recordAccess(ids, 'recall');
+    } catch (error: unknown) {
+      const errorInfo = extractErrorInfo(error);
+      logger.warn(`[UnifiedMemoryStore] Failed to record recalls: ${errorInfo.message}`);
+    }
+    return results;
+  }
+
+  /**
+   * Record caller feedback on recalled memories
+   *
+   * Feeds the reinforcement side of access-aware ranking: useful memories
+   * rank higher and stop decaying, memories marked not useful rank lower.
+   *
+   * @param ids - Memory IDs the feedback applies to
+   * @param useful - Whether the memories were useful
+   * @returns Number of memories the feedback was recorded for
+   */
+  recordFeedback(ids: string[], useful: boolean): number {
+    return this.knowledgeGraph.recordAccess(ids, useful ? 'useful' : 'not_useful');
+  }
+
+  /**
+   * Rebuild missing vectors of the semantic index
+   *
+   * Memories stored before semantic recall was enabled are embedded lazily on
+   * the first search; call this to do it up front (e.g. after an import).
+   *
+   * @returns Number of entities embedded (0 when semantic recall is disabled)
+   */
+  async rebuildSemanticIndex(): Promise<number> {
+    if (!this.semanticIndex) {
+      return 0;
+    }
+    return this.semanticIndex.backfill();
+  }
+
   /**
    * Apply common search filters (time range, importance, limit)
    *
@@ -806,6 +1124,11 @@ export class UnifiedMemoryStore {
   /**
    * Update a memory
    *
+   * The memory is rewritten in place: each changed field supersedes its
+   * previous observation, so recall returns the new value while
+   * KnowledgeGraph.getObservationHistory() keeps the old one. Updating a
+   * memory that has been replaced (`replaced_by`) updates its replacement.
+   *
    * @param id - The memory ID
    * @param updates - Partial updates to apply
    * @returns true if updated, false if not found
@@ -830,7 +1153,9 @@ export class UnifiedMemoryStore {
         });
       }
 
-      const existing = await this.get(id);
+      // A replaced memory is history: apply the update to its replacement
+      const targetId = this.resolveReplacement(id);
+      const existing = await this.get(targetId);
 
       if (!existing) {
         return false;
@@ -840,28 +1165,47 @@ export class UnifiedMemoryStore {
       const updatedMemory: UnifiedMemory = {
         ...existing,
         ...updates,
-        id, // Preserve ID
+        id: targetId, // Preserve ID
         timestamp: existing.timestamp, // Preserve original timestamp
       };
 
-      // ✅ FIX MAJOR-3: Delete the old entity before re-storing to avoid dedup conflicts
-      // The store() method has deduplication logic (based on content hash) that can
-      // conflict with update semantics. By deleting first, we ensure the re-store
-      // creates a clean entry without triggering deduplication against the old entry.
-      // This is safe because we already have the existing data merged into updatedMemory.
-      const deleted = this.knowledgeGraph.deleteEntity(id);
-      if (!deleted) {
-        // Entity was deleted between get() and delete() - race condition
-        // Log warning but continue with store() as it will create a new entry
-        logger.warn(
-          `[UnifiedMemoryStore] Entity ${id} was deleted during update operation, will create new entry`
-        );
+      this.validateMemory(updatedMemory, 'update');
+      const redactedMemory = await this.redactMemory(updatedMemory, 'update');
+      const entity = this.buildEntity(targetId, redactedMemory);
+
+      // New content identical to another memory: keep this one as history and
+      // point it at the memory that already holds the content
+      const duplicateId = this.knowledgeGraph.getEntityNameByContentHash(entity.contentHash!);
+      if (duplicateId && duplicateId !== targetId) {
+        this.knowledgeGraph.createRelation({
+          from: targetId,
+          to: duplicateId,
+          relationType: 'replaced_by',
+          metadata: { reason: 'duplicate-content', createdAt: new Date().toISOString() },
+        });
+        logger.info(`[UnifiedMemoryStore] Updated memory ${targetId} duplicates ${duplicateId}, marked as replaced`);
+        return true;
       }
 
-      // Re-store with same ID (now creates a new entry since old was deleted)
-      await this.store(updatedMemory);
+      // Rewrite in place. Changed fields supersede their previous observation,
+      // so recall returns the new value while the old one stays in history.
+      const previousByField = new Map(
+        (this.knowledgeGraph.getEntitiesByNames([targetId])[0]?.observations ?? [])
+          .map((observation) => [observationField(observation), observation] as const)
+      );
+      this.knowledgeGraph.transaction(() => {
+        for (const observation of entity.observations) {
+          const previous = previousByField.get(observationField(observation));
+          if (previous !== undefined && previous !== observation) {
+            this.knowledgeGraph.addObservations(targetId, [observation], { supersedes: [previous] });
+          }
+        }
+        this.knowledgeGraph.createEntity(entity);
+      });
+
+      await this.indexMemory(targetId);
 
-      logger.info(`[UnifiedMemoryStore] Updated memory: ${id}`);
+      logger.info(`[UnifiedMemoryStore] Updated memory: ${targetId}`);
       return true;
     } catch (error) {
       // Re-throw custom errors as-is
@@ -883,6 +1227,29 @@ export class UnifiedMemoryStore {
     }
   }
 
+  /**
+   * Follow `replaced_by` relations to the memory that currently holds the truth
+   *
+   * @param id - The memory ID
+   * @returns The last memory in the replacement chain (id itself if never replaced)
+   */
+  private resolveReplacement(id: string): string {
+    const visited = new Set<string>([id]);
+    let current = id;
+
+    let next = this.knowledgeGraph.getReplacements([current]).get(current);
+    while (next !== undefined && !visited.has(next)) {
+      visited.add(next);
+      current = next;
+      next = this.knowledgeGraph.getReplacements([current]).get(current);
+    }
+
+    if (current !== id) {
+      logger.info(`[UnifiedMemoryStore] Memory ${id} was replaced by ${current}`);
+    }
+    return current;
+  }
+
   /**
    * Delete a memory
    *
@@ -0,0 +1,215 @@
+/**
+ * MemoryConsolidator Tests
+ *
+ * Clustering, merging with relation preservation, summarization and undo
+ * against a real KnowledgeGraph.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { KnowledgeGraph } from '../../knowledge-graph/index.js';
+import { MemoryConsolidator } from '../MemoryConsolidator.js';
+import { SamplingClient } from '../../mcp/SamplingClient.js';
+import { NotFoundError, ValidationError } from '../../errors/index.js';
+
+function codeChange(name: string, files: string[], day: number): void {
+  kg.createEntity({
+    name,
+    entityType: 'code_change',
+    observations: [
+      `Files modified: ${files.length}`,
+      ...files.map((file) => `Changed ${file} to validate session tokens before refresh`),
+      `Timestamp: 2026-01-${String(day).padStart(2, '0')}T10:00:00Z`,
+    ],
+  });
+}
+
+let kg: KnowledgeGraph;
+
+describe('MemoryConsolidator', () => {
+  let dir: string;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'memesh-consolidate-'));
+    kg = KnowledgeGraph.createSync(join(dir, 'kg.db'));
+
+    codeChange('Code Change: auth refresh - 2026-01-01', ['src/auth/session.ts', 'src/auth/refresh.ts'], 1);
+    codeChange('Code Change: auth refresh - 2026-01-02', ['src/auth/session.ts', 'src/auth/refresh.ts', 'src/auth/token.ts'], 2);
+    codeChange('Code Change: auth refresh - 2026-01-03', ['src/auth/session.ts', 'src/auth/refresh.ts'], 3);
+    kg.createEntity({
+      name: 'Code Change: billing export - 2026-01-04',
+      entityType: 'code_change',
+      observations: ['Files modified: 1', 'Rewrote CSV invoice export with streaming writer', 'Timestamp: 2026-01-04T10:00:00Z'],
+    });
+    kg.createEntity({ name: 'Decision: short-lived tokens', entityType: 'decision', observations: ['Tokens expire after 15 minutes'] });
+    kg.createRelation({
+      from: 'Code Change: auth refresh - 2026-01-03',
+      to: 'Decision: short-lived tokens',
+      relationType: 'follows_pattern',
+      metadata: { source: 'test' },
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    kg.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should report clusters without writing in a dry run', async () => {
+    const result = await new MemoryConsolidator(kg).consolidate({ dryRun: true });
+
+    expect(result.dryRun).toBe(true);
+    expect(result.entitiesScanned).toBe(4);
+    expect(result.clusters).toHaveLength(1);
+    expect(result.clusters[0].canonical).toBe('Code Change: auth refresh - 2026-01-02');
+    expect(result.clusters[0].merged.sort()).toEqual([
+      'Code Change: auth refresh - 2026-01-01',
+      'Code Change: auth refresh - 2026-01-03',
+    ]);
+    expect(kg.getReplacements(result.clusters[0].merged).size).toBe(0);
+  });
+
+  it('should merge similar entities and keep their relations', async () => {
+    const result = await new MemoryConsolidator(kg).consolidate();
+    const canonical = 'Code Change: auth refresh - 2026-01-02';
+
+    expect(result.clusters).toHaveLength(1);
+    expect(result.relationsMoved).toBe(1);
+
+    // Merged entities point at the survivor and stay on record
+    const replacements = kg.getReplacements([
+      'Code Change: auth refresh - 2026-01-01',
+      'Code Change: auth refresh - 2026-01-03',
+    ]);
+    expect([...replacements.values()]).toEqual([canonical, canonical]);
+    expect(kg.getEntitiesByNames(['Code Change: auth refresh - 2026-01-01'])).toHaveLength(1);
+
+    // Relation re-pointed to the survivor, merges recorded as evolved_from
+    const relations = kg.traceRelations(canonical, 1)!.relations;
+    expect(relations).toContainEqual(
+      expect.objectContaining({ from: canonical, to: 'Decision: short-lived tokens', relationType: 'follows_pattern' })
+    );
+    expect(relations.filter((r) => r.relationType === 'evolved_from' && r.from === canonical)).toHaveLength(2);
+
+    // Observations unique to merged entities were copied over
+    const observations = kg.getEntitiesByNames([canonical])[0].observations;
+    expect(observations).toContain('Timestamp: 2026-01-01T10:00:00Z');
+    expect(observations.filter((o) => o.startsWith('Changed src/auth/session.ts'))).toHaveLength(1);
+  });
+
+  it('should not merge entities that were already merged', async () => {
+    const consolidator = new MemoryConsolidator(kg);
+    await consolidator.consolidate();
+
+    const again = await consolidator.consolidate();
+    expect(again.clusters).toEqual([]);
+    expect(again.entitiesScanned).toBe(2);
+  });
+
+  it('should undo a merge', async () => {
+    const consolidator = new MemoryConsolidator(kg);
+    await consolidator.consolidate();
+    const canonical = 'Code Change: auth refresh - 2026-01-02';
+
+    const undone = consolidator.undo(canonical);
+
+    expect(undone.restored.sort()).toEqual([
+      'Code Change: auth refresh - 2026-01-01',
+      'Code Change: auth refresh - 2026-01-03',
+    ]);
+    expect(kg.getReplacements(undone.restored).size).toBe(0);
+    expect(kg.getEntitiesByNames([canonical])[0].observations).not.toContain('Timestamp: 2026-01-01T10:00:00Z');
+    expect(kg.traceRelations(canonical, 1)!.relations).toEqual([]);
+    expect(kg.traceRelations('Code Change: auth refresh - 2026-01-03', 1)!.relations).toEqual([
+      expect.objectContaining({
+        to: 'Decision: short-lived tokens',
+        relationType: 'follows_pattern',
+        metadata: { source: 'test' },
+      }),
+    ]);
+
+    expect(() => consolidator.undo(canonical)).toThrow(NotFoundError);
+  });
+
+  it('should undo a single merged entity', async () => {
+    const consolidator = new MemoryConsolidator(kg);
+    await consolidator.consolidate();
+    const canonical = 'Code Change: auth refresh - 2026-01-02';
+
+    consolidator.undo(canonical, 'Code Change: auth refresh - 2026-01-01');
+
+    expect(kg.getReplacements(['Code Change: auth refresh - 2026-01-01']).size).toBe(0);
+    expect(kg.getReplacements(['Code Change: auth refresh - 2026-01-03']).get('Code Change: auth refresh - 2026-01-03'))
+      .toBe(canonical);
+  });
+
+  describe('summaries', () => {
+    beforeEach(() => {
+      kg.createEntity({
+        name: 'Session: long running',
+        entityType: 'session_snapshot',
+        observations: [
+          'Timestamp: 2026-01-05T08:00:00Z',
+          ...Array.from({ length: 12 }, (_, i) => `Step ${i + 1}: investigated flaky websocket reconnect test ${i % 3}`),
+        ],
+      });
+    });
+
+    it('should condense long observation lists with an extractive summary offline', async () => {
+      const result = await new MemoryConsolidator(kg).consolidate({ maxObservations: 10 });
+
+      expect(result.summaries).toEqual([{ entity: 'Session: long running', observationsSummarized: 7, method: 'extractive' }]);
+      const observations = kg.getEntitiesByNames(['Session: long running'])[0].observations;
+      expect(observations).toHaveLength(7);
+      expect(observations).toContain('Timestamp: 2026-01-05T08:00:00Z');
+      expect(observations.find((o) => o.startsWith('SUMMARY (7 observations): '))).toBeDefined();
+      expect(observations).toContain('Step 12: investigated flaky websocket reconnect test 2');
+      // Summarized observations stay in history
+      expect(kg.getObservationHistory('Session: long running')).toHaveLength(14);
+    });
+
+    it('should report progress per entity type and summarized entity', async () => {
+      const onProgress = vi.fn();
+      await new MemoryConsolidator(kg).consolidate({
+        entityTypes: ['code_change', 'session_snapshot'],
+        maxObservations: 10,
+        onProgress,
+      });
+
+      expect(onProgress.mock.calls).toEqual([[1, 2], [2, 2], [3, 3]]);
+    });
+
+    it('should summarize through sampling when available', async () => {
+      const sample = vi.fn().mockResolvedValue({
+        role: 'assistant',
+        content: { type: 'text', text: 'Chased a flaky websocket reconnect test across six steps.' },
+      });
+
+      const result = await new MemoryConsolidator(kg, new SamplingClient(sample)).consolidate({ maxObservations: 10 });
+
+      expect(sample).toHaveBeenCalledTimes(1);
+      expect(result.summaries[0].method).toBe('sampling');
+      expect(kg.getEntitiesByNames(['Session: long running'])[0].observations).toContain(
+        'SUMMARY (7 observations): Chased a flaky websocket reconnect test across six steps.'
+      );
+    });
+
+    it('should fall back to the extractive summary when sampling fails', async () => {
+      const sample = vi.fn().mockRejectedValue(new Error('Sampling not connected'));
+
+      const result = await new MemoryConsolidator(kg, new SamplingClient(sample)).consolidate({ maxObservations: 10 });
+
+      expect(result.summaries[0].method).toBe('extractive');
+      expect(result.errors).toEqual([]);
+    });
+  });
+
+  it('should validate options', async () => {
+    const consolidator = new MemoryConsolidator(kg);
+    await expect(consolidator.consolidate({ similarityThreshold: 0 })).rejects.toThrow(ValidationError);
+    await expect(consolidator.consolidate({ maxObservations: 3 })).rejects.toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * MemoryDecay Tests
+ *
+ * Effective importance from decay and reinforcement, and the stale report.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MemoryDecay, DEFAULT_MEMORY_DECAY } from '../MemoryDecay.js';
+import { KnowledgeGraph } from '../../knowledge-graph/index.js';
+import type { EntityAccessStats } from '../../knowledge-graph/types.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-06-01T00:00:00Z');
+
+function daysAgo(days: number): Date {
+  return new Date(NOW.getTime() - days * DAY);
+}
+
+function stats(overrides: Partial<EntityAccessStats> = {}): EntityAccessStats {
+  return { recallCount: 0, usefulCount: 0, notUsefulCount: 0, ...overrides };
+}
+
+describe('MemoryDecay', () => {
+  describe('effectiveImportance', () => {
+    const decay = new MemoryDecay({ recallWeight: 0, usefulWeight: 0, notUsefulWeight: 0 });
+
+    it('should keep fresh memories at their stored importance', () => {
+      expect(decay.effectiveImportance(0.8, NOW, undefined, NOW)).toBeCloseTo(0.8);
+    });
+
+    it('should halve the decaying part every half-life and never drop below the floor', () => {
+      const { floor, halfLifeDays } = DEFAULT_MEMORY_DECAY;
+      expect(decay.effectiveImportance(0.8, daysAgo(halfLifeDays), undefined, NOW))
+        .toBeCloseTo(0.8 * (floor + (1 - floor) / 2));
+      expect(decay.effectiveImportance(0.8, daysAgo(100 * halfLifeDays), undefined, NOW))
+        .toBeCloseTo(0.8 * floor);
+    });
+
+    it('should count idle time from the last recall or useful vote', () => {
+      const recalled = stats({ recallCount: 1, lastRecalledAt: daysAgo(1) });
+      expect(decay.idleDays(daysAgo(365), recalled, NOW)).toBeCloseTo(1);
+      expect(decay.effectiveImportance(0.8, daysAgo(365), recalled, NOW))
+        .toBeGreaterThan(decay.effectiveImportance(0.8, daysAgo(365), undefined, NOW));
+    });
+
+    it('should not decay when the half-life is 0', () => {
+      const noDecay = new MemoryDecay({ halfLifeDays: 0 });
+      expect(noDecay.effectiveImportance(0.6, daysAgo(1000), undefined, NOW)).toBeCloseTo(0.6);
+    });
+
+    it('should reinforce recalled and useful memories and penalize unhelpful ones', () => {
+      const model = new MemoryDecay();
+      const base = model.effectiveImportance(0.5, NOW, undefined, NOW);
+
+      expect(model.effectiveImportance(0.5, NOW, stats({ recallCount: 7 }), NOW))
+        .toBeCloseTo(base + 3 * DEFAULT_MEMORY_DECAY.recallWeight);
+      expect(model.effectiveImportance(0.5, NOW, stats({ usefulCount: 2 }), NOW))
+        .toBeCloseTo(base + 2 * DEFAULT_MEMORY_DECAY.usefulWeight);
+      expect(model.effectiveImportance(0.5, NOW, stats({ notUsefulCount: 1 }), NOW))
+        .toBeCloseTo(base - DEFAULT_MEMORY_DECAY.notUsefulWeight);
+    });
+
+    it('should clamp to [0, 1]', () => {
+      const model = new MemoryDecay();
+      expect(model.effectiveImportance(1, NOW, stats({ usefulCount: 10 }), NOW)).toBe(1);
+      expect(model.effectiveImportance(0.1, NOW, stats({ notUsefulCount: 10 }), NOW)).toBe(0);
+      expect(model.effectiveImportance(Number.NaN, NOW, undefined, NOW)).toBeCloseTo(0.5);
+    });
+  });
+
+  describe('findStale', () => {
+    let tempDir: string;
+    let kg: KnowledgeGraph;
+
+    beforeEach(() => {
+      tempDir = mkdtempSync(join(tmpdir(), 'memesh-decay-'));
+      kg = KnowledgeGraph.createSync(join(tempDir, 'kg.db'));
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      kg.close();
+      rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    function note(name: string, importance: number, writtenDaysAgo: number): void {
+      kg.createEntity({
+        name,
+        entityType: 'best_practice',
+        observations: [name],
+        metadata: { importance, timestamp: daysAgo(writtenDaysAgo).toISOString() },
+      });
+    }
+
+    it('should report idle, low-importance entities that are not replaced', () => {
+      note('old-note', 0.3, 400);
+      note('old-but-used', 0.3, 400);
+      note('old-and-vital', 1, 400);
+      note('superseded-note', 0.3, 400);
+      note('new-note', 0.1, 2);
+      kg.createRelation({ from: 'superseded-note', to: 'old-note', relationType: 'replaced_by' });
+
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(daysAgo(2));
+      kg.recordAccess(['old-but-used'], 'recall');
+
+      vi.setSystemTime(NOW);
+      const stale = new MemoryDecay().findStale(kg);
+
+      expect(stale.map((memory) => memory.name)).toEqual(['old-note']);
+      expect(stale[0]).toMatchObject({
+        entityType: 'best_practice',
+        importance: 0.3,
+        idleDays: 400,
+        recallCount: 0,
+      });
+      expect(stale[0].effectiveImportance).toBeLessThan(0.3);
+    });
+
+    it('should apply thresholds, type filter and limit', () => {
+      note('note-a', 0.9, 200);
+      kg.createEntity({
+        name: 'note-b',
+        entityType: 'decision',
+        observations: ['b'],
+        metadata: { timestamp: daysAgo(300).toISOString() },
+      });
+
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(NOW);
+      const decay = new MemoryDecay();
+
+      // note-a decayed to ~0.37, note-b (default importance 0.5) to ~0.16
+      expect(decay.findStale(kg).map((m) => m.name)).toEqual(['note-b']);
+      expect(decay.findStale(kg, { maxImportance: 1 }).map((m) => m.name).sort()).toEqual(['note-a', 'note-b']);
+      expect(decay.findStale(kg, { maxImportance: 1, entityTypes: ['decision'] }).map((m) => m.name)).toEqual(['note-b']);
+      expect(decay.findStale(kg, { maxImportance: 1, minIdleDays: 365 })).toEqual([]);
+      expect(decay.findStale(kg, { maxImportance: 1, limit: 1 })).toHaveLength(1);
+    });
+  });
+});
@@ -176,6 +176,35 @@ describe('ProjectAutoTracker', () => {
         );
       });
 
+      it('should record skipped count, duration, report format and stack location', async () => {
+        await tracker.recordTestResult({
+          passed: 4,
+          failed: 1,
+          total: 7,
+          skipped: 2,
+          durationMs: 1520,
+          format: 'junit-xml',
+          failures: ['src/a.test.ts:4: a > b - boom'],
+          failedTests: [{
+            name: 'a > b',
+            file: 'src/a.test.ts',
+            line: 4,
+            error: 'boom',
+            stack: 'Error: boom\n    at Object.<anonymous> (src/a.test.ts:4:11)\n    at run (node_modules/vitest/runner.js:9:3)',
+          }],
+        });
+
+        const observations = (mockMCP.memory.createEntities as any).mock.calls[0][0].entities[0].observations;
+
+        expect(observations).toEqual(expect.arrayContaining([
+          'Tests skipped: 2',
+          '  - src/a.test.ts:4: a > b - boom',
+          '    at Object.<anonymous> (src/a.test.ts:4:11)',
+          'Duration: 1520ms',
+          'Report format: junit-xml',
+        ]));
+      });
+
       it('should handle zero tests gracefully', async () => {
         await tracker.recordTestResult({
           passed: 0,
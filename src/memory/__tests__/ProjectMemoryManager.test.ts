@@ -16,6 +16,7 @@ describe('ProjectMemoryManager', () => {
       createRelation: vi.fn(),
       traceRelations: vi.fn(),
       getStats: vi.fn(),
+      recordAccess: vi.fn().mockReturnValue(0),
       close: vi.fn(),
     } as any;
 
@@ -134,4 +135,79 @@ describe('ProjectMemoryManager', () => {
       expect(recent).toEqual([]);
     });
   });
+
+  describe('search', () => {
+    const entity = (name: string): Entity => ({
+      name,
+      entityType: 'decision' as any,
+      observations: [`${name} obs`],
+      tags: [],
+      metadata: {},
+    });
+
+    it('should return full-text results when no semantic index is configured', async () => {
+      (mockKG.searchEntities as any).mockReturnValue([entity('Auth decision')]);
+
+      const results = await manager.search('auth', 5);
+
+      expect(mockKG.searchEntities).toHaveBeenCalledWith({ namePattern: 'auth', limit: 5 });
+      expect(results.map(e => e.name)).toEqual(['Auth decision']);
+    });
+
+    it('should fill remaining slots with semantic matches', async () => {
+      (mockKG.searchEntities as any).mockReturnValue([entity('Auth decision')]);
+      (mockKG as any).getEntitiesByNames = vi.fn((names: string[]) => names.map(entity));
+      const semanticIndex = {
+        search: vi.fn().mockResolvedValue([
+          { name: 'Auth decision', similarity: 0.9 },
+          { name: 'Login flow', similarity: 0.6 },
+          { name: 'Session tokens', similarity: 0.4 },
+        ]),
+      };
+      const semanticManager = new ProjectMemoryManager(mockKG, semanticIndex as any);
+
+      const results = await semanticManager.search('authentication', 2);
+
+      expect(results.map(e => e.name)).toEqual(['Auth decision', 'Login flow']);
+    });
+
+    it('should fall back to full-text results when semantic search fails', async () => {
+      (mockKG.searchEntities as any).mockReturnValue([entity('Auth decision')]);
+      const semanticIndex = { search: vi.fn().mockRejectedValue(new Error('boom')) };
+      const semanticManager = new ProjectMemoryManager(mockKG, semanticIndex as any);
+
+      const results = await semanticManager.search('authentication', 5);
+
+      expect(results.map(e => e.name)).toEqual(['Auth decision']);
+    });
+
+    it('should record returned entities as recalled', async () => {
+      (mockKG.searchEntities as any).mockReturnValue([entity('Auth decision')]);
+
+      await manager.search('auth', 5);
+
+      expect(mockKG.recordAccess).toHaveBeenCalledWith(['Auth decision'], 'recall');
+    });
+
+    it('should still return results when recording recalls fails', async () => {
+      (mockKG.searchEntities as any).mockReturnValue([entity('Auth decision')]);
+      (mockKG.recordAccess as any).mockImplementation(() => {
+        throw new Error('database is locked');
+      });
+
+      const results = await manager.search('auth', 5);
+
+      expect(results.map(e => e.name)).toEqual(['Auth decision']);
+    });
+  });
+
+  describe('recordFeedback', () => {
+    it('should record useful and not useful votes', () => {
+      (mockKG.recordAccess as any).mockImplementation((names: string[]) => names.length);
+
+      expect(manager.recordFeedback(['Auth decision', 'Login flow'], ['Old cache'])).toBe(3);
+      expect(mockKG.recordAccess).toHaveBeenCalledWith(['Auth decision', 'Login flow'], 'useful');
+      expect(mockKG.recordAccess).toHaveBeenCalledWith(['Old cache'], 'not_useful');
+    });
+  });
 });
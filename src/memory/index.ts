@@ -11,6 +11,34 @@
 
 // Core unified memory store
 export { UnifiedMemoryStore } from './UnifiedMemoryStore.js';
+export type { UnifiedMemoryStoreOptions } from './UnifiedMemoryStore.js';
+
+// Semantic recall: offline embedder and embedding index over the knowledge graph
+export { HashingEmbedder } from './HashingEmbedder.js';
+export type { HashingEmbedderOptions } from './HashingEmbedder.js';
+export { SemanticIndex } from './SemanticIndex.js';
+export type { SemanticIndexOptions, SemanticSearchOptions } from './SemanticIndex.js';
+export { SmartMemoryQuery } from './SmartMemoryQuery.js';
+export type { HybridSignals } from './SmartMemoryQuery.js';
+
+// Consolidation: merge near-duplicate entities, summarize long observation lists
+export {
+  MemoryConsolidator,
+  DEFAULT_CONSOLIDATION_TYPES,
+  DEFAULT_SIMILARITY_THRESHOLD,
+  DEFAULT_MAX_OBSERVATIONS,
+} from './MemoryConsolidator.js';
+export type {
+  ConsolidationOptions,
+  ConsolidationResult,
+  UndoConsolidationResult,
+  MergeRecord,
+  MovedRelation,
+} from './MemoryConsolidator.js';
+
+// Access-aware ranking: importance decay, reinforcement and stale reports
+export { MemoryDecay, DEFAULT_MEMORY_DECAY } from './MemoryDecay.js';
+export type { MemoryDecayConfig, StaleMemoryOptions, StaleMemory } from './MemoryDecay.js';
 
 // Mistake Pattern Engine for prevention rules
 export { MistakePatternEngine } from './MistakePatternEngine.js';
@@ -22,6 +50,21 @@ export type { EnhancedSearchOptions, EnhancedSearchResult, MatchType } from './E
 
 // Secret manager for secure storage
 export { SecretManager } from './SecretManager.js';
+export type { SecretManagerOptions } from './SecretManager.js';
+export {
+  FileKeyProvider,
+  PassphraseKeyProvider,
+  EnvKeyProvider,
+  LocalKeyringProvider,
+  resolveSecretKeyProvider,
+  isSecretKeyProviderKind,
+  SECRET_KEY_PROVIDER_KINDS,
+} from './SecretKeyProvider.js';
+export type {
+  SecretKeyProvider,
+  SecretKeyProviderKind,
+  SecretKeyRecord,
+} from './SecretKeyProvider.js';
 
 // User preference engine for learning from mistakes
 export { UserPreferenceEngine } from './UserPreferenceEngine.js';
@@ -51,6 +94,10 @@ export type {
 
 export { DEFAULT_SECRET_PATTERNS } from './types/index.js';
 
+// Embedding types
+export type { Embedder, HybridSearchWeights, SemanticMatch } from './types/index.js';
+export { DEFAULT_HYBRID_WEIGHTS, DEFAULT_MIN_SIMILARITY } from './types/index.js';
+
 // Preference types
 export type {
   PreferenceCategory,
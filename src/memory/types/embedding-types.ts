@@ -0,0 +1,81 @@
+/**
+ * Embedding Types for semantic memory recall
+ *
+ * Embedders turn memory text into fixed-size vectors that are stored next to
+ * the knowledge graph entities and compared with cosine similarity.
+ */
+
+/**
+ * Pluggable text embedder
+ *
+ * Implementations must work fully offline (no network calls) and be
+ * deterministic: the same text must always produce the same vector.
+ */
+export interface Embedder {
+  /**
+   * Stable identifier of the embedding model
+   *
+   * Vectors produced by different models are never compared with each other,
+   * so the identifier must change whenever the vector space changes.
+   */
+  readonly model: string;
+
+  /** Number of dimensions of every produced vector */
+  readonly dimensions: number;
+
+  /**
+   * Embed a piece of text
+   *
+   * @param text - Text to embed
+   * @returns L2-normalized vector (all zeros for text without any features)
+   */
+  embed(text: string): Promise<Float32Array>;
+}
+
+/**
+ * Weights of the signals blended into the hybrid memory ranking
+ *
+ * Each signal is normalized to [0, 1] before weighting.
+ */
+export interface HybridSearchWeights {
+  /** Keyword/tag relevance from SmartMemoryQuery */
+  keyword: number;
+
+  /** Cosine similarity from the embedding index */
+  semantic: number;
+
+  /** BM25 relevance from the FTS5 index */
+  fullText: number;
+
+  /** Stored memory importance */
+  importance: number;
+}
+
+/**
+ * Default hybrid ranking weights (sum to 1)
+ */
+export const DEFAULT_HYBRID_WEIGHTS: HybridSearchWeights = {
+  keyword: 0.4,
+  semantic: 0.35,
+  fullText: 0.15,
+  importance: 0.1,
+};
+
+/**
+ * Default minimum cosine similarity for a semantic-only match
+ *
+ * Memories below this threshold are only returned when a keyword or
+ * full-text signal also matches.
+ */
+export const DEFAULT_MIN_SIMILARITY = 0.25;
+
+/**
+ * A semantic index hit
+ */
+export interface SemanticMatch {
+  /** Entity name (memory ID for unified memories) */
+  name: string;
+
+  /** Cosine similarity to the query (-1 to 1) */
+  similarity: number;
+}
@@ -38,6 +38,8 @@ export type {
   SecretStoreOptions,
   SecretConfirmationRequest,
   SecretPattern,
+  SecretKeyVersionInfo,
+  SecretKeyRotationResult,
 } from './secret-types.js';
 
 export { DEFAULT_SECRET_PATTERNS } from './secret-types.js';
@@ -50,3 +52,12 @@ export type {
   PreferenceViolation,
   PreferencePattern,
 } from './preference-types.js';
+
+// Embedding types for semantic recall
+export type {
+  Embedder,
+  HybridSearchWeights,
+  SemanticMatch,
+} from './embedding-types.js';
+
+export { DEFAULT_HYBRID_WEIGHTS, DEFAULT_MIN_SIMILARITY } from './embedding-types.js';
@@ -50,6 +50,8 @@ export interface StoredSecret {
   iv: string;
   /** Authentication tag for GCM */
   authTag: string;
+  /** Key version the value is encrypted with */
+  keyVersion: number;
   /** When the secret was stored */
   createdAt: Date;
   /** When the secret was last updated */
@@ -74,6 +76,36 @@ export interface SecretStoreOptions {
   metadata?: Record<string, unknown>;
 }
 
+/**
+ * Encryption key version and its usage
+ */
+export interface SecretKeyVersionInfo {
+  /** Key version */
+  version: number;
+  /** Provider that created the key (file, passphrase, env, keyring) */
+  provider: string;
+  /** When the key version was created */
+  createdAt: Date;
+  /** When a newer key version replaced it */
+  retiredAt?: Date;
+  /** Number of secrets encrypted with this version */
+  secretCount: number;
+}
+
+/**
+ * Result of SecretManager.rotateKey()
+ */
+export interface SecretKeyRotationResult {
+  /** Key version before the rotation */
+  previousVersion: number;
+  /** Key version all secrets are now encrypted with */
+  newVersion: number;
+  /** Provider of the new key */
+  provider: string;
+  /** Number of secrets re-encrypted */
+  reEncrypted: number;
+}
+
 /**
  * User confirmation request for storing a secret
  */
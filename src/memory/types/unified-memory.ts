@@ -76,6 +76,15 @@ export interface SearchOptions {
 
   /** Minimum importance score (0-1) */
   minImportance?: number;
+
+  /**
+   * Recall memories as they were at this moment: superseded values that were
+   * current then are returned instead of today's. Keyword search only.
+   */
+  asOf?: Date;
+
+  /** Include memories that have been replaced (`replaced_by`) by another one (default: false) */
+  includeReplaced?: boolean;
 }
 
 /**
@@ -7,6 +7,7 @@
  * - Capability-based routing (not model-based)
  * - Resource-aware routing (checks system resources)
  * - Fallback mechanism to general-agent
+ * - User-defined agents (agent definition files) routed by keywords and capabilities
  *
  * MCP Server Pattern:
  * - No direct API calls
@@ -15,8 +16,10 @@
  */
 
 import os from 'os';
-import { TaskAnalysis, RoutingDecision, AgentType, SystemResources, TaskCapability, Task } from './types.js';
+import { TaskAnalysis, RoutingDecision, AgentType, BuiltInAgentType, SystemResources, TaskCapability, Task } from './types.js';
 import { PromptEnhancer } from '../core/PromptEnhancer.js';
+import type { AgentDefinition, AgentDefinitionSource } from '../prompts/AgentDefinitions.js';
+import { isBuiltInAgentType } from '../prompts/templates/PromptTemplates.js';
 import { toDollars, type MicroDollars } from '../utils/money.js';
 import { logger } from '../utils/logger.js';
 import { safeDivide, bytesToMB } from '../utils/index.js';
@@ -24,14 +27,20 @@ import { safeDivide, bytesToMB } from '../utils/index.js';
 export class AgentRouter {
   private promptEnhancer: PromptEnhancer;
 
-  constructor() {
-    this.promptEnhancer = new PromptEnhancer();
+  /**
+   * @param agentDefinitions - User-defined agents to route to alongside the built-in ones
+   */
+  constructor(private agentDefinitions?: AgentDefinitionSource) {
+    this.promptEnhancer = new PromptEnhancer(agentDefinitions);
   }
 
   /**
    * Route task to optimal Agent
+   *
+   * @param analysis - Task analysis
+   * @param task - Analyzed task; its description is matched against user-defined agent keywords
    */
-  async route(analysis: TaskAnalysis): Promise<RoutingDecision> {
+  async route(analysis: TaskAnalysis, task?: Task): Promise<RoutingDecision> {
     const systemResources = await this.getSystemResources();
 
     // Check if memory is sufficient
@@ -40,11 +49,11 @@ export class AgentRouter {
     }
 
     // Select specialized Agent based on task capability requirements
-    const selectedAgent = this.selectAgent(analysis);
+    const selectedAgent = this.selectAgent(analysis, task?.description);
     const fallbackAgent = this.getFallbackAgent(selectedAgent);
 
     // Create Task object for Prompt Enhancement
-    const task: Task = {
+    const promptTask: Task = {
       id: analysis.taskId,
       description: `Task requiring ${analysis.requiredCapabilities.join(', ')} capabilities`,
       requiredCapabilities: analysis.requiredCapabilities.length > 0
@@ -59,7 +68,7 @@ export class AgentRouter {
     // Use PromptEnhancer to generate enhanced prompt
     const enhancedPrompt = this.promptEnhancer.enhance(
       selectedAgent,
-      task,
+      promptTask,
       analysis.complexity
     );
 
@@ -146,11 +155,18 @@ export class AgentRouter {
 
   /**
    * Select optimal Agent (based on capability requirements)
+   *
+   * User-defined agents matching the task go first, then the built-in mapping.
    */
-  private selectAgent(analysis: TaskAnalysis): AgentType {
+  private selectAgent(analysis: TaskAnalysis, description?: string): AgentType {
     // Select specialized Agent based on requiredCapabilities
     const requiredCapabilities = analysis.requiredCapabilities;
 
+    const customAgent = this.selectCustomAgent(requiredCapabilities, description);
+    if (customAgent) {
+      return customAgent;
+    }
+
     // Capability to Agent mapping
     const capabilityToAgent: Record<string, AgentType> = {
       'code-review': 'code-reviewer',
@@ -178,11 +194,44 @@ export class AgentRouter {
     return 'general-agent';
   }
 
+  /**
+   * Select the user-defined agent that best matches a task
+   *
+   * Each keyword found in the description scores 2, each required capability
+   * the agent declares scores 1 ('general' does not count). The highest score
+   * wins; ties go to the definition loaded first.
+   */
+  private selectCustomAgent(requiredCapabilities: TaskCapability[], description?: string): AgentType | undefined {
+    const text = description?.toLowerCase() ?? '';
+    let best: { agent: AgentType; score: number } | undefined;
+
+    for (const definition of this.agentDefinitions?.list() ?? []) {
+      const keywordScore = definition.keywords.filter(keyword => text.includes(keyword)).length * 2;
+      const capabilityScore = requiredCapabilities.filter(
+        capability => capability !== 'general' && definition.capabilities.includes(capability)
+      ).length;
+      const score = keywordScore + capabilityScore;
+
+      if (score > 0 && (!best || score > best.score)) {
+        best = { agent: definition.name, score };
+      }
+    }
+
+    return best?.agent;
+  }
+
+  /**
+   * Get the definition of a user-defined agent
+   */
+  private getDefinition(agent: AgentType): AgentDefinition | undefined {
+    return this.agentDefinitions?.get(agent);
+  }
+
   /**
    * Get capability list for Agent
    */
   private getCapabilitiesForAgent(agent: AgentType): TaskCapability[] {
-    const agentCapabilities: Record<AgentType, TaskCapability[]> = {
+    const agentCapabilities: Record<BuiltInAgentType, TaskCapability[]> = {
       'code-reviewer': ['code-review'],
       'test-writer': ['testing'], // Code generation is implicit in testing
       'test-automator': ['testing'],
@@ -216,15 +265,20 @@ export class AgentRouter {
       'marketing-strategist': ['general'],
     };
 
-    return agentCapabilities[agent] || ['general'];
+    return isBuiltInAgentType(agent) ? agentCapabilities[agent] : ['general'];
   }
 
   /**
    * Get fallback Agent
    */
   private getFallbackAgent(primaryAgent: AgentType): AgentType | undefined {
+    const definition = this.getDefinition(primaryAgent);
+    if (definition?.fallback && definition.fallback !== primaryAgent) {
+      return definition.fallback;
+    }
+
     // Define Agent degradation strategy
-    const fallbackMap: Record<AgentType, AgentType | undefined> = {
+    const fallbackMap: Record<BuiltInAgentType, AgentType | undefined> = {
       // Development Agent fallbacks
       'code-reviewer': 'general-agent',
       'test-writer': 'general-agent',
@@ -266,7 +320,10 @@ export class AgentRouter {
       'general-agent': undefined,
     };
 
-    return fallbackMap[primaryAgent];
+    if (isBuiltInAgentType(primaryAgent)) {
+      return fallbackMap[primaryAgent];
+    }
+    return definition ? 'general-agent' : undefined;
   }
 
   /**
@@ -285,7 +342,7 @@ export class AgentRouter {
     reasons.push(`Estimated cost: $${toDollars(analysis.estimatedCost).toFixed(6)}`);
 
     // Agent specialization descriptions
-    const agentDescriptions: Record<AgentType, string> = {
+    const agentDescriptions: Record<BuiltInAgentType, string> = {
       'code-reviewer': 'Specialized in code quality analysis and security review',
       'test-writer': 'Expert in test automation and TDD',
       'test-automator': 'Automated test execution, CI/CD integration, test coverage analysis',
@@ -319,7 +376,10 @@ export class AgentRouter {
       'marketing-strategist': 'Marketing strategy, campaign planning, growth, customer acquisition',
     };
 
-    if (agentDescriptions[selectedAgent]) {
+    const definition = this.getDefinition(selectedAgent);
+    if (definition) {
+      reasons.push(`${definition.description} (defined in ${definition.file})`);
+    } else if (isBuiltInAgentType(selectedAgent)) {
       reasons.push(agentDescriptions[selectedAgent]);
     }
 
@@ -413,14 +473,16 @@ export class AgentRouter {
    *
    * ✅ FIX MAJOR-2: Limit concurrency to prevent resource exhaustion
    */
-  async routeBatch(analyses: TaskAnalysis[]): Promise<RoutingDecision[]> {
+  async routeBatch(analyses: TaskAnalysis[], tasks?: Task[]): Promise<RoutingDecision[]> {
     const CONCURRENCY_LIMIT = 10; // Maximum 10 concurrent routing decisions
     const results: RoutingDecision[] = [];
 
     // Process in batches of CONCURRENCY_LIMIT
     for (let i = 0; i < analyses.length; i += CONCURRENCY_LIMIT) {
       const batch = analyses.slice(i, i + CONCURRENCY_LIMIT);
-      const batchResults = await Promise.all(batch.map(analysis => this.route(analysis)));
+      const batchResults = await Promise.all(
+        batch.map((analysis, j) => this.route(analysis, tasks?.[i + j]))
+      );
       results.push(...batchResults);
     }
 
@@ -0,0 +1,240 @@
+/**
+ * Budget Enforcement Tests
+ *
+ * Daily / per-project / per-agent budgets, threshold alerts, cost reports
+ * and the router's pre-flight downgrade-or-refuse check.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Database from 'better-sqlite3';
+import { Router } from './router.js';
+import { CostTracker } from './CostTracker.js';
+import type { RoutingDecision, TaskAnalysis } from './types.js';
+import { CLAUDE_MODELS } from '../config/models.js';
+import { UIEventBus } from '../ui/UIEventBus.js';
+import type { BudgetAlertEvent } from '../ui/types.js';
+import { CostRecordsRepository } from '../evolution/storage/repositories/CostRecordsRepository.js';
+import { toMicroDollars } from '../utils/money.js';
+
+// 1000 input + 1000 output tokens: Opus 4.5 $0.09, Sonnet 4.5 $0.018, Haiku 4.5 $0.006
+const TOKENS = 1000;
+
+describe('CostTracker budgets', () => {
+  let eventBus: UIEventBus;
+  let alerts: BudgetAlertEvent[];
+
+  beforeEach(() => {
+    eventBus = UIEventBus.getInstance();
+    alerts = [];
+    eventBus.onBudgetAlert((alert) => alerts.push(alert));
+  });
+
+  afterEach(() => {
+    eventBus.removeAllListeners();
+    vi.useRealTimers();
+  });
+
+  function tracker(limits: { monthly?: number; daily?: number; perProject?: number; perAgent?: number }) {
+    return new CostTracker({
+      limits: {
+        monthly: toMicroDollars(limits.monthly ?? 0),
+        daily: toMicroDollars(limits.daily ?? 0),
+        perProject: toMicroDollars(limits.perProject ?? 0),
+        perAgent: toMicroDollars(limits.perAgent ?? 0),
+      },
+      alertThresholds: [0.5, 0.8, 1],
+      eventBus,
+    });
+  }
+
+  it('should check estimates against the tightest applicable budget', () => {
+    const costs = tracker({ monthly: 10, daily: 0.05, perProject: 0.03 });
+    costs.recordCost('t1', CLAUDE_MODELS.SONNET_4_5, TOKENS, TOKENS, { projectId: 'web' });
+
+    const global = costs.checkBudget(toMicroDollars(0.02));
+    expect(global.allowed).toBe(true);
+    expect(global.remaining).toBe(toMicroDollars(0.032));
+    expect(global.budgets.map((b) => b.scope)).toEqual(['monthly', 'daily']);
+
+    const project = costs.checkBudget(toMicroDollars(0.02), { projectId: 'web' });
+    expect(project.allowed).toBe(false);
+    expect(project.exceeded).toMatchObject({ scope: 'project', key: 'web', spent: toMicroDollars(0.018) });
+
+    expect(costs.isWithinBudget(toMicroDollars(0.02), { projectId: 'api' })).toBe(true);
+  });
+
+  it('should treat a limit of 0 as unlimited', () => {
+    const costs = tracker({});
+    expect(costs.checkBudget(toMicroDollars(1000))).toEqual({
+      allowed: true,
+      estimatedCost: toMicroDollars(1000),
+      budgets: [],
+    });
+  });
+
+  it('should count daily spend from midnight', () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(2026, 4, 10, 23, 0));
+    const costs = tracker({ daily: 0.02 });
+    costs.recordCost('yesterday', CLAUDE_MODELS.SONNET_4_5, TOKENS, TOKENS);
+    expect(costs.isWithinBudget(toMicroDollars(0.018))).toBe(false);
+
+    vi.setSystemTime(new Date(2026, 4, 11, 1, 0));
+    expect(costs.isWithinBudget(toMicroDollars(0.018))).toBe(true);
+  });
+
+  it('should alert once per threshold and window', () => {
+    const costs = tracker({ perAgent: 0.04 });
+
+    costs.recordCost('t1', CLAUDE_MODELS.SONNET_4_5, TOKENS, TOKENS, { agent: 'code-reviewer' });
+    expect(alerts).toEqual([]);
+
+    // 0.036 / 0.04 = 90%: crosses 0.5 and 0.8, only the highest is reported
+    costs.recordCost('t2', CLAUDE_MODELS.SONNET_4_5, TOKENS, TOKENS, { agent: 'code-reviewer' });
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({
+      scope: 'agent',
+      key: 'code-reviewer',
+      threshold: 0.8,
+      spent: toMicroDollars(0.036),
+      limit: toMicroDollars(0.04),
+    });
+
+    costs.recordCost('t3', CLAUDE_MODELS.HAIKU_4, 100, 100, { agent: 'code-reviewer' });
+    expect(alerts).toHaveLength(1);
+
+    costs.recordCost('t4', CLAUDE_MODELS.SONNET_4_5, TOKENS, TOKENS, { agent: 'code-reviewer' });
+    expect(alerts.map((a) => a.threshold)).toEqual([0.8, 1]);
+  });
+
+  it('should break down spend by task, model, agent, project and day', () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const costs = tracker({ monthly: 1 });
+
+    vi.setSystemTime(new Date(2026, 4, 1, 12, 0));
+    costs.recordCost('plan', CLAUDE_MODELS.OPUS_4_5, TOKENS, TOKENS, { projectId: 'web', agent: 'architect' });
+    vi.setSystemTime(new Date(2026, 4, 9, 12, 0));
+    costs.recordCost('fix', CLAUDE_MODELS.SONNET_4_5, TOKENS, TOKENS, { projectId: 'web', agent: 'debugger' });
+    costs.recordCost('fix', CLAUDE_MODELS.HAIKU_4_5, TOKENS, TOKENS, { projectId: 'api', agent: 'debugger' });
+    vi.setSystemTime(new Date(2026, 4, 10, 9, 0));
+
+    const month = costs.getReport();
+    expect(month.window).toBe('month');
+    expect(month.totalCost).toBe(toMicroDollars(0.114));
+    expect(month.recordCount).toBe(3);
+    expect(month.byTask).toEqual([
+      { taskId: 'plan', cost: toMicroDollars(0.09), records: 1, models: [CLAUDE_MODELS.OPUS_4_5] },
+      { taskId: 'fix', cost: toMicroDollars(0.024), records: 2, models: [CLAUDE_MODELS.SONNET_4_5, CLAUDE_MODELS.HAIKU_4_5] },
+    ]);
+    expect(month.byAgent).toEqual({ architect: toMicroDollars(0.09), debugger: toMicroDollars(0.024) });
+    expect(month.byProject).toEqual({ web: toMicroDollars(0.108), api: toMicroDollars(0.006) });
+    expect(month.byDay).toEqual([
+      { date: '2026-05-01', cost: toMicroDollars(0.09) },
+      { date: '2026-05-09', cost: toMicroDollars(0.024) },
+    ]);
+    expect(month.budgets).toEqual([
+      { scope: 'monthly', limit: toMicroDollars(1), spent: toMicroDollars(0.114), remaining: toMicroDollars(0.886) },
+    ]);
+
+    const week = costs.getReport({ window: 'week', projectId: 'web' });
+    expect(week.byModel).toEqual({ [CLAUDE_MODELS.SONNET_4_5]: toMicroDollars(0.018) });
+    expect(costs.getReport({ window: 'day' }).recordCount).toBe(0);
+    expect(costs.getReport({ taskLimit: 1 }).byTask.map((t) => t.taskId)).toEqual(['plan']);
+  });
+});
+
+describe('CostRecordsRepository project and agent columns', () => {
+  it('should add the columns to existing tables and round-trip them', () => {
+    const db = new Database(':memory:');
+    db.exec(`
+      CREATE TABLE cost_records (
+        id TEXT PRIMARY KEY,
+        timestamp DATETIME NOT NULL,
+        task_id TEXT NOT NULL,
+        model_name TEXT NOT NULL,
+        input_tokens INTEGER NOT NULL,
+        output_tokens INTEGER NOT NULL,
+        cost_micro INTEGER NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    const repository = new CostRecordsRepository(db);
+    repository.ensureSchema();
+    repository.ensureSchema();
+
+    const costs = new CostTracker({ repository, limits: { perProject: toMicroDollars(1) } });
+    costs.recordCost('t1', CLAUDE_MODELS.SONNET_4_5, TOKENS, TOKENS, { projectId: 'web', agent: 'debugger' });
+
+    expect(repository.getAll()[0]).toMatchObject({ taskId: 't1', projectId: 'web', agent: 'debugger' });
+
+    const reloaded = new CostTracker({ repository, limits: { perProject: toMicroDollars(1) } });
+    expect(reloaded.getBudgetStatus({ projectId: 'web' }).find((b) => b.scope === 'project')?.spent)
+      .toBe(toMicroDollars(0.018));
+    db.close();
+  });
+});
+
+describe('Router budget pre-flight', () => {
+  const task = { id: 'task-1', description: 'Design the sync protocol', metadata: { projectId: 'web' } };
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  function routerWithOpusRouting(): Router {
+    const router = new Router();
+    const analysis: TaskAnalysis = {
+      taskId: task.id,
+      taskType: task.description,
+      complexity: 'complex',
+      estimatedTokens: TOKENS,
+      estimatedCost: toMicroDollars(0.09),
+      requiredCapabilities: [],
+      executionMode: 'sequential',
+      reasoning: '',
+    };
+    const routing: RoutingDecision = {
+      taskId: task.id,
+      selectedAgent: 'general-agent',
+      enhancedPrompt: { systemPrompt: '', userPrompt: '', suggestedModel: CLAUDE_MODELS.OPUS_4_5 },
+      reasoning: 'Complex task',
+      estimatedCost: toMicroDollars(0.09),
+    };
+    vi.spyOn(router.getAnalyzer(), 'analyze').mockResolvedValue(analysis);
+    vi.spyOn(router.getRouter(), 'route').mockResolvedValue(routing);
+    return router;
+  }
+
+  it('should keep the suggested model when it fits', async () => {
+    const result = await routerWithOpusRouting().routeTask(task);
+
+    expect(result.approved).toBe(true);
+    expect(result.downgradedFrom).toBeUndefined();
+    expect(result.routing.enhancedPrompt.suggestedModel).toBe(CLAUDE_MODELS.OPUS_4_5);
+  });
+
+  it('should downgrade to the most capable model that fits', async () => {
+    vi.stubEnv('MEMESH_BUDGET_DAILY_USD', '0.05');
+    const sonnet = await routerWithOpusRouting().routeTask(task);
+
+    expect(sonnet.approved).toBe(true);
+    expect(sonnet.downgradedFrom).toBe(CLAUDE_MODELS.OPUS_4_5);
+    expect(sonnet.routing.enhancedPrompt.suggestedModel).toBe(CLAUDE_MODELS.SONNET_4_5);
+    expect(sonnet.routing.estimatedCost).toBe(toMicroDollars(0.018));
+    expect(sonnet.message).toContain('downgraded');
+
+    vi.stubEnv('MEMESH_BUDGET_PROJECT_USD', '0.01');
+    const haiku = await routerWithOpusRouting().routeTask(task);
+    expect(haiku.routing.enhancedPrompt.suggestedModel).toBe(CLAUDE_MODELS.HAIKU_4_5);
+  });
+
+  it('should refuse tasks that no model can afford', async () => {
+    vi.stubEnv('MEMESH_BUDGET_AGENT_USD', '0.001');
+    const result = await routerWithOpusRouting().routeTask(task);
+
+    expect(result.approved).toBe(false);
+    expect(result.budget.exceeded).toMatchObject({ scope: 'agent', key: 'general-agent' });
+    expect(result.message).toContain('exceeds remaining agent (general-agent) budget');
+    expect(result.routing.enhancedPrompt.suggestedModel).toBe(CLAUDE_MODELS.OPUS_4_5);
+  });
+});
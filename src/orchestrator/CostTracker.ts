@@ -4,16 +4,28 @@
  * Features:
  * - Track cost of each task
  * - Calculate cumulative cost
- * - Budget alerts
- * - Cost report generation
+ * - Monthly, daily, per-project and per-agent budgets
+ * - Pre-flight budget checks (checkBudget)
+ * - Threshold alerts via UIEventBus (once per threshold and budget window)
+ * - Cost report generation (text and structured breakdowns)
  * - SQLite persistence (data no longer lost on restart!)
  *
  * Use integer arithmetic (micro-dollars) to avoid floating-point precision errors
  */
 
-import { CostRecord, CostStats } from './types.js';
+import type {
+  BudgetCheck,
+  BudgetLimits,
+  BudgetStatus,
+  CostContext,
+  CostRecord,
+  CostReport,
+  CostReportWindow,
+  CostStats,
+} from './types.js';
 import { MODEL_COSTS } from '../config/models.js';
 import { appConfig } from '../config/index.js';
+import { SimpleConfig } from '../config/simple-config.js';
 import {
   type MicroDollars,
   toMicroDollars,
@@ -24,19 +36,56 @@ import {
 } from '../utils/money.js';
 import { logger } from '../utils/logger.js';
 import { CostRecordsRepository } from '../evolution/storage/repositories/CostRecordsRepository.js';
+import { UIEventBus } from '../ui/UIEventBus.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Options for getReport()
+ */
+export interface CostReportOptions {
+  /** Time window (default: 'month') */
+  window?: CostReportWindow;
+  /** Only include costs of this project */
+  projectId?: string;
+  /** Only include costs of this agent */
+  agent?: string;
+  /** Maximum number of tasks in byTask (default: 20) */
+  taskLimit?: number;
+}
 
 export class CostTracker {
   private costs: CostRecord[] = [];
-  /** Monthly budget in micro-dollars (μUSD) */
-  private monthlyBudget: MicroDollars;
-  private alertThreshold: number;
+  /** Budget limits in micro-dollars (μUSD); 0 = no limit */
+  private limits: BudgetLimits;
+  /** Usage fractions that raise alerts, ascending */
+  private alertThresholds: number[];
+  /** Alerts already raised, keyed by budget, window and threshold */
+  private raisedAlerts = new Set<string>();
+  private eventBus: UIEventBus;
   // SQLite persistence repository (optional - graceful degradation if not provided)
   private repository?: CostRecordsRepository;
 
-  constructor(config?: { repository?: CostRecordsRepository }) {
-    // Convert USD budget to micro-dollars for precise tracking
-    this.monthlyBudget = toMicroDollars(appConfig.costs.monthlyBudget);
-    this.alertThreshold = appConfig.costs.alertThreshold;
+  constructor(config?: {
+    repository?: CostRecordsRepository;
+    /** Budget limits in micro-dollars (default: MONTHLY_BUDGET_USD and MEMESH_BUDGET_* settings) */
+    limits?: Partial<BudgetLimits>;
+    /** Usage fractions that raise alerts (default: COST_ALERT_THRESHOLD and MEMESH_BUDGET_ALERT_THRESHOLDS) */
+    alertThresholds?: number[];
+    eventBus?: UIEventBus;
+  }) {
+    // Convert USD budgets to micro-dollars for precise tracking
+    this.limits = {
+      monthly: toMicroDollars(appConfig.costs.monthlyBudget),
+      daily: toMicroDollars(SimpleConfig.BUDGET_DAILY_USD),
+      perProject: toMicroDollars(SimpleConfig.BUDGET_PROJECT_USD),
+      perAgent: toMicroDollars(SimpleConfig.BUDGET_AGENT_USD),
+      ...config?.limits,
+    };
+    const thresholds = config?.alertThresholds
+      ?? [appConfig.costs.alertThreshold, ...SimpleConfig.BUDGET_ALERT_THRESHOLDS];
+    this.alertThresholds = [...new Set(thresholds.filter((t) => t > 0))].sort((a, b) => a - b);
+    this.eventBus = config?.eventBus ?? UIEventBus.getInstance();
     this.repository = config?.repository;
 
     // If repository provided, ensure schema and load existing records
@@ -45,7 +94,7 @@ export class CostTracker {
         this.repository.ensureSchema();
         this.loadFromRepository();
         logger.info('CostTracker initialized with SQLite persistence', {
-          monthlyBudget: formatMoney(this.monthlyBudget),
+          monthlyBudget: formatMoney(this.limits.monthly),
           loadedRecords: this.costs.length,
         });
       } catch (error) {
@@ -56,7 +105,7 @@ export class CostTracker {
       }
     } else {
       logger.info('CostTracker initialized (in-memory only)', {
-        monthlyBudget: formatMoney(this.monthlyBudget),
+        monthlyBudget: formatMoney(this.limits.monthly),
       });
     }
   }
@@ -67,10 +116,11 @@ export class CostTracker {
   private loadFromRepository(): void {
     if (!this.repository) return;
 
-    // Load current month's records (for stats calculations)
+    // Load current month's records (for stats calculations), and at least
+    // the last week's (for weekly reports early in the month)
     const now = new Date();
-    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-    const records = this.repository.getByTimeRange(monthStart, now);
+    const since = new Date(Math.min(startOfMonth(now).getTime(), now.getTime() - 7 * DAY_MS));
+    const records = this.repository.getByTimeRange(since, now);
 
     // Convert repository records to CostRecord format
     for (const record of records) {
@@ -81,25 +131,29 @@ export class CostTracker {
         inputTokens: record.inputTokens,
         outputTokens: record.outputTokens,
         cost: record.cost,
+        ...(record.projectId ? { projectId: record.projectId } : {}),
+        ...(record.agent ? { agent: record.agent } : {}),
       });
     }
 
     logger.debug('Loaded cost records from SQLite', {
       recordCount: records.length,
-      monthStart: monthStart.toISOString(),
+      since: since.toISOString(),
     });
   }
 
   /**
    * Record task cost
    *
+   * @param context - Project and agent the cost is attributed to
    * @returns Cost in micro-dollars (μUSD)
    */
   recordCost(
     taskId: string,
     modelName: string,
     inputTokens: number,
-    outputTokens: number
+    outputTokens: number,
+    context: CostContext = {}
   ): MicroDollars {
     const cost = this.calculateCost(modelName, inputTokens, outputTokens);
 
@@ -110,6 +164,8 @@ export class CostTracker {
       inputTokens,
       outputTokens,
       cost,
+      ...(context.projectId ? { projectId: context.projectId } : {}),
+      ...(context.agent ? { agent: context.agent } : {}),
     };
 
     this.costs.push(record);
@@ -127,11 +183,20 @@ export class CostTracker {
     }
 
     // Check if budget warning threshold exceeded
-    this.checkBudgetAlert();
+    this.checkBudgetAlert(context);
 
     return cost;
   }
 
+  /**
+   * Estimate the cost of a call before making it
+   *
+   * @returns Cost in micro-dollars (μUSD)
+   */
+  estimateCost(modelName: string, inputTokens: number, outputTokens: number): MicroDollars {
+    return this.calculateCost(modelName, inputTokens, outputTokens);
+  }
+
   /**
    * Calculate cost for specific model (using integer arithmetic)
    *
@@ -172,8 +237,7 @@ export class CostTracker {
    * Get cost statistics (using integer arithmetic)
    */
   getStats(): CostStats {
-    const now = new Date();
-    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+    const monthStart = startOfMonth(new Date());
 
     // Filter this month costs
     const monthlyCosts = this.costs.filter(
@@ -198,7 +262,7 @@ export class CostTracker {
       return acc;
     }, {} as Record<string, MicroDollars>);
 
-    const remainingBudget = (this.monthlyBudget - totalCost) as MicroDollars;
+    const remainingBudget = (this.limits.monthly - totalCost) as MicroDollars;
 
     return {
       totalCost,
@@ -211,22 +275,117 @@ export class CostTracker {
   }
 
   /**
-   * Check budget warning
+   * Spend against every limited budget that applies to a context
+   *
+   * Monthly and daily budgets always apply (when set); project and agent
+   * budgets apply when the context names a project or agent.
    */
-  private checkBudgetAlert(): void {
-    const stats = this.getStats();
-    const budgetUsagePercent = calculateBudgetPercentage(
-      stats.monthlySpend,
-      this.monthlyBudget
-    ) / 100;
+  getBudgetStatus(context: CostContext = {}): BudgetStatus[] {
+    const now = new Date();
+    const monthStart = startOfMonth(now);
+    const budgets: BudgetStatus[] = [];
+
+    const add = (
+      scope: BudgetStatus['scope'],
+      limit: MicroDollars,
+      since: Date,
+      key?: string,
+      matches: (record: CostRecord) => boolean = () => true
+    ): void => {
+      if (limit <= 0) return;
+      const spent = this.sumCosts(
+        this.costs.filter(record => record.timestamp >= since && matches(record))
+      );
+      budgets.push({
+        scope,
+        ...(key !== undefined ? { key } : {}),
+        limit,
+        spent,
+        remaining: (limit - spent) as MicroDollars,
+      });
+    };
+
+    add('monthly', this.limits.monthly, monthStart);
+    add('daily', this.limits.daily, startOfDay(now));
+    if (context.projectId) {
+      add('project', this.limits.perProject, monthStart, context.projectId,
+        record => record.projectId === context.projectId);
+    }
+    if (context.agent) {
+      add('agent', this.limits.perAgent, monthStart, context.agent,
+        record => record.agent === context.agent);
+    }
+
+    return budgets;
+  }
+
+  /**
+   * Pre-flight check of an estimated cost against all applicable budgets
+   *
+   * @param estimatedCost - Estimated cost in micro-dollars (μUSD)
+   * @param context - Project and agent the task is attributed to
+   */
+  checkBudget(estimatedCost: MicroDollars, context: CostContext = {}): BudgetCheck {
+    const budgets = this.getBudgetStatus(context);
+
+    let tightest: BudgetStatus | undefined;
+    for (const budget of budgets) {
+      if (!tightest || budget.remaining < tightest.remaining) {
+        tightest = budget;
+      }
+    }
+
+    const allowed = !tightest || estimatedCost <= tightest.remaining;
+    return {
+      allowed,
+      estimatedCost,
+      ...(tightest ? { remaining: tightest.remaining } : {}),
+      ...(!allowed && tightest ? { exceeded: tightest } : {}),
+      budgets,
+    };
+  }
+
+  /**
+   * Raise alerts for budgets whose usage crossed a threshold
+   *
+   * Each threshold alerts once per budget window (day or month). When a
+   * single cost crosses several thresholds, only the highest is reported.
+   */
+  private checkBudgetAlert(context: CostContext = {}): void {
+    const now = new Date();
+
+    for (const budget of this.getBudgetStatus(context)) {
+      const usage = budget.spent / budget.limit;
+      const windowId = budget.scope === 'daily' ? localDate(now) : localDate(now).slice(0, 7);
+      const alertKey = (threshold: number) =>
+        `${budget.scope}:${budget.key ?? ''}:${windowId}:${threshold}`;
+
+      const crossed = this.alertThresholds.filter(
+        threshold => usage >= threshold && !this.raisedAlerts.has(alertKey(threshold))
+      );
+      if (crossed.length === 0) continue;
+
+      crossed.forEach(threshold => this.raisedAlerts.add(alertKey(threshold)));
+      const threshold = crossed[crossed.length - 1];
+      const label = budget.key ? `${budget.scope} (${budget.key})` : budget.scope;
 
-    if (budgetUsagePercent >= this.alertThreshold) {
       logger.warn(
         `\n⚠️  BUDGET ALERT ⚠️\n` +
-        `Monthly spend: ${formatMoney(stats.monthlySpend, 2)} / ${formatMoney(this.monthlyBudget, 2)}\n` +
-        `Usage: ${(budgetUsagePercent * 100).toFixed(1)}%\n` +
-        `Remaining: ${formatMoney(stats.remainingBudget, 2)}\n`
+        `Budget: ${label}\n` +
+        `Spend: ${formatMoney(budget.spent, 2)} / ${formatMoney(budget.limit, 2)}\n` +
+        `Usage: ${(usage * 100).toFixed(1)}%\n` +
+        `Remaining: ${formatMoney(budget.remaining, 2)}\n`
       );
+
+      this.eventBus.emitBudgetAlert({
+        scope: budget.scope,
+        ...(budget.key !== undefined ? { key: budget.key } : {}),
+        threshold,
+        spent: budget.spent,
+        limit: budget.limit,
+        usage,
+        timestamp: now,
+      });
     }
   }
 
@@ -236,14 +395,9 @@ export class CostTracker {
    * @returns Cost in micro-dollars (μUSD)
    */
   getCostByDateRange(startDate: Date, endDate: Date): MicroDollars {
-    const filtered = this.costs.filter(
+    return this.sumCosts(this.costs.filter(
       record => record.timestamp >= startDate && record.timestamp <= endDate
-    );
-
-    return filtered.reduce(
-      (sum, record) => (sum + record.cost) as MicroDollars,
-      0 as MicroDollars
-    );
+    ));
   }
 
   /**
@@ -252,11 +406,70 @@ export class CostTracker {
    * @returns Cost in micro-dollars (μUSD)
    */
   getCostByTask(taskId: string): MicroDollars {
-    const taskCosts = this.costs.filter(record => record.taskId === taskId);
-    return taskCosts.reduce(
-      (sum, record) => (sum + record.cost) as MicroDollars,
-      0 as MicroDollars
+    return this.sumCosts(this.costs.filter(record => record.taskId === taskId));
+  }
+
+  /**
+   * Spend breakdown by task, model, agent, project and day
+   *
+   * Covers the records held by the tracker (the current month plus at
+   * least the last 7 days when loaded from SQLite).
+   */
+  getReport(options: CostReportOptions = {}): CostReport {
+    const window = options.window ?? 'month';
+    const until = new Date();
+    const since = windowStart(window, until);
+
+    const records = this.costs.filter(record =>
+      (!since || record.timestamp >= since) &&
+      record.timestamp <= until &&
+      (!options.projectId || record.projectId === options.projectId) &&
+      (!options.agent || record.agent === options.agent)
     );
+
+    const tasks = new Map<string, { cost: MicroDollars; records: number; models: Set<string> }>();
+    const byModel: Record<string, MicroDollars> = {};
+    const byAgent: Record<string, MicroDollars> = {};
+    const byProject: Record<string, MicroDollars> = {};
+    const byDay = new Map<string, MicroDollars>();
+
+    const addTo = (totals: Record<string, MicroDollars>, key: string, cost: MicroDollars): void => {
+      totals[key] = ((totals[key] ?? 0) + cost) as MicroDollars;
+    };
+
+    for (const record of records) {
+      const task = tasks.get(record.taskId) ?? { cost: 0 as MicroDollars, records: 0, models: new Set<string>() };
+      task.cost = (task.cost + record.cost) as MicroDollars;
+      task.records++;
+      task.models.add(record.modelName);
+      tasks.set(record.taskId, task);
+
+      addTo(byModel, record.modelName, record.cost);
+      if (record.agent) addTo(byAgent, record.agent, record.cost);
+      if (record.projectId) addTo(byProject, record.projectId, record.cost);
+
+      const day = localDate(record.timestamp);
+      byDay.set(day, ((byDay.get(day) ?? 0) + record.cost) as MicroDollars);
+    }
+
+    return {
+      window,
+      ...(since ? { since } : {}),
+      until,
+      totalCost: this.sumCosts(records),
+      recordCount: records.length,
+      byTask: [...tasks.entries()]
+        .map(([taskId, task]) => ({ taskId, cost: task.cost, records: task.records, models: [...task.models] }))
+        .sort((a, b) => b.cost - a.cost)
+        .slice(0, options.taskLimit ?? 20),
+      byModel,
+      byAgent,
+      byProject,
+      byDay: [...byDay.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, cost]) => ({ date, cost })),
+      budgets: this.getBudgetStatus({ projectId: options.projectId, agent: options.agent }),
+    };
   }
 
   /**
@@ -266,7 +479,7 @@ export class CostTracker {
     const stats = this.getStats();
     const budgetUsagePercent = calculateBudgetPercentage(
       stats.monthlySpend,
-      this.monthlyBudget
+      this.limits.monthly
     );
 
     const lines = [
@@ -277,7 +490,7 @@ export class CostTracker {
       `Total Cost: ${formatMoney(stats.totalCost)}`,
       `Average Cost/Task: ${formatMoney(stats.averageCostPerTask)}`,
       '',
-      `Monthly Budget: ${formatMoney(this.monthlyBudget, 2)}`,
+      `Monthly Budget: ${formatMoney(this.limits.monthly, 2)}`,
       `Monthly Spend: ${formatMoney(stats.monthlySpend)}`,
       `Remaining Budget: ${formatMoney(stats.remainingBudget)}`,
       `Budget Usage: ${budgetUsagePercent.toFixed(1)}%`,
@@ -325,12 +538,10 @@ export class CostTracker {
    * Check if within budget
    *
    * @param estimatedCost - Estimated cost in micro-dollars (μUSD)
+   * @param context - Project and agent the task is attributed to
    */
-  isWithinBudget(estimatedCost: MicroDollars): boolean {
-    const stats = this.getStats();
-    const projectedSpend = (stats.monthlySpend + estimatedCost) as MicroDollars;
-
-    return projectedSpend <= this.monthlyBudget;
+  isWithinBudget(estimatedCost: MicroDollars, context: CostContext = {}): boolean {
+    return this.checkBudget(estimatedCost, context).allowed;
   }
 
   /**
@@ -340,7 +551,7 @@ export class CostTracker {
     const stats = this.getStats();
     const budgetUsagePercent = calculateBudgetPercentage(
       stats.monthlySpend,
-      this.monthlyBudget
+      this.limits.monthly
     );
 
     if (budgetUsagePercent < 50) {
@@ -353,4 +564,41 @@ export class CostTracker {
       return '❌ Budget exceeded! Switch to Haiku-only mode or pause operations.';
     }
   }
+
+  private sumCosts(records: CostRecord[]): MicroDollars {
+    return records.reduce(
+      (sum, record) => (sum + record.cost) as MicroDollars,
+      0 as MicroDollars
+    );
+  }
+}
+
+function startOfMonth(date: Date): Date {
+  return new Date(date.getFullYear(), date.getMonth(), 1);
+}
+
+function startOfDay(date: Date): Date {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Local calendar date as YYYY-MM-DD
+ */
+function localDate(date: Date): string {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function windowStart(window: CostReportWindow, now: Date): Date | undefined {
+  switch (window) {
+    case 'day':
+      return startOfDay(now);
+    case 'week':
+      return new Date(now.getTime() - 7 * DAY_MS);
+    case 'month':
+      return startOfMonth(now);
+    case 'all':
+      return undefined;
+  }
 }
@@ -25,7 +25,7 @@
 
 import Anthropic from '@anthropic-ai/sdk';
 import { Task, TaskAnalysis, RoutingDecision } from './types.js';
-import { Router } from './router.js';
+import { Router, costContextFor } from './router.js';
 import { appConfig } from '../config/index.js';
 import { GlobalResourcePool } from './GlobalResourcePool.js';
 import { ProgressReporter } from '../mcp/ProgressReporter.js';
@@ -114,7 +114,7 @@ export class Orchestrator {
       }
 
       // Step 1: Route task
-      const { analysis, routing, approved, message } = await this.router.routeTask(task);
+      const { analysis, routing, approved, message, budget, downgradedFrom } = await this.router.routeTask(task);
 
       if (!approved) {
         throw new ValidationError(
@@ -125,11 +125,18 @@ export class Orchestrator {
             taskId: task.id,
             taskDescription: task.description,
             blockReason: message,
+            estimatedCost: budget.estimatedCost,
+            remainingBudget: budget.remaining,
+            exceededBudget: budget.exceeded?.scope,
             constraint: 'task must be approved by router',
           }
         );
       }
 
+      if (downgradedFrom !== undefined) {
+        logger.info(`💸 Budget: downgraded from ${downgradedFrom} to ${routing.enhancedPrompt.suggestedModel}`);
+      }
+
       logger.info(`\n🎯 Executing task: ${task.id}`);
       logger.info(`📊 Complexity: ${analysis.complexity}`);
       const capabilitySummary = analysis.requiredCapabilities.length > 0
@@ -158,7 +165,8 @@ export class Orchestrator {
         task.id,
         modelToUse,
         response.usage.input_tokens,
-        response.usage.output_tokens
+        response.usage.output_tokens,
+        costContextFor(task, routing.selectedAgent)
       );
 
       const executionTimeMs = Date.now() - startTime;
@@ -2,16 +2,38 @@
  * Router - Unified Routing Interface
  *
  * Provides high-level routing functionality, integrating TaskAnalyzer and AgentRouter
+ *
+ * Every routed task gets a pre-flight budget check. When the estimate would
+ * exceed a budget, the task is downgraded to a cheaper model (selectClaudeModel
+ * for a lower complexity) if that fits, and refused otherwise.
  */
 
-import { Task, TaskAnalysis, RoutingDecision } from './types.js';
+import type { AgentDefinitionSource } from '../prompts/AgentDefinitions.js';
+import type { Task, TaskAnalysis, TaskComplexity, RoutingDecision, BudgetCheck, CostContext } from './types.js';
 import { TaskAnalyzer } from './TaskAnalyzer.js';
 import { AgentRouter } from './AgentRouter.js';
 import { CostTracker } from './CostTracker.js';
 import { PerformanceTracker } from '../evolution/PerformanceTracker.js';
 import { LearningManager } from '../evolution/LearningManager.js';
+import { selectClaudeModel } from '../config/models.js';
 import { formatMoney, type MicroDollars } from '../utils/money.js';
 
+/** Complexities from most to least expensive model */
+const COMPLEXITY_ORDER: TaskComplexity[] = ['complex', 'medium', 'simple'];
+
+/**
+ * Project and agent a task's cost is attributed to
+ *
+ * The project comes from `task.metadata.projectId`.
+ */
+export function costContextFor(task: Task, agent?: string): CostContext {
+  const projectId = task.metadata?.projectId;
+  return {
+    ...(typeof projectId === 'string' && projectId ? { projectId } : {}),
+    ...(agent ? { agent } : {}),
+  };
+}
+
 export class Router {
   private analyzer: TaskAnalyzer;
   private router: AgentRouter;
@@ -21,9 +43,12 @@ export class Router {
   private performanceTracker: PerformanceTracker;
   private learningManager: LearningManager;
 
-  constructor() {
+  /**
+   * @param agentDefinitions - User-defined agents to route to alongside the built-in ones
+   */
+  constructor(agentDefinitions?: AgentDefinitionSource) {
     this.analyzer = new TaskAnalyzer();
-    this.router = new AgentRouter();
+    this.router = new AgentRouter(agentDefinitions);
     this.costTracker = new CostTracker();
 
     // Initialize evolution system
@@ -33,13 +58,18 @@ export class Router {
 
 
   /**
-   * Complete task routing flow: analysis → routing → cost check
+   * Complete task routing flow: analysis → routing → budget check
+   *
+   * If the estimate exceeds a budget, the routing is switched to the most
+   * capable cheaper model that fits (`downgradedFrom` names the original).
    */
   async routeTask(task: Task): Promise<{
     analysis: TaskAnalysis;
     routing: RoutingDecision;
     approved: boolean;
     message: string;
+    budget: BudgetCheck;
+    downgradedFrom?: string;
   }> {
     const startTime = Date.now();
 
@@ -47,10 +77,25 @@ export class Router {
     const analysis = await this.analyzer.analyze(task);
 
     // Step 2: Route to Agent
-    const routing = await this.router.route(analysis);
+    const routing = await this.router.route(analysis, task);
+
+    // Step 3: Check budget, downgrading the model if that keeps the task within it
+    const context = costContextFor(task, routing.selectedAgent);
+    let budget = this.costTracker.checkBudget(routing.estimatedCost, context);
+    let downgradedFrom: string | undefined;
 
-    // Step 3: Check budget
-    const approved = this.costTracker.isWithinBudget(routing.estimatedCost);
+    if (!budget.allowed) {
+      const downgrade = this.findAffordableModel(analysis, routing, context);
+      if (downgrade) {
+        downgradedFrom = routing.enhancedPrompt.suggestedModel ?? 'default model';
+        budget = downgrade.budget;
+        routing.enhancedPrompt = { ...routing.enhancedPrompt, suggestedModel: downgrade.model };
+        routing.estimatedCost = downgrade.budget.estimatedCost;
+        routing.reasoning += `\nDowngraded to ${downgrade.model} to stay within the ${downgrade.exceededScope} budget`;
+      }
+    }
+
+    const approved = budget.allowed;
 
     const duration = Date.now() - startTime;
 
@@ -67,18 +112,55 @@ export class Router {
       },
     });
 
-    const message = approved
-      ? `✅ Task routed to ${routing.selectedAgent}`
-      : `❌ Task blocked: Estimated cost ${formatMoney(routing.estimatedCost)} exceeds budget`;
+    let message: string;
+    if (!approved) {
+      const exceeded = budget.exceeded;
+      const budgetName = exceeded?.key ? `${exceeded.scope} (${exceeded.key})` : exceeded?.scope ?? 'monthly';
+      message = `❌ Task blocked: Estimated cost ${formatMoney(routing.estimatedCost)} exceeds remaining ` +
+        `${budgetName} budget ${formatMoney(Math.max(0, budget.remaining ?? 0) as MicroDollars)}`;
+    } else if (downgradedFrom !== undefined) {
+      message = `✅ Task routed to ${routing.selectedAgent} (downgraded to ${routing.enhancedPrompt.suggestedModel} to stay within budget)`;
+    } else {
+      message = `✅ Task routed to ${routing.selectedAgent}`;
+    }
 
     return {
       analysis,
       routing,
       approved,
       message,
+      budget,
+      ...(downgradedFrom !== undefined ? { downgradedFrom } : {}),
     };
   }
 
+  /**
+   * Find the most capable cheaper model whose estimate fits all budgets
+   */
+  private findAffordableModel(
+    analysis: TaskAnalysis,
+    routing: RoutingDecision,
+    context: CostContext
+  ): { model: string; budget: BudgetCheck; exceededScope: string } | undefined {
+    const exceededScope = this.costTracker.checkBudget(routing.estimatedCost, context).exceeded?.scope ?? 'monthly';
+    const cheaper = COMPLEXITY_ORDER.slice(COMPLEXITY_ORDER.indexOf(analysis.complexity) + 1);
+
+    for (const complexity of cheaper) {
+      const model = selectClaudeModel(complexity);
+      if (model === routing.enhancedPrompt.suggestedModel) continue;
+
+      const estimate = this.costTracker.estimateCost(model, analysis.estimatedTokens, analysis.estimatedTokens);
+      if (estimate >= routing.estimatedCost) continue;
+
+      const budget = this.costTracker.checkBudget(estimate, context);
+      if (budget.allowed) {
+        return { model, budget, exceededScope };
+      }
+    }
+
+    return undefined;
+  }
+
   /**
    * Batch route multiple tasks
    */
@@ -92,11 +174,14 @@ export class Router {
     approved: boolean;
   }> {
     const analyses = await this.analyzer.analyzeBatch(tasks);
-    const routings = await this.router.routeBatch(analyses);
+    const routings = await this.router.routeBatch(analyses, tasks);
 
     const results = analyses.map((analysis, i) => {
       const routing = routings[i];
-      const approved = this.costTracker.isWithinBudget(routing.estimatedCost);
+      const approved = this.costTracker.isWithinBudget(
+        routing.estimatedCost,
+        costContextFor(tasks[i], routing.selectedAgent)
+      );
 
       return { analysis, routing, approved };
     });
@@ -121,9 +206,10 @@ export class Router {
     taskId: string,
     modelName: string,
     inputTokens: number,
-    outputTokens: number
+    outputTokens: number,
+    context: CostContext = {}
   ): MicroDollars {
-    return this.costTracker.recordCost(taskId, modelName, inputTokens, outputTokens);
+    return this.costTracker.recordCost(taskId, modelName, inputTokens, outputTokens, context);
   }
 
   /**
@@ -13,9 +13,9 @@ export type TaskComplexity = 'simple' | 'medium' | 'complex';
 export type ExecutionMode = 'sequential' | 'parallel';
 
 /**
- * Agent Types (Specialized Agents for MCP Server)
+ * Built-in Agent Types (Specialized Agents for MCP Server)
  */
-export type AgentType =
+export type BuiltInAgentType =
   // Development Agents
   | 'code-reviewer'
   | 'test-writer'
@@ -67,6 +67,12 @@ export type AgentType =
   // General Agent (fallback)
   | 'general-agent';
 
+/**
+ * Agent Types: built-in agents, or user-defined agents loaded from
+ * agent definition files (see prompts/AgentDefinitions.ts)
+ */
+export type AgentType = BuiltInAgentType | (string & {});
+
 /**
  * Task Capability Requirements (for Agent Routing)
  */
@@ -233,6 +239,86 @@ export interface CostRecord {
   outputTokens: number;
   /** Cost in micro-dollars (μUSD) - integer for precision */
   cost: MicroDollars;
+  /** Project the task belongs to (for per-project budgets) */
+  projectId?: string;
+  /** Agent that ran the task (for per-agent budgets) */
+  agent?: string;
+}
+
+/**
+ * Who a cost is attributed to, for per-project and per-agent budgets
+ */
+export interface CostContext {
+  projectId?: string;
+  agent?: string;
+}
+
+/**
+ * Budget Scope
+ * - monthly: all spend this calendar month
+ * - daily: all spend today
+ * - project: spend of one project this month
+ * - agent: spend of one agent this month
+ */
+export type BudgetScope = 'monthly' | 'daily' | 'project' | 'agent';
+
+/**
+ * Budget limits in micro-dollars (μUSD); 0 means no limit
+ */
+export interface BudgetLimits {
+  monthly: MicroDollars;
+  daily: MicroDollars;
+  perProject: MicroDollars;
+  perAgent: MicroDollars;
+}
+
+/**
+ * Spend against one budget
+ */
+export interface BudgetStatus {
+  scope: BudgetScope;
+  /** Project or agent name for per-project / per-agent budgets */
+  key?: string;
+  limit: MicroDollars;
+  spent: MicroDollars;
+  remaining: MicroDollars;
+}
+
+/**
+ * Result of a pre-flight budget check
+ */
+export interface BudgetCheck {
+  allowed: boolean;
+  estimatedCost: MicroDollars;
+  /** Smallest remaining amount across applicable budgets (undefined if none is limited) */
+  remaining?: MicroDollars;
+  /** Budget the estimate would exceed */
+  exceeded?: BudgetStatus;
+  budgets: BudgetStatus[];
+}
+
+/**
+ * Time window of a cost report
+ */
+export type CostReportWindow = 'day' | 'week' | 'month' | 'all';
+
+/**
+ * Spend breakdown returned by CostTracker.getReport()
+ */
+export interface CostReport {
+  window: CostReportWindow;
+  since?: Date;
+  until: Date;
+  totalCost: MicroDollars;
+  recordCount: number;
+  /** Tasks, most expensive first */
+  byTask: Array<{ taskId: string; cost: MicroDollars; records: number; models: string[] }>;
+  byModel: Record<string, MicroDollars>;
+  byAgent: Record<string, MicroDollars>;
+  byProject: Record<string, MicroDollars>;
+  /** Spend per calendar day (YYYY-MM-DD, local time), oldest first */
+  byDay: Array<{ date: string; cost: MicroDollars }>;
+  budgets: BudgetStatus[];
 }
 
 /**
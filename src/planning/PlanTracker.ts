@@ -0,0 +1,596 @@
+/**
+ * PlanTracker - Persistent, trackable plans built by TaskDecomposer
+ *
+ * A plan lives in the knowledge graph, so every session sees the same
+ * "what's left":
+ * - one `plan` entity (`Plan: <id>`) holding the feature, status and revision
+ * - one `plan_task` entity per task (`Plan Task: <id>/<task-id>`), tagged
+ *   `plan:<id>`, holding status, steps, touched files and the commit
+ * - `depends_on` relations from each task to the tasks it waits for, and
+ *   from the plan to each of its tasks
+ *
+ * Entities are rewritten on every change, so earlier statuses remain in
+ * KnowledgeGraph.getObservationHistory().
+ *
+ * trackCheckpoints() advances the current plan (the active plan updated
+ * most recently) from CheckpointDetector events: writing code starts the
+ * next ready task, a passing test run marks the started tasks as tested,
+ * and a commit completes the started tasks whose tests passed.
+ *
+ * @module PlanTracker
+ */
+
+import type { KnowledgeGraph } from '../knowledge-graph/index.js';
+import type { Entity } from '../knowledge-graph/types.js';
+import type { CheckpointDetector, CheckpointCallback } from '../core/CheckpointDetector.js';
+import { TaskDecomposer, type DecomposedTask, type DecompositionRequest } from './TaskDecomposer.js';
+import { NotFoundError, ValidationError } from '../errors/index.js';
+import { logger } from '../utils/logger.js';
+
+export type PlanTaskStatus = 'pending' | 'in_progress' | 'completed' | 'skipped';
+export type PlanStatus = 'active' | 'completed';
+
+/** Prefix of plan entity names */
+export const PLAN_ENTITY_PREFIX = 'Plan: ';
+
+/** Prefix of plan task entity names */
+export const PLAN_TASK_ENTITY_PREFIX = 'Plan Task: ';
+
+/** Upper bound on plans and tasks read back from the graph */
+const MAX_PLAN_ENTITIES = 1000;
+
+/** Maximum length of the feature slug in generated plan IDs */
+const MAX_SLUG_LENGTH = 40;
+
+/** Statuses that unblock the tasks depending on a task */
+const DONE_STATUSES = new Set<PlanTaskStatus>(['completed', 'skipped']);
+
+/**
+ * A task of a stored plan
+ */
+export interface PlanTask {
+  id: string;
+  description: string;
+  phase?: string;
+  steps: string[];
+  /** IDs of the tasks this task depends on (from `depends_on` relations) */
+  dependencies: string[];
+  status: PlanTaskStatus;
+  /** A test run passed while the task was in progress */
+  testsPassed: boolean;
+  /** Files written while the task was in progress */
+  files: string[];
+  /** Commit message (or command) that completed the task */
+  commit?: string;
+  completedAt?: string;
+  /** Knowledge graph entity name */
+  entity: string;
+}
+
+/**
+ * What's left in a plan
+ */
+export interface PlanProgress {
+  total: number;
+  completed: number;
+  skipped: number;
+  remaining: number;
+  /** In-progress task IDs */
+  inProgress: string[];
+  /** Pending task IDs whose dependencies are all done */
+  ready: string[];
+  /** Pending task IDs still waiting for a dependency */
+  blocked: string[];
+}
+
+/**
+ * A stored plan
+ */
+export interface Plan {
+  id: string;
+  feature: string;
+  status: PlanStatus;
+  revision: number;
+  createdAt: string;
+  updatedAt: string;
+  /** Knowledge graph entity name */
+  entity: string;
+  tasks: PlanTask[];
+  progress: PlanProgress;
+}
+
+/**
+ * Options for advance()
+ */
+export interface AdvanceTaskOptions {
+  /** Task to update (default: the first in-progress task, else the first ready task) */
+  taskId?: string;
+  /** New status (default: 'completed') */
+  status?: PlanTaskStatus;
+  /** Commit that completed the task */
+  commit?: string;
+}
+
+/**
+ * Result of replan()
+ */
+export interface ReplanResult {
+  plan: Plan;
+  /** Tasks the new decomposition added */
+  added: string[];
+  /** Pending tasks the new decomposition no longer produces */
+  removed: string[];
+}
+
+/**
+ * Event data of the `test-complete` checkpoint (see TestOutputParser)
+ */
+interface TestCompleteData {
+  total?: unknown;
+  failed?: unknown;
+}
+
+export class PlanTracker {
+  constructor(
+    private kg: KnowledgeGraph,
+    private decomposer: TaskDecomposer = new TaskDecomposer()
+  ) {}
+
+  /**
+   * Decompose a feature and store the plan
+   */
+  create(request: DecompositionRequest): Plan {
+    const feature = request.featureDescription.trim();
+    if (!feature) {
+      throw new ValidationError('featureDescription cannot be empty', {
+        component: 'PlanTracker',
+        method: 'create',
+      });
+    }
+
+    const decomposed = this.decomposer.decompose({ ...request, featureDescription: feature });
+    const now = new Date().toISOString();
+    const planId = this.newPlanId(feature);
+    const tasks = decomposed.map((task) => this.toPlanTask(planId, task));
+
+    this.kg.transaction(() => {
+      this.writePlan({ id: planId, feature, revision: 1, createdAt: now }, tasks, now);
+      tasks.forEach((task, order) => this.writeTask(planId, task, order, now));
+      for (const task of tasks) {
+        this.kg.createRelation({ from: planEntityName(planId), to: task.entity, relationType: 'depends_on', metadata: { planId } });
+        this.syncDependencies(planId, task, []);
+      }
+    });
+
+    logger.info(`[PlanTracker] Created plan ${planId} with ${tasks.length} tasks`);
+    return this.get(planId);
+  }
+
+  /**
+   * Read a plan back from the graph
+   *
+   * @throws {NotFoundError} If the plan does not exist
+   */
+  get(planId: string): Plan {
+    // getEntity() matches names loosely, so look the plan up by exact name
+    const [entity] = this.kg.getEntitiesByNames([planEntityName(planId)]);
+    if (!entity || entity.entityType !== 'plan') {
+      throw new NotFoundError(`Plan not found: ${planId}`, 'plan', planId);
+    }
+    return this.load(entity);
+  }
+
+  /**
+   * All stored plans, most recently updated first
+   */
+  list(): Plan[] {
+    return this.kg
+      .searchEntities({ entityType: 'plan', limit: MAX_PLAN_ENTITIES })
+      .map((entity) => this.load(entity))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * The active plan updated most recently, if any
+   */
+  current(): Plan | null {
+    return this.list().find((plan) => plan.status === 'active') ?? null;
+  }
+
+  /**
+   * Change the status of a task
+   *
+   * @throws {ValidationError} If there is no task to advance, or a dependency is not done yet
+   */
+  advance(planId: string, options: AdvanceTaskOptions = {}): { plan: Plan; task: PlanTask } {
+    const plan = this.get(planId);
+    const status = options.status ?? 'completed';
+    const task = options.taskId
+      ? plan.tasks.find((candidate) => candidate.id === options.taskId)
+      : plan.tasks.find((candidate) => candidate.status === 'in_progress') ??
+        plan.tasks.find((candidate) => plan.progress.ready.includes(candidate.id));
+
+    if (!task) {
+      if (options.taskId) {
+        throw new NotFoundError(`Task not found in plan ${planId}: ${options.taskId}`, 'plan_task', options.taskId);
+      }
+      throw new ValidationError(`Plan ${planId} has no task left to advance`, {
+        component: 'PlanTracker',
+        method: 'advance',
+        planId,
+      });
+    }
+
+    if (status === 'in_progress' || status === 'completed') {
+      const waitingFor = unfinishedDependencies(plan.tasks, task);
+      if (waitingFor.length > 0) {
+        throw new ValidationError(`Task ${task.id} is blocked by ${waitingFor.join(', ')}`, {
+          component: 'PlanTracker',
+          method: 'advance',
+          planId,
+          taskId: task.id,
+        });
+      }
+    }
+
+    this.updateTasks(plan, [{
+      ...task,
+      status,
+      commit: options.commit ?? task.commit,
+      completedAt: status === 'completed' ? new Date().toISOString() : undefined,
+    }]);
+
+    const updated = this.get(planId);
+    return { plan: updated, task: updated.tasks.find((candidate) => candidate.id === task.id)! };
+  }
+
+  /**
+   * Decompose the feature again and merge the result into the plan
+   *
+   * Tasks are matched by description: matched tasks keep their ID and
+   * status, new tasks get the next free IDs. Started, completed and skipped
+   * tasks are always kept; pending tasks the new decomposition no longer
+   * produces are removed. Dependencies follow the new decomposition.
+   */
+  replan(planId: string, request: Partial<DecompositionRequest> = {}): ReplanResult {
+    const plan = this.get(planId);
+    const feature = request.featureDescription?.trim() || plan.feature;
+    const decomposed = this.decomposer.decompose({ ...request, featureDescription: feature });
+
+    const existingByDescription = new Map(plan.tasks.map((task) => [task.description, task]));
+    let nextId = Math.max(0, ...plan.tasks.map((task) => Number(task.id.replace(/^task-/, '')) || 0)) + 1;
+
+    const ids = new Map<string, string>();
+    for (const task of decomposed) {
+      ids.set(task.id, existingByDescription.get(task.description)?.id ?? `task-${nextId++}`);
+    }
+
+    const fresh = decomposed.map((task): PlanTask => {
+      const id = ids.get(task.id)!;
+      const existing = plan.tasks.find((candidate) => candidate.id === id);
+      return {
+        ...(existing ?? this.toPlanTask(planId, { ...task, id })),
+        steps: [...task.steps],
+        phase: task.phase,
+        dependencies: task.dependencies.map((dependency) => ids.get(dependency)!),
+      };
+    });
+
+    const freshIds = new Set(fresh.map((task) => task.id));
+    const unmatched = plan.tasks.filter((task) => !freshIds.has(task.id));
+    const removed = unmatched.filter((task) => task.status === 'pending');
+    const kept = unmatched
+      .filter((task) => task.status !== 'pending')
+      .map((task) => ({
+        ...task,
+        dependencies: task.dependencies.filter((dependency) => !removed.some((gone) => gone.id === dependency)),
+      }));
+    const tasks = [...kept, ...fresh];
+    const previous = new Map(plan.tasks.map((task) => [task.id, task.dependencies]));
+    const now = new Date().toISOString();
+
+    this.kg.transaction(() => {
+      for (const task of removed) {
+        this.kg.deleteEntity(task.entity);
+      }
+      this.writePlan({ ...plan, feature, revision: plan.revision + 1 }, tasks, now);
+      tasks.forEach((task, order) => this.writeTask(planId, task, order, now));
+      for (const task of tasks) {
+        if (!previous.has(task.id)) {
+          this.kg.createRelation({ from: plan.entity, to: task.entity, relationType: 'depends_on', metadata: { planId } });
+        }
+        this.syncDependencies(planId, task, previous.get(task.id) ?? []);
+      }
+    });
+
+    logger.info(`[PlanTracker] Re-planned ${planId} (revision ${plan.revision + 1})`);
+    return {
+      plan: this.get(planId),
+      added: fresh.filter((task) => !previous.has(task.id)).map((task) => task.id),
+      removed: removed.map((task) => task.id),
+    };
+  }
+
+  /**
+   * Advance the current plan from development checkpoints
+   *
+   * Adds callbacks to the `code-written`, `test-complete` and `committed`
+   * checkpoints (registering them if needed). Call it after components that
+   * register these checkpoints themselves (e.g. DevelopmentButler), since
+   * registering a checkpoint replaces its callbacks.
+   */
+  trackCheckpoints(detector: CheckpointDetector): void {
+    const handlers: Array<[string, (data: Record<string, unknown>) => void, string]> = [
+      ['code-written', (data) => this.onCodeWritten(data), 'Start the next ready plan task'],
+      ['test-complete', (data) => this.onTestComplete(data), 'Record test results on in-progress plan tasks'],
+      ['committed', (data) => this.onCommitted(data), 'Complete tested plan tasks'],
+    ];
+
+    for (const [name, handler, description] of handlers) {
+      const callback: CheckpointCallback = async (data) => {
+        try {
+          handler(data);
+          return { success: true };
+        } catch (error) {
+          logger.warn(`[PlanTracker] Failed to track ${name} checkpoint: ${(error as Error).message}`);
+          return { success: false };
+        }
+      };
+
+      if (!detector.addCallback(name, callback)) {
+        detector.registerCheckpoint(name, callback, { description, category: 'planning', priority: 'medium' });
+      }
+    }
+  }
+
+  private onCodeWritten(data: Record<string, unknown>): void {
+    const plan = this.current();
+    if (!plan) return;
+
+    const task = plan.tasks.find((candidate) => candidate.status === 'in_progress') ??
+      plan.tasks.find((candidate) => plan.progress.ready.includes(candidate.id));
+    if (!task) return;
+
+    const files = Array.isArray(data.files) ? data.files.filter((file): file is string => typeof file === 'string') : [];
+    this.updateTasks(plan, [{
+      ...task,
+      status: 'in_progress',
+      files: Array.from(new Set([...task.files, ...files])),
+    }]);
+  }
+
+  private onTestComplete(data: TestCompleteData): void {
+    const plan = this.current();
+    if (!plan || typeof data.total !== 'number' || typeof data.failed !== 'number') return;
+
+    const testsPassed = data.total > 0 && data.failed === 0;
+    const changed = plan.tasks
+      .filter((task) => task.status === 'in_progress' && task.testsPassed !== testsPassed)
+      .map((task) => ({ ...task, testsPassed }));
+    this.updateTasks(plan, changed);
+  }
+
+  private onCommitted(data: Record<string, unknown>): void {
+    const plan = this.current();
+    if (!plan) return;
+
+    const commit = typeof data.message === 'string' && data.message ? data.message
+      : typeof data.command === 'string' ? data.command : undefined;
+    const completedAt = new Date().toISOString();
+    const completed = plan.tasks
+      .filter((task) => task.status === 'in_progress' && task.testsPassed)
+      .map((task) => ({ ...task, status: 'completed' as const, commit, completedAt }));
+    this.updateTasks(plan, completed);
+
+    if (completed.length > 0) {
+      logger.info(`[PlanTracker] Commit completed ${completed.map((task) => task.id).join(', ')} of plan ${plan.id}`);
+    }
+  }
+
+  /**
+   * Rewrite changed tasks and the plan summary
+   */
+  private updateTasks(plan: Plan, changed: PlanTask[]): void {
+    if (changed.length === 0) return;
+
+    const tasks = plan.tasks.map((task) => changed.find((update) => update.id === task.id) ?? task);
+    const now = new Date().toISOString();
+
+    this.kg.transaction(() => {
+      for (const task of changed) {
+        this.writeTask(plan.id, task, tasks.findIndex((candidate) => candidate.id === task.id), now);
+      }
+      this.writePlan(plan, tasks, now);
+    });
+  }
+
+  private writePlan(
+    plan: Pick<Plan, 'id' | 'feature' | 'revision' | 'createdAt'>,
+    tasks: PlanTask[],
+    updatedAt: string
+  ): void {
+    const done = tasks.filter((task) => DONE_STATUSES.has(task.status)).length;
+    const status: PlanStatus = done === tasks.length ? 'completed' : 'active';
+
+    this.kg.createEntity({
+      name: planEntityName(plan.id),
+      entityType: 'plan',
+      observations: [
+        `Feature: ${plan.feature}`,
+        `Status: ${status}`,
+        `Progress: ${done}/${tasks.length} tasks done`,
+        `Revision: ${plan.revision}`,
+      ],
+      tags: ['plan', planTag(plan.id)],
+      metadata: {
+        planId: plan.id,
+        feature: plan.feature,
+        status,
+        revision: plan.revision,
+        createdAt: plan.createdAt,
+        updatedAt,
+      },
+    });
+  }
+
+  private writeTask(planId: string, task: PlanTask, order: number, updatedAt: string): void {
+    const observations = [`Task: ${task.description}`];
+    if (task.phase) observations.push(`Phase: ${task.phase}`);
+    observations.push(`Status: ${task.status}`, `Steps: ${task.steps.join(' → ')}`);
+    if (task.files.length > 0) observations.push(`Files: ${task.files.join(', ')}`);
+    if (task.testsPassed) observations.push('Tests passed');
+    if (task.commit) observations.push(`Commit: ${task.commit}`);
+
+    this.kg.createEntity({
+      name: task.entity,
+      entityType: 'plan_task',
+      observations,
+      tags: [planTag(planId), `status:${task.status}`],
+      metadata: {
+        planId,
+        taskId: task.id,
+        order,
+        description: task.description,
+        phase: task.phase,
+        steps: task.steps,
+        status: task.status,
+        testsPassed: task.testsPassed,
+        files: task.files,
+        commit: task.commit,
+        completedAt: task.completedAt,
+        updatedAt,
+      },
+    });
+  }
+
+  /**
+   * Make the task's `depends_on` relations match its dependencies
+   */
+  private syncDependencies(planId: string, task: PlanTask, previous: string[]): void {
+    for (const dependency of previous.filter((id) => !task.dependencies.includes(id))) {
+      this.kg.retireRelation({ from: task.entity, to: taskEntityName(planId, dependency), relationType: 'depends_on' });
+    }
+    for (const dependency of task.dependencies.filter((id) => !previous.includes(id))) {
+      this.kg.createRelation({
+        from: task.entity,
+        to: taskEntityName(planId, dependency),
+        relationType: 'depends_on',
+        metadata: { planId },
+      });
+    }
+  }
+
+  private load(entity: Entity): Plan {
+    const meta = entity.metadata ?? {};
+    const planId = String(meta.planId);
+    const taskEntities = this.kg
+      .searchEntities({ entityType: 'plan_task', tag: planTag(planId), limit: MAX_PLAN_ENTITIES })
+      .sort((a, b) => Number(a.metadata?.order ?? 0) - Number(b.metadata?.order ?? 0));
+
+    const idsByEntity = new Map(taskEntities.map((task) => [task.name, String(task.metadata?.taskId)]));
+    const tasks = taskEntities.map((taskEntity): PlanTask => {
+      const taskMeta = taskEntity.metadata ?? {};
+      const trace = this.kg.traceRelations(taskEntity.name, 1, { relationTypes: ['depends_on'], direction: 'outgoing' });
+      return {
+        id: String(taskMeta.taskId),
+        description: String(taskMeta.description),
+        phase: typeof taskMeta.phase === 'string' ? taskMeta.phase : undefined,
+        steps: Array.isArray(taskMeta.steps) ? taskMeta.steps.map(String) : [],
+        dependencies: (trace?.relations ?? [])
+          .filter((relation) => relation.from === taskEntity.name && idsByEntity.has(relation.to))
+          .map((relation) => idsByEntity.get(relation.to)!),
+        status: (taskMeta.status as PlanTaskStatus | undefined) ?? 'pending',
+        testsPassed: taskMeta.testsPassed === true,
+        files: Array.isArray(taskMeta.files) ? taskMeta.files.map(String) : [],
+        commit: typeof taskMeta.commit === 'string' ? taskMeta.commit : undefined,
+        completedAt: typeof taskMeta.completedAt === 'string' ? taskMeta.completedAt : undefined,
+        entity: taskEntity.name,
+      };
+    });
+
+    const plan: Omit<Plan, 'progress'> = {
+      id: planId,
+      feature: String(meta.feature ?? ''),
+      status: meta.status === 'completed' ? 'completed' : 'active',
+      revision: Number(meta.revision ?? 1),
+      createdAt: String(meta.createdAt ?? ''),
+      updatedAt: String(meta.updatedAt ?? ''),
+      entity: entity.name,
+      tasks,
+    };
+    return { ...plan, progress: this.progressOf(plan) };
+  }
+
+  private progressOf(plan: Omit<Plan, 'progress'>): PlanProgress {
+    const pending = plan.tasks.filter((task) => task.status === 'pending');
+    const ready = pending.filter((task) => unfinishedDependencies(plan.tasks, task).length === 0);
+    const completed = plan.tasks.filter((task) => task.status === 'completed').length;
+    const skipped = plan.tasks.filter((task) => task.status === 'skipped').length;
+
+    return {
+      total: plan.tasks.length,
+      completed,
+      skipped,
+      remaining: plan.tasks.length - completed - skipped,
+      inProgress: plan.tasks.filter((task) => task.status === 'in_progress').map((task) => task.id),
+      ready: ready.map((task) => task.id),
+      blocked: pending.filter((task) => !ready.includes(task)).map((task) => task.id),
+    };
+  }
+
+  private toPlanTask(planId: string, task: DecomposedTask): PlanTask {
+    return {
+      id: task.id,
+      description: task.description,
+      phase: task.phase,
+      steps: [...task.steps],
+      dependencies: [...task.dependencies],
+      status: 'pending',
+      testsPassed: false,
+      files: task.files ? [...task.files] : [],
+      entity: taskEntityName(planId, task.id),
+    };
+  }
+
+  /**
+   * Plan ID from the feature: `plan-<slug>`, suffixed with a counter if taken
+   */
+  private newPlanId(feature: string): string {
+    // Whole words only, up to MAX_SLUG_LENGTH characters
+    let slug = '';
+    for (const word of feature.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean)) {
+      const longer = slug ? `${slug}-${word}` : word;
+      if (slug && longer.length > MAX_SLUG_LENGTH) break;
+      slug = longer.slice(0, MAX_SLUG_LENGTH);
+    }
+    slug ||= 'feature';
+
+    let planId = `plan-${slug}`;
+    for (let counter = 2; this.kg.getEntitiesByNames([planEntityName(planId)]).length > 0; counter++) {
+      planId = `plan-${slug}-${counter}`;
+    }
+    return planId;
+  }
+}
+
+/**
+ * IDs of the task's dependencies that are neither completed nor skipped
+ */
+function unfinishedDependencies(tasks: PlanTask[], task: PlanTask): string[] {
+  return task.dependencies.filter((dependency) => {
+    const status = tasks.find((candidate) => candidate.id === dependency)?.status;
+    return status !== undefined && !DONE_STATUSES.has(status);
+  });
+}
+
+function planEntityName(planId: string): string {
+  return `${PLAN_ENTITY_PREFIX}${planId}`;
+}
+
+function taskEntityName(planId: string, taskId: string): string {
+  return `${PLAN_TASK_ENTITY_PREFIX}${planId}/${taskId}`;
+}
+
+function planTag(planId: string): string {
+  return `plan:${planId}`;
+}
@@ -25,271 +25,318 @@ export interface DecompositionRequest {
   };
 }
 
-type ComponentType =
-  | 'database-schema'
-  | 'api-endpoint'
-  | 'frontend-component'
-  | 'authentication'
-  | 'testing'
-  | 'implementation';
-
-interface Component {
-  type: ComponentType;
+/**
+ * One task a component breaks into
+ */
+export interface TaskTemplate {
+  description: string;
+  phase: string;
+  steps: string[];
+  /** Indexes of earlier tasks of the same component this task depends on */
+  after?: number[];
+}
+
+/**
+ * Component detection rule: keywords that reveal a component, and the tasks it takes
+ */
+export interface ComponentRule {
+  type: string;
   description: string;
+  /** Matched at the start of a word, case-insensitively ('auth' matches "authentication") */
+  keywords: string[];
+  tasks: TaskTemplate[];
+  /** Component types whose tasks must be done first */
+  dependsOn?: string[];
+}
+
+export interface TaskDecomposerOptions {
+  /** Extra component rules; a rule with the type of a built-in rule replaces it */
+  rules?: ComponentRule[];
 }
 
+const tddSteps = (subject: string, action: string): string[] => [
+  `Write test for ${subject}`,
+  'Run test to verify it fails',
+  action,
+  'Run test to verify it passes',
+  'Commit changes',
+];
+
+/**
+ * Built-in component rules, in the order their tasks are planned
+ */
+export const DEFAULT_COMPONENT_RULES: ComponentRule[] = [
+  {
+    type: 'database-schema',
+    description: 'Database schema and migrations',
+    keywords: ['database', 'schema', 'model', 'migration', 'table'],
+    tasks: [
+      {
+        description: 'Define database schema and create migration',
+        phase: 'backend',
+        steps: [
+          'Write test for schema validation',
+          'Run test to verify it fails',
+          'Define schema structure',
+          'Create migration file',
+          'Run test to verify it passes',
+          'Commit changes',
+        ],
+      },
+    ],
+  },
+  {
+    type: 'api-endpoint',
+    description: 'Backend API endpoint',
+    keywords: ['api', 'endpoint', 'backend', 'graphql'],
+    dependsOn: ['database-schema'],
+    tasks: [
+      {
+        description: 'Create API endpoint stub',
+        phase: 'backend',
+        steps: tddSteps('endpoint response', 'Create endpoint stub'),
+      },
+      {
+        description: 'Implement API endpoint logic',
+        phase: 'backend',
+        steps: tddSteps('business logic', 'Implement endpoint logic'),
+      },
+    ],
+  },
+  {
+    type: 'frontend-component',
+    description: 'Frontend UI component',
+    keywords: ['ui', 'frontend', 'component', 'dashboard', 'page'],
+    tasks: [
+      {
+        description: 'Create frontend component structure',
+        phase: 'frontend',
+        steps: tddSteps('component rendering', 'Create component structure'),
+      },
+      {
+        description: 'Implement frontend component logic',
+        phase: 'frontend',
+        steps: tddSteps('component interactions', 'Implement component logic'),
+      },
+    ],
+  },
+  {
+    type: 'authentication',
+    description: 'Authentication system',
+    keywords: ['auth', 'login', 'jwt', 'registration', 'password'],
+    tasks: [
+      {
+        description: 'Implement JWT token generation',
+        phase: 'backend',
+        steps: [
+          'Write test for token generation',
+          'Run test (expect fail)',
+          'Implement token generation',
+          'Run test (expect pass)',
+          'Commit token logic',
+        ],
+      },
+      {
+        description: 'Implement token validation',
+        phase: 'backend',
+        steps: [
+          'Write test for token validation',
+          'Run test (expect fail)',
+          'Implement validation logic',
+          'Run test (expect pass)',
+          'Commit validation',
+        ],
+        after: [0],
+      },
+    ],
+  },
+  {
+    type: 'background-job',
+    description: 'Background job processing',
+    keywords: ['job', 'queue', 'worker', 'cron', 'schedul'],
+    dependsOn: ['database-schema'],
+    tasks: [
+      {
+        description: 'Create background job handler',
+        phase: 'backend',
+        steps: tddSteps('job handler', 'Implement job handler'),
+      },
+      {
+        description: 'Schedule and retry background jobs',
+        phase: 'backend',
+        steps: tddSteps('scheduling and retries', 'Register schedule and retry policy'),
+        after: [0],
+      },
+    ],
+  },
+  {
+    type: 'external-integration',
+    description: 'Third-party service integration',
+    keywords: ['integration', 'webhook', 'third-party', 'payment', 'stripe', 'email'],
+    tasks: [
+      {
+        description: 'Create external service client',
+        phase: 'backend',
+        steps: tddSteps('service client with a stubbed service', 'Implement service client'),
+      },
+      {
+        description: 'Handle external service errors and webhooks',
+        phase: 'backend',
+        steps: tddSteps('error and webhook handling', 'Implement error and webhook handling'),
+        after: [0],
+      },
+    ],
+  },
+];
+
+const IMPLEMENTATION_RULE: ComponentRule = {
+  type: 'implementation',
+  description: 'Core implementation',
+  keywords: [],
+  tasks: [
+    {
+      description: 'Implement Core implementation',
+      phase: 'backend',
+      steps: tddSteps('functionality', 'Implement core logic'),
+    },
+  ],
+};
+
+const TESTING_RULE: ComponentRule = {
+  type: 'testing',
+  description: 'Integration and E2E tests',
+  keywords: [],
+  tasks: [
+    {
+      description: 'Create integration tests',
+      phase: 'testing',
+      steps: [
+        'Write integration test scenarios',
+        'Run test to verify setup',
+        'Implement test cases',
+        'Run test to verify all pass',
+        'Commit changes',
+      ],
+    },
+  ],
+};
+
+const DOCUMENTATION_RULE: ComponentRule = {
+  type: 'documentation',
+  description: 'User-facing documentation',
+  keywords: ['docs', 'documentation', 'readme', 'guide'],
+  tasks: [
+    {
+      description: 'Document the feature',
+      phase: 'docs',
+      steps: [
+        'Write a usage example as a doc test or snippet',
+        'Check the example runs',
+        'Update the docs and changelog',
+        'Commit changes',
+      ],
+    },
+  ],
+};
+
+// Phases that follow every implementation task
+const FOLLOW_UP_PHASES = new Set(['testing', 'docs']);
+
 export class TaskDecomposer {
+  private rules: ComponentRule[];
+
+  constructor(options: TaskDecomposerOptions = {}) {
+    const custom = options.rules ?? [];
+    const customTypes = new Set(custom.map(rule => rule.type));
+    this.rules = [
+      ...DEFAULT_COMPONENT_RULES.filter(rule => !customTypes.has(rule.type)),
+      ...custom,
+    ];
+  }
+
   /**
    * Main decomposition method - breaks feature into bite-sized tasks
    */
   decompose(request: DecompositionRequest): DecomposedTask[] {
     // 1. Identify high-level components
-    const components = this.identifyComponents(request.featureDescription);
+    const components = this.identifyComponents(request);
 
     // 2. Break each component into atomic tasks
     const tasks: DecomposedTask[] = [];
-    let taskIdCounter = 1;
+    const taskIdsByComponent = new Map<string, string[]>();
 
     for (const component of components) {
-      const componentTasks = this.breakIntoAtomicTasks(component, taskIdCounter);
+      const componentTasks = this.breakIntoAtomicTasks(component, tasks.length + 1);
       tasks.push(...componentTasks);
-      taskIdCounter += componentTasks.length;
+      taskIdsByComponent.set(component.type, componentTasks.map(t => t.id));
     }
 
     // 3. Link dependencies
-    this.linkDependencies(tasks);
-
-    // 4. Assign phases (already done during task creation)
-    this.assignPhases(tasks);
+    this.linkDependencies(tasks, components, taskIdsByComponent);
 
     return tasks;
   }
 
-  /**
-   * Component detection rules mapping keywords to component types
-   */
-  private static readonly COMPONENT_RULES: Array<{
-    type: ComponentType;
-    description: string;
-    keywords: string[];
-  }> = [
-    { type: 'database-schema', description: 'Database schema and migrations', keywords: ['database', 'schema', 'model'] },
-    { type: 'api-endpoint', description: 'Backend API endpoint', keywords: ['api', 'endpoint', 'backend'] },
-    { type: 'frontend-component', description: 'Frontend UI component', keywords: ['ui', 'frontend', 'component', 'dashboard'] },
-    { type: 'authentication', description: 'Authentication system', keywords: ['auth', 'login', 'jwt', 'registration', 'password'] },
-  ];
-
   /**
    * Identify high-level components from feature description
    */
-  private identifyComponents(featureDescription: string): Component[] {
-    const desc = featureDescription.toLowerCase();
+  private identifyComponents(request: DecompositionRequest): ComponentRule[] {
+    const desc = request.featureDescription;
 
     // Match components based on keyword rules
-    const components: Component[] = TaskDecomposer.COMPONENT_RULES
-      .filter(rule => rule.keywords.some(keyword => desc.includes(keyword)))
-      .map(rule => ({ type: rule.type, description: rule.description }));
-
-    // Always include testing
-    components.push({ type: 'testing', description: 'Integration and E2E tests' });
+    const components = this.rules.filter(rule => rule.keywords.some(keyword => matchesKeyword(desc, keyword)));
 
-    // If only testing, add implementation first
-    if (components.length === 1) {
-      components.unshift({ type: 'implementation', description: 'Core implementation' });
+    // If nothing matched, plan the core implementation
+    if (components.length === 0) {
+      components.push(IMPLEMENTATION_RULE);
     }
 
-    return components;
-  }
-
-  /**
-   * Break component into atomic 2-5 minute tasks
-   */
-  private breakIntoAtomicTasks(component: Component, startId: number): DecomposedTask[] {
-    const tasks: DecomposedTask[] = [];
+    // Testing is included unless explicitly excluded
+    if (request.scope?.includeTests !== false) {
+      components.push(TESTING_RULE);
+    }
 
-    switch (component.type) {
-      case 'database-schema':
-        tasks.push(this.createTask(
-          `task-${startId}`,
-          'Define database schema and create migration',
-          'backend',
-          [
-            'Write test for schema validation',
-            'Run test to verify it fails',
-            'Define schema structure',
-            'Create migration file',
-            'Run test to verify it passes',
-            'Commit changes'
-          ]
-        ));
-        break;
-
-      case 'api-endpoint':
-        tasks.push(
-          this.createTask(
-            `task-${startId}`,
-            'Create API endpoint stub',
-            'backend',
-            [
-              'Write test for endpoint response',
-              'Run test to verify it fails',
-              'Create endpoint stub',
-              'Run test to verify it passes',
-              'Commit changes'
-            ]
-          ),
-          this.createTask(
-            `task-${startId + 1}`,
-            'Implement API endpoint logic',
-            'backend',
-            [
-              'Write test for business logic',
-              'Run test to verify it fails',
-              'Implement endpoint logic',
-              'Run test to verify it passes',
-              'Commit changes'
-            ]
-          )
-        );
-        break;
-
-      case 'frontend-component':
-        tasks.push(
-          this.createTask(
-            `task-${startId}`,
-            'Create frontend component structure',
-            'frontend',
-            [
-              'Write test for component rendering',
-              'Run test to verify it fails',
-              'Create component structure',
-              'Run test to verify it passes',
-              'Commit changes'
-            ]
-          ),
-          this.createTask(
-            `task-${startId + 1}`,
-            'Implement frontend component logic',
-            'frontend',
-            [
-              'Write test for component interactions',
-              'Run test to verify it fails',
-              'Implement component logic',
-              'Run test to verify it passes',
-              'Commit changes'
-            ]
-          )
-        );
-        break;
-
-      case 'authentication':
-        tasks.push(
-          this.createTask(
-            `task-${startId}`,
-            'Implement JWT token generation',
-            'backend',
-            [
-              'Write test for token generation',
-              'Run test (expect fail)',
-              'Implement token generation',
-              'Run test (expect pass)',
-              'Commit token logic',
-            ]
-          ),
-          this.createTask(
-            `task-${startId + 1}`,
-            'Implement token validation',
-            'backend',
-            [
-              'Write test for token validation',
-              'Run test (expect fail)',
-              'Implement validation logic',
-              'Run test (expect pass)',
-              'Commit validation',
-            ],
-            [`task-${startId}`] // Token validation depends on token generation
-          )
-        );
-        break;
-
-      case 'testing':
-        tasks.push(this.createTask(
-          `task-${startId}`,
-          'Create integration tests',
-          'testing',
-          [
-            'Write integration test scenarios',
-            'Run test to verify setup',
-            'Implement test cases',
-            'Run test to verify all pass',
-            'Commit changes'
-          ]
-        ));
-        break;
-
-      default: // 'implementation' or other
-        tasks.push(this.createTask(
-          `task-${startId}`,
-          `Implement ${component.description}`,
-          'backend',
-          [
-            'Write test for functionality',
-            'Run test to verify it fails',
-            'Implement core logic',
-            'Run test to verify it passes',
-            'Commit changes'
-          ]
-        ));
-        break;
+    if (request.scope?.includeDocs || DOCUMENTATION_RULE.keywords.some(keyword => matchesKeyword(desc, keyword))) {
+      components.push(DOCUMENTATION_RULE);
     }
 
-    return tasks;
+    return components;
   }
 
   /**
-   * Helper to create a standardized task
+   * Break component into atomic 2-5 minute tasks
    */
-  private createTask(
-    id: string,
-    description: string,
-    phase: string,
-    steps: string[],
-    dependencies: string[] = []
-  ): DecomposedTask {
-    return {
-      id,
-      description,
+  private breakIntoAtomicTasks(component: ComponentRule, startId: number): DecomposedTask[] {
+    return component.tasks.map((template, index) => ({
+      id: `task-${startId + index}`,
+      description: template.description,
       estimatedDuration: '2-5 minutes',
       testable: true,
-      steps,
-      dependencies,
-      phase
-    };
+      steps: [...template.steps],
+      dependencies: (template.after ?? [])
+        .filter(previous => previous < index)
+        .map(previous => `task-${startId + previous}`),
+      phase: template.phase,
+    }));
   }
 
   /**
    * Link dependencies between tasks
    */
-  private linkDependencies(tasks: DecomposedTask[]): void {
-    // Helper to find tasks by phase or description keyword
+  private linkDependencies(
+    tasks: DecomposedTask[],
+    components: ComponentRule[],
+    taskIdsByComponent: Map<string, string[]>
+  ): void {
     const findByPhase = (phase: string): DecomposedTask[] => tasks.filter(t => t.phase === phase);
-    const findByKeyword = (keyword: string): DecomposedTask[] =>
-      tasks.filter(t => t.description.toLowerCase().includes(keyword));
     const getIds = (taskList: DecomposedTask[]): string[] => taskList.map(t => t.id);
 
-    // Schema tasks
-    const schemaTaskIds = getIds(findByKeyword('schema'));
-
-    // API endpoint tasks depend on schema tasks
-    const apiEndpointTasks = [...findByKeyword('endpoint'), ...findByKeyword('api')];
-    for (const apiTask of apiEndpointTasks) {
-      apiTask.dependencies.push(...schemaTaskIds);
-    }
-
-    // Testing tasks depend on ALL implementation tasks
-    const implementationTaskIds = getIds(tasks.filter(t => t.phase !== 'testing'));
-    for (const testTask of findByPhase('testing')) {
-      testTask.dependencies = implementationTaskIds;
+    // Component tasks depend on the components they build on (e.g. API on schema)
+    for (const component of components) {
+      const prerequisites = (component.dependsOn ?? []).flatMap(type => taskIdsByComponent.get(type) ?? []);
+      for (const id of taskIdsByComponent.get(component.type) ?? []) {
+        tasks.find(t => t.id === id)!.dependencies.push(...prerequisites);
+      }
     }
 
     // Frontend tasks depend on ALL backend tasks
@@ -297,14 +344,16 @@ export class TaskDecomposer {
     for (const frontendTask of findByPhase('frontend')) {
       frontendTask.dependencies.push(...backendTaskIds);
     }
-  }
 
-  /**
-   * Assign phases to tasks (already done during creation, this is a no-op)
-   */
-  private assignPhases(tasks: DecomposedTask[]): void {
-    // Phases are already assigned during task creation
-    // This method exists for future expansion if needed
+    // Testing and docs tasks depend on ALL implementation tasks
+    const implementationTaskIds = getIds(tasks.filter(t => !FOLLOW_UP_PHASES.has(t.phase ?? '')));
+    for (const task of tasks.filter(t => FOLLOW_UP_PHASES.has(t.phase ?? ''))) {
+      task.dependencies.push(...implementationTaskIds);
+    }
+
+    for (const task of tasks) {
+      task.dependencies = Array.from(new Set(task.dependencies)).filter(id => id !== task.id);
+    }
   }
 
   /**
@@ -320,3 +369,8 @@ export class TaskDecomposer {
     return Array.from(phases);
   }
 }
+
+function matchesKeyword(text: string, keyword: string): boolean {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?:^|[^a-z0-9])${escaped}`, 'i').test(text);
+}
@@ -0,0 +1,422 @@
+/**
+ * Agent Definitions - User-Defined Agents Loaded from Files
+ *
+ * Agents can be defined without changing code, as Markdown files with a
+ * frontmatter header:
+ *
+ * ```markdown
+ * ---
+ * name: migration-reviewer
+ * description: Reviews database migrations for locking and rollback safety
+ * category: development
+ * capabilities: [code-review, migration]
+ * keywords: [migration, schema change, alter table]
+ * tools: [read_file, run_query]
+ * model: claude-sonnet-4-5-20250929
+ * fallback: code-reviewer
+ * ---
+ * You are an expert reviewer of database migrations.
+ * ...
+ *
+ * ## Instructions
+ * Please provide:
+ * 1. Blocking issues
+ * 2. Rollback plan
+ * ```
+ *
+ * The body is the agent persona; an optional `## Instructions` section
+ * becomes the instructions appended to every task. `model` is one model for
+ * all complexities, or a `simple` / `medium` / `complex` map.
+ *
+ * Definitions are read from the project's `.memesh/agents/` and the user's
+ * `agents/` data directory (project wins). A definition named after a
+ * built-in agent replaces it.
+ */
+
+import { watch, type FSWatcher } from 'fs';
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { z } from 'zod';
+import type { AgentMetadata } from '../core/AgentRegistry.js';
+import { ValidationError } from '../errors/index.js';
+import type { AgentType } from '../orchestrator/types.js';
+import { AgentClassification } from '../types/AgentClassification.js';
+import { logger } from '../utils/logger.js';
+import { getDataDirectory } from '../utils/PathResolver.js';
+import { getBuiltInAgentTemplate, type AgentTemplate } from './templates/PromptTemplates.js';
+
+/** Project-level definitions, relative to the project root */
+export const PROJECT_AGENTS_DIR = path.join('.memesh', 'agents');
+
+/** Body section holding the agent instructions */
+const INSTRUCTIONS_HEADING = /^##\s+Instructions\s*$/im;
+
+/** Debounce for reloading after file changes */
+const RELOAD_DELAY_MS = 100;
+
+const listSchema = z.array(z.string().trim().min(1)).default([]);
+const modelSchema = z.string().trim().min(1);
+
+/**
+ * Frontmatter schema of an agent definition file
+ */
+export const AgentDefinitionFrontmatterSchema = z
+  .object({
+    name: z
+      .string()
+      .regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'must be lowercase letters, digits and dashes')
+      .max(64)
+      .optional(),
+    description: z.string().trim().min(1),
+    category: z.string().trim().min(1).default('custom'),
+    capabilities: listSchema,
+    keywords: listSchema,
+    tools: listSchema,
+    model: z
+      .union([
+        modelSchema,
+        z.strictObject({
+          simple: modelSchema.optional(),
+          medium: modelSchema.optional(),
+          complex: modelSchema.optional(),
+        }),
+      ])
+      .optional(),
+    fallback: z.string().trim().min(1).optional(),
+  })
+  .strict();
+
+/**
+ * A user-defined agent
+ */
+export interface AgentDefinition extends AgentTemplate {
+  name: AgentType;
+  description: string;
+  category: string;
+  /** Capabilities this agent is routed for (e.g. 'code-review') */
+  capabilities: string[];
+  /** Task description keywords that route to this agent */
+  keywords: string[];
+  /** Agent to fall back to (default: general-agent) */
+  fallback?: AgentType;
+  /** Definition file */
+  file: string;
+}
+
+/**
+ * A definition file that could not be loaded
+ */
+export interface AgentDefinitionError {
+  file: string;
+  message: string;
+}
+
+/**
+ * Read access to the current definitions (used by PromptEnhancer and AgentRouter)
+ */
+export interface AgentDefinitionSource {
+  get(name: string): AgentDefinition | undefined;
+  list(): AgentDefinition[];
+}
+
+/**
+ * Default definition directories, highest precedence first:
+ * the project's `.memesh/agents/`, then the user's `agents/` data directory
+ */
+export function defaultAgentDirectories(projectDir: string = process.cwd()): string[] {
+  return [path.join(projectDir, PROJECT_AGENTS_DIR), path.join(getDataDirectory(), 'agents')];
+}
+
+/**
+ * Split a file into frontmatter fields and body
+ *
+ * Supports the YAML subset agent definitions need: `key: value` scalars,
+ * `[a, b]` and `- item` lists, and one level of nested `key: value` maps.
+ */
+function parseFrontmatter(content: string): { fields: Record<string, unknown>; body: string } | null {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) {
+    return null;
+  }
+
+  const fields: Record<string, unknown> = {};
+  let openKey: string | null = null;
+
+  for (const line of match[1].split(/\r?\n/)) {
+    if (line.trim() === '' || line.trim().startsWith('#')) {
+      continue;
+    }
+
+    const indented = /^\s+/.test(line);
+    if (indented && openKey) {
+      const item = line.trim();
+      if (item.startsWith('- ')) {
+        const list = Array.isArray(fields[openKey]) ? (fields[openKey] as unknown[]) : [];
+        list.push(parseScalar(item.slice(2)));
+        fields[openKey] = list;
+        continue;
+      }
+
+      const separator = item.indexOf(':');
+      if (separator > 0) {
+        const map = isPlainObject(fields[openKey]) ? (fields[openKey] as Record<string, unknown>) : {};
+        map[item.slice(0, separator).trim()] = parseScalar(item.slice(separator + 1));
+        fields[openKey] = map;
+        continue;
+      }
+    }
+
+    const separator = line.indexOf(':');
+    if (indented || separator <= 0) {
+      throw new ValidationError(`Cannot parse frontmatter line: ${line.trim()}`);
+    }
+
+    const key = line.slice(0, separator).trim();
+    const raw = line.slice(separator + 1).trim();
+    openKey = raw === '' ? key : null;
+    fields[key] = raw === '' ? undefined : parseScalar(raw);
+  }
+
+  return { fields, body: content.slice(match[0].length) };
+}
+
+function parseScalar(raw: string): unknown {
+  const value = raw.trim();
+  if (value.startsWith('[') && value.endsWith(']')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      // Unquoted YAML flow sequence: [a, b]
+      return value
+        .slice(1, -1)
+        .split(',')
+        .map(item => parseScalar(item))
+        .filter(item => item !== '');
+    }
+  }
+  if (/^(["']).*\1$/.test(value)) {
+    return value.slice(1, -1);
+  }
+  return value;
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Parse and validate an agent definition file
+ *
+ * @param content - File content
+ * @param file - File path (its base name is the default agent name)
+ * @throws ValidationError if the frontmatter is missing or invalid, or the persona is empty
+ */
+export function parseAgentDefinition(content: string, file: string): AgentDefinition {
+  const parsed = parseFrontmatter(content);
+  if (!parsed) {
+    throw new ValidationError(`${file}: missing frontmatter (--- ... ---)`, { file });
+  }
+
+  const result = AgentDefinitionFrontmatterSchema.safeParse(parsed.fields);
+  if (!result.success) {
+    const issues = result.error.issues.map(issue =>
+      issue.path.length > 0 ? `${issue.path.join('.')}: ${issue.message}` : issue.message
+    );
+    throw new ValidationError(`${file}: invalid agent definition (${issues.join('; ')})`, { file, issues });
+  }
+
+  const fields = result.data;
+  const name = fields.name ?? path.basename(file, path.extname(file));
+  const [persona, instructions] = parsed.body.split(INSTRUCTIONS_HEADING, 2).map(part => part.trim());
+  if (!persona) {
+    throw new ValidationError(`${file}: the agent persona (file body) is empty`, { file });
+  }
+
+  const defaults = getBuiltInAgentTemplate('general-agent');
+  const models = typeof fields.model === 'string'
+    ? { simple: fields.model, medium: fields.model, complex: fields.model }
+    : { ...defaults.models, ...fields.model };
+
+  return {
+    name,
+    description: fields.description,
+    category: fields.category,
+    capabilities: fields.capabilities,
+    keywords: fields.keywords.map(keyword => keyword.toLowerCase()),
+    tools: fields.tools,
+    persona,
+    instructions: instructions || defaults.instructions,
+    models,
+    fallback: fields.fallback,
+    file,
+  };
+}
+
+/**
+ * AgentRegistry metadata for a user-defined agent
+ */
+export function toAgentMetadata(definition: AgentDefinition): AgentMetadata {
+  return {
+    name: definition.name,
+    description: definition.description,
+    category: definition.category,
+    classification: AgentClassification.ENHANCED_PROMPT,
+    capabilities: definition.capabilities,
+    source: definition.file,
+  };
+}
+
+/**
+ * AgentDefinitionLoader - Loads and hot-reloads agent definition files
+ *
+ * Invalid files are skipped with a warning (see getErrors()); the other
+ * definitions still load. After watch(), changes to the directories reload
+ * every definition and notify onChange listeners.
+ *
+ * @example
+ * ```typescript
+ * const loader = new AgentDefinitionLoader();
+ * loader.onChange(definitions => registry.setCustomAgents(definitions.map(toAgentMetadata)));
+ * await loader.load();
+ * loader.watch();
+ * ```
+ */
+export class AgentDefinitionLoader implements AgentDefinitionSource {
+  private definitions = new Map<string, AgentDefinition>();
+  private errors: AgentDefinitionError[] = [];
+  private listeners = new Set<(definitions: AgentDefinition[]) => void>();
+  private watchers: FSWatcher[] = [];
+  private reloadTimer?: NodeJS.Timeout;
+
+  /**
+   * @param directories - Definition directories, highest precedence first (default: defaultAgentDirectories())
+   */
+  constructor(private directories: string[] = defaultAgentDirectories()) {}
+
+  get(name: string): AgentDefinition | undefined {
+    return this.definitions.get(name);
+  }
+
+  list(): AgentDefinition[] {
+    return Array.from(this.definitions.values());
+  }
+
+  /**
+   * Files skipped by the last load
+   */
+  getErrors(): AgentDefinitionError[] {
+    return [...this.errors];
+  }
+
+  /**
+   * Register a listener called with all definitions after every load
+   *
+   * @returns Function that removes the listener
+   */
+  onChange(listener: (definitions: AgentDefinition[]) => void): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * (Re)load all definition files
+   */
+  async load(): Promise<AgentDefinition[]> {
+    const definitions = new Map<string, AgentDefinition>();
+    const errors: AgentDefinitionError[] = [];
+
+    // Lowest precedence first, so higher directories override
+    for (const directory of [...this.directories].reverse()) {
+      const loaded = new Map<string, AgentDefinition>();
+
+      for (const file of await listDefinitionFiles(directory)) {
+        try {
+          const definition = parseAgentDefinition(await readFile(file, 'utf-8'), file);
+          const duplicate = loaded.get(definition.name);
+          if (duplicate) {
+            throw new ValidationError(`${file}: agent "${definition.name}" is already defined in ${duplicate.file}`, {
+              file,
+            });
+          }
+          loaded.set(definition.name, definition);
+        } catch (error) {
+          const message = error instanceof Error ? error.message : String(error);
+          errors.push({ file, message });
+          logger.warn(`[AgentDefinitions] Skipping agent definition: ${message}`);
+        }
+      }
+
+      for (const definition of loaded.values()) {
+        definitions.set(definition.name, definition);
+      }
+    }
+
+    this.definitions = definitions;
+    this.errors = errors;
+    logger.debug(`[AgentDefinitions] Loaded ${definitions.size} agent definition(s)`);
+
+    const list = this.list();
+    for (const listener of this.listeners) {
+      listener(list);
+    }
+    return list;
+  }
+
+  /**
+   * Reload whenever a definition directory changes
+   *
+   * Only directories that exist when watch() is called are watched.
+   */
+  watch(): void {
+    if (this.watchers.length > 0) {
+      return;
+    }
+
+    for (const directory of this.directories) {
+      try {
+        const watcher = watch(directory, () => this.scheduleReload());
+        watcher.on('error', error => logger.warn(`[AgentDefinitions] Stopped watching ${directory}:`, error));
+        watcher.unref();
+        this.watchers.push(watcher);
+      } catch (error) {
+        if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+          logger.warn(`[AgentDefinitions] Cannot watch ${directory}:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Stop watching
+   */
+  close(): void {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = undefined;
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+  }
+
+  private scheduleReload(): void {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => {
+      this.reloadTimer = undefined;
+      this.load().catch(error => logger.warn('[AgentDefinitions] Reload failed:', error));
+    }, RELOAD_DELAY_MS);
+    this.reloadTimer.unref();
+  }
+}
+
+async function listDefinitionFiles(directory: string): Promise<string[]> {
+  try {
+    const entries = await readdir(directory, { withFileTypes: true });
+    return entries
+      .filter(entry => entry.isFile() && entry.name.endsWith('.md'))
+      .map(entry => path.join(directory, entry.name))
+      .sort();
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
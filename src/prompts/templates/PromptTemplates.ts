@@ -11,13 +11,13 @@
  * @module PromptTemplates
  */
 
-import { AgentType } from '../../orchestrator/types.js';
+import { BuiltInAgentType } from '../../orchestrator/types.js';
 
 /**
  * Agent Persona Definitions
  * Each agent has a specialized persona for optimal prompting
  */
-export const AGENT_PERSONAS: Record<AgentType, string> = {
+export const AGENT_PERSONAS: Record<BuiltInAgentType, string> = {
   'code-reviewer': `You are an expert Code Reviewer with deep knowledge of software engineering best practices.
 
 Your expertise includes:
@@ -763,7 +763,7 @@ When optimizing performance, you:
  * Agent Tool Definitions
  * Tools available to each agent type
  */
-export const AGENT_TOOLS: Record<AgentType, string[]> = {
+export const AGENT_TOOLS: Record<BuiltInAgentType, string[]> = {
   'code-reviewer': ['read_file', 'grep_code', 'run_tests', 'static_analysis'],
   'test-writer': ['read_file', 'write_file', 'run_tests', 'coverage_report'],
   'debugger': ['read_file', 'run_code', 'read_logs', 'profiler'],
@@ -819,7 +819,7 @@ export interface ModelSuggestion {
   complex: string;
 }
 
-export const MODEL_SUGGESTIONS: Record<AgentType, ModelSuggestion> = {
+export const MODEL_SUGGESTIONS: Record<BuiltInAgentType, ModelSuggestion> = {
   'code-reviewer': {
     simple: 'claude-haiku-4-5-20251015',
     medium: 'claude-sonnet-4-5-20250929',
@@ -981,7 +981,7 @@ export const MODEL_SUGGESTIONS: Record<AgentType, ModelSuggestion> = {
  * Agent-Specific Instructions
  * Standardized instructions for each agent type
  */
-export const AGENT_INSTRUCTIONS: Record<AgentType, string> = {
+export const AGENT_INSTRUCTIONS: Record<BuiltInAgentType, string> = {
   'code-reviewer': 'Please provide:\n1. Critical issues (security, bugs)\n2. Code quality suggestions\n3. Best practices recommendations',
   'test-writer': 'Please provide:\n1. Test cases (arrange-act-assert format)\n2. Edge cases to cover\n3. Test framework recommendations',
   'debugger': 'Please provide:\n1. Root cause analysis\n2. Reproduction steps\n3. Proposed fix with verification',
@@ -1014,3 +1014,39 @@ export const AGENT_INSTRUCTIONS: Record<AgentType, string> = {
   'database-administrator': 'Please provide:\n1. Schema design and migration strategy\n2. Performance tuning and index optimization\n3. Backup, recovery, and high availability plan',
   'performance-engineer': 'Please provide:\n1. End-to-end performance analysis\n2. Scalability and load testing strategy\n3. Optimization recommendations with metrics',
 };
+
+/**
+ * Everything PromptEnhancer needs to build prompts for one agent
+ */
+export interface AgentTemplate {
+  /** System prompt persona */
+  persona: string;
+
+  /** Tools listed in the system prompt */
+  tools: string[];
+
+  /** Instructions appended to the user prompt */
+  instructions: string;
+
+  /** Suggested model per task complexity */
+  models: ModelSuggestion;
+}
+
+/**
+ * Check whether an agent type is one of the built-in agents
+ */
+export function isBuiltInAgentType(agentType: string): agentType is BuiltInAgentType {
+  return Object.prototype.hasOwnProperty.call(AGENT_PERSONAS, agentType);
+}
+
+/**
+ * Get the compiled-in template of a built-in agent
+ */
+export function getBuiltInAgentTemplate(agentType: BuiltInAgentType): AgentTemplate {
+  return {
+    persona: AGENT_PERSONAS[agentType],
+    tools: AGENT_TOOLS[agentType],
+    instructions: AGENT_INSTRUCTIONS[agentType],
+    models: MODEL_SUGGESTIONS[agentType],
+  };
+}
@@ -14,5 +14,8 @@ export {
   AGENT_TOOLS,
   AGENT_INSTRUCTIONS,
   MODEL_SUGGESTIONS,
+  isBuiltInAgentType,
+  getBuiltInAgentTemplate,
   type ModelSuggestion,
+  type AgentTemplate,
 } from './PromptTemplates.js';
@@ -22,6 +22,7 @@ import {
   AgentCompleteEvent,
   AttributionMessage,
   MetricsSnapshot,
+  BudgetAlertEvent,
 } from './types.js';
 import { logger } from '../utils/logger.js';
 
@@ -256,6 +257,21 @@ export class UIEventBus {
     return this.on(UIEventType.ATTRIBUTION, handler);
   }
 
+  /**
+   * Emit budget alert event
+   */
+  emitBudgetAlert(data: BudgetAlertEvent): void {
+    this.emit(UIEventType.BUDGET_ALERT, data);
+  }
+
+  /**
+   * Subscribe to budget alert events
+   * Returns unsubscribe function
+   */
+  onBudgetAlert(handler: EventHandler<BudgetAlertEvent>): UnsubscribeFunction {
+    return this.on(UIEventType.BUDGET_ALERT, handler);
+  }
+
   /**
    * Remove all listeners (for cleanup)
    */
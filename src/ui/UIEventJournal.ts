@@ -0,0 +1,176 @@
+/**
+ * UIEventJournal - UI events shared across processes
+ *
+ * UIEventBus is in-process only, but the web dashboard runs as its own CLI
+ * process. The MCP server records its bus into this journal and the dashboard
+ * reads the new entries back, so progress, errors and metrics reach
+ * /api/events whichever process emitted them.
+ *
+ * @example
+ * ```typescript
+ * // MCP server
+ * const journal = new UIEventJournal();
+ * const stopRecording = journal.recordFrom(UIEventBus.getInstance());
+ *
+ * // Dashboard
+ * let seq = journal.getLatestSeq();
+ * for (const entry of journal.getEventsSince(seq)) {
+ *   seq = entry.seq;
+ *   render(entry.type, entry.data);
+ * }
+ * ```
+ */
+
+import Database from 'better-sqlite3';
+import { SchemaMigrator, type SchemaMigration } from '../db/SchemaMigrator.js';
+import { getDataPath } from '../utils/PathResolver.js';
+import { logger } from '../utils/logger.js';
+import type { UIEventBus } from './UIEventBus.js';
+import { UIEventType, type UIEventTypeValue } from './types.js';
+
+/**
+ * UI event read back from the journal
+ */
+export interface JournaledUIEvent {
+  /** Position in the journal (increases with every recorded event) */
+  seq: number;
+  type: UIEventTypeValue;
+  /** Event payload as JSON (dates as ISO strings, errors as { name, message }) */
+  data: unknown;
+  createdAt: string;
+}
+
+interface UIEventRow {
+  seq: number;
+  type: UIEventTypeValue;
+  data: string;
+  created_at: string;
+}
+
+/** Events kept in the journal; older ones are pruned on write */
+const MAX_JOURNALED_UI_EVENTS = 1000;
+
+const UI_EVENT_JOURNAL_MIGRATIONS: SchemaMigration[] = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS ui_events (
+          seq INTEGER PRIMARY KEY AUTOINCREMENT,
+          type TEXT NOT NULL,
+          data TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+      `);
+    },
+    down: (db) => {
+      db.exec('DROP TABLE IF EXISTS ui_events');
+    },
+  },
+];
+
+export class UIEventJournal {
+  private db: Database.Database;
+  private isClosed = false;
+
+  /**
+   * @param dbPath - Database file (default: <data dir>/ui-events.db), or ':memory:'
+   */
+  constructor(dbPath: string = getDataPath('ui-events.db')) {
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    new SchemaMigrator(this.db, { name: 'UIEventJournal', migrations: UI_EVENT_JOURNAL_MIGRATIONS }).migrate();
+  }
+
+  /**
+   * Append an event and prune the oldest entries
+   *
+   * @returns Sequence number of the recorded event
+   */
+  record(type: UIEventTypeValue, data: unknown): number {
+    const result = this.db
+      .prepare('INSERT INTO ui_events (type, data, created_at) VALUES (?, ?, ?)')
+      .run(type, JSON.stringify(data ?? null, serializeErrors), new Date().toISOString());
+    const seq = Number(result.lastInsertRowid);
+
+    this.db.prepare('DELETE FROM ui_events WHERE seq <= ?').run(seq - MAX_JOURNALED_UI_EVENTS);
+    return seq;
+  }
+
+  /**
+   * Record every event emitted on a bus until the returned function is called
+   *
+   * Write failures are logged and never reach the emitter.
+   */
+  recordFrom(bus: UIEventBus): () => void {
+    const unsubscribers = Object.values(UIEventType).map((type) =>
+      bus.on(type, (data: unknown) => {
+        if (this.isClosed) {
+          return;
+        }
+        try {
+          this.record(type, data);
+        } catch (error) {
+          logger.warn('[UIEventJournal] Failed to record UI event', {
+            type,
+            error: error instanceof Error ? error.message : String(error),
+          });
+        }
+      })
+    );
+
+    return () => {
+      for (const unsubscribe of unsubscribers) {
+        unsubscribe();
+      }
+    };
+  }
+
+  /**
+   * Get events recorded after `seq` by any process
+   *
+   * @param seq - Last sequence number already seen (0 = from the oldest kept event)
+   * @param limit - Maximum events returned
+   * @returns Events in record order
+   */
+  getEventsSince(seq: number, limit = 100): JournaledUIEvent[] {
+    const rows = this.db
+      .prepare('SELECT seq, type, data, created_at FROM ui_events WHERE seq > ? ORDER BY seq ASC LIMIT ?')
+      .all(seq, limit) as UIEventRow[];
+
+    return rows.map((row) => ({
+      seq: row.seq,
+      type: row.type,
+      data: JSON.parse(row.data),
+      createdAt: row.created_at,
+    }));
+  }
+
+  /**
+   * Get the sequence number of the latest recorded event (0 if none)
+   */
+  getLatestSeq(): number {
+    const row = this.db.prepare('SELECT MAX(seq) AS seq FROM ui_events').get() as { seq: number | null };
+    return row.seq ?? 0;
+  }
+
+  close(): void {
+    if (this.isClosed) {
+      return;
+    }
+    this.isClosed = true;
+    this.db.close();
+  }
+}
+
+/**
+ * JSON replacer: UI error events carry Error objects, which stringify to {}
+ */
+function serializeErrors(_key: string, value: unknown): unknown {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message };
+  }
+  return value;
+}
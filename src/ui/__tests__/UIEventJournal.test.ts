@@ -0,0 +1,78 @@
+/**
+ * UIEventJournal Tests
+ *
+ * Events recorded from the UI event bus must be readable through another
+ * connection to the same database (the web dashboard process).
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { UIEventJournal } from '../UIEventJournal.js';
+import { UIEventBus } from '../UIEventBus.js';
+
+describe('UIEventJournal', () => {
+  let tempDir: string;
+  let writer: UIEventJournal;
+  let reader: UIEventJournal;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'ui-event-journal-'));
+    writer = new UIEventJournal(join(tempDir, 'ui-events.db'));
+    reader = new UIEventJournal(join(tempDir, 'ui-events.db'));
+  });
+
+  afterEach(() => {
+    writer.close();
+    reader.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should record bus events for other connections until stopped', () => {
+    const bus = UIEventBus.getInstance();
+    const stopRecording = writer.recordFrom(bus);
+    const seq = reader.getLatestSeq();
+
+    try {
+      bus.emitError({
+        agentId: 'a',
+        agentType: 'test',
+        taskDescription: 'Indexing',
+        error: new Error('boom'),
+        timestamp: new Date('2026-01-01T00:00:00.000Z'),
+      });
+    } finally {
+      stopRecording();
+    }
+    bus.emitSuccess({
+      agentId: 'a',
+      agentType: 'test',
+      taskDescription: 'After stopping',
+      result: null,
+      duration: 1,
+      timestamp: new Date(),
+    });
+
+    const events = reader.getEventsSince(seq);
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      type: 'error',
+      data: {
+        taskDescription: 'Indexing',
+        error: { name: 'Error', message: 'boom' },
+        timestamp: '2026-01-01T00:00:00.000Z',
+      },
+    });
+    expect(reader.getLatestSeq()).toBe(events[0].seq);
+  });
+
+  it('should return events after a sequence number in pages', () => {
+    const first = writer.record('progress', { progress: 0.1 });
+    writer.record('progress', { progress: 0.5 });
+    writer.record('progress', { progress: 1 });
+
+    expect(reader.getEventsSince(first, 1).map((event) => event.data)).toEqual([{ progress: 0.5 }]);
+    expect(reader.getEventsSince(first).map((event) => event.data)).toEqual([{ progress: 0.5 }, { progress: 1 }]);
+  });
+});
@@ -16,6 +16,7 @@ export const UIEventType = {
   ERROR: 'error',
   METRICS_UPDATE: 'metrics_update',
   ATTRIBUTION: 'attribution', // Phase 3 Task 4
+  BUDGET_ALERT: 'budget_alert',
 } as const;
 
 export type UIEventTypeValue = typeof UIEventType[keyof typeof UIEventType];
@@ -94,6 +95,27 @@ export interface AgentCompleteEvent {
   duration: number; // milliseconds
 }
 
+/**
+ * Budget Alert Event
+ * Emitted by CostTracker the first time spend in a budget window crosses
+ * an alert threshold
+ */
+export interface BudgetAlertEvent {
+  /** Budget that was crossed */
+  scope: 'monthly' | 'daily' | 'project' | 'agent';
+  /** Project or agent name for per-project / per-agent budgets */
+  key?: string;
+  /** Threshold that was crossed (fraction of the limit, e.g. 0.8) */
+  threshold: number;
+  /** Spend in the current window in micro-dollars (μUSD) */
+  spent: number;
+  /** Budget limit in micro-dollars (μUSD) */
+  limit: number;
+  /** Current usage as a fraction of the limit */
+  usage: number;
+  timestamp: Date;
+}
+
 /**
  * Attribution Entry
  * Records success/error events for later GitHub issue generation
@@ -9,12 +9,17 @@
  * - Trace context propagation across async operations
  * - Support for standard trace headers (W3C traceparent, X-Trace-Id, X-Request-Id)
  * - Parent-child span relationships for nested operations
+ * - Finished spans are handed to the span export pipeline (OTLP) when one is
+ *   configured (see ./export)
  *
  * @module utils/tracing
  */
 
 import { AsyncLocalStorage } from 'async_hooks';
 import crypto from 'crypto';
+import { hasSpanProcessors, recordSpan } from './export/pipeline.js';
+import { toOTLPId } from './export/otlp.js';
+import type { ExportSpanKind } from './export/types.js';
 
 /**
  * Trace context containing correlation identifiers
@@ -30,6 +35,31 @@ export interface TraceContext {
   sampled: boolean;
   /** Additional baggage/context metadata */
   baggage?: Record<string, string>;
+  /**
+   * Full W3C trace ID (32 hex) received in a traceparent header. Kept so
+   * outgoing calls and exported spans stay in the caller's trace.
+   */
+  w3cTraceId?: string;
+  /** W3C span ID (16 hex) of the remote parent, for the first local span */
+  w3cParentSpanId?: string;
+}
+
+/**
+ * Details of a finished span (see endSpan)
+ */
+export interface SpanDetails {
+  /** Operation name */
+  name: string;
+  /** Span kind (default: 'internal') */
+  kind?: ExportSpanKind;
+  /** Start time (Unix ms) */
+  startTime: number;
+  /** End time (Unix ms, default: now) */
+  endTime?: number;
+  /** Span attributes */
+  attributes?: Record<string, unknown>;
+  /** Error that ended the operation (sets ERROR status) */
+  error?: unknown;
 }
 
 /**
@@ -98,7 +128,7 @@ export function isValidSpanId(spanId: string): boolean {
  */
 export function parseW3CTraceparent(
   traceparent: string
-): Pick<TraceContext, 'traceId' | 'parentSpanId' | 'sampled'> | null {
+): Pick<TraceContext, 'traceId' | 'parentSpanId' | 'sampled' | 'w3cTraceId' | 'w3cParentSpanId'> | null {
   const parts = traceparent.split('-');
   if (parts.length !== 4 || parts[0] !== '00') {
     return null;
@@ -107,11 +137,18 @@ export function parseW3CTraceparent(
   const [, traceId, parentId, flags] = parts;
   const sampled = (parseInt(flags, 16) & 1) === 1;
 
-  return {
+  const parsed: Pick<TraceContext, 'traceId' | 'parentSpanId' | 'sampled' | 'w3cTraceId' | 'w3cParentSpanId'> = {
     traceId: `trace-${Date.now()}-${traceId.substring(0, 12)}`,
     parentSpanId: `span-${parentId.substring(0, 8)}`,
     sampled,
   };
+
+  if (/^[0-9a-f]{32}$/.test(traceId) && !/^0+$/.test(traceId) && /^[0-9a-f]{16}$/.test(parentId)) {
+    parsed.w3cTraceId = traceId;
+    parsed.w3cParentSpanId = parentId;
+  }
+
+  return parsed;
 }
 
 /**
@@ -121,17 +158,37 @@ export function parseW3CTraceparent(
  * @returns W3C traceparent header value
  */
 export function formatW3CTraceparent(context: TraceContext): string {
-  // Extract hex portions from our IDs
-  const traceHex = context.traceId.split('-')[2] || '000000000000';
-  const spanHex = context.spanId.split('-')[1] || '00000000';
+  const flags = context.sampled ? '01' : '00';
 
-  // Pad to required lengths (32 for trace, 16 for span)
-  const paddedTrace = traceHex.padEnd(32, '0');
-  const paddedSpan = spanHex.padEnd(16, '0');
+  return `00-${toW3CTraceId(context)}-${toW3CSpanId(context.spanId)}-${flags}`;
+}
 
-  const flags = context.sampled ? '01' : '00';
+/**
+ * Get the W3C trace ID (32 hex) of a trace context
+ *
+ * The trace ID received from the caller if there was one, otherwise the hex
+ * part of our trace ID padded to 32 characters.
+ *
+ * @param context - Trace context
+ * @returns W3C trace ID
+ */
+export function toW3CTraceId(context: Pick<TraceContext, 'traceId' | 'w3cTraceId'>): string {
+  if (context.w3cTraceId) {
+    return context.w3cTraceId;
+  }
+  const match = context.traceId.match(/^trace-\d+-([0-9a-f]{12})$/);
+  return match ? match[1].padEnd(32, '0') : toOTLPId(context.traceId, 32);
+}
 
-  return `00-${paddedTrace}-${paddedSpan}-${flags}`;
+/**
+ * Get the W3C span ID (16 hex) of one of our span IDs
+ *
+ * @param spanId - Span ID (span-{8 hex})
+ * @returns W3C span ID
+ */
+export function toW3CSpanId(spanId: string): string {
+  const match = spanId.match(/^span-([0-9a-f]{8})$/);
+  return match ? match[1].padEnd(16, '0') : toOTLPId(spanId, 16);
 }
 
 /**
@@ -165,6 +222,8 @@ export function extractTraceContext(
         traceId: parsed.traceId,
         parentSpanId: parsed.parentSpanId,
         sampled: parsed.sampled,
+        w3cTraceId: parsed.w3cTraceId,
+        w3cParentSpanId: parsed.w3cParentSpanId,
       };
     }
   }
@@ -226,13 +285,53 @@ export function createTraceContext(
   parentContext?: Partial<TraceContext>,
   sampled = true
 ): TraceContext {
-  return {
+  const context: TraceContext = {
     traceId: parentContext?.traceId || generateTraceId(),
     spanId: generateSpanId(),
     parentSpanId: parentContext?.spanId,
     sampled,
     baggage: parentContext?.baggage,
   };
+
+  if (parentContext?.w3cTraceId) {
+    context.w3cTraceId = parentContext.w3cTraceId;
+  }
+  // Only the first local span has the remote span as its parent
+  if (!parentContext?.spanId && parentContext?.w3cParentSpanId) {
+    context.w3cParentSpanId = parentContext.w3cParentSpanId;
+  }
+
+  return context;
+}
+
+/**
+ * Record a finished span for a trace context
+ *
+ * Hands the span to the export pipeline. Does nothing for unsampled contexts
+ * or when span export is not configured.
+ *
+ * @param context - Context of the span (its spanId identifies the span)
+ * @param details - Name, timing, attributes and error
+ */
+export function endSpan(context: TraceContext, details: SpanDetails): void {
+  if (!context.sampled || !hasSpanProcessors()) {
+    return;
+  }
+
+  const { error } = details;
+  recordSpan({
+    traceId: toW3CTraceId(context),
+    spanId: toW3CSpanId(context.spanId),
+    parentSpanId: context.parentSpanId ? toW3CSpanId(context.parentSpanId) : context.w3cParentSpanId,
+    name: details.name,
+    kind: details.kind ?? 'internal',
+    startTime: details.startTime,
+    endTime: details.endTime ?? Date.now(),
+    status: error
+      ? { code: 'ERROR', message: error instanceof Error ? error.message : String(error) }
+      : { code: 'UNSET' },
+    attributes: details.attributes ?? {},
+  });
 }
 
 /**
@@ -287,7 +386,15 @@ export function createChildSpan(spanName?: string): TraceContext {
  */
 export function withChildSpan<T>(spanName: string, callback: () => T): T {
   const childContext = createChildSpan(spanName);
-  return runWithTraceContext(childContext, callback);
+  const startTime = Date.now();
+  try {
+    const result = runWithTraceContext(childContext, callback);
+    endSpan(childContext, { name: spanName, startTime });
+    return result;
+  } catch (error) {
+    endSpan(childContext, { name: spanName, startTime, error });
+    throw error;
+  }
 }
 
 /**
@@ -302,9 +409,18 @@ export async function withChildSpanAsync<T>(
   callback: () => Promise<T>
 ): Promise<T> {
   const childContext = createChildSpan(spanName);
+  const startTime = Date.now();
   return new Promise((resolve, reject) => {
     runWithTraceContext(childContext, () => {
-      callback().then(resolve).catch(reject);
+      callback()
+        .then((result) => {
+          endSpan(childContext, { name: spanName, startTime });
+          resolve(result);
+        })
+        .catch((error) => {
+          endSpan(childContext, { name: spanName, startTime, error });
+          reject(error);
+        });
     });
   });
 }
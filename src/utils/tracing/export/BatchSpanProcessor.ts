@@ -0,0 +1,151 @@
+/**
+ * Distributed Tracing - Batch Span Processor
+ *
+ * Buffers finished spans and exports them in batches, either when a batch
+ * is full or after a delay. When the buffer is full new spans are dropped
+ * (and counted) instead of growing memory while the backend is down.
+ *
+ * @module utils/tracing/export
+ */
+
+import { logger } from '../../logger.js';
+import type { ExportableSpan, SpanExporter, SpanProcessor } from './types.js';
+
+/**
+ * Batch span processor options
+ */
+export interface BatchSpanProcessorOptions {
+  /** Maximum number of buffered spans; further spans are dropped (default: 2048) */
+  maxQueueSize?: number;
+  /** Maximum number of spans per export (default: 512) */
+  maxExportBatchSize?: number;
+  /** Delay before a partial batch is exported in milliseconds (default: 5000) */
+  scheduledDelayMs?: number;
+}
+
+/**
+ * BatchSpanProcessor
+ *
+ * @example
+ * ```typescript
+ * const processor = new BatchSpanProcessor(
+ *   new OTLPHttpExporter({ endpoint: 'http://localhost:4318' })
+ * );
+ * registerSpanProcessor(processor);
+ *
+ * // On shutdown
+ * await processor.shutdown();
+ * ```
+ */
+export class BatchSpanProcessor implements SpanProcessor {
+  private readonly maxQueueSize: number;
+  private readonly maxExportBatchSize: number;
+  private readonly scheduledDelayMs: number;
+  private queue: ExportableSpan[] = [];
+  private timer: NodeJS.Timeout | null = null;
+  /** Export in progress; exports run one at a time */
+  private exporting: Promise<void> | null = null;
+  private isShutdown = false;
+  private stats = { exported: 0, dropped: 0, failed: 0 };
+
+  constructor(
+    private exporter: SpanExporter,
+    options: BatchSpanProcessorOptions = {}
+  ) {
+    this.maxQueueSize = options.maxQueueSize ?? 2048;
+    this.maxExportBatchSize = Math.min(options.maxExportBatchSize ?? 512, this.maxQueueSize);
+    this.scheduledDelayMs = options.scheduledDelayMs ?? 5000;
+  }
+
+  onEnd(span: ExportableSpan): void {
+    if (this.isShutdown) {
+      return;
+    }
+
+    if (this.queue.length >= this.maxQueueSize) {
+      this.stats.dropped++;
+      if (this.stats.dropped === 1 || this.stats.dropped % 1000 === 0) {
+        logger.warn('[BatchSpanProcessor] Span queue full, dropping spans', {
+          maxQueueSize: this.maxQueueSize,
+          dropped: this.stats.dropped,
+        });
+      }
+      return;
+    }
+
+    this.queue.push(span);
+
+    if (this.queue.length >= this.maxExportBatchSize) {
+      void this.exportQueued();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        void this.exportQueued();
+      }, this.scheduledDelayMs);
+      // Pending spans must not keep the process alive
+      this.timer.unref();
+    }
+  }
+
+  async forceFlush(): Promise<void> {
+    await this.exportQueued();
+  }
+
+  async shutdown(): Promise<void> {
+    if (this.isShutdown) {
+      return;
+    }
+    await this.forceFlush();
+    this.isShutdown = true;
+    await this.exporter.shutdown();
+  }
+
+  /**
+   * Get export statistics
+   *
+   * @returns Spans exported, dropped (queue full) and failed (export error)
+   */
+  getStats(): { exported: number; dropped: number; failed: number; queued: number } {
+    return { ...this.stats, queued: this.queue.length };
+  }
+
+  /**
+   * Export queued spans in batches until the queue is empty
+   */
+  private async exportQueued(): Promise<void> {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    while (this.exporting) {
+      await this.exporting;
+    }
+
+    if (this.queue.length === 0) {
+      return;
+    }
+
+    this.exporting = (async () => {
+      while (this.queue.length > 0) {
+        const batch = this.queue.splice(0, this.maxExportBatchSize);
+        try {
+          await this.exporter.export(batch);
+          this.stats.exported += batch.length;
+        } catch (error) {
+          this.stats.failed += batch.length;
+          logger.warn('[BatchSpanProcessor] Span export failed, batch dropped', {
+            spans: batch.length,
+            error: error instanceof Error ? error.message : String(error),
+          });
+        }
+      }
+    })();
+
+    try {
+      await this.exporting;
+    } finally {
+      this.exporting = null;
+    }
+  }
+}
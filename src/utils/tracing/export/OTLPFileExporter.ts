@@ -0,0 +1,60 @@
+/**
+ * Distributed Tracing - OTLP File Exporter
+ *
+ * Appends each batch as one OTLP/JSON `ExportTraceServiceRequest` per line
+ * (the format of the OpenTelemetry Collector file exporter), for offline use.
+ * The file can be replayed into a collector later with its `otlpjsonfile`
+ * receiver.
+ *
+ * @module utils/tracing/export
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { toOTLPTraceRequest } from './otlp.js';
+import type { ExportableSpan, SpanExporter } from './types.js';
+
+/**
+ * OTLP file exporter options
+ */
+export interface OTLPFileExporterOptions {
+  /** JSON Lines file to append to (parent directories are created) */
+  path: string;
+  /** Resource attributes for all spans (service.name, service.version, ...) */
+  resource?: Record<string, unknown>;
+  /** Version reported in the instrumentation scope */
+  scopeVersion?: string;
+}
+
+/**
+ * OTLPFileExporter
+ *
+ * @example
+ * ```typescript
+ * const exporter = new OTLPFileExporter({ path: '/tmp/memesh-traces.jsonl' });
+ * registerSpanProcessor(new BatchSpanProcessor(exporter));
+ * ```
+ */
+export class OTLPFileExporter implements SpanExporter {
+  private directoryReady = false;
+
+  constructor(private options: OTLPFileExporterOptions) {}
+
+  async export(spans: ExportableSpan[]): Promise<void> {
+    if (spans.length === 0) {
+      return;
+    }
+
+    if (!this.directoryReady) {
+      await fs.mkdir(path.dirname(this.options.path), { recursive: true });
+      this.directoryReady = true;
+    }
+
+    const request = toOTLPTraceRequest(spans, this.options.resource ?? {}, this.options.scopeVersion);
+    await fs.appendFile(this.options.path, JSON.stringify(request) + '\n', 'utf-8');
+  }
+
+  async shutdown(): Promise<void> {
+    // Every export is written immediately; nothing to release
+  }
+}
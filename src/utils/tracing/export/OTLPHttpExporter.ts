@@ -0,0 +1,148 @@
+/**
+ * Distributed Tracing - OTLP/HTTP Exporter
+ *
+ * POSTs spans as OTLP/JSON to `<endpoint>/v1/traces` (OpenTelemetry
+ * Collector, Jaeger, Grafana Tempo, ...). Network errors, timeouts and the
+ * retryable OTLP responses (429, 502, 503, 504) are retried with exponential
+ * backoff; other failures reject immediately.
+ *
+ * @module utils/tracing/export
+ */
+
+import { retryWithBackoff } from '../../retry.js';
+import { toOTLPTraceRequest } from './otlp.js';
+import type { ExportableSpan, SpanExporter } from './types.js';
+
+/** Status codes OTLP/HTTP clients must retry */
+const RETRYABLE_STATUS_CODES = [429, 502, 503, 504];
+
+/**
+ * OTLP/HTTP exporter options
+ */
+export interface OTLPHttpExporterOptions {
+  /**
+   * Collector URL. A base URL gets `/v1/traces` appended; a URL that already
+   * ends in `/v1/traces` is used as is.
+   */
+  endpoint: string;
+  /** Extra request headers (e.g. authorization for a hosted backend) */
+  headers?: Record<string, string>;
+  /** Resource attributes for all spans (service.name, service.version, ...) */
+  resource?: Record<string, unknown>;
+  /** Version reported in the instrumentation scope */
+  scopeVersion?: string;
+  /** Timeout per attempt in milliseconds (default: 10000) */
+  timeoutMs?: number;
+  /** Maximum retries per batch (default: 3) */
+  maxRetries?: number;
+  /** Base backoff delay in milliseconds (default: 1000) */
+  retryBaseDelayMs?: number;
+}
+
+/**
+ * Resolve the traces URL for a collector endpoint
+ *
+ * @param endpoint - Base URL or full traces URL
+ * @returns URL ending in /v1/traces
+ */
+export function resolveTracesUrl(endpoint: string): string {
+  const trimmed = endpoint.replace(/\/+$/, '');
+  return trimmed.endsWith('/v1/traces') ? trimmed : `${trimmed}/v1/traces`;
+}
+
+/**
+ * OTLPHttpExporter
+ *
+ * @example
+ * ```typescript
+ * const exporter = new OTLPHttpExporter({
+ *   endpoint: 'http://localhost:4318',
+ *   resource: { 'service.name': 'memesh' },
+ * });
+ * registerSpanProcessor(new BatchSpanProcessor(exporter));
+ * ```
+ */
+export class OTLPHttpExporter implements SpanExporter {
+  private readonly url: string;
+  private readonly headers: Record<string, string>;
+  private readonly resource: Record<string, unknown>;
+  private readonly timeoutMs: number;
+  private readonly maxRetries: number;
+  private readonly retryBaseDelayMs: number;
+  /** Aborts in-flight requests on shutdown */
+  private abortController = new AbortController();
+
+  constructor(private options: OTLPHttpExporterOptions) {
+    this.url = resolveTracesUrl(options.endpoint);
+    this.headers = { ...options.headers, 'Content-Type': 'application/json' };
+    this.resource = options.resource ?? {};
+    this.timeoutMs = options.timeoutMs ?? 10_000;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryBaseDelayMs = options.retryBaseDelayMs ?? 1000;
+  }
+
+  /**
+   * Send one batch
+   *
+   * @throws Error with `status` if the collector rejected the batch, or the
+   *   network error once retries are exhausted
+   */
+  async export(spans: ExportableSpan[]): Promise<void> {
+    if (spans.length === 0) {
+      return;
+    }
+
+    const body = JSON.stringify(toOTLPTraceRequest(spans, this.resource, this.options.scopeVersion));
+    const signal = this.abortController.signal;
+
+    await retryWithBackoff(
+      async () => {
+        const attempt = new AbortController();
+        const abortAttempt = () => attempt.abort();
+        const timeoutId = setTimeout(abortAttempt, this.timeoutMs);
+        signal.addEventListener('abort', abortAttempt, { once: true });
+
+        let response: Response;
+        try {
+          response = await fetch(this.url, {
+            method: 'POST',
+            headers: this.headers,
+            body,
+            signal: attempt.signal,
+          });
+        } finally {
+          clearTimeout(timeoutId);
+          signal.removeEventListener('abort', abortAttempt);
+        }
+
+        // The response body (partial success details) is not used
+        await response.body?.cancel();
+
+        if (!response.ok) {
+          throw Object.assign(new Error(`OTLP collector responded with HTTP ${response.status}`), {
+            status: response.status,
+          });
+        }
+      },
+      {
+        maxRetries: this.maxRetries,
+        baseDelay: this.retryBaseDelayMs,
+        retryableStatusCodes: [],
+        // The attempt enforces its own timeout through the abort signal
+        timeout: 0,
+        isRetryable: (error) => {
+          if (signal.aborted) {
+            return false;
+          }
+          const status = (error as { status?: number } | null)?.status;
+          return status === undefined || RETRYABLE_STATUS_CODES.includes(status);
+        },
+        operationName: `OTLP export (${spans.length} spans)`,
+      }
+    );
+  }
+
+  async shutdown(): Promise<void> {
+    this.abortController.abort();
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * Distributed Tracing - Span Export
+ *
+ * Sends SpanTracker and TraceContext spans to OpenTelemetry backends.
+ *
+ * Configuration (environment):
+ * - MEMESH_OTLP_ENDPOINT / OTEL_EXPORTER_OTLP_ENDPOINT - OTLP/HTTP collector
+ *   URL (e.g. http://localhost:4318); spans are POSTed to /v1/traces
+ * - MEMESH_OTLP_HEADERS / OTEL_EXPORTER_OTLP_HEADERS - extra headers as
+ *   `key=value,key2=value2`
+ * - MEMESH_OTLP_FILE - append OTLP/JSON lines to this file (offline use)
+ * - OTEL_SERVICE_NAME - service.name resource attribute (default: memesh)
+ *
+ * Endpoint and file can be combined. Without either, span export is off and
+ * span sources skip building export spans.
+ *
+ * @module utils/tracing/export
+ */
+
+import { logger } from '../../logger.js';
+import { BatchSpanProcessor, type BatchSpanProcessorOptions } from './BatchSpanProcessor.js';
+import { OTLPHttpExporter } from './OTLPHttpExporter.js';
+import { OTLPFileExporter } from './OTLPFileExporter.js';
+import { hasSpanProcessors, registerSpanProcessor } from './pipeline.js';
+
+export type { ExportableSpan, ExportSpanKind, SpanExporter, SpanProcessor } from './types.js';
+export {
+  registerSpanProcessor,
+  hasSpanProcessors,
+  recordSpan,
+  forceFlushSpanExport,
+  shutdownSpanExport,
+} from './pipeline.js';
+export { BatchSpanProcessor, type BatchSpanProcessorOptions } from './BatchSpanProcessor.js';
+export { OTLPHttpExporter, resolveTracesUrl, type OTLPHttpExporterOptions } from './OTLPHttpExporter.js';
+export { OTLPFileExporter, type OTLPFileExporterOptions } from './OTLPFileExporter.js';
+export { toOTLPTraceRequest, toOTLPAttributes, toOTLPId, type OTLPTraceRequest, type OTLPSpan } from './otlp.js';
+
+/**
+ * Options for configureSpanExportFromEnv()
+ */
+export interface SpanExportConfigOptions {
+  /** service.version resource attribute */
+  serviceVersion?: string;
+  /** Additional resource attributes (e.g. memesh.process.role) */
+  resource?: Record<string, unknown>;
+  /** Batching options for every exporter */
+  batch?: BatchSpanProcessorOptions;
+  /** Environment to read (default: process.env) */
+  env?: NodeJS.ProcessEnv;
+}
+
+/**
+ * Parse an OTLP headers variable (`key=value,key2=value2`, values URL-encoded)
+ *
+ * @param value - Raw variable value
+ * @returns Header map (malformed entries are skipped)
+ */
+export function parseOTLPHeaders(value: string | undefined): Record<string, string> {
+  const headers: Record<string, string> = {};
+  for (const entry of (value ?? '').split(',')) {
+    const index = entry.indexOf('=');
+    if (index <= 0) {
+      continue;
+    }
+    const key = entry.slice(0, index).trim();
+    const raw = entry.slice(index + 1).trim();
+    try {
+      headers[key] = decodeURIComponent(raw);
+    } catch {
+      headers[key] = raw;
+    }
+  }
+  return headers;
+}
+
+/**
+ * Register span exporters configured in the environment
+ *
+ * Does nothing if export is already configured in this process.
+ *
+ * @param options - Resource attributes and batching options
+ * @returns Names of the exporters that were enabled
+ */
+export function configureSpanExportFromEnv(options: SpanExportConfigOptions = {}): string[] {
+  if (hasSpanProcessors()) {
+    return [];
+  }
+
+  const env = options.env ?? process.env;
+  const resource: Record<string, unknown> = {
+    'service.name': env.OTEL_SERVICE_NAME || 'memesh',
+    'service.version': options.serviceVersion,
+    'process.pid': process.pid,
+    ...options.resource,
+  };
+  const enabled: string[] = [];
+
+  const endpoint = env.MEMESH_OTLP_ENDPOINT || env.OTEL_EXPORTER_OTLP_ENDPOINT;
+  if (endpoint) {
+    const exporter = new OTLPHttpExporter({
+      endpoint,
+      headers: parseOTLPHeaders(env.MEMESH_OTLP_HEADERS || env.OTEL_EXPORTER_OTLP_HEADERS),
+      resource,
+      scopeVersion: options.serviceVersion,
+    });
+    registerSpanProcessor(new BatchSpanProcessor(exporter, options.batch));
+    enabled.push('otlp-http');
+  }
+
+  if (env.MEMESH_OTLP_FILE) {
+    const exporter = new OTLPFileExporter({
+      path: env.MEMESH_OTLP_FILE,
+      resource,
+      scopeVersion: options.serviceVersion,
+    });
+    registerSpanProcessor(new BatchSpanProcessor(exporter, options.batch));
+    enabled.push('otlp-file');
+  }
+
+  if (enabled.length > 0) {
+    logger.info('[SpanExport] Span export enabled', {
+      exporters: enabled,
+      endpoint,
+      file: env.MEMESH_OTLP_FILE,
+    });
+  }
+
+  return enabled;
+}
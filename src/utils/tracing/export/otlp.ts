@@ -0,0 +1,210 @@
+/**
+ * Distributed Tracing - OTLP/JSON Encoding
+ *
+ * Converts ExportableSpans into an OTLP `ExportTraceServiceRequest` in the
+ * JSON encoding (IDs as hex strings, times as nanosecond strings), as
+ * accepted by the OpenTelemetry Collector, Jaeger and Tempo on /v1/traces.
+ *
+ * @module utils/tracing/export
+ */
+
+import { createHash } from 'crypto';
+import type { ExportableSpan, ExportSpanKind } from './types.js';
+
+/**
+ * Instrumentation scope reported with every span
+ */
+const SCOPE_NAME = '@pcircle/memesh';
+
+/** OTLP SpanKind enum values */
+const SPAN_KIND: Record<ExportSpanKind, number> = {
+  internal: 1,
+  server: 2,
+  client: 3,
+  producer: 4,
+  consumer: 5,
+};
+
+/** OTLP StatusCode enum values */
+const STATUS_CODE = { UNSET: 0, OK: 1, ERROR: 2 } as const;
+
+/**
+ * OTLP AnyValue (JSON encoding)
+ */
+export type OTLPAnyValue =
+  | { stringValue: string }
+  | { boolValue: boolean }
+  | { intValue: string }
+  | { doubleValue: number }
+  | { arrayValue: { values: OTLPAnyValue[] } };
+
+export interface OTLPKeyValue {
+  key: string;
+  value: OTLPAnyValue;
+}
+
+/**
+ * OTLP ExportTraceServiceRequest (JSON encoding)
+ */
+export interface OTLPTraceRequest {
+  resourceSpans: Array<{
+    resource: { attributes: OTLPKeyValue[] };
+    scopeSpans: Array<{
+      scope: { name: string; version?: string };
+      spans: OTLPSpan[];
+    }>;
+  }>;
+}
+
+export interface OTLPSpan {
+  traceId: string;
+  spanId: string;
+  parentSpanId?: string;
+  name: string;
+  kind: number;
+  startTimeUnixNano: string;
+  endTimeUnixNano: string;
+  attributes: OTLPKeyValue[];
+  events: Array<{ timeUnixNano: string; name: string; attributes: OTLPKeyValue[] }>;
+  links: Array<{ traceId: string; spanId: string; attributes: OTLPKeyValue[] }>;
+  status: { code: number; message?: string };
+}
+
+/**
+ * Normalize an ID to the hex length OTLP requires
+ *
+ * Hex IDs (including UUIDs, dashes removed) are truncated to length; other
+ * IDs are hashed, so the same input always maps to the same OTLP ID.
+ *
+ * @param id - Source ID
+ * @param hexLength - 32 for trace IDs, 16 for span IDs
+ * @returns Lowercase hex ID
+ */
+export function toOTLPId(id: string, hexLength: 32 | 16): string {
+  const hex = id.toLowerCase().replace(/-/g, '');
+  if (/^[0-9a-f]+$/.test(hex) && hex.length >= hexLength && !/^0+$/.test(hex.slice(0, hexLength))) {
+    return hex.slice(0, hexLength);
+  }
+  return createHash('sha256').update(id).digest('hex').slice(0, hexLength);
+}
+
+/**
+ * Encode an attribute value
+ *
+ * @returns The OTLP value, or undefined for null / undefined
+ */
+function toAnyValue(value: unknown): OTLPAnyValue | undefined {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  if (typeof value === 'string') {
+    return { stringValue: value };
+  }
+  if (typeof value === 'boolean') {
+    return { boolValue: value };
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (typeof value === 'bigint') {
+    return { intValue: value.toString() };
+  }
+  if (Array.isArray(value)) {
+    return {
+      arrayValue: {
+        values: value.map(toAnyValue).filter((item): item is OTLPAnyValue => item !== undefined),
+      },
+    };
+  }
+  if (value instanceof Date) {
+    return { stringValue: value.toISOString() };
+  }
+  return { stringValue: JSON.stringify(value) };
+}
+
+/**
+ * Encode an attribute map (null / undefined values are left out)
+ */
+export function toOTLPAttributes(attributes: Record<string, unknown> = {}): OTLPKeyValue[] {
+  const result: OTLPKeyValue[] = [];
+  for (const [key, raw] of Object.entries(attributes)) {
+    const value = toAnyValue(raw);
+    if (value !== undefined) {
+      result.push({ key, value });
+    }
+  }
+  return result;
+}
+
+function toUnixNano(ms: number): string {
+  return (BigInt(Math.round(ms)) * 1_000_000n).toString();
+}
+
+function toOTLPSpan(span: ExportableSpan): OTLPSpan {
+  const otlp: OTLPSpan = {
+    traceId: span.traceId,
+    spanId: span.spanId,
+    name: span.name,
+    kind: SPAN_KIND[span.kind] ?? SPAN_KIND.internal,
+    startTimeUnixNano: toUnixNano(span.startTime),
+    endTimeUnixNano: toUnixNano(span.endTime),
+    attributes: toOTLPAttributes(span.attributes),
+    events: (span.events ?? []).map((event) => ({
+      timeUnixNano: toUnixNano(event.timestamp),
+      name: event.name,
+      attributes: toOTLPAttributes(event.attributes),
+    })),
+    links: (span.links ?? []).map((link) => ({
+      traceId: link.traceId,
+      spanId: link.spanId,
+      attributes: toOTLPAttributes(link.attributes),
+    })),
+    status: { code: STATUS_CODE[span.status.code] },
+  };
+
+  if (span.parentSpanId) {
+    otlp.parentSpanId = span.parentSpanId;
+  }
+  if (span.status.message) {
+    otlp.status.message = span.status.message;
+  }
+
+  return otlp;
+}
+
+/**
+ * Build an OTLP trace request
+ *
+ * Spans are grouped by resource: the exporter's resource merged with each
+ * span's own resource attributes.
+ *
+ * @param spans - Spans to encode
+ * @param resource - Resource attributes for all spans (service.name, ...)
+ * @param scopeVersion - Version reported in the instrumentation scope
+ * @returns OTLP/JSON request body
+ */
+export function toOTLPTraceRequest(
+  spans: ExportableSpan[],
+  resource: Record<string, unknown>,
+  scopeVersion?: string
+): OTLPTraceRequest {
+  const groups = new Map<string, { resource: Record<string, unknown>; spans: OTLPSpan[] }>();
+
+  for (const span of spans) {
+    const merged = { ...resource, ...span.resource };
+    const key = JSON.stringify(merged);
+    let group = groups.get(key);
+    if (!group) {
+      group = { resource: merged, spans: [] };
+      groups.set(key, group);
+    }
+    group.spans.push(toOTLPSpan(span));
+  }
+
+  return {
+    resourceSpans: [...groups.values()].map((group) => ({
+      resource: { attributes: toOTLPAttributes(group.resource) },
+      scopeSpans: [{ scope: { name: SCOPE_NAME, version: scopeVersion }, spans: group.spans }],
+    })),
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * Distributed Tracing - Span Export Pipeline
+ *
+ * Process-wide list of span processors. Span sources (SpanTracker,
+ * TraceContext) hand finished spans to recordSpan(); when no processor is
+ * registered that is a no-op, so tracing costs nothing unless export is
+ * configured.
+ *
+ * @module utils/tracing/export
+ */
+
+import { logger } from '../../logger.js';
+import type { ExportableSpan, SpanProcessor } from './types.js';
+
+const processors: SpanProcessor[] = [];
+
+/**
+ * Register a span processor
+ *
+ * @param processor - Processor that receives every finished span
+ */
+export function registerSpanProcessor(processor: SpanProcessor): void {
+  processors.push(processor);
+}
+
+/**
+ * Whether any span processor is registered
+ *
+ * Span sources check this before building spans.
+ */
+export function hasSpanProcessors(): boolean {
+  return processors.length > 0;
+}
+
+/**
+ * Hand a finished span to all registered processors
+ *
+ * @param span - Finished span
+ */
+export function recordSpan(span: ExportableSpan): void {
+  for (const processor of processors) {
+    try {
+      processor.onEnd(span);
+    } catch (error) {
+      logger.warn('[SpanExport] Span processor failed', {
+        span: span.name,
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+}
+
+/**
+ * Export all buffered spans
+ */
+export async function forceFlushSpanExport(): Promise<void> {
+  await Promise.allSettled(processors.map((processor) => processor.forceFlush()));
+}
+
+/**
+ * Flush and unregister all processors
+ *
+ * @param timeoutMs - Maximum time to wait for the final export (default: 5000)
+ */
+export async function shutdownSpanExport(timeoutMs = 5000): Promise<void> {
+  const active = processors.splice(0);
+  if (active.length === 0) {
+    return;
+  }
+
+  let timer: NodeJS.Timeout | undefined;
+  const timeout = new Promise<void>((resolve) => {
+    timer = setTimeout(() => {
+      logger.warn('[SpanExport] Shutdown timed out, unexported spans dropped', { timeoutMs });
+      resolve();
+    }, timeoutMs);
+    timer.unref();
+  });
+
+  try {
+    await Promise.race([Promise.allSettled(active.map((processor) => processor.shutdown())), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
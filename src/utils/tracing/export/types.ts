@@ -0,0 +1,61 @@
+/**
+ * Distributed Tracing - Span Export Types
+ *
+ * Exporter-neutral span model shared by SpanTracker (evolution spans) and
+ * TraceContext spans (A2A requests, MCP tool calls, daemon hops).
+ *
+ * @module utils/tracing/export
+ */
+
+/**
+ * Span kind (OpenTelemetry semantics)
+ */
+export type ExportSpanKind = 'internal' | 'server' | 'client' | 'producer' | 'consumer';
+
+/**
+ * A finished span, ready to export
+ */
+export interface ExportableSpan {
+  /** Trace ID (32 lowercase hex characters) */
+  traceId: string;
+  /** Span ID (16 lowercase hex characters) */
+  spanId: string;
+  /** Parent span ID (16 lowercase hex characters) */
+  parentSpanId?: string;
+  /** Operation name, e.g. 'mcp.tool buddy-remember' */
+  name: string;
+  kind: ExportSpanKind;
+  /** Start time (Unix ms) */
+  startTime: number;
+  /** End time (Unix ms) */
+  endTime: number;
+  status: { code: 'UNSET' | 'OK' | 'ERROR'; message?: string };
+  attributes: Record<string, unknown>;
+  events?: Array<{ name: string; timestamp: number; attributes?: Record<string, unknown> }>;
+  links?: Array<{ traceId: string; spanId: string; attributes?: Record<string, unknown> }>;
+  /** Span-specific resource attributes, merged over the exporter's resource */
+  resource?: Record<string, unknown>;
+}
+
+/**
+ * Sends finished spans to a backend
+ *
+ * export() rejects when the batch could not be delivered (after any retries
+ * the exporter performs itself).
+ */
+export interface SpanExporter {
+  export(spans: ExportableSpan[]): Promise<void>;
+  shutdown(): Promise<void>;
+}
+
+/**
+ * Receives finished spans (e.g. BatchSpanProcessor)
+ */
+export interface SpanProcessor {
+  /** Called synchronously when a span ends; must not throw or block */
+  onEnd(span: ExportableSpan): void;
+  /** Export everything buffered so far */
+  forceFlush(): Promise<void>;
+  /** Flush and release the exporter */
+  shutdown(): Promise<void>;
+}
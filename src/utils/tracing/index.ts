@@ -9,15 +9,19 @@
 
 export {
   type TraceContext,
+  type SpanDetails,
   generateTraceId,
   generateSpanId,
   isValidTraceId,
   isValidSpanId,
   parseW3CTraceparent,
   formatW3CTraceparent,
+  toW3CTraceId,
+  toW3CSpanId,
   extractTraceContext,
   injectTraceContext,
   createTraceContext,
+  endSpan,
   getTraceContext,
   runWithTraceContext,
   createChildSpan,
@@ -3,7 +3,9 @@
  *
  * Automatic trace context injection for Express HTTP requests.
  * Extracts trace IDs from incoming requests and propagates them
- * through the async execution context.
+ * through the async execution context. When span export is configured,
+ * each request (and each spanMiddleware span) is recorded when the
+ * response finishes.
  *
  * @module utils/tracing/middleware
  */
@@ -14,8 +16,11 @@ import {
   createTraceContext,
   runWithTraceContext,
   injectTraceContext,
+  endSpan,
   type TraceContext,
 } from './TraceContext.js';
+import type { ExportSpanKind } from './export/types.js';
+import { hasSpanProcessors } from './export/pipeline.js';
 
 /**
  * Request with trace context
@@ -38,6 +43,41 @@ export interface TracingMiddlewareOptions {
   injectResponseHeaders?: boolean;
 }
 
+/**
+ * Record a span for a request once its response has finished
+ *
+ * Skipped when span export is not configured, so requests pay nothing
+ * for tracing they don't export.
+ */
+function endSpanOnFinish(
+  req: Request,
+  res: Response,
+  context: TraceContext,
+  name: string,
+  kind: ExportSpanKind
+): void {
+  if (!context.sampled || !hasSpanProcessors() || typeof res.once !== 'function') {
+    return;
+  }
+
+  const startTime = Date.now();
+  res.once('finish', () => {
+    const route = (req.route as { path?: string } | undefined)?.path;
+    endSpan(context, {
+      name: kind === 'server' ? `${req.method} ${route ?? req.path}` : name,
+      kind,
+      startTime,
+      attributes: {
+        'http.request.method': req.method,
+        'http.route': route,
+        'url.path': req.path,
+        'http.response.status_code': res.statusCode,
+      },
+      error: res.statusCode >= 500 ? `HTTP ${res.statusCode}` : undefined,
+    });
+  });
+}
+
 /**
  * Create Express middleware for distributed tracing
  *
@@ -49,6 +89,7 @@ export interface TracingMiddlewareOptions {
  * - Generates new trace context if none provided
  * - Propagates trace context through async operations
  * - Optionally injects trace headers into responses
+ * - Records a server span per request when span export is configured
  * - Configurable sampling for performance
  *
  * @param options - Middleware configuration options
@@ -106,6 +147,8 @@ export function tracingMiddleware(
       }
     }
 
+    endSpanOnFinish(req, res, traceContext, 'http.request', 'server');
+
     // Run the rest of the request handling with trace context
     runWithTraceContext(traceContext, () => {
       next();
@@ -169,6 +212,8 @@ export function spanMiddleware(
     // Update request trace context
     (req as TracedRequest).traceContext = childContext;
 
+    endSpanOnFinish(req, res, childContext, spanName, 'internal');
+
     // Run with child context
     runWithTraceContext(childContext, () => {
       next();
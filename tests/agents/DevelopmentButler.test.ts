@@ -130,6 +130,32 @@ describe('DevelopmentButler', () => {
       expect(result.readyToCommit).toBe(false);
       expect(result.recommendations).toBeDefined();
     });
+
+    it('should name the failing tests reported by the parser', async () => {
+      const failedTests = ['a', 'b', 'c', 'd', 'e'].map((name, index) => ({
+        name: `suite > ${name}`,
+        file: 'src/suite.test.ts',
+        line: index + 1,
+        error: 'boom',
+      }));
+
+      const result = await butler.analyzeTestResults({ total: 100, passed: 90, failed: 5, skipped: 5, failedTests });
+
+      expect(result.status).toBe('needs-attention');
+      expect(result.recommendations).toEqual([
+        'Fix src/suite.test.ts:1: suite > a - boom',
+        'Fix src/suite.test.ts:2: suite > b - boom',
+        'Fix src/suite.test.ts:3: suite > c - boom',
+        '...and 2 more failing tests',
+      ]);
+    });
+
+    it('should flag runs where every test was skipped', async () => {
+      const result = await butler.analyzeTestResults({ total: 4, passed: 0, failed: 0, skipped: 4, failedTests: [] });
+
+      expect(result.status).toBe('success');
+      expect(result.recommendations).toEqual([expect.stringContaining('All tests were skipped')]);
+    });
   });
 
   describe('Commit Readiness', () => {
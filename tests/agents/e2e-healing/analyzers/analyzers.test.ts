@@ -52,6 +52,22 @@ test('should render button', async ({ page }) => {
     expect(evidence.relatedFiles).toContain('src/components/Button.tsx');
     expect(evidence.relatedFiles).toContain('src/components/Button.module.css');
   });
+
+  it('should collect stack, logs and DOM snapshot from a failed run', () => {
+    const dom = '<body>\n  <div>Loading</div>\n</body>';
+    const stack = `TestingLibraryElementError: Unable to find role "button"\n\n${dom}\n    at src/Form.test.tsx:9:3`;
+
+    const evidence = collector.collectRunEvidence({
+      stdout: 'console.warn: slow render\nTests  1 failed (1)',
+      stderr: '',
+      failedTests: [{ name: 'Form > submits', error: 'TestingLibraryElementError: Unable to find role "button"', stack }],
+    });
+
+    expect(evidence.stack).toBe(stack);
+    expect(evidence.domSnapshot).toBe(dom);
+    expect(evidence.logs).toEqual(['console.warn: slow render']);
+    expect(evidence.stdout).toContain('Tests  1 failed');
+  });
 });
 
 describe('FailureAnalyzer', () => {
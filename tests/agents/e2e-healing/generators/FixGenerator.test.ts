@@ -23,7 +23,7 @@ describe('FixGenerator', () => {
   });
 
   describe('generate', () => {
-    it('should throw error when SDK is not configured', async () => {
+    it('should throw error when no provider is configured', async () => {
       const input = {
         rootCause: 'Button text mismatch',
         codeContext: 'LoginPage component',
@@ -32,7 +32,7 @@ describe('FixGenerator', () => {
       };
 
       await expect(fixGenerator.generate(input)).rejects.toThrow(
-        'AgentSDKAdapter not configured'
+        'Healing provider not configured'
       );
     });
 
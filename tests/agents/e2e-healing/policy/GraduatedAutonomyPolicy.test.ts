@@ -1,5 +1,6 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { GraduatedAutonomyPolicy, AutomationLevel } from '../../../../src/agents/e2e-healing/policy/GraduatedAutonomyPolicy.js';
+import { AutonomyLedger } from '../../../../src/agents/e2e-healing/policy/AutonomyLedger.js';
 
 describe('GraduatedAutonomyPolicy', () => {
   let policy: GraduatedAutonomyPolicy;
@@ -98,3 +99,103 @@ describe('GraduatedAutonomyPolicy', () => {
     expect(policy.getCurrentLevel()).toBe(AutomationLevel.SUGGEST_ONLY);
   });
 });
+
+describe('GraduatedAutonomyPolicy with a ledger', () => {
+  const scope = { project: '/work/shop', environment: 'dev' };
+  let ledger: AutonomyLedger;
+
+  const recordSuccessfulFixes = (policy: GraduatedAutonomyPolicy, count: number) => {
+    for (let i = 0; i < count; i++) {
+      policy.recordFix({ success: true, humanApproved: true, environment: 'dev' });
+    }
+  };
+
+  beforeEach(() => {
+    ledger = new AutonomyLedger(':memory:');
+  });
+
+  afterEach(() => {
+    ledger.close();
+  });
+
+  it('should keep fix history and level across runs', () => {
+    const firstRun = new GraduatedAutonomyPolicy({ ledger, ...scope });
+    recordSuccessfulFixes(firstRun, 6);
+
+    const secondRun = new GraduatedAutonomyPolicy({ ledger, ...scope });
+    recordSuccessfulFixes(secondRun, 4);
+    expect(secondRun.tryGraduate()).toBe(true);
+
+    const thirdRun = new GraduatedAutonomyPolicy({ ledger, ...scope });
+    expect(thirdRun.getCurrentLevel()).toBe(AutomationLevel.AUTO_DEV);
+    expect(thirdRun.explain().stats.successfulFixes).toBe(10);
+
+    // Other environments and projects are tracked separately
+    expect(new GraduatedAutonomyPolicy({ ledger, ...scope, environment: 'staging' }).getCurrentLevel()).toBe(
+      AutomationLevel.SUGGEST_ONLY
+    );
+    expect(new GraduatedAutonomyPolicy({ ledger, ...scope, project: '/work/blog' }).getCurrentLevel()).toBe(
+      AutomationLevel.SUGGEST_ONLY
+    );
+  });
+
+  it('should keep rollbacks across runs and audit automatic changes', () => {
+    const policy = new GraduatedAutonomyPolicy({ ledger, ...scope });
+    recordSuccessfulFixes(policy, 10);
+    policy.graduateToNextLevel();
+    policy.recordRollback('dev');
+
+    const nextRun = new GraduatedAutonomyPolicy({ ledger, ...scope });
+    nextRun.recordRollback('dev');
+
+    expect(nextRun.getCurrentLevel()).toBe(AutomationLevel.SUGGEST_ONLY);
+    expect(ledger.getAuditTrail(scope).map((entry) => entry.action)).toEqual([
+      'degrade',
+      'rollback',
+      'rollback',
+      'graduate',
+    ]);
+    expect(ledger.getAuditTrail(scope)[0]).toMatchObject({
+      fromLevel: AutomationLevel.AUTO_DEV,
+      toLevel: AutomationLevel.SUGGEST_ONLY,
+      actor: 'policy',
+      reason: '2 rollbacks exceed the maximum of 1',
+    });
+  });
+
+  it('should promote and demote manually with an audit entry', () => {
+    const policy = new GraduatedAutonomyPolicy({ ledger, ...scope });
+
+    expect(policy.promote('alice', 'Fixes reviewed by hand for a month')).toBe(AutomationLevel.AUTO_DEV);
+    expect(policy.demote('bob', 'Too eager')).toBe(AutomationLevel.SUGGEST_ONLY);
+    expect(() => policy.demote('bob', 'Again')).toThrow('Cannot demote: already at SUGGEST_ONLY');
+
+    expect(ledger.getAuditTrail(scope)).toEqual([
+      expect.objectContaining({ action: 'demote', actor: 'bob', reason: 'Too eager' }),
+      expect.objectContaining({
+        action: 'promote',
+        fromLevel: AutomationLevel.SUGGEST_ONLY,
+        toLevel: AutomationLevel.AUTO_DEV,
+        actor: 'alice',
+        reason: 'Fixes reviewed by hand for a month',
+      }),
+    ]);
+    expect(ledger.getState(scope)?.level).toBe(AutomationLevel.SUGGEST_ONLY);
+  });
+
+  it('should explain which graduation criteria are unmet', () => {
+    const policy = new GraduatedAutonomyPolicy({ ledger, ...scope });
+    recordSuccessfulFixes(policy, 8);
+    policy.recordFix({ success: false, humanApproved: true, environment: 'dev' });
+
+    const explanation = policy.explain();
+
+    expect(explanation.levelName).toBe('SUGGEST_ONLY');
+    expect(explanation.nextLevel?.levelName).toBe('AUTO_DEV');
+    expect(explanation.nextLevel?.eligible).toBe(false);
+    expect(explanation.nextLevel?.checks.filter((check) => !check.met).map((check) => check.criterion)).toEqual([
+      'successfulFixes',
+      'successRate',
+    ]);
+  });
+});
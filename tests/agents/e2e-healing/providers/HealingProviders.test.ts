@@ -0,0 +1,175 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SamplingClient } from '../../../../src/mcp/SamplingClient.js';
+import { SamplingHealingProvider } from '../../../../src/agents/e2e-healing/providers/SamplingHealingProvider.js';
+import {
+  RuleBasedHealingProvider,
+  toFixMemories,
+  type FixMemory,
+} from '../../../../src/agents/e2e-healing/providers/RuleBasedHealingProvider.js';
+import { RecordedHealingProvider } from '../../../../src/agents/e2e-healing/providers/RecordedHealingProvider.js';
+import { FailureAnalyzer } from '../../../../src/agents/e2e-healing/analyzers/FailureAnalyzer.js';
+import { FixGenerator } from '../../../../src/agents/e2e-healing/generators/FixGenerator.js';
+import { TestOrchestrator } from '../../../../src/agents/e2e-healing/orchestrator/TestOrchestrator.js';
+
+const TEST_FILE = 'tests/e2e/checkout.spec.ts';
+const TEST_CODE = `test('pays', async ({ page }) => {
+  await page.click('#pay', { timeout: 5000 });
+});`;
+
+const SELECTOR_FIX: FixMemory = {
+  name: 'Checkout pay button renamed',
+  entityType: 'bug_fix',
+  observations: ['Pay button selector `#pay` -> `[data-testid="pay"]` after the redesign'],
+};
+
+describe('SamplingHealingProvider', () => {
+  it('should analyze and fix through MCP sampling', async () => {
+    const sampleFn = vi
+      .fn()
+      .mockResolvedValueOnce({ role: 'assistant', content: { type: 'text', text: 'The button id changed' } })
+      .mockResolvedValueOnce({
+        role: 'assistant',
+        content: { type: 'text', text: 'Fixed:\n```typescript\nawait page.click("#submit");\n```' },
+      });
+    const provider = new SamplingHealingProvider(new SamplingClient(sampleFn));
+
+    const analysis = await provider.analyzeFailure({ error: new Error('locator #pay not found'), codeContext: TEST_CODE });
+    const fix = await provider.generateFix({ rootCause: analysis.rootCause, codeContext: TEST_CODE, testFile: TEST_FILE });
+
+    expect(analysis.rootCause).toBe('The button id changed');
+    expect(fix.code).toBe('await page.click("#submit");\n');
+    expect(sampleFn.mock.calls[0][0].messages[0].content).toContain('Error: locator #pay not found');
+    expect(sampleFn.mock.calls[1][0].systemPrompt).toContain('fixing E2E test failures');
+  });
+});
+
+describe('RuleBasedHealingProvider', () => {
+  it('should update a selector renamed in a recorded bug fix', async () => {
+    const provider = new RuleBasedHealingProvider(async () => [SELECTOR_FIX]);
+
+    const analysis = await provider.analyzeFailure({
+      error: new Error("Error: locator('#pay') not found"),
+      codeContext: TEST_CODE,
+    });
+    const fix = await provider.generateFix({ rootCause: analysis.rootCause, codeContext: TEST_CODE, testFile: TEST_FILE });
+
+    expect(analysis.rootCause).toContain(
+      'Known fix (bug_fix "Checkout pay button renamed"): replace selector `#pay` with `[data-testid="pay"]`'
+    );
+    expect(fix.code).toContain(`page.click('[data-testid="pay"]', { timeout: 5000 })`);
+    expect(fix.targetFile).toBe(TEST_FILE);
+  });
+
+  it('should raise timeouts to a recorded value, or double them', async () => {
+    const timeoutFix: FixMemory = {
+      name: 'Slow payment provider',
+      entityType: 'problem_solution',
+      observations: ['Payment iframe loads slowly on CI; raise the timeout to 15000ms'],
+    };
+    const error = new Error('TimeoutError: page.click: Timeout 5000ms exceeded.');
+
+    const recorded = new RuleBasedHealingProvider(async () => [timeoutFix]);
+    const recordedAnalysis = await recorded.analyzeFailure({ error, codeContext: TEST_CODE });
+    const recordedFix = await recorded.generateFix({ rootCause: recordedAnalysis.rootCause, codeContext: TEST_CODE, testFile: TEST_FILE });
+    expect(recordedFix.code).toContain('{ timeout: 15000 }');
+
+    const builtin = new RuleBasedHealingProvider();
+    const builtinAnalysis = await builtin.analyzeFailure({ error, codeContext: TEST_CODE });
+    const builtinFix = await builtin.generateFix({ rootCause: builtinAnalysis.rootCause, codeContext: TEST_CODE, testFile: TEST_FILE });
+    expect(builtinAnalysis.rootCause).toContain('Known fix (built-in): double timeouts');
+    expect(builtinFix.code).toContain('{ timeout: 10000 }');
+  });
+
+  it('should refuse to guess when no recipe applies', async () => {
+    const provider = new RuleBasedHealingProvider(async () => [SELECTOR_FIX]);
+    const analysis = await provider.analyzeFailure({ error: new Error('expected 3 to equal 4'), codeContext: TEST_CODE });
+
+    expect(analysis.rootCause).toContain('No recorded fix matches this failure.');
+    await expect(
+      provider.generateFix({ rootCause: analysis.rootCause, codeContext: TEST_CODE, testFile: TEST_FILE })
+    ).rejects.toThrow('No known fix recipe applies to this failure');
+  });
+
+  it('should keep only fix memories from search results', () => {
+    expect(
+      toFixMemories([SELECTOR_FIX, { name: 'Sprint 3', entityType: 'decision', observations: [] }, null, 'text'])
+    ).toEqual([SELECTOR_FIX]);
+  });
+});
+
+describe('RecordedHealingProvider', () => {
+  let dir: string;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'memesh-healing-recording-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should record responses and replay them', async () => {
+    const file = join(dir, 'fixtures', 'checkout.json');
+    const delegate = new RuleBasedHealingProvider(async () => [SELECTOR_FIX]);
+    const recorder = new RecordedHealingProvider({ file, mode: 'record', delegate });
+    const error = new Error("locator('#pay') not found");
+
+    const recordedAnalysis = await recorder.analyzeFailure({ error, codeContext: TEST_CODE });
+    await recorder.generateFix({ rootCause: recordedAnalysis.rootCause, codeContext: TEST_CODE, testFile: TEST_FILE });
+    expect(Object.keys(JSON.parse(readFileSync(file, 'utf-8')).generateFix)).toHaveLength(1);
+
+    const replay = new RecordedHealingProvider({ file });
+    expect(await replay.analyzeFailure({ error, codeContext: TEST_CODE })).toEqual(recordedAnalysis);
+    await expect(
+      replay.analyzeFailure({ error: new Error('something else'), codeContext: TEST_CODE })
+    ).rejects.toThrow('No recorded analyzeFailure response');
+  });
+
+  it('should need a delegate to record', () => {
+    expect(() => new RecordedHealingProvider({ file: join(dir, 'x.json'), mode: 'record' })).toThrow(
+      'needs a delegate'
+    );
+  });
+
+  it('should drive the whole healing loop from a recording', async () => {
+    const file = join(dir, 'loop.json');
+    const files = new Map([[TEST_FILE, TEST_CODE]]);
+    const error = new Error("locator('#pay') not found");
+
+    const runLoop = async (provider: RecordedHealingProvider) => {
+      files.set(TEST_FILE, TEST_CODE);
+      const analyzer = new FailureAnalyzer();
+      const generator = new FixGenerator();
+      analyzer.setProvider(provider);
+      generator.setProvider(provider);
+
+      const orchestrator = new TestOrchestrator({ maxAttempts: 2 });
+      orchestrator.setTestRunner(async (testFile) =>
+        files.get(testFile)!.includes('#pay') ? { status: 'failure', error } : { status: 'success' }
+      );
+      orchestrator.setAnalyzer((failure, context) =>
+        analyzer.analyze({ testFile: context.testFile, testCode: files.get(context.testFile)!, error: failure, relatedFiles: [] })
+      );
+      orchestrator.setFixApplier(async (analysis, context) => {
+        const fix = await generator.generate({
+          rootCause: analysis.rootCause,
+          codeContext: files.get(context.testFile)!,
+          testFile: context.testFile,
+        });
+        files.set(fix.targetFile, fix.code);
+        return { status: 'applied', files: [] };
+      });
+      return orchestrator.healE2ETest(TEST_FILE, {});
+    };
+
+    const delegate = new RuleBasedHealingProvider(async () => [SELECTOR_FIX]);
+    expect((await runLoop(new RecordedHealingProvider({ file, mode: 'record', delegate }))).status).toBe('healed');
+
+    const replayed = await runLoop(new RecordedHealingProvider({ file }));
+    expect(replayed).toMatchObject({ status: 'healed', attempts: 2 });
+    expect(files.get(TEST_FILE)).toContain('[data-testid="pay"]');
+  });
+});
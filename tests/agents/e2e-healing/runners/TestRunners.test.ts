@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { VitestRunner } from '../../../../src/agents/e2e-healing/runners/VitestRunner.js';
+import { JestRunner } from '../../../../src/agents/e2e-healing/runners/JestRunner.js';
+import { CypressRunner } from '../../../../src/agents/e2e-healing/runners/CypressRunner.js';
+import {
+  detectTestFramework,
+  resolveTestRunner,
+} from '../../../../src/agents/e2e-healing/runners/TestRunnerFactory.js';
+
+const DOM = '<body>\n  <div>\n    <button>Save</button>\n  </div>\n</body>';
+
+function jsonReport(withMeta: boolean): string {
+  return JSON.stringify({
+    startTime: 1000,
+    testResults: [
+      {
+        name: '/app/src/Button.test.tsx',
+        endTime: 1500,
+        assertionResults: [
+          { title: 'renders', ancestorTitles: ['Button'], status: 'passed', ...(withMeta ? { meta: {} } : {}) },
+          {
+            title: 'submits',
+            ancestorTitles: ['Button'],
+            status: 'failed',
+            location: { line: 12 },
+            failureMessages: [
+              `TestingLibraryElementError: Unable to find an element with the text: Submit\n\n${DOM}\n    at Object.<anonymous> (src/Button.test.tsx:12:5)`,
+            ],
+            ...(withMeta ? { meta: {} } : {}),
+          },
+        ],
+      },
+    ],
+  });
+}
+
+/**
+ * Exec mock that writes the report to the file named by `flag`
+ */
+function writingReport(flag: string, report: string, stdout = '') {
+  return vi.fn(async (_command: string, args: string[]) => {
+    const arg = args.find((value) => value.startsWith(flag));
+    writeFileSync(arg!.slice(flag.length), report);
+    return { exitCode: 1, stdout, stderr: '' };
+  });
+}
+
+describe('Test runners', () => {
+  it('should run Vitest and normalize its JSON report', async () => {
+    const runner = new VitestRunner();
+    const exec = writingReport('--outputFile.json=', jsonReport(true), 'stdout | src/Button.test.tsx > Button\nclicked\n');
+    runner.setExecFunction(exec);
+
+    const result = await runner.executeTest('src/Button.test.tsx');
+
+    expect(exec).toHaveBeenCalledWith('npx', expect.arrayContaining(['vitest', 'run', 'src/Button.test.tsx']));
+    expect(result).toMatchObject({ status: 'failure', framework: 'vitest', domSnapshot: DOM });
+    expect(result.error?.message).toBe(
+      '/app/src/Button.test.tsx:12: Button > submits - TestingLibraryElementError: Unable to find an element with the text: Submit'
+    );
+    expect(result.error?.stack).toContain('at Object.<anonymous> (src/Button.test.tsx:12:5)');
+    expect(result.failedTests).toHaveLength(1);
+    expect(result.logs).toEqual(['stdout | src/Button.test.tsx > Button']);
+  });
+
+  it('should run Jest by path and normalize its JSON report', async () => {
+    const runner = new JestRunner();
+    const exec = writingReport('--outputFile=', jsonReport(false));
+    runner.setExecFunction(exec);
+
+    const result = await runner.executeTest('src/Button.test.tsx');
+
+    expect(exec).toHaveBeenCalledWith('npx', expect.arrayContaining(['jest', '--runTestsByPath', 'src/Button.test.tsx', '--json']));
+    expect(result).toMatchObject({ status: 'failure', framework: 'jest' });
+    expect(result.failedTests?.[0]).toMatchObject({ name: 'Button > submits', line: 12 });
+  });
+
+  it('should run Cypress with the JUnit reporter', async () => {
+    const runner = new CypressRunner();
+    const junit = `<?xml version="1.0"?>
+<testsuites>
+  <testsuite name="Checkout" file="cypress/e2e/checkout.cy.ts" tests="1" failures="1">
+    <testcase name="Checkout pays" classname="pays" time="4.2">
+      <failure message="Timed out retrying after 4000ms: Expected to find element: \`#pay\`, but never found it.">AssertionError: Timed out retrying after 4000ms
+    at Context.eval (webpack://app/./cypress/e2e/checkout.cy.ts:8:8)</failure>
+    </testcase>
+  </testsuite>
+</testsuites>`;
+    const exec = vi.fn(async (_command: string, args: string[]) => {
+      writeFileSync(args[args.length - 1].replace('mochaFile=', ''), junit);
+      return { exitCode: 1, stdout: '', stderr: '' };
+    });
+    runner.setExecFunction(exec);
+
+    const result = await runner.executeTest('cypress/e2e/checkout.cy.ts');
+
+    expect(exec).toHaveBeenCalledWith('npx', expect.arrayContaining(['cypress', 'run', '--spec', 'cypress/e2e/checkout.cy.ts']));
+    expect(result.status).toBe('failure');
+    expect(result.failedTests?.[0].name).toContain('pays');
+    expect(result.error?.message).toContain('Expected to find element');
+  });
+
+  it('should fall back to the output when no report was written', async () => {
+    const runner = new JestRunner();
+    runner.setExecFunction(vi.fn().mockResolvedValue({ exitCode: 1, stdout: '', stderr: 'Cannot find module jest' }));
+
+    const result = await runner.executeTest('src/Button.test.tsx');
+
+    expect(result.error?.message).toBe('Cannot find module jest');
+    expect(result.failedTests).toEqual([]);
+  });
+
+  it('should report success on exit code 0', async () => {
+    const runner = new VitestRunner();
+    runner.setExecFunction(vi.fn().mockResolvedValue({ exitCode: 0, stdout: '', stderr: '' }));
+
+    await expect(runner.executeTest('src/Button.test.tsx')).resolves.toEqual({ status: 'success', framework: 'vitest' });
+  });
+});
+
+describe('TestRunnerFactory', () => {
+  let projectDir: string;
+
+  const writePackage = (pkg: Record<string, unknown>) =>
+    writeFileSync(join(projectDir, 'package.json'), JSON.stringify(pkg));
+
+  beforeEach(() => {
+    projectDir = mkdtempSync(join(tmpdir(), 'memesh-runner-'));
+  });
+
+  afterEach(() => {
+    rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('should prefer the framework named in the test script', async () => {
+    writePackage({ scripts: { test: 'jest --coverage' }, devDependencies: { vitest: '^4.0.0', jest: '^29.0.0' } });
+    expect(await detectTestFramework(projectDir)).toBe('jest');
+  });
+
+  it('should fall back to dependencies', async () => {
+    writePackage({ scripts: { test: 'npm run unit' }, devDependencies: { cypress: '^13.0.0', vitest: '^4.0.0' } });
+    expect(await detectTestFramework(projectDir)).toBe('vitest');
+
+    writePackage({ devDependencies: { cypress: '^13.0.0' } });
+    expect(await detectTestFramework(projectDir)).toBe('cypress');
+  });
+
+  it('should use the configured framework over detection', async () => {
+    writePackage({ devDependencies: { vitest: '^4.0.0' } });
+    expect((await resolveTestRunner(projectDir, 'playwright')).framework).toBe('playwright');
+    expect((await resolveTestRunner(projectDir)).framework).toBe('vitest');
+  });
+
+  it('should fail when no framework is configured or detected', async () => {
+    await expect(resolveTestRunner(projectDir)).rejects.toThrow('No supported test runner found');
+  });
+});
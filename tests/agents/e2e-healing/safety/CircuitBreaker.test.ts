@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import { CircuitBreaker } from '../../../../src/agents/e2e-healing/safety/CircuitBreaker.js';
+import { AutonomyLedger } from '../../../../src/agents/e2e-healing/policy/AutonomyLedger.js';
 import { DEFAULT_CONFIG } from '../../../../src/agents/e2e-healing/config.js';
 
 describe('CircuitBreaker', () => {
@@ -69,3 +70,24 @@ describe('CircuitBreaker', () => {
     expect(history.consecutiveFailures).toBe(0);
   });
 });
+
+describe('CircuitBreaker with a ledger', () => {
+  const testId = 'tests/e2e/login.spec.ts';
+
+  it('should stay open across runs until reset', () => {
+    const ledger = new AutonomyLedger(':memory:');
+    const firstRun = new CircuitBreaker(DEFAULT_CONFIG, { ledger, project: '/work/shop' });
+    firstRun.recordAttempt(testId, false);
+    firstRun.recordAttempt(testId, false);
+    firstRun.recordAttempt(testId, false);
+
+    const secondRun = new CircuitBreaker(DEFAULT_CONFIG, { ledger, project: '/work/shop' });
+    expect(secondRun.canAttemptRepair(testId)).toBe(false);
+    expect(secondRun.getHistory(testId)?.consecutiveFailures).toBe(3);
+    expect(new CircuitBreaker(DEFAULT_CONFIG, { ledger, project: '/work/blog' }).canAttemptRepair(testId)).toBe(true);
+
+    secondRun.reset(testId);
+    expect(new CircuitBreaker(DEFAULT_CONFIG, { ledger, project: '/work/shop' }).canAttemptRepair(testId)).toBe(true);
+    ledger.close();
+  });
+});
@@ -130,4 +130,35 @@ describe('AgentRegistry - Agent Classification', () => {
       expect(enhancedPrompts.length).toBeGreaterThan(0);
     });
   });
+
+  describe('User-defined agents', () => {
+    it('should register, replace and remove user-defined agents', () => {
+      const builtInAuditor = registry.getAgent('security-auditor');
+
+      registry.setCustomAgents([
+        {
+          name: 'migration-reviewer',
+          description: 'Reviews database migrations',
+          category: 'development',
+          classification: AgentClassification.ENHANCED_PROMPT,
+          capabilities: ['code-review', 'migration'],
+          source: '/project/.memesh/agents/migration-reviewer.md',
+        },
+        {
+          name: 'security-auditor',
+          description: 'In-house security audit checklist',
+          category: 'operations',
+          classification: AgentClassification.ENHANCED_PROMPT,
+        },
+      ]);
+
+      expect(registry.getAgent('migration-reviewer')?.source).toBe('/project/.memesh/agents/migration-reviewer.md');
+      expect(registry.getAgent('security-auditor')?.description).toBe('In-house security audit checklist');
+
+      registry.setCustomAgents([]);
+
+      expect(registry.hasAgent('migration-reviewer')).toBe(false);
+      expect(registry.getAgent('security-auditor')).toEqual(builtInAuditor);
+    });
+  });
 });
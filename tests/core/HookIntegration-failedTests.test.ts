@@ -9,6 +9,9 @@
  */
 
 import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
 import { HookIntegration } from '../../src/core/HookIntegration.js';
 import { CheckpointDetector } from '../../src/core/CheckpointDetector.js';
 import { DevelopmentButler } from '../../src/agents/DevelopmentButler.js';
@@ -158,6 +161,52 @@ Tests:       2 failed, 15 passed, 17 total
     });
   });
 
+  describe('Machine report recording', () => {
+    let tempDir: string;
+
+    beforeEach(() => {
+      tempDir = mkdtempSync(join(tmpdir(), 'hook-test-report-'));
+    });
+
+    afterEach(() => {
+      rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should prefer the report file written by the test command', async () => {
+      const reportPath = join(tempDir, 'junit.xml');
+      writeFileSync(reportPath, `<testsuites time="1.2"><testsuite name="pytest">
+  <testcase classname="tests.test_api" name="test_create" file="tests/test_api.py" line="8" time="0.3">
+    <failure message="assert 500 == 201">tests/test_api.py:9: AssertionError</failure>
+  </testcase>
+  <testcase classname="tests.test_api" name="test_list" time="0.1"/>
+  <testcase classname="tests.test_api" name="test_old" time="0"><skipped/></testcase>
+</testsuite></testsuites>`);
+
+      await hooks.processToolUse({
+        toolName: 'Bash',
+        arguments: { command: `pytest --junitxml=${reportPath}` },
+        success: true,
+        output: '1 failed, 1 passed, 1 skipped in 1.20s',
+      });
+
+      const callArgs = recordTestResultSpy.mock.calls[0][0];
+      expect(callArgs).toMatchObject({ total: 3, passed: 1, failed: 1, skipped: 1, durationMs: 1200, format: 'junit-xml' });
+      expect(callArgs.failures).toEqual(['tests/test_api.py:8: tests.test_api > test_create - assert 500 == 201']);
+      expect(callArgs.failedTests[0].durationMs).toBe(300);
+    });
+
+    it('should fall back to the console output when the report is missing', async () => {
+      await hooks.processToolUse({
+        toolName: 'Bash',
+        arguments: { command: `npx vitest run --reporter=json --outputFile=${join(tempDir, 'missing.json')}` },
+        success: true,
+        output: '      Tests  1 failed | 3 passed (4)\n',
+      });
+
+      expect(recordTestResultSpy.mock.calls[0][0]).toMatchObject({ total: 4, failed: 1, format: 'vitest' });
+    });
+  });
+
   describe('No failures scenario', () => {
     it('should record empty failures array when all tests pass', async () => {
       const passingOutput = `
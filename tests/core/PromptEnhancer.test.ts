@@ -1,5 +1,6 @@
 import { afterEach, describe, expect, it } from 'vitest';
 import { PromptEnhancer } from '../../src/core/PromptEnhancer.js';
+import { parseAgentDefinition, type AgentDefinitionSource } from '../../src/prompts/AgentDefinitions.js';
 import type { Task } from '../../src/orchestrator/types.js';
 
 const baseTask: Task = {
@@ -50,3 +51,41 @@ describe('PromptEnhancer guardrails', () => {
     expect(prompt.metadata?.guardrails).toBeUndefined();
   });
 });
+
+describe('PromptEnhancer user-defined agents', () => {
+  const definition = parseAgentDefinition(
+    [
+      '---',
+      'description: Reviews database migrations',
+      'tools: [read_file, run_query]',
+      'model: claude-sonnet-4-5-20250929',
+      '---',
+      'You are an expert reviewer of database migrations.',
+      '',
+      '## Instructions',
+      'List locking risks first.',
+    ].join('\n'),
+    '/project/.memesh/agents/migration-reviewer.md'
+  );
+  const definitions: AgentDefinitionSource = {
+    get: (name) => (name === definition.name ? definition : undefined),
+    list: () => [definition],
+  };
+
+  it('builds prompts from agent definitions', () => {
+    const enhancer = new PromptEnhancer(definitions);
+    const prompt = enhancer.enhance('migration-reviewer', baseTask, 'complex');
+
+    expect(prompt.systemPrompt).toContain('You are an expert reviewer of database migrations.');
+    expect(prompt.systemPrompt).toContain('- run_query');
+    expect(prompt.userPrompt).toContain('List locking risks first.');
+    expect(prompt.suggestedModel).toBe('claude-sonnet-4-5-20250929');
+    expect(prompt.metadata?.tools).toEqual(['read_file', 'run_query']);
+  });
+
+  it('rejects agents that are neither defined nor built in', () => {
+    expect(() => new PromptEnhancer().enhance('migration-reviewer', baseTask)).toThrow(
+      'Unknown agent type: migration-reviewer'
+    );
+  });
+});
@@ -0,0 +1,357 @@
+/**
+ * TestOutputParser Tests
+ *
+ * Test coverage:
+ * - Machine reports: Jest/Vitest/Playwright JSON, JUnit XML, TAP
+ * - Console summaries: vitest, jest, mocha, pytest, go test, cargo test
+ * - Report files referenced by the test command
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync, utimesSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { TestOutputParser, formatFailedTest } from '../../src/core/TestOutputParser.js';
+
+describe('TestOutputParser', () => {
+  const parser = new TestOutputParser();
+
+  describe('machine reports', () => {
+    it('should parse Jest JSON with per-test duration and stack', () => {
+      const report = {
+        numTotalTests: 3,
+        startTime: 1000,
+        testResults: [{
+          name: '/repo/src/sum.test.js',
+          endTime: 1450,
+          assertionResults: [
+            { ancestorTitles: ['sum'], title: 'adds', status: 'passed', duration: 3, failureMessages: [] },
+            {
+              ancestorTitles: ['sum'],
+              title: 'handles NaN',
+              status: 'failed',
+              duration: 7,
+              failureMessages: ['\u001b[31mError: expected NaN to be 0\u001b[39m\n    at Object.<anonymous> (/repo/src/sum.test.js:9:5)'],
+            },
+            { ancestorTitles: [], title: 'later', status: 'todo', duration: null, failureMessages: [] },
+          ],
+        }],
+      };
+
+      const results = parser.parse(`> jest --json\n${JSON.stringify(report)}\n`);
+
+      expect(results).toMatchObject({ format: 'jest-json', total: 3, passed: 1, failed: 1, skipped: 1, durationMs: 450 });
+      expect(results.failedTests).toEqual([{
+        name: 'sum > handles NaN',
+        file: '/repo/src/sum.test.js',
+        line: undefined,
+        durationMs: 7,
+        error: 'Error: expected NaN to be 0',
+        stack: 'Error: expected NaN to be 0\n    at Object.<anonymous> (/repo/src/sum.test.js:9:5)',
+      }]);
+    });
+
+    it('should recognise the Vitest JSON reporter', () => {
+      const report = {
+        testResults: [{
+          name: 'src/a.test.ts',
+          assertionResults: [
+            { ancestorTitles: ['a'], title: 'b', status: 'failed', duration: 2.4, location: { line: 12, column: 3 }, failureMessages: ['AssertionError: nope'], meta: {} },
+          ],
+        }],
+      };
+
+      const results = parser.parse(JSON.stringify(report));
+
+      expect(results.format).toBe('vitest-json');
+      expect(results.failedTests[0]).toMatchObject({ file: 'src/a.test.ts', line: 12, durationMs: 2, error: 'AssertionError: nope' });
+    });
+
+    it('should parse Playwright JSON, walking nested suites', () => {
+      const report = {
+        config: {},
+        stats: { duration: 5321.4 },
+        suites: [{
+          title: 'login.spec.ts',
+          file: 'login.spec.ts',
+          specs: [],
+          suites: [{
+            title: 'login',
+            file: 'login.spec.ts',
+            specs: [
+              {
+                title: 'rejects bad password',
+                file: 'login.spec.ts',
+                line: 14,
+                tests: [{
+                  projectName: 'chromium',
+                  status: 'unexpected',
+                  results: [{ status: 'failed', duration: 900, error: { message: 'Timeout 5000ms exceeded', stack: 'Timeout 5000ms exceeded\n    at login.spec.ts:16:9' } }],
+                }],
+              },
+              { title: 'shows form', file: 'login.spec.ts', line: 4, tests: [{ status: 'flaky', results: [{ status: 'failed', duration: 10 }, { status: 'passed', duration: 12 }] }] },
+              { title: 'sso', file: 'login.spec.ts', line: 30, tests: [{ status: 'skipped', results: [{ status: 'skipped', duration: 0 }] }] },
+            ],
+          }],
+        }],
+      };
+
+      const results = parser.parse(JSON.stringify(report));
+
+      expect(results).toMatchObject({ format: 'playwright-json', total: 3, passed: 1, failed: 1, skipped: 1, durationMs: 5321 });
+      expect(results.failedTests[0]).toMatchObject({
+        name: 'login > rejects bad password [chromium]',
+        file: 'login.spec.ts',
+        line: 14,
+        durationMs: 900,
+        error: 'Timeout 5000ms exceeded',
+      });
+      expect(results.tests?.find(test => test.name === 'login > shows form')?.durationMs).toBe(22);
+    });
+
+    it('should parse JUnit XML from pytest', () => {
+      const xml = `<?xml version="1.0" encoding="utf-8"?>
+<testsuites name="pytest tests" time="0.412">
+  <testsuite name="pytest" errors="0" failures="1" skipped="1" tests="3" time="0.4">
+    <testcase classname="tests.test_api.TestUsers" name="test_create" time="0.120" />
+    <testcase classname="tests.test_api.TestUsers" name="test_delete" file="tests/test_api.py" line="41" time="0.051">
+      <failure message="assert 404 == 204&#10;extra">def test_delete():
+&gt;       assert response.status_code == 204
+E       assert 404 == 204</failure>
+    </testcase>
+    <testcase classname="tests.test_api" name="test_legacy" time="0"><skipped message="old" /></testcase>
+  </testsuite>
+</testsuites>`;
+
+      const results = parser.parse(xml);
+
+      expect(results).toMatchObject({ format: 'junit-xml', total: 3, passed: 1, failed: 1, skipped: 1, durationMs: 412 });
+      expect(results.failedTests).toEqual([{
+        name: 'tests.test_api.TestUsers > test_delete',
+        file: 'tests/test_api.py',
+        line: 41,
+        durationMs: 51,
+        error: 'assert 404 == 204',
+        stack: 'def test_delete():\n>       assert response.status_code == 204\nE       assert 404 == 204',
+      }]);
+    });
+
+    it('should take the file from a path-like JUnit classname', () => {
+      const xml = `<testsuites><testsuite name="src/a.test.ts">
+  <testcase classname="src/a.test.ts" name="a &gt; b" time="0.002"><failure message="boom" type="Error"><![CDATA[Error: boom
+ ❯ src/a.test.ts:4:11]]></failure></testcase>
+</testsuite></testsuites>`;
+
+      const [failure] = parser.parse(xml).failedTests;
+      expect(failure).toMatchObject({ name: 'a > b', file: 'src/a.test.ts', error: 'boom', stack: 'Error: boom\n ❯ src/a.test.ts:4:11' });
+    });
+
+    it('should parse TAP from node:test without counting parent tests', () => {
+      const tap = `TAP version 13
+# Subtest: math
+    # Subtest: adds
+    ok 1 - adds
+      ---
+      duration_ms: 0.61
+      ...
+    # Subtest: divides
+    not ok 2 - divides
+      ---
+      duration_ms: 1.9
+      location: '/repo/test/math.test.js:8:3'
+      failureType: 'testCodeFailure'
+      error: 'Expected values to be strictly equal'
+      stack: |-
+        TestContext.<anonymous> (/repo/test/math.test.js:9:12)
+        Test.runInAsyncScope (node:async_hooks:206:9)
+      ...
+    1..2
+not ok 1 - math
+  ---
+  duration_ms: 3.2
+  ...
+ok 2 - standalone # SKIP not ready
+1..2
+# tests 3
+# duration_ms 40.5
+`;
+
+      const results = parser.parse(tap);
+
+      expect(results).toMatchObject({ format: 'tap', total: 3, passed: 1, failed: 1, skipped: 1, durationMs: 41 });
+      expect(results.failedTests).toEqual([{
+        name: 'divides',
+        file: '/repo/test/math.test.js',
+        line: 8,
+        durationMs: 2,
+        error: 'Expected values to be strictly equal',
+        stack: 'TestContext.<anonymous> (/repo/test/math.test.js:9:12)\nTest.runInAsyncScope (node:async_hooks:206:9)',
+      }]);
+    });
+  });
+
+  describe('console output', () => {
+    it('should use the final vitest summary rather than any "passed" count', () => {
+      const output = `
+ ✓ src/a.test.ts (3 passed)
+ FAIL  src/b.test.ts > b > rejects
+AssertionError: expected 1 to be 2
+
+ FAIL  src/b.test.ts > b > rejects
+AssertionError: expected 1 to be 2
+
+ Test Files  1 failed | 1 passed (2)
+      Tests  1 failed | 4 passed | 2 skipped (7)
+   Duration  1.52s (transform 40ms)
+`;
+
+      const results = parser.parse(output);
+
+      expect(results).toMatchObject({ format: 'vitest', total: 7, passed: 4, failed: 1, skipped: 2, durationMs: 1520 });
+      expect(results.failedTests).toEqual([
+        { name: 'b > rejects', file: 'src/b.test.ts', error: 'AssertionError: expected 1 to be 2' },
+      ]);
+    });
+
+    it('should read jest totals including skipped and todo tests', () => {
+      const results = parser.parse('Tests:       1 failed, 2 skipped, 1 todo, 15 passed, 19 total\nTime:        2.5 s\n');
+      expect(results).toMatchObject({ format: 'jest', total: 19, passed: 15, failed: 1, skipped: 3, durationMs: 2500 });
+    });
+
+    it('should count mocha pending tests as skipped', () => {
+      const results = parser.parse('  15 passing (342ms)\n  2 pending\n');
+      expect(results).toMatchObject({ format: 'mocha', total: 17, passed: 15, failed: 0, skipped: 2, durationMs: 342 });
+    });
+
+    it('should parse pytest summaries and FAILED lines', () => {
+      const output = `
+tests/test_api.py ..F.s                                                  [100%]
+
+=================================== FAILURES ===================================
+=========================== short test summary info ============================
+FAILED tests/test_api.py::TestUsers::test_delete - assert 404 == 204
+ERROR tests/test_db.py::test_connect - ConnectionRefusedError
+============= 1 failed, 3 passed, 1 skipped, 1 error in 0.42s ==============
+`;
+
+      const results = parser.parse(output);
+
+      expect(results).toMatchObject({ format: 'pytest', total: 6, passed: 3, failed: 2, skipped: 1, durationMs: 420 });
+      expect(results.failedTests).toEqual([
+        { name: 'TestUsers::test_delete', file: 'tests/test_api.py', error: 'assert 404 == 204' },
+        { name: 'test_connect', file: 'tests/test_db.py', error: 'ConnectionRefusedError' },
+      ]);
+    });
+
+    it('should parse go test output, counting subtests instead of their parents', () => {
+      const output = `=== RUN   TestAdd
+--- PASS: TestAdd (0.00s)
+=== RUN   TestParse
+=== RUN   TestParse/empty
+    parse_test.go:21: unexpected EOF
+=== RUN   TestParse/unicode
+--- FAIL: TestParse (0.01s)
+    --- FAIL: TestParse/empty (0.00s)
+    --- PASS: TestParse/unicode (0.01s)
+=== RUN   TestNetwork
+    net_test.go:9: skipping in short mode
+--- SKIP: TestNetwork (0.00s)
+FAIL
+FAIL\texample.com/calc\t0.012s
+ok  \texample.com/util\t0.003s
+`;
+
+      const results = parser.parse(output);
+
+      expect(results).toMatchObject({ format: 'go', total: 4, passed: 2, failed: 1, skipped: 1, durationMs: 15 });
+      expect(results.failedTests).toEqual([
+        { name: 'TestParse/empty', durationMs: 0, file: 'parse_test.go', line: 21, error: 'unexpected EOF' },
+      ]);
+    });
+
+    it('should parse cargo test output across test binaries', () => {
+      const output = `running 3 tests
+test tests::adds ... ok
+test tests::slow ... ignored
+test tests::divides ... FAILED
+
+failures:
+
+---- tests::divides stdout ----
+thread 'tests::divides' panicked at src/lib.rs:18:9:
+attempt to divide by zero
+note: run with \`RUST_BACKTRACE=1\` environment variable to display a backtrace
+
+
+failures:
+    tests::divides
+
+test result: FAILED. 1 passed; 1 failed; 1 ignored; 0 measured; 0 filtered out; finished in 0.01s
+
+running 2 tests
+test it_parses ... ok
+test it_prints ... ok
+
+test result: ok. 2 passed; 0 failed; 0 ignored; 0 measured; 0 filtered out; finished in 0.02s
+`;
+
+      const results = parser.parse(output);
+
+      expect(results).toMatchObject({ format: 'cargo', total: 5, passed: 3, failed: 1, skipped: 1, durationMs: 30 });
+      expect(results.failedTests).toEqual([{
+        name: 'tests::divides',
+        file: 'src/lib.rs',
+        line: 18,
+        error: 'attempt to divide by zero',
+        stack: expect.stringContaining("thread 'tests::divides' panicked"),
+      }]);
+    });
+
+    it('should fall back to the last passed/failed counts', () => {
+      expect(parser.parse('34 tests passed, 2 failed')).toMatchObject({
+        format: 'unknown', total: 36, passed: 34, failed: 2, skipped: 0, failedTests: [],
+      });
+      expect(parser.parse('nothing to see')).toMatchObject({ format: 'unknown', total: 0 });
+    });
+  });
+
+  describe('report files', () => {
+    let tempDir: string;
+
+    beforeEach(() => {
+      tempDir = mkdtempSync(join(tmpdir(), 'test-output-parser-'));
+    });
+
+    afterEach(() => {
+      rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should find report paths in test commands', () => {
+      expect(parser.findReportPath('npx vitest run --reporter=json --outputFile=reports/vitest.json')).toBe('reports/vitest.json');
+      expect(parser.findReportPath('vitest --reporter=junit --outputFile.junit "out dir/junit.xml"')).toBe('out dir/junit.xml');
+      expect(parser.findReportPath('pytest -q --junitxml=build/pytest.xml')).toBe('build/pytest.xml');
+      expect(parser.findReportPath('PLAYWRIGHT_JSON_OUTPUT_NAME=pw.json npx playwright test --reporter=json')).toBe('pw.json');
+      expect(parser.findReportPath('npm test')).toBeNull();
+    });
+
+    it('should read fresh reports and ignore stale or unknown files', async () => {
+      const path = join(tempDir, 'junit.xml');
+      writeFileSync(path, '<testsuite><testcase name="ok" time="0.1"/></testsuite>');
+
+      expect(await parser.parseReportFile(path)).toMatchObject({ format: 'junit-xml', passed: 1 });
+
+      const anHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+      utimesSync(path, anHourAgo, anHourAgo);
+      expect(await parser.parseReportFile(path, { modifiedSince: Date.now() - 60_000 })).toBeNull();
+
+      writeFileSync(path, 'Tests  3 passed (3)');
+      expect(await parser.parseReportFile(path)).toBeNull();
+      expect(await parser.parseReportFile(join(tempDir, 'missing.json'))).toBeNull();
+    });
+  });
+
+  it('should format failed tests with their location', () => {
+    expect(formatFailedTest({ name: 'a > b', file: 'src/a.test.ts', line: 4, error: 'boom' })).toBe('src/a.test.ts:4: a > b - boom');
+    expect(formatFailedTest({ name: 'a > b' })).toBe('a > b');
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * A2A Streaming and Push Notification Integration Tests
+ *
+ * Covers the SSE task event stream and webhook registration end-to-end:
+ * A2AServer routes, TaskQueue events, WebhookDispatcher and A2AClient.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer, type Server } from 'http';
+import type { AddressInfo } from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { randomBytes } from 'crypto';
+import { unlinkSync } from 'fs';
+import { A2AServer } from '../../src/a2a/server/A2AServer.js';
+import { A2AClient } from '../../src/a2a/client/A2AClient.js';
+import { AgentRegistry } from '../../src/a2a/storage/AgentRegistry.js';
+import { verifyWebhookSignature } from '../../src/a2a/notifications/index.js';
+import type { AgentCard, TaskEvent } from '../../src/a2a/types/index.js';
+
+describe('A2A streaming and push notifications', () => {
+  const agentId = `streaming-agent-${randomBytes(4).toString('hex')}`;
+  const agentCard: AgentCard = {
+    id: agentId,
+    name: 'Streaming Agent',
+    capabilities: { skills: [], streaming: true, pushNotifications: true },
+    endpoints: { baseUrl: 'http://localhost:3000' },
+  };
+
+  let server: A2AServer;
+  let client: A2AClient;
+  let registry: AgentRegistry;
+  let registryPath: string;
+
+  beforeAll(async () => {
+    process.env.MEMESH_A2A_TOKEN = 'test-token-streaming';
+    registryPath = join(tmpdir(), `a2a-streaming-${randomBytes(8).toString('hex')}.db`);
+    registry = AgentRegistry.getInstance(registryPath);
+    client = new A2AClient({ maxRetries: 0 });
+
+    server = new A2AServer({ agentId, agentCard, portRange: { min: 3400, max: 3499 } });
+    await server.start();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    registry.close();
+    delete process.env.MEMESH_A2A_TOKEN;
+    try {
+      unlinkSync(registryPath);
+    } catch {
+      // Ignore cleanup errors
+    }
+  });
+
+  it('should stream status, messages and artifacts until the task completes', async () => {
+    const queue = server.getTaskQueue();
+    const task = queue.createTask({ name: 'Long delegated task' });
+    const events: TaskEvent[] = [];
+
+    for await (const event of client.subscribeToTask(agentId, task.id)) {
+      events.push(event);
+      if (events.length === 1) {
+        queue.updateTaskStatus(task.id, { state: 'WORKING' });
+        queue.addMessage({ taskId: task.id, role: 'assistant', parts: [{ type: 'text', text: 'halfway' }] });
+        queue.addArtifact({ taskId: task.id, type: 'text/plain', name: 'report.txt', content: 'all green' });
+        queue.updateTaskStatus(task.id, { state: 'COMPLETED' });
+      }
+    }
+
+    expect(events.map((e) => (e.type === 'status' ? e.state : e.type))).toEqual([
+      'SUBMITTED',
+      'WORKING',
+      'message',
+      'artifact',
+      'COMPLETED',
+    ]);
+  });
+
+  it('should send only the final status for tasks that already finished', async () => {
+    const queue = server.getTaskQueue();
+    const task = queue.createTask({ name: 'Finished task' });
+    queue.updateTaskStatus(task.id, { state: 'FAILED' });
+
+    const events: TaskEvent[] = [];
+    for await (const event of client.subscribeToTask(agentId, task.id)) {
+      events.push(event);
+    }
+
+    expect(events).toMatchObject([{ type: 'status', state: 'FAILED' }]);
+  });
+
+  it('should end the subscription when the caller aborts', async () => {
+    const task = server.getTaskQueue().createTask({ name: 'Aborted subscription' });
+    const controller = new AbortController();
+    const events: TaskEvent[] = [];
+
+    for await (const event of client.subscribeToTask(agentId, task.id, { signal: controller.signal })) {
+      events.push(event);
+      controller.abort();
+    }
+
+    expect(events).toHaveLength(1);
+  });
+
+  it('should reject subscriptions to unknown tasks', async () => {
+    const iterator = client.subscribeToTask(agentId, 'missing-task');
+
+    await expect(iterator.next()).rejects.toMatchObject({ code: 'TASK_SUBSCRIBE_FAILED' });
+  });
+
+  describe('webhooks', () => {
+    let receiver: Server;
+    let receiverUrl: string;
+    const deliveries: Array<{ body: string; timestamp: string; signature: string }> = [];
+
+    beforeAll(async () => {
+      receiver = createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => (body += chunk));
+        req.on('end', () => {
+          deliveries.push({
+            body,
+            timestamp: req.headers['x-memesh-timestamp'] as string,
+            signature: req.headers['x-memesh-signature'] as string,
+          });
+          res.end();
+        });
+      });
+      await new Promise<void>((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+      receiverUrl = `http://127.0.0.1:${(receiver.address() as AddressInfo).port}/callback`;
+    });
+
+    afterAll(async () => {
+      await new Promise<void>((resolve) => receiver.close(() => resolve()));
+    });
+
+    it('should register a webhook and receive signed state changes', async () => {
+      const queue = server.getTaskQueue();
+      const task = queue.createTask({ name: 'Pushed task' });
+
+      const webhook = await client.registerWebhook(agentId, task.id, { url: receiverUrl });
+      expect(webhook.secret).toMatch(/^[0-9a-f]{64}$/);
+      expect(webhook.events).toEqual(['status']);
+
+      queue.updateTaskStatus(task.id, { state: 'COMPLETED' });
+      await expect.poll(() => deliveries.length).toBe(1);
+
+      const [delivery] = deliveries;
+      expect(JSON.parse(delivery.body)).toMatchObject({ taskId: task.id, state: 'COMPLETED' });
+      expect(verifyWebhookSignature(webhook.secret, delivery.timestamp, delivery.body, delivery.signature)).toBe(true);
+
+      const listed = await client.listWebhooks(agentId, task.id);
+      expect(listed).toHaveLength(1);
+      expect(listed[0]).not.toHaveProperty('secret');
+
+      await client.deleteWebhook(agentId, task.id, webhook.id);
+      expect(await client.listWebhooks(agentId, task.id)).toEqual([]);
+    });
+
+    it('should reject invalid callback URLs and short secrets', async () => {
+      const task = server.getTaskQueue().createTask({ name: 'Invalid webhook' });
+
+      await expect(
+        client.registerWebhook(agentId, task.id, { url: 'file:///etc/passwd' })
+      ).rejects.toMatchObject({ code: 'WEBHOOK_OPERATION_FAILED' });
+      await expect(
+        client.registerWebhook(agentId, task.id, { url: receiverUrl, secret: 'short' })
+      ).rejects.toThrow(/Secret too short/);
+    });
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { TaskQueue } from '../../src/a2a/storage/TaskQueue.js';
 import { MCPTaskDelegator } from '../../src/a2a/delegator/MCPTaskDelegator.js';
 import { logger } from '../../src/utils/logger.js';
@@ -28,7 +28,9 @@ describe('A2A Timeout Handling Integration', () => {
   });
 
   afterEach(async () => {
+    vi.useRealTimers();
     delete process.env.MEMESH_A2A_TASK_TIMEOUT;
+    taskQueue.close();
 
     // Cleanup test database
     try {
@@ -46,25 +48,46 @@ describe('A2A Timeout Handling Integration', () => {
       priority: 'high'
     });
 
-    // Add to delegator
+    // Add to delegator and let the MCP client pick it up
     await delegator.addTask(task.id, 'test task', 'high', agentId);
+    expect(await delegator.claimTasks(agentId)).toHaveLength(1);
 
-    // Backdate the task createdAt to simulate time passage instead of real waiting
-    // This avoids flaky tests and works with the minimum 5s timeout bound
-    const pendingTask = (delegator as any).pendingTasks.get(task.id);
-    pendingTask.createdAt = Date.now() - 6000; // 6 seconds ago (exceeds 5s timeout)
+    // Advance the clock instead of real waiting (5s is the minimum timeout bound)
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.advanceTimersByTime(6000); // exceeds 5s lease
 
-    // Run timeout check
+    // First expiration: the lease is released and the task requeued
     await delegator.checkTimeouts();
+    expect(taskQueue.getTask(task.id)!.state).toBe('SUBMITTED');
+    expect(await delegator.getPendingTasks(agentId)).toMatchObject([{ taskId: task.id, leaseExpirations: 1 }]);
+
+    // Picked up and never reported again until the last allowed expiration
+    for (let i = 0; i < 2; i++) {
+      expect(await delegator.claimTasks(agentId)).toHaveLength(1);
+      vi.advanceTimersByTime(6000);
+      await delegator.checkTimeouts();
+    }
 
     // Verify task marked as TIMEOUT
     const updatedTask = taskQueue.getTask(task.id);
     expect(updatedTask).not.toBeNull();
     expect(updatedTask!.state).toBe('TIMEOUT');
 
-    // Verify removed from pending queue
+    // Verify moved from the queue to the dead-letter queue
     const pending = await delegator.getPendingTasks(agentId);
     expect(pending).toHaveLength(0);
+    expect(await delegator.getDeadLetterTasks(agentId)).toMatchObject([{ taskId: task.id }]);
+  });
+
+  it('should keep delegated tasks across a restart', async () => {
+    const task = taskQueue.createTask({ name: 'Queued Task', priority: 'high' });
+    await delegator.addTask(task.id, 'test task', 'high', agentId);
+
+    taskQueue.close();
+    taskQueue = new TaskQueue(agentId, dbPath);
+    delegator = new MCPTaskDelegator(taskQueue, logger);
+
+    expect(await delegator.claimTasks(agentId)).toMatchObject([{ taskId: task.id, task: 'test task' }]);
   });
 
   it('should not timeout recent tasks', async () => {
@@ -86,7 +109,7 @@ describe('A2A Timeout Handling Integration', () => {
     expect(updatedTask).not.toBeNull();
     expect(updatedTask!.state).toBe('SUBMITTED');
 
-    // Verify still in pending queue
+    // Pending tasks never time out, only leases do
     const pending = await delegator.getPendingTasks(agentId);
     expect(pending).toHaveLength(1);
   });
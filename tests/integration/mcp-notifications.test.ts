@@ -0,0 +1,52 @@
+// tests/integration/mcp-notifications.test.ts
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { ClaudeCodeBuddyMCPServer } from '../../src/mcp/server';
+import type { McpRequestContext } from '../../src/mcp/daemon/DaemonSocketServer';
+
+describe('MCP Notifications Integration', () => {
+  let server: ClaudeCodeBuddyMCPServer;
+
+  beforeAll(async () => {
+    server = await ClaudeCodeBuddyMCPServer.create();
+  });
+
+  it('should broadcast server-wide notifications to daemon proxy clients', async () => {
+    const broadcast = vi.fn().mockReturnValue(2);
+    server.setNotificationBroadcaster(broadcast);
+
+    await server.notify({ method: 'notifications/resources/list_changed' });
+
+    expect(broadcast).toHaveBeenCalledWith({
+      jsonrpc: '2.0',
+      method: 'notifications/resources/list_changed',
+    });
+  });
+
+  it('should send tool progress to the requesting daemon client', async () => {
+    const context: McpRequestContext = {
+      clientId: 'client-1',
+      requestId: 'request-1',
+      sendNotification: vi.fn().mockReturnValue(true),
+    };
+
+    await server.handleRequest(
+      {
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'tools/call',
+        params: {
+          name: 'consolidate-memory',
+          arguments: { dryRun: true, entityTypes: ['decision', 'feature'] },
+          _meta: { progressToken: 'consolidate-1' },
+        },
+      },
+      context
+    );
+
+    const updates = vi.mocked(context.sendNotification).mock.calls.map(([notification]) => notification);
+    expect(updates.slice(0, 2)).toEqual([
+      { jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken: 'consolidate-1', progress: 1, total: 2 } },
+      { jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken: 'consolidate-1', progress: 2, total: 2 } },
+    ]);
+  });
+});
@@ -0,0 +1,160 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  AgentDefinitionLoader,
+  parseAgentDefinition,
+  type AgentDefinition,
+} from '../../src/prompts/AgentDefinitions.js';
+import { MODEL_SUGGESTIONS } from '../../src/prompts/templates/PromptTemplates.js';
+import { Router } from '../../src/orchestrator/router.js';
+
+const MIGRATION_REVIEWER = `---
+name: migration-reviewer
+description: Reviews database migrations for locking and rollback safety
+category: development
+capabilities:
+  - code-review
+  - migration
+keywords: [migration, "alter table"]
+tools: [read_file, run_query]
+model:
+  complex: claude-opus-4-5-20251101
+fallback: code-reviewer
+---
+You are an expert reviewer of database migrations.
+
+## Instructions
+Please provide:
+1. Blocking issues
+2. Rollback plan
+`;
+
+describe('parseAgentDefinition', () => {
+  it('should parse frontmatter, persona and instructions', () => {
+    const definition = parseAgentDefinition(MIGRATION_REVIEWER, '/agents/reviewer.md');
+
+    expect(definition).toMatchObject({
+      name: 'migration-reviewer',
+      category: 'development',
+      capabilities: ['code-review', 'migration'],
+      keywords: ['migration', 'alter table'],
+      tools: ['read_file', 'run_query'],
+      persona: 'You are an expert reviewer of database migrations.',
+      instructions: 'Please provide:\n1. Blocking issues\n2. Rollback plan',
+      fallback: 'code-reviewer',
+      file: '/agents/reviewer.md',
+    });
+    expect(definition.models).toEqual({
+      ...MODEL_SUGGESTIONS['general-agent'],
+      complex: 'claude-opus-4-5-20251101',
+    });
+  });
+
+  it('should default the name to the file name', () => {
+    const definition = parseAgentDefinition(
+      '---\ndescription: Audits against our checklist\n---\nYou are our security auditor.',
+      '/agents/security-auditor.md'
+    );
+
+    expect(definition.name).toBe('security-auditor');
+    expect(definition.category).toBe('custom');
+    expect(definition.tools).toEqual([]);
+  });
+
+  it('should reject invalid definitions', () => {
+    expect(() => parseAgentDefinition('You are an agent.', '/agents/a.md')).toThrow('missing frontmatter');
+    expect(() => parseAgentDefinition('---\nname: Bad Name\ndescription: x\n---\nPersona', '/agents/a.md')).toThrow(
+      'name: must be lowercase letters, digits and dashes'
+    );
+    expect(() => parseAgentDefinition('---\ndescription: x\ncolour: red\n---\nPersona', '/agents/a.md')).toThrow(
+      'invalid agent definition'
+    );
+    expect(() => parseAgentDefinition('---\ndescription: x\n---\n\n## Instructions\nDo it', '/agents/a.md')).toThrow(
+      'persona (file body) is empty'
+    );
+  });
+});
+
+describe('AgentDefinitionLoader', () => {
+  let root: string;
+  let projectDir: string;
+  let userDir: string;
+  let loader: AgentDefinitionLoader;
+
+  const definitionFile = (name: string, description: string) =>
+    `---\nname: ${name}\ndescription: ${description}\n---\nYou are ${name}.`;
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), 'memesh-agents-'));
+    projectDir = join(root, 'project', '.memesh', 'agents');
+    userDir = join(root, 'user', 'agents');
+    mkdirSync(projectDir, { recursive: true });
+    mkdirSync(userDir, { recursive: true });
+    loader = new AgentDefinitionLoader([projectDir, userDir]);
+  });
+
+  afterEach(() => {
+    loader.close();
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should let project definitions override user definitions and skip invalid files', async () => {
+    writeFileSync(join(userDir, 'reviewer.md'), definitionFile('reviewer', 'User reviewer'));
+    writeFileSync(join(userDir, 'writer.md'), definitionFile('writer', 'User writer'));
+    writeFileSync(join(projectDir, 'reviewer.md'), definitionFile('reviewer', 'Project reviewer'));
+    writeFileSync(join(projectDir, 'broken.md'), '---\nname: broken\n---\nNo description');
+    writeFileSync(join(projectDir, 'notes.txt'), 'not a definition');
+
+    const definitions = await loader.load();
+
+    expect(definitions.map((definition) => definition.name).sort()).toEqual(['reviewer', 'writer']);
+    expect(loader.get('reviewer')?.description).toBe('Project reviewer');
+    expect(loader.getErrors()).toHaveLength(1);
+    expect(loader.getErrors()[0].file).toBe(join(projectDir, 'broken.md'));
+  });
+
+  it('should load nothing from missing directories', async () => {
+    const missing = new AgentDefinitionLoader([join(root, 'missing')]);
+
+    expect(await missing.load()).toEqual([]);
+    missing.watch();
+    missing.close();
+  });
+
+  it('should reload when a definition file changes', async () => {
+    await loader.load();
+    loader.watch();
+
+    const reloaded = new Promise<AgentDefinition[]>((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('No reload within 5s')), 5000);
+      loader.onChange((definitions) => {
+        if (definitions.length > 0) {
+          clearTimeout(timer);
+          resolve(definitions);
+        }
+      });
+    });
+    writeFileSync(join(projectDir, 'auditor.md'), definitionFile('auditor', 'Hot-reloaded auditor'));
+
+    expect((await reloaded).map((definition) => definition.name)).toEqual(['auditor']);
+  });
+
+  it('should route buddy-do tasks to user-defined agents', async () => {
+    writeFileSync(join(projectDir, 'migration-reviewer.md'), MIGRATION_REVIEWER);
+    await loader.load();
+    const router = new Router(loader);
+
+    const migration = await router.routeTask({ id: 'task-1', description: 'Review the users table migration' });
+    const review = await router.routeTask({ id: 'task-2', description: 'Review the login form' });
+    const docs = await router.routeTask({ id: 'task-3', description: 'Write a README for the CLI' });
+
+    expect(migration.routing.selectedAgent).toBe('migration-reviewer');
+    expect(migration.routing.fallbackAgent).toBe('code-reviewer');
+    expect(migration.routing.enhancedPrompt.systemPrompt).toContain('expert reviewer of database migrations');
+    // Declares the code-review capability, so it also takes other reviews
+    expect(review.routing.selectedAgent).toBe('migration-reviewer');
+    expect(docs.routing.selectedAgent).toBe('technical-writer');
+  });
+});
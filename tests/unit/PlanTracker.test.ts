@@ -0,0 +1,121 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { KnowledgeGraph } from '../../src/knowledge-graph/index.js';
+import { CheckpointDetector } from '../../src/core/CheckpointDetector.js';
+import { PlanTracker } from '../../src/planning/PlanTracker.js';
+import { NotFoundError, ValidationError } from '../../src/errors/index.js';
+
+describe('PlanTracker', () => {
+  let workDir: string;
+  let kg: KnowledgeGraph;
+  let tracker: PlanTracker;
+
+  beforeEach(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'memesh-plans-'));
+    kg = KnowledgeGraph.createSync(join(workDir, 'kg.db'));
+    tracker = new PlanTracker(kg);
+  });
+
+  afterEach(() => {
+    kg.close();
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should store plans as entities with depends_on relations', () => {
+    const plan = tracker.create({ featureDescription: 'Create API endpoint for user profile with database schema' });
+
+    expect(plan.id).toBe('plan-create-api-endpoint-for-user-profile');
+    expect(plan.tasks.map((task) => task.description)).toEqual([
+      'Define database schema and create migration',
+      'Create API endpoint stub',
+      'Implement API endpoint logic',
+      'Create integration tests',
+    ]);
+    expect(plan.progress).toMatchObject({ total: 4, remaining: 4, ready: ['task-1'], inProgress: [] });
+
+    const [taskEntity] = kg.getEntitiesByNames(['Plan Task: plan-create-api-endpoint-for-user-profile/task-2']);
+    expect(taskEntity?.entityType).toBe('plan_task');
+    expect(taskEntity?.observations).toContain('Status: pending');
+
+    const trace = kg.traceRelations(taskEntity!.name, 1, { relationTypes: ['depends_on'], direction: 'outgoing' });
+    expect(trace?.relations.map((relation) => relation.to)).toEqual([
+      'Plan Task: plan-create-api-endpoint-for-user-profile/task-1',
+    ]);
+
+    // Another session reads the same plan back
+    const reloaded = new PlanTracker(kg).get(plan.id);
+    expect(reloaded.tasks).toEqual(plan.tasks);
+    expect(tracker.create({ featureDescription: plan.feature }).id).toBe(`${plan.id}-2`);
+  });
+
+  it('should advance tasks in dependency order', () => {
+    const plan = tracker.create({ featureDescription: 'Build a simple todo list API' });
+
+    expect(() => tracker.advance(plan.id, { taskId: 'task-3' })).toThrow(ValidationError);
+    expect(() => tracker.advance(plan.id, { taskId: 'task-9' })).toThrow(NotFoundError);
+
+    const started = tracker.advance(plan.id, { status: 'in_progress' });
+    expect(started.task).toMatchObject({ id: 'task-1', status: 'in_progress' });
+
+    tracker.advance(plan.id);
+    tracker.advance(plan.id, { taskId: 'task-2', commit: 'feat: todo api' });
+    const { plan: done } = tracker.advance(plan.id, { taskId: 'task-3', status: 'skipped' });
+
+    expect(done.status).toBe('completed');
+    expect(done.progress).toMatchObject({ completed: 2, skipped: 1, remaining: 0 });
+    expect(done.tasks[1].commit).toBe('feat: todo api');
+    expect(tracker.current()).toBeNull();
+    expect(() => tracker.advance(plan.id)).toThrow('has no task left to advance');
+  });
+
+  it('should re-plan without losing finished work', () => {
+    const plan = tracker.create({ featureDescription: 'Build a simple todo list API' });
+    tracker.advance(plan.id, { taskId: 'task-1' });
+
+    const { plan: replanned, added, removed } = tracker.replan(plan.id, {
+      featureDescription: 'Build a simple todo list API with a database schema',
+      scope: { includeTests: false },
+    });
+
+    expect(added).toEqual(['task-4']);
+    expect(removed).toEqual(['task-3']);
+    expect(replanned.revision).toBe(2);
+    expect(replanned.tasks.map((task) => [task.id, task.status])).toEqual([
+      ['task-4', 'pending'],
+      ['task-1', 'completed'],
+      ['task-2', 'pending'],
+    ]);
+    // The stub is done, but the new schema task now comes first
+    expect(replanned.tasks[1].dependencies).toEqual(['task-4']);
+    expect(replanned.progress.ready).toEqual(['task-4']);
+    expect(kg.getEntitiesByNames([`Plan Task: ${plan.id}/task-3`])).toEqual([]);
+  });
+
+  it('should track tasks from checkpoints', async () => {
+    const detector = new CheckpointDetector();
+    detector.registerCheckpoint('committed', async () => ({ success: true }));
+    tracker.trackCheckpoints(detector);
+
+    const plan = tracker.create({ featureDescription: 'Build a simple todo list API' });
+
+    await detector.triggerCheckpoint('code-written', { files: ['src/todos.ts'], hasTests: false });
+    await detector.triggerCheckpoint('committed', { message: 'wip' });
+    expect(tracker.get(plan.id).tasks[0]).toMatchObject({ status: 'in_progress', files: ['src/todos.ts'] });
+
+    await detector.triggerCheckpoint('test-complete', { total: 4, passed: 3, failed: 1 });
+    await detector.triggerCheckpoint('committed', { message: 'still failing' });
+    expect(tracker.get(plan.id).tasks[0].status).toBe('in_progress');
+
+    await detector.triggerCheckpoint('test-complete', { total: 4, passed: 4, failed: 0 });
+    await detector.triggerCheckpoint('committed', { message: 'feat: todo endpoint stub' });
+
+    const tracked = tracker.get(plan.id);
+    expect(tracked.tasks[0]).toMatchObject({ status: 'completed', testsPassed: true, commit: 'feat: todo endpoint stub' });
+    expect(tracked.progress.ready).toEqual(['task-2']);
+    expect(detector.getRegisteredCheckpoints()).toEqual(
+      expect.arrayContaining(['code-written', 'test-complete', 'committed'])
+    );
+  });
+});
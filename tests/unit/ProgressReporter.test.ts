@@ -1,6 +1,6 @@
 // tests/unit/ProgressReporter.test.ts
 import { describe, it, expect, vi } from 'vitest';
-import { ProgressReporter } from '../../src/mcp/ProgressReporter';
+import { ProgressReporter, createProgressNotification } from '../../src/mcp/ProgressReporter';
 
 describe('ProgressReporter', () => {
   it('should report progress updates', async () => {
@@ -24,4 +24,22 @@ describe('ProgressReporter', () => {
 
     expect(mockSendProgress).not.toHaveBeenCalled();
   });
+
+  it('should send callback updates without throwing on delivery failures', async () => {
+    const mockSendProgress = vi.fn().mockRejectedValue(new Error('client gone'));
+    const onProgress = new ProgressReporter('test-token', mockSendProgress).toCallback();
+
+    expect(() => onProgress(2, 3)).not.toThrow();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(mockSendProgress).toHaveBeenCalledWith({ progressToken: 'test-token', progress: 2, total: 3 });
+  });
+
+  it('should build MCP progress notifications', () => {
+    expect(createProgressNotification({ progressToken: 7, progress: 2, total: 4 })).toEqual({
+      jsonrpc: '2.0',
+      method: 'notifications/progress',
+      params: { progressToken: 7, progress: 2, total: 4 },
+    });
+  });
 });
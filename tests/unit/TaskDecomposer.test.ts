@@ -84,3 +84,46 @@ describe('TaskDecomposer', () => {
     expect(phases).toContain('frontend');
   });
 });
+
+describe('TaskDecomposer component rules', () => {
+  it('should match keywords at word starts only', () => {
+    const tasks = new TaskDecomposer().decompose({ featureDescription: 'Build a rapid export' });
+
+    // "build" contains "ui" and "rapid" contains "api", but neither is a UI or API feature
+    expect(tasks.map(task => task.phase)).toEqual(['backend', 'testing']);
+  });
+
+  it('should honour the requested scope', () => {
+    const decomposer = new TaskDecomposer();
+
+    const withoutTests = decomposer.decompose({
+      featureDescription: 'Create API endpoint',
+      scope: { includeTests: false, includeDocs: true },
+    });
+
+    expect(withoutTests.map(task => task.phase)).toEqual(['backend', 'backend', 'docs']);
+    expect(withoutTests[2].dependencies).toEqual(['task-1', 'task-2']);
+  });
+
+  it('should plan custom components', () => {
+    const decomposer = new TaskDecomposer({
+      rules: [{
+        type: 'feature-flag',
+        description: 'Feature flag rollout',
+        keywords: ['flag', 'rollout'],
+        dependsOn: ['api-endpoint'],
+        tasks: [{
+          description: 'Guard the endpoint behind a feature flag',
+          phase: 'backend',
+          steps: ['Write test for flag off', 'Run test to verify it fails', 'Add flag check', 'Commit changes'],
+        }],
+      }],
+    });
+
+    const tasks = decomposer.decompose({ featureDescription: 'Roll out the new API behind a flag' });
+    const flag = tasks.find(task => task.description.includes('feature flag'));
+
+    expect(flag?.dependencies).toEqual(['task-1', 'task-2']);
+    expect(tasks.find(task => task.phase === 'testing')?.dependencies).toEqual(['task-1', 'task-2', 'task-3']);
+  });
+});
@@ -1,23 +1,44 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 import { MCPTaskDelegator } from '../../../src/a2a/delegator/MCPTaskDelegator.js';
-import type { TaskQueue } from '../../../src/a2a/storage/TaskQueue.js';
+import { TaskQueue } from '../../../src/a2a/storage/TaskQueue.js';
 import type { Logger } from '../../../src/utils/logger.js';
 
 describe('MCPTaskDelegator', () => {
   let delegator: MCPTaskDelegator;
-  let mockQueue: TaskQueue;
+  let tempDir: string;
+  let dbPath: string;
+  let queue: TaskQueue;
   let mockLogger: Logger;
 
   beforeEach(() => {
-    mockQueue = {} as TaskQueue;
+    vi.useFakeTimers({ toFake: ['Date'] });
+    tempDir = mkdtempSync(join(tmpdir(), 'mcp-delegator-'));
+    dbPath = join(tempDir, 'tasks.db');
+    queue = new TaskQueue('delegator-agent', dbPath);
     mockLogger = {
       info: vi.fn(),
       warn: vi.fn(),
       error: vi.fn()
     } as any;
-    delegator = new MCPTaskDelegator(mockQueue, mockLogger);
+    delegator = new MCPTaskDelegator(queue, mockLogger);
   });
 
+  afterEach(() => {
+    queue.close();
+    rmSync(tempDir, { recursive: true, force: true });
+    vi.useRealTimers();
+    delete process.env.MEMESH_A2A_TASK_TIMEOUT;
+    delete process.env.MEMESH_A2A_MAX_CONCURRENT_TASKS;
+  });
+
+  /** Create a task row so timeouts can update its state */
+  function createTask(): string {
+    return queue.createTask({ name: 'Delegated task' }).id;
+  }
+
   describe('addTask', () => {
     it('should add task to pending queue', async () => {
       await delegator.addTask('task-1', 'test task', 'high', 'agent-1');
@@ -29,21 +50,23 @@ describe('MCPTaskDelegator', () => {
         task: 'test task',
         priority: 'high',
         agentId: 'agent-1',
-        status: 'PENDING'
+        status: 'PENDING',
+        leaseExpirations: 0
       });
       expect(pending[0].createdAt).toBeGreaterThan(0);
     });
 
-    it('should throw error when agent already has a task (Phase 1.0)', async () => {
+    it('should queue further tasks for a busy agent', async () => {
       await delegator.addTask('task-1', 'task 1', 'high', 'agent-1');
+      await delegator.claimTasks('agent-1');
 
-      await expect(
-        delegator.addTask('task-2', 'task 2', 'high', 'agent-1')
-      ).rejects.toThrow('Agent already processing a task (Phase 1.0 limitation)');
+      await delegator.addTask('task-2', 'task 2', 'high', 'agent-1');
+
+      const pending = await delegator.getPendingTasks('agent-1');
+      expect(pending.map((t) => t.taskId)).toEqual(['task-2']);
     });
 
     it('should allow different agents to have tasks simultaneously (per-agent limit)', async () => {
-      // This tests IMPORTANT-2 fix: per-agent limit, not system-wide
       await delegator.addTask('task-1', 'task for agent 1', 'high', 'agent-1');
       await delegator.addTask('task-2', 'task for agent 2', 'high', 'agent-2');
 
@@ -56,19 +79,17 @@ describe('MCPTaskDelegator', () => {
       expect(pendingAgent2[0].taskId).toBe('task-2');
     });
 
-    it('should enforce per-agent task limit correctly', async () => {
+    it('should reject tasks when the agent queue is full', async () => {
+      delegator = new MCPTaskDelegator(queue, mockLogger, { maxQueuedTasks: 2 });
       await delegator.addTask('task-1', 'task 1', 'high', 'agent-1');
-      await delegator.addTask('task-2', 'task 2', 'high', 'agent-2');
+      await delegator.addTask('task-2', 'task 2', 'high', 'agent-1');
 
-      // agent-1 already has a task, should reject
       await expect(
         delegator.addTask('task-3', 'task 3', 'high', 'agent-1')
-      ).rejects.toThrow('Agent already processing a task (Phase 1.0 limitation)');
+      ).rejects.toMatchObject({ code: 'AGENT_QUEUE_FULL' });
 
-      // agent-2 already has a task, should reject
-      await expect(
-        delegator.addTask('task-4', 'task 4', 'high', 'agent-2')
-      ).rejects.toThrow('Agent already processing a task (Phase 1.0 limitation)');
+      // Other agents are not affected
+      await expect(delegator.addTask('task-4', 'task 4', 'high', 'agent-2')).resolves.toBeUndefined();
     });
 
     it('should log task addition with agent ID', async () => {
@@ -81,6 +102,66 @@ describe('MCPTaskDelegator', () => {
     });
   });
 
+  describe('priority ordering', () => {
+    it('should return pending tasks by priority, then age', async () => {
+      await delegator.addTask('low-1', 'low', 'low', 'agent-1');
+      await delegator.addTask('medium-1', 'medium', 'medium', 'agent-1');
+      vi.advanceTimersByTime(10);
+      await delegator.addTask('high-2', 'high', 'high', 'agent-1');
+      await delegator.addTask('medium-2', 'medium', 'medium', 'agent-1');
+
+      const pending = await delegator.getPendingTasks('agent-1');
+      expect(pending.map((t) => t.taskId)).toEqual(['high-2', 'medium-1', 'medium-2', 'low-1']);
+    });
+
+    it('should claim tasks in priority order', async () => {
+      delegator = new MCPTaskDelegator(queue, mockLogger, { maxConcurrentTasks: 2 });
+      await delegator.addTask('low-1', 'low', 'low', 'agent-1');
+      await delegator.addTask('high-1', 'high', 'high', 'agent-1');
+      await delegator.addTask('medium-1', 'medium', 'medium', 'agent-1');
+
+      const claimed = await delegator.claimTasks('agent-1');
+
+      expect(claimed.map((t) => t.taskId)).toEqual(['high-1', 'medium-1']);
+      expect((await delegator.getPendingTasks('agent-1')).map((t) => t.taskId)).toEqual(['low-1']);
+    });
+  });
+
+  describe('claimTasks', () => {
+    it('should lease tasks up to the per-agent concurrency limit', async () => {
+      await delegator.addTask('task-1', 'task 1', 'high', 'agent-1');
+      await delegator.addTask('task-2', 'task 2', 'high', 'agent-1');
+
+      const claimed = await delegator.claimTasks('agent-1');
+      expect(claimed).toHaveLength(1);
+      expect(claimed[0]).toMatchObject({
+        taskId: 'task-1',
+        status: 'IN_PROGRESS',
+        leaseExpiresAt: Date.now() + 300_000
+      });
+
+      // The only slot is taken until task-1 is reported
+      expect(await delegator.claimTasks('agent-1')).toEqual([]);
+
+      await delegator.removeTask('task-1');
+      expect((await delegator.claimTasks('agent-1')).map((t) => t.taskId)).toEqual(['task-2']);
+    });
+
+    it('should read the concurrency limit from the environment', async () => {
+      process.env.MEMESH_A2A_MAX_CONCURRENT_TASKS = '3';
+      delegator = new MCPTaskDelegator(queue, mockLogger);
+      for (let i = 1; i <= 4; i++) {
+        await delegator.addTask(`task-${i}`, `task ${i}`, 'medium', 'agent-1');
+      }
+
+      expect(await delegator.claimTasks('agent-1')).toHaveLength(3);
+    });
+
+    it('should return nothing for agents without tasks', async () => {
+      expect(await delegator.claimTasks('agent-1')).toEqual([]);
+    });
+  });
+
   describe('removeTask', () => {
     it('should remove task from pending queue', async () => {
       await delegator.addTask('task-1', 'test', 'high', 'agent-1');
@@ -88,6 +169,7 @@ describe('MCPTaskDelegator', () => {
 
       const pending = await delegator.getPendingTasks('agent-1');
       expect(pending).toHaveLength(0);
+      expect(await delegator.claimTasks('agent-1')).toEqual([]);
     });
 
     it('should not throw if task not found', async () => {
@@ -100,72 +182,113 @@ describe('MCPTaskDelegator', () => {
   describe('markTaskInProgress', () => {
     it('should update task status to IN_PROGRESS', async () => {
       await delegator.addTask('task-1', 'test', 'high', 'agent-1');
-      await delegator.markTaskInProgress('task-1');
+      await expect(delegator.markTaskInProgress('task-1')).resolves.toBe(true);
 
       const pending = await delegator.getPendingTasks('agent-1');
       expect(pending).toHaveLength(0); // IN_PROGRESS tasks not returned
 
-      // Verify task exists but with different status
-      const allTasks = Array.from(delegator['pendingTasks'].values());
-      expect(allTasks[0].status).toBe('IN_PROGRESS');
+      // Verify the lease is persisted
+      expect(queue.getDelegatedTasks()).toMatchObject([{ taskId: 'task-1', status: 'IN_PROGRESS' }]);
+    });
+
+    it('should respect the concurrency limit', async () => {
+      await delegator.addTask('task-1', 'test 1', 'high', 'agent-1');
+      await delegator.addTask('task-2', 'test 2', 'high', 'agent-1');
+      await delegator.markTaskInProgress('task-2');
+
+      await expect(delegator.markTaskInProgress('task-1')).resolves.toBe(false);
+      expect((await delegator.getPendingTasks('agent-1')).map((t) => t.taskId)).toEqual(['task-1']);
     });
   });
 
-  describe('checkTimeouts', () => {
-    beforeEach(() => {
-      // Mock TaskQueue.updateTaskStatus
-      mockQueue.updateTaskStatus = vi.fn().mockReturnValue(true);
+  describe('persistence', () => {
+    it('should restore pending and leased tasks after a restart', async () => {
+      await delegator.addTask('task-1', 'test 1', 'low', 'agent-1');
+      await delegator.addTask('task-2', 'test 2', 'high', 'agent-1');
+      await delegator.addTask('task-3', 'test 3', 'medium', 'agent-1');
+      await delegator.claimTasks('agent-1');
+
+      queue.close();
+      queue = new TaskQueue('delegator-agent', dbPath);
+      delegator = new MCPTaskDelegator(queue, mockLogger);
+
+      const pending = await delegator.getPendingTasks('agent-1');
+      expect(pending.map((t) => t.taskId)).toEqual(['task-3', 'task-1']);
+      // task-2 still holds the only slot
+      expect(await delegator.claimTasks('agent-1')).toEqual([]);
     });
+  });
 
-    it('should timeout tasks older than configured timeout', async () => {
+  describe('checkTimeouts', () => {
+    beforeEach(() => {
       // Set timeout to minimum allowed value (5000ms) - values below this are clamped by getTaskTimeout()
       process.env.MEMESH_A2A_TASK_TIMEOUT = '5000';
+    });
 
-      await delegator.addTask('task-1', 'test', 'high', 'agent-1');
-
-      // Directly manipulate createdAt to simulate a task older than the timeout
-      // This is deterministic and avoids flaky timing-dependent tests
-      const taskInfo = delegator['pendingTasks'].get('task-1')!;
-      taskInfo.createdAt = Date.now() - 6000; // 6s ago, exceeds 5s timeout
+    it('should requeue tasks whose lease expired', async () => {
+      const taskId = createTask();
+      await delegator.addTask(taskId, 'test', 'high', 'agent-1');
+      await delegator.claimTasks('agent-1');
 
+      vi.advanceTimersByTime(6000);
       await delegator.checkTimeouts();
 
-      expect(mockQueue.updateTaskStatus).toHaveBeenCalledWith('task-1', {
-        state: 'TIMEOUT',
-        metadata: { error: expect.stringContaining('Task timeout detected') }
-      });
-
       const pending = await delegator.getPendingTasks('agent-1');
-      expect(pending).toHaveLength(0);
-
-      // Cleanup
-      delete process.env.MEMESH_A2A_TASK_TIMEOUT;
+      expect(pending).toMatchObject([{ taskId, status: 'PENDING', leaseExpirations: 1 }]);
+      expect(queue.getTask(taskId)?.state).toBe('SUBMITTED');
     });
 
-    it('should not timeout recent tasks', async () => {
+    it('should not expire pending tasks or active leases', async () => {
+      const updateSpy = vi.spyOn(queue, 'updateTaskStatus');
       await delegator.addTask('task-1', 'test', 'high', 'agent-1');
+      await delegator.addTask('task-2', 'test', 'high', 'agent-2');
+      await delegator.claimTasks('agent-2');
 
+      vi.advanceTimersByTime(4000);
       await delegator.checkTimeouts();
 
-      expect(mockQueue.updateTaskStatus).not.toHaveBeenCalled();
+      expect(updateSpy).not.toHaveBeenCalled();
+      expect(await delegator.getPendingTasks('agent-1')).toHaveLength(1);
+      expect(await delegator.claimTasks('agent-2')).toEqual([]);
+    });
 
-      const pending = await delegator.getPendingTasks('agent-1');
-      expect(pending).toHaveLength(1);
+    it('should dead-letter tasks after the maximum number of lease expirations', async () => {
+      const taskId = createTask();
+      await delegator.addTask(taskId, 'test', 'high', 'agent-1');
+
+      for (let i = 0; i < 3; i++) {
+        expect(await delegator.claimTasks('agent-1')).toHaveLength(1);
+        vi.advanceTimersByTime(6000);
+        await delegator.checkTimeouts();
+      }
+
+      const task = queue.getTask(taskId);
+      expect(task?.state).toBe('TIMEOUT');
+      expect(task?.metadata?.error).toContain('Task timeout detected');
+      expect(await delegator.getPendingTasks('agent-1')).toHaveLength(0);
+      expect(await delegator.claimTasks('agent-1')).toEqual([]);
+      expect(await delegator.getDeadLetterTasks('agent-1')).toMatchObject([
+        { taskId, status: 'DEAD_LETTER', leaseExpirations: 3 }
+      ]);
+
+      // Dead letters can be purged
+      await delegator.removeTask(taskId);
+      expect(await delegator.getDeadLetterTasks()).toEqual([]);
     });
 
     it('should handle concurrent timeout checks safely (race condition fix)', async () => {
       // This tests CRITICAL-2 fix: collect-then-process pattern
-      process.env.MEMESH_A2A_TASK_TIMEOUT = '5000';
+      delegator = new MCPTaskDelegator(queue, mockLogger, { maxLeaseExpirations: 1 });
+      const updateSpy = vi.spyOn(queue, 'updateTaskStatus');
 
-      // Add multiple tasks for different agents
-      await delegator.addTask('task-1', 'test 1', 'high', 'agent-1');
-      await delegator.addTask('task-2', 'test 2', 'high', 'agent-2');
+      const task1 = createTask();
+      const task2 = createTask();
+      await delegator.addTask(task1, 'test 1', 'high', 'agent-1');
+      await delegator.addTask(task2, 'test 2', 'high', 'agent-2');
+      await delegator.claimTasks('agent-1');
+      await delegator.claimTasks('agent-2');
 
-      // Directly manipulate createdAt to simulate tasks older than the timeout
-      const task1 = delegator['pendingTasks'].get('task-1')!;
-      const task2 = delegator['pendingTasks'].get('task-2')!;
-      task1.createdAt = Date.now() - 6000;
-      task2.createdAt = Date.now() - 6000;
+      vi.advanceTimersByTime(6000);
 
       // Run concurrent timeout checks
       await Promise.all([
@@ -174,66 +297,50 @@ describe('MCPTaskDelegator', () => {
         delegator.checkTimeouts()
       ]);
 
-      // Both tasks should be timed out
-      expect(mockQueue.updateTaskStatus).toHaveBeenCalledWith('task-1', expect.any(Object));
-      expect(mockQueue.updateTaskStatus).toHaveBeenCalledWith('task-2', expect.any(Object));
-
-      // All tasks should be removed
-      const pending1 = await delegator.getPendingTasks('agent-1');
-      const pending2 = await delegator.getPendingTasks('agent-2');
-      expect(pending1).toHaveLength(0);
-      expect(pending2).toHaveLength(0);
-
-      delete process.env.MEMESH_A2A_TASK_TIMEOUT;
+      // Both tasks should be timed out exactly once
+      expect(updateSpy).toHaveBeenCalledTimes(2);
+      expect(updateSpy).toHaveBeenCalledWith(task1, expect.any(Object));
+      expect(updateSpy).toHaveBeenCalledWith(task2, expect.any(Object));
+      expect(await delegator.getDeadLetterTasks()).toHaveLength(2);
     });
 
     it('should maintain transaction safety when DB update fails', async () => {
       // This tests IMPORTANT-3 fix: transaction safety
-      process.env.MEMESH_A2A_TASK_TIMEOUT = '5000';
-
-      // Mock updateTaskStatus to fail
-      mockQueue.updateTaskStatus = vi.fn().mockReturnValue(false);
+      delegator = new MCPTaskDelegator(queue, mockLogger, { maxLeaseExpirations: 1 });
+      vi.spyOn(queue, 'updateTaskStatus').mockReturnValue(false);
 
       await delegator.addTask('task-1', 'test', 'high', 'agent-1');
+      await delegator.claimTasks('agent-1');
 
-      // Directly manipulate createdAt to simulate a task older than the timeout
-      const taskInfo = delegator['pendingTasks'].get('task-1')!;
-      taskInfo.createdAt = Date.now() - 6000;
-
+      vi.advanceTimersByTime(6000);
       await delegator.checkTimeouts();
 
-      // Task should remain in pending queue since DB update failed
-      const pending = await delegator.getPendingTasks('agent-1');
-      expect(pending).toHaveLength(1);
+      // Task should keep its lease since DB update failed
+      expect(await delegator.getDeadLetterTasks()).toEqual([]);
+      expect(queue.getDelegatedTasks()).toMatchObject([{ taskId: 'task-1', status: 'IN_PROGRESS' }]);
       expect(mockLogger.error).toHaveBeenCalledWith(
         '[MCPTaskDelegator] Failed to update timeout status for task',
         { taskId: 'task-1' }
       );
-
-      delete process.env.MEMESH_A2A_TASK_TIMEOUT;
     });
 
     it('should handle exceptions during timeout processing gracefully', async () => {
       // This tests IMPORTANT-3 fix: error handling
-      process.env.MEMESH_A2A_TASK_TIMEOUT = '5000';
-
-      // Mock updateTaskStatus to throw exception
-      mockQueue.updateTaskStatus = vi.fn().mockImplementation(() => {
+      delegator = new MCPTaskDelegator(queue, mockLogger, { maxLeaseExpirations: 1 });
+      vi.spyOn(queue, 'updateTaskStatus').mockImplementation(() => {
         throw new Error('Database connection failed');
       });
 
       await delegator.addTask('task-1', 'test', 'high', 'agent-1');
+      await delegator.claimTasks('agent-1');
 
-      // Directly manipulate createdAt to simulate a task older than the timeout
-      const taskInfo = delegator['pendingTasks'].get('task-1')!;
-      taskInfo.createdAt = Date.now() - 6000;
+      vi.advanceTimersByTime(6000);
 
       // Should not throw, should handle gracefully
       await expect(delegator.checkTimeouts()).resolves.not.toThrow();
 
-      // Task should remain in pending queue for retry
-      const pending = await delegator.getPendingTasks('agent-1');
-      expect(pending).toHaveLength(1);
+      // Task should keep its lease for retry
+      expect(queue.getDelegatedTasks()).toMatchObject([{ taskId: 'task-1', status: 'IN_PROGRESS' }]);
 
       expect(mockLogger.error).toHaveBeenCalledWith(
         '[MCPTaskDelegator] Error processing timeout',
@@ -242,8 +349,6 @@ describe('MCPTaskDelegator', () => {
           error: 'Database connection failed'
         })
       );
-
-      delete process.env.MEMESH_A2A_TASK_TIMEOUT;
     });
   });
 });
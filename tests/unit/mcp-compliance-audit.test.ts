@@ -20,11 +20,14 @@ describe('MCP Compliance Audit', () => {
   // Load tools once for all tests
   tools = getAllToolDefinitions();
 
-  it('should have exactly 18 tools defined', () => {
+  it('should have exactly 23 tools defined', () => {
     // 13 original + 4 secret management tools (Phase 0.7.0) + 1 A2A tool (Phase 1.0)
+    // + trace-relations (multi-hop knowledge graph traversal), exchange-graph (export/import)
+    // + consolidate-memory (merge near-duplicate entities), get-cost-report (spend and budgets)
+    // + task-plan (persistent feature plans)
     // generate-smart-plan removed - planning delegated to Claude's built-in capabilities
     // A2A tools: a2a-send-task, a2a-get-task, a2a-list-tasks, a2a-list-agents, a2a-report-result
-    expect(tools).toHaveLength(18);
+    expect(tools).toHaveLength(23);
   });
 
   it('should have all tools with outputSchema defined (MCP Spec 2025-11-25)', () => {
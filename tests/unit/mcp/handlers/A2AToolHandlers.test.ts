@@ -128,6 +128,63 @@ describe('A2AToolHandlers', () => {
       expect(result.content[0].text).toContain('task-123');
     });
 
+    it('should route to the agent with matching skills when targetAgentId is "auto"', async () => {
+      mockRegistry.listActive = vi.fn().mockReturnValue([
+        {
+          agentId: 'designer',
+          baseUrl: 'http://localhost:3000',
+          port: 3000,
+          status: 'active',
+          lastHeartbeat: new Date().toISOString(),
+          capabilities: { skills: [{ name: 'ui-design', description: 'Design user interfaces' }] },
+        },
+        {
+          agentId: 'frontend',
+          baseUrl: 'http://localhost:3001',
+          port: 3001,
+          status: 'active',
+          lastHeartbeat: new Date().toISOString(),
+          capabilities: { skills: [{ name: 'react-components', description: 'Build React components' }] },
+        },
+      ]);
+
+      const result = await handlers.handleA2ASendTask({
+        targetAgentId: 'auto',
+        taskDescription: 'Build a React component',
+      });
+
+      expect(mockClient.sendMessage).toHaveBeenCalledTimes(1);
+      expect(mockClient.sendMessage).toHaveBeenCalledWith('frontend', expect.anything());
+      expect(result.content[0].text).toContain('Task sent to agent: frontend');
+      expect(result.content[0].text).toContain('Routing: chose frontend');
+      expect(result.content[0].text).toContain('Why: skill "react-components" matches react, component, build');
+    });
+
+    it('should report a routed task as sent when its details cannot be fetched', async () => {
+      mockRegistry.listActive = vi.fn().mockReturnValue([
+        {
+          agentId: 'frontend',
+          baseUrl: 'http://localhost:3001',
+          port: 3001,
+          status: 'active',
+          lastHeartbeat: new Date().toISOString(),
+          capabilities: { skills: [{ name: 'react-components', description: 'Build React components' }] },
+        },
+      ]);
+      mockClient.getTask = vi.fn().mockRejectedValue(new Error('HTTP error 502'));
+
+      const result = await handlers.handleA2ASendTask({
+        targetAgentId: 'auto',
+        taskDescription: 'Build a React component',
+      });
+
+      expect(mockClient.sendMessage).toHaveBeenCalledTimes(1);
+      expect(result.content[0].text).toContain('Task sent to agent: frontend');
+      expect(result.content[0].text).toContain('Task ID: task-123');
+      expect(result.content[0].text).toContain('Task details unavailable: HTTP error 502');
+      expect(result.content[0].text).toContain('Routing: chose frontend');
+    });
+
     it('should validate required fields', async () => {
       const invalidArgs = {
         taskDescription: 'Test task',
@@ -235,6 +292,36 @@ describe('A2AToolHandlers', () => {
       expect(result.content[0].text).toContain('agent-2');
     });
 
+    it('should show and filter by where agents were discovered', async () => {
+      mockRegistry.listActive = vi.fn().mockReturnValue([
+        {
+          agentId: 'agent-1',
+          baseUrl: 'http://localhost:3000',
+          port: 3000,
+          status: 'active',
+          lastHeartbeat: new Date().toISOString(),
+          source: 'local',
+        },
+        {
+          agentId: 'lan-agent',
+          baseUrl: 'http://192.168.1.20:3000',
+          port: 3000,
+          status: 'active',
+          lastHeartbeat: new Date().toISOString(),
+          source: 'multicast',
+          discoveredFrom: '192.168.1.20:41234',
+        },
+      ]);
+
+      const all = await handlers.handleA2AListAgents({});
+      expect(all.content[0].text).toContain('Discovered: local registry');
+      expect(all.content[0].text).toContain('Discovered: multicast (from 192.168.1.20:41234)');
+
+      const lan = await handlers.handleA2AListAgents({ source: 'multicast' });
+      expect(lan.content[0].text).toContain('lan-agent');
+      expect(lan.content[0].text).not.toContain('agent-1');
+    });
+
     it('should handle registry errors gracefully', async () => {
       mockRegistry.listActive = vi
         .fn()
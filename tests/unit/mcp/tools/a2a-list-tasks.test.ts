@@ -7,7 +7,7 @@ describe('a2a-list-tasks MCP tool', () => {
 
   beforeEach(() => {
     mockDelegator = {
-      getPendingTasks: vi.fn().mockResolvedValue([
+      claimTasks: vi.fn().mockResolvedValue([
         {
           taskId: 'task-1',
           task: 'test task 1',
@@ -28,13 +28,13 @@ describe('a2a-list-tasks MCP tool', () => {
     } as any;
   });
 
-  it('should return pending tasks for agent', async () => {
+  it('should return tasks leased to the agent', async () => {
     const result = await a2aListTasks(
       { agentId: 'agent-1' },
       mockDelegator
     );
 
-    expect(mockDelegator.getPendingTasks).toHaveBeenCalledWith('agent-1');
+    expect(mockDelegator.claimTasks).toHaveBeenCalledWith('agent-1');
 
     const tasks = JSON.parse(result.content[0].text);
     expect(tasks).toHaveLength(2);
@@ -43,7 +43,7 @@ describe('a2a-list-tasks MCP tool', () => {
   });
 
   it('should return empty array if no pending tasks', async () => {
-    mockDelegator.getPendingTasks = vi.fn().mockResolvedValue([]);
+    mockDelegator.claimTasks = vi.fn().mockResolvedValue([]);
 
     const result = await a2aListTasks(
       { agentId: 'agent-1' },
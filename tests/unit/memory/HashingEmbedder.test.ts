@@ -0,0 +1,65 @@
+/**
+ * HashingEmbedder Tests
+ *
+ * Test coverage:
+ * - Deterministic, normalized vectors
+ * - Similar wording scores higher than unrelated text
+ * - Edge cases (empty text, invalid dimensions)
+ */
+
+import { describe, it, expect } from 'vitest';
+import { HashingEmbedder } from '../../../src/memory/HashingEmbedder.js';
+
+function cosine(a: Float32Array, b: Float32Array): number {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+  }
+  return dot;
+}
+
+describe('HashingEmbedder', () => {
+  const embedder = new HashingEmbedder();
+
+  it('should expose model id and dimensions', () => {
+    expect(embedder.dimensions).toBe(512);
+    expect(embedder.model).toBe('hashing-v1-512');
+    expect(new HashingEmbedder({ dimensions: 64 }).model).toBe('hashing-v1-64');
+  });
+
+  it('should produce deterministic L2-normalized vectors', async () => {
+    const a = await embedder.embed('Always validate user input');
+    const b = await embedder.embed('Always validate user input');
+
+    expect(a).toHaveLength(512);
+    expect(Array.from(a)).toEqual(Array.from(b));
+    expect(cosine(a, a)).toBeCloseTo(1, 5);
+  });
+
+  it('should score differently worded text on the same topic above unrelated text', async () => {
+    const stored = await embedder.embed('Always validate user input before processing');
+    const paraphrase = await embedder.embed('validating inputs from users');
+    const unrelated = await embedder.embed('banana smoothie recipe');
+
+    expect(cosine(stored, paraphrase)).toBeGreaterThan(0.4);
+    expect(cosine(stored, unrelated)).toBeLessThan(0.15);
+  });
+
+  it('should ignore case and diacritics', async () => {
+    const a = await embedder.embed('Café Configuration');
+    const b = await embedder.embed('cafe configuration');
+
+    expect(cosine(a, b)).toBeCloseTo(1, 5);
+  });
+
+  it('should return a zero vector for text without words', async () => {
+    const vector = await embedder.embed('  --- !!! ');
+
+    expect(Array.from(vector).every(v => v === 0)).toBe(true);
+  });
+
+  it('should reject invalid dimensions', () => {
+    expect(() => new HashingEmbedder({ dimensions: 4 })).toThrow(RangeError);
+    expect(() => new HashingEmbedder({ dimensions: 100.5 })).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * PreventionHook Tests
+ *
+ * Test coverage:
+ * - Built-in rules: read-before-edit (block), verify-before-claim (confirmation), scope creep (warn)
+ * - Stored rules: tool, file pattern and context triggers
+ * - Hit counts are persisted for stored rules, and for built-in rules when a
+ *   RuleHitStore is given
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PreventionHook, type Operation } from '../../../src/memory/PreventionHook.js';
+import type { MistakePatternEngine } from '../../../src/memory/MistakePatternEngine.js';
+import type { PreventionRule } from '../../../src/memory/types/pattern-types.js';
+import { KnowledgeGraph } from '../../../src/knowledge-graph/index.js';
+import { en } from '../../../src/i18n/locales/en.js';
+
+function operation(tool: string, args: Record<string, unknown>, context: Partial<Operation['context']> = {}): Operation {
+  return {
+    tool,
+    args,
+    context: { recentTools: [], currentTask: '', filesRead: [], filesModified: [], ...context },
+  };
+}
+
+function storedRule(overrides: Partial<PreventionRule> = {}): PreventionRule {
+  return {
+    id: 'no-migration-edits',
+    name: 'Do not edit applied migrations',
+    category: 'other',
+    trigger: { tools: ['Edit', 'Write'], patterns: ['**/migrations/*.sql'], contexts: [] },
+    check: { type: 'pattern-match', condition: 'never edit applied migrations', severity: 'high' },
+    action: { type: 'block', messageKey: 'Applied migrations are immutable', suggestionKey: 'Add a new migration' },
+    sourceMistakeIds: ['mistake-1'],
+    confidence: 'high',
+    hitCount: 0,
+    createdAt: new Date(),
+    ...overrides,
+  };
+}
+
+describe('PreventionHook', () => {
+  let storedRules: PreventionRule[];
+  let engine: { getAllRules: ReturnType<typeof vi.fn>; recordRuleHit: ReturnType<typeof vi.fn> };
+  let hook: PreventionHook;
+
+  beforeEach(() => {
+    storedRules = [];
+    engine = {
+      getAllRules: vi.fn(async () => storedRules),
+      recordRuleHit: vi.fn().mockResolvedValue(1),
+    };
+    hook = new PreventionHook(engine as unknown as MistakePatternEngine, { fileExists: () => true });
+  });
+
+  it('should proceed when no rule is violated', async () => {
+    const result = await hook.beforeToolCall(
+      operation('Edit', { file_path: '/repo/src/app.ts' }, { filesRead: ['/repo/src/app.ts'] })
+    );
+
+    expect(result).toEqual({ proceed: true, warnings: [], suggestions: [] });
+  });
+
+  describe('built-in rules', () => {
+    it('should block editing a file that was not read', async () => {
+      const result = await hook.beforeToolCall(operation('Edit', { file_path: '/repo/src/app.ts' }));
+
+      expect(result.proceed).toBe(false);
+      expect(result.reason).toBe(en['ccb.rule.readBeforeEdit']);
+      expect(result.suggestions).toContain(en['ccb.rule.readBeforeEdit.suggestion']);
+      expect(result.triggeredRules).toEqual(['read-before-edit']);
+    });
+
+    it('should allow writing a file that does not exist yet', async () => {
+      const newFileHook = new PreventionHook(engine as unknown as MistakePatternEngine, {
+        fileExists: () => false,
+      });
+
+      const result = await newFileHook.beforeToolCall(operation('Write', { file_path: '/repo/src/new.ts' }));
+      expect(result.proceed).toBe(true);
+    });
+
+    it('should ask for confirmation when claiming a fix without running anything', async () => {
+      const claim = operation(
+        'Bash',
+        { command: 'git commit -m "fixed login redirect"' },
+        { recentTools: ['Read', 'Edit'], filesRead: [], filesModified: ['/repo/src/login.ts'] }
+      );
+
+      const result = await hook.beforeToolCall(claim);
+      expect(result.proceed).toBe('pending');
+      expect(result.requireUserConfirmation).toBe(true);
+      expect(result.triggeredRules).toEqual(['verify-before-claim']);
+
+      claim.context.recentTools.push('Bash');
+      expect((await hook.beforeToolCall(claim)).proceed).toBe(true);
+    });
+
+    it('should only match context keywords as whole words', async () => {
+      const result = await hook.beforeToolCall(
+        operation('Bash', { command: 'rm -rf abandoned/' }, { recentTools: ['Edit'] })
+      );
+      expect(result.proceed).toBe(true);
+    });
+
+    it('should warn when the change exceeds the scope limit', async () => {
+      const modified = ['a', 'b', 'c', 'd', 'e'].map((name) => `/repo/src/${name}.ts`);
+
+      const result = await hook.beforeToolCall(
+        operation('Edit', { file_path: '/repo/src/f.ts' }, { filesRead: ['/repo/src/f.ts'], filesModified: modified })
+      );
+
+      expect(result.proceed).toBe(true);
+      expect(result.warnings).toEqual([en['ccb.rule.scopeCreep']]);
+      expect(result.triggeredRules).toEqual(['no-scope-creep']);
+    });
+  });
+
+  describe('stored rules', () => {
+    it('should enforce a stored rule whose triggers match', async () => {
+      storedRules = [storedRule()];
+
+      const blocked = await hook.beforeToolCall(
+        operation('Edit', { file_path: 'db/migrations/001_init.sql' }, { filesRead: ['db/migrations/001_init.sql'] })
+      );
+      expect(blocked.proceed).toBe(false);
+      expect(blocked.reason).toBe('Applied migrations are immutable');
+      expect(blocked.suggestions).toEqual(['Add a new migration']);
+      expect(engine.recordRuleHit).toHaveBeenCalledWith('no-migration-edits');
+
+      const allowed = await hook.beforeToolCall(
+        operation('Edit', { file_path: 'db/schema.sql' }, { filesRead: ['db/schema.sql'] })
+      );
+      expect(allowed.proceed).toBe(true);
+      expect(engine.recordRuleHit).toHaveBeenCalledTimes(1);
+    });
+
+    it('should match context keywords in the current task and Bash commands', async () => {
+      storedRules = [
+        storedRule({
+          id: 'confirm-prod-deploy',
+          trigger: { tools: ['Bash'], patterns: [], contexts: ['production'] },
+          action: { type: 'require-confirmation', messageKey: 'Deploying to production', suggestionKey: 'Check the release notes' },
+        }),
+      ];
+
+      expect((await hook.beforeToolCall(operation('Bash', { command: 'npm run deploy -- --env production' }))).proceed)
+        .toBe('pending');
+      expect((await hook.beforeToolCall(operation('Bash', { command: 'npm test' }, { currentTask: 'Fix production outage' }))).proceed)
+        .toBe('pending');
+      expect((await hook.beforeToolCall(operation('Bash', { command: 'npm test' }))).proceed).toBe(true);
+    });
+
+    it('should skip merged rules and rules without triggers', async () => {
+      storedRules = [
+        storedRule({ mergedInto: 'other-rule' }),
+        storedRule({ id: 'no-trigger', trigger: { tools: [], patterns: ['*'], contexts: [] } }),
+      ];
+
+      const result = await hook.beforeToolCall(
+        operation('Edit', { file_path: 'migrations/001.sql' }, { filesRead: ['migrations/001.sql'] })
+      );
+      expect(result.proceed).toBe(true);
+    });
+
+    it('should fall back to built-in rules when stored rules cannot be loaded', async () => {
+      engine.getAllRules.mockRejectedValue(new Error('database locked'));
+
+      const result = await hook.beforeToolCall(operation('Edit', { file_path: '/repo/src/app.ts' }));
+      expect(result.triggeredRules).toEqual(['read-before-edit']);
+    });
+  });
+
+  it('should persist built-in rule hits across hook instances', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'prevention-hook-hits-'));
+    const dbPath = join(dir, 'kg.db');
+    const edit = operation('Edit', { file_path: '/repo/src/app.ts' });
+
+    try {
+      // One hook per process, as with `memesh prevention check`
+      for (let run = 0; run < 2; run++) {
+        const kg = KnowledgeGraph.createSync(dbPath);
+        try {
+          const perProcess = new PreventionHook(engine as unknown as MistakePatternEngine, {
+            fileExists: () => true,
+            ruleHits: kg,
+          });
+          expect((await perProcess.beforeToolCall(edit)).triggeredRules).toEqual(['read-before-edit']);
+        } finally {
+          kg.close();
+        }
+      }
+
+      const kg = KnowledgeGraph.createSync(dbPath);
+      try {
+        expect(kg.getRuleHitCounts()).toEqual(new Map([['read-before-edit', 2]]));
+      } finally {
+        kg.close();
+      }
+      expect(engine.recordRuleHit).not.toHaveBeenCalled();
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should log-only rules without persisting built-in hits', async () => {
+    const countingHook = new PreventionHook(engine as unknown as MistakePatternEngine, {
+      fileExists: () => true,
+      builtInRules: [
+        {
+          id: 'no-rm-rf',
+          name: 'No rm -rf',
+          trigger: { tools: ['Bash'], patterns: [], contexts: ['rm'] },
+          check: { condition: 'never', severity: 'critical' },
+          action: { type: 'log', messageKey: 'rm', suggestionKey: 'rm' },
+          hitCount: 0,
+        },
+      ],
+    });
+
+    await countingHook.beforeToolCall(operation('Bash', { command: 'rm -rf dist' }));
+    const result = await countingHook.beforeToolCall(operation('Bash', { command: 'rm -rf build' }));
+
+    expect(result).toMatchObject({ proceed: true, warnings: [], triggeredRules: ['no-rm-rf'] });
+    expect(engine.recordRuleHit).not.toHaveBeenCalled();
+  });
+});
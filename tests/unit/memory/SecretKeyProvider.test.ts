@@ -0,0 +1,182 @@
+/**
+ * SecretKeyProvider Tests
+ *
+ * Test coverage:
+ * - Passphrase provider derives reproducible keys and rejects wrong passphrases
+ * - Env provider parses hex/base64 keys and falls back to previous keys
+ * - Keyring provider stores keys outside the data directory
+ * - resolveSecretKeyProvider() picks the provider from the environment
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, readFileSync, statSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { randomBytes } from 'crypto';
+import {
+  FileKeyProvider,
+  PassphraseKeyProvider,
+  EnvKeyProvider,
+  LocalKeyringProvider,
+  resolveSecretKeyProvider,
+  secretKeyFingerprint,
+  parseSecretKey,
+  type SecretKeyProvider,
+  type SecretKeyRecord,
+} from '../../../src/memory/SecretKeyProvider.js';
+import { ConfigurationError } from '../../../src/errors/index.js';
+
+// Cheap scrypt parameters keep the tests fast
+const TEST_COST = { N: 1024, r: 8, p: 1 };
+
+async function createRecord(provider: SecretKeyProvider, version = 1): Promise<{ key: Buffer; record: SecretKeyRecord }> {
+  const { key, params } = await provider.createKey(version);
+  return {
+    key,
+    record: { version, provider: provider.kind, params, fingerprint: secretKeyFingerprint(key) },
+  };
+}
+
+describe('SecretKeyProvider', () => {
+  let tempDir: string;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'secret-key-provider-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('PassphraseKeyProvider', () => {
+    it('should derive the same key from the passphrase and stored salt', async () => {
+      const provider = new PassphraseKeyProvider({ passphrase: 'correct horse', cost: TEST_COST });
+      const { key, record } = await createRecord(provider);
+
+      expect(key).toHaveLength(32);
+      expect(record.params).toMatchObject({ N: 1024, r: 8, p: 1 });
+      expect(await provider.loadKey(record)).toEqual(key);
+    });
+
+    it('should use a fresh salt for every key version', async () => {
+      const provider = new PassphraseKeyProvider({ passphrase: 'correct horse', cost: TEST_COST });
+      const first = await createRecord(provider, 1);
+      const second = await createRecord(provider, 2);
+
+      expect(first.record.params.salt).not.toBe(second.record.params.salt);
+      expect(first.key).not.toEqual(second.key);
+    });
+
+    it('should reject a wrong passphrase', async () => {
+      const { record } = await createRecord(
+        new PassphraseKeyProvider({ passphrase: 'correct horse', cost: TEST_COST })
+      );
+      const wrong = new PassphraseKeyProvider({ passphrase: 'battery staple', cost: TEST_COST });
+
+      await expect(wrong.loadKey(record)).rejects.toThrow(ConfigurationError);
+    });
+
+    it('should load keys created with a previous passphrase', async () => {
+      const { key, record } = await createRecord(
+        new PassphraseKeyProvider({ passphrase: 'old passphrase', cost: TEST_COST })
+      );
+      const changed = new PassphraseKeyProvider({
+        passphrase: 'new passphrase',
+        previousPassphrases: ['old passphrase'],
+        cost: TEST_COST,
+      });
+
+      expect(await changed.loadKey(record)).toEqual(key);
+    });
+
+    it('should reject an empty passphrase', () => {
+      expect(() => new PassphraseKeyProvider({ passphrase: '' })).toThrow(ConfigurationError);
+    });
+  });
+
+  describe('EnvKeyProvider', () => {
+    it('should accept hex and base64 keys', () => {
+      const key = randomBytes(32);
+
+      expect(parseSecretKey(key.toString('hex'), 'TEST')).toEqual(key);
+      expect(parseSecretKey(key.toString('base64'), 'TEST')).toEqual(key);
+      expect(() => parseSecretKey('too-short', 'TEST')).toThrow(ConfigurationError);
+    });
+
+    it('should load versions created with a previous key', async () => {
+      const oldKey = randomBytes(32).toString('hex');
+      const { key, record } = await createRecord(new EnvKeyProvider({ key: oldKey }));
+
+      const rotated = new EnvKeyProvider({ key: randomBytes(32).toString('hex'), previousKeys: [oldKey] });
+      expect(await rotated.loadKey(record)).toEqual(key);
+
+      const unrelated = new EnvKeyProvider({ key: randomBytes(32).toString('hex') });
+      await expect(unrelated.loadKey(record)).rejects.toThrow(/MEMESH_SECRET_KEY_PREVIOUS/);
+    });
+  });
+
+  describe('LocalKeyringProvider', () => {
+    it('should keep keys in an owner-only keyring file', async () => {
+      const keyringPath = join(tempDir, 'config', 'keyring.json');
+      const provider = new LocalKeyringProvider(keyringPath);
+      const first = await createRecord(provider, 1);
+      const second = await createRecord(provider, 2);
+
+      const keyring = JSON.parse(readFileSync(keyringPath, 'utf-8'));
+      expect(Object.keys(keyring)).toHaveLength(2);
+      expect(statSync(keyringPath).mode & 0o777).toBe(0o600);
+
+      expect(await provider.loadKey(first.record)).toEqual(first.key);
+      expect(await provider.loadKey(second.record)).toEqual(second.key);
+    });
+
+    it('should fail when the key is missing from the keyring', async () => {
+      const { record } = await createRecord(new LocalKeyringProvider(join(tempDir, 'a.json')));
+
+      await expect(new LocalKeyringProvider(join(tempDir, 'b.json')).loadKey(record))
+        .rejects.toThrow(/not in the keyring/);
+    });
+  });
+
+  describe('FileKeyProvider', () => {
+    it('should store each key version in its own file', async () => {
+      const provider = new FileKeyProvider(tempDir);
+      const { key, record } = await createRecord(provider);
+
+      expect(record.params.keyId).toBeDefined();
+      expect(await provider.loadKey(record)).toEqual(key);
+      expect(await provider.readLegacyKey()).toBeNull();
+    });
+
+    it('should never overwrite an existing legacy key file', async () => {
+      const provider = new FileKeyProvider(tempDir);
+      const first = await provider.createLegacyKey();
+      const second = await provider.createLegacyKey();
+
+      expect(second.key).toEqual(first.key);
+    });
+  });
+
+  describe('resolveSecretKeyProvider()', () => {
+    it('should default to the file provider', () => {
+      expect(resolveSecretKeyProvider(tempDir, undefined, {}).kind).toBe('file');
+    });
+
+    it('should select env and passphrase providers from the environment', () => {
+      const key = randomBytes(32).toString('hex');
+
+      expect(resolveSecretKeyProvider(tempDir, undefined, { MEMESH_SECRET_KEY: key }).kind).toBe('env');
+      expect(resolveSecretKeyProvider(tempDir, undefined, { MEMESH_SECRET_PASSPHRASE: 'pass' }).kind)
+        .toBe('passphrase');
+      expect(resolveSecretKeyProvider(tempDir, undefined, { MEMESH_SECRET_KEY_PROVIDER: 'keyring' }).kind)
+        .toBe('keyring');
+    });
+
+    it('should reject unknown or unconfigured providers', () => {
+      expect(() => resolveSecretKeyProvider(tempDir, undefined, { MEMESH_SECRET_KEY_PROVIDER: 'vault' }))
+        .toThrow(/Unknown secret key provider/);
+      expect(() => resolveSecretKeyProvider(tempDir, 'passphrase', {}))
+        .toThrow(/MEMESH_SECRET_PASSPHRASE is required/);
+    });
+  });
+});
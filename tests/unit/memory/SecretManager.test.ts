@@ -12,11 +12,21 @@
  * - delete() - removes secret
  * - list() - returns names without values
  * - requestConfirmation() - returns proper i18n keys
+ * - rotateKey() - key providers, key versions and rotation
  */
 
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { SecretManager } from '../../../src/memory/SecretManager.js';
-import { mkdtempSync, rmSync } from 'fs';
+import {
+  FileKeyProvider,
+  PassphraseKeyProvider,
+  EnvKeyProvider,
+  LocalKeyringProvider,
+  type SecretKeyProvider,
+} from '../../../src/memory/SecretKeyProvider.js';
+import Database from 'better-sqlite3';
+import { randomBytes, createCipheriv } from 'crypto';
+import { mkdtempSync, rmSync, copyFileSync, writeFileSync } from 'fs';
 import { join } from 'path';
 import { tmpdir } from 'os';
 import type { DetectedSecret, SecretType } from '../../../src/memory/types/secret-types.js';
@@ -594,3 +604,177 @@ describe('SecretManager', () => {
     });
   });
 });
+
+describe('SecretManager key versioning', () => {
+  const cost = { N: 1024, r: 8, p: 1 };
+  let tempDir: string;
+  let dbPath: string;
+  let open: SecretManager[];
+
+  const passphrase = (value: string, previous?: string[]) =>
+    new PassphraseKeyProvider({ passphrase: value, previousPassphrases: previous, cost });
+
+  async function create(provider: SecretKeyProvider, path = dbPath) {
+    const manager = await SecretManager.create(path, { keyProvider: provider });
+    open.push(manager);
+    return manager;
+  }
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'secret-manager-keys-test-'));
+    dbPath = join(tempDir, 'secrets.db');
+    open = [];
+  });
+
+  afterEach(() => {
+    for (const manager of open) {
+      try {
+        manager.close();
+      } catch {
+        // Already closed
+      }
+    }
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should encrypt new databases with the configured provider', async () => {
+    const manager = await create(passphrase('hunter22'));
+    const id = await manager.store('sk-value', { name: 'api' });
+
+    expect(manager.getStoredData(id)?.keyVersion).toBe(1);
+    expect(manager.listKeyVersions()).toEqual([
+      expect.objectContaining({ version: 1, provider: 'passphrase', secretCount: 1, retiredAt: undefined }),
+    ]);
+    manager.close();
+
+    await expect(SecretManager.create(dbPath, { keyProvider: passphrase('wrong-pass') }))
+      .rejects.toThrow(/does not match/);
+
+    const reopened = await create(passphrase('hunter22'));
+    expect(await reopened.get(id)).toBe('sk-value');
+  });
+
+  it('should re-encrypt every secret under a new key version', async () => {
+    const keyring = new LocalKeyringProvider(join(tempDir, 'keyring.json'));
+    const manager = await create(keyring);
+    const ids = await Promise.all(
+      ['one', 'two', 'three'].map((name) => manager.store(`value-${name}`, { name }))
+    );
+    const before = manager.getStoredData(ids[0])!;
+
+    const result = await manager.rotateKey();
+
+    expect(result).toEqual({ previousVersion: 1, newVersion: 2, provider: 'keyring', reEncrypted: 3 });
+    for (const [index, name] of ['one', 'two', 'three'].entries()) {
+      expect(manager.getStoredData(ids[index])?.keyVersion).toBe(2);
+      expect(await manager.getByName(name)).toBe(`value-${name}`);
+    }
+    expect(manager.getStoredData(ids[0])?.encryptedValue).not.toBe(before.encryptedValue);
+
+    const versions = manager.listKeyVersions();
+    expect(versions[0]).toMatchObject({ version: 2, secretCount: 3, retiredAt: undefined });
+    expect(versions[1]).toMatchObject({ version: 1, secretCount: 0, retiredAt: expect.any(Date) });
+
+    // New writes use the new version
+    const newId = await manager.store('fresh', { name: 'four' });
+    expect(manager.getStoredData(newId)?.keyVersion).toBe(2);
+  });
+
+  it('should keep backups taken before a passphrase change decryptable', async () => {
+    const manager = await create(passphrase('first-pass'));
+    const id = await manager.store('backed-up', { name: 'token' });
+    manager.close();
+
+    const backupPath = join(tempDir, 'backup.db');
+    copyFileSync(dbPath, backupPath);
+
+    const rotating = await create(passphrase('second-pass', ['first-pass']));
+    await rotating.rotateKey();
+    rotating.close();
+
+    // The live database only needs the new passphrase now
+    const live = await create(passphrase('second-pass'));
+    expect(await live.get(id)).toBe('backed-up');
+
+    // The backup still opens with the passphrase it was written with
+    const backup = await create(passphrase('first-pass'), backupPath);
+    expect(backup.getStoredData(id)?.keyVersion).toBe(1);
+    expect(await backup.get(id)).toBe('backed-up');
+  });
+
+  it('should switch providers on rotation', async () => {
+    const manager = await create(passphrase('hunter22'));
+    const id = await manager.store('moving', { name: 'moving' });
+
+    const keyring = new LocalKeyringProvider(join(tempDir, 'keyring.json'));
+    const result = await manager.rotateKey(keyring);
+    expect(result.provider).toBe('keyring');
+    manager.close();
+
+    const reopened = await create(keyring);
+    expect(await reopened.get(id)).toBe('moving');
+  });
+
+  it('should leave every row untouched when a secret cannot be decrypted', async () => {
+    const manager = await create(new LocalKeyringProvider(join(tempDir, 'keyring.json')));
+    const good = await manager.store('fine', { name: 'good' });
+    const bad = await manager.store('broken', { name: 'bad' });
+    manager.close();
+
+    const db = new Database(dbPath);
+    db.prepare('UPDATE secrets SET auth_tag = ? WHERE id = ?').run('00'.repeat(16), bad);
+    db.close();
+
+    const reopened = await create(new LocalKeyringProvider(join(tempDir, 'keyring.json')));
+    await expect(reopened.rotateKey()).rejects.toThrow();
+
+    expect(reopened.getStoredData(good)?.keyVersion).toBe(1);
+    expect(reopened.listKeyVersions()).toHaveLength(1);
+    expect(await reopened.get(good)).toBe('fine');
+  });
+
+  it('should refuse to rotate to the same env key', async () => {
+    const manager = await create(new EnvKeyProvider({ key: randomBytes(32).toString('hex') }));
+    await manager.store('value', { name: 'env' });
+
+    await expect(manager.rotateKey()).rejects.toThrow(/identical to the current key/);
+    expect(manager.listKeyVersions()).toHaveLength(1);
+  });
+
+  it('should migrate databases created before key versioning', async () => {
+    // Pre-versioning layout: no key_version column, key in .secret-key
+    const legacyKey = randomBytes(32);
+    writeFileSync(join(tempDir, '.secret-key'), legacyKey);
+    const iv = randomBytes(16);
+    const cipher = createCipheriv('aes-256-gcm', legacyKey, iv);
+    const encrypted = cipher.update('legacy-value', 'utf8', 'hex') + cipher.final('hex');
+
+    const db = new Database(dbPath);
+    db.exec(`
+      CREATE TABLE secrets (
+        id TEXT PRIMARY KEY, name TEXT NOT NULL UNIQUE, secret_type TEXT NOT NULL DEFAULT 'generic',
+        encrypted_value TEXT NOT NULL, iv TEXT NOT NULL, auth_tag TEXT NOT NULL,
+        created_at TEXT NOT NULL, updated_at TEXT NOT NULL, expires_at TEXT, metadata TEXT
+      )
+    `);
+    const now = new Date().toISOString();
+    db.prepare(
+      'INSERT INTO secrets (id, name, encrypted_value, iv, auth_tag, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)'
+    ).run('legacy-id', 'legacy', encrypted, iv.toString('hex'), cipher.getAuthTag().toString('hex'), now, now);
+    db.close();
+
+    const legacy = await create(new FileKeyProvider(tempDir));
+    expect(legacy.listKeyVersions()).toEqual([
+      expect.objectContaining({ version: 1, provider: 'file', secretCount: 1 }),
+    ]);
+    expect(await legacy.get('legacy-id')).toBe('legacy-value');
+
+    // Move off the key file that sits next to the database
+    const keyring = new LocalKeyringProvider(join(tempDir, 'keyring.json'));
+    await legacy.rotateKey(keyring);
+    rmSync(join(tempDir, '.secret-key'));
+
+    const migrated = await create(keyring);
+    expect(await migrated.get('legacy-id')).toBe('legacy-value');
+  });
+});
@@ -297,3 +297,70 @@ describe('SmartMemoryQuery', () => {
     });
   });
 });
+
+describe('SmartMemoryQuery.hybridSearch', () => {
+  const smartQuery = new SmartMemoryQuery();
+  const memory = (id: string, content: string, importance = 0.5): UnifiedMemory => ({
+    id,
+    type: 'knowledge',
+    content,
+    tags: [],
+    importance,
+    timestamp: new Date(),
+  });
+
+  it('should include semantic-only matches', () => {
+    const memories = [memory('a', 'Always validate user input'), memory('b', 'Unrelated note')];
+
+    const results = smartQuery.hybridSearch('validating inputs', memories, {
+      semantic: new Map([['a', 0.6]]),
+    });
+
+    expect(results.map(m => m.id)).toEqual(['a']);
+  });
+
+  it('should rank a memory matching several signals above single-signal matches', () => {
+    const memories = [
+      memory('semantic-only', 'Validate user input'),
+      memory('both', 'validating inputs in middleware'),
+      memory('fts-only', 'inputs are sanitized'),
+    ];
+
+    const results = smartQuery.hybridSearch('validating inputs', memories, {
+      semantic: new Map([['semantic-only', 0.7], ['both', 0.7]]),
+      fullText: new Map([['both', 8], ['fts-only', 4]]),
+    });
+
+    expect(results[0].id).toBe('both');
+    expect(results.map(m => m.id)).toHaveLength(3);
+  });
+
+  it('should break ties with importance', () => {
+    const memories = [memory('low', 'note one', 0.1), memory('high', 'note two', 0.9)];
+
+    const results = smartQuery.hybridSearch('something', memories, {
+      semantic: new Map([['low', 0.5], ['high', 0.5]]),
+    });
+
+    expect(results.map(m => m.id)).toEqual(['high', 'low']);
+  });
+
+  it('should honour custom weights', () => {
+    const memories = [memory('kw', 'validating inputs'), memory('sem', 'check user data')];
+    const signals = { semantic: new Map([['sem', 0.9]]) };
+
+    expect(smartQuery.hybridSearch('validating inputs', memories, signals)[0].id).toBe('kw');
+    expect(
+      smartQuery.hybridSearch('validating inputs', memories, {
+        ...signals,
+        weights: { keyword: 0.1, semantic: 0.9, fullText: 0, importance: 0 },
+      })[0].id
+    ).toBe('sem');
+  });
+
+  it('should return all memories for an empty query', () => {
+    const memories = [memory('a', 'x'), memory('b', 'y')];
+
+    expect(smartQuery.hybridSearch('  ', memories, {})).toHaveLength(2);
+  });
+});
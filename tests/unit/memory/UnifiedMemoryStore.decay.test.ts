@@ -0,0 +1,108 @@
+/**
+ * UnifiedMemoryStore Access-aware Ranking Tests
+ *
+ * Test coverage:
+ * - recall() records recalls of returned memories; search() does not
+ * - Idle memories lose ranking importance when decay is enabled
+ * - "Useful" feedback lifts a memory above an otherwise equal one
+ * - Stored importance is used when decay is not configured
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { UnifiedMemoryStore } from '../../../src/memory/UnifiedMemoryStore.js';
+import { KnowledgeGraph } from '../../../src/knowledge-graph/index.js';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('UnifiedMemoryStore access-aware ranking', () => {
+  let knowledgeGraph: KnowledgeGraph;
+  let tempDir: string;
+
+  beforeEach(async () => {
+    tempDir = mkdtempSync(join(tmpdir(), 'unified-memory-decay-'));
+    knowledgeGraph = await KnowledgeGraph.create(join(tempDir, 'test-kg.db'));
+  });
+
+  afterEach(() => {
+    knowledgeGraph.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  async function seedIdleAndFresh(store: UnifiedMemoryStore): Promise<{ idle: string; fresh: string }> {
+    return {
+      idle: await store.store({
+        type: 'knowledge',
+        content: 'Run pnpm install with --frozen-lockfile in CI',
+        tags: [],
+        importance: 0.9,
+        timestamp: new Date(Date.now() - 400 * DAY),
+      }),
+      fresh: await store.store({
+        type: 'knowledge',
+        content: 'Cache the pnpm store between CI jobs',
+        tags: [],
+        importance: 0.6,
+        timestamp: new Date(),
+      }),
+    };
+  }
+
+  it('should record recalls of returned memories', async () => {
+    const store = new UnifiedMemoryStore(knowledgeGraph);
+    const { idle, fresh } = await seedIdleAndFresh(store);
+
+    await store.recall('pnpm', { limit: 1 });
+    await store.recall('frozen-lockfile');
+
+    const stats = knowledgeGraph.getAccessStats([idle, fresh]);
+    expect(stats.get(idle)?.recallCount).toBe(2);
+    expect(stats.has(fresh)).toBe(false);
+  });
+
+  it('should not record recalls for internal reads', async () => {
+    const store = new UnifiedMemoryStore(knowledgeGraph);
+    const { idle, fresh } = await seedIdleAndFresh(store);
+
+    await store.search('pnpm');
+    await store.searchByType('knowledge');
+    await store.searchByTags(['pnpm']);
+
+    expect(knowledgeGraph.getAccessStats([idle, fresh]).size).toBe(0);
+  });
+
+  it('should rank by stored importance without decay', async () => {
+    const store = new UnifiedMemoryStore(knowledgeGraph);
+    const { idle } = await seedIdleAndFresh(store);
+
+    const results = await store.search('pnpm');
+    expect(results[0].id).toBe(idle);
+  });
+
+  it('should let idle memories fade when decay is enabled', async () => {
+    const store = new UnifiedMemoryStore(knowledgeGraph, { decay: { halfLifeDays: 90 } });
+    const { fresh } = await seedIdleAndFresh(store);
+
+    const results = await store.search('pnpm');
+    expect(results[0].id).toBe(fresh);
+  });
+
+  it('should rank memories marked useful higher', async () => {
+    const store = new UnifiedMemoryStore(knowledgeGraph, { decay: {} });
+    const timestamp = new Date();
+    const ids = [
+      await store.store({ type: 'decision', content: 'Deploy api with blue-green', tags: [], importance: 0.5, timestamp }),
+      await store.store({ type: 'decision', content: 'Deploy web with blue-green', tags: [], importance: 0.5, timestamp }),
+    ];
+
+    const before = (await store.search('blue-green')).map((m) => m.id);
+    const last = before[before.length - 1]!;
+    expect(store.recordFeedback([last], true)).toBe(1);
+
+    const after = (await store.search('blue-green')).map((m) => m.id);
+    expect(after[0]).toBe(last);
+    expect(after.sort()).toEqual([...ids].sort());
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * UnifiedMemoryStore Secret Redaction Tests
+ *
+ * Test coverage:
+ * - Secrets in content, context and metadata never reach observations or FTS
+ * - Updates are redacted too
+ * - AutoMemoryRecorder writes go through the same redaction
+ * - Reject mode refuses the write
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { UnifiedMemoryStore } from '../../../src/memory/UnifiedMemoryStore.js';
+import { AutoMemoryRecorder } from '../../../src/memory/AutoMemoryRecorder.js';
+import { KnowledgeGraph } from '../../../src/knowledge-graph/index.js';
+import { SecretManager } from '../../../src/memory/SecretManager.js';
+import { FileKeyProvider } from '../../../src/memory/SecretKeyProvider.js';
+import { SecretRedactor } from '../../../src/memory/SecretRedactor.js';
+import { ValidationError } from '../../../src/errors/index.js';
+
+const API_KEY = 'sk-abc123def456ghi789jkl012mno345pqr678';
+
+describe('UnifiedMemoryStore secret redaction', () => {
+  let tempDir: string;
+  let knowledgeGraph: KnowledgeGraph;
+  let secretManager: SecretManager;
+
+  beforeEach(async () => {
+    tempDir = mkdtempSync(join(tmpdir(), 'unified-memory-redaction-'));
+    knowledgeGraph = await KnowledgeGraph.create(join(tempDir, 'test-kg.db'));
+    secretManager = await SecretManager.create(join(tempDir, 'secrets.db'), {
+      keyProvider: new FileKeyProvider(tempDir),
+    });
+  });
+
+  afterEach(() => {
+    secretManager.close();
+    knowledgeGraph.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function allObservationText(name: string): string {
+    return knowledgeGraph.getObservationHistory(name).map((o) => o.content).join('\n');
+  }
+
+  it('should mask secrets in content, context and metadata', async () => {
+    const store = new UnifiedMemoryStore(knowledgeGraph, {
+      redactor: new SecretRedactor(secretManager, { mode: 'mask' }),
+    });
+
+    const id = await store.store({
+      type: 'experience',
+      content: `Exported OPENAI_API_KEY=${API_KEY} before running the script`,
+      context: `shell output: ${API_KEY}`,
+      metadata: { command: `export OPENAI_API_KEY=${API_KEY}` },
+      tags: [],
+      timestamp: new Date(),
+    });
+
+    expect(allObservationText(id)).not.toContain(API_KEY);
+    expect((await store.get(id))?.content).toBe('Exported OPENAI_API_KEY=sk-a****r678 before running the script');
+    expect(knowledgeGraph.rankFullText(API_KEY)).toHaveLength(0);
+  });
+
+  it('should redact updated content', async () => {
+    const store = new UnifiedMemoryStore(knowledgeGraph, {
+      redactor: new SecretRedactor(secretManager, { mode: 'vault' }),
+    });
+    const id = await store.store({ type: 'decision', content: 'Use the staging key', tags: [], timestamp: new Date() });
+
+    await store.update(id, { content: `Use the staging key ${API_KEY}` });
+
+    const updated = await store.get(id);
+    expect(updated?.content).toMatch(/^Use the staging key \{\{secret:memory-api_key-[0-9a-f]{12}\}\}$/);
+    expect(allObservationText(id)).not.toContain(API_KEY);
+  });
+
+  it('should redact memories recorded by AutoMemoryRecorder', async () => {
+    const store = new UnifiedMemoryStore(knowledgeGraph, {
+      redactor: new SecretRedactor(secretManager, { mode: 'mask' }),
+    });
+    const recorder = new AutoMemoryRecorder(store);
+
+    const id = await recorder.recordTestEvent({
+      type: 'fail',
+      testName: 'deploys with credentials',
+      error: `401 Unauthorized for key ${API_KEY}`,
+    });
+
+    expect(id).not.toBeNull();
+    expect(allObservationText(id!)).not.toContain(API_KEY);
+    expect(allObservationText(id!)).toContain('sk-a****r678');
+  });
+
+  it('should reject the write in reject mode', async () => {
+    const store = new UnifiedMemoryStore(knowledgeGraph, {
+      redactor: new SecretRedactor(secretManager, { mode: 'reject' }),
+    });
+
+    await expect(
+      store.store({ type: 'experience', content: `key is ${API_KEY}`, tags: [], timestamp: new Date() })
+    ).rejects.toThrow(ValidationError);
+    expect(knowledgeGraph.getAllEntities()).toHaveLength(0);
+  });
+});
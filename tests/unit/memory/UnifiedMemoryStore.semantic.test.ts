@@ -0,0 +1,231 @@
+/**
+ * UnifiedMemoryStore Semantic Recall Tests
+ *
+ * Test coverage:
+ * - Memories are embedded on write when an embedder is configured
+ * - Differently worded queries recall the right memory
+ * - Hybrid ranking keeps exact matches on top
+ * - Filters still apply to semantic-only candidates
+ * - Backfill of memories stored before semantic recall was enabled
+ * - Writes and backfill embed the same text
+ * - Keyword-only behaviour when no embedder is configured
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { UnifiedMemoryStore } from '../../../src/memory/UnifiedMemoryStore.js';
+import { HashingEmbedder } from '../../../src/memory/HashingEmbedder.js';
+import { SemanticIndex } from '../../../src/memory/SemanticIndex.js';
+import { KnowledgeGraph } from '../../../src/knowledge-graph/index.js';
+import type { Embedder } from '../../../src/memory/types/embedding-types.js';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+describe('UnifiedMemoryStore semantic recall', () => {
+  let knowledgeGraph: KnowledgeGraph;
+  let tempDir: string;
+  let embedder: HashingEmbedder;
+  let store: UnifiedMemoryStore;
+
+  beforeEach(async () => {
+    tempDir = mkdtempSync(join(tmpdir(), 'unified-memory-semantic-'));
+    knowledgeGraph = await KnowledgeGraph.create(join(tempDir, 'test-kg.db'));
+    embedder = new HashingEmbedder();
+    store = new UnifiedMemoryStore(knowledgeGraph, { embedder });
+  });
+
+  afterEach(() => {
+    knowledgeGraph.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  async function seed(): Promise<Record<string, string>> {
+    return {
+      validation: await store.store({
+        type: 'mistake',
+        content: 'Always validate user input before processing',
+        tags: ['security'],
+        importance: 0.8,
+        timestamp: new Date(),
+      }),
+      pool: await store.store({
+        type: 'knowledge',
+        content: 'Database connection pool exhausted under load; raise max connections',
+        tags: ['database'],
+        importance: 0.6,
+        timestamp: new Date(),
+      }),
+      react: await store.store({
+        type: 'decision',
+        content: 'Use React hooks for state management',
+        tags: ['frontend'],
+        importance: 0.5,
+        timestamp: new Date(),
+      }),
+    };
+  }
+
+  it('should report whether semantic search is enabled', () => {
+    expect(store.semanticSearchEnabled).toBe(true);
+    expect(new UnifiedMemoryStore(knowledgeGraph).semanticSearchEnabled).toBe(false);
+  });
+
+  it('should embed memories on write', async () => {
+    const ids = await seed();
+
+    expect(knowledgeGraph.getEntitiesWithoutEmbedding(embedder.model)).toHaveLength(0);
+    const hits = knowledgeGraph.searchByEmbedding(
+      await embedder.embed('Always validate user input before processing'),
+      { model: embedder.model, limit: 1 }
+    );
+    expect(hits[0].name).toBe(ids.validation);
+  });
+
+  it('should recall memories worded differently from the query', async () => {
+    const ids = await seed();
+
+    const results = await store.search('validating inputs from users');
+
+    expect(results.map(r => r.id)).toEqual([ids.validation]);
+  });
+
+  it('should recall through partial token overlap', async () => {
+    const ids = await seed();
+
+    const results = await store.search('db pool ran out of connections');
+
+    expect(results[0].id).toBe(ids.pool);
+  });
+
+  it('should keep exact matches ahead of semantic-only matches', async () => {
+    const ids = await seed();
+    const exactId = await store.store({
+      type: 'knowledge',
+      content: 'validating inputs from users happens in middleware',
+      tags: [],
+      importance: 0.3,
+      timestamp: new Date(),
+    });
+
+    const results = await store.search('validating inputs from users');
+
+    expect(results[0].id).toBe(exactId);
+    expect(results.map(r => r.id)).toContain(ids.validation);
+  });
+
+  it('should not return unrelated memories', async () => {
+    await seed();
+
+    const results = await store.search('banana smoothie recipe');
+
+    expect(results).toEqual([]);
+  });
+
+  it('should apply type and importance filters to semantic matches', async () => {
+    await seed();
+
+    expect(await store.search('validating inputs from users', { types: ['knowledge'] })).toEqual([]);
+    expect(await store.search('validating inputs from users', { minImportance: 0.9 })).toEqual([]);
+    expect(await store.search('validating inputs from users', { tags: ['database'] })).toEqual([]);
+  });
+
+  it('should respect the final limit', async () => {
+    await seed();
+    await store.store({
+      type: 'mistake',
+      content: 'Validate every user supplied input field',
+      tags: [],
+      importance: 0.5,
+      timestamp: new Date(),
+    });
+
+    const results = await store.search('validating inputs from users', { limit: 1 });
+
+    expect(results).toHaveLength(1);
+  });
+
+  it('should backfill memories stored before semantic recall was enabled', async () => {
+    const keywordOnly = new UnifiedMemoryStore(knowledgeGraph);
+    const id = await keywordOnly.store({
+      type: 'mistake',
+      content: 'Always validate user input before processing',
+      tags: [],
+      importance: 0.5,
+      timestamp: new Date(),
+    });
+
+    expect(await keywordOnly.search('validating inputs from users')).toEqual([]);
+    expect(knowledgeGraph.getEntitiesWithoutEmbedding(embedder.model)).toHaveLength(1);
+
+    const results = await store.search('validating inputs from users');
+
+    expect(results.map(r => r.id)).toEqual([id]);
+    expect(knowledgeGraph.getEntitiesWithoutEmbedding(embedder.model)).toHaveLength(0);
+  });
+
+  it('should embed the same text on write as the backfill does', async () => {
+    const embed = vi.spyOn(embedder, 'embed');
+
+    const id = await store.store({
+      type: 'decision',
+      content: 'Use React hooks for state management',
+      context: 'Class components were hard to test',
+      tags: ['frontend'],
+      importance: 0.5,
+      timestamp: new Date(),
+    });
+
+    const [entity] = knowledgeGraph.getEntitiesByNames([id]);
+    expect(embed).toHaveBeenCalledTimes(1);
+    expect(embed).toHaveBeenCalledWith(SemanticIndex.entityText(entity));
+    expect(SemanticIndex.entityText(entity)).toBe(
+      'Use React hooks for state management\nClass components were hard to test'
+    );
+  });
+
+  it('should re-embed a memory after update', async () => {
+    const ids = await seed();
+
+    await store.update(ids.react, { content: 'Prefer Zustand over Redux for global state' });
+
+    const results = await store.search('zustand store');
+    expect(results.map(r => r.id)).toEqual([ids.react]);
+  });
+
+  it('should rebuild the index on demand', async () => {
+    const keywordOnly = new UnifiedMemoryStore(knowledgeGraph);
+    await keywordOnly.store({
+      type: 'knowledge',
+      content: 'Some memory',
+      tags: [],
+      importance: 0.5,
+      timestamp: new Date(),
+    });
+
+    expect(await keywordOnly.rebuildSemanticIndex()).toBe(0);
+    expect(await store.rebuildSemanticIndex()).toBe(1);
+    expect(await store.rebuildSemanticIndex()).toBe(0);
+  });
+
+  it('should fall back to keyword ranking when the embedder fails', async () => {
+    const failing: Embedder = {
+      model: 'failing-v1',
+      dimensions: 8,
+      embed: async () => {
+        throw new Error('embedder offline');
+      },
+    };
+    const failingStore = new UnifiedMemoryStore(knowledgeGraph, { embedder: failing });
+
+    const id = await failingStore.store({
+      type: 'knowledge',
+      content: 'Keyword match still works',
+      tags: [],
+      importance: 0.5,
+      timestamp: new Date(),
+    });
+
+    const results = await failingStore.search('keyword match');
+    expect(results.map(r => r.id)).toEqual([id]);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * UnifiedMemoryStore Bi-temporal Tests
+ *
+ * Test coverage:
+ * - Updates supersede changed fields instead of deleting the memory
+ * - "As of" recall returns the values that were current at that moment
+ * - Replaced memories (replaced_by) are left out of recall by default
+ * - Updates follow replaced_by to the current memory
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { UnifiedMemoryStore } from '../../../src/memory/UnifiedMemoryStore.js';
+import { KnowledgeGraph } from '../../../src/knowledge-graph/index.js';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+describe('UnifiedMemoryStore bi-temporal memory', () => {
+  let knowledgeGraph: KnowledgeGraph;
+  let tempDir: string;
+  let store: UnifiedMemoryStore;
+
+  beforeEach(async () => {
+    tempDir = mkdtempSync(join(tmpdir(), 'unified-memory-temporal-'));
+    knowledgeGraph = await KnowledgeGraph.create(join(tempDir, 'test-kg.db'));
+    store = new UnifiedMemoryStore(knowledgeGraph);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    knowledgeGraph.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should supersede changed fields and keep the previous values as history', async () => {
+    const id = await store.store({
+      type: 'decision',
+      content: 'Sessions live in Redis',
+      tags: ['sessions'],
+      importance: 0.6,
+      timestamp: new Date(),
+    });
+
+    expect(await store.update(id, { content: 'Sessions live in Postgres', importance: 0.9 })).toBe(true);
+
+    const updated = await store.get(id);
+    expect(updated?.content).toBe('Sessions live in Postgres');
+    expect(updated?.importance).toBe(0.9);
+
+    const history = knowledgeGraph.getObservationHistory(id);
+    const previous = history.find(o => o.content === 'content: Sessions live in Redis')!;
+    const current = history.find(o => o.content === 'content: Sessions live in Postgres')!;
+    expect(previous.validTo).toBeInstanceOf(Date);
+    expect(previous.supersededBy).toBe(current.id);
+    expect(history.find(o => o.content === 'importance: 0.6')?.validTo).toBeInstanceOf(Date);
+  });
+
+  it('should recall the current truth by default and past values as of a date', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const start = Date.now() + HOUR;
+    vi.setSystemTime(start);
+
+    const id = await store.store({
+      type: 'decision',
+      content: 'Deploy on Fridays is allowed',
+      tags: [],
+      importance: 0.5,
+      timestamp: new Date(),
+    });
+
+    vi.setSystemTime(start + DAY);
+    await store.update(id, { content: 'Deploy on Fridays is forbidden' });
+
+    const current = await store.search('Fridays');
+    const past = await store.search('Fridays', { asOf: new Date(start + HOUR) });
+
+    expect(current.map(m => m.content)).toEqual(['Deploy on Fridays is forbidden']);
+    expect(past.map(m => m.content)).toEqual(['Deploy on Fridays is allowed']);
+  });
+
+  describe('replaced_by', () => {
+    let oldId: string;
+    let newId: string;
+
+    beforeEach(async () => {
+      oldId = await store.store({
+        type: 'knowledge',
+        content: 'Use moment.js for date handling',
+        tags: ['dates'],
+        importance: 0.5,
+        timestamp: new Date(),
+      });
+      newId = await store.store({
+        type: 'knowledge',
+        content: 'Use date-fns for date handling',
+        tags: ['dates'],
+        importance: 0.5,
+        timestamp: new Date(),
+      });
+      knowledgeGraph.createRelation({ from: oldId, to: newId, relationType: 'replaced_by' });
+    });
+
+    it('should leave replaced memories out of recall unless asked for', async () => {
+      expect((await store.search('date handling')).map(m => m.id)).toEqual([newId]);
+      expect((await store.searchByTags(['dates'], { includeReplaced: true })).map(m => m.id).sort())
+        .toEqual([oldId, newId].sort());
+    });
+
+    it('should apply updates of a replaced memory to its replacement', async () => {
+      await store.update(oldId, { importance: 0.95 });
+
+      expect((await store.get(newId))?.importance).toBe(0.95);
+      expect((await store.get(oldId))?.importance).toBe(0.5);
+    });
+
+    it('should mark a memory as replaced when an update duplicates another memory', async () => {
+      const otherId = await store.store({
+        type: 'knowledge',
+        content: 'Prefer Temporal once it ships',
+        tags: ['dates'],
+        importance: 0.5,
+        timestamp: new Date(),
+      });
+
+      expect(await store.update(otherId, { content: 'Use date-fns for date handling' })).toBe(true);
+
+      expect(knowledgeGraph.getReplacements([otherId]).get(otherId)).toBe(newId);
+      expect((await store.get(otherId))?.content).toBe('Prefer Temporal once it ships');
+      expect((await store.searchByTags(['dates'])).map(m => m.id)).toEqual([newId]);
+    });
+  });
+});
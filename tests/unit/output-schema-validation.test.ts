@@ -20,10 +20,15 @@ import type {
   BuddyHelpOutput,
   SessionHealthOutput,
   WorkflowGuidanceOutput,
+  CostReportOutput,
   SmartPlanOutput,
   HookToolUseOutput,
   BuddyRecordMistakeOutput,
   CreateEntitiesOutput,
+  TraceRelationsOutput,
+  ExchangeGraphOutput,
+  ConsolidateMemoryOutput,
+  TaskPlanOutput,
   A2ASendTaskOutput,
   A2AGetTaskOutput,
   A2AListTasksOutput,
@@ -285,6 +290,44 @@ describe('Output Schema Validation', () => {
     });
   });
 
+  describe('get-cost-report Output Validation', () => {
+    const schema = OutputSchemas.getCostReport;
+    let validate: ReturnType<typeof ajv.compile>;
+
+    beforeAll(() => {
+      validate = ajv.compile(schema);
+    });
+
+    it('should validate correct cost report output', () => {
+      const validOutput: CostReportOutput = {
+        window: 'week',
+        since: '2026-05-03T09:00:00.000Z',
+        until: '2026-05-10T09:00:00.000Z',
+        totalCostUsd: 0.024,
+        recordCount: 2,
+        byTask: [{ taskId: 'fix', costUsd: 0.024, records: 2, models: ['claude-sonnet-4-5-20250929'] }],
+        byModel: { 'claude-sonnet-4-5-20250929': 0.024 },
+        byAgent: { debugger: 0.024 },
+        byProject: {},
+        byDay: [{ date: '2026-05-09', costUsd: 0.024 }],
+        budgets: [{ scope: 'daily', limitUsd: 1, spentUsd: 0, remainingUsd: 1, usage: 0 }],
+      };
+
+      expect(validate(validOutput)).toBe(true);
+      expect(validate.errors).toBeNull();
+    });
+
+    it('should reject unknown budget scope', () => {
+      expect(validate({
+        window: 'month',
+        until: '2026-05-10T09:00:00.000Z',
+        totalCostUsd: 0,
+        recordCount: 0,
+        budgets: [{ scope: 'weekly', limitUsd: 1, spentUsd: 0, remainingUsd: 1 }],
+      })).toBe(false);
+    });
+  });
+
   describe('generate-smart-plan Output Validation', () => {
     const schema = OutputSchemas.generateSmartPlan;
     let validate: ReturnType<typeof ajv.compile>;
@@ -411,6 +454,182 @@ describe('Output Schema Validation', () => {
     });
   });
 
+  describe('trace-relations Output Validation', () => {
+    const schema = OutputSchemas.traceRelations;
+    let validate: ReturnType<typeof ajv.compile>;
+
+    beforeAll(() => {
+      validate = ajv.compile(schema);
+    });
+
+    it('should validate trace output', () => {
+      const validOutput: TraceRelationsOutput = {
+        mode: 'trace',
+        found: true,
+        entities: [
+          { name: 'bug-x', hop: 0 },
+          { name: 'decision-y', hop: 1 },
+        ],
+        relations: [
+          { from: 'bug-x', to: 'decision-y', relationType: 'caused_by', hop: 1 },
+        ],
+        cycles: [],
+      };
+
+      const result = validate(validOutput);
+      expect(result).toBe(true);
+      expect(validate.errors).toBeNull();
+    });
+
+    it('should validate path output', () => {
+      const validOutput: TraceRelationsOutput = {
+        mode: 'path',
+        found: true,
+        path: {
+          length: 1,
+          entities: ['bug-x', 'decision-y'],
+        },
+      };
+
+      const result = validate(validOutput);
+      expect(result).toBe(true);
+      expect(validate.errors).toBeNull();
+    });
+
+    it('should reject unknown mode', () => {
+      const result = validate({ mode: 'walk', found: true });
+      expect(result).toBe(false);
+    });
+  });
+
+  describe('exchange-graph Output Validation', () => {
+    const schema = OutputSchemas.exchangeGraph;
+    let validate: ReturnType<typeof ajv.compile>;
+
+    beforeAll(() => {
+      validate = ajv.compile(schema);
+    });
+
+    it('should validate export output', () => {
+      const validOutput: ExchangeGraphOutput = {
+        action: 'export',
+        format: 'jsonld',
+        path: '/tmp/graph.jsonld',
+        entityCount: 3,
+        relationCount: 2,
+      };
+
+      expect(validate(validOutput)).toBe(true);
+      expect(validate.errors).toBeNull();
+    });
+
+    it('should validate import output', () => {
+      const validOutput: ExchangeGraphOutput = {
+        action: 'import',
+        format: 'markdown',
+        path: './vault',
+        entitiesCreated: 2,
+        entitiesDeduplicated: 1,
+        entitiesSkipped: 0,
+        relationsCreated: 1,
+        relationsSkipped: 0,
+        errors: [{ item: 'bad entity', error: 'Entity name cannot be empty' }],
+      };
+
+      expect(validate(validOutput)).toBe(true);
+      expect(validate.errors).toBeNull();
+    });
+
+    it('should reject unsupported format', () => {
+      expect(validate({ action: 'export', format: 'csv', path: 'x' })).toBe(false);
+    });
+  });
+
+  describe('consolidate-memory Output Validation', () => {
+    const schema = OutputSchemas.consolidateMemory;
+    let validate: ReturnType<typeof ajv.compile>;
+
+    beforeAll(() => {
+      validate = ajv.compile(schema);
+    });
+
+    it('should validate consolidate output', () => {
+      const validOutput: ConsolidateMemoryOutput = {
+        action: 'consolidate',
+        dryRun: false,
+        entitiesScanned: 12,
+        clusters: [{ canonical: 'Code Change: a', merged: ['Code Change: b'], similarity: 0.91 }],
+        summaries: [{ entity: 'Session: long', observationsSummarized: 40, method: 'extractive' }],
+        relationsMoved: 2,
+        errors: [],
+      };
+
+      expect(validate(validOutput)).toBe(true);
+      expect(validate.errors).toBeNull();
+    });
+
+    it('should validate undo output', () => {
+      const validOutput: ConsolidateMemoryOutput = {
+        action: 'undo',
+        canonical: 'Code Change: a',
+        restored: ['Code Change: b'],
+      };
+
+      expect(validate(validOutput)).toBe(true);
+      expect(validate.errors).toBeNull();
+    });
+
+    it('should reject unknown summary method', () => {
+      expect(validate({
+        action: 'consolidate',
+        summaries: [{ entity: 'x', observationsSummarized: 3, method: 'magic' }],
+      })).toBe(false);
+    });
+  });
+
+  describe('task-plan Output Validation', () => {
+    const schema = OutputSchemas.taskPlan;
+    let validate: ReturnType<typeof ajv.compile>;
+
+    beforeAll(() => {
+      validate = ajv.compile(schema);
+    });
+
+    const plan: NonNullable<TaskPlanOutput['plan']> = {
+      id: 'plan-todo-api',
+      feature: 'Build a todo API',
+      status: 'active',
+      revision: 1,
+      tasks: [
+        { id: 'task-1', description: 'Create API endpoint stub', dependencies: [], status: 'completed', commit: 'feat: stub' },
+        { id: 'task-2', description: 'Implement API endpoint logic', dependencies: ['task-1'], status: 'pending' },
+      ],
+      progress: { total: 2, completed: 1, remaining: 1, ready: ['task-2'] },
+    };
+
+    it('should validate advance output', () => {
+      const validOutput: TaskPlanOutput = {
+        action: 'advance',
+        plan,
+        task: plan.tasks[0],
+      };
+
+      expect(validate(validOutput)).toBe(true);
+      expect(validate.errors).toBeNull();
+    });
+
+    it('should validate view output without a current plan', () => {
+      expect(validate({ action: 'view', plan: null })).toBe(true);
+    });
+
+    it('should reject unknown task status', () => {
+      expect(validate({
+        action: 'list',
+        plans: [{ ...plan, tasks: [{ ...plan.tasks[0], status: 'done' }] }],
+      })).toBe(false);
+    });
+  });
+
   describe('A2A Protocol Output Validation', () => {
     it('should validate a2a-send-task output', () => {
       const schema = OutputSchemas.a2aSendTask;
@@ -111,6 +111,25 @@ describe('TraceContext', () => {
       expect(traceparent).toMatch(/^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/);
     });
 
+    it('should keep the full W3C IDs of an incoming traceparent', () => {
+      const parsed = parseW3CTraceparent('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01');
+
+      expect(parsed?.w3cTraceId).toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+      expect(parsed?.w3cParentSpanId).toBe('00f067aa0ba902b7');
+    });
+
+    it('should propagate the incoming W3C trace ID to outgoing headers', () => {
+      const extracted = extractTraceContext({
+        traceparent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01',
+      });
+      const context = createTraceContext(extracted ?? undefined);
+      const child = createTraceContext(context);
+
+      expect(formatW3CTraceparent(child)).toMatch(/^00-4bf92f3577b34da6a3ce929d0e0e4736-[0-9a-f]{16}-01$/);
+      expect(context.w3cParentSpanId).toBe('00f067aa0ba902b7');
+      expect(child.w3cParentSpanId).toBeUndefined();
+    });
+
     it('should format with sampled=false', () => {
       const context: TraceContext = {
         traceId: 'trace-1706580123456-a1b2c3d4e5f6',
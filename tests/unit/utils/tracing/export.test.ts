@@ -0,0 +1,413 @@
+/**
+ * Unit Tests: Span Export
+ *
+ * Tests for OTLP encoding, batching, the OTLP/HTTP and file exporters, and
+ * span recording from TraceContext.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import http from 'http';
+import type { AddressInfo } from 'net';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  BatchSpanProcessor,
+  OTLPFileExporter,
+  OTLPHttpExporter,
+  configureSpanExportFromEnv,
+  parseOTLPHeaders,
+  registerSpanProcessor,
+  resolveTracesUrl,
+  shutdownSpanExport,
+  toOTLPAttributes,
+  toOTLPId,
+  toOTLPTraceRequest,
+  type ExportableSpan,
+  type SpanExporter,
+  type SpanProcessor,
+} from '../../../../src/utils/tracing/export/index.js';
+import {
+  createTraceContext,
+  endSpan,
+  extractTraceContext,
+  formatW3CTraceparent,
+  runWithTraceContext,
+  withChildSpan,
+  withChildSpanAsync,
+} from '../../../../src/utils/tracing/TraceContext.js';
+
+function makeSpan(overrides: Partial<ExportableSpan> = {}): ExportableSpan {
+  return {
+    traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+    spanId: '00f067aa0ba902b7',
+    name: 'test-span',
+    kind: 'internal',
+    startTime: 1_700_000_000_000,
+    endTime: 1_700_000_000_250,
+    status: { code: 'UNSET' },
+    attributes: {},
+    ...overrides,
+  };
+}
+
+/** Exporter that keeps every batch in memory */
+class MemoryExporter implements SpanExporter {
+  batches: ExportableSpan[][] = [];
+  shutdownCalled = false;
+  failNext = false;
+
+  async export(spans: ExportableSpan[]): Promise<void> {
+    if (this.failNext) {
+      this.failNext = false;
+      throw new Error('backend down');
+    }
+    this.batches.push(spans);
+  }
+
+  async shutdown(): Promise<void> {
+    this.shutdownCalled = true;
+  }
+}
+
+/** Processor that collects ended spans synchronously */
+class CollectingProcessor implements SpanProcessor {
+  spans: ExportableSpan[] = [];
+  onEnd(span: ExportableSpan): void {
+    this.spans.push(span);
+  }
+  async forceFlush(): Promise<void> {}
+  async shutdown(): Promise<void> {}
+}
+
+describe('Span Export', () => {
+  afterEach(async () => {
+    await shutdownSpanExport();
+  });
+
+  describe('OTLP Encoding', () => {
+    it('should keep hex IDs and strip UUID dashes', () => {
+      expect(toOTLPId('4BF92F3577B34DA6A3CE929D0E0E4736', 32)).toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+      expect(toOTLPId('123e4567-e89b-12d3-a456-426614174000', 32)).toBe('123e4567e89b12d3a456426614174000');
+      expect(toOTLPId('123e4567-e89b-12d3-a456-426614174000', 16)).toBe('123e4567e89b12d3');
+    });
+
+    it('should hash other IDs deterministically', () => {
+      const id = toOTLPId('task-abc', 16);
+      expect(id).toMatch(/^[0-9a-f]{16}$/);
+      expect(toOTLPId('task-abc', 16)).toBe(id);
+      expect(toOTLPId('0000000000000000', 16)).not.toBe('0000000000000000');
+    });
+
+    it('should encode attribute types', () => {
+      const attributes = toOTLPAttributes({
+        str: 'value',
+        flag: true,
+        count: 42,
+        ratio: 0.5,
+        list: ['a', 1],
+        nested: { a: 1 },
+        missing: undefined,
+        empty: null,
+      });
+
+      expect(attributes).toEqual([
+        { key: 'str', value: { stringValue: 'value' } },
+        { key: 'flag', value: { boolValue: true } },
+        { key: 'count', value: { intValue: '42' } },
+        { key: 'ratio', value: { doubleValue: 0.5 } },
+        { key: 'list', value: { arrayValue: { values: [{ stringValue: 'a' }, { intValue: '1' }] } } },
+        { key: 'nested', value: { stringValue: '{"a":1}' } },
+      ]);
+    });
+
+    it('should build an ExportTraceServiceRequest', () => {
+      const request = toOTLPTraceRequest(
+        [
+          makeSpan({
+            parentSpanId: 'a1b2c3d4e5f60718',
+            kind: 'server',
+            status: { code: 'ERROR', message: 'boom' },
+            events: [{ name: 'retry', timestamp: 1_700_000_000_100 }],
+          }),
+        ],
+        { 'service.name': 'memesh' },
+        '2.7.0'
+      );
+
+      expect(request.resourceSpans).toHaveLength(1);
+      const { resource, scopeSpans } = request.resourceSpans[0];
+      expect(resource.attributes).toEqual([{ key: 'service.name', value: { stringValue: 'memesh' } }]);
+      expect(scopeSpans[0].scope).toEqual({ name: '@pcircle/memesh', version: '2.7.0' });
+
+      const span = scopeSpans[0].spans[0];
+      expect(span.parentSpanId).toBe('a1b2c3d4e5f60718');
+      expect(span.kind).toBe(2);
+      expect(span.startTimeUnixNano).toBe('1700000000000000000');
+      expect(span.endTimeUnixNano).toBe('1700000000250000000');
+      expect(span.status).toEqual({ code: 2, message: 'boom' });
+      expect(span.events[0]).toEqual({ timeUnixNano: '1700000000100000000', name: 'retry', attributes: [] });
+    });
+
+    it('should group spans by resource', () => {
+      const request = toOTLPTraceRequest(
+        [makeSpan(), makeSpan({ resource: { 'memesh.process.role': 'proxy' } }), makeSpan()],
+        { 'service.name': 'memesh' }
+      );
+
+      expect(request.resourceSpans).toHaveLength(2);
+      expect(request.resourceSpans[0].scopeSpans[0].spans).toHaveLength(2);
+      expect(request.resourceSpans[1].scopeSpans[0].spans).toHaveLength(1);
+    });
+  });
+
+  describe('BatchSpanProcessor', () => {
+    it('should export when a batch is full', async () => {
+      const exporter = new MemoryExporter();
+      const processor = new BatchSpanProcessor(exporter, { maxExportBatchSize: 2, scheduledDelayMs: 60_000 });
+
+      processor.onEnd(makeSpan());
+      processor.onEnd(makeSpan());
+      await processor.forceFlush();
+
+      expect(exporter.batches).toHaveLength(1);
+      expect(exporter.batches[0]).toHaveLength(2);
+      expect(processor.getStats()).toEqual({ exported: 2, dropped: 0, failed: 0, queued: 0 });
+    });
+
+    it('should export a partial batch after the delay', async () => {
+      const exporter = new MemoryExporter();
+      const processor = new BatchSpanProcessor(exporter, { scheduledDelayMs: 10 });
+
+      processor.onEnd(makeSpan());
+      expect(exporter.batches).toHaveLength(0);
+
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(exporter.batches).toHaveLength(1);
+    });
+
+    it('should drop spans when the queue is full', () => {
+      // Export never completes, so the queue cannot drain
+      const processor = new BatchSpanProcessor(
+        { export: () => new Promise(() => {}), shutdown: async () => {} },
+        { maxQueueSize: 1, scheduledDelayMs: 60_000 }
+      );
+
+      processor.onEnd(makeSpan()); // exported (in flight)
+      processor.onEnd(makeSpan()); // queued
+      processor.onEnd(makeSpan()); // dropped
+
+      expect(processor.getStats()).toMatchObject({ dropped: 1, queued: 1 });
+    });
+
+    it('should count failed batches and keep exporting', async () => {
+      const exporter = new MemoryExporter();
+      const processor = new BatchSpanProcessor(exporter, { scheduledDelayMs: 60_000 });
+
+      exporter.failNext = true;
+      processor.onEnd(makeSpan());
+      await processor.forceFlush();
+      processor.onEnd(makeSpan());
+      await processor.forceFlush();
+
+      expect(processor.getStats()).toMatchObject({ exported: 1, failed: 1 });
+    });
+
+    it('should flush and shut down the exporter', async () => {
+      const exporter = new MemoryExporter();
+      const processor = new BatchSpanProcessor(exporter, { scheduledDelayMs: 60_000 });
+
+      processor.onEnd(makeSpan());
+      await processor.shutdown();
+      processor.onEnd(makeSpan());
+
+      expect(exporter.batches).toHaveLength(1);
+      expect(exporter.shutdownCalled).toBe(true);
+      expect(processor.getStats().queued).toBe(0);
+    });
+  });
+
+  describe('OTLPHttpExporter', () => {
+    let server: http.Server;
+    let endpoint: string;
+    let statuses: number[];
+    let requests: Array<{ url?: string; headers: http.IncomingHttpHeaders; body: string }>;
+
+    beforeEach(async () => {
+      statuses = [];
+      requests = [];
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => (body += chunk));
+        req.on('end', () => {
+          requests.push({ url: req.url, headers: req.headers, body });
+          res.statusCode = statuses.shift() ?? 200;
+          res.end('{}');
+        });
+      });
+      await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+      endpoint = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+    });
+
+    afterEach(async () => {
+      await new Promise<void>((resolve) => server.close(() => resolve()));
+    });
+
+    it('should resolve the traces URL', () => {
+      expect(resolveTracesUrl('http://localhost:4318')).toBe('http://localhost:4318/v1/traces');
+      expect(resolveTracesUrl('http://localhost:4318/')).toBe('http://localhost:4318/v1/traces');
+      expect(resolveTracesUrl('https://otel.example.com/v1/traces')).toBe('https://otel.example.com/v1/traces');
+    });
+
+    it('should POST OTLP/JSON with configured headers', async () => {
+      const exporter = new OTLPHttpExporter({
+        endpoint,
+        headers: { authorization: 'Bearer abc' },
+        resource: { 'service.name': 'memesh' },
+      });
+
+      await exporter.export([makeSpan()]);
+
+      expect(requests).toHaveLength(1);
+      expect(requests[0].url).toBe('/v1/traces');
+      expect(requests[0].headers['content-type']).toBe('application/json');
+      expect(requests[0].headers.authorization).toBe('Bearer abc');
+      const body = JSON.parse(requests[0].body);
+      expect(body.resourceSpans[0].scopeSpans[0].spans[0].traceId).toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+    });
+
+    it('should retry retryable responses', async () => {
+      statuses = [503, 429];
+      const exporter = new OTLPHttpExporter({ endpoint, retryBaseDelayMs: 1 });
+
+      await exporter.export([makeSpan()]);
+
+      expect(requests).toHaveLength(3);
+    });
+
+    it('should not retry a rejected batch', async () => {
+      statuses = [400];
+      const exporter = new OTLPHttpExporter({ endpoint, retryBaseDelayMs: 1 });
+
+      await expect(exporter.export([makeSpan()])).rejects.toMatchObject({ status: 400 });
+      expect(requests).toHaveLength(1);
+    });
+
+    it('should give up after max retries', async () => {
+      statuses = [503, 503, 503];
+      const exporter = new OTLPHttpExporter({ endpoint, maxRetries: 2, retryBaseDelayMs: 1 });
+
+      await expect(exporter.export([makeSpan()])).rejects.toMatchObject({ status: 503 });
+      expect(requests).toHaveLength(3);
+    });
+  });
+
+  describe('OTLPFileExporter', () => {
+    let tempDir: string;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'memesh-otlp-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should append one OTLP request per batch', async () => {
+      const file = path.join(tempDir, 'nested', 'traces.jsonl');
+      const exporter = new OTLPFileExporter({ path: file, resource: { 'service.name': 'memesh' } });
+
+      await exporter.export([makeSpan(), makeSpan({ spanId: 'a1b2c3d4e5f60718' })]);
+      await exporter.export([makeSpan()]);
+      await exporter.export([]);
+
+      const lines = fs.readFileSync(file, 'utf-8').trim().split('\n');
+      expect(lines).toHaveLength(2);
+      expect(JSON.parse(lines[0]).resourceSpans[0].scopeSpans[0].spans).toHaveLength(2);
+    });
+  });
+
+  describe('Configuration', () => {
+    it('should parse OTLP headers', () => {
+      expect(parseOTLPHeaders('api-key=abc, x-team=core%20infra,invalid,=x')).toEqual({
+        'api-key': 'abc',
+        'x-team': 'core infra',
+      });
+      expect(parseOTLPHeaders(undefined)).toEqual({});
+    });
+
+    it('should do nothing without an endpoint or file', () => {
+      expect(configureSpanExportFromEnv({ env: {} })).toEqual([]);
+    });
+
+    it('should enable exporters from the environment once', () => {
+      const env = {
+        OTEL_EXPORTER_OTLP_ENDPOINT: 'http://127.0.0.1:4318',
+        MEMESH_OTLP_FILE: path.join(os.tmpdir(), 'memesh-otlp-unused.jsonl'),
+      };
+
+      expect(configureSpanExportFromEnv({ env })).toEqual(['otlp-http', 'otlp-file']);
+      expect(configureSpanExportFromEnv({ env })).toEqual([]);
+    });
+  });
+
+  describe('TraceContext spans', () => {
+    let processor: CollectingProcessor;
+
+    beforeEach(() => {
+      processor = new CollectingProcessor();
+      registerSpanProcessor(processor);
+    });
+
+    it('should record nothing when export is not configured', async () => {
+      await shutdownSpanExport();
+      withChildSpan('quiet', () => 1);
+      expect(processor.spans).toHaveLength(0);
+    });
+
+    it('should continue the trace of an incoming traceparent', () => {
+      const extracted = extractTraceContext({
+        traceparent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01',
+      });
+      const context = createTraceContext(extracted ?? undefined);
+
+      endSpan(context, { name: 'POST /a2a/send-message', kind: 'server', startTime: Date.now() });
+
+      const [span] = processor.spans;
+      expect(span.traceId).toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+      expect(span.parentSpanId).toBe('00f067aa0ba902b7');
+      expect(span.kind).toBe('server');
+      expect(formatW3CTraceparent(context)).toBe(`00-4bf92f3577b34da6a3ce929d0e0e4736-${span.spanId}-01`);
+    });
+
+    it('should link child spans to their parent', () => {
+      const root = createTraceContext();
+
+      runWithTraceContext(root, () => {
+        withChildSpan('child', () => undefined);
+      });
+      endSpan(root, { name: 'root', startTime: Date.now() });
+
+      const [child, parent] = processor.spans;
+      expect(child.name).toBe('child');
+      expect(child.traceId).toBe(parent.traceId);
+      expect(child.parentSpanId).toBe(parent.spanId);
+      expect(parent.parentSpanId).toBeUndefined();
+    });
+
+    it('should record errors', async () => {
+      await expect(
+        withChildSpanAsync('failing', async () => {
+          throw new Error('boom');
+        })
+      ).rejects.toThrow('boom');
+
+      expect(processor.spans[0].status).toEqual({ code: 'ERROR', message: 'boom' });
+    });
+
+    it('should skip unsampled contexts', () => {
+      endSpan(createTraceContext(undefined, false), { name: 'unsampled', startTime: Date.now() });
+      expect(processor.spans).toHaveLength(0);
+    });
+  });
+});
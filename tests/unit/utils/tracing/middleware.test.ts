@@ -4,14 +4,20 @@
  * Tests for Express middleware that handles distributed tracing.
  */
 
-import { describe, it, expect, vi } from 'vitest';
+import { describe, it, expect, vi, afterEach } from 'vitest';
 import type { Request, Response, NextFunction } from 'express';
+import { EventEmitter } from 'events';
 import {
   tracingMiddleware,
   getRequestTraceContext,
   spanMiddleware,
 } from '../../../../src/utils/tracing/middleware.js';
 import { getTraceContext } from '../../../../src/utils/tracing/TraceContext.js';
+import {
+  registerSpanProcessor,
+  shutdownSpanExport,
+  type ExportableSpan,
+} from '../../../../src/utils/tracing/export/index.js';
 
 describe('Tracing Middleware', () => {
   const createMockRequest = (headers: Record<string, string> = {}): Partial<Request> => ({
@@ -206,4 +212,42 @@ describe('Tracing Middleware', () => {
       expect(context?.traceId).toBeDefined();
     });
   });
+
+  describe('span export', () => {
+    afterEach(async () => {
+      await shutdownSpanExport();
+    });
+
+    it('should record a server span when the response finishes', () => {
+      const spans: ExportableSpan[] = [];
+      registerSpanProcessor({
+        onEnd: (span) => spans.push(span),
+        forceFlush: async () => {},
+        shutdown: async () => {},
+      });
+
+      const req = createMockRequest({
+        traceparent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01',
+      }) as Request;
+      const res = Object.assign(new EventEmitter(), {
+        setHeader: vi.fn(),
+        statusCode: 200,
+      }) as unknown as Response;
+
+      tracingMiddleware()(req, res, createMockNext());
+      expect(spans).toHaveLength(0);
+
+      res.emit('finish');
+
+      expect(spans).toHaveLength(1);
+      expect(spans[0]).toMatchObject({
+        name: 'GET /test',
+        kind: 'server',
+        traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+        parentSpanId: '00f067aa0ba902b7',
+        status: { code: 'UNSET' },
+      });
+      expect(spans[0].attributes['http.response.status_code']).toBe(200);
+    });
+  });
 });
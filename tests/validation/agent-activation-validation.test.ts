@@ -289,9 +289,14 @@ describe('Agent Activation Validation', () => {
         'buddy-help',
         'get-session-health',
         'get-workflow-guidance',
+        'get-cost-report',
         // 'generate-smart-plan', // Removed - planning delegated to Claude's built-in capabilities
         'buddy-record-mistake',
         'create-entities',
+        'trace-relations',
+        'exchange-graph',
+        'consolidate-memory',
+        'task-plan',
         // Secret Management Tools (Phase 0.7.0)
         'buddy-secret-store',
         'buddy-secret-get',